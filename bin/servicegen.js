@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+/**
+ * servicegen.js
+ * Command-line interface of the Spring Boot GraphQL Generator.
+ *
+ * Imports a SQL or SQLite file or a migrations folder, applies a project config file and writes the generated
+ * Spring Boot project to a directory or a ZIP file, using the same classes as `index.html`.
+ *
+ * Usage:
+ *   node bin/servicegen.js --sql schema.sql --config shop.servicegen.json --out ./shop
+ *   node bin/servicegen.js --sqlite app.db --config config.json --out shop.zip
+ *   node bin/servicegen.js --migrations src/main/resources/db/migration --config shop.servicegen.json --out ./shop
+ *   node bin/servicegen.js --config shop.servicegen.json --dry-run
+ *   node bin/servicegen.js --sql schema.sql --config shop.servicegen.json --merge ./shop
+ */
+const fs = require('fs');
+const path = require('path');
+const { SQLParser } = require('../js/SQLParser.js');
+const { MigrationLoader } = require('../js/MigrationLoader.js');
+const { GraphQLSpringGenerator } = require('../js/GraphQLSpringGenerator.js');
+const { ProjectFile, PROJECT_FILE_FORMAT } = require('../js/ProjectFile.js');
+const { ProjectMerger, PROJECT_CONFLICT_DIR, PROJECT_MERGE_REPORT_FILE } = require('../js/ProjectMerger.js');
+
+/**
+ * Environment variable holding the database password, which project files never contain.
+ */
+const PASSWORD_ENV = 'SERVICEGEN_DB_PASSWORD';
+
+const USAGE = `Usage: servicegen [--sql <file> | --sqlite <file> | --migrations <dir|file.zip>] [--config <file>] [--merge <dir|file.zip>] [--out <dir|file.zip>] [--dry-run]
+
+Options:
+  --sql <file>      SQL file with CREATE TABLE statements (SQLite files are detected as well)
+  --sqlite <file>   SQLite database file
+  --migrations <path>
+                    Flyway or Liquibase migrations folder, or a ZIP of it, applied in migration order
+  --config <file>   Project file saved from the generator, or a JSON object with the same config keys.
+                    A project file also provides the model when no --sql, --sqlite or --migrations is given.
+  --merge <path>    Previously generated project (directory or ZIP) to merge into, keeping hand-written
+                    code in custom regions and writing a conflict report
+  --out <path>      Output directory, or a ZIP file when the path ends with .zip
+                    (default: the --merge path, otherwise the artifact id)
+  --dry-run         List the files that would be generated without writing them
+  -h, --help        Show this help
+
+The database password is read from the ${PASSWORD_ENV} environment variable.`;
+
+/**
+ * Error in the command-line arguments. Reported with the usage and exit code 2.
+ */
+class UsageError extends Error {
+}
+
+/**
+ * Parses the command-line arguments.
+ *
+ * @param {string[]} args - The arguments without the node executable and the script.
+ * @returns {{sql: ?string, sqlite: ?string, migrations: ?string, config: ?string, merge: ?string, out: ?string, dryRun: boolean, help: boolean}} The options.
+ * @throws {UsageError} If an option is unknown or has no value.
+ */
+function parseArgs(args) {
+    const options = { sql: null, sqlite: null, migrations: null, config: null, merge: null, out: null, dryRun: false, help: false };
+    const valueOptions = { '--sql': 'sql', '--sqlite': 'sqlite', '--migrations': 'migrations', '--config': 'config', '--merge': 'merge', '--out': 'out' };
+    for (let i = 0; i < args.length; i++) {
+        let arg = args[i];
+        let value = null;
+        const eq = arg.indexOf('=');
+        if (arg.startsWith('--') && eq > 0) {
+            value = arg.substring(eq + 1);
+            arg = arg.substring(0, eq);
+        }
+        if (valueOptions[arg]) {
+            if (value === null) {
+                value = args[++i];
+            }
+            if (value === undefined || value === '') {
+                throw new UsageError(`Missing value for ${arg}`);
+            }
+            options[valueOptions[arg]] = value;
+        } else if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else {
+            throw new UsageError(`Unknown option ${arg}`);
+        }
+    }
+    if ([options.sql, options.sqlite, options.migrations].filter(value => value !== null).length > 1) {
+        throw new UsageError('Use only one of --sql, --sqlite and --migrations');
+    }
+    return options;
+}
+
+/**
+ * Reads the config file. A project file provides its config and model, any other JSON
+ * object is used as the config.
+ *
+ * @param {?string} file - The path of the config file.
+ * @returns {{config: Object, model: ?Object}} The config and the model of a project file.
+ * @throws {Error} If the file cannot be read or is not valid JSON.
+ */
+function readConfigFile(file) {
+    if (!file) {
+        return { config: {}, model: null };
+    }
+    const text = fs.readFileSync(file, 'utf8');
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Invalid config file ${file}: ${e.message}`);
+    }
+    if (json && json.format === PROJECT_FILE_FORMAT) {
+        const project = new ProjectFile().parse(text);
+        return { config: project.config, model: project.model.entities.length ? project.model : null };
+    }
+    if (json == null || typeof json !== 'object' || Array.isArray(json)) {
+        throw new Error(`Invalid config file ${file}: expected a JSON object`);
+    }
+    return { config: json, model: null };
+}
+
+/**
+ * Formats a problem found while importing, in the `file:line:column: severity: message` form of compilers.
+ *
+ * @param {string} file - The imported file or migrations folder.
+ * @param {{severity: string, message: string, file?: string, line?: number, column?: number}} diagnostic - The problem.
+ *        The `file` of a migration is relative to the migrations folder.
+ * @returns {string} The formatted problem.
+ */
+function formatDiagnostic(file, diagnostic) {
+    const position = diagnostic.line ? `:${diagnostic.line}:${diagnostic.column}` : '';
+    return `${diagnostic.file ? path.join(file, diagnostic.file) : file}${position}: ${diagnostic.severity}: ${diagnostic.message}`;
+}
+
+/**
+ * Imports the model from the SQL or SQLite file or the migrations given on the command line.
+ * The warnings of the import are written to stderr.
+ *
+ * @param {Object} options - The parsed options.
+ * @returns {Promise<?Object>} The model, or null when no input file is given.
+ * @throws {Error} If the file cannot be read, `--sqlite` is not a SQLite database, or the import has errors.
+ */
+async function importModel(options) {
+    const file = options.sql || options.sqlite || options.migrations;
+    if (!file) {
+        return null;
+    }
+    const parser = new SQLParser();
+    let model;
+    if (options.migrations) {
+        model = parser.parseMigrations(await readMigrations(options.migrations));
+    } else {
+        const buffer = new Uint8Array(fs.readFileSync(file));
+        if (options.sqlite && !parser.looksLikeSQLite(buffer)) {
+            throw new Error(`${file} is not a SQLite database`);
+        }
+        model = await parser.importSQLBuffer(buffer);
+    }
+    const diagnostics = model.diagnostics || [];
+    diagnostics.filter(diagnostic => diagnostic.severity !== 'error')
+        .forEach(diagnostic => console.error(`servicegen: ${formatDiagnostic(file, diagnostic)}`));
+    const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+    if (errors.length > 0) {
+        throw new Error(`The import has errors, nothing is generated:\n${errors.map(error => '  ' + formatDiagnostic(file, error)).join('\n')}`);
+    }
+    return model;
+}
+
+/**
+ * Reads the files of a migrations folder.
+ *
+ * @param {string} source - The migrations directory or ZIP file.
+ * @returns {Promise<Array<{path: string, content: string}>>} The files, with paths relative to the folder.
+ */
+async function readMigrations(source) {
+    if (fs.statSync(source).isFile()) {
+        return new MigrationLoader().readZip(fs.readFileSync(source));
+    }
+    const files = [];
+    const walk = (dir, prefix) => {
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+            if (entry.isDirectory()) {
+                walk(path.join(dir, entry.name), `${prefix}${entry.name}/`);
+            } else if (entry.isFile()) {
+                files.push({ path: prefix + entry.name, content: fs.readFileSync(path.join(dir, entry.name), 'utf8') });
+            }
+        });
+    };
+    walk(source, '');
+    return files;
+}
+
+/**
+ * Reads the files of a previously generated project.
+ *
+ * @param {string} source - The project directory or ZIP file.
+ * @returns {Promise<Array<{name: string, content: Uint8Array}>>} The files, with paths relative to the project.
+ */
+async function readProject(source) {
+    if (fs.statSync(source).isFile()) {
+        return new ProjectMerger().readZip(fs.readFileSync(source));
+    }
+    const files = [];
+    const walk = (dir, prefix) => {
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+            const name = prefix + entry.name;
+            if (entry.isDirectory()) {
+                // Version control and build output are not part of the project
+                if (!['.git', 'target', 'build', '.gradle'].includes(entry.name) || prefix !== '') {
+                    walk(path.join(dir, entry.name), name + '/');
+                }
+            } else if (entry.isFile()) {
+                files.push({ name: name, content: fs.readFileSync(path.join(dir, entry.name)) });
+            }
+        });
+    };
+    walk(source, '');
+    return files;
+}
+
+/**
+ * Writes the generated files below a directory. The Maven or Gradle wrapper script is made executable.
+ * After a merge, the files removed from the project and the conflicts of an earlier merge are deleted.
+ *
+ * @param {Array<{name: string, content: (string|Uint8Array)}>} files - The generated or merged files.
+ * @param {string} dir - The output directory.
+ * @param {?Object} report - The merge report, or null when not merging.
+ * @returns {void}
+ */
+function writeDirectory(files, dir, report) {
+    if (report) {
+        report.removed.forEach(name => fs.rmSync(path.join(dir, name), { force: true }));
+        fs.rmSync(path.join(dir, PROJECT_CONFLICT_DIR), { recursive: true, force: true });
+    }
+    files.forEach(file => {
+        const target = path.join(dir, file.name);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, file.content);
+        if (file.name === 'mvnw' || file.name === 'gradlew') {
+            fs.chmodSync(target, 0o755);
+        }
+    });
+}
+
+/**
+ * Runs the command line.
+ *
+ * @param {string[]} args - The arguments without the node executable and the script.
+ * @returns {Promise<number>} The exit code.
+ */
+async function main(args) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (e) {
+        console.error(`servicegen: ${e.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    try {
+        const project = readConfigFile(options.config);
+        const model = await importModel(options) || project.model;
+        if (!model) {
+            throw new UsageError('No model: give --sql, --sqlite, --migrations or a project file containing a model');
+        }
+        const config = { ...project.config };
+        if (process.env[PASSWORD_ENV] !== undefined) {
+            config.dbPassword = process.env[PASSWORD_ENV];
+        }
+
+        const generator = new GraphQLSpringGenerator();
+        let files;
+        let report = null;
+        if (options.merge) {
+            const merged = generator.merge(model, config, await readProject(options.merge));
+            files = merged.files;
+            report = merged.report;
+        } else {
+            files = generator.generate(model, config);
+        }
+        const out = options.out || options.merge || generator.artifactId;
+        const dialectWarning = generator.checkDialect().warning;
+        if (dialectWarning) {
+            console.error(`servicegen: warning: ${dialectWarning}`);
+        }
+
+        if (options.dryRun) {
+            files.forEach(file => console.log(file.name));
+            console.log(`${files.length} files would be written to ${out}`);
+        } else if (out.toLowerCase().endsWith('.zip')) {
+            const buffer = await generator.createZip(files, 'nodebuffer');
+            fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+            fs.writeFileSync(out, buffer);
+            console.log(`${files.length} files written to ${out}`);
+        } else {
+            writeDirectory(files, out, report);
+            console.log(`${files.length} files written to ${out}`);
+        }
+        if (report) {
+            console.log(`${report.updated.length} updated, ${report.added.length} added, ${report.removed.length} removed, `
+                + `${report.conflicts.length} conflicts (see ${PROJECT_MERGE_REPORT_FILE})`);
+            report.conflicts.forEach(conflict => console.log(`  conflict: ${conflict.name}: ${conflict.reason}`));
+        }
+        return 0;
+    } catch (e) {
+        if (e instanceof UsageError) {
+            console.error(`servicegen: ${e.message}\n\n${USAGE}`);
+            return 2;
+        }
+        console.error(`servicegen: ${e.message}`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main, parseArgs };
@@ -91,6 +91,7 @@ class Column {
             length = '20';
         }
         this.name = name;
+        this.physicalName = null; // Column name in the database, when it differs from the normalized name
         this.type = type;
         this.length = length;
         this.nullable = nullable;
@@ -98,6 +99,8 @@ class Column {
         this.primaryKey = primaryKey;
         this.autoIncrement = autoIncrement;
         this.values = values;
+        this.enumValues = null; // ENUM/SET literals as declared, which may contain commas
+        this.enumType = null; // Name of the database enum type (PostgreSQL CREATE TYPE ... AS ENUM)
         this.description = description;
     }
     
@@ -172,7 +175,7 @@ class Column {
 
         // ENUM/SET
         if (isEnumOrSet && this.values) {
-            const enums = this.values.split(',').map(v => `'${v.trim()}'`).join(', ');
+            const enums = this.getEnumValues().map(v => `'${v.replace(/'/g, "''")}'`).join(', ');
             if (dialect === 'mysql') {
                 columnDef = `${this.name} ${mappedType}(${enums})`;
             }
@@ -206,8 +209,8 @@ class Column {
             columnDef += ' NOT NULL PRIMARY KEY';
         }
 
-        // AUTO_INCREMENT
-        if (this.autoIncrement) {
+        // AUTO_INCREMENT, not for UUID keys generated by the application
+        if (this.autoIncrement && this.type.toUpperCase() !== 'UUID') {
             if (dialect === 'mysql') columnDef += ' AUTO_INCREMENT';
             else if (dialect === 'postgresql') columnDef = `${this.name} SERIAL`;
             else if (dialect === 'sqlite') columnDef += ' AUTOINCREMENT';
@@ -529,6 +532,61 @@ class Column {
         return this.length && withLengthTypes.includes(this.type);
     }
 
+    /**
+     * Checks if the column is an ENUM with declared values, generated as an enum type.
+     *
+     * @returns {boolean} True if the column is an ENUM with at least one value.
+     */
+    isEnum() {
+        return this.type.toUpperCase() === 'ENUM' && this.getEnumValues().length > 0;
+    }
+
+    /**
+     * Returns the declared ENUM/SET values of the column. The literals parsed from the DDL are used as they are;
+     * only a column without them, e.g. from an older project file, has its comma-separated `values` split.
+     *
+     * @returns {Array<string>} The values as stored in the database.
+     */
+    getEnumValues() {
+        if (Array.isArray(this.enumValues)) {
+            return this.enumValues;
+        }
+        if (!this.values) {
+            return [];
+        }
+        return this.values.split(',').map(value => value.trim()).filter(value => value !== '');
+    }
+
+    /**
+     * Returns the enum constants of the column. Each database literal is mapped to a valid
+     * Java and GraphQL identifier in upper snake case, e.g. `in progress` → `IN_PROGRESS`
+     * and `2fa` → `_2FA`. Duplicate identifiers get a numeric suffix.
+     *
+     * @returns {Array<{name: string, value: string}>} The constant names with their database literals.
+     */
+    getEnumConstants() {
+        const used = new Set();
+        return this.getEnumValues().map(value => {
+            let name = value
+                .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+                .replace(/[^a-zA-Z0-9]+/g, '_')
+                .replace(/^_+|_+$/g, '')
+                .toUpperCase();
+            if (name === '') {
+                name = 'EMPTY';
+            }
+            if (/^\d/.test(name)) {
+                name = '_' + name;
+            }
+            let unique = name;
+            for (let i = 2; used.has(unique); i++) {
+                unique = `${name}_${i}`;
+            }
+            used.add(unique);
+            return { name: unique, value: value };
+        });
+    }
+
     /**
      * Checks if the column has a valid default value.
      * 
@@ -537,4 +595,8 @@ class Column {
     hasDefault() {
         return this.default && this.default.toLowerCase() !== 'null';
     }
-}
\ No newline at end of file
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Column };
+}
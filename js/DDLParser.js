@@ -0,0 +1,1875 @@
+/**
+ * Dialects the DDL parser understands.
+ */
+const DDL_DIALECTS = ['mysql', 'postgresql', 'sqlite', 'sqlserver'];
+
+/**
+ * PostgreSQL serial pseudo-types, with the integer type of the column they create.
+ */
+const DDL_SERIAL_TYPES = {
+    SMALLSERIAL: 'SMALLINT',
+    SERIAL2: 'SMALLINT',
+    SERIAL: 'INTEGER',
+    SERIAL4: 'INTEGER',
+    BIGSERIAL: 'BIGINT',
+    SERIAL8: 'BIGINT'
+};
+
+/**
+ * Numeric column types. A quoted number given as default of one of them, like `'-1'::integer`, is kept as a number.
+ */
+const DDL_NUMERIC_TYPES = ['TINYINT', 'SMALLINT', 'MEDIUMINT', 'INT', 'INTEGER', 'BIGINT', 'INT2', 'INT4', 'INT8', 'DECIMAL', 'NUMERIC',
+    'REAL', 'FLOAT', 'FLOAT4', 'FLOAT8', 'DOUBLE', 'DOUBLE PRECISION', 'MONEY', 'SMALLMONEY'];
+
+/**
+ * Functions generating a UUID. A primary key with one of them as default is generated by the
+ * database, like an identity column.
+ */
+const DDL_UUID_FUNCTIONS = ['gen_random_uuid', 'uuid_generate_v1', 'uuid_generate_v1mc', 'uuid_generate_v4', 'uuidv4', 'uuidv7', 'newid', 'newsequentialid'];
+
+/**
+ * Maximum length of the SQL snippet shown with a diagnostic.
+ */
+const DDL_SNIPPET_LENGTH = 160;
+
+/**
+ * First keywords of the statements that do not change the tables. They are skipped without a warning.
+ */
+const DDL_NO_OP_STATEMENTS = ['SET', 'USE', 'INSERT', 'REPLACE', 'UPDATE', 'DELETE', 'MERGE', 'SELECT', 'WITH', 'VALUES', 'COPY',
+    'TRUNCATE', 'LOCK', 'UNLOCK', 'BEGIN', 'START', 'COMMIT', 'END', 'ROLLBACK', 'SAVEPOINT', 'RELEASE', 'GRANT', 'REVOKE',
+    'DENY', 'COMMENT', 'ANALYZE', 'VACUUM', 'OPTIMIZE', 'REINDEX', 'CHECKPOINT', 'PRAGMA', 'DECLARE', 'PRINT', 'FLUSH', 'SHOW',
+    'EXPLAIN'];
+
+/**
+ * Objects whose CREATE, ALTER and DROP statements do not change the tables. They are skipped without a warning.
+ */
+const DDL_NO_OP_OBJECTS = ['DATABASE', 'SCHEMA', 'SEQUENCE', 'VIEW', 'FUNCTION', 'PROCEDURE', 'PROC', 'TRIGGER', 'EVENT',
+    'EXTENSION', 'LANGUAGE', 'ROLE', 'USER', 'LOGIN', 'GROUP', 'DEFAULT', 'AGGREGATE', 'OPERATOR', 'CAST', 'COLLATION',
+    'CONVERSION', 'RULE', 'POLICY', 'PUBLICATION', 'SUBSCRIPTION', 'SERVER', 'STATISTICS', 'SYNONYM', 'INDEX', 'TABLESPACE',
+    'OWNED', 'AUTHORIZATION'];
+
+/**
+ * Objects of CREATE, ALTER and DROP statements that may change the tables, used to name a skipped statement.
+ */
+const DDL_TABLE_OBJECTS = ['TABLE', 'TYPE', 'DOMAIN'];
+
+/**
+ * Keywords starting a column option. In SQLite, where the type is optional and may have several words,
+ * they end the type name.
+ */
+const DDL_COLUMN_OPTION_KEYWORDS = ['CONSTRAINT', 'PRIMARY', 'NOT', 'NULL', 'UNIQUE', 'CHECK', 'DEFAULT', 'COLLATE',
+    'REFERENCES', 'GENERATED', 'AS', 'AUTOINCREMENT'];
+
+/**
+ * Parses the DDL of a SQL script or dump into table structures, keeping the native types of its dialect.
+ *
+ * A tokenizer splits the script into statements and a recursive-descent parser reads them, so commas and
+ * parentheses inside types, default values, comments and CHECK constraints are read correctly.
+ * MySQL, PostgreSQL, SQLite and SQL Server scripts are understood:
+ * - `CREATE TABLE`, with column and table constraints and the indexes declared with the table
+ * - `CREATE INDEX`
+ * - `ALTER TABLE`, applied to the table in statement order:
+ *   - `ADD [COLUMN]`, `DROP [COLUMN]`, `MODIFY` and `CHANGE` (MySQL) and `ALTER COLUMN ... TYPE` (PostgreSQL)
+ *     or `ALTER COLUMN name type` (SQL Server)
+ *   - `ADD [CONSTRAINT] PRIMARY KEY / FOREIGN KEY / UNIQUE / INDEX` and `DROP PRIMARY KEY / CONSTRAINT /
+ *     FOREIGN KEY / INDEX`
+ *   - `RENAME [TO]`, `RENAME COLUMN` and `RENAME CONSTRAINT / INDEX`
+ *   - the SQL Server `ADD CONSTRAINT ... DEFAULT ... FOR` and the `ALTER COLUMN ... SET DEFAULT /
+ *     ADD GENERATED AS IDENTITY / SET NOT NULL` forms written by pg_dump
+ * - `RENAME TABLE` (MySQL), `EXEC sp_rename` (SQL Server) and `DROP TABLE`
+ * - `CREATE TYPE ... AS ENUM` and `CREATE DOMAIN` (PostgreSQL), used by the columns of these types
+ *
+ * Renaming a table or a column also renames it in the foreign keys and indexes referring to it.
+ * Other statements are skipped: those known not to change the tables (SET, INSERT, CREATE FUNCTION, GRANT, ...)
+ * silently, the others with a warning.
+ * Schema names are dropped from table and type names.
+ *
+ * Migrations are parsed with {@link DDLParser#parseScripts}, which applies several scripts in order to the same tables.
+ *
+ * Problems do not stop the import: a statement that cannot be parsed is skipped, and every problem is
+ * reported in {@link DDLParser#diagnostics} with its line and column.
+ *
+ * The tables are the table information of {@link TableParser#getResult}, which
+ * {@link SQLParser#createEntitiesFromSQL} turns into entities.
+ *
+ * @class
+ */
+class DDLParser {
+    /**
+     * Creates a DDL parser.
+     *
+     * @param {Object} [options] - The parser options.
+     * @param {string} [options.dialect] - The SQL dialect of the script, one of {@link DDL_DIALECTS}.
+     *        Detected from each script when omitted.
+     * @throws {Error} If the dialect is not supported.
+     */
+    constructor(options = {}) {
+        this.dialect = options.dialect || null;
+        if (this.dialect !== null && !DDL_DIALECTS.includes(this.dialect)) {
+            throw new Error(`Unsupported SQL dialect "${this.dialect}". Use one of: ${DDL_DIALECTS.join(', ')}`);
+        }
+        this.classes = {
+            SQLTokenizer: typeof SQLTokenizer === 'undefined' ? require('./SQLTokenizer.js').SQLTokenizer : SQLTokenizer,
+            SQLSyntaxError: typeof SQLSyntaxError === 'undefined' ? require('./SQLTokenizer.js').SQLSyntaxError : SQLSyntaxError,
+            TableParser: typeof TableParser === 'undefined' ? require('./TableParser.js').TableParser : TableParser
+        };
+        this.tableParser = new this.classes.TableParser();
+        this.tables = [];
+        this.locations = new Map();
+        this.diagnostics = [];
+    }
+
+    /**
+     * Detects the SQL dialect of a script from syntax that only one dialect has: the pg_dump header,
+     * enum types, identity columns, `::` casts and `nextval` for PostgreSQL; `GO` lines, `[dbo]`
+     * and `IDENTITY(1,1)` for SQL Server; `AUTOINCREMENT`, `WITHOUT ROWID` and `PRAGMA` for SQLite.
+     *
+     * @param {string} sql - The SQL text.
+     * @returns {string} The dialect, "mysql" when nothing else is recognized.
+     */
+    detectDialect(sql) {
+        const text = String(sql ?? '');
+        const patterns = {
+            postgresql: [
+                /^--\s*PostgreSQL database dump/mi,
+                /\bCREATE\s+TYPE\s+[\w."]+\s+AS\s+ENUM\b/i,
+                /\bGENERATED\s+(ALWAYS|BY\s+DEFAULT)\s+AS\s+IDENTITY\b/i,
+                /'::[a-z"]/i,
+                /\b(nextval|gen_random_uuid|uuid_generate_v[14])\s*\(/i,
+                /\bSET\s+search_path\b/i
+            ],
+            sqlserver: [
+                /^\s*GO\s*$/mi,
+                /\[dbo\]\s*\./i,
+                /\bIDENTITY\s*\(\s*\d+\s*,\s*\d+\s*\)/i,
+                /\bSET\s+ANSI_NULLS\b/i
+            ],
+            sqlite: [
+                /\bAUTOINCREMENT\b/i,
+                /\bWITHOUT\s+ROWID\b/i,
+                /^\s*PRAGMA\s/mi
+            ]
+        };
+        const dialect = Object.keys(patterns).find(key => patterns[key].some(pattern => pattern.test(text)));
+        return dialect || 'mysql';
+    }
+
+    /**
+     * Parses SQL DDL. The problems found are in {@link DDLParser#diagnostics} afterwards.
+     *
+     * @param {string} sql - The SQL text.
+     * @returns {Array<{tableName: string, columns: Array<Object>, primaryKey: ?string, foreignKeys: Array<Object>, indexes: Array<Object>, migration: ?string}>}
+     *          The tables in the order they are created. Each column has `Field`, `Type`, `Length`, `Key`, `Nullable`,
+     *          `Default`, `AutoIncrement`, `EnumValues`, `EnumType` and `Comment`; each index has `name`, `columns` and `unique`.
+     */
+    parse(sql) {
+        return this.parseScripts([{ name: null, sql: sql }]);
+    }
+
+    /**
+     * Parses several SQL scripts one after the other into the same tables, e.g. the migrations of
+     * Flyway or Liquibase: each script creates and alters the tables left by the scripts before it.
+     * The dialect is detected from all scripts together.
+     *
+     * The problems found have the `file` of their script, and each table has the name of the
+     * last script that created or altered it as `migration`.
+     *
+     * @param {Array<{name: ?string, file?: string, sql: string}>} scripts - The scripts, in the order they are applied.
+     *        `file` is the path of the file holding the SQL, when it differs from the name of the script.
+     * @returns {Array<Object>} The tables, as returned by {@link DDLParser#parse}.
+     */
+    parseScripts(scripts) {
+        const sources = scripts.map(script => ({ name: script.name ?? null, file: script.file ?? script.name ?? null, sql: String(script.sql ?? ''), lines: null }));
+        this.currentDialect = this.dialect || this.detectDialect(sources.map(source => source.sql).join('\n'));
+        this.tables = [];
+        this.types = {};
+        this.generatedDefaults = new Set();
+        this.withoutRowid = new Set();
+        this.primaryKeyNames = new Map();
+        this.placement = null;
+        this.locations = new Map();
+        this.diagnostics = [];
+        sources.forEach(source => this.parseSource(source));
+        this.tables.forEach(table => this.finishTable(table));
+        return this.tables;
+    }
+
+    /**
+     * Parses the statements of one script. The tokens keep their script, so that the positions recorded
+     * for the tables and columns can be shown with the right SQL line.
+     *
+     * @param {{name: ?string, file: ?string, sql: string, lines: ?string[]}} source - The script.
+     * @returns {void}
+     */
+    parseSource(source) {
+        this.source = source;
+        this.sql = source.sql;
+        const tokenizer = new this.classes.SQLTokenizer({ dialect: this.currentDialect });
+        let tokens;
+        try {
+            tokens = tokenizer.tokenize(this.sql);
+        } catch (e) {
+            if (!(e instanceof this.classes.SQLSyntaxError)) {
+                throw e;
+            }
+            // The statements before the unterminated string or comment are still read,
+            // the statement containing it is skipped
+            this.addDiagnostic('error', `${e.reason}; the statement is skipped`, e);
+            tokens = tokenizer.tokenize(this.sql.substring(0, e.offset));
+            while (tokens.length > 0 && tokens[tokens.length - 1].type !== 'delimiter') {
+                tokens.pop();
+            }
+        }
+        tokens.forEach(token => {
+            token.source = source;
+        });
+        tokenizer.splitStatements(tokens).forEach(statement => {
+            this.tokens = statement;
+            this.pos = 0;
+            try {
+                this.parseStatement();
+            } catch (e) {
+                if (!(e instanceof this.classes.SQLSyntaxError)) {
+                    throw e;
+                }
+                this.addDiagnostic('error', `${e.reason}; the statement is skipped`, e);
+            }
+        });
+    }
+
+    /**
+     * Records a problem found while parsing.
+     *
+     * @param {string} severity - "error" or "warning".
+     * @param {string} message - The description of the problem.
+     * @param {{line: number, column: number}} at - The token or error giving the position.
+     * @returns {void}
+     */
+    addDiagnostic(severity, message, at) {
+        this.diagnostics.push(this.createDiagnostic(severity, message, at));
+    }
+
+    /**
+     * Creates a diagnostic with the SQL line it was found on. Long lines, e.g. of a dump without line breaks,
+     * are cut around the position.
+     *
+     * @param {string} severity - "error" or "warning".
+     * @param {string} message - The description of the problem.
+     * @param {{line: number, column: number, source?: Object}} at - The position in the parsed SQL. Tokens have
+     *        the `source` script they were read from; other positions are in the script being parsed.
+     * @returns {{severity: string, message: string, line: number, column: number, snippet: string, snippetColumn: number, file?: string}}
+     *          The diagnostic. `snippetColumn` is the 1-based position in the snippet; `file` is the file of the
+     *          script, when it has one.
+     */
+    createDiagnostic(severity, message, at) {
+        const source = at.source || this.source;
+        if (!source.lines) {
+            source.lines = source.sql.split(/\r?\n/);
+        }
+        let snippet = (source.lines[at.line - 1] || '').trimEnd();
+        let snippetColumn = at.column;
+        if (snippet.length > DDL_SNIPPET_LENGTH) {
+            const start = Math.max(0, Math.min(at.column - 1 - DDL_SNIPPET_LENGTH / 2, snippet.length - DDL_SNIPPET_LENGTH));
+            snippet = snippet.substring(start, start + DDL_SNIPPET_LENGTH);
+            snippetColumn -= start;
+        }
+        const diagnostic = { severity: severity, message: message, line: at.line, column: at.column, snippet: snippet, snippetColumn: snippetColumn };
+        if (source.file !== null) {
+            diagnostic.file = source.file;
+        }
+        return diagnostic;
+    }
+
+    /**
+     * Finds where a table or one of its columns is defined in the parsed SQL.
+     *
+     * @param {string} tableName - The table name.
+     * @param {?string} [columnName] - The column name, or null for the table.
+     * @returns {?{line: number, column: number}} The position of the name in its CREATE TABLE statement, or null.
+     */
+    locate(tableName, columnName = null) {
+        const key = columnName == null ? tableName : `${tableName}.${columnName}`;
+        return this.locations.get(key.toLowerCase()) || null;
+    }
+
+    /**
+     * Parses the statement in `this.tokens`.
+     *
+     * @returns {void}
+     */
+    parseStatement() {
+        if (this.acceptWords('CREATE')) {
+            this.acceptWords('OR', 'REPLACE');
+            while (this.acceptWord('GLOBAL', 'LOCAL', 'TEMPORARY', 'TEMP', 'UNLOGGED')) {
+                // Table options that do not change the columns
+            }
+            if (this.acceptWords('TABLE')) {
+                this.parseCreateTable();
+                return;
+            }
+            const unique = this.acceptWords('UNIQUE');
+            this.acceptWord('CLUSTERED', 'NONCLUSTERED', 'FULLTEXT', 'SPATIAL', 'BITMAP');
+            if (this.acceptWords('INDEX')) {
+                this.parseCreateIndex(unique);
+            } else if (this.acceptWords('TYPE')) {
+                this.parseCreateType();
+            } else if (this.acceptWords('DOMAIN')) {
+                this.parseCreateDomain();
+            } else {
+                this.skipStatement();
+            }
+        } else if (this.acceptWords('ALTER', 'TABLE')) {
+            this.parseAlterTable();
+        } else if (this.acceptWords('RENAME', 'TABLE')) {
+            this.parseRenameTable();
+        } else if (this.acceptWords('DROP', 'TABLE')) {
+            this.parseDropTable();
+        } else if (this.acceptWord('EXEC', 'EXECUTE')) {
+            this.parseExecute();
+        } else {
+            this.skipStatement();
+        }
+    }
+
+    /**
+     * Skips a statement the parser does not read. A statement known not to change the tables (see
+     * {@link DDL_NO_OP_STATEMENTS} and {@link DDL_NO_OP_OBJECTS}) is skipped silently, any other one
+     * is reported with a warning, as the tables may differ from the database.
+     *
+     * @returns {void}
+     */
+    skipStatement() {
+        const first = this.tokens[0];
+        const keyword = first.type === 'word' ? first.value.toUpperCase() : null;
+        let statement = keyword || first.value;
+        if (['CREATE', 'ALTER', 'DROP'].includes(keyword)) {
+            // The object follows modifiers such as OR REPLACE, UNIQUE or the MySQL DEFINER = user
+            const object = this.tokens.slice(1).filter(token => token.type === 'word').map(token => token.value.toUpperCase())
+                .find(word => DDL_NO_OP_OBJECTS.includes(word) || DDL_TABLE_OBJECTS.includes(word));
+            // PostgreSQL does not drop a type or domain a column still uses
+            if (DDL_NO_OP_OBJECTS.includes(object) || (keyword === 'DROP' && ['TYPE', 'DOMAIN'].includes(object))) {
+                return;
+            }
+            statement = object ? `${keyword} ${object}` : keyword;
+        } else if (DDL_NO_OP_STATEMENTS.includes(keyword)) {
+            return;
+        }
+        this.addDiagnostic('warning', `${statement} statement is not supported; it is skipped`, first);
+        this.pos = this.tokens.length;
+    }
+
+    /**
+     * Parses a CREATE TABLE statement after the TABLE keyword. Tables created from a query,
+     * another table or as a partition have no column list and are skipped.
+     *
+     * @returns {void}
+     */
+    parseCreateTable() {
+        this.acceptWords('IF', 'NOT', 'EXISTS');
+        const nameToken = this.peek();
+        const name = this.parseQualifiedName();
+        if (!this.acceptSymbol('(')) {
+            this.addDiagnostic('warning', `Table ${name} has no column list (AS, LIKE or PARTITION OF); it is skipped`, nameToken);
+            return;
+        }
+        this.locations.set(name.toLowerCase(), nameToken);
+        const table = { tableName: name, columns: [], primaryKey: null, foreignKeys: [], indexes: [], migration: this.source.name };
+        const constraints = [];
+        if (!this.isSymbol(')')) {
+            do {
+                const constraint = this.parseTableElement(table);
+                if (constraint) {
+                    constraints.push(constraint);
+                }
+            } while (this.acceptSymbol(','));
+        }
+        this.expectSymbol(')');
+        // Table options (ENGINE, WITH, INHERITS, ON [PRIMARY], ...) do not change the columns, except that
+        // the INTEGER primary key of a SQLite table WITHOUT ROWID is not the row id
+        while (!this.atEnd()) {
+            if (this.acceptWords('WITHOUT', 'ROWID')) {
+                this.withoutRowid.add(table);
+            } else {
+                this.pos++;
+            }
+        }
+
+        // Constraints may name columns defined after them
+        constraints.forEach(constraint => this.applyConstraint(table, constraint));
+        const index = this.tables.findIndex(existing => existing.tableName === name);
+        if (index === -1) {
+            this.tables.push(table);
+        } else {
+            this.tables[index] = table;
+        }
+    }
+
+    /**
+     * Parses a column definition or a table constraint of a CREATE TABLE statement.
+     * Column definitions are added to the table, constraints are returned.
+     *
+     * @param {Object} table - The table being created.
+     * @returns {?Object} The table constraint (see {@link DDLParser#parseTableConstraint}), or null.
+     */
+    parseTableElement(table) {
+        const constrained = this.isWord('CONSTRAINT');
+        const constraint = this.parseTableConstraint(this.parseConstraintName());
+        if (constraint === null) {
+            if (constrained) {
+                this.error('Expected PRIMARY KEY, FOREIGN KEY, UNIQUE or CHECK');
+            }
+            if (!this.isWord('LIKE') && !this.isWord('PERIOD')) {
+                this.parseNewColumn(table);
+            }
+        }
+        this.skipToElementEnd();
+        return constraint;
+    }
+
+    /**
+     * Parses a table constraint, or an index declared in a CREATE TABLE statement (MySQL and SQL Server).
+     *
+     * @param {?string} name - The constraint name given after CONSTRAINT.
+     * @returns {?Object} The constraint: `{type: "primaryKey", name, columns}`, `{type: "foreignKey", foreignKey}`,
+     *          `{type: "index", index}` or `{type: "check"}`, each with the `token` it starts at;
+     *          null if no constraint starts here.
+     */
+    parseTableConstraint(name) {
+        const token = this.peek();
+        if (this.acceptWords('PRIMARY', 'KEY')) {
+            this.acceptWord('CLUSTERED', 'NONCLUSTERED');
+            this.acceptIndexType();
+            return { type: 'primaryKey', name: name, columns: this.parseIndexColumns(), token: token };
+        }
+        if (this.acceptWords('FOREIGN', 'KEY')) {
+            if (!this.isSymbol('(')) {
+                // MySQL index name
+                this.parseIdentifier();
+            }
+            const columns = this.parseIdentifierList();
+            return { type: 'foreignKey', foreignKey: this.parseReferences(name, columns), token: token };
+        }
+        if (this.acceptWord('CHECK', 'EXCLUDE')) {
+            return { type: 'check', token: token };
+        }
+        const unique = this.acceptWords('UNIQUE');
+        const index = (this.currentDialect === 'mysql' && this.acceptWord('FULLTEXT', 'SPATIAL'))
+            || this.isWord('KEY') && this.currentDialect === 'mysql'
+            || this.isWord('INDEX') && (this.currentDialect === 'mysql' || this.currentDialect === 'sqlserver');
+        if (!unique && !index) {
+            return null;
+        }
+        this.acceptWord('KEY', 'INDEX');
+        this.acceptWords('NULLS', 'NOT', 'DISTINCT') || this.acceptWords('NULLS', 'DISTINCT');
+        let indexName = name;
+        if (!this.isSymbol('(') && !this.isWord('USING') && !this.isWord('CLUSTERED') && !this.isWord('NONCLUSTERED')) {
+            indexName = this.parseIdentifier();
+        }
+        this.acceptWord('CLUSTERED', 'NONCLUSTERED');
+        this.acceptIndexType();
+        return { type: 'index', index: { name: indexName, columns: this.parseIndexColumns(), unique: unique }, token: token };
+    }
+
+    /**
+     * Applies a table constraint to a table. Column names that are not columns of the table are reported.
+     *
+     * @param {Object} table - The table.
+     * @param {Object} constraint - The constraint of {@link DDLParser#parseTableConstraint}.
+     * @returns {void}
+     */
+    applyConstraint(table, constraint) {
+        const columns = constraint.type === 'primaryKey' ? constraint.columns
+            : constraint.type === 'foreignKey' ? constraint.foreignKey.columns
+            : constraint.type === 'index' ? constraint.index.columns : [];
+        const resolved = columns.map(name => {
+            const column = this.findColumn(table, name);
+            if (!column) {
+                this.addDiagnostic('warning', `Column ${name} is not a column of table ${table.tableName}`, constraint.token);
+            }
+            return column ? column.Field : name;
+        });
+        if (constraint.type === 'primaryKey') {
+            this.setPrimaryKey(table, resolved);
+            // Kept for ALTER TABLE ... DROP CONSTRAINT name
+            this.primaryKeyNames.set(table, constraint.name);
+        } else if (constraint.type === 'foreignKey') {
+            constraint.foreignKey.columns = resolved;
+            table.foreignKeys.push(constraint.foreignKey);
+        } else if (constraint.type === 'index') {
+            constraint.index.columns = resolved;
+            table.indexes.push(constraint.index);
+        }
+    }
+
+    /**
+     * Parses a column definition: the name, the type and the column options.
+     * Unknown options are reported and the rest of the definition is skipped.
+     * The MySQL FIRST or AFTER placement of the column is kept in `this.placement`.
+     *
+     * @param {Object} table - The table of the column.
+     * @returns {?Object} The column, or null for a SQL Server computed column, which has no type.
+     */
+    parseColumnDefinition(table) {
+        this.placement = null;
+        const nameToken = this.peek();
+        const name = this.parseIdentifier();
+        if (this.isWord('AS') && this.currentDialect === 'sqlserver') {
+            this.addDiagnostic('warning', `Computed column ${table.tableName}.${name} has no type and is skipped`, nameToken);
+            return null;
+        }
+        const column = this.createColumn(name, this.parseDataType());
+        while (!this.atEnd() && !this.isSymbol(',') && !this.isSymbol(')')) {
+            if (!this.parseColumnOption(table, column)) {
+                this.addDiagnostic('warning', `Unknown option "${this.peek().value}" of column ${table.tableName}.${name} is ignored`, this.peek());
+                break;
+            }
+        }
+        return column;
+    }
+
+    /**
+     * Parses a column definition and adds the column to the table.
+     *
+     * @param {Object} table - The table.
+     * @param {boolean} [ifNotExists=false] - Whether an existing column is kept silently (ADD COLUMN IF NOT EXISTS).
+     * @returns {void}
+     */
+    parseNewColumn(table, ifNotExists = false) {
+        const nameToken = this.peek();
+        const column = this.parseColumnDefinition(table);
+        if (column === null || (ifNotExists && this.findColumn(table, column.Field))) {
+            return;
+        }
+        if (this.findColumn(table, column.Field)) {
+            this.addDiagnostic('warning', `Column ${column.Field} is defined twice in table ${table.tableName}`, nameToken);
+            return;
+        }
+        table.columns.splice(this.getPlacementIndex(table, table.columns.length), 0, column);
+        this.locations.set(`${table.tableName}.${column.Field}`.toLowerCase(), nameToken);
+    }
+
+    /**
+     * Finds where a column goes, from the FIRST or AFTER placement of its definition.
+     *
+     * @param {Object} table - The table.
+     * @param {number} defaultIndex - The index used without placement.
+     * @returns {number} The index of the column in the table.
+     */
+    getPlacementIndex(table, defaultIndex) {
+        if (this.placement !== null && this.placement.first) {
+            return 0;
+        }
+        const after = this.placement !== null && this.placement.after ? this.findColumn(table, this.placement.after) : null;
+        return after ? table.columns.indexOf(after) + 1 : defaultIndex;
+    }
+
+    /**
+     * Parses one column option, e.g. NOT NULL, DEFAULT, PRIMARY KEY, REFERENCES or AUTO_INCREMENT.
+     *
+     * @param {Object} table - The table of the column.
+     * @param {Object} column - The column being defined.
+     * @returns {boolean} False if no known option starts here.
+     */
+    parseColumnOption(table, column) {
+        const constrained = this.isWord('CONSTRAINT');
+        const constraintName = this.parseConstraintName();
+        if (this.acceptWords('NOT', 'NULL')) {
+            column.Nullable = false;
+        } else if (this.acceptWords('NULL')) {
+            column.Nullable = true;
+        } else if (this.acceptWords('PRIMARY', 'KEY') || (this.currentDialect === 'mysql' && this.acceptWords('KEY'))) {
+            column.Key = true;
+            if (constraintName !== null) {
+                this.primaryKeyNames.set(table, constraintName);
+            }
+            this.acceptWord('ASC', 'DESC');
+            this.acceptWord('CLUSTERED', 'NONCLUSTERED');
+        } else if (this.acceptWords('UNIQUE')) {
+            this.acceptWords('KEY');
+        } else if (this.acceptWords('DEFAULT')) {
+            this.setDefault(column, this.parseExpression());
+        } else if (this.acceptWords('GENERATED')) {
+            this.parseGenerated(column);
+        } else if (this.acceptWords('AS')) {
+            // Computed column (MySQL and SQLite)
+            this.skipParentheses();
+            this.acceptWord('STORED', 'VIRTUAL', 'PERSISTED');
+        } else if (this.isWord('REFERENCES')) {
+            table.foreignKeys.push(this.parseReferences(constraintName, [column.Field]));
+        } else if (this.acceptWords('CHECK')) {
+            this.skipParentheses();
+            this.acceptWords('NO', 'INHERIT');
+        } else if (this.acceptWord('AUTO_INCREMENT', 'AUTOINCREMENT')) {
+            column.AutoIncrement = true;
+        } else if (this.acceptWords('IDENTITY')) {
+            column.AutoIncrement = true;
+            if (this.isSymbol('(')) {
+                // Seed and increment
+                this.skipParentheses();
+            }
+        } else if (this.acceptWords('COMMENT')) {
+            column.Comment = this.expectType('string').value;
+        } else if (this.acceptWords('ON', 'UPDATE')) {
+            // MySQL ON UPDATE CURRENT_TIMESTAMP
+            this.parseExpression();
+        } else if (this.acceptWords('ON', 'CONFLICT')) {
+            this.next();
+        } else if (this.acceptWords('CHARACTER', 'SET') || this.acceptWord('CHARSET', 'COLLATE', 'COMPRESSION', 'STORAGE', 'COLUMN_FORMAT')) {
+            this.parseQualifiedName();
+        } else if (this.currentDialect === 'mysql' && this.acceptWords('FIRST')) {
+            // Placement of a column added or modified by ALTER TABLE
+            this.placement = { first: true };
+        } else if (this.currentDialect === 'mysql' && this.acceptWords('AFTER')) {
+            this.placement = { after: this.parseIdentifier() };
+        } else if (this.acceptWords('NOT', 'FOR', 'REPLICATION')
+            || this.acceptWord('VISIBLE', 'INVISIBLE', 'ROWGUIDCOL', 'SPARSE', 'FILESTREAM')) {
+            // Options that do not change the model
+        } else if (!this.acceptConstraintTiming()) {
+            if (constrained) {
+                this.error('Expected a column constraint');
+            }
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Parses the name after a CONSTRAINT keyword. MySQL allows CONSTRAINT without a name.
+     *
+     * @returns {?string} The constraint name, or null if there is none.
+     */
+    parseConstraintName() {
+        if (!this.acceptWords('CONSTRAINT')) {
+            return null;
+        }
+        return ['PRIMARY', 'FOREIGN', 'UNIQUE', 'CHECK'].some(word => this.isWord(word)) ? null : this.parseIdentifier();
+    }
+
+    /**
+     * Creates a column from its name and parsed type.
+     *
+     * - Serial types become their integer type with auto increment.
+     * - ENUM and SET columns and the columns of an enum type get the values.
+     * - Domains are replaced by their base type.
+     * - NUMERIC and DECIMAL keep precision and scale as length and values.
+     * - `VARCHAR(MAX)` and `NVARCHAR(MAX)` become TEXT.
+     *
+     * @param {string} name - The column name.
+     * @param {{name: string, params: string[], quoted: boolean, array: boolean}} type - The parsed type.
+     * @returns {Object} The column, in the shape of the columns of {@link TableParser#getResult}.
+     */
+    createColumn(name, type) {
+        const column = {
+            Field: name,
+            Type: type.name + (type.array ? '[]' : ''),
+            Length: type.params.length > 0 ? type.params[0] : null,
+            Key: false,
+            Nullable: true,
+            Default: null,
+            AutoIncrement: false,
+            EnumValues: null,
+            EnumType: null,
+            Comment: null
+        };
+        const userType = type.array ? null : this.types[type.name.toLowerCase()];
+        const quote = value => `'${value.split("'").join("''")}'`;
+        if (userType && userType.values) {
+            column.Type = 'ENUM';
+            column.Length = userType.values.map(quote).join(',');
+            column.EnumValues = userType.values;
+            column.EnumType = userType.name;
+        } else if (userType) {
+            const base = this.createColumn(name, userType.type);
+            base.Nullable = !userType.notNull;
+            base.Default = userType.defaultValue;
+            return base;
+        } else if (type.array) {
+            return column;
+        } else if ((type.name === 'ENUM' || type.name === 'SET') && type.quoted) {
+            column.Length = type.params.map(quote).join(',');
+            column.EnumValues = type.params;
+        } else if (DDL_SERIAL_TYPES[type.name]) {
+            column.Type = DDL_SERIAL_TYPES[type.name];
+            column.AutoIncrement = true;
+        } else if ((type.name === 'NUMERIC' || type.name === 'DECIMAL') && type.params.length > 0) {
+            // Precision and scale
+            column.Length = type.params.join(',');
+        } else if (/^N?VARCHAR$/.test(type.name) && column.Length === 'MAX') {
+            column.Type = 'TEXT';
+            column.Length = null;
+        }
+        return column;
+    }
+
+    /**
+     * Parses the rest of a GENERATED column option: an identity column, or a computed column
+     * whose expression is skipped.
+     *
+     * @param {Object} column - The column being defined.
+     * @returns {void}
+     */
+    parseGenerated(column) {
+        if (!this.acceptWords('ALWAYS')) {
+            this.acceptWords('BY', 'DEFAULT');
+        }
+        if (this.acceptWords('AS', 'IDENTITY')) {
+            column.AutoIncrement = true;
+            if (this.isSymbol('(')) {
+                // Sequence options
+                this.skipParentheses();
+            }
+        } else {
+            this.expectWords('AS');
+            this.skipParentheses();
+            this.acceptWord('STORED', 'VIRTUAL');
+        }
+    }
+
+    /**
+     * Sets the default value of a column from its expression. A `nextval(...)` default makes the column
+     * auto increment; casts are removed and the value is normalized like the defaults of {@link TableParser}.
+     *
+     * @param {Object} column - The column.
+     * @param {Array<Object>} tokens - The tokens of the default expression, without the casts.
+     * @returns {void}
+     */
+    setDefault(column, tokens) {
+        while (tokens.length > 2 && tokens[0].value === '(' && this.findClosing(tokens, 0) === tokens.length - 1) {
+            tokens = tokens.slice(1, -1);
+        }
+        const call = tokens.findIndex(token => token.type === 'symbol' && token.value === '(');
+        const functionName = call > 0 && tokens[call - 1].type === 'word' ? tokens[call - 1].value.toLowerCase() : null;
+        if (functionName === 'nextval') {
+            column.AutoIncrement = true;
+            column.Default = null;
+            return;
+        }
+        if (DDL_UUID_FUNCTIONS.includes(functionName)) {
+            this.generatedDefaults.add(column);
+        }
+        const numeric = DDL_NUMERIC_TYPES.includes(column.Type.toUpperCase());
+        let text = '';
+        tokens.forEach((token, index) => {
+            if (index > 0 && tokens[index - 1].end !== token.start) {
+                text += ' ';
+            }
+            if (token.type !== 'string') {
+                text += this.sql.substring(token.start, token.end);
+            } else if (numeric && this.tableParser.isNumber(token.value.trim())) {
+                text += token.value.trim();
+            } else {
+                // Strings are written with single quotes, whatever their quoting in the script
+                text += `'${token.value.split("'").join("''")}'`;
+            }
+        });
+        column.Default = this.tableParser.fixDefaultValue(text, column.Type, column.Length);
+    }
+
+    /**
+     * Sets the primary key of a table, replacing the previous one.
+     *
+     * @param {Object} table - The table.
+     * @param {string[]} columns - The names of the primary key columns.
+     * @returns {void}
+     */
+    setPrimaryKey(table, columns) {
+        table.columns.forEach(column => {
+            column.Key = columns.includes(column.Field);
+        });
+    }
+
+    /**
+     * Completes a table after all statements are parsed:
+     * - primary key columns are not nullable
+     * - a UUID primary key with a generated default is generated by the database
+     * - in SQLite, a single INTEGER primary key is the auto-incremented row id, unless the table is WITHOUT ROWID
+     *
+     * @param {Object} table - The table.
+     * @returns {void}
+     */
+    finishTable(table) {
+        const keys = table.columns.filter(column => column.Key);
+        keys.forEach(column => {
+            column.Nullable = false;
+            if (this.generatedDefaults.has(column)) {
+                column.AutoIncrement = true;
+            }
+        });
+        if (this.currentDialect === 'sqlite' && keys.length === 1 && keys[0].Type === 'INTEGER' && !this.withoutRowid.has(table)) {
+            keys[0].AutoIncrement = true;
+        }
+        table.primaryKey = keys.length > 0 ? keys[0].Field : null;
+    }
+
+    /**
+     * Parses a REFERENCES clause with its referential actions.
+     *
+     * @param {?string} name - The constraint name.
+     * @param {string[]} columns - The referencing columns.
+     * @returns {{name: ?string, columns: string[], referencedTable: string, referencedColumns: string[], onDelete: ?string, onUpdate: ?string}}
+     *          The foreign key.
+     */
+    parseReferences(name, columns) {
+        this.expectWords('REFERENCES');
+        const foreignKey = {
+            name: name,
+            columns: columns,
+            referencedTable: this.parseQualifiedName(),
+            referencedColumns: this.isSymbol('(') ? this.parseIdentifierList() : [],
+            onDelete: null,
+            onUpdate: null
+        };
+        for (;;) {
+            if (this.acceptWords('ON', 'DELETE')) {
+                foreignKey.onDelete = this.parseReferentialAction();
+            } else if (this.acceptWords('ON', 'UPDATE')) {
+                foreignKey.onUpdate = this.parseReferentialAction();
+            } else if (this.acceptWords('MATCH')) {
+                this.acceptWord('FULL', 'PARTIAL', 'SIMPLE');
+            } else if (!this.acceptConstraintTiming() && !this.acceptWords('NOT', 'FOR', 'REPLICATION')) {
+                return foreignKey;
+            }
+        }
+    }
+
+    /**
+     * Parses a referential action after ON DELETE or ON UPDATE.
+     *
+     * @returns {string} The action in upper case, e.g. "CASCADE" or "SET NULL".
+     */
+    parseReferentialAction() {
+        let action;
+        if (this.acceptWords('NO', 'ACTION')) {
+            action = 'NO ACTION';
+        } else if (this.acceptWords('SET', 'NULL')) {
+            action = 'SET NULL';
+        } else if (this.acceptWords('SET', 'DEFAULT')) {
+            action = 'SET DEFAULT';
+        } else {
+            action = this.acceptWord('CASCADE', 'RESTRICT');
+            if (!action) {
+                this.error('Expected a referential action');
+            }
+        }
+        if (action.startsWith('SET') && this.isSymbol('(')) {
+            // Column list of SET NULL / SET DEFAULT
+            this.skipParentheses();
+        }
+        return action;
+    }
+
+    /**
+     * Accepts the DEFERRABLE, INITIALLY and NOT VALID options of a constraint.
+     *
+     * @returns {boolean} True if an option was read.
+     */
+    acceptConstraintTiming() {
+        if (this.acceptWords('DEFERRABLE') || this.acceptWords('NOT', 'DEFERRABLE') || this.acceptWords('NOT', 'VALID')) {
+            return true;
+        }
+        if (this.acceptWords('INITIALLY')) {
+            this.acceptWord('DEFERRED', 'IMMEDIATE');
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Accepts the index method of MySQL (`USING BTREE`) and PostgreSQL (`USING gin`).
+     *
+     * @returns {void}
+     */
+    acceptIndexType() {
+        if (this.acceptWords('USING')) {
+            this.parseIdentifier();
+        }
+    }
+
+    /**
+     * Parses a CREATE INDEX statement after the INDEX keyword and adds the index to its table.
+     *
+     * @param {boolean} unique - Whether it is a unique index.
+     * @returns {void}
+     */
+    parseCreateIndex(unique) {
+        this.acceptWords('CONCURRENTLY');
+        this.acceptWords('IF', 'NOT', 'EXISTS');
+        const name = this.isWord('ON') || this.isWord('USING') ? null : this.parseQualifiedName();
+        this.acceptIndexType();
+        this.expectWords('ON');
+        this.acceptWords('ONLY');
+        const token = this.peek();
+        const table = this.findTable(this.parseQualifiedName(), token);
+        this.acceptIndexType();
+        const columns = this.parseIndexColumns();
+        if (table) {
+            table.migration = this.source.name;
+            this.applyConstraint(table, { type: 'index', index: { name: name, columns: columns, unique: unique }, token: token });
+        }
+    }
+
+    /**
+     * Parses a CREATE TYPE statement after the TYPE keyword. Only enum types are kept.
+     *
+     * @returns {void}
+     */
+    parseCreateType() {
+        const name = this.parseQualifiedName();
+        if (!this.acceptWords('AS', 'ENUM')) {
+            return;
+        }
+        this.expectSymbol('(');
+        const values = [];
+        while (!this.isSymbol(')')) {
+            values.push(this.expectType('string').value);
+            if (!this.acceptSymbol(',')) {
+                break;
+            }
+        }
+        this.expectSymbol(')');
+        this.types[name.toLowerCase()] = { name: name, values: values };
+    }
+
+    /**
+     * Parses a CREATE DOMAIN statement after the DOMAIN keyword.
+     *
+     * @returns {void}
+     */
+    parseCreateDomain() {
+        const name = this.parseQualifiedName();
+        this.acceptWords('AS');
+        const domain = { type: this.parseDataType(), notNull: false, defaultValue: null };
+        while (!this.atEnd()) {
+            if (this.acceptWords('NOT', 'NULL')) {
+                domain.notNull = true;
+            } else if (this.acceptWords('DEFAULT')) {
+                const column = this.createColumn(name, domain.type);
+                this.setDefault(column, this.parseExpression());
+                domain.defaultValue = column.Default;
+            } else {
+                this.pos++;
+            }
+        }
+        this.types[name.toLowerCase()] = domain;
+    }
+
+    /**
+     * Parses an ALTER TABLE statement after the TABLE keyword. Its actions are applied to the table one
+     * after the other.
+     *
+     * @returns {void}
+     */
+    parseAlterTable() {
+        this.acceptWords('IF', 'EXISTS');
+        this.acceptWords('ONLY');
+        const token = this.peek();
+        const table = this.findTable(this.parseQualifiedName(), token);
+        if (!table) {
+            return;
+        }
+        table.migration = this.source.name;
+        let action = null;
+        do {
+            action = this.parseAlterTableAction(table, action);
+            this.skipToElementEnd();
+        } while (this.acceptSymbol(','));
+    }
+
+    /**
+     * Parses one action of an ALTER TABLE statement and applies it to the table.
+     * Actions that do not change the model (ENGINE, OWNER TO, ENABLE TRIGGER, ...) are ignored.
+     *
+     * @param {Object} table - The altered table.
+     * @param {?string} previous - The previous action of the statement. In SQL Server, the elements following
+     *        ADD, DROP COLUMN or DROP CONSTRAINT continue that action: `DROP COLUMN a, b`.
+     * @returns {?string} The action: "ADD", "DROP COLUMN", "DROP CONSTRAINT", another keyword, or null.
+     */
+    parseAlterTableAction(table, previous) {
+        // SQL Server: WITH CHECK ADD CONSTRAINT ...
+        this.acceptWords('WITH', 'CHECK') || this.acceptWords('WITH', 'NOCHECK');
+        if (this.currentDialect === 'sqlserver' && previous !== null
+            && !['ADD', 'DROP', 'ALTER', 'WITH', 'CHECK', 'NOCHECK', 'ENABLE', 'DISABLE', 'SET', 'REBUILD', 'SWITCH'].some(word => this.isWord(word))) {
+            if (previous === 'ADD') {
+                this.parseAlterTableAdd(table);
+                return previous;
+            }
+            if (previous === 'DROP COLUMN' || previous === 'DROP CONSTRAINT') {
+                return this.parseAlterTableDrop(table, previous.substring(5));
+            }
+        }
+        if (this.acceptWords('ADD')) {
+            this.parseAlterTableAdd(table);
+            return 'ADD';
+        }
+        if (this.acceptWords('DROP')) {
+            return this.parseAlterTableDrop(table, null);
+        }
+        const modify = this.acceptWord('MODIFY', 'CHANGE');
+        if (modify) {
+            this.parseModifyColumn(table, modify);
+            return modify;
+        }
+        if (this.acceptWords('ALTER')) {
+            this.parseAlterColumn(table);
+            return 'ALTER';
+        }
+        if (this.acceptWords('RENAME')) {
+            this.parseAlterTableRename(table);
+            return 'RENAME';
+        }
+        return null;
+    }
+
+    /**
+     * Parses the ADD action of an ALTER TABLE statement: a constraint, an index, a SQL Server default
+     * or one or more columns.
+     *
+     * @param {Object} table - The altered table.
+     * @returns {void}
+     */
+    parseAlterTableAdd(table) {
+        const constrained = this.isWord('CONSTRAINT');
+        const name = this.parseConstraintName();
+        if (constrained && this.acceptWords('DEFAULT')) {
+            // SQL Server default constraint: ADD CONSTRAINT name DEFAULT value FOR column
+            const tokens = this.parseExpression();
+            this.expectWords('FOR');
+            const column = this.findColumn(table, this.parseIdentifier(), this.tokens[this.pos - 1]);
+            if (column) {
+                this.setDefault(column, tokens);
+            }
+            return;
+        }
+        const constraint = this.parseTableConstraint(name);
+        if (constraint) {
+            this.applyConstraint(table, constraint);
+            return;
+        }
+        if (constrained) {
+            this.error('Expected PRIMARY KEY, FOREIGN KEY, UNIQUE, CHECK or DEFAULT');
+        }
+        this.acceptWords('COLUMN');
+        const ifNotExists = this.acceptWords('IF', 'NOT', 'EXISTS');
+        if (!this.acceptSymbol('(')) {
+            this.parseNewColumn(table, ifNotExists);
+            return;
+        }
+        // MySQL: ADD (name type, ...)
+        do {
+            this.parseNewColumn(table, ifNotExists);
+            this.skipToElementEnd();
+        } while (this.acceptSymbol(','));
+        this.expectSymbol(')');
+    }
+
+    /**
+     * Parses the DROP action of an ALTER TABLE statement and removes the column, key, constraint or index.
+     * A column that is not in the table is reported, unless the action has IF EXISTS.
+     *
+     * @param {Object} table - The altered table.
+     * @param {?string} kind - "COLUMN" or "CONSTRAINT" when the DROP keywords are already read (SQL Server lists).
+     * @returns {string} The action: "DROP COLUMN", "DROP CONSTRAINT" or "DROP PRIMARY KEY".
+     */
+    parseAlterTableDrop(table, kind) {
+        if (kind === null) {
+            if (this.acceptWords('PRIMARY', 'KEY')) {
+                this.setPrimaryKey(table, []);
+                this.primaryKeyNames.delete(table);
+                return 'DROP PRIMARY KEY';
+            }
+            if (this.acceptWords('FOREIGN', 'KEY') || this.acceptWord('CONSTRAINT', 'INDEX', 'KEY', 'CHECK')) {
+                kind = 'CONSTRAINT';
+            } else {
+                this.acceptWords('COLUMN');
+                kind = 'COLUMN';
+            }
+        }
+        const ifExists = this.acceptWords('IF', 'EXISTS');
+        const token = this.peek();
+        const name = this.parseIdentifier();
+        if (kind === 'CONSTRAINT') {
+            this.dropConstraint(table, name);
+        } else {
+            const column = this.findColumn(table, name, ifExists ? undefined : token);
+            if (column) {
+                this.dropColumn(table, column);
+            }
+        }
+        return `DROP ${kind}`;
+    }
+
+    /**
+     * Parses a MySQL MODIFY or CHANGE action, which redefines a column.
+     *
+     * @param {Object} table - The altered table.
+     * @param {string} action - "MODIFY", or "CHANGE", which names the column before its new definition.
+     * @returns {void}
+     */
+    parseModifyColumn(table, action) {
+        this.acceptWords('COLUMN');
+        const oldToken = this.peek();
+        const oldName = action === 'CHANGE' ? this.parseIdentifier() : null;
+        const nameToken = this.peek();
+        const column = this.parseColumnDefinition(table);
+        const old = column === null ? null : this.findColumn(table, oldName ?? column.Field, action === 'CHANGE' ? oldToken : nameToken);
+        if (old) {
+            this.replaceColumn(table, old, column, nameToken);
+        }
+    }
+
+    /**
+     * Parses the ALTER COLUMN action of an ALTER TABLE statement: the PostgreSQL and MySQL SET / DROP forms,
+     * a PostgreSQL `TYPE`, or the SQL Server new type and nullability.
+     *
+     * @param {Object} table - The altered table.
+     * @returns {void}
+     */
+    parseAlterColumn(table) {
+        this.acceptWords('COLUMN');
+        const column = this.findColumn(table, this.parseIdentifier(), this.tokens[this.pos - 1]);
+        if (!column) {
+            return;
+        }
+        if (this.acceptWords('SET', 'DEFAULT')) {
+            this.setDefault(column, this.parseExpression());
+        } else if (this.acceptWords('DROP', 'DEFAULT')) {
+            column.Default = null;
+            this.generatedDefaults.delete(column);
+        } else if (this.acceptWords('SET', 'NOT', 'NULL')) {
+            column.Nullable = false;
+        } else if (this.acceptWords('DROP', 'NOT', 'NULL')) {
+            column.Nullable = true;
+        } else if (this.acceptWords('ADD', 'GENERATED')) {
+            this.parseGenerated(column);
+        } else if (this.acceptWords('DROP', 'IDENTITY')) {
+            column.AutoIncrement = false;
+        } else if (this.acceptWords('TYPE') || this.acceptWords('SET', 'DATA', 'TYPE')) {
+            // The USING expression is skipped with the rest of the action
+            this.setColumnType(column, this.parseDataType());
+        } else if (this.currentDialect === 'sqlserver' && !this.isWord('ADD') && !this.isWord('DROP')) {
+            // A SQL Server column without NOT NULL becomes nullable
+            this.setColumnType(column, this.parseDataType());
+            if (this.acceptWords('COLLATE')) {
+                this.parseIdentifier();
+            }
+            column.Nullable = !this.acceptWords('NOT', 'NULL');
+        }
+    }
+
+    /**
+     * Parses the RENAME action of an ALTER TABLE statement: the table (`RENAME TO new`, or `RENAME new` in MySQL),
+     * a column, a constraint or an index.
+     *
+     * @param {Object} table - The altered table.
+     * @returns {void}
+     */
+    parseAlterTableRename(table) {
+        if (this.acceptWord('TO', 'AS')) {
+            this.renameTable(table, this.parseQualifiedName());
+            return;
+        }
+        if (this.acceptWord('CONSTRAINT', 'INDEX', 'KEY')) {
+            const name = this.parseIdentifier();
+            this.expectWords('TO');
+            this.renameConstraint(table, name, this.parseIdentifier());
+            return;
+        }
+        const column = this.acceptWords('COLUMN');
+        const token = this.peek();
+        const name = this.parseQualifiedName();
+        if (!column && !this.isWord('TO')) {
+            this.renameTable(table, name);
+            return;
+        }
+        this.expectWords('TO');
+        const found = this.findColumn(table, name, token);
+        const newName = this.parseIdentifier();
+        if (found) {
+            this.renameColumn(table, found, newName);
+        }
+    }
+
+    /**
+     * Parses a MySQL RENAME TABLE statement, which renames one or more tables.
+     *
+     * @returns {void}
+     */
+    parseRenameTable() {
+        do {
+            const token = this.peek();
+            const table = this.findTable(this.parseQualifiedName(), token);
+            this.expectWords('TO');
+            const name = this.parseQualifiedName();
+            if (table) {
+                this.renameTable(table, name);
+            }
+        } while (this.acceptSymbol(','));
+    }
+
+    /**
+     * Parses a DROP TABLE statement and removes the tables. Tables that are not in the script are ignored:
+     * dumps drop every table before creating it.
+     *
+     * @returns {void}
+     */
+    parseDropTable() {
+        this.acceptWords('IF', 'EXISTS');
+        do {
+            const table = this.findTable(this.parseQualifiedName());
+            if (table) {
+                this.tables.splice(this.tables.indexOf(table), 1);
+            }
+        } while (this.acceptSymbol(','));
+    }
+
+    /**
+     * Parses the SQL Server `EXEC sp_rename 'table.column', 'new', 'COLUMN'` procedure call, which renames
+     * a table, a column or an index. Other procedures are skipped, with a warning unless they only set the
+     * extended properties holding the descriptions.
+     *
+     * @returns {void}
+     */
+    parseExecute() {
+        const procedure = this.parseQualifiedName().toLowerCase();
+        if (procedure !== 'sp_rename') {
+            if (!/^sp_(add|update|drop)extendedproperty$/.test(procedure)) {
+                this.skipStatement();
+            }
+            return;
+        }
+        // Positional or named (@objname = N'...') arguments
+        const args = this.tokens.slice(this.pos).filter(token => token.type === 'string').map(token => token.value);
+        if (args.length < 2) {
+            return;
+        }
+        const parts = args[0].split('.').map(part => part.replace(/^\[|\]$/g, ''));
+        const type = (args[2] || '').toUpperCase();
+        if (type === 'COLUMN' && parts.length >= 2) {
+            const table = this.findTable(parts[parts.length - 2], this.peek());
+            const column = table ? this.findColumn(table, parts[parts.length - 1], this.peek()) : null;
+            if (column) {
+                this.renameColumn(table, column, args[1]);
+                table.migration = this.source.name;
+            }
+        } else if (type === 'INDEX' && parts.length >= 2) {
+            const table = this.findTable(parts[parts.length - 2], this.peek());
+            if (table) {
+                this.renameConstraint(table, parts[parts.length - 1], args[1]);
+                table.migration = this.source.name;
+            }
+        } else if (type === '' || type === 'OBJECT') {
+            // A table, or a constraint
+            const name = parts[parts.length - 1];
+            const table = this.findTable(name);
+            if (table) {
+                this.renameTable(table, args[1]);
+            } else {
+                this.tables.forEach(other => this.renameConstraint(other, name, args[1]));
+            }
+        }
+        this.pos = this.tokens.length;
+    }
+
+    /**
+     * Replaces a column by its new definition (MySQL MODIFY and CHANGE). The column keeps its place, unless
+     * the definition has FIRST or AFTER, and stays in the primary key: MySQL does not drop keys on MODIFY.
+     *
+     * @param {Object} table - The table.
+     * @param {Object} old - The current column.
+     * @param {Object} column - The new definition.
+     * @param {Object} token - The token naming the column in the new definition.
+     * @returns {void}
+     */
+    replaceColumn(table, old, column, token) {
+        if (old.Field !== column.Field) {
+            this.renameColumn(table, old, column.Field);
+        }
+        const index = table.columns.indexOf(old);
+        table.columns.splice(index, 1);
+        column.Key = column.Key || old.Key;
+        table.columns.splice(this.getPlacementIndex(table, index), 0, column);
+        this.locations.set(`${table.tableName}.${column.Field}`.toLowerCase(), token);
+    }
+
+    /**
+     * Changes the type of a column (PostgreSQL ALTER COLUMN ... TYPE, SQL Server ALTER COLUMN).
+     *
+     * @param {Object} column - The column.
+     * @param {{name: string, params: string[], quoted: boolean, array: boolean}} type - The parsed type.
+     * @returns {void}
+     */
+    setColumnType(column, type) {
+        const changed = this.createColumn(column.Field, type);
+        column.Type = changed.Type;
+        column.Length = changed.Length;
+        column.EnumValues = changed.EnumValues;
+        column.EnumType = changed.EnumType;
+        column.AutoIncrement = column.AutoIncrement || changed.AutoIncrement;
+    }
+
+    /**
+     * Removes a column from a table, with the foreign keys using it. The column is removed from the indexes;
+     * an index left without columns is removed.
+     *
+     * @param {Object} table - The table.
+     * @param {Object} column - The column.
+     * @returns {void}
+     */
+    dropColumn(table, column) {
+        table.columns.splice(table.columns.indexOf(column), 1);
+        table.foreignKeys = table.foreignKeys.filter(foreignKey => !foreignKey.columns.includes(column.Field));
+        table.indexes.forEach(index => {
+            index.columns = index.columns.filter(name => name !== column.Field);
+        });
+        table.indexes = table.indexes.filter(index => index.columns.length > 0);
+        this.locations.delete(`${table.tableName}.${column.Field}`.toLowerCase());
+    }
+
+    /**
+     * Removes the foreign key, index or primary key with the given constraint name from a table.
+     * CHECK constraints are not kept, dropping them changes nothing.
+     *
+     * @param {Object} table - The table.
+     * @param {string} name - The constraint or index name.
+     * @returns {void}
+     */
+    dropConstraint(table, name) {
+        const named = other => other != null && other.toLowerCase() === name.toLowerCase();
+        table.foreignKeys = table.foreignKeys.filter(foreignKey => !named(foreignKey.name));
+        table.indexes = table.indexes.filter(index => !named(index.name));
+        if (named(this.primaryKeyNames.get(table))) {
+            this.setPrimaryKey(table, []);
+            this.primaryKeyNames.delete(table);
+        }
+    }
+
+    /**
+     * Renames a table, and the references to it in the foreign keys of all tables.
+     *
+     * @param {Object} table - The table.
+     * @param {string} name - The new name.
+     * @returns {void}
+     */
+    renameTable(table, name) {
+        const oldName = table.tableName.toLowerCase();
+        this.tables.forEach(other => other.foreignKeys.forEach(foreignKey => {
+            if (foreignKey.referencedTable.toLowerCase() === oldName) {
+                foreignKey.referencedTable = name;
+            }
+        }));
+        table.tableName = name;
+        table.migration = this.source.name;
+        Array.from(this.locations.keys())
+            .filter(key => key === oldName || key.startsWith(`${oldName}.`))
+            .forEach(key => {
+                const token = this.locations.get(key);
+                this.locations.delete(key);
+                this.locations.set(name.toLowerCase() + key.substring(oldName.length), token);
+            });
+    }
+
+    /**
+     * Renames a column, and the references to it in the indexes and foreign keys of its table and in the
+     * foreign keys of the tables referencing it.
+     *
+     * @param {Object} table - The table.
+     * @param {Object} column - The column.
+     * @param {string} name - The new name.
+     * @returns {void}
+     */
+    renameColumn(table, column, name) {
+        const oldName = column.Field.toLowerCase();
+        const rename = names => names.map(other => other.toLowerCase() === oldName ? name : other);
+        table.foreignKeys.forEach(foreignKey => {
+            foreignKey.columns = rename(foreignKey.columns);
+        });
+        table.indexes.forEach(index => {
+            index.columns = rename(index.columns);
+        });
+        this.tables.forEach(other => other.foreignKeys
+            .filter(foreignKey => foreignKey.referencedTable.toLowerCase() === table.tableName.toLowerCase())
+            .forEach(foreignKey => {
+                foreignKey.referencedColumns = rename(foreignKey.referencedColumns);
+            }));
+        column.Field = name;
+        const key = `${table.tableName}.${oldName}`.toLowerCase();
+        if (this.locations.has(key)) {
+            this.locations.set(`${table.tableName}.${name}`.toLowerCase(), this.locations.get(key));
+            this.locations.delete(key);
+        }
+    }
+
+    /**
+     * Renames a foreign key, index or primary key constraint of a table.
+     *
+     * @param {Object} table - The table.
+     * @param {string} oldName - The current name.
+     * @param {string} name - The new name.
+     * @returns {void}
+     */
+    renameConstraint(table, oldName, name) {
+        const named = other => other != null && other.toLowerCase() === oldName.toLowerCase();
+        table.foreignKeys.concat(table.indexes).filter(item => named(item.name)).forEach(item => {
+            item.name = name;
+        });
+        if (named(this.primaryKeyNames.get(table))) {
+            this.primaryKeyNames.set(table, name);
+        }
+    }
+
+    /**
+     * Finds a table created earlier in the script. Names are compared exactly first, then ignoring case.
+     *
+     * @param {string} name - The table name.
+     * @param {Object} [token] - The token naming the table. When given, a missing table is reported there.
+     * @returns {?Object} The table, or null.
+     */
+    findTable(name, token) {
+        const table = this.tables.find(existing => existing.tableName === name)
+            || this.tables.find(existing => existing.tableName.toLowerCase() === name.toLowerCase());
+        if (!table && token) {
+            this.addDiagnostic('warning', `Table ${name} is not created in the script; the statement is skipped`, token);
+        }
+        return table || null;
+    }
+
+    /**
+     * Finds a column of a table. Names are compared exactly first, then ignoring case.
+     *
+     * @param {Object} table - The table.
+     * @param {string} name - The column name.
+     * @param {Object} [token] - The token naming the column. When given, a missing column is reported there.
+     * @returns {?Object} The column, or null.
+     */
+    findColumn(table, name, token) {
+        const column = table.columns.find(existing => existing.Field === name)
+            || table.columns.find(existing => existing.Field.toLowerCase() === name.toLowerCase());
+        if (!column && token) {
+            this.addDiagnostic('warning', `Column ${name} is not a column of table ${table.tableName}`, token);
+        }
+        return column || null;
+    }
+
+    /**
+     * Parses a data type: multi-word types, type parameters, MySQL attributes, time zones and array suffixes.
+     * Schema-qualified type names lose their schema. In SQLite the type may be missing or have any
+     * number of words.
+     *
+     * @returns {{name: string, params: string[], quoted: boolean, array: boolean}} The type name in upper case,
+     *          e.g. "CHARACTER VARYING" or "TIMESTAMP WITH TIME ZONE"; its parameters, which are all strings for
+     *          ENUM and SET; and whether it is an array.
+     */
+    parseDataType() {
+        const sqlite = this.currentDialect === 'sqlite';
+        const isOption = () => DDL_COLUMN_OPTION_KEYWORDS.some(word => this.isWord(word));
+        const next = this.peek();
+        if (sqlite && (!next || (next.type !== 'word' && next.type !== 'identifier') || isOption())) {
+            // Column without a type
+            return { name: 'TEXT', params: [], quoted: false, array: false };
+        }
+        let name = this.parseQualifiedName().toUpperCase();
+        let word;
+        if (name === 'NATIONAL' && (word = this.acceptWord('CHARACTER', 'CHAR'))) {
+            name += ' ' + word;
+        }
+        if (name === 'DOUBLE' && this.acceptWords('PRECISION')) {
+            name += ' PRECISION';
+        } else if (/^(NATIONAL )?(CHARACTER|CHAR)$|^NCHAR$|^BIT$/.test(name) && this.acceptWords('VARYING')) {
+            name += ' VARYING';
+        } else if (name === 'LONG' && (word = this.acceptWord('VARCHAR', 'VARBINARY'))) {
+            name += ' ' + word;
+        }
+        while (sqlite && this.peek() && this.peek().type === 'word' && !isOption()) {
+            name += ' ' + this.next().value.toUpperCase();
+        }
+
+        const params = [];
+        let quoted = false;
+        if (this.acceptSymbol('(')) {
+            quoted = this.peek() != null && this.peek().type === 'string';
+            while (!this.isSymbol(')')) {
+                const token = this.next();
+                if (!token) {
+                    this.error('Expected )');
+                }
+                if (token.value === '-' && token.type === 'symbol') {
+                    params.push('-' + this.expectType('number').value);
+                } else if (token.type !== 'symbol' || token.value !== ',') {
+                    params.push(token.type === 'word' ? token.value.toUpperCase() : token.value);
+                }
+            }
+            this.expectSymbol(')');
+        }
+        while (this.acceptWord('UNSIGNED', 'SIGNED', 'ZEROFILL')) {
+            // MySQL attributes, the model has no unsigned types
+        }
+        if ((name === 'TIMESTAMP' || name === 'TIME') && (this.isWord('WITH') || this.isWord('WITHOUT'))) {
+            name += ' ' + this.next().value.toUpperCase() + ' TIME ZONE';
+            this.expectWords('TIME', 'ZONE');
+        } else if (name === 'INTERVAL') {
+            while (this.acceptWord('YEAR', 'MONTH', 'DAY', 'HOUR', 'MINUTE', 'SECOND', 'TO')) {
+                // Interval fields
+            }
+        }
+        let array = false;
+        while (this.currentDialect === 'postgresql' && (this.isSymbol('[') || this.isWord('ARRAY'))) {
+            array = true;
+            if (this.acceptWords('ARRAY') && !this.isSymbol('[')) {
+                break;
+            }
+            this.expectSymbol('[');
+            this.acceptType('number');
+            this.expectSymbol(']');
+        }
+        return { name: name, params: params, quoted: quoted, array: array };
+    }
+
+    /**
+     * Reads an expression, e.g. a default value, up to the next column option, comma or closing parenthesis.
+     *
+     * @returns {Array<Object>} The tokens of the expression, without `::type` casts at the top level.
+     */
+    parseExpression() {
+        const tokens = [];
+        let from = this.pos;
+        this.skipOperand();
+        for (;;) {
+            if (this.isSymbol('::')) {
+                tokens.push(...this.tokens.slice(from, this.pos));
+                this.pos++;
+                this.parseDataType();
+                from = this.pos;
+            } else if (this.peek() && this.peek().type === 'symbol' && !['(', ')', ',', '[', ']'].includes(this.peek().value)) {
+                this.pos++;
+                this.skipOperand();
+            } else {
+                break;
+            }
+        }
+        tokens.push(...this.tokens.slice(from, this.pos));
+        return tokens;
+    }
+
+    /**
+     * Skips an operand of an expression: a literal, a name, a function call or a parenthesized expression,
+     * with a leading sign.
+     *
+     * @returns {void}
+     */
+    skipOperand() {
+        const token = this.next();
+        if (!token) {
+            this.error('Expected an expression');
+        }
+        if (token.type === 'symbol' && token.value === '(') {
+            this.pos--;
+            this.skipParentheses();
+        } else if (token.type === 'symbol' && (token.value === '-' || token.value === '+')) {
+            this.skipOperand();
+        } else if (token.type === 'word' || token.type === 'identifier') {
+            while (this.acceptSymbol('.')) {
+                this.next();
+            }
+            if (this.isSymbol('(')) {
+                this.skipParentheses();
+            } else if (this.isSymbol('[') && this.currentDialect === 'postgresql') {
+                this.skipParentheses('[', ']');
+            } else if (token.type === 'word') {
+                // Typed literal, e.g. DATE '2024-01-01' or b'0'
+                this.acceptType('string');
+            }
+        } else if (token.type !== 'string' && token.type !== 'number') {
+            this.error('Expected an expression', token);
+        }
+    }
+
+    /**
+     * Skips a parenthesized group, including nested groups.
+     *
+     * @param {string} [open="("] - The opening symbol.
+     * @param {string} [close=")"] - The closing symbol.
+     * @returns {void}
+     * @throws {SQLSyntaxError} If the group is not opened or not closed.
+     */
+    skipParentheses(open = '(', close = ')') {
+        this.expectSymbol(open);
+        let depth = 1;
+        while (depth > 0) {
+            const token = this.next();
+            if (!token) {
+                this.error(`Expected ${close}`);
+            }
+            if (token.type === 'symbol' && token.value === open) {
+                depth++;
+            } else if (token.type === 'symbol' && token.value === close) {
+                depth--;
+            }
+        }
+    }
+
+    /**
+     * Skips to the comma or closing parenthesis ending the current element of a list.
+     *
+     * @returns {void}
+     */
+    skipToElementEnd() {
+        while (!this.atEnd() && !this.isSymbol(',') && !this.isSymbol(')')) {
+            if (this.isSymbol('(')) {
+                this.skipParentheses();
+            } else {
+                this.pos++;
+            }
+        }
+    }
+
+    /**
+     * Finds the closing parenthesis matching an opening one in a token list.
+     *
+     * @param {Array<Object>} tokens - The tokens.
+     * @param {number} index - The index of the opening parenthesis.
+     * @returns {number} The index of the closing parenthesis, or -1.
+     */
+    findClosing(tokens, index) {
+        let depth = 0;
+        for (let i = index; i < tokens.length; i++) {
+            if (tokens[i].type === 'symbol' && tokens[i].value === '(') {
+                depth++;
+            } else if (tokens[i].type === 'symbol' && tokens[i].value === ')' && --depth === 0) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Parses a parenthesized list of column names.
+     *
+     * @returns {string[]} The column names.
+     */
+    parseIdentifierList() {
+        this.expectSymbol('(');
+        const names = [];
+        do {
+            names.push(this.parseIdentifier());
+        } while (this.acceptSymbol(','));
+        this.expectSymbol(')');
+        return names;
+    }
+
+    /**
+     * Parses the column list of a key or an index. Sort orders, MySQL prefix lengths and operator classes
+     * are skipped, and expressions are left out.
+     *
+     * @returns {string[]} The column names.
+     */
+    parseIndexColumns() {
+        this.expectSymbol('(');
+        const names = [];
+        do {
+            const token = this.peek();
+            const call = this.peek(1) && this.peek(1).value === '(' && (!this.peek(2) || this.peek(2).type !== 'number');
+            if (token && (token.type === 'word' || token.type === 'identifier') && !call) {
+                names.push(this.parseIdentifier());
+            }
+            this.skipToElementEnd();
+        } while (this.acceptSymbol(','));
+        this.expectSymbol(')');
+        return names;
+    }
+
+    /**
+     * Parses a possibly schema-qualified name and returns its last part.
+     *
+     * @returns {string} The name without the schema.
+     */
+    parseQualifiedName() {
+        let name = this.parseIdentifier();
+        while (this.acceptSymbol('.')) {
+            name = this.parseIdentifier();
+        }
+        return name;
+    }
+
+    /**
+     * Parses an identifier. PostgreSQL folds unquoted identifiers to lower case, the other dialects keep them.
+     *
+     * @returns {string} The identifier.
+     */
+    parseIdentifier() {
+        const token = this.peek();
+        if (!token || (token.type !== 'word' && token.type !== 'identifier')) {
+            this.error('Expected a name');
+        }
+        this.pos++;
+        return token.type === 'word' && this.currentDialect === 'postgresql' ? token.value.toLowerCase() : token.value;
+    }
+
+    /**
+     * Returns a token of the current statement without consuming it.
+     *
+     * @param {number} [offset=0] - The offset from the current token.
+     * @returns {?Object} The token, or null past the end of the statement.
+     */
+    peek(offset = 0) {
+        return this.tokens[this.pos + offset] || null;
+    }
+
+    /**
+     * Consumes the current token.
+     *
+     * @returns {?Object} The token, or null at the end of the statement.
+     */
+    next() {
+        const token = this.peek();
+        if (token) {
+            this.pos++;
+        }
+        return token;
+    }
+
+    /**
+     * Tells whether the whole statement has been read.
+     *
+     * @returns {boolean} True at the end of the statement.
+     */
+    atEnd() {
+        return this.pos >= this.tokens.length;
+    }
+
+    /**
+     * Tells whether a token is the given keyword.
+     *
+     * @param {string} word - The keyword in upper case.
+     * @param {number} [offset=0] - The offset from the current token.
+     * @returns {boolean} True if the token is the keyword.
+     */
+    isWord(word, offset = 0) {
+        const token = this.peek(offset);
+        return token != null && token.type === 'word' && token.value.toUpperCase() === word;
+    }
+
+    /**
+     * Tells whether the current token is the given symbol.
+     *
+     * @param {string} symbol - The symbol.
+     * @returns {boolean} True if the token is the symbol.
+     */
+    isSymbol(symbol) {
+        const token = this.peek();
+        return token != null && token.type === 'symbol' && token.value === symbol;
+    }
+
+    /**
+     * Consumes a sequence of keywords if the statement continues with all of them.
+     *
+     * @param {...string} words - The keywords in upper case.
+     * @returns {boolean} True if the keywords were consumed.
+     */
+    acceptWords(...words) {
+        if (!words.every((word, index) => this.isWord(word, index))) {
+            return false;
+        }
+        this.pos += words.length;
+        return true;
+    }
+
+    /**
+     * Consumes one of the given keywords.
+     *
+     * @param {...string} words - The alternative keywords in upper case.
+     * @returns {?string} The keyword consumed, or null.
+     */
+    acceptWord(...words) {
+        const word = words.find(alternative => this.isWord(alternative));
+        if (word) {
+            this.pos++;
+        }
+        return word || null;
+    }
+
+    /**
+     * Consumes the given symbol.
+     *
+     * @param {string} symbol - The symbol.
+     * @returns {boolean} True if the symbol was consumed.
+     */
+    acceptSymbol(symbol) {
+        if (!this.isSymbol(symbol)) {
+            return false;
+        }
+        this.pos++;
+        return true;
+    }
+
+    /**
+     * Consumes a token of the given type.
+     *
+     * @param {string} type - The token type, e.g. "string".
+     * @returns {?Object} The token consumed, or null.
+     */
+    acceptType(type) {
+        const token = this.peek();
+        return token && token.type === type ? this.next() : null;
+    }
+
+    /**
+     * Consumes a sequence of keywords.
+     *
+     * @param {...string} words - The keywords in upper case.
+     * @returns {void}
+     * @throws {SQLSyntaxError} If the statement does not continue with the keywords.
+     */
+    expectWords(...words) {
+        if (!this.acceptWords(...words)) {
+            this.error(`Expected ${words.join(' ')}`);
+        }
+    }
+
+    /**
+     * Consumes the given symbol.
+     *
+     * @param {string} symbol - The symbol.
+     * @returns {void}
+     * @throws {SQLSyntaxError} If the current token is not the symbol.
+     */
+    expectSymbol(symbol) {
+        if (!this.acceptSymbol(symbol)) {
+            this.error(`Expected ${symbol}`);
+        }
+    }
+
+    /**
+     * Consumes a token of the given type.
+     *
+     * @param {string} type - The token type, e.g. "string".
+     * @returns {Object} The token.
+     * @throws {SQLSyntaxError} If the current token has another type.
+     */
+    expectType(type) {
+        const token = this.acceptType(type);
+        if (!token) {
+            this.error(`Expected a ${type}`);
+        }
+        return token;
+    }
+
+    /**
+     * Throws a syntax error at a token.
+     *
+     * @param {string} message - The error message.
+     * @param {Object} [token] - The token, by default the current one.
+     * @returns {never}
+     * @throws {SQLSyntaxError} Always, at the token or at the end of the statement.
+     */
+    error(message, token = this.peek()) {
+        if (!token) {
+            const last = this.tokens[this.tokens.length - 1];
+            throw new this.classes.SQLSyntaxError(`${message} at the end of the statement`, last.line, last.column + last.end - last.start, last.end);
+        }
+        throw new this.classes.SQLSyntaxError(`${message}, found "${token.value}"`, token.line, token.column, token.start);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DDLParser, DDL_DIALECTS };
+}
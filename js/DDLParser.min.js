@@ -0,0 +1 @@
+const DDL_DIALECTS=["mysql","postgresql","sqlite","sqlserver"],DDL_SERIAL_TYPES={SMALLSERIAL:"SMALLINT",SERIAL2:"SMALLINT",SERIAL:"INTEGER",SERIAL4:"INTEGER",BIGSERIAL:"BIGINT",SERIAL8:"BIGINT"},DDL_NUMERIC_TYPES=["TINYINT","SMALLINT","MEDIUMINT","INT","INTEGER","BIGINT","INT2","INT4","INT8","DECIMAL","NUMERIC","REAL","FLOAT","FLOAT4","FLOAT8","DOUBLE","DOUBLE PRECISION","MONEY","SMALLMONEY"],DDL_UUID_FUNCTIONS=["gen_random_uuid","uuid_generate_v1","uuid_generate_v1mc","uuid_generate_v4","uuidv4","uuidv7","newid","newsequentialid"],DDL_SNIPPET_LENGTH=160,DDL_NO_OP_STATEMENTS=["SET","USE","INSERT","REPLACE","UPDATE","DELETE","MERGE","SELECT","WITH","VALUES","COPY","TRUNCATE","LOCK","UNLOCK","BEGIN","START","COMMIT","END","ROLLBACK","SAVEPOINT","RELEASE","GRANT","REVOKE","DENY","COMMENT","ANALYZE","VACUUM","OPTIMIZE","REINDEX","CHECKPOINT","PRAGMA","DECLARE","PRINT","FLUSH","SHOW","EXPLAIN"],DDL_NO_OP_OBJECTS=["DATABASE","SCHEMA","SEQUENCE","VIEW","FUNCTION","PROCEDURE","PROC","TRIGGER","EVENT","EXTENSION","LANGUAGE","ROLE","USER","LOGIN","GROUP","DEFAULT","AGGREGATE","OPERATOR","CAST","COLLATION","CONVERSION","RULE","POLICY","PUBLICATION","SUBSCRIPTION","SERVER","STATISTICS","SYNONYM","INDEX","TABLESPACE","OWNED","AUTHORIZATION"],DDL_TABLE_OBJECTS=["TABLE","TYPE","DOMAIN"],DDL_COLUMN_OPTION_KEYWORDS=["CONSTRAINT","PRIMARY","NOT","NULL","UNIQUE","CHECK","DEFAULT","COLLATE","REFERENCES","GENERATED","AS","AUTOINCREMENT"];class DDLParser{constructor(e={}){if(this.dialect=e.dialect||null,null!==this.dialect&&!DDL_DIALECTS.includes(this.dialect))throw new Error(`Unsupported SQL dialect "${this.dialect}". Use one of: ${DDL_DIALECTS.join(", ")}`);this.classes={SQLTokenizer:"undefined"==typeof SQLTokenizer?require("./SQLTokenizer.js").SQLTokenizer:SQLTokenizer,SQLSyntaxError:"undefined"==typeof SQLSyntaxError?require("./SQLTokenizer.js").SQLSyntaxError:SQLSyntaxError,TableParser:"undefined"==typeof TableParser?require("./TableParser.js").TableParser:TableParser},this.tableParser=new this.classes.TableParser,this.tables=[],this.locations=new Map,this.diagnostics=[]}detectDialect(e){const t=String(e??""),s={postgresql:[/^--\s*PostgreSQL database dump/im,/\bCREATE\s+TYPE\s+[\w."]+\s+AS\s+ENUM\b/i,/\bGENERATED\s+(ALWAYS|BY\s+DEFAULT)\s+AS\s+IDENTITY\b/i,/'::[a-z"]/i,/\b(nextval|gen_random_uuid|uuid_generate_v[14])\s*\(/i,/\bSET\s+search_path\b/i],sqlserver:[/^\s*GO\s*$/im,/\[dbo\]\s*\./i,/\bIDENTITY\s*\(\s*\d+\s*,\s*\d+\s*\)/i,/\bSET\s+ANSI_NULLS\b/i],sqlite:[/\bAUTOINCREMENT\b/i,/\bWITHOUT\s+ROWID\b/i,/^\s*PRAGMA\s/im]};return Object.keys(s).find(e=>s[e].some(e=>e.test(t)))||"mysql"}parse(e){return this.parseScripts([{name:null,sql:e}])}parseScripts(e){const t=e.map(e=>({name:e.name??null,file:e.file??e.name??null,sql:String(e.sql??""),lines:null}));return this.currentDialect=this.dialect||this.detectDialect(t.map(e=>e.sql).join("\n")),this.tables=[],this.types={},this.generatedDefaults=new Set,this.withoutRowid=new Set,this.primaryKeyNames=new Map,this.placement=null,this.locations=new Map,this.diagnostics=[],t.forEach(e=>this.parseSource(e)),this.tables.forEach(e=>this.finishTable(e)),this.tables}parseSource(e){this.source=e,this.sql=e.sql;const t=new this.classes.SQLTokenizer({dialect:this.currentDialect});let s;try{s=t.tokenize(this.sql)}catch(e){if(!(e instanceof this.classes.SQLSyntaxError))throw e;for(this.addDiagnostic("error",`${e.reason}; the statement is skipped`,e),s=t.tokenize(this.sql.substring(0,e.offset));s.length>0&&"delimiter"!==s[s.length-1].type;)s.pop()}s.forEach(t=>{t.source=e}),t.splitStatements(s).forEach(e=>{this.tokens=e,this.pos=0;try{this.parseStatement()}catch(e){if(!(e instanceof this.classes.SQLSyntaxError))throw e;this.addDiagnostic("error",`${e.reason}; the statement is skipped`,e)}})}addDiagnostic(e,t,s){this.diagnostics.push(this.createDiagnostic(e,t,s))}createDiagnostic(e,t,s){const i=s.source||this.source;i.lines||(i.lines=i.sql.split(/\r?\n/));let r=(i.lines[s.line-1]||"").trimEnd(),n=s.column;if(r.length>160){const e=Math.max(0,Math.min(s.column-1-80,r.length-160));r=r.substring(e,e+160),n-=e}const a={severity:e,message:t,line:s.line,column:s.column,snippet:r,snippetColumn:n};return null!==i.file&&(a.file=i.file),a}locate(e,t=null){const s=null==t?e:`${e}.${t}`;return this.locations.get(s.toLowerCase())||null}parseStatement(){if(this.acceptWords("CREATE")){for(this.acceptWords("OR","REPLACE");this.acceptWord("GLOBAL","LOCAL","TEMPORARY","TEMP","UNLOGGED"););if(this.acceptWords("TABLE"))return void this.parseCreateTable();const e=this.acceptWords("UNIQUE");this.acceptWord("CLUSTERED","NONCLUSTERED","FULLTEXT","SPATIAL","BITMAP"),this.acceptWords("INDEX")?this.parseCreateIndex(e):this.acceptWords("TYPE")?this.parseCreateType():this.acceptWords("DOMAIN")?this.parseCreateDomain():this.skipStatement()}else this.acceptWords("ALTER","TABLE")?this.parseAlterTable():this.acceptWords("RENAME","TABLE")?this.parseRenameTable():this.acceptWords("DROP","TABLE")?this.parseDropTable():this.acceptWord("EXEC","EXECUTE")?this.parseExecute():this.skipStatement()}skipStatement(){const e=this.tokens[0],t="word"===e.type?e.value.toUpperCase():null;let s=t||e.value;if(["CREATE","ALTER","DROP"].includes(t)){const e=this.tokens.slice(1).filter(e=>"word"===e.type).map(e=>e.value.toUpperCase()).find(e=>DDL_NO_OP_OBJECTS.includes(e)||DDL_TABLE_OBJECTS.includes(e));if(DDL_NO_OP_OBJECTS.includes(e)||"DROP"===t&&["TYPE","DOMAIN"].includes(e))return;s=e?`${t} ${e}`:t}else if(DDL_NO_OP_STATEMENTS.includes(t))return;this.addDiagnostic("warning",`${s} statement is not supported; it is skipped`,e),this.pos=this.tokens.length}parseCreateTable(){this.acceptWords("IF","NOT","EXISTS");const e=this.peek(),t=this.parseQualifiedName();if(!this.acceptSymbol("("))return void this.addDiagnostic("warning",`Table ${t} has no column list (AS, LIKE or PARTITION OF); it is skipped`,e);this.locations.set(t.toLowerCase(),e);const s={tableName:t,columns:[],primaryKey:null,foreignKeys:[],indexes:[],migration:this.source.name},i=[];if(!this.isSymbol(")"))do{const e=this.parseTableElement(s);e&&i.push(e)}while(this.acceptSymbol(","));for(this.expectSymbol(")");!this.atEnd();)this.acceptWords("WITHOUT","ROWID")?this.withoutRowid.add(s):this.pos++;i.forEach(e=>this.applyConstraint(s,e));const r=this.tables.findIndex(e=>e.tableName===t);-1===r?this.tables.push(s):this.tables[r]=s}parseTableElement(e){const t=this.isWord("CONSTRAINT"),s=this.parseTableConstraint(this.parseConstraintName());return null===s&&(t&&this.error("Expected PRIMARY KEY, FOREIGN KEY, UNIQUE or CHECK"),this.isWord("LIKE")||this.isWord("PERIOD")||this.parseNewColumn(e)),this.skipToElementEnd(),s}parseTableConstraint(e){const t=this.peek();if(this.acceptWords("PRIMARY","KEY"))return this.acceptWord("CLUSTERED","NONCLUSTERED"),this.acceptIndexType(),{type:"primaryKey",name:e,columns:this.parseIndexColumns(),token:t};if(this.acceptWords("FOREIGN","KEY")){this.isSymbol("(")||this.parseIdentifier();const s=this.parseIdentifierList();return{type:"foreignKey",foreignKey:this.parseReferences(e,s),token:t}}if(this.acceptWord("CHECK","EXCLUDE"))return{type:"check",token:t};const s=this.acceptWords("UNIQUE"),i="mysql"===this.currentDialect&&this.acceptWord("FULLTEXT","SPATIAL")||this.isWord("KEY")&&"mysql"===this.currentDialect||this.isWord("INDEX")&&("mysql"===this.currentDialect||"sqlserver"===this.currentDialect);if(!s&&!i)return null;this.acceptWord("KEY","INDEX"),this.acceptWords("NULLS","NOT","DISTINCT")||this.acceptWords("NULLS","DISTINCT");let r=e;return this.isSymbol("(")||this.isWord("USING")||this.isWord("CLUSTERED")||this.isWord("NONCLUSTERED")||(r=this.parseIdentifier()),this.acceptWord("CLUSTERED","NONCLUSTERED"),this.acceptIndexType(),{type:"index",index:{name:r,columns:this.parseIndexColumns(),unique:s},token:t}}applyConstraint(e,t){const s=("primaryKey"===t.type?t.columns:"foreignKey"===t.type?t.foreignKey.columns:"index"===t.type?t.index.columns:[]).map(s=>{const i=this.findColumn(e,s);return i||this.addDiagnostic("warning",`Column ${s} is not a column of table ${e.tableName}`,t.token),i?i.Field:s});"primaryKey"===t.type?(this.setPrimaryKey(e,s),this.primaryKeyNames.set(e,t.name)):"foreignKey"===t.type?(t.foreignKey.columns=s,e.foreignKeys.push(t.foreignKey)):"index"===t.type&&(t.index.columns=s,e.indexes.push(t.index))}parseColumnDefinition(e){this.placement=null;const t=this.peek(),s=this.parseIdentifier();if(this.isWord("AS")&&"sqlserver"===this.currentDialect)return this.addDiagnostic("warning",`Computed column ${e.tableName}.${s} has no type and is skipped`,t),null;const i=this.createColumn(s,this.parseDataType());for(;!this.atEnd()&&!this.isSymbol(",")&&!this.isSymbol(")");)if(!this.parseColumnOption(e,i)){this.addDiagnostic("warning",`Unknown option "${this.peek().value}" of column ${e.tableName}.${s} is ignored`,this.peek());break}return i}parseNewColumn(e,t=!1){const s=this.peek(),i=this.parseColumnDefinition(e);null===i||t&&this.findColumn(e,i.Field)||(this.findColumn(e,i.Field)?this.addDiagnostic("warning",`Column ${i.Field} is defined twice in table ${e.tableName}`,s):(e.columns.splice(this.getPlacementIndex(e,e.columns.length),0,i),this.locations.set(`${e.tableName}.${i.Field}`.toLowerCase(),s)))}getPlacementIndex(e,t){if(null!==this.placement&&this.placement.first)return 0;const s=null!==this.placement&&this.placement.after?this.findColumn(e,this.placement.after):null;return s?e.columns.indexOf(s)+1:t}parseColumnOption(e,t){const s=this.isWord("CONSTRAINT"),i=this.parseConstraintName();if(this.acceptWords("NOT","NULL"))t.Nullable=!1;else if(this.acceptWords("NULL"))t.Nullable=!0;else if(this.acceptWords("PRIMARY","KEY")||"mysql"===this.currentDialect&&this.acceptWords("KEY"))t.Key=!0,null!==i&&this.primaryKeyNames.set(e,i),this.acceptWord("ASC","DESC"),this.acceptWord("CLUSTERED","NONCLUSTERED");else if(this.acceptWords("UNIQUE"))this.acceptWords("KEY");else if(this.acceptWords("DEFAULT"))this.setDefault(t,this.parseExpression());else if(this.acceptWords("GENERATED"))this.parseGenerated(t);else if(this.acceptWords("AS"))this.skipParentheses(),this.acceptWord("STORED","VIRTUAL","PERSISTED");else if(this.isWord("REFERENCES"))e.foreignKeys.push(this.parseReferences(i,[t.Field]));else if(this.acceptWords("CHECK"))this.skipParentheses(),this.acceptWords("NO","INHERIT");else if(this.acceptWord("AUTO_INCREMENT","AUTOINCREMENT"))t.AutoIncrement=!0;else if(this.acceptWords("IDENTITY"))t.AutoIncrement=!0,this.isSymbol("(")&&this.skipParentheses();else if(this.acceptWords("COMMENT"))t.Comment=this.expectType("string").value;else if(this.acceptWords("ON","UPDATE"))this.parseExpression();else if(this.acceptWords("ON","CONFLICT"))this.next();else if(this.acceptWords("CHARACTER","SET")||this.acceptWord("CHARSET","COLLATE","COMPRESSION","STORAGE","COLUMN_FORMAT"))this.parseQualifiedName();else if("mysql"===this.currentDialect&&this.acceptWords("FIRST"))this.placement={first:!0};else if("mysql"===this.currentDialect&&this.acceptWords("AFTER"))this.placement={after:this.parseIdentifier()};else if(this.acceptWords("NOT","FOR","REPLICATION")||this.acceptWord("VISIBLE","INVISIBLE","ROWGUIDCOL","SPARSE","FILESTREAM"));else if(!this.acceptConstraintTiming())return s&&this.error("Expected a column constraint"),!1;return!0}parseConstraintName(){return this.acceptWords("CONSTRAINT")?["PRIMARY","FOREIGN","UNIQUE","CHECK"].some(e=>this.isWord(e))?null:this.parseIdentifier():null}createColumn(e,t){const s={Field:e,Type:t.name+(t.array?"[]":""),Length:t.params.length>0?t.params[0]:null,Key:!1,Nullable:!0,Default:null,AutoIncrement:!1,EnumValues:null,EnumType:null,Comment:null},i=t.array?null:this.types[t.name.toLowerCase()],r=e=>`'${e.split("'").join("''")}'`;if(i&&i.values)s.Type="ENUM",s.Length=i.values.map(r).join(","),s.EnumValues=i.values,s.EnumType=i.name;else{if(i){const t=this.createColumn(e,i.type);return t.Nullable=!i.notNull,t.Default=i.defaultValue,t}if(t.array)return s;"ENUM"!==t.name&&"SET"!==t.name||!t.quoted?DDL_SERIAL_TYPES[t.name]?(s.Type=DDL_SERIAL_TYPES[t.name],s.AutoIncrement=!0):("NUMERIC"===t.name||"DECIMAL"===t.name)&&t.params.length>0?s.Length=t.params.join(","):/^N?VARCHAR$/.test(t.name)&&"MAX"===s.Length&&(s.Type="TEXT",s.Length=null):(s.Length=t.params.map(r).join(","),s.EnumValues=t.params)}return s}parseGenerated(e){this.acceptWords("ALWAYS")||this.acceptWords("BY","DEFAULT"),this.acceptWords("AS","IDENTITY")?(e.AutoIncrement=!0,this.isSymbol("(")&&this.skipParentheses()):(this.expectWords("AS"),this.skipParentheses(),this.acceptWord("STORED","VIRTUAL"))}setDefault(e,t){for(;t.length>2&&"("===t[0].value&&this.findClosing(t,0)===t.length-1;)t=t.slice(1,-1);const s=t.findIndex(e=>"symbol"===e.type&&"("===e.value),i=s>0&&"word"===t[s-1].type?t[s-1].value.toLowerCase():null;if("nextval"===i)return e.AutoIncrement=!0,void(e.Default=null);DDL_UUID_FUNCTIONS.includes(i)&&this.generatedDefaults.add(e);const r=DDL_NUMERIC_TYPES.includes(e.Type.toUpperCase());let n="";t.forEach((e,s)=>{s>0&&t[s-1].end!==e.start&&(n+=" "),"string"!==e.type?n+=this.sql.substring(e.start,e.end):r&&this.tableParser.isNumber(e.value.trim())?n+=e.value.trim():n+=`'${e.value.split("'").join("''")}'`}),e.Default=this.tableParser.fixDefaultValue(n,e.Type,e.Length)}setPrimaryKey(e,t){e.columns.forEach(e=>{e.Key=t.includes(e.Field)})}finishTable(e){const t=e.columns.filter(e=>e.Key);t.forEach(e=>{e.Nullable=!1,this.generatedDefaults.has(e)&&(e.AutoIncrement=!0)}),"sqlite"!==this.currentDialect||1!==t.length||"INTEGER"!==t[0].Type||this.withoutRowid.has(e)||(t[0].AutoIncrement=!0),e.primaryKey=t.length>0?t[0].Field:null}parseReferences(e,t){this.expectWords("REFERENCES");const s={name:e,columns:t,referencedTable:this.parseQualifiedName(),referencedColumns:this.isSymbol("(")?this.parseIdentifierList():[],onDelete:null,onUpdate:null};for(;;)if(this.acceptWords("ON","DELETE"))s.onDelete=this.parseReferentialAction();else if(this.acceptWords("ON","UPDATE"))s.onUpdate=this.parseReferentialAction();else if(this.acceptWords("MATCH"))this.acceptWord("FULL","PARTIAL","SIMPLE");else if(!this.acceptConstraintTiming()&&!this.acceptWords("NOT","FOR","REPLICATION"))return s}parseReferentialAction(){let e;return this.acceptWords("NO","ACTION")?e="NO ACTION":this.acceptWords("SET","NULL")?e="SET NULL":this.acceptWords("SET","DEFAULT")?e="SET DEFAULT":(e=this.acceptWord("CASCADE","RESTRICT"),e||this.error("Expected a referential action")),e.startsWith("SET")&&this.isSymbol("(")&&this.skipParentheses(),e}acceptConstraintTiming(){return!!(this.acceptWords("DEFERRABLE")||this.acceptWords("NOT","DEFERRABLE")||this.acceptWords("NOT","VALID"))||!!this.acceptWords("INITIALLY")&&(this.acceptWord("DEFERRED","IMMEDIATE"),!0)}acceptIndexType(){this.acceptWords("USING")&&this.parseIdentifier()}parseCreateIndex(e){this.acceptWords("CONCURRENTLY"),this.acceptWords("IF","NOT","EXISTS");const t=this.isWord("ON")||this.isWord("USING")?null:this.parseQualifiedName();this.acceptIndexType(),this.expectWords("ON"),this.acceptWords("ONLY");const s=this.peek(),i=this.findTable(this.parseQualifiedName(),s);this.acceptIndexType();const r=this.parseIndexColumns();i&&(i.migration=this.source.name,this.applyConstraint(i,{type:"index",index:{name:t,columns:r,unique:e},token:s}))}parseCreateType(){const e=this.parseQualifiedName();if(!this.acceptWords("AS","ENUM"))return;this.expectSymbol("(");const t=[];for(;!this.isSymbol(")")&&(t.push(this.expectType("string").value),this.acceptSymbol(",")););this.expectSymbol(")"),this.types[e.toLowerCase()]={name:e,values:t}}parseCreateDomain(){const e=this.parseQualifiedName();this.acceptWords("AS");const t={type:this.parseDataType(),notNull:!1,defaultValue:null};for(;!this.atEnd();)if(this.acceptWords("NOT","NULL"))t.notNull=!0;else if(this.acceptWords("DEFAULT")){const s=this.createColumn(e,t.type);this.setDefault(s,this.parseExpression()),t.defaultValue=s.Default}else this.pos++;this.types[e.toLowerCase()]=t}parseAlterTable(){this.acceptWords("IF","EXISTS"),this.acceptWords("ONLY");const e=this.peek(),t=this.findTable(this.parseQualifiedName(),e);if(!t)return;t.migration=this.source.name;let s=null;do{s=this.parseAlterTableAction(t,s),this.skipToElementEnd()}while(this.acceptSymbol(","))}parseAlterTableAction(e,t){if(this.acceptWords("WITH","CHECK")||this.acceptWords("WITH","NOCHECK"),"sqlserver"===this.currentDialect&&null!==t&&!["ADD","DROP","ALTER","WITH","CHECK","NOCHECK","ENABLE","DISABLE","SET","REBUILD","SWITCH"].some(e=>this.isWord(e))){if("ADD"===t)return this.parseAlterTableAdd(e),t;if("DROP COLUMN"===t||"DROP CONSTRAINT"===t)return this.parseAlterTableDrop(e,t.substring(5))}if(this.acceptWords("ADD"))return this.parseAlterTableAdd(e),"ADD";if(this.acceptWords("DROP"))return this.parseAlterTableDrop(e,null);const s=this.acceptWord("MODIFY","CHANGE");return s?(this.parseModifyColumn(e,s),s):this.acceptWords("ALTER")?(this.parseAlterColumn(e),"ALTER"):this.acceptWords("RENAME")?(this.parseAlterTableRename(e),"RENAME"):null}parseAlterTableAdd(e){const t=this.isWord("CONSTRAINT"),s=this.parseConstraintName();if(t&&this.acceptWords("DEFAULT")){const t=this.parseExpression();this.expectWords("FOR");const s=this.findColumn(e,this.parseIdentifier(),this.tokens[this.pos-1]);return void(s&&this.setDefault(s,t))}const i=this.parseTableConstraint(s);if(i)return void this.applyConstraint(e,i);t&&this.error("Expected PRIMARY KEY, FOREIGN KEY, UNIQUE, CHECK or DEFAULT"),this.acceptWords("COLUMN");const r=this.acceptWords("IF","NOT","EXISTS");if(this.acceptSymbol("(")){do{this.parseNewColumn(e,r),this.skipToElementEnd()}while(this.acceptSymbol(","));this.expectSymbol(")")}else this.parseNewColumn(e,r)}parseAlterTableDrop(e,t){if(null===t){if(this.acceptWords("PRIMARY","KEY"))return this.setPrimaryKey(e,[]),this.primaryKeyNames.delete(e),"DROP PRIMARY KEY";this.acceptWords("FOREIGN","KEY")||this.acceptWord("CONSTRAINT","INDEX","KEY","CHECK")?t="CONSTRAINT":(this.acceptWords("COLUMN"),t="COLUMN")}const s=this.acceptWords("IF","EXISTS"),i=this.peek(),r=this.parseIdentifier();if("CONSTRAINT"===t)this.dropConstraint(e,r);else{const t=this.findColumn(e,r,s?void 0:i);t&&this.dropColumn(e,t)}return`DROP ${t}`}parseModifyColumn(e,t){this.acceptWords("COLUMN");const s=this.peek(),i="CHANGE"===t?this.parseIdentifier():null,r=this.peek(),n=this.parseColumnDefinition(e),a=null===n?null:this.findColumn(e,i??n.Field,"CHANGE"===t?s:r);a&&this.replaceColumn(e,a,n,r)}parseAlterColumn(e){this.acceptWords("COLUMN");const t=this.findColumn(e,this.parseIdentifier(),this.tokens[this.pos-1]);t&&(this.acceptWords("SET","DEFAULT")?this.setDefault(t,this.parseExpression()):this.acceptWords("DROP","DEFAULT")?(t.Default=null,this.generatedDefaults.delete(t)):this.acceptWords("SET","NOT","NULL")?t.Nullable=!1:this.acceptWords("DROP","NOT","NULL")?t.Nullable=!0:this.acceptWords("ADD","GENERATED")?this.parseGenerated(t):this.acceptWords("DROP","IDENTITY")?t.AutoIncrement=!1:this.acceptWords("TYPE")||this.acceptWords("SET","DATA","TYPE")?this.setColumnType(t,this.parseDataType()):"sqlserver"!==this.currentDialect||this.isWord("ADD")||this.isWord("DROP")||(this.setColumnType(t,this.parseDataType()),this.acceptWords("COLLATE")&&this.parseIdentifier(),t.Nullable=!this.acceptWords("NOT","NULL")))}parseAlterTableRename(e){if(this.acceptWord("TO","AS"))return void this.renameTable(e,this.parseQualifiedName());if(this.acceptWord("CONSTRAINT","INDEX","KEY")){const t=this.parseIdentifier();return this.expectWords("TO"),void this.renameConstraint(e,t,this.parseIdentifier())}const t=this.acceptWords("COLUMN"),s=this.peek(),i=this.parseQualifiedName();if(!t&&!this.isWord("TO"))return void this.renameTable(e,i);this.expectWords("TO");const r=this.findColumn(e,i,s),n=this.parseIdentifier();r&&this.renameColumn(e,r,n)}parseRenameTable(){do{const e=this.peek(),t=this.findTable(this.parseQualifiedName(),e);this.expectWords("TO");const s=this.parseQualifiedName();t&&this.renameTable(t,s)}while(this.acceptSymbol(","))}parseDropTable(){this.acceptWords("IF","EXISTS");do{const e=this.findTable(this.parseQualifiedName());e&&this.tables.splice(this.tables.indexOf(e),1)}while(this.acceptSymbol(","))}parseExecute(){const e=this.parseQualifiedName().toLowerCase();if("sp_rename"!==e)return void(/^sp_(add|update|drop)extendedproperty$/.test(e)||this.skipStatement());const t=this.tokens.slice(this.pos).filter(e=>"string"===e.type).map(e=>e.value);if(t.length<2)return;const s=t[0].split(".").map(e=>e.replace(/^\[|\]$/g,"")),i=(t[2]||"").toUpperCase();if("COLUMN"===i&&s.length>=2){const e=this.findTable(s[s.length-2],this.peek()),i=e?this.findColumn(e,s[s.length-1],this.peek()):null;i&&(this.renameColumn(e,i,t[1]),e.migration=this.source.name)}else if("INDEX"===i&&s.length>=2){const e=this.findTable(s[s.length-2],this.peek());e&&(this.renameConstraint(e,s[s.length-1],t[1]),e.migration=this.source.name)}else if(""===i||"OBJECT"===i){const e=s[s.length-1],i=this.findTable(e);i?this.renameTable(i,t[1]):this.tables.forEach(s=>this.renameConstraint(s,e,t[1]))}this.pos=this.tokens.length}replaceColumn(e,t,s,i){t.Field!==s.Field&&this.renameColumn(e,t,s.Field);const r=e.columns.indexOf(t);e.columns.splice(r,1),s.Key=s.Key||t.Key,e.columns.splice(this.getPlacementIndex(e,r),0,s),this.locations.set(`${e.tableName}.${s.Field}`.toLowerCase(),i)}setColumnType(e,t){const s=this.createColumn(e.Field,t);e.Type=s.Type,e.Length=s.Length,e.EnumValues=s.EnumValues,e.EnumType=s.EnumType,e.AutoIncrement=e.AutoIncrement||s.AutoIncrement}dropColumn(e,t){e.columns.splice(e.columns.indexOf(t),1),e.foreignKeys=e.foreignKeys.filter(e=>!e.columns.includes(t.Field)),e.indexes.forEach(e=>{e.columns=e.columns.filter(e=>e!==t.Field)}),e.indexes=e.indexes.filter(e=>e.columns.length>0),this.locations.delete(`${e.tableName}.${t.Field}`.toLowerCase())}dropConstraint(e,t){const s=e=>null!=e&&e.toLowerCase()===t.toLowerCase();e.foreignKeys=e.foreignKeys.filter(e=>!s(e.name)),e.indexes=e.indexes.filter(e=>!s(e.name)),s(this.primaryKeyNames.get(e))&&(this.setPrimaryKey(e,[]),this.primaryKeyNames.delete(e))}renameTable(e,t){const s=e.tableName.toLowerCase();this.tables.forEach(e=>e.foreignKeys.forEach(e=>{e.referencedTable.toLowerCase()===s&&(e.referencedTable=t)})),e.tableName=t,e.migration=this.source.name,Array.from(this.locations.keys()).filter(e=>e===s||e.startsWith(`${s}.`)).forEach(e=>{const i=this.locations.get(e);this.locations.delete(e),this.locations.set(t.toLowerCase()+e.substring(s.length),i)})}renameColumn(e,t,s){const i=t.Field.toLowerCase(),r=e=>e.map(e=>e.toLowerCase()===i?s:e);e.foreignKeys.forEach(e=>{e.columns=r(e.columns)}),e.indexes.forEach(e=>{e.columns=r(e.columns)}),this.tables.forEach(t=>t.foreignKeys.filter(t=>t.referencedTable.toLowerCase()===e.tableName.toLowerCase()).forEach(e=>{e.referencedColumns=r(e.referencedColumns)})),t.Field=s;const n=`${e.tableName}.${i}`.toLowerCase();this.locations.has(n)&&(this.locations.set(`${e.tableName}.${s}`.toLowerCase(),this.locations.get(n)),this.locations.delete(n))}renameConstraint(e,t,s){const i=e=>null!=e&&e.toLowerCase()===t.toLowerCase();e.foreignKeys.concat(e.indexes).filter(e=>i(e.name)).forEach(e=>{e.name=s}),i(this.primaryKeyNames.get(e))&&this.primaryKeyNames.set(e,s)}findTable(e,t){const s=this.tables.find(t=>t.tableName===e)||this.tables.find(t=>t.tableName.toLowerCase()===e.toLowerCase());return!s&&t&&this.addDiagnostic("warning",`Table ${e} is not created in the script; the statement is skipped`,t),s||null}findColumn(e,t,s){const i=e.columns.find(e=>e.Field===t)||e.columns.find(e=>e.Field.toLowerCase()===t.toLowerCase());return!i&&s&&this.addDiagnostic("warning",`Column ${t} is not a column of table ${e.tableName}`,s),i||null}parseDataType(){const e="sqlite"===this.currentDialect,t=()=>DDL_COLUMN_OPTION_KEYWORDS.some(e=>this.isWord(e)),s=this.peek();if(e&&(!s||"word"!==s.type&&"identifier"!==s.type||t()))return{name:"TEXT",params:[],quoted:!1,array:!1};let i,r=this.parseQualifiedName().toUpperCase();for("NATIONAL"===r&&(i=this.acceptWord("CHARACTER","CHAR"))&&(r+=" "+i),"DOUBLE"===r&&this.acceptWords("PRECISION")?r+=" PRECISION":/^(NATIONAL )?(CHARACTER|CHAR)$|^NCHAR$|^BIT$/.test(r)&&this.acceptWords("VARYING")?r+=" VARYING":"LONG"===r&&(i=this.acceptWord("VARCHAR","VARBINARY"))&&(r+=" "+i);e&&this.peek()&&"word"===this.peek().type&&!t();)r+=" "+this.next().value.toUpperCase();const n=[];let a=!1;if(this.acceptSymbol("(")){for(a=null!=this.peek()&&"string"===this.peek().type;!this.isSymbol(")");){const e=this.next();e||this.error("Expected )"),"-"===e.value&&"symbol"===e.type?n.push("-"+this.expectType("number").value):"symbol"===e.type&&","===e.value||n.push("word"===e.type?e.value.toUpperCase():e.value)}this.expectSymbol(")")}for(;this.acceptWord("UNSIGNED","SIGNED","ZEROFILL"););if("TIMESTAMP"!==r&&"TIME"!==r||!this.isWord("WITH")&&!this.isWord("WITHOUT")){if("INTERVAL"===r)for(;this.acceptWord("YEAR","MONTH","DAY","HOUR","MINUTE","SECOND","TO"););}else r+=" "+this.next().value.toUpperCase()+" TIME ZONE",this.expectWords("TIME","ZONE");let o=!1;for(;"postgresql"===this.currentDialect&&(this.isSymbol("[")||this.isWord("ARRAY"))&&(o=!0,!this.acceptWords("ARRAY")||this.isSymbol("["));)this.expectSymbol("["),this.acceptType("number"),this.expectSymbol("]");return{name:r,params:n,quoted:a,array:o}}parseExpression(){const e=[];let t=this.pos;for(this.skipOperand();;)if(this.isSymbol("::"))e.push(...this.tokens.slice(t,this.pos)),this.pos++,this.parseDataType(),t=this.pos;else{if(!this.peek()||"symbol"!==this.peek().type||["(",")",",","[","]"].includes(this.peek().value))break;this.pos++,this.skipOperand()}return e.push(...this.tokens.slice(t,this.pos)),e}skipOperand(){const e=this.next();if(e||this.error("Expected an expression"),"symbol"===e.type&&"("===e.value)this.pos--,this.skipParentheses();else if("symbol"!==e.type||"-"!==e.value&&"+"!==e.value)if("word"===e.type||"identifier"===e.type){for(;this.acceptSymbol(".");)this.next();this.isSymbol("(")?this.skipParentheses():this.isSymbol("[")&&"postgresql"===this.currentDialect?this.skipParentheses("[","]"):"word"===e.type&&this.acceptType("string")}else"string"!==e.type&&"number"!==e.type&&this.error("Expected an expression",e);else this.skipOperand()}skipParentheses(e="(",t=")"){this.expectSymbol(e);let s=1;for(;s>0;){const i=this.next();i||this.error(`Expected ${t}`),"symbol"===i.type&&i.value===e?s++:"symbol"===i.type&&i.value===t&&s--}}skipToElementEnd(){for(;!this.atEnd()&&!this.isSymbol(",")&&!this.isSymbol(")");)this.isSymbol("(")?this.skipParentheses():this.pos++}findClosing(e,t){let s=0;for(let i=t;i<e.length;i++)if("symbol"===e[i].type&&"("===e[i].value)s++;else if("symbol"===e[i].type&&")"===e[i].value&&0===--s)return i;return-1}parseIdentifierList(){this.expectSymbol("(");const e=[];do{e.push(this.parseIdentifier())}while(this.acceptSymbol(","));return this.expectSymbol(")"),e}parseIndexColumns(){this.expectSymbol("(");const e=[];do{const t=this.peek(),s=this.peek(1)&&"("===this.peek(1).value&&(!this.peek(2)||"number"!==this.peek(2).type);!t||"word"!==t.type&&"identifier"!==t.type||s||e.push(this.parseIdentifier()),this.skipToElementEnd()}while(this.acceptSymbol(","));return this.expectSymbol(")"),e}parseQualifiedName(){let e=this.parseIdentifier();for(;this.acceptSymbol(".");)e=this.parseIdentifier();return e}parseIdentifier(){const e=this.peek();return(!e||"word"!==e.type&&"identifier"!==e.type)&&this.error("Expected a name"),this.pos++,"word"===e.type&&"postgresql"===this.currentDialect?e.value.toLowerCase():e.value}peek(e=0){return this.tokens[this.pos+e]||null}next(){const e=this.peek();return e&&this.pos++,e}atEnd(){return this.pos>=this.tokens.length}isWord(e,t=0){const s=this.peek(t);return null!=s&&"word"===s.type&&s.value.toUpperCase()===e}isSymbol(e){const t=this.peek();return null!=t&&"symbol"===t.type&&t.value===e}acceptWords(...e){return!!e.every((e,t)=>this.isWord(e,t))&&(this.pos+=e.length,!0)}acceptWord(...e){const t=e.find(e=>this.isWord(e));return t&&this.pos++,t||null}acceptSymbol(e){return!!this.isSymbol(e)&&(this.pos++,!0)}acceptType(e){const t=this.peek();return t&&t.type===e?this.next():null}expectWords(...e){this.acceptWords(...e)||this.error(`Expected ${e.join(" ")}`)}expectSymbol(e){this.acceptSymbol(e)||this.error(`Expected ${e}`)}expectType(e){const t=this.acceptType(e);return t||this.error(`Expected a ${e}`),t}error(e,t=this.peek()){if(!t){const t=this.tokens[this.tokens.length-1];throw new this.classes.SQLSyntaxError(`${e} at the end of the statement`,t.line,t.column+t.end-t.start,t.end)}throw new this.classes.SQLSyntaxError(`${e}, found "${t.value}"`,t.line,t.column,t.start)}}"undefined"!=typeof module&&module.exports&&(module.exports={DDLParser:DDLParser,DDL_DIALECTS:DDL_DIALECTS});
\ No newline at end of file
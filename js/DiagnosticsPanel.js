@@ -0,0 +1,109 @@
+/**
+ * Shows the problems found while importing a SQL script, migrations or a SQLite database: skipped statements,
+ * ignored options, unknown types, unresolved relations and tables without primary key.
+ * Each problem is listed with its position and the SQL line it was found on, marked below the position.
+ *
+ * Errors mean that the model is incomplete; {@link DiagnosticsPanel#hasErrors} tells the form
+ * to block the generation until the script is fixed and imported again.
+ *
+ * @class
+ */
+class DiagnosticsPanel {
+    /**
+     * Creates the panel.
+     *
+     * @param {string} containerSelector - The selector of the element receiving the problems.
+     */
+    constructor(containerSelector) {
+        this.container = document.querySelector(containerSelector);
+        this.diagnostics = [];
+    }
+
+    /**
+     * Shows the problems of an import, or hides the panel when there are none.
+     *
+     * @param {Array<{severity: string, message: string, file?: string, line?: number, column?: number, snippet?: string, snippetColumn?: number}>} diagnostics
+     *        The problems found (see {@link DDLParser#createDiagnostic} and {@link SQLParser#checkModel}).
+     * @returns {void}
+     */
+    render(diagnostics) {
+        this.diagnostics = diagnostics || [];
+        this.container.textContent = '';
+        this.container.style.display = this.diagnostics.length > 0 ? 'block' : 'none';
+        if (this.diagnostics.length === 0) {
+            return;
+        }
+        const summary = document.createElement('div');
+        summary.className = this.hasErrors() ? 'diagnostics-summary text-danger' : 'diagnostics-summary text-warning';
+        summary.textContent = this.getSummary();
+        this.container.appendChild(summary);
+
+        const list = document.createElement('ul');
+        list.className = 'list-unstyled mb-0';
+        // Errors first, then in the order of the script
+        const sorted = this.diagnostics
+            .map((diagnostic, index) => ({ diagnostic: diagnostic, index: index }))
+            .sort((a, b) => (a.diagnostic.severity === 'error' ? 0 : 1) - (b.diagnostic.severity === 'error' ? 0 : 1) || a.index - b.index)
+            .map(item => item.diagnostic);
+        sorted.forEach(diagnostic => list.appendChild(this.createItem(diagnostic)));
+        this.container.appendChild(list);
+    }
+
+    /**
+     * Creates the list item of a problem.
+     *
+     * @param {Object} diagnostic - The problem.
+     * @returns {HTMLElement} The list item.
+     */
+    createItem(diagnostic) {
+        const item = document.createElement('li');
+        item.className = `diagnostic diagnostic-${diagnostic.severity}`;
+        const header = document.createElement('div');
+        const badge = document.createElement('span');
+        badge.className = diagnostic.severity === 'error' ? 'badge bg-danger me-1' : 'badge bg-warning text-dark me-1';
+        badge.textContent = diagnostic.severity;
+        header.appendChild(badge);
+        if (diagnostic.line || diagnostic.file) {
+            // Problems of migrations name their file
+            const position = document.createElement('span');
+            position.className = 'text-muted me-1';
+            const parts = [diagnostic.file, diagnostic.line ? `line ${diagnostic.line}, column ${diagnostic.column}` : null];
+            position.textContent = `${parts.filter(part => part).join(', ')}:`;
+            header.appendChild(position);
+        }
+        header.appendChild(document.createTextNode(diagnostic.message));
+        item.appendChild(header);
+        if (diagnostic.snippet) {
+            const code = document.createElement('pre');
+            code.className = 'diagnostic-snippet';
+            // Keep the tabs of the line so that the marker stays below the position
+            const indent = diagnostic.snippet.substring(0, Math.max(0, diagnostic.snippetColumn - 1)).replace(/[^\t]/g, ' ');
+            code.textContent = `${diagnostic.snippet}\n${indent}^`;
+            item.appendChild(code);
+        }
+        return item;
+    }
+
+    /**
+     * Tells whether an error was found. The generation is blocked until the import has no errors.
+     *
+     * @returns {boolean} True if a problem is an error.
+     */
+    hasErrors() {
+        return this.diagnostics.some(diagnostic => diagnostic.severity === 'error');
+    }
+
+    /**
+     * Counts the errors and warnings.
+     *
+     * @returns {string} The summary, e.g. "1 error, 2 warnings".
+     */
+    getSummary() {
+        const count = (severity, noun) => {
+            const n = this.diagnostics.filter(diagnostic => diagnostic.severity === severity).length;
+            return n > 0 ? `${n} ${noun}${n > 1 ? 's' : ''}` : null;
+        };
+        const text = [count('error', 'error'), count('warning', 'warning')].filter(part => part !== null).join(', ');
+        return this.hasErrors() ? `${text} in the import. Fix the SQL and import it again to generate the project.` : `${text} in the import.`;
+    }
+}
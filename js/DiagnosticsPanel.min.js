@@ -0,0 +1 @@
+class DiagnosticsPanel{constructor(e){this.container=document.querySelector(e),this.diagnostics=[]}render(e){if(this.diagnostics=e||[],this.container.textContent="",this.container.style.display=this.diagnostics.length>0?"block":"none",0===this.diagnostics.length)return;const t=document.createElement("div");t.className=this.hasErrors()?"diagnostics-summary text-danger":"diagnostics-summary text-warning",t.textContent=this.getSummary(),this.container.appendChild(t);const n=document.createElement("ul");n.className="list-unstyled mb-0";this.diagnostics.map((e,t)=>({diagnostic:e,index:t})).sort((e,t)=>("error"===e.diagnostic.severity?0:1)-("error"===t.diagnostic.severity?0:1)||e.index-t.index).map(e=>e.diagnostic).forEach(e=>n.appendChild(this.createItem(e))),this.container.appendChild(n)}createItem(e){const t=document.createElement("li");t.className=`diagnostic diagnostic-${e.severity}`;const n=document.createElement("div"),i=document.createElement("span");if(i.className="error"===e.severity?"badge bg-danger me-1":"badge bg-warning text-dark me-1",i.textContent=e.severity,n.appendChild(i),e.line||e.file){const t=document.createElement("span");t.className="text-muted me-1";const i=[e.file,e.line?`line ${e.line}, column ${e.column}`:null];t.textContent=`${i.filter(e=>e).join(", ")}:`,n.appendChild(t)}if(n.appendChild(document.createTextNode(e.message)),t.appendChild(n),e.snippet){const n=document.createElement("pre");n.className="diagnostic-snippet";const i=e.snippet.substring(0,Math.max(0,e.snippetColumn-1)).replace(/[^\t]/g," ");n.textContent=`${e.snippet}\n${i}^`,t.appendChild(n)}return t}hasErrors(){return this.diagnostics.some(e=>"error"===e.severity)}getSummary(){const e=(e,t)=>{const n=this.diagnostics.filter(t=>t.severity===e).length;return n>0?`${n} ${t}${n>1?"s":""}`:null},t=[e("error","error"),e("warning","warning")].filter(e=>null!==e).join(", ");return this.hasErrors()?`${t} in the import. Fix the SQL and import it again to generate the project.`:`${t} in the import.`}}
\ No newline at end of file
@@ -15,13 +15,16 @@ class Entity {
     constructor(name, index) {
         this.index = index;
         this.name = name;
+        this.physicalName = null; // Table name in the database, when it differs from the normalized name
         this.columns = [];
+        this.foreignKeys = []; // Declared FOREIGN KEY / REFERENCES constraints
         this.data = [];
         this.description = ''; // Description of the entity
         this.creationDate = null; // Timestamp of creation
         this.modificationDate = null; // Timestamp of last modification
         this.creator = null; // User who created the entity
         this.modifier = null; // User who last modified the entity
+        this.migration = null; // Migration that created or altered the table last, when imported from migrations
     }
 
     /**
@@ -42,6 +45,120 @@ class Entity {
         this.columns.splice(index, 1);
     }
 
+    /**
+     * Adds a declared foreign key constraint to the entity.
+     *
+     * @param {Object} foreignKey - The foreign key definition.
+     * @param {string|null} foreignKey.name - The constraint name, if any.
+     * @param {string[]} foreignKey.columns - The referencing column names in this entity.
+     * @param {string} foreignKey.referencedTable - The referenced table name.
+     * @param {string[]} foreignKey.referencedColumns - The referenced column names (empty when the primary key is implied).
+     * @param {string|null} foreignKey.onDelete - The ON DELETE rule (e.g., "CASCADE", "SET NULL").
+     * @param {string|null} foreignKey.onUpdate - The ON UPDATE rule.
+     */
+    addForeignKey(foreignKey) {
+        this.foreignKeys.push(foreignKey);
+    }
+
+    /**
+     * Returns the declared single-column foreign key of the given column.
+     * Composite foreign keys are kept on the model but are not resolved per column.
+     *
+     * @param {string} columnName - The name of the referencing column.
+     * @returns {Object|null} The foreign key definition, or null if the column has none.
+     */
+    getForeignKey(columnName) {
+        return this.foreignKeys.find(fk => fk.columns.length === 1 && fk.columns[0] === columnName) || null;
+    }
+
+    /**
+     * Resolves the entity referenced by a column.
+     *
+     * A declared FOREIGN KEY / REFERENCES constraint takes precedence. When the column has none,
+     * the `<table>_id` naming convention is used as a fallback (self references excluded).
+     *
+     * @param {Column} column - The referencing column of this entity.
+     * @param {Entity[]} entities - All entities of the model.
+     * @returns {Object|null} An object with `entity` (the referenced Entity), `columnName`
+     * (the referenced column name) and `foreignKey` (the declared constraint or null),
+     * or null if the column does not reference another entity.
+     */
+    getReferencedEntity(column, entities) {
+        const foreignKey = this.getForeignKey(column.name);
+        if (foreignKey) {
+            const target = entities.find(e => e.name.toLowerCase() === foreignKey.referencedTable.toLowerCase());
+            if (!target) {
+                return null;
+            }
+            const targetKeys = target.columns.filter(col => col.primaryKey).map(col => col.name);
+            return {
+                entity: target,
+                columnName: foreignKey.referencedColumns[0] || targetKeys[0] || column.name,
+                foreignKey: foreignKey
+            };
+        }
+        if (column.name.endsWith('_id')) {
+            const refName = column.name.slice(0, -3).toLowerCase();
+            const target = entities.find(e => e.name.toLowerCase() === refName);
+            if (target && target.name.toLowerCase() !== this.name.toLowerCase()) {
+                return { entity: target, columnName: column.name, foreignKey: null };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Derives the snake_case name of the relation property for a referencing column.
+     *
+     * - `customer_id` → `customer`
+     * - `parent_category_ref` → `parent_category`
+     * - `created_by_user` → `created_by_user_ref` (so it does not clash with the scalar column)
+     *
+     * @param {string} columnName - The name of the referencing column.
+     * @returns {string} The relation name in snake_case.
+     */
+    getRelationName(columnName) {
+        const name = columnName.replace(/_(id|ref|fk)$/i, '');
+        return name === columnName ? `${columnName}_ref` : name;
+    }
+
+    /**
+     * Returns the name of the enum type generated for an ENUM column, e.g. `UserStatus`
+     * for the column `status` of `user`. The suffix `Enum` is added when the name is
+     * already used by an entity.
+     *
+     * @param {Column} column - The ENUM column.
+     * @param {Array<Entity>} [entities=[]] - All entities in the model.
+     * @returns {string} The enum type name in PascalCase.
+     */
+    getEnumTypeName(column, entities = []) {
+        const toPascalCase = str => str.split(/[^a-zA-Z0-9]+/)
+            .filter(word => word !== '')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+            .join('');
+        const name = toPascalCase(this.name) + toPascalCase(column.name);
+        return entities.some(entity => toPascalCase(entity.name) === name) ? `${name}Enum` : name;
+    }
+
+    /**
+     * Checks whether the entity is a pure link table: exactly two columns forming the
+     * composite primary key, each referencing a different entity with a single primary key.
+     *
+     * @param {Array<Entity>} entities - All entities in the model.
+     * @returns {Array<Object>|null} The two references (see getReferencedEntity) in column order, or null.
+     */
+    getJoinTableReferences(entities) {
+        if (this.columns.length !== 2 || this.countPrimaryKey() !== 2) {
+            return null;
+        }
+        const references = this.columns.map(col => this.getReferencedEntity(col, entities));
+        if (references.some(ref => ref == null || ref.entity === this || ref.entity.countPrimaryKey() !== 1)
+            || references[0].entity === references[1].entity) {
+            return null;
+        }
+        return references;
+    }
+
     /**
      * Sets the entity's data (rows of values).
      *
@@ -335,3 +452,7 @@ class Entity {
     }
 
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Entity };
+}
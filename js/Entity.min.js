@@ -1,4 +1 @@
-class Entity{constructor(t,e){this.index=e,this.name=t,this.columns=[],this.data=[],this.description="",this.creationDate=null,this.modificationDate=null,this.creator=null,this.modifier=null}addColumn(t){this.columns.push(t)}removeColumn(t){this.columns.splice(t,1)}setData(t){this.data=t||[]}countPrimaryKey(){return this.columns.filter(t=>t.primaryKey).length}getPrimaryKeyColumns(){return this.columns.filter(t=>t.primaryKey).map(t=>t.name)}getPrimaryKeyColumnsAsString(t="mysql"){let e=this.getPrimaryKeyColumns();return"mysql"===t?e.map(t=>`\`${t}\``).join(", "):e.join(", ")}toSQL(t="mysql"){let e=this.countPrimaryKey()>1,r=[],l=`CREATE TABLE IF NOT EXISTS ${this.name} (\r
-`;return this.columns.forEach(l=>{r.push(`	${l.toSQL(t,e)}`)}),e&&r.push(`	PRIMARY KEY(${this.getPrimaryKeyColumnsAsString(t)})`),l+=r.join(",\r\n"),l+="\r\n);\r\n\r\n"}toSQLInsert(t="mysql",e=100){if(!this.data||0===this.data.length)return"";let r=this.columns.map(t=>t.name),l=[];for(let s=0;s<this.data.length;s+=e){let n=this.data.slice(s,s+e),i=n.map(e=>"("+r.map(r=>{let l=this.columns.find(t=>t.name===r),s=!!l&&l.nullable;return this.formatValue(e[r],l,t,s)}).join(", ")+")"),a=`INSERT INTO ${this.name} (${r.join(", ")}) VALUES
-${i.join(",\n")};\r
-`;l.push(a)}return l.join("\n")}createInsert(t,e){let r=e.join(", "),l=e.map(e=>{let r=this.columns.find(t=>t.name===e),l=!r||r.nullable;return this.formatValue(t[e],r,"mysql",l)}).join(", ");return`INSERT INTO ${this.name} (${r}) VALUES (${l});`}formatValue(t,e,r="mysql",l=!0){let s=e.type.toLowerCase(),n=e.length,i=e.isTypeText(s),a=e.isTypeInteger(s),o=e.isTypeFloat(s),u=e.isTypeBoolean(s,n),m=null==t||"string"==typeof t&&""===t.trim()||!i&&"null"===String(t).toLowerCase();return m?l?"null":void 0!==e.default&&null!==e.default?this.formatValue(e.default,e,r,!0):u?this.formatBoolean(t,r,!1,e.default):a||o?"0":"''":u?this.formatBoolean(t,r,l,e.default):a||o?t.toString():this.quoteString(t,r)}formatBoolean(t,e="mysql",r=!0,l=null){let s=null==t||"string"==typeof t&&""===t.trim()||"string"==typeof t&&"null"===t.trim().toLowerCase();if(s)return r?"null":null!=l?this.formatBoolean(l,e,!1):"postgresql"===e.toLowerCase()?"false":"0";let n=String(t).toLowerCase().trim(),i="true"===n||"1"===n||"yes"===n||"on"===n;return"postgresql"===e.toLowerCase()?i?"true":"false":i?"1":"0"}quoteString(t,e="mysql"){let r=String(t);switch(r=r.replace(/'/g,"''"),e.toLowerCase()){case"mysql":default:r=r.replace(/\\/g,"\\\\");break;case"postgresql":return`E'${r=r.replace(/\\/g,"\\\\")}'`;case"sqlite":case"sqlserver":}return`'${r}'`}}
\ No newline at end of file
+class Entity{constructor(e,t){this.index=t,this.name=e,this.physicalName=null,this.columns=[],this.foreignKeys=[],this.data=[],this.description="",this.creationDate=null,this.modificationDate=null,this.creator=null,this.modifier=null,this.migration=null}addColumn(e){this.columns.push(e)}removeColumn(e){this.columns.splice(e,1)}addForeignKey(e){this.foreignKeys.push(e)}getForeignKey(e){return this.foreignKeys.find(t=>1===t.columns.length&&t.columns[0]===e)||null}getReferencedEntity(e,t){const n=this.getForeignKey(e.name);if(n){const r=t.find(e=>e.name.toLowerCase()===n.referencedTable.toLowerCase());if(!r)return null;const s=r.columns.filter(e=>e.primaryKey).map(e=>e.name);return{entity:r,columnName:n.referencedColumns[0]||s[0]||e.name,foreignKey:n}}if(e.name.endsWith("_id")){const n=e.name.slice(0,-3).toLowerCase(),r=t.find(e=>e.name.toLowerCase()===n);if(r&&r.name.toLowerCase()!==this.name.toLowerCase())return{entity:r,columnName:e.name,foreignKey:null}}return null}getRelationName(e){const t=e.replace(/_(id|ref|fk)$/i,"");return t===e?`${e}_ref`:t}getEnumTypeName(e,t=[]){const n=e=>e.split(/[^a-zA-Z0-9]+/).filter(e=>""!==e).map(e=>e.charAt(0).toUpperCase()+e.slice(1).toLowerCase()).join(""),r=n(this.name)+n(e.name);return t.some(e=>n(e.name)===r)?`${r}Enum`:r}getJoinTableReferences(e){if(2!==this.columns.length||2!==this.countPrimaryKey())return null;const t=this.columns.map(t=>this.getReferencedEntity(t,e));return t.some(e=>null==e||e.entity===this||1!==e.entity.countPrimaryKey())||t[0].entity===t[1].entity?null:t}setData(e){this.data=e||[]}countPrimaryKey(){return this.columns.filter(e=>e.primaryKey).length}getPrimaryKeyColumns(){return this.columns.filter(e=>e.primaryKey).map(e=>e.name)}getPrimaryKeyColumnsAsString(e="mysql"){const t=this.getPrimaryKeyColumns();return"mysql"===e?t.map(e=>`\`${e}\``).join(", "):t.join(", ")}toSQL(e="mysql"){let t=this.countPrimaryKey()>1,n=[],r=`CREATE TABLE IF NOT EXISTS ${this.name} (\r\n`;return this.columns.forEach(r=>{n.push(`\t${r.toSQL(e,t)}`)}),t&&n.push(`\tPRIMARY KEY(${this.getPrimaryKeyColumnsAsString(e)})`),r+=n.join(",\r\n"),r+="\r\n);\r\n\r\n",r}toSQLInsert(e="mysql",t=100){if(!this.data||0===this.data.length)return"";const n=this.columns.map(e=>e.name),r=[];for(let s=0;s<this.data.length;s+=t){const i=this.data.slice(s,s+t).map(t=>"("+n.map(n=>{const r=this.columns.find(e=>e.name===n),s=!!r&&r.nullable;return this.formatValue(t[n],r,e,s)}).join(", ")+")"),o=`INSERT INTO ${this.name} (${n.join(", ")}) VALUES\n${i.join(",\n")};\r\n`;r.push(o)}return r.join("\n")}createInsert(e,t){const n=t.join(", "),r=t.map(t=>{const n=this.columns.find(e=>e.name===t),r=!n||n.nullable;return this.formatValue(e[t],n,"mysql",r)}).join(", ");return`INSERT INTO ${this.name} (${n}) VALUES (${r});`}formatValue(e,t,n="mysql",r=!0){const s=t.type.toLowerCase(),i=t.length,o=t.isTypeText(s),l=t.isTypeInteger(s),a=t.isTypeFloat(s),m=t.isTypeBoolean(s,i);return null==e||"string"==typeof e&&""===e.trim()||!o&&"null"===String(e).toLowerCase()?r?"null":void 0!==t.default&&null!==t.default?this.formatValue(t.default,t,n,!0):m?this.formatBoolean(e,n,!1,t.default):l||a?"0":"''":m?this.formatBoolean(e,n,r,t.default):l||a?e.toString():this.quoteString(e,n)}formatBoolean(e,t="mysql",n=!0,r=null){if(null==e||"string"==typeof e&&""===e.trim()||"string"==typeof e&&"null"===e.trim().toLowerCase())return n?"null":null!=r?this.formatBoolean(r,t,!1):"postgresql"===t.toLowerCase()?"false":"0";const s=String(e).toLowerCase().trim(),i="true"===s||"1"===s||"yes"===s||"on"===s;return"postgresql"===t.toLowerCase()?i?"true":"false":i?"1":"0"}quoteString(e,t="mysql"){let n=String(e);switch(n=n.replace(/'/g,"''"),t.toLowerCase()){case"mysql":default:n=n.replace(/\\/g,"\\\\");break;case"postgresql":return n=n.replace(/\\/g,"\\\\"),`E'${n}'`;case"sqlite":case"sqlserver":}return`'${n}'`}}"undefined"!=typeof module&&module.exports&&(module.exports={Entity:Entity});
\ No newline at end of file
@@ -173,18 +173,16 @@ class EntityRenderer {
 
     /**
      * Method to create relationships between tables based on foreign key columns.
-     * It will look for columns that end with "_id" and create lines between the relevant tables.
+     * Declared foreign keys are used first, otherwise it will look for columns that end with "_id"
+     * and create lines between the relevant tables.
      */
     createRelationships() {
         this.data.entities.forEach(entity => {
             entity.columns.forEach((col, index) => {
-                // Check if the column is a foreign key (ends with "_id")
-                if (col.name.endsWith("_id")) {
-                    const refEntityName = col.name.replace("_id", "");
-                    // Check if the referenced entity exists in the tables list
-                    if (entity.name != refEntityName && this.tables[refEntityName]) {
-                        this.createRelationship(entity, col, index);
-                    }
+                const reference = entity.getReferencedEntity(col, this.data.entities);
+                // Check if the referenced entity exists in the tables list
+                if (reference && this.tables[reference.entity.name]) {
+                    this.createRelationship(entity, col, index);
                 }
             });
         });
@@ -257,6 +255,13 @@ class EntityRenderer {
         const titleGroup = this.createSvgForeignText(10, 5, this.tableWidth - 60, 18, entity.name);
         group.appendChild(titleGroup);
 
+        if (entity.migration) {
+            // Shown as a tooltip of the table
+            const tooltip = document.createElementNS("http://www.w3.org/2000/svg", "title");
+            tooltip.textContent = `Last migration: ${entity.migration}`;
+            group.appendChild(tooltip);
+        }
+
         
         const controlButtons = [
             { icon: "⬅️", offset: 2, className: "move-up-icon" },
@@ -433,16 +438,16 @@ class EntityRenderer {
      * @param {number} index - The index of the foreign key column in the entity's columns.
      */
     createRelationship(entity, col, index) {
-        // Determine the name of the referenced table by removing '_id' from the foreign key column name
-        let refEntityName = col.name.replace("_id", "");
-        
-        // Get the referenced entity using the reference entity's name
-        let referenceEntity = this.getEntityByName(refEntityName);
+        // Resolve the referenced table from the declared foreign key or the '_id' naming convention
+        let reference = entity.getReferencedEntity(col, this.data.entities);
+        let referenceEntity = reference ? reference.entity : null;
         
         // If the reference entity exists
         if (referenceEntity != null) {
-            // Get the index of the column in the referenced entity (primary key)
-            let refIndex = this.getColumnIndex(referenceEntity, col.name);
+            let refEntityName = referenceEntity.name;
+
+            // Get the index of the referenced column in the referenced entity
+            let refIndex = this.getColumnIndex(referenceEntity, reference.columnName);
 
             // Get the 'from' and 'to' tables based on the entities
             let fromTable = this.tables[entity.name].table;
@@ -699,7 +704,7 @@ class EntityRenderer {
      *
      * The generated Markdown document includes:
      * - A document title and introduction.
-     * - Metadata for each entity (description, creation/modification info).
+     * - Metadata for each entity (description, creation/modification info, last migration).
      * - A Markdown-formatted table listing all columns of each entity, including:
      *     - Column name
      *     - Data type
@@ -738,6 +743,9 @@ class EntityRenderer {
             if (entity.modifier && entity.modifier !== "" && entity.modifier !== "{{userName}}") {
                 mdContent += `**Updated by:** ${entity.modifier}\n`;
             }
+            if (entity.migration) {
+                mdContent += `**Last migration:** ${entity.migration}\n`;
+            }
 
             mdContent += `\n`;
 
@@ -845,6 +853,13 @@ class EntityRenderer {
         title.textContent = entity.name;
         container.appendChild(title);
 
+        if (entity.migration) {
+            let migration = document.createElement("div");
+            migration.className = "text-muted small mb-1";
+            migration.textContent = `Last migration: ${entity.migration}`;
+            container.appendChild(migration);
+        }
+
         let table = document.createElement("table");
         table.className = "table table-bordered table-striped table-sm";
 
@@ -0,0 +1,338 @@
+/**
+ * Token rules of the highlighted languages. Each rule is a regular expression with one group per
+ * token class; the classes are named in the same order as the groups.
+ */
+const FILE_PREVIEW_LANGUAGES = {
+    java: {
+        pattern: /(\/\*[\s\S]*?\*\/|\/\/[^\n]*)|("""[\s\S]*?"""|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')|(@[A-Za-z_]\w*)|\b(abstract|boolean|break|byte|case|catch|char|class|continue|default|do|double|else|enum|extends|final|finally|float|for|if|implements|import|instanceof|int|interface|long|new|null|package|private|protected|public|record|return|short|static|super|switch|this|throw|throws|true|false|try|var|void|while)\b|\b(\d[\d_]*(?:\.\d+)?[lLfFdD]?)\b/g,
+        classes: ['comment', 'string', 'annotation', 'keyword', 'number']
+    },
+    graphql: {
+        pattern: /(#[^\n]*)|("""[\s\S]*?"""|"(?:[^"\\\n]|\\.)*")|(@[A-Za-z_]\w*)|\b(type|input|enum|scalar|interface|union|extend|schema|query|mutation|subscription|implements|directive|on|fragment)\b|\b(\d+(?:\.\d+)?)\b/g,
+        classes: ['comment', 'string', 'annotation', 'keyword', 'number']
+    },
+    properties: {
+        pattern: /(^[ \t]*[#!][^\n]*)|(^[ \t]*[^=:#!\s][^=:\n]*(?=[=:]))/gm,
+        classes: ['comment', 'keyword']
+    },
+    xml: {
+        pattern: /(<!--[\s\S]*?-->)|("[^"\n]*")|(<\/?[\w:.-]+|\/?>)|([\w:.-]+(?==))/g,
+        classes: ['comment', 'string', 'keyword', 'annotation']
+    },
+    shell: {
+        pattern: /(^[ \t]*(?:#|@?REM\b)[^\n]*)|("(?:[^"\\\n]|\\.)*"|'[^'\n]*')|\b(if|then|else|elif|fi|for|in|do|done|case|esac|while|function|return|exit|set|echo|goto|call)\b/gim,
+        classes: ['comment', 'string', 'keyword']
+    },
+    markdown: {
+        pattern: /(^#+[^\n]*)|(`[^`\n]*`)/gm,
+        classes: ['keyword', 'string']
+    }
+};
+
+/**
+ * Renders the generated files in the browser: a file tree, a viewer with syntax highlighting and,
+ * when a previous version of the project is given, a unified diff of each changed file.
+ *
+ * @class
+ */
+class FilePreview {
+    /**
+     * Creates the preview.
+     *
+     * @param {string} treeSelector - The selector of the element receiving the file tree.
+     * @param {string} viewerSelector - The selector of the element receiving the file content.
+     * @param {string} summarySelector - The selector of the element receiving the change summary.
+     */
+    constructor(treeSelector, viewerSelector, summarySelector) {
+        this.tree = document.querySelector(treeSelector);
+        this.viewer = document.querySelector(viewerSelector);
+        this.summary = document.querySelector(summarySelector);
+        this.textDiff = new TextDiff();
+        this.files = [];
+        this.changedOnly = false;
+    }
+
+    /**
+     * Shows a set of files, compared with the previous version when given.
+     *
+     * @param {Array<{name: string, content: (string|Uint8Array)}>} files - The files to show.
+     * @param {?Array<{name: string, content: (string|Uint8Array)}>} previousFiles - The previous version, or null.
+     * @returns {void}
+     */
+    render(files, previousFiles) {
+        const previous = new Map();
+        (previousFiles || []).forEach(file => previous.set(file.name, this.toText(file.content)));
+        this.comparing = previousFiles != null;
+        this.files = files.map(file => {
+            const content = this.toText(file.content);
+            let status = 'unchanged';
+            if (this.comparing) {
+                if (!previous.has(file.name)) {
+                    status = 'added';
+                } else if (this.normalize(previous.get(file.name)) !== this.normalize(content)) {
+                    status = 'modified';
+                }
+            }
+            return { name: file.name, content: content, previous: previous.get(file.name) ?? null, status: status };
+        });
+        const names = new Set(files.map(file => file.name));
+        previous.forEach((content, name) => {
+            if (!names.has(name)) {
+                this.files.push({ name: name, content: null, previous: content, status: 'removed' });
+            }
+        });
+        this.files.sort((a, b) => a.name.localeCompare(b.name));
+        this.renderSummary();
+        this.renderTree();
+        // Open the first change in the project sources rather than in the manifest
+        const first = this.visibleFiles().find(file => file.status !== 'unchanged' && !file.name.startsWith('.')) || this.visibleFiles()[0];
+        if (first) {
+            this.show(first.name);
+        } else {
+            this.viewer.textContent = '';
+        }
+    }
+
+    /**
+     * Shows only the added, modified and removed files in the tree.
+     *
+     * @param {boolean} changedOnly - Whether unchanged files are hidden.
+     * @returns {void}
+     */
+    setChangedOnly(changedOnly) {
+        this.changedOnly = changedOnly;
+        this.renderTree();
+    }
+
+    /**
+     * Returns the files shown in the tree.
+     *
+     * @returns {Array<Object>} The files.
+     */
+    visibleFiles() {
+        return this.changedOnly && this.comparing ? this.files.filter(file => file.status !== 'unchanged') : this.files;
+    }
+
+    /**
+     * Writes the number of files, and of changes when comparing.
+     *
+     * @returns {void}
+     */
+    renderSummary() {
+        const count = status => this.files.filter(file => file.status === status).length;
+        let text = `${this.files.length - count('removed')} files`;
+        if (this.comparing) {
+            text += `: ${count('added')} added, ${count('modified')} modified, ${count('removed')} removed, ${count('unchanged')} unchanged`;
+        }
+        this.summary.textContent = text;
+    }
+
+    /**
+     * Builds the file tree. Directories are collapsible, and chains of directories that only
+     * contain one directory (such as the package path) are shown as one node.
+     *
+     * @returns {void}
+     */
+    renderTree() {
+        const root = { dirs: new Map(), files: [] };
+        this.visibleFiles().forEach(file => {
+            const parts = file.name.split('/');
+            let node = root;
+            parts.slice(0, -1).forEach(part => {
+                if (!node.dirs.has(part)) {
+                    node.dirs.set(part, { dirs: new Map(), files: [] });
+                }
+                node = node.dirs.get(part);
+            });
+            node.files.push({ label: parts[parts.length - 1], file: file });
+        });
+        this.tree.textContent = '';
+        this.tree.appendChild(this.createTreeList(root));
+    }
+
+    /**
+     * Creates the list of a directory node.
+     *
+     * @param {Object} node - The directory node, with `dirs` and `files`.
+     * @returns {HTMLUListElement} The list.
+     */
+    createTreeList(node) {
+        const list = document.createElement('ul');
+        list.className = 'file-tree list-unstyled mb-0';
+        [...node.dirs.keys()].sort().forEach(name => {
+            let label = name;
+            let dir = node.dirs.get(name);
+            while (dir.files.length === 0 && dir.dirs.size === 1) {
+                const [childName, child] = [...dir.dirs.entries()][0];
+                label += '/' + childName;
+                dir = child;
+            }
+            const item = document.createElement('li');
+            const details = document.createElement('details');
+            details.open = true;
+            const summary = document.createElement('summary');
+            summary.textContent = label;
+            details.appendChild(summary);
+            details.appendChild(this.createTreeList(dir));
+            item.appendChild(details);
+            list.appendChild(item);
+        });
+        node.files.forEach(entry => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = '#';
+            link.className = 'file-tree-file file-status-' + entry.file.status;
+            link.dataset.name = entry.file.name;
+            link.textContent = entry.label;
+            link.title = entry.file.name + (this.comparing ? ` (${entry.file.status})` : '');
+            link.addEventListener('click', event => {
+                event.preventDefault();
+                this.show(entry.file.name);
+            });
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+        return list;
+    }
+
+    /**
+     * Opens a file in the viewer: the diff for a changed file, the highlighted content otherwise.
+     *
+     * @param {string} name - The path of the file.
+     * @returns {void}
+     */
+    show(name) {
+        const file = this.files.find(candidate => candidate.name === name);
+        if (!file) {
+            return;
+        }
+        this.tree.querySelectorAll('.file-tree-file').forEach(link => {
+            link.classList.toggle('active', link.dataset.name === name);
+        });
+        const header = document.createElement('div');
+        header.className = 'file-viewer-header';
+        header.textContent = file.name + (this.comparing && file.status !== 'unchanged' ? ` (${file.status})` : '');
+        const pre = document.createElement('pre');
+        pre.className = 'file-viewer-code';
+        if (file.status === 'unchanged') {
+            pre.innerHTML = this.isBinary(file.content) ? '(binary file)' : this.highlight(file.content, file.name);
+        } else if (this.isBinary(file.content) || this.isBinary(file.previous)) {
+            pre.textContent = '(binary file)';
+        } else {
+            pre.innerHTML = this.renderDiff(file);
+        }
+        this.viewer.textContent = '';
+        this.viewer.appendChild(header);
+        this.viewer.appendChild(pre);
+    }
+
+    /**
+     * Renders the unified diff of a file as HTML.
+     *
+     * @param {Object} file - The file, with `content`, `previous` and `name`.
+     * @returns {string} The HTML.
+     */
+    renderDiff(file) {
+        const oldName = file.previous === null ? '/dev/null' : 'a/' + file.name;
+        const newName = file.content === null ? '/dev/null' : 'b/' + file.name;
+        const lines = [`<span class="diff-file">--- ${this.escape(oldName)}\n+++ ${this.escape(newName)}</span>`];
+        this.textDiff.hunks(file.previous || '', file.content || '').forEach(hunk => {
+            lines.push(`<span class="diff-hunk">${hunk.header}</span>`);
+            hunk.lines.forEach(line => {
+                const className = line.type === '+' ? 'diff-add' : line.type === '-' ? 'diff-del' : 'diff-context';
+                lines.push(`<span class="${className}">${this.escape(line.type + line.text)}</span>`);
+            });
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * Highlights the source code of a file, choosing the language from the file name.
+     *
+     * @param {string} text - The file content.
+     * @param {string} name - The path of the file.
+     * @returns {string} The HTML, with tokens wrapped in `tok-*` spans.
+     */
+    highlight(text, name) {
+        const language = FILE_PREVIEW_LANGUAGES[this.getLanguage(name)];
+        if (!language) {
+            return this.escape(text);
+        }
+        let html = '';
+        let last = 0;
+        language.pattern.lastIndex = 0;
+        let match;
+        while ((match = language.pattern.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                language.pattern.lastIndex++;
+                continue;
+            }
+            const group = match.findIndex((value, index) => index > 0 && value !== undefined);
+            html += this.escape(text.substring(last, match.index));
+            html += `<span class="tok-${language.classes[group - 1]}">${this.escape(match[0])}</span>`;
+            last = match.index + match[0].length;
+        }
+        return html + this.escape(text.substring(last));
+    }
+
+    /**
+     * Returns the highlighting language of a file.
+     *
+     * @param {string} name - The path of the file.
+     * @returns {?string} The language key, or null for plain text.
+     */
+    getLanguage(name) {
+        const extension = name.includes('.') ? name.substring(name.lastIndexOf('.') + 1).toLowerCase() : '';
+        const languages = {
+            java: 'java', graphqls: 'graphql', graphql: 'graphql', properties: 'properties',
+            xml: 'xml', cmd: 'shell', sh: 'shell', md: 'markdown', gradle: 'java', kts: 'java'
+        };
+        if (name === 'mvnw' || name === 'gradlew') {
+            return 'shell';
+        }
+        return languages[extension] || null;
+    }
+
+    /**
+     * Decodes file content as UTF-8 text.
+     *
+     * @param {(string|Uint8Array|null)} content - The content.
+     * @returns {?string} The text.
+     */
+    toText(content) {
+        if (content == null || typeof content === 'string') {
+            return content;
+        }
+        return new TextDecoder().decode(content);
+    }
+
+    /**
+     * Checks whether decoded content is binary.
+     *
+     * @param {?string} text - The decoded content.
+     * @returns {boolean} True when the content has a NUL character.
+     */
+    isBinary(text) {
+        return text != null && text.includes('\0');
+    }
+
+    /**
+     * Converts Windows line endings.
+     *
+     * @param {string} text - The text.
+     * @returns {string} The text with `\n` line endings.
+     */
+    normalize(text) {
+        return text.replace(/\r\n/g, '\n');
+    }
+
+    /**
+     * Escapes text for use in HTML.
+     *
+     * @param {string} text - The text.
+     * @returns {string} The escaped text.
+     */
+    escape(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+}
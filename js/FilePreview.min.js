@@ -0,0 +1 @@
+const FILE_PREVIEW_LANGUAGES={java:{pattern:/(\/\*[\s\S]*?\*\/|\/\/[^\n]*)|("""[\s\S]*?"""|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')|(@[A-Za-z_]\w*)|\b(abstract|boolean|break|byte|case|catch|char|class|continue|default|do|double|else|enum|extends|final|finally|float|for|if|implements|import|instanceof|int|interface|long|new|null|package|private|protected|public|record|return|short|static|super|switch|this|throw|throws|true|false|try|var|void|while)\b|\b(\d[\d_]*(?:\.\d+)?[lLfFdD]?)\b/g,classes:["comment","string","annotation","keyword","number"]},graphql:{pattern:/(#[^\n]*)|("""[\s\S]*?"""|"(?:[^"\\\n]|\\.)*")|(@[A-Za-z_]\w*)|\b(type|input|enum|scalar|interface|union|extend|schema|query|mutation|subscription|implements|directive|on|fragment)\b|\b(\d+(?:\.\d+)?)\b/g,classes:["comment","string","annotation","keyword","number"]},properties:{pattern:/(^[ \t]*[#!][^\n]*)|(^[ \t]*[^=:#!\s][^=:\n]*(?=[=:]))/gm,classes:["comment","keyword"]},xml:{pattern:/(<!--[\s\S]*?-->)|("[^"\n]*")|(<\/?[\w:.-]+|\/?>)|([\w:.-]+(?==))/g,classes:["comment","string","keyword","annotation"]},shell:{pattern:/(^[ \t]*(?:#|@?REM\b)[^\n]*)|("(?:[^"\\\n]|\\.)*"|'[^'\n]*')|\b(if|then|else|elif|fi|for|in|do|done|case|esac|while|function|return|exit|set|echo|goto|call)\b/gim,classes:["comment","string","keyword"]},markdown:{pattern:/(^#+[^\n]*)|(`[^`\n]*`)/gm,classes:["keyword","string"]}};class FilePreview{constructor(e,t,n){this.tree=document.querySelector(e),this.viewer=document.querySelector(t),this.summary=document.querySelector(n),this.textDiff=new TextDiff,this.files=[],this.changedOnly=!1}render(e,t){const n=new Map;(t||[]).forEach(e=>n.set(e.name,this.toText(e.content))),this.comparing=null!=t,this.files=e.map(e=>{const t=this.toText(e.content);let s="unchanged";return this.comparing&&(n.has(e.name)?this.normalize(n.get(e.name))!==this.normalize(t)&&(s="modified"):s="added"),{name:e.name,content:t,previous:n.get(e.name)??null,status:s}});const s=new Set(e.map(e=>e.name));n.forEach((e,t)=>{s.has(t)||this.files.push({name:t,content:null,previous:e,status:"removed"})}),this.files.sort((e,t)=>e.name.localeCompare(t.name)),this.renderSummary(),this.renderTree();const i=this.visibleFiles().find(e=>"unchanged"!==e.status&&!e.name.startsWith("."))||this.visibleFiles()[0];i?this.show(i.name):this.viewer.textContent=""}setChangedOnly(e){this.changedOnly=e,this.renderTree()}visibleFiles(){return this.changedOnly&&this.comparing?this.files.filter(e=>"unchanged"!==e.status):this.files}renderSummary(){const e=e=>this.files.filter(t=>t.status===e).length;let t=this.files.length-e("removed")+" files";this.comparing&&(t+=`: ${e("added")} added, ${e("modified")} modified, ${e("removed")} removed, ${e("unchanged")} unchanged`),this.summary.textContent=t}renderTree(){const e={dirs:new Map,files:[]};this.visibleFiles().forEach(t=>{const n=t.name.split("/");let s=e;n.slice(0,-1).forEach(e=>{s.dirs.has(e)||s.dirs.set(e,{dirs:new Map,files:[]}),s=s.dirs.get(e)}),s.files.push({label:n[n.length-1],file:t})}),this.tree.textContent="",this.tree.appendChild(this.createTreeList(e))}createTreeList(e){const t=document.createElement("ul");return t.className="file-tree list-unstyled mb-0",[...e.dirs.keys()].sort().forEach(n=>{let s=n,i=e.dirs.get(n);for(;0===i.files.length&&1===i.dirs.size;){const[e,t]=[...i.dirs.entries()][0];s+="/"+e,i=t}const a=document.createElement("li"),r=document.createElement("details");r.open=!0;const l=document.createElement("summary");l.textContent=s,r.appendChild(l),r.appendChild(this.createTreeList(i)),a.appendChild(r),t.appendChild(a)}),e.files.forEach(e=>{const n=document.createElement("li"),s=document.createElement("a");s.href="#",s.className="file-tree-file file-status-"+e.file.status,s.dataset.name=e.file.name,s.textContent=e.label,s.title=e.file.name+(this.comparing?` (${e.file.status})`:""),s.addEventListener("click",t=>{t.preventDefault(),this.show(e.file.name)}),n.appendChild(s),t.appendChild(n)}),t}show(e){const t=this.files.find(t=>t.name===e);if(!t)return;this.tree.querySelectorAll(".file-tree-file").forEach(t=>{t.classList.toggle("active",t.dataset.name===e)});const n=document.createElement("div");n.className="file-viewer-header",n.textContent=t.name+(this.comparing&&"unchanged"!==t.status?` (${t.status})`:"");const s=document.createElement("pre");s.className="file-viewer-code","unchanged"===t.status?s.innerHTML=this.isBinary(t.content)?"(binary file)":this.highlight(t.content,t.name):this.isBinary(t.content)||this.isBinary(t.previous)?s.textContent="(binary file)":s.innerHTML=this.renderDiff(t),this.viewer.textContent="",this.viewer.appendChild(n),this.viewer.appendChild(s)}renderDiff(e){const t=null===e.previous?"/dev/null":"a/"+e.name,n=null===e.content?"/dev/null":"b/"+e.name,s=[`<span class="diff-file">--- ${this.escape(t)}\n+++ ${this.escape(n)}</span>`];return this.textDiff.hunks(e.previous||"",e.content||"").forEach(e=>{s.push(`<span class="diff-hunk">${e.header}</span>`),e.lines.forEach(e=>{const t="+"===e.type?"diff-add":"-"===e.type?"diff-del":"diff-context";s.push(`<span class="${t}">${this.escape(e.type+e.text)}</span>`)})}),s.join("\n")}highlight(e,t){const n=FILE_PREVIEW_LANGUAGES[this.getLanguage(t)];if(!n)return this.escape(e);let s,i="",a=0;for(n.pattern.lastIndex=0;null!==(s=n.pattern.exec(e));){if(0===s[0].length){n.pattern.lastIndex++;continue}const t=s.findIndex((e,t)=>t>0&&void 0!==e);i+=this.escape(e.substring(a,s.index)),i+=`<span class="tok-${n.classes[t-1]}">${this.escape(s[0])}</span>`,a=s.index+s[0].length}return i+this.escape(e.substring(a))}getLanguage(e){const t=e.includes(".")?e.substring(e.lastIndexOf(".")+1).toLowerCase():"";return"mvnw"===e||"gradlew"===e?"shell":{java:"java",graphqls:"graphql",graphql:"graphql",properties:"properties",xml:"xml",cmd:"shell",sh:"shell",md:"markdown",gradle:"java",kts:"java"}[t]||null}toText(e){return null==e||"string"==typeof e?e:(new TextDecoder).decode(e)}isBinary(e){return null!=e&&e.includes("\0")}normalize(e){return e.replace(/\r\n/g,"\n")}escape(e){return e.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;")}}
\ No newline at end of file
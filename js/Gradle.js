@@ -0,0 +1,145 @@
+/**
+ * Gradle.js
+ * This file contains methods to generate Gradle wrapper scripts for both Windows and Unix-like systems.
+ *
+ * The generated scripts are script-only: instead of the binary gradle-wrapper.jar, they download the
+ * Gradle distribution named in gradle/wrapper/gradle-wrapper.properties into the Gradle user home on
+ * first use and run it, the same way the Maven wrapper uses the only-script distribution type.
+ * Running "gradle wrapper" in the project replaces them with the standard wrapper.
+ */
+class Gradle
+{
+    constructor() {
+        // Constructor logic if needed
+    }
+
+    /**
+     * Generates a Gradle wrapper script for Unix-like systems (Linux, macOS).
+     * @returns {Array} An array containing an object with the name and content of the Gradle wrapper script.
+     */
+    static generateGradleFile()
+    {
+        let content = "#!/bin/sh\n"
+                + "# ----------------------------------------------------------------------------\n"
+                + "# Gradle start up script for UN*X (script-only wrapper)\n"
+                + "#\n"
+                + "# Downloads the Gradle distribution named in gradle/wrapper/gradle-wrapper.properties\n"
+                + "# into GRADLE_USER_HOME (default ~/.gradle) on first use and runs it.\n"
+                + "# Run \"gradle wrapper\" to replace this script with the standard Gradle wrapper.\n"
+                + "# ----------------------------------------------------------------------------\n"
+                + "\n"
+                + "set -e\n"
+                + "\n"
+                + "APP_HOME=$(cd \"$(dirname \"$0\")\" && pwd -P)\n"
+                + "PROPERTIES=\"$APP_HOME/gradle/wrapper/gradle-wrapper.properties\"\n"
+                + "\n"
+                + "distributionUrl=$(sed -n 's/^distributionUrl=//p' \"$PROPERTIES\" | sed 's/\\\\:/:/g' | tr -d '\\r')\n"
+                + "if [ -z \"$distributionUrl\" ]; then\n"
+                + "  echo \"distributionUrl is missing in $PROPERTIES\" >&2\n"
+                + "  exit 1\n"
+                + "fi\n"
+                + "\n"
+                + "distributionName=$(basename \"$distributionUrl\" .zip)\n"
+                + "gradleName=${distributionName%-bin}\n"
+                + "gradleName=${gradleName%-all}\n"
+                + "GRADLE_USER_HOME=${GRADLE_USER_HOME:-\"$HOME/.gradle\"}\n"
+                + "DIST_DIR=\"$GRADLE_USER_HOME/wrapper/dists/$distributionName/script-only\"\n"
+                + "GRADLE_HOME=\"$DIST_DIR/$gradleName\"\n"
+                + "\n"
+                + "if [ ! -x \"$GRADLE_HOME/bin/gradle\" ]; then\n"
+                + "  mkdir -p \"$DIST_DIR\"\n"
+                + "  TMP_ZIP=\"$DIST_DIR/$distributionName.zip.part\"\n"
+                + "  echo \"Downloading $distributionUrl\" >&2\n"
+                + "  if command -v curl >/dev/null 2>&1; then\n"
+                + "    curl -fsSL -o \"$TMP_ZIP\" \"$distributionUrl\"\n"
+                + "  elif command -v wget >/dev/null 2>&1; then\n"
+                + "    wget -q -O \"$TMP_ZIP\" \"$distributionUrl\"\n"
+                + "  else\n"
+                + "    echo \"curl or wget is required to download Gradle\" >&2\n"
+                + "    exit 1\n"
+                + "  fi\n"
+                + "  unzip -q -o \"$TMP_ZIP\" -d \"$DIST_DIR\"\n"
+                + "  rm -f \"$TMP_ZIP\"\n"
+                + "fi\n"
+                + "\n"
+                + "exec \"$GRADLE_HOME/bin/gradle\" \"$@\"\n";
+        return [{
+            name: "gradlew",
+            content: content
+        }];
+    }
+
+    /**
+     * Generates a Gradle wrapper script for Windows systems.
+     * @returns {Array} An array containing an object with the name and content of the Gradle wrapper batch script.
+     */
+    static generateGradleCmdFile()
+    {
+        let content = "@rem ----------------------------------------------------------------------------\r\n"
+                + "@rem Gradle start up script for Windows (script-only wrapper)\r\n"
+                + "@rem\r\n"
+                + "@rem Downloads the Gradle distribution named in gradle\\wrapper\\gradle-wrapper.properties\r\n"
+                + "@rem into GRADLE_USER_HOME (default %USERPROFILE%\\.gradle) on first use and runs it.\r\n"
+                + "@rem Run \"gradle wrapper\" to replace this script with the standard Gradle wrapper.\r\n"
+                + "@rem ----------------------------------------------------------------------------\r\n"
+                + "@if \"%DEBUG%\"==\"\" @echo off\r\n"
+                + "setlocal\r\n"
+                + "\r\n"
+                + "set APP_HOME=%~dp0\r\n"
+                + "set PROPERTIES=%APP_HOME%gradle\\wrapper\\gradle-wrapper.properties\r\n"
+                + "if \"%GRADLE_USER_HOME%\"==\"\" set GRADLE_USER_HOME=%USERPROFILE%\\.gradle\r\n"
+                + "\r\n"
+                + "for /f \"usebackq delims=\" %%i in (`powershell -NoProfile -ExecutionPolicy Bypass -Command ^\r\n"
+                + "  \"$url = ((Get-Content '%PROPERTIES%' | Where-Object { $_ -like 'distributionUrl=*' }) -replace '^distributionUrl=', '') -replace '\\\\:', ':';\" ^\r\n"
+                + "  \"$name = [IO.Path]::GetFileNameWithoutExtension($url);\" ^\r\n"
+                + "  \"$gradle = $name -replace '-(bin|all)$', '';\" ^\r\n"
+                + "  \"$dist = Join-Path $env:GRADLE_USER_HOME ('wrapper\\dists\\' + $name + '\\script-only');\" ^\r\n"
+                + "  \"$home = Join-Path $dist $gradle;\" ^\r\n"
+                + "  \"if (-not (Test-Path (Join-Path $home 'bin\\gradle.bat'))) {\" ^\r\n"
+                + "  \"  New-Item -ItemType Directory -Force -Path $dist | Out-Null;\" ^\r\n"
+                + "  \"  $zip = Join-Path $dist ($name + '.zip.part');\" ^\r\n"
+                + "  \"  [Console]::Error.WriteLine('Downloading ' + $url);\" ^\r\n"
+                + "  \"  [Net.ServicePointManager]::SecurityProtocol = [Net.SecurityProtocolType]::Tls12;\" ^\r\n"
+                + "  \"  (New-Object Net.WebClient).DownloadFile($url, $zip);\" ^\r\n"
+                + "  \"  Add-Type -AssemblyName System.IO.Compression.FileSystem;\" ^\r\n"
+                + "  \"  [IO.Compression.ZipFile]::ExtractToDirectory($zip, $dist);\" ^\r\n"
+                + "  \"  Remove-Item $zip;\" ^\r\n"
+                + "  \"}\" ^\r\n"
+                + "  \"$home\"`) do set GRADLE_HOME=%%i\r\n"
+                + "\r\n"
+                + "if not exist \"%GRADLE_HOME%\\bin\\gradle.bat\" (\r\n"
+                + "  echo ERROR: Gradle could not be downloaded. 1>&2\r\n"
+                + "  exit /b 1\r\n"
+                + ")\r\n"
+                + "\r\n"
+                + "call \"%GRADLE_HOME%\\bin\\gradle.bat\" %*\r\n"
+                + "exit /b %ERRORLEVEL%\r\n";
+        return [{
+            name: "gradlew.bat",
+            content: content
+        }];
+    }
+
+    /**
+     * Generates the Gradle wrapper properties file, which sets the Gradle version to download.
+     * @returns {Array} An array containing an object with the name and content of the Gradle wrapper properties file.
+     */
+    static generateGradleWrapperFiles()
+    {
+        return [{
+            name: "gradle/wrapper/gradle-wrapper.properties",
+            content: `distributionBase=GRADLE_USER_HOME
+distributionPath=wrapper/dists
+distributionUrl=https\\://services.gradle.org/distributions/gradle-8.14.3-bin.zip
+networkTimeout=10000
+validateDistributionUrl=true
+zipStoreBase=GRADLE_USER_HOME
+zipStorePath=wrapper/dists
+`
+        }];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Gradle };
+}
@@ -0,0 +1 @@
+class Gradle{constructor(){}static generateGradleFile(){return[{name:"gradlew",content:'#!/bin/sh\n# ----------------------------------------------------------------------------\n# Gradle start up script for UN*X (script-only wrapper)\n#\n# Downloads the Gradle distribution named in gradle/wrapper/gradle-wrapper.properties\n# into GRADLE_USER_HOME (default ~/.gradle) on first use and runs it.\n# Run "gradle wrapper" to replace this script with the standard Gradle wrapper.\n# ----------------------------------------------------------------------------\n\nset -e\n\nAPP_HOME=$(cd "$(dirname "$0")" && pwd -P)\nPROPERTIES="$APP_HOME/gradle/wrapper/gradle-wrapper.properties"\n\ndistributionUrl=$(sed -n \'s/^distributionUrl=//p\' "$PROPERTIES" | sed \'s/\\\\:/:/g\' | tr -d \'\\r\')\nif [ -z "$distributionUrl" ]; then\n  echo "distributionUrl is missing in $PROPERTIES" >&2\n  exit 1\nfi\n\ndistributionName=$(basename "$distributionUrl" .zip)\ngradleName=${distributionName%-bin}\ngradleName=${gradleName%-all}\nGRADLE_USER_HOME=${GRADLE_USER_HOME:-"$HOME/.gradle"}\nDIST_DIR="$GRADLE_USER_HOME/wrapper/dists/$distributionName/script-only"\nGRADLE_HOME="$DIST_DIR/$gradleName"\n\nif [ ! -x "$GRADLE_HOME/bin/gradle" ]; then\n  mkdir -p "$DIST_DIR"\n  TMP_ZIP="$DIST_DIR/$distributionName.zip.part"\n  echo "Downloading $distributionUrl" >&2\n  if command -v curl >/dev/null 2>&1; then\n    curl -fsSL -o "$TMP_ZIP" "$distributionUrl"\n  elif command -v wget >/dev/null 2>&1; then\n    wget -q -O "$TMP_ZIP" "$distributionUrl"\n  else\n    echo "curl or wget is required to download Gradle" >&2\n    exit 1\n  fi\n  unzip -q -o "$TMP_ZIP" -d "$DIST_DIR"\n  rm -f "$TMP_ZIP"\nfi\n\nexec "$GRADLE_HOME/bin/gradle" "$@"\n'}]}static generateGradleCmdFile(){return[{name:"gradlew.bat",content:'@rem ----------------------------------------------------------------------------\r\n@rem Gradle start up script for Windows (script-only wrapper)\r\n@rem\r\n@rem Downloads the Gradle distribution named in gradle\\wrapper\\gradle-wrapper.properties\r\n@rem into GRADLE_USER_HOME (default %USERPROFILE%\\.gradle) on first use and runs it.\r\n@rem Run "gradle wrapper" to replace this script with the standard Gradle wrapper.\r\n@rem ----------------------------------------------------------------------------\r\n@if "%DEBUG%"=="" @echo off\r\nsetlocal\r\n\r\nset APP_HOME=%~dp0\r\nset PROPERTIES=%APP_HOME%gradle\\wrapper\\gradle-wrapper.properties\r\nif "%GRADLE_USER_HOME%"=="" set GRADLE_USER_HOME=%USERPROFILE%\\.gradle\r\n\r\nfor /f "usebackq delims=" %%i in (`powershell -NoProfile -ExecutionPolicy Bypass -Command ^\r\n  "$url = ((Get-Content \'%PROPERTIES%\' | Where-Object { $_ -like \'distributionUrl=*\' }) -replace \'^distributionUrl=\', \'\') -replace \'\\\\:\', \':\';" ^\r\n  "$name = [IO.Path]::GetFileNameWithoutExtension($url);" ^\r\n  "$gradle = $name -replace \'-(bin|all)$\', \'\';" ^\r\n  "$dist = Join-Path $env:GRADLE_USER_HOME (\'wrapper\\dists\\\' + $name + \'\\script-only\');" ^\r\n  "$home = Join-Path $dist $gradle;" ^\r\n  "if (-not (Test-Path (Join-Path $home \'bin\\gradle.bat\'))) {" ^\r\n  "  New-Item -ItemType Directory -Force -Path $dist | Out-Null;" ^\r\n  "  $zip = Join-Path $dist ($name + \'.zip.part\');" ^\r\n  "  [Console]::Error.WriteLine(\'Downloading \' + $url);" ^\r\n  "  [Net.ServicePointManager]::SecurityProtocol = [Net.SecurityProtocolType]::Tls12;" ^\r\n  "  (New-Object Net.WebClient).DownloadFile($url, $zip);" ^\r\n  "  Add-Type -AssemblyName System.IO.Compression.FileSystem;" ^\r\n  "  [IO.Compression.ZipFile]::ExtractToDirectory($zip, $dist);" ^\r\n  "  Remove-Item $zip;" ^\r\n  "}" ^\r\n  "$home"`) do set GRADLE_HOME=%%i\r\n\r\nif not exist "%GRADLE_HOME%\\bin\\gradle.bat" (\r\n  echo ERROR: Gradle could not be downloaded. 1>&2\r\n  exit /b 1\r\n)\r\n\r\ncall "%GRADLE_HOME%\\bin\\gradle.bat" %*\r\nexit /b %ERRORLEVEL%\r\n'}]}static generateGradleWrapperFiles(){return[{name:"gradle/wrapper/gradle-wrapper.properties",content:"distributionBase=GRADLE_USER_HOME\ndistributionPath=wrapper/dists\ndistributionUrl=https\\://services.gradle.org/distributions/gradle-8.14.3-bin.zip\nnetworkTimeout=10000\nvalidateDistributionUrl=true\nzipStoreBase=GRADLE_USER_HOME\nzipStorePath=wrapper/dists\n"}]}}"undefined"!=typeof module&&module.exports&&(module.exports={Gradle:Gradle});
\ No newline at end of file
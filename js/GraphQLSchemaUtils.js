@@ -13,6 +13,16 @@ class GraphQLSchemaUtils {
         'ID'
     ];
 
+    /**
+     * Creates the schema helpers.
+     *
+     * @param {TypeMapping} [typeMapping] - The SQL type mapping used for the scalar types of the columns.
+     */
+    constructor(typeMapping = null) {
+        const TypeMappingClass = typeof TypeMapping === 'undefined' ? require('./TypeMapping.js').TypeMapping : TypeMapping;
+        this.typeMapping = typeMapping || new TypeMappingClass();
+    }
+
     /**
      * @private
      * Converts a string to snake_case.
@@ -34,7 +44,7 @@ class GraphQLSchemaUtils {
      * @returns {string} The string in camelCase.
      */
     toCamelCase(str) {
-        return str.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+        return str.replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
     }
 
     /**
@@ -48,6 +58,26 @@ class GraphQLSchemaUtils {
         return camel.charAt(0).toUpperCase() + camel.slice(1);
     }
 
+    /**
+     * @private
+     * Converts an entity name to the camelCase plural used for collection fields.
+     * A consonant followed by "y" becomes "ies" (e.g. "category" to "categories"), names ending in
+     * "ss", "us", "x", "z", "ch" or "sh" get "es" (e.g. "address" to "addresses", "box" to "boxes").
+     * Other names already ending in "s" (e.g. "orders") are not pluralized again.
+     * @param {string} name The entity name.
+     * @returns {string} The plural name in camelCase.
+     */
+    toPluralCamelCase(name) {
+        const camel = this.toCamelCase(name);
+        if (/[^aeiou]y$/i.test(camel)) {
+            return `${camel.slice(0, -1)}ies`;
+        }
+        if (/(ss|us|x|z|ch|sh)$/i.test(camel)) {
+            return `${camel}es`;
+        }
+        return /s$/i.test(camel) ? camel : `${camel}s`;
+    }
+
     /**
      * @private
      * Normalizes a name for case-insensitive comparison by removing underscores and spaces.
@@ -188,18 +218,132 @@ class GraphQLSchemaUtils {
         return parsedSchema;
     }
 
+    /**
+     * @private
+     * Resolves the entity referenced by a column and the name of its relationship field.
+     * Declared foreign keys take precedence over the `_id` naming convention.
+     *
+     * @param {Array<Object>} entities All entities of the schema.
+     * @param {Object} entity The entity owning the column.
+     * @param {Object} col The column to check.
+     * @returns {{entity: Object, fieldName: string}|null} The referenced entity and the
+     * relationship field name, or null if the column is not a relation.
+     */
+    getReference(entities, entity, col) {
+        const reference = entity.getReferencedEntity(col, entities);
+        if (!reference) {
+            return null;
+        }
+        // Convention-based relations keep the referenced entity name as field name
+        const fieldName = reference.foreignKey
+            ? this.toCamelCase(entity.getRelationName(col.name))
+            : this.toCamelCase(reference.entity.name);
+        return { entity: reference.entity, fieldName: fieldName };
+    }
+
+    /**
+     * @private
+     * Finds the columns of other entities referencing the given entity, so the inverse
+     * one-to-many side can be exposed as a list field.
+     * The field is named after the child entity in plural form. When the child references
+     * the entity more than once, the relationship field name is appended to keep it unique.
+     *
+     * @param {Array<Object>} entities All entities of the schema.
+     * @param {Object} entity The referenced (parent) entity.
+     * @returns {Array<{entity: Object, column: Object, fieldName: string}>} The child references.
+     */
+    getChildReferences(entities, entity) {
+        return this.getChildReferenceMap(entities).get(entity) || [];
+    }
+
+    /**
+     * @private
+     * Finds the child references of all entities at once (see getChildReferences), resolving
+     * every column of the model only once.
+     *
+     * @param {Array<Object>} entities All entities of the schema.
+     * @returns {Map<Object, Array<{entity: Object, column: Object, fieldName: string}>>} The child references by parent entity.
+     */
+    getChildReferenceMap(entities) {
+        const children = new Map(entities.map(entity => [entity, []]));
+        entities.forEach(child => {
+            const references = child.columns
+                .map(col => ({ column: col, reference: this.getReference(entities, child, col) }))
+                .filter(item => item.reference);
+            references.forEach(item => {
+                let fieldName = this.toPluralCamelCase(child.name);
+                if (references.some(other => other !== item && other.reference.entity === item.reference.entity)) {
+                    fieldName += `By${this.toUpperCamelCase(item.reference.fieldName)}`;
+                }
+                children.get(item.reference.entity).push({ entity: child, column: item.column, fieldName: fieldName });
+            });
+        });
+        return children;
+    }
+
+    /**
+     * @private
+     * Returns the pure link tables of the model (see Entity.getJoinTableReferences).
+     *
+     * @param {Array<Object>} entities All entities of the schema.
+     * @returns {Array<Object>} The join table entities.
+     */
+    getJoinTables(entities) {
+        return entities.filter(entity => entity.getJoinTableReferences(entities) != null);
+    }
+
+    /**
+     * @private
+     * Finds the many-to-many relationships of an entity through the join tables of the model.
+     * The side referenced by the first join table column owns the relationship.
+     * The field is named after the other entity in plural form. When several join tables link
+     * the same entities, the join table name is appended to keep it unique.
+     *
+     * @param {Array<Object>} entities All entities of the schema, including the join tables.
+     * @param {Object} entity The entity to find the relationships for.
+     * @param {Array<Object>} [joinTables] The join tables of the model, when already known.
+     * @returns {Array<{joinTable: Object, column: Object, entity: Object, inverseColumn: Object, fieldName: string, owner: boolean}>}
+     * The many-to-many relationships, where `column` is the join table column referencing the entity.
+     */
+    getManyToManyReferences(entities, entity, joinTables = this.getJoinTables(entities)) {
+        const relations = [];
+        joinTables.forEach(joinTable => {
+            const references = joinTable.getJoinTableReferences(entities);
+            references.forEach((reference, index) => {
+                if (reference.entity === entity) {
+                    const other = 1 - index;
+                    relations.push({
+                        joinTable: joinTable,
+                        column: joinTable.columns[index],
+                        entity: references[other].entity,
+                        inverseColumn: joinTable.columns[other],
+                        owner: index === 0
+                    });
+                }
+            });
+        });
+        relations.forEach(relation => {
+            relation.fieldName = this.toPluralCamelCase(relation.entity.name);
+            if (relations.filter(r => r.entity === relation.entity).length > 1) {
+                relation.fieldName += `By${this.toUpperCamelCase(relation.joinTable.name)}`;
+            }
+        });
+        return relations;
+    }
+
     /**
      * Builds a GraphQL schema string based on a list of database entities and their columns.
      *
      * This method maps SQL data types to GraphQL types, detects relationships based on
-     * foreign key naming conventions (fields ending with `_id`), and generates both
+     * declared foreign keys (falling back to the `_id` naming convention), and generates both
      * `type` definitions and corresponding `input` types for mutations.
      *
      * ### Features:
      * - Converts SQL types (e.g., VARCHAR, INT) to equivalent GraphQL scalar types.
      * - Supports custom camelCase and UpperCamelCase name formatting for GraphQL fields and types.
-     * - Automatically detects relationships between entities using `_id` suffix convention
-     * and generates proper GraphQL relationship fields.
+     * - Detects relationships between entities from declared foreign keys, or the `_id` suffix
+     * convention when none is declared, and generates proper GraphQL relationship fields.
+     * - Adds a paginated list field on the referenced type for each inverse (one-to-many) relationship.
      * - Optionally removes scalar `_id` fields when a relationship field is generated
      * (`removeIdFields` flag).
      * - Generates input types for mutations, handling composite primary keys and required fields.
@@ -215,7 +359,9 @@ class GraphQLSchemaUtils {
      * - {boolean} [primaryKey=false] - Whether the column is a primary key.
      * @param {boolean} [removeIdFields=true] - If true, removes raw `_id` scalar fields
      * when a relationship field is generated for that column.
-     * @param {string} [paginationMode="offset"] - The pagination mode to use ("offset" or "cursor").
+     * @param {string} [paginationMode="offset"] - The pagination mode to use ("offset", "slice" or "cursor").
+     * @param {boolean} [manyToMany=false] - If true, join tables are not exposed as types. Their
+     * entities get list fields on both sides instead, with `add`/`remove` link mutations.
      *
      * @returns {string} A complete GraphQL schema as a string, including type definitions,
      * input types, and the root Query type for all entities.
@@ -223,50 +369,61 @@ class GraphQLSchemaUtils {
      * @example
      * const schema = buildGraphQLSchema(entities, false);
      */
-    buildGraphQLSchema(entities, removeIdFields = true, paginationMode = "offset") {
-        const sqlToGraphQL = {
-            CHAR: "String",
-            VARCHAR: "String",
-            TEXT: "String",
-            LONGTEXT: "String",
-            INT: "Int",
-            INTEGER: "Int",
-            BIGINT: "Int",
-            SMALLINT: "Int",
-            TINYINT: "Boolean",
-            DECIMAL: "Float",
-            NUMERIC: "Float",
-            FLOAT: "Float",
-            DOUBLE: "Float",
-            REAL: "Float",
-            BOOLEAN: "Boolean",
-            DATE: "String",
-            DATETIME: "String",
-            TIMESTAMP: "String",
-            TIME: "String",
-            ENUM: "String",
-            SET: "String"
-        };
-        
+    buildGraphQLSchema(entities, removeIdFields = true, paginationMode = "offset", manyToMany = false) {
+        const allEntities = entities;
+        const joinTables = manyToMany ? this.getJoinTables(allEntities) : [];
+        entities = allEntities.filter(entity => !joinTables.includes(entity));
+        const childReferences = this.getChildReferenceMap(entities);
+
         const toCamelCase = this.toCamelCase;
 
+        // ENUM columns use their own enum type, other columns a scalar
+        const getScalarType = (entity, col) => col.isEnum()
+            ? entity.getEnumTypeName(col, allEntities)
+            : this.typeMapping.getGraphQLType(col.type, col.length, col.name);
+
+        // Relation collections are paginated the same way as the list queries
+        const getCollectionField = related => {
+            const relType = this.toUpperCamelCase(related.name);
+            return paginationMode === "cursor"
+                ? `(first: Int, after: String, last: Int, before: String, dataFilter: [DataFilter], dataOrder: [DataOrder]): ${relType}Connection`
+                : `(pageNumber: Int, pageSize: Int, dataFilter: [DataFilter], dataOrder: [DataOrder]): [${relType}]`;
+        };
+
         let schema = `# GraphQL Schema generated by GraphQL Generator\n\n`;
+
+        // Custom scalars, registered by the generated ScalarConfig
+        this.typeMapping.getCustomScalars().forEach(scalar => {
+            schema += `scalar ${scalar}\n`;
+        });
+        schema += `\n`;
         
         // Add standard PageInfo and Connection types for cursor-based pagination
         if (paginationMode === "cursor") {
             schema += `type PageInfo {
     hasNextPage: Boolean!
     hasPreviousPage: Boolean!
-    startCursor: String!
-    endCursor: String!
+    startCursor: String
+    endCursor: String
 }
 
+`;
+        }
+        else if (paginationMode === "slice")
+        {
+            schema += `type PageInfo {
+    currentPage: Int!
+    pageSize: Int!
+    hasNextPage: Boolean!
+    hasPreviousPage: Boolean!
+}
+    
 `;
         }
         else
         {
             schema += `type PageInfo {
-    totalCount: Int!
+    totalCount: Long!
     totalPages: Int!
     currentPage: Int!
     pageSize: Int!
@@ -277,6 +434,17 @@ class GraphQLSchemaUtils {
 `;
         }
         
+        // Generate ENUM definitions
+        entities.forEach(entity => {
+            entity.columns.filter(col => col.isEnum()).forEach(col => {
+                schema += `\nenum ${entity.getEnumTypeName(col, allEntities)} {\n`;
+                col.getEnumConstants().forEach(constant => {
+                    schema += `    ${constant.name}\n`;
+                });
+                schema += `}\n`;
+            });
+        });
+
         // Generate TYPE definitions
         entities.forEach(entity => {
             let typeName = this.toUpperCamelCase(entity.name);
@@ -288,18 +456,12 @@ class GraphQLSchemaUtils {
 
                 let savedRelation = '';
 
-                if (col.name.endsWith("_id")) {
-                    const relatedEntityName = col.name.slice(0, -3);
-                    const relatedEntity = entities.find(
-                        e => e.name.toLowerCase() === relatedEntityName.toLowerCase()
-                    );
-
-                    if (relatedEntity && relatedEntity.name.toLowerCase() !== entity.name.toLowerCase()) {
-                        const relType = this.toUpperCamelCase(relatedEntity.name);
-                        const relField = toCamelCase(relatedEntity.name);
-                        savedRelation += `    ${relField}: ${relType}${col.nullable ? "" : "!"}\n`;
-                        isRelation = true;
-                    }
+                const reference = this.getReference(entities, entity, col);
+                if (reference) {
+                    const relType = this.toUpperCamelCase(reference.entity.name);
+                    const relField = reference.fieldName;
+                    savedRelation += `    ${relField}: ${relType}${col.nullable ? "" : "!"}\n`;
+                    isRelation = true;
                 }
                 
                 // Non-nullable relationships are always required
@@ -322,7 +484,7 @@ class GraphQLSchemaUtils {
                     if (col.primaryKey) {
                         gqlType = "ID";
                     } else {
-                        gqlType = sqlToGraphQL[col.type.toUpperCase()] || "String";
+                        gqlType = getScalarType(entity, col);
                     }
                     
                     if (isRequired) {
@@ -334,6 +496,18 @@ class GraphQLSchemaUtils {
                 schema += savedRelation;
             });
 
+            // Inverse one-to-many relationships with their own pagination and filter arguments
+            childReferences.get(entity).forEach(child => {
+                schema += `    ${child.fieldName}${getCollectionField(child.entity)}\n`;
+            });
+
+            // Many-to-many relationships through join tables
+            if (manyToMany) {
+                this.getManyToManyReferences(allEntities, entity, joinTables).forEach(relation => {
+                    schema += `    ${relation.fieldName}${getCollectionField(relation.entity)}\n`;
+                });
+            }
+
             schema += `}\n`;
             
             // Generate Connection and Edge types for cursor-based pagination
@@ -383,24 +557,20 @@ type ${connectionTypeName} {
             entity.columns.forEach(col => {
                 if(!col.autoIncrement)
                 {
-                    const isRelation =
-                        col.name.endsWith("_id") &&
-                        entities.some(
-                            e => e.name.toLowerCase() === col.name.slice(0, -3).toLowerCase() &&
-                                    e.name.toLowerCase() !== entity.name.toLowerCase()
-                        );
+                    const isRelation = this.getReference(entities, entity, col) != null;
 
                     let gqlType;
                     if (col.primaryKey || isRelation) {
                         gqlType = "ID";
                     } else {
-                        gqlType = sqlToGraphQL[col.type.toUpperCase()] || "String";
+                        gqlType = getScalarType(entity, col);
                     }
 
-                    const isRequired =
+                    // Columns with a database default may be left out
+                    const isRequired = !col.hasDefault() && (
                         (isCompositeKey && col.primaryKey) ||
                         (isRelation && !col.nullable) ||
-                        (!col.primaryKey && !isRelation && !col.nullable);
+                        (!col.primaryKey && !isRelation && !col.nullable));
 
                     if (isRequired) {
                         gqlType += "!";
@@ -415,18 +585,13 @@ type ${connectionTypeName} {
             schema += `\ninput ${updateName} {\n`;
 
             entity.columns.forEach(col => {
-                const isRelation =
-                    col.name.endsWith("_id") &&
-                    entities.some(
-                        e => e.name.toLowerCase() === col.name.slice(0, -3).toLowerCase() &&
-                                e.name.toLowerCase() !== entity.name.toLowerCase()
-                    );
+                const isRelation = this.getReference(entities, entity, col) != null;
 
                 let gqlType;
                 if (col.primaryKey || isRelation) {
                     gqlType = "ID";
                 } else {
-                    gqlType = sqlToGraphQL[col.type.toUpperCase()] || "String";
+                    gqlType = getScalarType(entity, col);
                 }
 
                 const isRequired =
@@ -444,9 +609,17 @@ type ${connectionTypeName} {
             schema += `}\n`;
         });
         
-        schema += `\ninput DataFilter{
+        schema += `\n# operator: eq, neq, gt, gte, lt, lte, between, in, notIn, isNull, startsWith, contains
+# Without operator, the filter operation of the field is used (exact or partial).
+# fieldValues holds the values of between, in and notIn. and/or hold nested filter groups.
+input DataFilter{
     fieldName: String,
-    fieldValue: String
+    fieldValue: String,
+    fieldValues: [String],
+    operator: String,
+    ignoreCase: Boolean,
+    and: [DataFilter],
+    or: [DataFilter]
 }\n`;
 
         schema += `\ninput DataOrder{
@@ -479,10 +652,10 @@ type ${connectionTypeName} {
             const pluralName = `${camelCaseName}s`;
             const allQueryName = `get${this.toUpperCamelCase(pluralName)}`;
 
-            if (paginationMode === "offset") {
+            if (paginationMode === "offset" || paginationMode === "slice") {
                  schema += `    ${allQueryName}(pageNumber: Int, pageSize: Int, dataFilter: [DataFilter], dataOrder: [DataOrder]): ${typeName}Connection\n`;
             } else if (paginationMode === "cursor") {
-                schema += `    ${allQueryName}(first: Int, after: String, last: Int, before: String): ${typeName}Connection\n`;
+                schema += `    ${allQueryName}(first: Int, after: String, last: Int, before: String, dataFilter: [DataFilter], dataOrder: [DataOrder]): ${typeName}Connection\n`;
             }
         });
         schema += `}\n`;
@@ -509,8 +682,22 @@ type ${connectionTypeName} {
                 schema += `    delete${typeName}(${pkArgs}): Boolean\n`;
             }
         });
+
+        // Link mutations for join tables
+        joinTables.forEach(joinTable => {
+            const typeName = this.toUpperCamelCase(joinTable.name);
+            const linkArgs = joinTable.columns
+                .map(col => `${toCamelCase(col.name)}: ID!`)
+                .join(', ');
+            schema += `    add${typeName}(${linkArgs}): Boolean\n`;
+            schema += `    remove${typeName}(${linkArgs}): Boolean\n`;
+        });
         schema += `}\n`;
         
         return schema;
     }
-}
\ No newline at end of file
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GraphQLSchemaUtils };
+}
@@ -1,70 +1 @@
-class GraphQLSchemaUtils{reservedTypes=["String","Int","Float","Boolean","ID"];toSnakeCase(e){return e.replace(/([A-Z])/g,(e,t,a)=>(a>0?"_":"")+t.toLowerCase())}toCamelCase(e){return e.replace(/_([a-z])/g,(e,t)=>t.toUpperCase())}toUpperCamelCase(e){let t=this.toCamelCase(e);return t.charAt(0).toUpperCase()+t.slice(1)}normalizeNameForComparison(e){return e.replace(/[_\s]/g,"").toLowerCase()}normalizeEntity(e,t="snake"){let a={};for(let[n,r]of Object.entries(e)){let o=n;"snake"===t?o.includes("_")||(o=this.toSnakeCase(o)):"camel"===t&&o.includes("_")&&(o=this.toCamelCase(o)),a[o]=r.map(a=>{let{name:n,type:r,nullable:o}=a;if(!this.reservedTypes.includes(r)){let l=r;/id$/i.test(n)||(n=this.normalizeNameForComparison(n)===this.normalizeNameForComparison(l)?n+"Id":n);let i=e[l];if(i){let s=i.find(e=>this.normalizeNameForComparison(e.name)===this.normalizeNameForComparison(n));s&&(r=s.type)}}let p=n.includes("_");return"camel"===t?p&&(n=this.toCamelCase(n)):"snake"===t&&!p&&/[a-z][A-Z]/.test(n)&&(n=this.toSnakeCase(n)),"ID"===r&&(r="String"),{name:n,type:r,nullable:o}})}return a}parseGraphQLSchema(e){let t={types:{},inputs:{}},a=/(type|input)\s+(\w+)\s*\{([\s\S]*?)\}/g,n;for(;null!==(n=a.exec(e));){let r=n[1],o=n[2],l=n[3];if("Query"===o)continue;let i=[],s=/(\w+):\s*([\w!]+)/g,p;for(;null!==(p=s.exec(l));){let m=p[1],C=p[2],u=C.endsWith("!");u&&(C=C.slice(0,-1)),i.push({name:m,type:C,nullable:!u})}"type"===r?t.types[o]=i:"input"===r&&(t.inputs[o]=i)}return t}buildGraphQLSchema(e,t=!0,a="offset"){let n={CHAR:"String",VARCHAR:"String",TEXT:"String",LONGTEXT:"String",INT:"Int",INTEGER:"Int",BIGINT:"Int",SMALLINT:"Int",TINYINT:"Boolean",DECIMAL:"Float",NUMERIC:"Float",FLOAT:"Float",DOUBLE:"Float",REAL:"Float",BOOLEAN:"Boolean",DATE:"String",DATETIME:"String",TIMESTAMP:"String",TIME:"String",ENUM:"String",SET:"String"},r=this.toCamelCase,o=`# GraphQL Schema generated by GraphQL Generator
-
-`;return"cursor"===a?o+=`type PageInfo {
-    hasNextPage: Boolean!
-    hasPreviousPage: Boolean!
-    startCursor: String!
-    endCursor: String!
-}
-
-`:o+=`type PageInfo {
-    totalCount: Int!
-    totalPages: Int!
-    currentPage: Int!
-    pageSize: Int!
-    hasNextPage: Boolean!
-    hasPreviousPage: Boolean!
-}
-    
-`,e.forEach(l=>{let i=this.toUpperCamelCase(l.name);if(o+=`
-type ${i} {
-`,l.columns.forEach(a=>{let i=!1,s=!1,p="";if(a.name.endsWith("_id")){let m=a.name.slice(0,-3),C=e.find(e=>e.name.toLowerCase()===m.toLowerCase());if(C&&C.name.toLowerCase()!==l.name.toLowerCase()){let u=this.toUpperCamelCase(C.name),g=r(C.name);p+=`    ${g}: ${u}${a.nullable?"":"!"}
-`,i=!0}}if(i&&!a.nullable&&(s=!0),a.primaryKey&&(s=!0),a.primaryKey||i||a.nullable||(s=!0),!(t&&i)){let y;y=a.primaryKey?"ID":n[a.type.toUpperCase()]||"String",s&&(y+="!"),o+=`    ${r(a.name)}: ${y}
-`}o+=p}),o+=`}
-`,"cursor"===a){let s=`${i}Connection`,p=`${i}Edge`;o+=`
-type ${s} {
-    edges: [${p}]
-    pageInfo: PageInfo!
-}
-
-type ${p} {
-    node: ${i}
-    cursor: String!
-}
-`}else{let m=`${i}Connection`;o+=`
-type ${m} {
-    pageInfo: PageInfo!
-    data: [${i}]
-}
-
-`}}),e.forEach(t=>{let a=this.toUpperCamelCase(t.name)+"Create",l=this.toUpperCamelCase(t.name)+"Update",i=t.columns.filter(e=>e.primaryKey),s=i.length>1;o+=`
-input ${a} {
-`,t.columns.forEach(a=>{if(!a.autoIncrement){let l=a.name.endsWith("_id")&&e.some(e=>e.name.toLowerCase()===a.name.slice(0,-3).toLowerCase()&&e.name.toLowerCase()!==t.name.toLowerCase()),i;i=a.primaryKey||l?"ID":n[a.type.toUpperCase()]||"String";let p=s&&a.primaryKey||l&&!a.nullable||!a.primaryKey&&!l&&!a.nullable;p&&(i+="!"),o+=`    ${r(a.name)}: ${i}
-`}}),o+=`}
-`,o+=`
-input ${l} {
-`,t.columns.forEach(a=>{let l=a.name.endsWith("_id")&&e.some(e=>e.name.toLowerCase()===a.name.slice(0,-3).toLowerCase()&&e.name.toLowerCase()!==t.name.toLowerCase()),i;i=a.primaryKey||l?"ID":n[a.type.toUpperCase()]||"String";let p=s&&a.primaryKey||l&&!a.nullable||!a.primaryKey&&!l&&!a.nullable;p&&(i+="!"),o+=`    ${r(a.name)}: ${i}
-`}),o+=`}
-`}),o+=`
-input DataFilter{
-    fieldName: String,
-    fieldValue: String
-}
-`,o+=`
-input DataOrder{
-    fieldName: String,
-    orderType: String
-}
-`,o+=`
-type Query {
-`,e.forEach(e=>{let t=this.toUpperCamelCase(e.name),n=r(e.name),l=e.columns.filter(e=>e.primaryKey);if(l.length>0){let i=l.map(e=>{let t=r(e.name);return`${t}: ID`}).join(", "),s=`get${t}`;o+=`    ${s}(${i}): ${t}
-`}let p=`${n}s`,m=`get${this.toUpperCamelCase(p)}`;"offset"===a?o+=`    ${m}(pageNumber: Int, pageSize: Int, dataFilter: [DataFilter], dataOrder: [DataOrder]): ${t}Connection
-`:"cursor"===a&&(o+=`    ${m}(first: Int, after: String, last: Int, before: String): ${t}Connection
-`)}),o+=`}
-`,o+=`
-type Mutation {
-`,e.forEach(e=>{let t=this.toUpperCamelCase(e.name),a=`${t}Create`,n=`${t}Update`,l=e.columns.filter(e=>e.primaryKey);if(o+=`    create${t}(input: ${a}!): ${t}
-`,o+=`    update${t}(input: ${n}!): ${t}
-`,l.length>0){let i=l.map(e=>`${r(e.name)}: ID!`).join(", ");o+=`    delete${t}(${i}): Boolean
-`}}),o+=`}
-`}}
\ No newline at end of file
+class GraphQLSchemaUtils{reservedTypes=["String","Int","Float","Boolean","ID"];constructor(e=null){const n="undefined"==typeof TypeMapping?require("./TypeMapping.js").TypeMapping:TypeMapping;this.typeMapping=e||new n}toSnakeCase(e){return e.replace(/([A-Z])/g,(e,n,t)=>(t>0?"_":"")+n.toLowerCase())}toCamelCase(e){return e.replace(/_([a-z0-9])/g,(e,n)=>n.toUpperCase())}toUpperCamelCase(e){let n=this.toCamelCase(e);return n.charAt(0).toUpperCase()+n.slice(1)}toPluralCamelCase(e){const n=this.toCamelCase(e);return/[^aeiou]y$/i.test(n)?`${n.slice(0,-1)}ies`:/(ss|us|x|z|ch|sh)$/i.test(n)?`${n}es`:/s$/i.test(n)?n:`${n}s`}normalizeNameForComparison(e){return e.replace(/[_\s]/g,"").toLowerCase()}normalizeEntity(e,n="snake"){const t={};for(const[a,r]of Object.entries(e)){let o=a;"snake"===n?o.includes("_")||(o=this.toSnakeCase(o)):"camel"===n&&o.includes("_")&&(o=this.toCamelCase(o)),t[o]=r.map(t=>{let{name:a,type:r,nullable:o}=t;if(!this.reservedTypes.includes(r)){const n=r;/id$/i.test(a)||(a=this.normalizeNameForComparison(a)===this.normalizeNameForComparison(n)?a+"Id":a);const t=e[n];if(t){const e=t.find(e=>this.normalizeNameForComparison(e.name)===this.normalizeNameForComparison(a));e&&(r=e.type)}}const s=a.includes("_");return"camel"===n?s&&(a=this.toCamelCase(a)):"snake"===n&&!s&&/[a-z][A-Z]/.test(a)&&(a=this.toSnakeCase(a)),"ID"===r&&(r="String"),{name:a,type:r,nullable:o}})}return t}parseGraphQLSchema(e){const n={types:{},inputs:{}},t=/(type|input)\s+(\w+)\s*\{([\s\S]*?)\}/g;let a;for(;null!==(a=t.exec(e));){const e=a[1],t=a[2],r=a[3];if("Query"===t)continue;const o=[],s=/(\w+):\s*([\w!]+)/g;let i;for(;null!==(i=s.exec(r));){const e=i[1];let n=i[2];const t=n.endsWith("!");t&&(n=n.slice(0,-1)),o.push({name:e,type:n,nullable:!t})}"type"===e?n.types[t]=o:"input"===e&&(n.inputs[t]=o)}return n}getReference(e,n,t){const a=n.getReferencedEntity(t,e);if(!a)return null;const r=a.foreignKey?this.toCamelCase(n.getRelationName(t.name)):this.toCamelCase(a.entity.name);return{entity:a.entity,fieldName:r}}getChildReferences(e,n){return this.getChildReferenceMap(e).get(n)||[]}getChildReferenceMap(e){const n=new Map(e.map(e=>[e,[]]));return e.forEach(t=>{const a=t.columns.map(n=>({column:n,reference:this.getReference(e,t,n)})).filter(e=>e.reference);a.forEach(e=>{let r=this.toPluralCamelCase(t.name);a.some(n=>n!==e&&n.reference.entity===e.reference.entity)&&(r+=`By${this.toUpperCamelCase(e.reference.fieldName)}`),n.get(e.reference.entity).push({entity:t,column:e.column,fieldName:r})})}),n}getJoinTables(e){return e.filter(n=>null!=n.getJoinTableReferences(e))}getManyToManyReferences(e,n,t=this.getJoinTables(e)){const a=[];return t.forEach(t=>{const r=t.getJoinTableReferences(e);r.forEach((e,o)=>{if(e.entity===n){const e=1-o;a.push({joinTable:t,column:t.columns[o],entity:r[e].entity,inverseColumn:t.columns[e],owner:0===o})}})}),a.forEach(e=>{e.fieldName=this.toPluralCamelCase(e.entity.name),a.filter(n=>n.entity===e.entity).length>1&&(e.fieldName+=`By${this.toUpperCamelCase(e.joinTable.name)}`)}),a}buildGraphQLSchema(e,n=!0,t="offset",a=!1){const r=e,o=a?this.getJoinTables(r):[];e=r.filter(e=>!o.includes(e));const s=this.getChildReferenceMap(e),i=this.toCamelCase,l=(e,n)=>n.isEnum()?e.getEnumTypeName(n,r):this.typeMapping.getGraphQLType(n.type,n.length,n.name),p=e=>{const n=this.toUpperCamelCase(e.name);return"cursor"===t?`(first: Int, after: String, last: Int, before: String, dataFilter: [DataFilter], dataOrder: [DataOrder]): ${n}Connection`:`(pageNumber: Int, pageSize: Int, dataFilter: [DataFilter], dataOrder: [DataOrder]): [${n}]`};let c="# GraphQL Schema generated by GraphQL Generator\n\n";return this.typeMapping.getCustomScalars().forEach(e=>{c+=`scalar ${e}\n`}),c+="\n",c+="cursor"===t?"type PageInfo {\n    hasNextPage: Boolean!\n    hasPreviousPage: Boolean!\n    startCursor: String\n    endCursor: String\n}\n\n":"slice"===t?"type PageInfo {\n    currentPage: Int!\n    pageSize: Int!\n    hasNextPage: Boolean!\n    hasPreviousPage: Boolean!\n}\n    \n":"type PageInfo {\n    totalCount: Long!\n    totalPages: Int!\n    currentPage: Int!\n    pageSize: Int!\n    hasNextPage: Boolean!\n    hasPreviousPage: Boolean!\n}\n    \n",e.forEach(e=>{e.columns.filter(e=>e.isEnum()).forEach(n=>{c+=`\nenum ${e.getEnumTypeName(n,r)} {\n`,n.getEnumConstants().forEach(e=>{c+=`    ${e.name}\n`}),c+="}\n"})}),e.forEach(m=>{let u=this.toUpperCamelCase(m.name);if(c+=`\ntype ${u} {\n`,m.columns.forEach(t=>{let a=!1,r=!1,o="";const s=this.getReference(e,m,t);if(s){const e=this.toUpperCamelCase(s.entity.name);o+=`    ${s.fieldName}: ${e}${t.nullable?"":"!"}\n`,a=!0}if(a&&!t.nullable&&(r=!0),t.primaryKey&&(r=!0),t.primaryKey||a||t.nullable||(r=!0),!n||!a){let e;e=t.primaryKey?"ID":l(m,t),r&&(e+="!"),c+=`    ${i(t.name)}: ${e}\n`}c+=o}),s.get(m).forEach(e=>{c+=`    ${e.fieldName}${p(e.entity)}\n`}),a&&this.getManyToManyReferences(r,m,o).forEach(e=>{c+=`    ${e.fieldName}${p(e.entity)}\n`}),c+="}\n","cursor"===t){const e=`${u}Edge`;c+=`\ntype ${`${u}Connection`} {\n    edges: [${e}]\n    pageInfo: PageInfo!\n}\n\ntype ${e} {\n    node: ${u}\n    cursor: String!\n}\n`}else{c+=`\ntype ${`${u}Connection`} {\n    pageInfo: PageInfo!\n    data: [${u}]\n}\n\n`}}),e.forEach(n=>{let t=this.toUpperCamelCase(n.name)+"Create",a=this.toUpperCamelCase(n.name)+"Update";const r=n.columns.filter(e=>e.primaryKey).length>1;c+=`\ninput ${t} {\n`,n.columns.forEach(t=>{if(!t.autoIncrement){const a=null!=this.getReference(e,n,t);let o;o=t.primaryKey||a?"ID":l(n,t);!t.hasDefault()&&(r&&t.primaryKey||a&&!t.nullable||!t.primaryKey&&!a&&!t.nullable)&&(o+="!"),c+=`    ${i(t.name)}: ${o}\n`}}),c+="}\n",c+=`\ninput ${a} {\n`,n.columns.forEach(t=>{const a=null!=this.getReference(e,n,t);let o;o=t.primaryKey||a?"ID":l(n,t);(r&&t.primaryKey||a&&!t.nullable||!t.primaryKey&&!a&&!t.nullable)&&(o+="!"),c+=`    ${i(t.name)}: ${o}\n`}),c+="}\n"}),c+="\n# operator: eq, neq, gt, gte, lt, lte, between, in, notIn, isNull, startsWith, contains\n# Without operator, the filter operation of the field is used (exact or partial).\n# fieldValues holds the values of between, in and notIn. and/or hold nested filter groups.\ninput DataFilter{\n    fieldName: String,\n    fieldValue: String,\n    fieldValues: [String],\n    operator: String,\n    ignoreCase: Boolean,\n    and: [DataFilter],\n    or: [DataFilter]\n}\n",c+="\ninput DataOrder{\n    fieldName: String,\n    orderType: String\n}\n",c+="\ntype Query {\n",e.forEach(e=>{const n=this.toUpperCamelCase(e.name),a=i(e.name),r=e.columns.filter(e=>e.primaryKey);if(r.length>0){const e=r.map(e=>`${i(e.name)}: ID`).join(", ");c+=`    ${`get${n}`}(${e}): ${n}\n`}const o=`${a}s`,s=`get${this.toUpperCamelCase(o)}`;"offset"===t||"slice"===t?c+=`    ${s}(pageNumber: Int, pageSize: Int, dataFilter: [DataFilter], dataOrder: [DataOrder]): ${n}Connection\n`:"cursor"===t&&(c+=`    ${s}(first: Int, after: String, last: Int, before: String, dataFilter: [DataFilter], dataOrder: [DataOrder]): ${n}Connection\n`)}),c+="}\n",c+="\ntype Mutation {\n",e.forEach(e=>{const n=this.toUpperCamelCase(e.name),t=`${n}Create`,a=`${n}Update`,r=e.columns.filter(e=>e.primaryKey);if(c+=`    create${n}(input: ${t}!): ${n}\n`,c+=`    update${n}(input: ${a}!): ${n}\n`,r.length>0){const e=r.map(e=>`${i(e.name)}: ID!`).join(", ");c+=`    delete${n}(${e}): Boolean\n`}}),o.forEach(e=>{const n=this.toUpperCamelCase(e.name),t=e.columns.map(e=>`${i(e.name)}: ID!`).join(", ");c+=`    add${n}(${t}): Boolean\n`,c+=`    remove${n}(${t}): Boolean\n`}),c+="}\n",c}}"undefined"!=typeof module&&module.exports&&(module.exports={GraphQLSchemaUtils:GraphQLSchemaUtils});
\ No newline at end of file
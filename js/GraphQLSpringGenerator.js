@@ -1,9 +1,83 @@
+/**
+ * Default pattern of column names validated with @Email.
+ */
+const DEFAULT_EMAIL_COLUMN_PATTERN = "(^|_)e_?mail(_address)?$";
+
+/**
+ * Default pattern of date column names validated with @Past.
+ */
+const DEFAULT_PAST_COLUMN_PATTERN = "(^|_)(birth|born|dob)(_|$)|birthday";
+
+/**
+ * Dependencies of the generated project, written to `pom.xml` or the Gradle build file.
+ * The scope is the Maven scope; dependencies without a version are managed by Spring Boot.
+ * Lombok is only needed at compile time and as annotation processor.
+ * The `jdbcDriver` entry is replaced with the dependencies of the selected database from the {@link JdbcDriverCatalog}.
+ */
+const BUILD_DEPENDENCIES = [
+    { groupId: "org.springframework.boot", artifactId: "spring-boot-starter-web" },
+    { groupId: "org.springframework.boot", artifactId: "spring-boot-starter-data-jpa" },
+    { groupId: "org.springframework.boot", artifactId: "spring-boot-starter-graphql" },
+    { groupId: "org.springframework.boot", artifactId: "spring-boot-starter-validation" },
+    { groupId: "org.springframework.boot", artifactId: "spring-boot-starter-webflux" },
+    { jdbcDriver: true },
+    { groupId: "org.projectlombok", artifactId: "lombok", optional: true, annotationProcessor: true },
+    { groupId: "org.springframework.boot", artifactId: "spring-boot-starter-test", scope: "test" },
+    { groupId: "io.projectreactor", artifactId: "reactor-test", scope: "test" }
+];
+
+/**
+ * SQL keywords reserved by PostgreSQL, MySQL or SQL Server. A table or column with such a name
+ * has to be quoted, or Hibernate generates invalid SQL.
+ */
+const SQL_RESERVED_WORDS = new Set([
+    "all", "alter", "and", "any", "array", "as", "asc", "between", "both", "by", "case", "cast", "check",
+    "column", "constraint", "create", "cross", "current_date", "current_time", "current_timestamp",
+    "current_user", "default", "delete", "desc", "distinct", "do", "drop", "else", "end", "except",
+    "exists", "false", "fetch", "for", "foreign", "from", "full", "grant", "group", "having", "in",
+    "index", "inner", "insert", "intersect", "into", "is", "join", "key", "leading", "left", "like",
+    "limit", "natural", "not", "null", "offset", "on", "only", "or", "order", "outer", "primary",
+    "range", "references", "right", "row", "rows", "select", "session_user", "set", "table", "then",
+    "to", "trailing", "true", "union", "unique", "update", "user", "using", "values", "when", "where",
+    "window", "with"
+]);
+
+/**
+ * Build tools the project can be generated for.
+ */
+const BUILD_TOOLS = ["maven", "gradle-kotlin", "gradle-groovy"];
+
 class GraphQLSpringGenerator {
     /**
      * Constructs a new GraphQLSpringGenerator instance.
      * Initializes all configuration properties and model to null.
+     *
+     * The helpers can be passed in to share them with the caller. In the browser the
+     * missing ones are created from the page globals, in Node from the sibling modules.
+     *
+     * @param {Object} [options] - The helpers used by the generator.
+     * @param {TypeMapping} [options.typeMapping] - The SQL type mapping.
+     * @param {StringUtil} [options.stringUtil] - The naming helpers.
+     * @param {GraphQLSchemaUtils} [options.schemaUtils] - The schema and relation helpers.
+     * @param {ProjectMerger} [options.projectMerger] - Adds the custom regions and merges into a previous project.
+     * @param {JdbcDriverCatalog} [options.jdbcDriverCatalog] - The supported databases and their drivers.
+     * @param {HibernateDialects} [options.hibernateDialects] - Checks the dialect against the Hibernate version.
      */
-    constructor() {
+    constructor(options = {}) {
+        const TypeMappingClass = typeof TypeMapping === 'undefined' ? require('./TypeMapping.js').TypeMapping : TypeMapping;
+        const StringUtilClass = typeof StringUtil === 'undefined' ? require('./StringUtil.js').StringUtil : StringUtil;
+        const SchemaUtilsClass = typeof GraphQLSchemaUtils === 'undefined' ? require('./GraphQLSchemaUtils.js').GraphQLSchemaUtils : GraphQLSchemaUtils;
+        this.typeMapping = options.typeMapping || new TypeMappingClass();
+        this.stringUtil = options.stringUtil || new StringUtilClass();
+        this.schemaUtils = options.schemaUtils || new SchemaUtilsClass(this.typeMapping);
+        const ProjectMergerClass = typeof ProjectMerger === 'undefined' ? require('./ProjectMerger.js').ProjectMerger : ProjectMerger;
+        this.maven = typeof Maven === 'undefined' ? require('./Maven.js').Maven : Maven;
+        this.gradle = typeof Gradle === 'undefined' ? require('./Gradle.js').Gradle : Gradle;
+        this.projectMerger = options.projectMerger || new ProjectMergerClass();
+        const JdbcDriverCatalogClass = typeof JdbcDriverCatalog === 'undefined' ? require('./JdbcDriverCatalog.js').JdbcDriverCatalog : JdbcDriverCatalog;
+        this.jdbcDriverCatalog = options.jdbcDriverCatalog || new JdbcDriverCatalogClass();
+        const HibernateDialectsClass = typeof HibernateDialects === 'undefined' ? require('./HibernateDialects.js').HibernateDialects : HibernateDialects;
+        this.hibernateDialects = options.hibernateDialects || new HibernateDialectsClass();
         this.packageName = null;
         this.groupId = null;
         this.artifactId = null;
@@ -11,8 +85,16 @@ class GraphQLSpringGenerator {
         this.serviceDescription = null;
         this.javaVersion = null;
         this.version = null;
+        this.buildTool = "maven"; // "maven", "gradle-kotlin" (build.gradle.kts) or "gradle-groovy" (build.gradle)
         this.maxRelationDepth = 3; // Default max depth for nested relations
+        this.joinTableMode = "manyToMany"; // "manyToMany" or "entity" (CRUD for join tables)
+        this.paginationMode = "offset"; // "offset" (page number), "slice" (page number without COUNT) or "cursor" (Relay)
+        this.emailColumnPattern = DEFAULT_EMAIL_COLUMN_PATTERN; // Column names validated with @Email
+        this.pastColumnPattern = DEFAULT_PAST_COLUMN_PATTERN; // Column names validated with @Past
+        this.appConfig = {};
+        this.databaseConfig = {};
         this.model = null;
+        this.relationIndexes = new WeakMap(); // Relations resolved per entity list, see getRelationIndex
     }
 
     /**
@@ -78,59 +160,69 @@ class GraphQLSpringGenerator {
 
     /**
      * Generates all virtual files required for the Spring GraphQL project.
-     * Includes entity, repository, service, controller, schema, and pom files.
+     * Includes entity, repository, service, controller, schema, and pom files,
+     * with custom regions for hand-written code and the manifest used to merge on regeneration.
      * @returns {Array} Array of file objects with 'name' and 'content'.
      */
     generateVirtualFiles() {
-        let appConfig = {
-                port: parseInt(document.querySelector('#appPort').value.trim(), 10)
-            };
-        let databaseConfig = {
-            url: document.querySelector('#dbUrl').value.trim(),
-            username: document.querySelector('#dbUsername').value.trim(),
-            password: document.querySelector('#dbPassword').value, // jangan trim password
-            driver: document.querySelector('#dbDriver').value.trim(),
-            showSql: document.querySelector('#dbShowSql').value === 'true',      
-            dialect: document.querySelector('#dbDialect').value.trim()
-        };
-        
+        this.relationIndexes = new WeakMap(); // The model may have been edited since the last generation
         const files = [];
         files.push(...this.generateIdClassFiles());
         files.push(...this.generateEntityFiles());
+        files.push(...this.generateEnumFiles());
         files.push(...this.generateRepositoryFiles());
         files.push(...this.generateConnectionFiles());
         files.push(...this.generateServiceFiles());
         files.push(...this.generateControllerFiles());
         files.push(...this.generateGraphQlSchema());
         files.push(...this.generatePageInfoFile());
-        files.push(...this.generatePomFile());
+        files.push(...this.generateBuildFiles());
         files.push(...this.generateApplicationFile());
         files.push(...this.generateCorsConfigFile());
+        files.push(...this.generateScalarConfigFile());
         files.push(...this.generateRequestInterceptorFile());
+        files.push(...this.generateExceptionFiles());
         
         files.push(...this.generateDataFilterFile());
         files.push(...this.generateDataOrderFile());
         files.push(...this.generateFetchPropertiesFile());
         files.push(...this.generateSpecificationUtilFile());
         files.push(...this.generatePageUtilFile());
+        files.push(...this.generateRelationUtilFile());
+        if (this.paginationMode === "cursor") {
+            files.push(...this.generateCursorUtilFile());
+        }
+        if (this.usesSliceRepository()) {
+            files.push(...this.generateSliceRepositoryFiles());
+        }
         
         
-        files.push(...this.generateApplicationPropertiesFile(appConfig, databaseConfig));
+        files.push(...this.generateApplicationPropertiesFile(this.appConfig, this.databaseConfig));
         
-        files.push(...Maven.generateMavenFile());
-        files.push(...Maven.generateMavenCmdFile());
-        files.push(...Maven.generateMavenWrapperFiles());
+        files.push(...this.generateBuildWrapperFiles());
         
-        return files;
+        return this.projectMerger.prepare(files);
     }
 
     /**
-     * Creates a ZIP file containing all generated source files and triggers download.
-     * @param {Object} model - The parsed model containing entities.
-     * @param {Object} config - Configuration object for project properties.
-     * @returns {Promise<void>}
+     * Applies a plain config object to the generator. Missing values fall back to the defaults.
+     *
+     * @param {Object} config - The project properties, as read from the form or a project file.
+     * @param {string} [config.buildTool] - One of {@link BUILD_TOOLS}, Maven by default.
+     * @param {number|string} [config.maxRelationDepth] - The depth of the nested relations, a non-negative integer, 3 by default.
+     * @param {string} [config.emailColumnPattern] - The regular expression of the columns validated with @Email, empty to disable it.
+     * @param {string} [config.pastColumnPattern] - The regular expression of the columns validated with @Past, empty to disable it.
+     * @param {string} [config.appPort] - The server port of the generated application.
+     * @param {string} [config.dbUrl] - The JDBC URL of the datasource.
+     * @param {string} [config.dbUsername] - The datasource username.
+     * @param {string} [config.dbPassword] - The datasource password.
+     * @param {string} [config.dbDriver] - The JDBC driver class name.
+     * @param {string|boolean} [config.dbShowSql] - Whether Hibernate logs the SQL statements.
+     * @param {string} [config.dbDialect] - The Hibernate dialect class name.
+     * @throws {Error} If the build tool is unknown, the relation depth is not a non-negative integer,
+     * a column pattern is not a valid regular expression or the type mapping overrides are invalid.
      */
-    async createZipFile(model, config = {}, outputFileName = "servicegen.zip") {
+    configure(config = {}) {
         this.packageName = config.packageName || "com.example.servicegen";
         this.groupId = config.groupId || "com.example";
         this.artifactId = config.artifactId || "servicegen";
@@ -138,35 +230,220 @@ class GraphQLSpringGenerator {
         this.serviceDescription = config.serviceDescription || "A service generator for Spring GraphQL";
         this.javaVersion = config.javaVersion || "21";
         this.version = config.version || "1.0.0";
-        this.maxRelationDepth = 3; // Default max depth for nested relations
-        if(model)
-        {
-            this.model = model;
+        this.buildTool = config.buildTool || "maven";
+        if (!BUILD_TOOLS.includes(this.buildTool)) {
+            throw new Error(`Unknown build tool "${this.buildTool}", expected one of ${BUILD_TOOLS.join(", ")}`);
+        }
+        this.maxRelationDepth = this.parseRelationDepth(config.maxRelationDepth ?? 3);
+        this.joinTableMode = config.joinTableMode || "manyToMany";
+        this.paginationMode = config.paginationMode || "offset";
+        this.emailColumnPattern = this.parseColumnPattern(config.emailColumnPattern ?? DEFAULT_EMAIL_COLUMN_PATTERN, 'email');
+        this.pastColumnPattern = this.parseColumnPattern(config.pastColumnPattern ?? DEFAULT_PAST_COLUMN_PATTERN, 'past date');
+        this.typeMapping.setOverrides(config.typeMappingOverrides);
+        this.appConfig = {
+            port: parseInt(String(config.appPort ?? '').trim(), 10)
+        };
+        this.databaseConfig = {
+            url: String(config.dbUrl ?? '').trim(),
+            username: String(config.dbUsername ?? '').trim(),
+            password: config.dbPassword ?? '', // the password is not trimmed
+            driver: String(config.dbDriver ?? '').trim(),
+            showSql: String(config.dbShowSql ?? 'true') === 'true',
+            dialect: String(config.dbDialect ?? '').trim()
+        };
+    }
+
+    /**
+     * Parses the max relation depth of the config. A string is accepted, as read from a form or a project file.
+     *
+     * @param {number|string} value - The configured depth.
+     * @returns {number} The depth, 0 to leave the relations out of the filters and nested queries.
+     * @throws {Error} If the value is not a non-negative integer.
+     */
+    parseRelationDepth(value) {
+        const depth = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (!Number.isInteger(depth) || depth < 0) {
+            throw new Error(`Invalid max relation depth "${value}", expected a non-negative integer`);
+        }
+        return depth;
+    }
+
+    /**
+     * Checks a column pattern of the config.
+     *
+     * @param {string} pattern - The regular expression, or an empty value to disable the check.
+     * @param {string} label - The name of the pattern in the error message.
+     * @returns {string} The pattern.
+     * @throws {Error} If the pattern is not a valid regular expression.
+     */
+    parseColumnPattern(pattern, label) {
+        if (pattern) {
+            try {
+                new RegExp(pattern, 'i');
+            } catch (e) {
+                throw new Error(`Invalid ${label} column pattern "${pattern}": ${e.message}`);
+            }
         }
+        return pattern;
+    }
 
-        const loadingMessage = document.getElementById('loading');
-        loadingMessage.style.display = 'block';
-        const virtualFiles = this.generateVirtualFiles();
-        if (virtualFiles.length === 0) {
-            alert('Tidak ada file untuk dikompresi.');
-            loadingMessage.style.display = 'none';
-            return;
+    /**
+     * Generates the project files for a model without touching the DOM.
+     *
+     * @param {Object|null} model - The parsed model containing entities, or null to use the current model.
+     * @param {Object} config - The project properties (see {@link GraphQLSpringGenerator#configure}).
+     * @returns {Array<{name: string, content: string}>} The generated files.
+     * @throws {Error} If there is no model or the config is invalid.
+     */
+    generate(model, config = {}) {
+        if (model) {
+            this.model = model;
+        }
+        if (!this.model || !Array.isArray(this.model.entities)) {
+            throw new Error('No model to generate. Import a SQL file or a project file first.');
         }
-        const zip = new JSZip();
-        for (const file of virtualFiles) {
+        this.configure(config);
+        return this.generateVirtualFiles();
+    }
+
+    /**
+     * Generates the project files and packs them into a ZIP archive.
+     *
+     * @param {Object|null} model - The parsed model containing entities, or null to use the current model.
+     * @param {Object} config - The project properties (see {@link GraphQLSpringGenerator#configure}).
+     * @param {string} [type="uint8array"] - The JSZip output type, e.g. "blob" in the browser or "nodebuffer" in Node.
+     * @returns {Promise<Uint8Array|Blob|Buffer>} The ZIP content.
+     */
+    async generateZip(model, config = {}, type = "uint8array") {
+        return this.createZip(this.generate(model, config), type);
+    }
+
+    /**
+     * Regenerates the project and merges it into the previously generated one, keeping the
+     * hand-written code (see {@link ProjectMerger}).
+     *
+     * @param {Object|null} model - The parsed model containing entities, or null to use the current model.
+     * @param {Object} config - The project properties (see {@link GraphQLSpringGenerator#configure}).
+     * @param {Array<{name: string, content: (string|Uint8Array)}>} previousFiles - The files of the previous project.
+     * @returns {{files: Array<{name: string, content: (string|Uint8Array)}>, report: Object}} The merged files and the merge report.
+     */
+    merge(model, config, previousFiles) {
+        return this.projectMerger.merge(previousFiles, this.generate(model, config));
+    }
+
+    /**
+     * Regenerates the project, merges it into a previously generated ZIP archive and packs the result.
+     *
+     * @param {Object|null} model - The parsed model containing entities, or null to use the current model.
+     * @param {Object} config - The project properties (see {@link GraphQLSpringGenerator#configure}).
+     * @param {(Uint8Array|ArrayBuffer|Blob)} previousZip - The previously generated ZIP archive.
+     * @param {string} [type="uint8array"] - The JSZip output type.
+     * @returns {Promise<{content: (Uint8Array|Blob|Buffer), report: Object}>} The ZIP content and the merge report.
+     */
+    async mergeZip(model, config, previousZip, type = "uint8array") {
+        const previousFiles = await this.projectMerger.readZip(previousZip);
+        const result = this.merge(model, config, previousFiles);
+        return { content: await this.createZip(result.files, type), report: result.report };
+    }
+
+    /**
+     * Packs files into a ZIP archive.
+     *
+     * @param {Array<{name: string, content: (string|Uint8Array)}>} files - The files.
+     * @param {string} type - The JSZip output type.
+     * @returns {Promise<Uint8Array|Blob|Buffer>} The ZIP content.
+     */
+    async createZip(files, type) {
+        const JSZipClass = typeof JSZip === 'undefined' ? require('./jszip.min.js') : JSZip;
+        const zip = new JSZipClass();
+        for (const file of files) {
             zip.file(file.name, file.content);
         }
-        try {
-            const content = await zip.generateAsync({ type: "blob" });
-            saveAs(content, outputFileName);
-        } catch (error) {
-            console.error('Gagal membuat file ZIP:', error);
-        } finally {
-            loadingMessage.style.display = 'none';
+        return zip.generateAsync({ type: type });
+    }
+
+    /**
+     * Returns the entities to generate classes for. Join tables are left out when they are
+     * generated as many-to-many relations.
+     * @returns {Array} Array of entities.
+     */
+    getEntities() {
+        let entities = this.model.entities;
+        if (this.joinTableMode !== "manyToMany") {
+            return entities;
         }
+        return entities.filter(entity => entity.getJoinTableReferences(entities) == null);
     }
 
-    
+    /**
+     * Returns the name of a table or column for a JPA annotation or a native query. A name declared
+     * in the database that differs from the normalized name is quoted, so its case and spaces are kept.
+     * A reserved word is quoted as well.
+     * @param {Object} object - The entity or column.
+     * @param {string} [name] - The name to use when the object has no declared name (defaults to its name).
+     * @returns {string} The name, escaped for a Java string literal.
+     */
+    getSqlName(object, name = object.name) {
+        let sqlName = object.physicalName || name;
+        if (object.physicalName || SQL_RESERVED_WORDS.has(sqlName.toLowerCase())) {
+            return `\\"${sqlName.replace(/"/g, '\\"\\"')}\\"`;
+        }
+        return sqlName;
+    }
+
+    /**
+     * Returns the name of a column of an entity for a JPA annotation, see {@link GraphQLSpringGenerator#getSqlName}.
+     * @param {Object} entity - The entity owning the column.
+     * @param {string} columnName - The normalized column name.
+     * @returns {string} The name, escaped for a Java string literal.
+     */
+    getColumnSqlName(entity, columnName) {
+        let column = entity.columns.find(item => item.name === columnName);
+        return column ? this.getSqlName(column) : columnName;
+    }
+
+    /**
+     * Returns the many-to-many relations of an entity through the join tables of the model,
+     * matching the list fields of the GraphQL schema.
+     * @param {Object} entity - The entity to find the relations for.
+     * @returns {Array} Relation info (joinTable, fieldName, owner, entity, column, inverseColumn,
+     * referencedColumn, inverseReferencedColumn, inverseFieldName).
+     */
+    getManyToManyRelations(entity) {
+        if (this.joinTableMode !== "manyToMany") {
+            return [];
+        }
+        let entities = this.model.entities;
+        let joinTables = this.getRelationIndex(entities).joinTables;
+        return this.schemaUtils.getManyToManyReferences(entities, entity, joinTables).map(relation => {
+            let inverse = this.schemaUtils.getManyToManyReferences(entities, relation.entity, joinTables)
+                .find(r => r.joinTable === relation.joinTable);
+            return {
+                joinTable: relation.joinTable,
+                fieldName: relation.fieldName,
+                owner: relation.owner,
+                entity: relation.entity,
+                column: relation.column,
+                inverseColumn: relation.inverseColumn,
+                referencedColumn: this.getJoinColumnTarget(relation.joinTable, relation.column),
+                inverseReferencedColumn: this.getJoinColumnTarget(relation.joinTable, relation.inverseColumn),
+                inverseFieldName: inverse.fieldName
+            };
+        });
+    }
+
+    /**
+     * Returns the column referenced by a join table column, falling back to the primary key
+     * of the referenced entity.
+     * @param {Object} joinTable - The join table entity.
+     * @param {Object} column - The join table column.
+     * @returns {Object} The referenced column.
+     */
+    getJoinColumnTarget(joinTable, column) {
+        let reference = joinTable.getReferencedEntity(column, this.model.entities);
+        return reference.entity.columns.find(col => col.name === reference.columnName)
+            || this.getPrimaryKeys(reference.entity)[0];
+    }
 
     /**
      * Returns all primary key columns from an entity.
@@ -187,9 +464,9 @@ class GraphQLSpringGenerator {
         if (pk) {
             return {
                 primaryKeyName: pk.name,
-                primaryKeyCamel: stringUtil.camelize(pk.name),
+                primaryKeyCamel: this.stringUtil.camelize(pk.name),
                 primaryKeyType: pk.type,
-                primaryKeyJavaType: this.getJavaType(pk.type)
+                primaryKeyJavaType: this.getKeyJavaType(pk)
             };
         }
         return null;
@@ -198,30 +475,180 @@ class GraphQLSpringGenerator {
     /**
      * Maps SQL column type to Java type.
      * @param {string} type - The SQL column type.
+     * @param {string|number} [length=""] - The column length, e.g. to map TINYINT(1) to Boolean.
+     * @param {string} [columnName=""] - The column name, matched by the column patterns of the type mapping overrides.
      * @returns {string} The corresponding Java type.
      */
-    getJavaType(type) {
-        let lowercase = type.toLowerCase();
-        if (lowercase.indexOf("int") !== -1 || lowercase.indexOf("integer") !== -1 || lowercase.indexOf("tinyint") !== -1) {
-            return "Long";
-        } else if (lowercase.indexOf("long") !== -1 || lowercase.indexOf("bigint") !== -1) {
-            return "Long";
-        } else if (lowercase.indexOf("string") !== -1 || lowercase.indexOf("varchar") !== -1 || lowercase.indexOf("text") !== -1) {
-            return "String";
-        } else if (lowercase.indexOf("boolean") !== -1) {
-            return "Boolean";
-        } else if (lowercase.indexOf("date") !== -1 || lowercase.indexOf("timestamp") !== -1) {
-            return "Date";
-        } else if (lowercase.indexOf("double") !== -1 || lowercase.indexOf("float") !== -1) {
-            return "Double";
-        } else if (lowercase.indexOf("uuid") !== -1) {
-            return "UUID";
-        } else if (lowercase.indexOf("bigdecimal") !== -1) {
-            return "BigDecimal";
-        } else if (lowercase.indexOf("number") !== -1 || lowercase.indexOf("real") !== -1 || lowercase.indexOf("decimal") !== -1 || lowercase.indexOf("numeric") !== -1) {
-            return "Double";
-        }
-        return "Object";
+    getJavaType(type, length = '', columnName = '') {
+        return this.typeMapping.getJavaType(type, length, columnName);
+    }
+
+    /**
+     * Returns the Java type of a key column passed as a method parameter.
+     * @param {Column} column - The primary key, foreign key or join table column.
+     * @returns {string} The Java type.
+     */
+    getKeyJavaType(column) {
+        return this.getJavaType(column.type, column.length, column.name);
+    }
+
+    /**
+     * Returns the Java type of a column. ENUM columns use the enum generated for them.
+     * @param {Entity} entity - The entity owning the column.
+     * @param {Column} column - The column.
+     * @returns {string} The Java type.
+     */
+    getColumnJavaType(entity, column) {
+        if (column.isEnum()) {
+            return entity.getEnumTypeName(column, this.model.entities);
+        }
+        return this.getKeyJavaType(column);
+    }
+
+    /**
+     * Returns the generation strategy of a generated primary key column: UUID keys, e.g. with a
+     * `gen_random_uuid()` default, are generated by Hibernate, other keys by the identity column.
+     * @param {Column} column - The primary key column.
+     * @returns {string} The GenerationType constant name.
+     */
+    getGenerationType(column) {
+        return this.getKeyJavaType(column) === 'UUID' ? 'UUID' : 'IDENTITY';
+    }
+
+    /**
+     * Returns the annotation mapping the Java type of an entity field to its column:
+     * the converter of an ENUM column, or the JSON JDBC type of a JSON column.
+     * A column of a PostgreSQL enum type is written with a cast to that type and read and compared
+     * as text, as PostgreSQL does not convert a VARCHAR parameter to an enum type.
+     * @param {Column} column - The column.
+     * @param {string} columnJavaType - The Java type of the field.
+     * @returns {string} The indented annotation lines, or an empty string.
+     */
+    getColumnTypeAnnotation(column, columnJavaType) {
+        if (column.isEnum() && column.enumType) {
+            return `    @Convert(converter = ${columnJavaType}Converter.class)
+    @ColumnTransformer(read = "cast(${this.getSqlName(column)} as text)", write = "cast(? as \\"${column.enumType.replace(/"/g, '\\"\\"')}\\")")\n`;
+        }
+        if (column.isEnum()) {
+            return `    @Convert(converter = ${columnJavaType}Converter.class)\n`;
+        }
+        if (this.typeMapping.isJson(column)) {
+            return `    @JdbcTypeCode(SqlTypes.JSON)\n`;
+        }
+        return '';
+    }
+
+    /**
+     * Returns the filter data type of a column. ENUM columns are filtered by their constant names.
+     * @param {Column} column - The column.
+     * @returns {string|null} The data type (e.g. "String", "Long", "Enum"), or null if the column cannot be filtered.
+     */
+    getColumnDataType(column) {
+        return column.isEnum() ? "Enum" : this.getDataType(column.type, column.length, column.name);
+    }
+
+    /**
+     * Creates the import lines of the enums and converters used by the ENUM columns of an entity.
+     * @param {Entity} entity - The entity.
+     * @param {boolean} withConverter - Whether the converters are imported as well.
+     * @returns {string} The import lines, or an empty string.
+     */
+    createEnumImports(entity, withConverter) {
+        let imports = '';
+        entity.columns.filter(column => column.isEnum()).forEach(column => {
+            let enumName = entity.getEnumTypeName(column, this.model.entities);
+            imports += `import ${this.packageName}.enums.${enumName};\n`;
+            if (withConverter) {
+                imports += `import ${this.packageName}.enums.${enumName}Converter;\n`;
+            }
+        });
+        return imports;
+    }
+
+    /**
+     * Creates the import lines of the Java types of the key columns an entity passes as method
+     * parameters: its primary and foreign keys and the columns of its join tables.
+     * @param {Array<Entity>} entities - All entities of the model.
+     * @param {Entity} entity - The entity.
+     * @returns {string} The import lines, or an empty string.
+     */
+    createKeyTypeImports(entities, entity) {
+        let columns = entity.columns.filter(column => column.primaryKey || this.isForeignKey(entities, entity, column));
+        this.getManyToManyRelations(entity).forEach(relation => columns.push(...relation.joinTable.columns));
+        return this.typeMapping.createJavaImports(columns);
+    }
+
+    /**
+     * Builds the Bean Validation annotations of a DTO field from the column metadata.
+     * @param {Column} column - The column of the field.
+     * @param {boolean} required - Whether the field must not be null.
+     * @param {Set<string>} imports - Collects the annotation classes used.
+     * @returns {string} The annotation lines, each indented and ending with a line break.
+     */
+    getValidationAnnotations(column, required, imports) {
+        let annotations = [];
+        let javaType = this.getKeyJavaType(column);
+        let type = column.type.toUpperCase();
+        let values = column.values ? column.values.split(',').map(value => value.trim()).filter(value => value !== '') : [];
+
+        if (required) {
+            annotations.push('@NotNull');
+        }
+        if (javaType === "String" && type.indexOf("CHAR") !== -1 && /^\d+$/.test(String(column.length))) {
+            annotations.push(`@Size(max = ${column.length})`);
+        }
+        // The length of a DECIMAL or NUMERIC column holds its precision and scale
+        let digits = (type === "DECIMAL" || type === "NUMERIC") ? /^\s*(\d+)\s*,\s*(\d+)\s*$/.exec(String(column.length)) : null;
+        if (digits) {
+            let precision = parseInt(digits[1]);
+            let scale = parseInt(digits[2]);
+            annotations.push(`@Digits(integer = ${precision - scale}, fraction = ${scale})`);
+        }
+        if (((type === "ENUM" && !column.isEnum()) || type === "SET") && values.length > 0) {
+            let options = '(' + values.map(value => this.escapeJavaString(value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))).join('|') + ')';
+            let regexp = type === "ENUM" ? `^${options}$` : `^(${options}(,${options})*)?$`;
+            annotations.push(`@Pattern(regexp = "${regexp}")`);
+        }
+        if (javaType === "String" && this.matchesColumnPattern(this.emailColumnPattern, column.name)) {
+            annotations.push('@Email');
+        }
+        if (["LocalDate", "LocalDateTime", "OffsetDateTime"].includes(javaType) && this.matchesColumnPattern(this.pastColumnPattern, column.name)) {
+            annotations.push('@Past');
+        }
+
+        annotations.forEach(annotation => imports.add(annotation.replace(/^@(\w+).*$/, '$1')));
+        return annotations.map(annotation => `    ${annotation}\n`).join('');
+    }
+
+    /**
+     * Creates the import lines of the Bean Validation constraints used by a DTO.
+     * @param {Set<string>} constraints - The annotation class names.
+     * @returns {string} The import lines preceded by a blank line, or an empty string.
+     */
+    createConstraintImports(constraints) {
+        if (constraints.size === 0) {
+            return '';
+        }
+        return '\n' + [...constraints].sort().map(constraint => `import jakarta.validation.constraints.${constraint};\n`).join('');
+    }
+
+    /**
+     * Tests a column name against a configurable, case-insensitive pattern.
+     * @param {string} pattern - The regular expression, or an empty value to disable the check.
+     * @param {string} columnName - The column name.
+     * @returns {boolean} True if the pattern is set and matches the column name.
+     */
+    matchesColumnPattern(pattern, columnName) {
+        return !!pattern && new RegExp(pattern, 'i').test(columnName);
+    }
+
+    /**
+     * Escapes backslashes and double quotes for use in a Java string literal.
+     * @param {string} value - The raw value.
+     * @returns {string} The escaped value.
+     */
+    escapeJavaString(value) {
+        return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
     }
 
     /**
@@ -234,13 +661,17 @@ class GraphQLSpringGenerator {
     }
     
     generateApplicationFile() {
+        let sliceMode = this.usesSliceRepository();
         const content = `package ${this.packageName};
 
 import org.springframework.boot.SpringApplication;
 import org.springframework.boot.autoconfigure.SpringBootApplication;
+${sliceMode ? `import org.springframework.data.jpa.repository.config.EnableJpaRepositories;
 
+import ${this.packageName}.repository.SliceRepositoryImpl;
+` : ''}
 @SpringBootApplication
-public class Application {
+${sliceMode ? '@EnableJpaRepositories(repositoryBaseClass = SliceRepositoryImpl.class)\n' : ''}public class Application {
     public static void main(String[] args) {
         SpringApplication.run(Application.class, args);
     }
@@ -249,7 +680,120 @@ public class Application {
         return [{ name: this.createSourceDirectoryFromArtefact(this.packageName) + 'Application.java', content: content }]; 
     }
     
+    /**
+     * Checks whether the repositories extend the slice repository. Slice and cursor pagination
+     * use it to fetch a page without a COUNT query.
+     * @returns {boolean} True for slice and cursor pagination.
+     */
+    usesSliceRepository() {
+        return this.paginationMode === "slice" || this.paginationMode === "cursor";
+    }
+
+    /**
+     * Generates the base repository used by slice and cursor pagination.
+     * A Slice is fetched with one extra record to detect the next page, so no COUNT query is executed.
+     * @returns {Array} Array with the repository interface and implementation file objects.
+     */
+    generateSliceRepositoryFiles() {
+        const interfaceContent = `package ${this.packageName}.repository;
+
+import org.springframework.data.domain.Pageable;
+import org.springframework.data.domain.Slice;
+import org.springframework.data.jpa.domain.Specification;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.repository.NoRepositoryBean;
+
+/**
+ * Base repository adding {@link Slice} queries without a COUNT query.
+ *
+ * @param <T> The entity type.
+ * @param <ID> The primary key type.
+ */
+@NoRepositoryBean
+public interface SliceRepository<T, ID> extends JpaRepository<T, ID> {
+
+    /**
+     * Finds a slice of records matching the specification.
+     *
+     * @param specification The filter specification, may be null.
+     * @param pageable The requested page and sort order.
+     * @return The records of the requested page and whether a next page exists.
+     */
+    Slice<T> findSlice(Specification<T> specification, Pageable pageable);
+}
+`;
+        const implementationContent = `package ${this.packageName}.repository;
+
+import java.util.List;
+
+import org.springframework.data.domain.Pageable;
+import org.springframework.data.domain.Slice;
+import org.springframework.data.domain.SliceImpl;
+import org.springframework.data.jpa.domain.Specification;
+import org.springframework.data.jpa.repository.support.JpaEntityInformation;
+import org.springframework.data.jpa.repository.support.SimpleJpaRepository;
+
+import jakarta.persistence.EntityManager;
+import jakarta.persistence.TypedQuery;
+
+/**
+ * Repository base class implementing {@link SliceRepository}.
+ * <p>
+ * One record more than the page size is fetched to find out whether a next page exists,
+ * so the total number of records is never counted.
+ * </p>
+ *
+ * @param <T> The entity type.
+ * @param <ID> The primary key type.
+ */
+public class SliceRepositoryImpl<T, ID> extends SimpleJpaRepository<T, ID> implements SliceRepository<T, ID> {
+
+    public SliceRepositoryImpl(JpaEntityInformation<T, ?> entityInformation, EntityManager entityManager) {
+        super(entityInformation, entityManager);
+    }
+
+    @Override
+    public Slice<T> findSlice(Specification<T> specification, Pageable pageable) {
+        TypedQuery<T> query = getQuery(specification, pageable.getSort());
+        if (pageable.isUnpaged()) {
+            return new SliceImpl<>(query.getResultList());
+        }
+        query.setFirstResult((int) pageable.getOffset());
+        query.setMaxResults(pageable.getPageSize() + 1);
+        List<T> content = query.getResultList();
+        boolean hasNext = content.size() > pageable.getPageSize();
+        if (hasNext) {
+            content = content.subList(0, pageable.getPageSize());
+        }
+        return new SliceImpl<>(content, pageable, hasNext);
+    }
+}
+`;
+        return [{
+            name: this.createSourceDirectoryFromArtefact(this.packageName) + 'repository/SliceRepository.java',
+            content: interfaceContent
+        }, {
+            name: this.createSourceDirectoryFromArtefact(this.packageName) + 'repository/SliceRepositoryImpl.java',
+            content: implementationContent
+        }];
+    }
+
+    /**
+     * Checks the configured Hibernate dialect against the Hibernate version of the generated project.
+     * Without a dialect, the dialect of the selected database is used when Hibernate cannot detect it.
+     *
+     * @returns {{dialect: string, status: string, warning: ?string}} The result of {@link HibernateDialects#check}.
+     */
+    checkDialect() {
+        const database = this.jdbcDriverCatalog.resolve(this.databaseConfig.url, this.databaseConfig.driver);
+        return this.hibernateDialects.check(this.databaseConfig.dialect, database ? database.dialect : '');
+    }
+
     generateApplicationPropertiesFile(appConfig, databaseConfig) {
+        const dialect = this.checkDialect().dialect;
+        // Without a driver class name, use the driver of the database in the URL, whose dependency is added
+        const database = this.jdbcDriverCatalog.resolve(databaseConfig.url, databaseConfig.driver);
+        const driver = databaseConfig.driver || (database ? database.driverClassNames[0] : '');
         const content = `# Spring Boot application properties
 # Server port
 server.port=${appConfig.port || 8080}
@@ -257,10 +801,10 @@ server.port=${appConfig.port || 8080}
 spring.datasource.url=${databaseConfig.url || 'jdbc:mysql://localhost:3306/mydb'}
 spring.datasource.username=${databaseConfig.username || 'root'}
 spring.datasource.password=${databaseConfig.password /*NOSONAR*/ || ''}
-spring.datasource.driver-class-name=${databaseConfig.driver || 'com.mysql.cj.jdbc.Driver'}
+spring.datasource.driver-class-name=${driver}
 # JPA/Hibernate configuration
 spring.jpa.show-sql=${databaseConfig.showSql || 'true'}
-spring.jpa.properties.hibernate.dialect=${databaseConfig.dialect}
+${dialect ? 'spring.jpa.properties.hibernate.dialect=' + dialect : '# The Hibernate dialect is detected from the JDBC connection'}
 # GraphQL configuration
 spring.graphql.schema-location=classpath:graphql/schema.graphqls
 # Logging configuration
@@ -348,55 +892,622 @@ public class GraphQLRequestInterceptor implements WebGraphQlInterceptor {
         return [{ name: this.createSourceDirectoryFromArtefact(this.packageName) + 'config/GraphQLRequestInterceptor.java', content: content }]; 
     }
 
-    generateCorsConfigFile()
+    /**
+     * Generates a Java enum and its JPA AttributeConverter for each ENUM column.
+     * The constants are valid identifiers, the converter maps them to the database literals.
+     * @returns {Array} Array of enum and converter file objects.
+     */
+    generateEnumFiles()
     {
-        const content = `package ${this.packageName}.config;
+        let file = [];
+        this.getEntities().forEach(entity => {
+            entity.columns.filter(column => column.isEnum()).forEach(column => {
+                let enumName = entity.getEnumTypeName(column, this.model.entities);
+                let constants = column.getEnumConstants()
+                    .map(constant => `    ${constant.name}("${this.escapeJavaString(constant.value)}")`)
+                    .join(',\n');
+                let enumContent = `package ${this.packageName}.enums;
 
-import org.springframework.context.annotation.Configuration;
-import org.springframework.web.servlet.config.annotation.CorsRegistry;
-import org.springframework.web.servlet.config.annotation.WebMvcConfigurer;
+/**
+ * Values of the {@code ${column.name}} column of the {@code ${entity.name}} table.
+ * <p>
+ * The constant names are used in the GraphQL schema, the values are stored in the database.
+ * </p>
+ */
+public enum ${enumName} {
+${constants};
 
-@Configuration
-public class CorsConfig implements WebMvcConfigurer {
+    private final String value;
 
-    @Override
-    public void addCorsMappings(CorsRegistry registry) {
-        registry.addMapping("/graphql/**") 
-                .allowedOrigins("*") 
-                .allowedMethods("GET", "POST", "PUT", "DELETE")
-                .allowedHeaders("*");
-    }
-}`;
-        return [{ name: this.createSourceDirectoryFromArtefact(this.packageName) + 'config/CorsConfig.java', content: content }]; 
+    ${enumName}(String value) {
+        this.value = value;
     }
-    
 
     /**
-     * Generates controller files for all entities in the model.
-     * @returns {Array} Array of controller file objects.
+     * Returns the literal stored in the database.
+     *
+     * @return The database value.
      */
-    generateControllerFiles() {
-    let entities = this.model.entities;
-    let file = [];
-    entities.forEach(entity => {
-        let entityName = entity.name;
-        let entityNameCamel = stringUtil.camelize(entityName);
-        let upperCamelEntityName = stringUtil.upperCamel(entityNameCamel);
-        let primaryKeys = this.getPrimaryKeys(entity);
+    public String getValue() {
+        return value;
+    }
 
-        if (primaryKeys.length > 0) {
-            let paramList = primaryKeys.map(pk => `@Argument ${this.getJavaType(pk.type)} ${stringUtil.camelize(pk.name)}`).join(', ');
-            let callParams = primaryKeys.map(pk => stringUtil.camelize(pk.name)).join(', ');
-            
+    /**
+     * Finds the constant of a database literal.
+     *
+     * @param value The database value.
+     * @return The matching constant.
+     * @throws IllegalArgumentException if no constant matches the value.
+     */
+    public static ${enumName} fromValue(String value) {
+        for (${enumName} constant : values()) {
+            if (constant.value.equals(value)) {
+                return constant;
+            }
+        }
+        throw new IllegalArgumentException("Unknown ${column.name} value: " + value);
+    }
+}
+`;
+                let converterContent = `package ${this.packageName}.enums;
 
-            let controllerContent = `package ${this.packageName}.controller;
+import jakarta.persistence.AttributeConverter;
+import jakarta.persistence.Converter;
 
-import java.util.List;
+/**
+ * Converts {@link ${enumName}} constants to the literals of the {@code ${column.name}} column and back.
+ */
+@Converter
+public class ${enumName}Converter implements AttributeConverter<${enumName}, String> {
 
-import org.springframework.graphql.data.method.annotation.Argument;
-import org.springframework.graphql.data.method.annotation.QueryMapping;
-import org.springframework.graphql.data.method.annotation.MutationMapping;
-import org.springframework.stereotype.Controller;
+    @Override
+    public String convertToDatabaseColumn(${enumName} attribute) {
+        return attribute == null ? null : attribute.getValue();
+    }
+
+    @Override
+    public ${enumName} convertToEntityAttribute(String dbData) {
+        return dbData == null ? null : ${enumName}.fromValue(dbData);
+    }
+}
+`;
+                file.push({
+                    name: this.createSourceDirectoryFromArtefact(this.packageName) + `enums/${enumName}.java`,
+                    content: enumContent
+                });
+                file.push({
+                    name: this.createSourceDirectoryFromArtefact(this.packageName) + `enums/${enumName}Converter.java`,
+                    content: converterContent
+                });
+            });
+        });
+        return file;
+    }
+
+    /**
+     * Generates the exception hierarchy and the resolver translating exceptions into structured GraphQL errors.
+     * Every error carries a code in extensions.code: NOT_FOUND, VALIDATION_FAILED or CONFLICT.
+     * @returns {Array} Array of exception file objects.
+     */
+    generateExceptionFiles()
+    {
+        const directory = this.createSourceDirectoryFromArtefact(this.packageName) + 'exception/';
+        const serviceException = `package ${this.packageName}.exception;
+
+import java.util.Collections;
+import java.util.Map;
+
+import graphql.ErrorClassification;
+
+/**
+ * Base class of the exceptions reported to GraphQL clients as structured errors.
+ * <p>
+ * The classification is reported in {@code extensions.classification},
+ * the code in {@code extensions.code}.
+ * </p>
+ */
+public abstract class ServiceException extends RuntimeException {
+
+    private final String code;
+    private final transient ErrorClassification classification;
+
+    protected ServiceException(String message, String code, ErrorClassification classification) {
+        super(message);
+        this.code = code;
+        this.classification = classification;
+    }
+
+    protected ServiceException(String message, String code, ErrorClassification classification, Throwable cause) {
+        super(message, cause);
+        this.code = code;
+        this.classification = classification;
+    }
+
+    public String getCode() {
+        return code;
+    }
+
+    public ErrorClassification getClassification() {
+        return classification;
+    }
+
+    /**
+     * Returns additional error extensions.
+     *
+     * @return The extensions added next to the code, empty by default.
+     */
+    public Map<String, Object> getExtensions() {
+        return Collections.emptyMap();
+    }
+}
+`;
+        const notFoundException = `package ${this.packageName}.exception;
+
+import org.springframework.graphql.execution.ErrorType;
+
+/**
+ * Thrown when the requested record does not exist.
+ */
+public class NotFoundException extends ServiceException {
+
+    public static final String CODE = "NOT_FOUND";
+
+    public NotFoundException(String message) {
+        super(message, CODE, ErrorType.NOT_FOUND);
+    }
+}
+`;
+        const validationFailedException = `package ${this.packageName}.exception;
+
+import java.util.Collections;
+import java.util.List;
+import java.util.Map;
+
+import org.springframework.graphql.execution.ErrorType;
+
+/**
+ * Thrown when the input is invalid.
+ * <p>
+ * The violated fields are reported in {@code extensions.violations}.
+ * </p>
+ */
+public class ValidationFailedException extends ServiceException {
+
+    public static final String CODE = "VALIDATION_FAILED";
+
+    private final transient List<Map<String, Object>> violations;
+
+    public ValidationFailedException(String message) {
+        this(message, Collections.emptyList());
+    }
+
+    public ValidationFailedException(String message, List<Map<String, Object>> violations) {
+        super(message, CODE, ErrorType.BAD_REQUEST);
+        this.violations = violations;
+    }
+
+    public List<Map<String, Object>> getViolations() {
+        return violations;
+    }
+
+    @Override
+    public Map<String, Object> getExtensions() {
+        if (violations.isEmpty()) {
+            return Collections.emptyMap();
+        }
+        return Map.of("violations", violations);
+    }
+}
+`;
+        const conflictException = `package ${this.packageName}.exception;
+
+import graphql.ErrorClassification;
+
+/**
+ * Thrown when a change conflicts with existing data, for example a duplicate unique key
+ * or a foreign key referencing a missing or still referenced record.
+ */
+public class ConflictException extends ServiceException {
+
+    public static final String CODE = "CONFLICT";
+
+    public static final ErrorClassification CLASSIFICATION = ErrorClassification.errorClassification(CODE);
+
+    public ConflictException(String message) {
+        super(message, CODE, CLASSIFICATION);
+    }
+
+    public ConflictException(String message, Throwable cause) {
+        super(message, CODE, CLASSIFICATION, cause);
+    }
+}
+`;
+        const resolver = `package ${this.packageName}.exception;
+
+import java.util.ArrayList;
+import java.util.LinkedHashMap;
+import java.util.List;
+import java.util.Map;
+
+import org.springframework.dao.DataIntegrityViolationException;
+import org.springframework.graphql.execution.DataFetcherExceptionResolverAdapter;
+import org.springframework.stereotype.Component;
+
+import graphql.GraphQLError;
+import graphql.GraphqlErrorBuilder;
+import graphql.schema.DataFetchingEnvironment;
+
+import jakarta.validation.ConstraintViolation;
+import jakarta.validation.ConstraintViolationException;
+import jakarta.validation.ElementKind;
+import jakarta.validation.Path;
+
+/**
+ * Translates exceptions thrown by data fetchers into structured GraphQL errors.
+ * <p>
+ * Constraint violations are reported as {@link ValidationFailedException},
+ * unique and foreign key violations as {@link ConflictException}.
+ * Other exceptions are left to the default handling.
+ * </p>
+ */
+@Component
+public class GraphQLExceptionResolver extends DataFetcherExceptionResolverAdapter {
+
+    @Override
+    protected GraphQLError resolveToSingleError(Throwable ex, DataFetchingEnvironment env) {
+        ServiceException exception = translate(ex);
+        if (exception == null) {
+            return null;
+        }
+        Map<String, Object> extensions = new LinkedHashMap<>();
+        extensions.put("code", exception.getCode());
+        extensions.putAll(exception.getExtensions());
+        return GraphqlErrorBuilder.newError(env)
+                .errorType(exception.getClassification())
+                .message(exception.getMessage())
+                .extensions(extensions)
+                .build();
+    }
+
+    /**
+     * Converts an exception into a {@link ServiceException}.
+     *
+     * @param ex The exception thrown by the data fetcher.
+     * @return The service exception, or null if the exception is not handled.
+     */
+    private ServiceException translate(Throwable ex) {
+        if (ex instanceof ServiceException serviceException) {
+            return serviceException;
+        }
+        if (ex instanceof ConstraintViolationException violationException) {
+            return new ValidationFailedException("Validation failed", getViolations(violationException));
+        }
+        if (ex instanceof DataIntegrityViolationException) {
+            return new ConflictException("The change conflicts with existing data", ex);
+        }
+        return null;
+    }
+
+    /**
+     * Lists the violated fields with their messages.
+     *
+     * @param ex The constraint violation exception.
+     * @return One entry with {@code field} and {@code message} per violation.
+     */
+    private List<Map<String, Object>> getViolations(ConstraintViolationException ex) {
+        List<Map<String, Object>> violations = new ArrayList<>();
+        for (ConstraintViolation<?> violation : ex.getConstraintViolations()) {
+            Map<String, Object> item = new LinkedHashMap<>();
+            item.put("field", getFieldPath(violation.getPropertyPath()));
+            item.put("message", violation.getMessage());
+            violations.add(item);
+        }
+        return violations;
+    }
+
+    /**
+     * Builds the path of the violated field without the name of the controller method,
+     * for example {@code input.email}.
+     *
+     * @param propertyPath The property path of the violation.
+     * @return The dotted field path.
+     */
+    private String getFieldPath(Path propertyPath) {
+        List<String> names = new ArrayList<>();
+        for (Path.Node node : propertyPath) {
+            if (node.getKind() != ElementKind.METHOD && node.getName() != null) {
+                names.add(node.getName());
+            }
+        }
+        return String.join(".", names);
+    }
+}
+`;
+        return [
+            { name: directory + 'ServiceException.java', content: serviceException },
+            { name: directory + 'NotFoundException.java', content: notFoundException },
+            { name: directory + 'ValidationFailedException.java', content: validationFailedException },
+            { name: directory + 'ConflictException.java', content: conflictException },
+            { name: directory + 'GraphQLExceptionResolver.java', content: resolver }
+        ];
+    }
+
+    generateCorsConfigFile()
+    {
+        const content = `package ${this.packageName}.config;
+
+import org.springframework.context.annotation.Configuration;
+import org.springframework.web.servlet.config.annotation.CorsRegistry;
+import org.springframework.web.servlet.config.annotation.WebMvcConfigurer;
+
+@Configuration
+public class CorsConfig implements WebMvcConfigurer {
+
+    @Override
+    public void addCorsMappings(CorsRegistry registry) {
+        registry.addMapping("/graphql/**") 
+                .allowedOrigins("*") 
+                .allowedMethods("GET", "POST", "PUT", "DELETE")
+                .allowedHeaders("*");
+    }
+}`;
+        return [{ name: this.createSourceDirectoryFromArtefact(this.packageName) + 'config/CorsConfig.java', content: content }]; 
+    }
+
+    /**
+     * Generates the configuration registering the custom scalars declared by the GraphQL schema.
+     * @returns {Array} Array containing the scalar configuration file object.
+     */
+    generateScalarConfigFile()
+    {
+        const content = `package ${this.packageName}.config;
+
+import java.math.BigDecimal;
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+import java.time.OffsetDateTime;
+import java.time.format.DateTimeFormatter;
+import java.time.temporal.TemporalAccessor;
+import java.util.Base64;
+import java.util.Locale;
+import java.util.function.Function;
+
+import org.springframework.context.annotation.Bean;
+import org.springframework.context.annotation.Configuration;
+import org.springframework.graphql.execution.RuntimeWiringConfigurer;
+
+import graphql.GraphQLContext;
+import graphql.execution.CoercedVariables;
+import graphql.language.FloatValue;
+import graphql.language.IntValue;
+import graphql.language.StringValue;
+import graphql.language.Value;
+import graphql.schema.Coercing;
+import graphql.schema.CoercingParseLiteralException;
+import graphql.schema.CoercingParseValueException;
+import graphql.schema.CoercingSerializeException;
+import graphql.schema.GraphQLScalarType;
+
+/**
+ * Registers the custom scalars declared by the GraphQL schema.
+ * <ul>
+ * <li>{@code Long}: 64-bit integer.</li>
+ * <li>{@code BigDecimal}: exact decimal number.</li>
+ * <li>{@code Date}: ISO-8601 date, e.g. {@code 2024-01-31}.</li>
+ * <li>{@code DateTime}: ISO-8601 date and time, e.g. {@code 2024-01-31T10:15:30}.
+ * A value with an offset, e.g. {@code 2024-01-31T10:15:30+07:00}, is parsed as {@link OffsetDateTime}.</li>
+ * <li>{@code Base64}: binary content encoded in Base64.</li>
+ * </ul>
+ */
+@Configuration
+public class ScalarConfig {
+
+    public static final GraphQLScalarType LONG = scalar("Long", "64-bit integer",
+        value -> ((Number) value).longValue(),
+        value -> new BigDecimal(value.toString()).longValueExact());
+
+    public static final GraphQLScalarType BIG_DECIMAL = scalar("BigDecimal", "Exact decimal number",
+        value -> new BigDecimal(value.toString()),
+        value -> new BigDecimal(value.toString()));
+
+    public static final GraphQLScalarType DATE = scalar("Date", "ISO-8601 date",
+        value -> DateTimeFormatter.ISO_LOCAL_DATE.format((TemporalAccessor) value),
+        value -> LocalDate.parse(value.toString()));
+
+    public static final GraphQLScalarType DATE_TIME = scalar("DateTime", "ISO-8601 date and time, with an optional offset",
+        value -> DateTimeFormatter.ISO_DATE_TIME.format((TemporalAccessor) value),
+        value -> DateTimeFormatter.ISO_DATE_TIME.parseBest(value.toString(), OffsetDateTime::from, LocalDateTime::from));
+
+    public static final GraphQLScalarType BASE64 = scalar("Base64", "Binary content encoded in Base64",
+        value -> Base64.getEncoder().encodeToString((byte[]) value),
+        value -> Base64.getDecoder().decode(value.toString()));
+
+    /**
+     * Adds the custom scalars to the runtime wiring of the schema.
+     *
+     * @return the runtime wiring configurer.
+     */
+    @Bean
+    public RuntimeWiringConfigurer scalarWiringConfigurer() {
+        return wiringBuilder -> wiringBuilder
+            .scalar(LONG)
+            .scalar(BIG_DECIMAL)
+            .scalar(DATE)
+            .scalar(DATE_TIME)
+            .scalar(BASE64);
+    }
+
+    /**
+     * Creates a scalar from a serializer and a parser. Literals are passed to the parser as
+     * {@link String}, {@link java.math.BigInteger} or {@link BigDecimal}.
+     *
+     * @param name the scalar name.
+     * @param description the scalar description.
+     * @param serializer converts a Java value to its output value.
+     * @param parser converts an input value to its Java value.
+     * @return the scalar type.
+     */
+    private static <T> GraphQLScalarType scalar(String name, String description, Function<Object, Object> serializer, Function<Object, T> parser) {
+        return GraphQLScalarType.newScalar()
+            .name(name)
+            .description(description)
+            .coercing(new Coercing<T, Object>() {
+
+                @Override
+                public Object serialize(Object dataFetcherResult, GraphQLContext context, Locale locale) {
+                    try {
+                        return serializer.apply(dataFetcherResult);
+                    } catch (RuntimeException e) {
+                        throw new CoercingSerializeException("Invalid " + name + " value: " + dataFetcherResult, e);
+                    }
+                }
+
+                @Override
+                public T parseValue(Object input, GraphQLContext context, Locale locale) {
+                    try {
+                        return parser.apply(input);
+                    } catch (RuntimeException e) {
+                        throw new CoercingParseValueException("Invalid " + name + " value: " + input, e);
+                    }
+                }
+
+                @Override
+                public T parseLiteral(Value<?> input, CoercedVariables variables, GraphQLContext context, Locale locale) {
+                    Object value;
+                    if (input instanceof StringValue stringValue) {
+                        value = stringValue.getValue();
+                    } else if (input instanceof IntValue intValue) {
+                        value = intValue.getValue();
+                    } else if (input instanceof FloatValue floatValue) {
+                        value = floatValue.getValue();
+                    } else {
+                        throw new CoercingParseLiteralException("Invalid " + name + " literal: " + input);
+                    }
+                    try {
+                        return parser.apply(value);
+                    } catch (RuntimeException e) {
+                        throw new CoercingParseLiteralException("Invalid " + name + " literal: " + input, e);
+                    }
+                }
+            })
+            .build();
+    }
+}
+`;
+        return [{ name: this.createSourceDirectoryFromArtefact(this.packageName) + 'config/ScalarConfig.java', content: content }];
+    }
+    
+
+    /**
+     * Generates controller files for all entities in the model.
+     * @returns {Array} Array of controller file objects.
+     */
+    generateControllerFiles() {
+    let entities = this.getEntities();
+    let file = [];
+    entities.forEach(entity => {
+        let entityName = entity.name;
+        let entityNameCamel = this.stringUtil.camelize(entityName);
+        let upperCamelEntityName = this.stringUtil.upperCamel(entityNameCamel);
+        let primaryKeys = this.getPrimaryKeys(entity);
+
+        if (primaryKeys.length > 0) {
+            let paramList = primaryKeys.map(pk => `@Argument ${this.getKeyJavaType(pk)} ${this.stringUtil.camelize(pk.name)}`).join(', ');
+            let callParams = primaryKeys.map(pk => this.stringUtil.camelize(pk.name)).join(', ');
+            
+            let relationImports = '';
+            let relationMappings = '';
+            let importedTypes = [upperCamelEntityName];
+
+            // Relation collections are paginated the same way as the list query
+            let cursorMode = this.paginationMode === "cursor";
+            let collectionType = cursorMode ? `${upperCamelEntityName}Connection` : `List<${upperCamelEntityName}>`;
+            let emptyCollection = cursorMode ? `new ${upperCamelEntityName}Connection(CursorUtil.CursorPage.empty())` : 'List.of()';
+            let pageParams = cursorMode
+                ? '@Argument(name = "first") Integer first, @Argument(name = "after") String after, @Argument(name = "last") Integer last, @Argument(name = "before") String before'
+                : '@Argument(name = "pageNumber") Integer pageNumber, @Argument(name = "pageSize") Integer pageSize';
+            let pageArgs = cursorMode ? 'first, after, last, before' : 'pageNumber, pageSize';
+            this.getParentRelations(entities, entity).forEach(child => {
+                let parentType = this.stringUtil.upperCamel(this.stringUtil.camelize(child.parent.name));
+                let parentCamel = this.stringUtil.camelize(child.parent.name);
+                let columnUpperCamel = this.stringUtil.upperCamel(this.stringUtil.camelize(child.column.name));
+                let parentColumnUpperCamel = this.stringUtil.upperCamel(this.stringUtil.camelize(child.parentColumnName));
+                if (!importedTypes.includes(parentType)) {
+                    importedTypes.push(parentType);
+                    relationImports += `import ${this.packageName}.entity.${parentType};
+`;
+                }
+                relationMappings += `
+    @SchemaMapping(typeName = "${parentType}", field = "${child.fieldName}")
+    public ${collectionType} ${parentCamel}${this.stringUtil.upperCamel(child.fieldName)}(${parentType} ${parentCamel}, ${pageParams}, @Argument(name = "dataFilter") List<DataFilter> dataFilter, @Argument(name = "dataOrder") List<DataOrder> dataOrder, DataFetchingEnvironment env) {
+        if (RelationUtil.isDepthExceeded(env)) {
+            return ${emptyCollection};
+        }
+        return ${entityNameCamel}Service.get${upperCamelEntityName}sBy${columnUpperCamel}(${parentCamel}.get${parentColumnUpperCamel}(), ${pageArgs}, dataFilter, dataOrder);
+    }
+`;
+            });
+            this.getManyToManyRelations(entity).forEach(relation => {
+                let joinTable = relation.joinTable;
+                let linkName = this.stringUtil.upperCamel(this.stringUtil.camelize(joinTable.name));
+                let otherType = this.stringUtil.upperCamel(this.stringUtil.camelize(relation.entity.name));
+                let otherCamel = this.stringUtil.camelize(relation.entity.name);
+                let otherKeyUpperCamel = this.stringUtil.upperCamel(this.stringUtil.camelize(relation.inverseReferencedColumn.name));
+                if (!importedTypes.includes(otherType)) {
+                    importedTypes.push(otherType);
+                    relationImports += `import ${this.packageName}.entity.${otherType};
+`;
+                }
+                relationMappings += `
+    @SchemaMapping(typeName = "${otherType}", field = "${relation.inverseFieldName}")
+    public ${collectionType} ${otherCamel}${this.stringUtil.upperCamel(relation.inverseFieldName)}(${otherType} ${otherCamel}, ${pageParams}, @Argument(name = "dataFilter") List<DataFilter> dataFilter, @Argument(name = "dataOrder") List<DataOrder> dataOrder, DataFetchingEnvironment env) {
+        if (RelationUtil.isDepthExceeded(env)) {
+            return ${emptyCollection};
+        }
+        return ${entityNameCamel}Service.get${upperCamelEntityName}sBy${linkName}(${otherCamel}.get${otherKeyUpperCamel}(), ${pageArgs}, dataFilter, dataOrder);
+    }
+`;
+                if (relation.owner) {
+                    let linkParams = joinTable.columns.map(col => `@Argument ${this.getKeyJavaType(col)} ${this.stringUtil.camelize(col.name)}`).join(', ');
+                    let linkArgs = joinTable.columns.map(col => this.stringUtil.camelize(col.name)).join(', ');
+                    relationMappings += `
+    @MutationMapping
+    public Boolean add${linkName}(${linkParams}, DataFetchingEnvironment env) {
+        return ${entityNameCamel}Service.add${linkName}(${linkArgs});
+    }
+
+    @MutationMapping
+    public Boolean remove${linkName}(${linkParams}, DataFetchingEnvironment env) {
+        return ${entityNameCamel}Service.remove${linkName}(${linkArgs});
+    }
+`;
+                }
+            });
+            if (relationMappings !== '') {
+                relationImports = `import org.springframework.graphql.data.method.annotation.SchemaMapping;
+${cursorMode ? `import ${this.packageName}.utils.CursorUtil;\n` : ''}import ${this.packageName}.utils.RelationUtil;
+` + relationImports;
+            }
+
+            let listMapping = this.paginationMode === "cursor" ? `    @QueryMapping
+    public ${upperCamelEntityName}Connection get${upperCamelEntityName}s(@Argument(name = "first") Integer first, @Argument(name = "after") String after, @Argument(name = "last") Integer last, @Argument(name = "before") String before, @Argument(name = "dataFilter") List<DataFilter> dataFilter, @Argument(name = "dataOrder") List<DataOrder> dataOrder, DataFetchingEnvironment env) {
+        return ${entityNameCamel}Service.get${upperCamelEntityName}s(first, after, last, before, dataFilter, dataOrder);
+    }
+` : `    @QueryMapping
+    public ${upperCamelEntityName}Connection get${upperCamelEntityName}s(@Argument(name = "pageNumber") Integer pageNumber, @Argument(name = "pageSize") Integer pageSize, @Argument(name = "dataFilter") List<DataFilter> dataFilter, @Argument(name = "dataOrder") List<DataOrder> dataOrder, DataFetchingEnvironment env) {
+        return ${entityNameCamel}Service.get${upperCamelEntityName}s(pageNumber, pageSize, dataFilter, dataOrder);
+    }
+`;
+
+            let controllerContent = `package ${this.packageName}.controller;
+
+${this.createKeyTypeImports(entities, entity)}import java.util.List;
+
+import org.springframework.graphql.data.method.annotation.Argument;
+import org.springframework.graphql.data.method.annotation.QueryMapping;
+import org.springframework.graphql.data.method.annotation.MutationMapping;
+import org.springframework.stereotype.Controller;
+import org.springframework.validation.annotation.Validated;
 
 import ${this.packageName}.output.${upperCamelEntityName}Connection;
 import ${this.packageName}.utils.DataFilter;
@@ -405,34 +1516,33 @@ import ${this.packageName}.dto.${upperCamelEntityName}Create;
 import ${this.packageName}.dto.${upperCamelEntityName}Update;
 import ${this.packageName}.entity.${upperCamelEntityName};
 import ${this.packageName}.service.${upperCamelEntityName}Service;
-
+${relationImports}
 import graphql.schema.DataFetchingEnvironment;
 
+import jakarta.validation.Valid;
+
 import lombok.RequiredArgsConstructor;
 
 @Controller
+@Validated
 @RequiredArgsConstructor
 public class ${upperCamelEntityName}Controller {
 
     private final ${upperCamelEntityName}Service ${entityNameCamel}Service;
 
-    @QueryMapping
-    public ${upperCamelEntityName}Connection get${upperCamelEntityName}s(@Argument(name = "pageNumber") Integer pageNumber, @Argument(name = "pageSize") Integer pageSize, @Argument(name = "dataFilter") List<DataFilter> dataFilter, @Argument(name = "dataOrder") List<DataOrder> dataOrder, DataFetchingEnvironment env) {
-        return ${entityNameCamel}Service.get${upperCamelEntityName}s(pageNumber, pageSize, dataFilter, dataOrder);
-    }
-
+${listMapping}
     @QueryMapping
     public ${upperCamelEntityName} get${upperCamelEntityName}(${paramList}, DataFetchingEnvironment env) {
         return ${entityNameCamel}Service.get${upperCamelEntityName}(${callParams});
     }
 
     @MutationMapping
-    public ${upperCamelEntityName} create${upperCamelEntityName}(@Argument ${upperCamelEntityName}Create input, DataFetchingEnvironment env) {
+    public ${upperCamelEntityName} create${upperCamelEntityName}(@Argument @Valid ${upperCamelEntityName}Create input, DataFetchingEnvironment env) {
         return ${entityNameCamel}Service.create${upperCamelEntityName}(input);
     }
 
     @MutationMapping
-    public ${upperCamelEntityName} update${upperCamelEntityName}(@Argument ${upperCamelEntityName}Update input, DataFetchingEnvironment env) {
+    public ${upperCamelEntityName} update${upperCamelEntityName}(@Argument @Valid ${upperCamelEntityName}Update input, DataFetchingEnvironment env) {
         return ${entityNameCamel}Service.update${upperCamelEntityName}(input);
     }
 
@@ -441,7 +1551,7 @@ public class ${upperCamelEntityName}Controller {
         ${entityNameCamel}Service.delete${upperCamelEntityName}(${callParams});
         return true;
     }
-}
+${relationMappings}}
 `;
             file.push({
                 name: this.createSourceDirectoryFromArtefact(this.packageName) + `controller/${upperCamelEntityName}Controller.java`,
@@ -468,6 +1578,8 @@ public class ${upperCamelEntityName}Controller {
                 return "SpecificationUtil.DATA_TYPE_INTEGER";
             case "Double":
                 return "SpecificationUtil.DATA_TYPE_DOUBLE";
+            case "BigDecimal":
+                return "SpecificationUtil.DATA_TYPE_BIG_DECIMAL";
             case "Float":
                 return "SpecificationUtil.DATA_TYPE_FLOAT";
             case "Boolean":
@@ -476,8 +1588,14 @@ public class ${upperCamelEntityName}Controller {
                 return "SpecificationUtil.DATA_TYPE_DATE";
             case "DateTime":
                 return "SpecificationUtil.DATA_TYPE_DATETIME";
+            case "OffsetDateTime":
+                return "SpecificationUtil.DATA_TYPE_OFFSET_DATETIME";
+            case "UUID":
+                return "SpecificationUtil.DATA_TYPE_UUID";
             case "String":
                 return "SpecificationUtil.DATA_TYPE_STRING";
+            case "Enum":
+                return "SpecificationUtil.DATA_TYPE_ENUM";
             default:
                 // Return an empty string or throw an exception for unknown types.
                 return "";
@@ -505,57 +1623,265 @@ public class ${upperCamelEntityName}Controller {
     }
 
 
+    /**
+     * Creates the service method returning the records of a relation collection,
+     * paginated the same way as the list query of the entity.
+     * @param {string} upperCamelEntityName - The entity class name.
+     * @param {string} entityNameCamel - The entity name in camel case.
+     * @param {string} callParamNames - The quoted primary key field names, the default sort order.
+     * @param {string} methodName - The name of the method.
+     * @param {string} keyParam - The declaration of the key parameter, e.g. "Long customerId".
+     * @param {string} description - The javadoc describing the related records and the key parameter.
+     * @param {string} relationPredicate - The criteria expression selecting the related records.
+     * @returns {string} The Java method.
+     */
+    createServiceRelationMethod(upperCamelEntityName, entityNameCamel, callParamNames, methodName, keyParam, description, relationPredicate) {
+        if (this.paginationMode === "cursor") {
+            return `
+    /**
+     * Retrieves a page of optionally filtered {@link ${upperCamelEntityName}} records
+     * ${description}
+     * @param first the number of records to return after the {@code after} cursor.
+     * @param after the cursor of the record to start after (may be {@code null}).
+     * @param last the number of records to return before the {@code before} cursor.
+     * @param before the cursor of the record to end before (may be {@code null}).
+     * @param dataFilter an optional list of filters to be applied to the query (may be {@code null} or empty).
+     * @param dataOrder an optional list of fields and their sort order to be applied to the query (may be {@code null} or empty).
+     * @return {@link ${upperCamelEntityName}Connection} object containing the edges of the requested page
+     *         and the pagination metadata.
+     */
+    public ${upperCamelEntityName}Connection ${methodName}(${keyParam}, Integer first, String after, Integer last, String before, List<DataFilter> dataFilter, List<DataOrder> dataOrder) {
+        
+        Specification<${upperCamelEntityName}> relationSpecification = (root, query, criteriaBuilder) -> ${relationPredicate};
+        Specification<${upperCamelEntityName}> specification = SpecificationUtil.createSpecificationFromFilter(dataFilter, this.queryPredicateMapping.getFilter());
+        
+        CursorUtil.CursorPage<${upperCamelEntityName}> page = CursorUtil.findPage(
+        	${entityNameCamel}Repository::findSlice, 
+        	relationSpecification.and(specification), 
+        	first, after, last, before, 
+        	dataOrder, this.queryPredicateMapping.getFilter(), ${callParamNames}
+        );
+        return new ${upperCamelEntityName}Connection(page);
+    }
+`;
+        }
+        let findMethod = this.paginationMode === "slice" ? "findSlice" : "findAll";
+        return `
+    /**
+     * Retrieves a paginated and optionally filtered list of {@link ${upperCamelEntityName}} records
+     * ${description}
+     * @param pageNumber the 1-based page number for pagination.
+     * @param pageSize the number of records to retrieve per page.
+     * @param dataFilter an optional list of filters to be applied to the query (may be {@code null} or empty).
+     * @param dataOrder an optional list of fields and their sort order to be applied to the query (may be {@code null} or empty).
+     * @return the matching ${upperCamelEntityName} records of the requested page.
+     */
+    public List<${upperCamelEntityName}> ${methodName}(${keyParam}, Integer pageNumber, Integer pageSize, List<DataFilter> dataFilter, List<DataOrder> dataOrder) {
+        
+        Specification<${upperCamelEntityName}> relationSpecification = (root, query, criteriaBuilder) -> ${relationPredicate};
+        Specification<${upperCamelEntityName}> specification = SpecificationUtil.createSpecificationFromFilter(dataFilter, this.queryPredicateMapping.getFilter());
+        
+        Pageable pageable = PageUtil.pageRequest(pageNumber, pageSize, dataOrder, this.queryPredicateMapping.getFilter(), Sort.by(Sort.Direction.ASC, ${callParamNames}));
+        
+        return ${entityNameCamel}Repository.${findMethod}(
+        	relationSpecification.and(specification), 
+        	pageable
+        ).getContent();
+    }
+`;
+    }
+
     /**
      * Generates service files for all entities in the model, including mutations.
      * @returns {Array} Array of service file objects.
      */
     generateServiceFiles() {
         let _this = this;
-        let entities = this.model.entities;
+        let entities = this.getEntities();
         let file = [];
+        let pageType = this.paginationMode === "slice" ? "Slice" : "Page";
+        let findMethod = this.paginationMode === "slice" ? "findSlice" : "findAll";
+        let cursorMode = this.paginationMode === "cursor";
         entities.forEach(entity => {
             let entityName = entity.name;
-            let entityNameCamel = stringUtil.camelize(entityName);
-            let upperCamelEntityName = stringUtil.upperCamel(entityNameCamel);
+            let entityNameCamel = this.stringUtil.camelize(entityName);
+            let upperCamelEntityName = this.stringUtil.upperCamel(entityNameCamel);
             let primaryKeys = this.getPrimaryKeys(entity);
             
             let initFilter = '';
             
-            entity.columns.forEach(column => {
-                let dt = _this.getDataType(column.type);
+            entity.columns.filter(column => _this.getColumnDataType(column) !== null).forEach(column => {
+                let dt = _this.getColumnDataType(column);
                 let dataType = _this.getDataTypeConstant(dt);
                 let filterOperation = _this.getFilterOperationConstant(_this.getFilterType(dt));
-                let columnName = stringUtil.camelize(column.name);
+                let columnName = this.stringUtil.camelize(column.name);
                 initFilter += `\t\tthis.queryPredicateMapping.add("${columnName}", "${columnName}", ${dataType}, ${filterOperation});\r\n`
+                if (cursorMode && column.nullable && !column.primaryKey) {
+                    initFilter += `\t\tthis.queryPredicateMapping.markNullable("${columnName}");\r\n`
+                }
+            });
+
+            // Columns of related entities, e.g. "customer.name", up to maxRelationDepth
+            _this.getRelationColumnPaths(entities, entity, "", _this.maxRelationDepth).filter(item => _this.getColumnDataType(item.column) !== null).forEach(item => {
+                let dt = _this.getColumnDataType(item.column);
+                let dataType = _this.getDataTypeConstant(dt);
+                let filterOperation = _this.getFilterOperationConstant(_this.getFilterType(dt));
+                initFilter += `\t\tthis.queryPredicateMapping.add("${item.path}", "${item.path}", ${dataType}, ${filterOperation});\r\n`
+                if (cursorMode && item.nullable) {
+                    initFilter += `\t\tthis.queryPredicateMapping.markNullable("${item.path}");\r\n`
+                }
             });
 
 
             if (primaryKeys.length > 0) {
-                let paramList = primaryKeys.map(pk => `${this.getJavaType(pk.type)} ${stringUtil.camelize(pk.name)}`).join(', ');
-                let callParams = primaryKeys.map(pk => stringUtil.camelize(pk.name)).join(', ');
-                let callParamNames = '"'+primaryKeys.map(pk => stringUtil.camelize(pk.name)).join('", "')+'"';
-                let methodNameSuffix = primaryKeys.map(pk => stringUtil.upperCamel(stringUtil.camelize(pk.name))).join('And');
+                let paramList = primaryKeys.map(pk => `${this.getKeyJavaType(pk)} ${this.stringUtil.camelize(pk.name)}`).join(', ');
+                let callParams = primaryKeys.map(pk => this.stringUtil.camelize(pk.name)).join(', ');
+                let callParamNames = '"'+primaryKeys.map(pk => this.stringUtil.camelize(pk.name)).join('", "')+'"';
+                let methodNameSuffix = primaryKeys.map(pk => this.stringUtil.upperCamel(this.stringUtil.camelize(pk.name))).join('And');
                 
                 let vals = [];
                 primaryKeys.forEach(col => {
-                    let upperColumnName = stringUtil.upperCamel(stringUtil.camelize(col.name));
+                    let upperColumnName = this.stringUtil.upperCamel(this.stringUtil.camelize(col.name));
                     vals.push(`input.get${upperColumnName}() == null`);
                 });
-                let updateValidation = `if(${vals.join(' || ')})
-    	{
-    		return null;
-    	}
-        `;
+                let keyDescription = primaryKeys.map(pk => `${this.stringUtil.camelize(pk.name)} " + ${this.stringUtil.camelize(pk.name)} + "`).join(', ');
+                let inputKeyDescription = primaryKeys.map(pk => `${this.stringUtil.camelize(pk.name)} " + input.get${this.stringUtil.upperCamel(this.stringUtil.camelize(pk.name))}() + "`).join(', ');
+                let inputCallParams = primaryKeys.map(pk => `input.get${this.stringUtil.upperCamel(this.stringUtil.camelize(pk.name))}()`).join(', ');
+                let updateValidation = `if(${vals.join(' || ')})
+    	{
+    		throw new ValidationFailedException("The primary key of ${upperCamelEntityName} is required");
+    	}
+        if (${entityNameCamel}InputRepository.findOneBy${methodNameSuffix}(${inputCallParams}) == null)
+        {
+            throw new NotFoundException("${upperCamelEntityName} with ${inputKeyDescription} not found");
+        }
+        `;
+
+                let listMethod = _this.paginationMode === "cursor" ? `    /**
+     * Retrieves a page of optionally filtered {@link ${upperCamelEntityName}} records using cursor-based pagination.
+     * Records are selected with a keyset condition on the sort fields, so paging stays stable
+     * while records are added or removed.
+     *
+     * @param first the number of records to return after the {@code after} cursor.
+     * @param after the cursor of the record to start after (may be {@code null}).
+     * @param last the number of records to return before the {@code before} cursor.
+     * @param before the cursor of the record to end before (may be {@code null}).
+     * @param dataFilter an optional list of filters to be applied to the query (may be {@code null} or empty).
+     * @param dataOrder an optional list of fields and their sort order to be applied to the query (may be {@code null} or empty).
+     * @return {@link ${upperCamelEntityName}Connection} object containing the edges of the requested page
+     *         and the pagination metadata.
+     */
+    public ${upperCamelEntityName}Connection get${upperCamelEntityName}s(Integer first, String after, Integer last, String before, List<DataFilter> dataFilter, List<DataOrder> dataOrder) {
+        
+        Specification<${upperCamelEntityName}> specification = SpecificationUtil.createSpecificationFromFilter(dataFilter, this.queryPredicateMapping.getFilter());
+        
+        CursorUtil.CursorPage<${upperCamelEntityName}> page = CursorUtil.findPage(
+        	${entityNameCamel}Repository::findSlice, 
+        	specification, 
+        	first, after, last, before, 
+        	dataOrder, this.queryPredicateMapping.getFilter(), ${callParamNames}
+        );
+        return new ${upperCamelEntityName}Connection(page);
+    }
+
+` : `    /**
+     * Retrieves a paginated and optionally filtered list of {@link ${upperCamelEntityName}} records from the database.
+     * This method supports dynamic filtering and sorting based on the provided criteria,
+     * and wraps the result in an {@link ${upperCamelEntityName}Connection} for pagination support.
+     *
+     * @param pageNumber the 1-based page number for pagination (required).
+     * @param pageSize the number of records to retrieve per page (required).
+     * @param dataFilter an optional list of filters to be applied to the query (may be {@code null} or empty).
+     * @param dataOrder an optional list of fields and their sort order to be applied to the query (may be {@code null} or empty).
+     * @return {@link ${upperCamelEntityName}Connection} object containing the paginated {@link ${upperCamelEntityName}} records
+     *         that match the given filtering and sorting criteria.
+     */
+    public ${upperCamelEntityName}Connection get${upperCamelEntityName}s(Integer pageNumber, Integer pageSize, List<DataFilter> dataFilter, List<DataOrder> dataOrder) {
+        
+        Specification<${upperCamelEntityName}> specification = SpecificationUtil.createSpecificationFromFilter(dataFilter, this.queryPredicateMapping.getFilter());
+        
+        Pageable pageable = PageUtil.pageRequest(pageNumber, pageSize, dataOrder, this.queryPredicateMapping.getFilter(), Sort.by(Sort.Direction.ASC, ${callParamNames}));
+        
+        ${pageType}<${upperCamelEntityName}> page = ${entityNameCamel}Repository.${findMethod}(
+        	specification, 
+        	pageable
+        );
+        return new ${upperCamelEntityName}Connection(page);
+    }
+
+`;
+
+                let relationMethods = '';
+                _this.getParentRelations(entities, entity).forEach(child => {
+                    let parentType = this.stringUtil.upperCamel(this.stringUtil.camelize(child.parent.name));
+                    let columnCamelName = this.stringUtil.camelize(child.column.name);
+                    relationMethods += _this.createServiceRelationMethod(
+                        upperCamelEntityName, entityNameCamel, callParamNames,
+                        `get${upperCamelEntityName}sBy${this.stringUtil.upperCamel(columnCamelName)}`,
+                        `${_this.getKeyJavaType(child.column)} ${columnCamelName}`,
+                        `referencing the given {@link ${parentType}} through {@code ${child.column.name}}.
+     *
+     * @param ${columnCamelName} the referenced ${parentType} key.`,
+                        `criteriaBuilder.equal(root.get("${columnCamelName}"), ${columnCamelName})`
+                    );
+                });
+
+                _this.getManyToManyRelations(entity).forEach(relation => {
+                    let joinTable = relation.joinTable;
+                    let linkName = this.stringUtil.upperCamel(this.stringUtil.camelize(joinTable.name));
+                    let otherType = this.stringUtil.upperCamel(this.stringUtil.camelize(relation.entity.name));
+                    let keyName = this.stringUtil.camelize(relation.inverseColumn.name);
+                    relationMethods += _this.createServiceRelationMethod(
+                        upperCamelEntityName, entityNameCamel, callParamNames,
+                        `get${upperCamelEntityName}sBy${linkName}`,
+                        `${_this.getKeyJavaType(relation.inverseReferencedColumn)} ${keyName}`,
+                        `linked to the given {@link ${otherType}} through {@code ${joinTable.name}}.
+     *
+     * @param ${keyName} the linked ${otherType} key.`,
+                        `criteriaBuilder.equal(root.join("${relation.fieldName}").get("${this.stringUtil.camelize(relation.inverseReferencedColumn.name)}"), ${keyName})`
+                    );
+                    if (relation.owner) {
+                        let linkParams = joinTable.columns.map(col => `${_this.getKeyJavaType(col)} ${this.stringUtil.camelize(col.name)}`).join(', ');
+                        let linkArgs = joinTable.columns.map(col => this.stringUtil.camelize(col.name)).join(', ');
+                        relationMethods += `
+    /**
+     * Links a {@link ${upperCamelEntityName}} and a {@link ${otherType}} through {@code ${joinTable.name}}.
+     * Existing links are left unchanged.
+     *
+${joinTable.columns.map(col => `     * @param ${this.stringUtil.camelize(col.name)} the ${col.name} of the link.`).join('\n')}
+     * @return true when the records are linked.
+     */
+    @Transactional
+    public Boolean add${linkName}(${linkParams}) {
+        if (${entityNameCamel}Repository.count${linkName}(${linkArgs}) == 0) {
+            ${entityNameCamel}Repository.add${linkName}(${linkArgs});
+        }
+        return true;
+    }
+
+    /**
+     * Removes the link between a {@link ${upperCamelEntityName}} and a {@link ${otherType}} from {@code ${joinTable.name}}.
+     *
+${joinTable.columns.map(col => `     * @param ${this.stringUtil.camelize(col.name)} the ${col.name} of the link.`).join('\n')}
+     * @return true if a link was removed.
+     */
+    @Transactional
+    public Boolean remove${linkName}(${linkParams}) {
+        return ${entityNameCamel}Repository.remove${linkName}(${linkArgs}) > 0;
+    }
+`;
+                    }
+                });
 
 
                 let serviceContent = `package ${this.packageName}.service;
 
-import java.util.List;
+${this.createKeyTypeImports(entities, entity)}import java.util.List;
 
-import org.springframework.data.domain.Page;
+${cursorMode ? '' : `import org.springframework.data.domain.${pageType};
 import org.springframework.data.domain.Pageable;
 import org.springframework.data.domain.Sort;
-import org.springframework.data.jpa.domain.Specification;
+`}import org.springframework.data.jpa.domain.Specification;
 import org.springframework.stereotype.Service;
 import lombok.RequiredArgsConstructor;
 
@@ -563,14 +1889,15 @@ import ${this.packageName}.dto.${upperCamelEntityName}Create;
 import ${this.packageName}.dto.${upperCamelEntityName}Update;
 import ${this.packageName}.entity.${upperCamelEntityName};
 import ${this.packageName}.entity.${upperCamelEntityName}Input;
+import ${this.packageName}.exception.NotFoundException;
+import ${this.packageName}.exception.ValidationFailedException;
 import ${this.packageName}.output.${upperCamelEntityName}Connection;
 import ${this.packageName}.repository.${upperCamelEntityName}Repository;
 import ${this.packageName}.repository.${upperCamelEntityName}InputRepository;
 import ${this.packageName}.utils.DataFilter;
 import ${this.packageName}.utils.DataOrder;
 import ${this.packageName}.utils.QueryPredicateMapping;
-import ${this.packageName}.utils.PageUtil;
-import ${this.packageName}.utils.SpecificationUtil;
+${cursorMode ? `import ${this.packageName}.utils.CursorUtil;\n` : `import ${this.packageName}.utils.PageUtil;\n`}import ${this.packageName}.utils.SpecificationUtil;
 
 import jakarta.annotation.PostConstruct;
 import jakarta.transaction.Transactional;
@@ -601,41 +1928,22 @@ public class ${upperCamelEntityName}Service {
 ${initFilter}
     }
     
-    /**
-     * Retrieves a paginated and optionally filtered list of {@link ${upperCamelEntityName}} records from the database.
-     * This method supports dynamic filtering and sorting based on the provided criteria,
-     * and wraps the result in an {@link ${upperCamelEntityName}Connection} for pagination support.
-     *
-     * @param pageNumber the 1-based page number for pagination (required).
-     * @param pageSize the number of records to retrieve per page (required).
-     * @param dataFilter an optional list of filters to be applied to the query (may be {@code null} or empty).
-     * @param dataOrder an optional list of fields and their sort order to be applied to the query (may be {@code null} or empty).
-     * @return {@link ${upperCamelEntityName}Connection} object containing the paginated {@link ${upperCamelEntityName}} records
-     *         that match the given filtering and sorting criteria.
-     */
-    public ${upperCamelEntityName}Connection get${upperCamelEntityName}s(Integer pageNumber, Integer pageSize, List<DataFilter> dataFilter, List<DataOrder> dataOrder) {
-        
-        Specification<${upperCamelEntityName}> specification = SpecificationUtil.createSpecificationFromFilter(dataFilter, this.queryPredicateMapping.getFilter());
-        
-        Pageable pageable = PageUtil.pageRequest(pageNumber, pageSize, dataOrder, this.queryPredicateMapping.getFilter(), Sort.by(Sort.Direction.ASC, ${callParamNames}));
-        
-        Page<${upperCamelEntityName}> page = ${entityNameCamel}Repository.findAll(
-        	specification, 
-        	pageable
-        );
-        return new ${upperCamelEntityName}Connection(page);
-    }
-
-    /**
+${listMethod}    /**
      * Retrieves ${upperCamelEntityName} record matching the given primary key.
      *
-     * @param ${primaryKeys.map(pk => stringUtil.camelize(pk.name)).join(', ')} the primary key value(s) used for filtering.
-     * @return a list of matching ${upperCamelEntityName} entities.
+${primaryKeys.map(pk => `     * @param ${this.stringUtil.camelize(pk.name)} the primary key value used for filtering.`).join('\n')}
+     * @return the matching ${upperCamelEntityName} entity.
+     * @throws NotFoundException if no record matches the primary key.
      */
     public ${upperCamelEntityName} get${upperCamelEntityName}(${paramList}) {
-        return ${entityNameCamel}Repository.findOneBy${methodNameSuffix}(${callParams});
+        ${upperCamelEntityName} ${entityNameCamel} = ${entityNameCamel}Repository.findOneBy${methodNameSuffix}(${callParams});
+        if (${entityNameCamel} == null)
+        {
+            throw new NotFoundException("${upperCamelEntityName} with ${keyDescription} not found");
+        }
+        return ${entityNameCamel};
     }
-
+${relationMethods}
     /**
      * Creates a new record for {@link ${upperCamelEntityName}} in the database.
      *
@@ -645,7 +1953,7 @@ ${initFilter}
     public ${upperCamelEntityName} create${upperCamelEntityName}(${upperCamelEntityName}Create input) {
         ${upperCamelEntityName}Input saved = ${entityNameCamel}InputRepository.save(${upperCamelEntityName}Create.createEntity(input));
         return ${entityNameCamel}Repository.findOneBy${methodNameSuffix}(
-            ${primaryKeys.map(pk => `saved.get${stringUtil.upperCamel(stringUtil.camelize(pk.name))}()`).join(', ')}
+            ${primaryKeys.map(pk => `saved.get${this.stringUtil.upperCamel(this.stringUtil.camelize(pk.name))}()`).join(', ')}
         );
     }
 
@@ -654,21 +1962,28 @@ ${initFilter}
      *
      * @param input the ${upperCamelEntityName} entity containing updated values.
      * @return the updated ${upperCamelEntityName} entity.
+     * @throws ValidationFailedException if the primary key is missing.
+     * @throws NotFoundException if no record matches the primary key.
      */
     public ${upperCamelEntityName} update${upperCamelEntityName}(${upperCamelEntityName}Update input) {
         ${updateValidation}${upperCamelEntityName}Input saved = ${entityNameCamel}InputRepository.save(${upperCamelEntityName}Update.createEntity(input));
         return ${entityNameCamel}Repository.findOneBy${methodNameSuffix}(
-            ${primaryKeys.map(pk => `saved.get${stringUtil.upperCamel(stringUtil.camelize(pk.name))}()`).join(', ')}
+            ${primaryKeys.map(pk => `saved.get${this.stringUtil.upperCamel(this.stringUtil.camelize(pk.name))}()`).join(', ')}
         );
     }
 
     /**
      * Deletes the {@link ${upperCamelEntityName}} record that matches the given primary key(s).
      *
-     * @param ${primaryKeys.map(pk => stringUtil.camelize(pk.name)).join(', ')} the primary key value(s) of the record to delete.
+${primaryKeys.map(pk => `     * @param ${this.stringUtil.camelize(pk.name)} the primary key value of the record to delete.`).join('\n')}
+     * @throws NotFoundException if no record matches the primary key.
      */
     @Transactional
     public void delete${upperCamelEntityName}(${paramList}) {
+        if (${entityNameCamel}InputRepository.findOneBy${methodNameSuffix}(${callParams}) == null)
+        {
+            throw new NotFoundException("${upperCamelEntityName} with ${keyDescription} not found");
+        }
         ${entityNameCamel}InputRepository.deleteBy${methodNameSuffix}(${callParams});
     }
 }
@@ -727,17 +2042,27 @@ public class PageUtil {
     {
         const content = `package ${this.packageName}.utils;
 
+import jakarta.persistence.criteria.CriteriaBuilder;
+import jakarta.persistence.criteria.Expression;
+import jakarta.persistence.criteria.From;
 import jakarta.persistence.criteria.Path;
 import jakarta.persistence.criteria.Join;
+import jakarta.persistence.criteria.JoinType;
+import jakarta.persistence.criteria.Predicate;
 import jakarta.persistence.criteria.Root;
 
-import java.text.SimpleDateFormat;
-import java.util.Date;
+import java.math.BigDecimal;
+import java.time.LocalDate;
+import java.time.LocalDateTime;
+import java.time.OffsetDateTime;
+import java.time.format.DateTimeParseException;
+import java.util.ArrayList;
+import java.util.Arrays;
 import java.util.List;
 import java.util.Map;
 import java.util.Optional;
-import java.text.ParseException;
 import java.util.HashMap;
+import java.util.UUID;
 
 import org.springframework.data.jpa.domain.Specification;
 import org.slf4j.Logger;
@@ -757,16 +2082,30 @@ public class SpecificationUtil {
     public static final String DATA_TYPE_INTEGER = "Integer";
     public static final String DATA_TYPE_DOUBLE = "Double";
     public static final String DATA_TYPE_FLOAT = "Float";
+    public static final String DATA_TYPE_BIG_DECIMAL = "BigDecimal";
     public static final String DATA_TYPE_BOOLEAN = "Boolean";
     public static final String DATA_TYPE_DATE = "Date";
     public static final String DATA_TYPE_DATETIME = "DateTime";
+    public static final String DATA_TYPE_OFFSET_DATETIME = "OffsetDateTime";
+    public static final String DATA_TYPE_UUID = "UUID";
     public static final String DATA_TYPE_STRING = "String";
+    public static final String DATA_TYPE_ENUM = "Enum";
 
     public static final String FILTER_OPERATION_EXACT = "exact";
     public static final String FILTER_OPERATION_PARTIAL = "partial";
 
-    public static final String DATE_FORMAT = "yyyy-MM-dd";
-    public static final String DATETIME_FORMAT = "yyyy-MM-dd'T'HH:mm:ss";
+    public static final String OPERATOR_EQ = "eq";
+    public static final String OPERATOR_NEQ = "neq";
+    public static final String OPERATOR_GT = "gt";
+    public static final String OPERATOR_GTE = "gte";
+    public static final String OPERATOR_LT = "lt";
+    public static final String OPERATOR_LTE = "lte";
+    public static final String OPERATOR_BETWEEN = "between";
+    public static final String OPERATOR_IN = "in";
+    public static final String OPERATOR_NOT_IN = "notIn";
+    public static final String OPERATOR_IS_NULL = "isNull";
+    public static final String OPERATOR_STARTS_WITH = "startsWith";
+    public static final String OPERATOR_CONTAINS = "contains";
 
     public static final String REGEX_INTEGER = "^-?\\\\d+$";
     public static final String REGEX_FLOAT   = "^-?\\\\d+(\\\\.\\\\d+)?$";
@@ -803,10 +2142,15 @@ public class SpecificationUtil {
 
     /**
      * Creates a generic {@link Specification} from a list of {@link DataFilter} to build dynamic queries.
-     * This method supports various filtering types based on the provided filterOperation map.
+     * The filters of the list are combined with AND. Each filter may contain nested {@code and}
+     * and {@code or} groups.
+     * <p>
+     * When no operator is given, the filter operation configured for the field is used
+     * ("exact" or "partial"), so the two-field form {@code fieldName}/{@code fieldValue} keeps working.
+     * </p>
      *
      * @param dataFilter list of filters to apply.
-     * @param filters a map defining the data type and filter type for each field.
+     * @param filters a map defining the data type, filter type and allowed operators for each field.
      * @param <T> The entity type to be filtered.
      * @return a Specification object representing the combined filters.
      */
@@ -814,86 +2158,326 @@ public class SpecificationUtil {
         if (dataFilter == null || dataFilter.isEmpty() || filters == null) {
             return null;
         }
+        return combineSpecifications(dataFilter, filters, false);
+    }
 
+    /**
+     * Combines the specifications of a list of filters.
+     *
+     * @param dataFilter list of filters to combine.
+     * @param filters a map defining the data type, filter type and allowed operators for each field.
+     * @param disjunction true to combine with OR, false to combine with AND.
+     * @param <T> The entity type to be filtered.
+     * @return the combined Specification, or null if no filter applies.
+     */
+    private static <T> Specification<T> combineSpecifications(List<DataFilter> dataFilter, Map<String, Map<String, String>> filters, boolean disjunction) {
         Optional<Specification<T>> spec = Optional.empty();
-
         for (DataFilter filter : dataFilter) {
-            String key = filter.getFieldName();
-            Object fieldValue = filter.getFieldValue();
-            String valueStr = String.valueOf(fieldValue);
-
-            if (key != null && fieldValue != null) {
-                Map<String, String> fieldInfo = filters.get(key);
-
-                if (fieldInfo != null) {
-                    String fieldName = fieldInfo.get("fieldName");
-                    String dataType = fieldInfo.get("dataType");
-                    String filterOperation = fieldInfo.get("filterOperation");
-
-                    Specification<T> currentSpec = (root, query, criteriaBuilder) -> {
-                        try {
-                            Path<?> path = resolvePath(root, fieldName);
-                            
-                            switch (dataType) {
-                                case DATA_TYPE_LONG:
-                                    return criteriaBuilder.equal(path, Long.parseLong(valueStr));
-                                case DATA_TYPE_INTEGER:
-                                    return criteriaBuilder.equal(path, Integer.parseInt(valueStr));
-                                case DATA_TYPE_DOUBLE:
-                                case DATA_TYPE_FLOAT:
-                                    return criteriaBuilder.equal(path, Double.parseDouble(valueStr));
-                                case DATA_TYPE_BOOLEAN:
-                                    return criteriaBuilder.equal(path, Boolean.parseBoolean(valueStr));
-                                case DATA_TYPE_DATE:
-                                    Date date = new SimpleDateFormat(DATE_FORMAT).parse(valueStr);
-                                    return criteriaBuilder.equal(path, date);
-                                case DATA_TYPE_DATETIME:
-                                    Date dateTime = new SimpleDateFormat(DATETIME_FORMAT).parse(valueStr);
-                                    return criteriaBuilder.equal(path, dateTime);
-                                case DATA_TYPE_STRING:
-                                    if (FILTER_OPERATION_EXACT.equals(filterOperation)) {
-                                        return criteriaBuilder.equal(path, fieldValue);
-                                    } else if (FILTER_OPERATION_PARTIAL.equals(filterOperation)) {
-                                        return criteriaBuilder.like(criteriaBuilder.lower((Path<String>) path), "%" + valueStr.toLowerCase() + "%");
-                                    }
-                                    break;
-                                default:
-                                    logger.warn("Unsupported data type: {}", dataType);
-                                    return null;
-                            }
-                        } catch (ParseException e) {
-                            logger.error("Error parsing date/datetime for field {}: {}", fieldName, e.getMessage());
-                        } catch (Exception e) {
-                            logger.error("Error creating predicate for field {}: {}", fieldName, e.getMessage());
-                        }
-                        return criteriaBuilder.disjunction(); // Return a false predicate on error
-                    };
+            Specification<T> currentSpec = createSpecification(filter, filters);
+            if (currentSpec != null) {
+                spec = Optional.of(spec.map(s -> disjunction ? s.or(currentSpec) : s.and(currentSpec)).orElse(currentSpec));
+            }
+        }
+        return spec.orElse(null);
+    }
 
-                    spec = Optional.of(spec.map(s -> s.and(currentSpec)).orElse(currentSpec));
-                }
+    /**
+     * Creates the specification of a single filter, including its nested {@code and} and {@code or} groups.
+     *
+     * @param filter the filter.
+     * @param filters a map defining the data type, filter type and allowed operators for each field.
+     * @param <T> The entity type to be filtered.
+     * @return the Specification, or null if the filter does not apply.
+     */
+    private static <T> Specification<T> createSpecification(DataFilter filter, Map<String, Map<String, String>> filters) {
+        if (filter == null) {
+            return null;
+        }
+        Optional<Specification<T>> spec = Optional.ofNullable(createFieldSpecification(filter, filters));
+
+        if (filter.getAnd() != null && !filter.getAnd().isEmpty()) {
+            Specification<T> andSpec = combineSpecifications(filter.getAnd(), filters, false);
+            if (andSpec != null) {
+                spec = Optional.of(spec.map(s -> s.and(andSpec)).orElse(andSpec));
+            }
+        }
+        if (filter.getOr() != null && !filter.getOr().isEmpty()) {
+            Specification<T> orSpec = combineSpecifications(filter.getOr(), filters, true);
+            if (orSpec != null) {
+                spec = Optional.of(spec.map(s -> s.and(orSpec)).orElse(orSpec));
             }
         }
         return spec.orElse(null);
     }
 
     /**
-     * Retrieves a {@link Date} value from the map using the specified key.
+     * Creates the specification comparing a single field.
+     *
+     * @param filter the filter.
+     * @param filters a map defining the data type, filter type and allowed operators for each field.
+     * @param <T> The entity type to be filtered.
+     * @return the Specification, or null if the field is unknown, the operator is not allowed or no value is given.
+     */
+    private static <T> Specification<T> createFieldSpecification(DataFilter filter, Map<String, Map<String, String>> filters) {
+        String key = filter.getFieldName();
+        if (key == null) {
+            return null;
+        }
+        Map<String, String> fieldInfo = filters.get(key);
+        if (fieldInfo == null) {
+            return null;
+        }
+
+        String fieldName = fieldInfo.get("fieldName");
+        String dataType = fieldInfo.get("dataType");
+        String filterOperation = fieldInfo.get("filterOperation");
+        String operator = resolveOperator(filter.getOperator(), filterOperation);
+        boolean ignoreCase = filter.getIgnoreCase() != null
+            ? filter.getIgnoreCase()
+            : filter.getOperator() == null && FILTER_OPERATION_PARTIAL.equals(filterOperation);
+
+        if (!isOperatorAllowed(fieldInfo, operator)) {
+            logger.warn("Unsupported operator {} for field {}", operator, key);
+            return null;
+        }
+
+        List<String> values = getValues(filter, operator);
+        if (values.isEmpty() && !OPERATOR_IS_NULL.equals(operator)) {
+            return null;
+        }
+
+        return (root, query, criteriaBuilder) -> {
+            try {
+                Path<?> path = resolvePath(root, fieldName);
+                return createPredicate(criteriaBuilder, path, dataType, operator, values, ignoreCase);
+            } catch (DateTimeParseException e) {
+                logger.error("Error parsing date/datetime for field {}: {}", fieldName, e.getMessage());
+            } catch (Exception e) {
+                logger.error("Error creating predicate for field {}: {}", fieldName, e.getMessage());
+            }
+            return criteriaBuilder.disjunction(); // Return a false predicate on error
+        };
+    }
+
+    /**
+     * Resolves the operator of a filter. Without an operator, the filter operation of the field
+     * is used: "partial" means {@link #OPERATOR_CONTAINS}, anything else {@link #OPERATOR_EQ}.
+     *
+     * @param operator the operator requested by the client, may be null.
+     * @param filterOperation the filter operation configured for the field.
+     * @return the operator to apply.
+     */
+    private static String resolveOperator(String operator, String filterOperation) {
+        if (operator == null || operator.isEmpty()) {
+            operator = filterOperation;
+        }
+        if (FILTER_OPERATION_PARTIAL.equals(operator)) {
+            return OPERATOR_CONTAINS;
+        }
+        if (operator == null || FILTER_OPERATION_EXACT.equals(operator)) {
+            return OPERATOR_EQ;
+        }
+        return operator;
+    }
+
+    /**
+     * Checks whether an operator is allowed for a field.
+     *
+     * @param fieldInfo the field configuration.
+     * @param operator the operator to check.
+     * @return true if the operator is listed in the field configuration.
+     */
+    private static boolean isOperatorAllowed(Map<String, String> fieldInfo, String operator) {
+        String operators = fieldInfo.get("operators");
+        if (operators == null) {
+            return true;
+        }
+        return Arrays.asList(operators.split(",")).contains(operator);
+    }
+
+    /**
+     * Returns the values of a filter. {@code fieldValues} takes precedence over {@code fieldValue}.
+     * For {@code between}, {@code in} and {@code notIn}, a comma separated {@code fieldValue} is accepted as well.
+     *
+     * @param filter the filter.
+     * @param operator the resolved operator.
+     * @return the list of values, empty if none is given.
+     */
+    private static List<String> getValues(DataFilter filter, String operator) {
+        List<String> values = new ArrayList<>();
+        if (filter.getFieldValues() != null && !filter.getFieldValues().isEmpty()) {
+            for (String value : filter.getFieldValues()) {
+                if (value != null) {
+                    values.add(value);
+                }
+            }
+        } else if (filter.getFieldValue() != null) {
+            if (OPERATOR_BETWEEN.equals(operator) || OPERATOR_IN.equals(operator) || OPERATOR_NOT_IN.equals(operator)) {
+                for (String value : filter.getFieldValue().split(",")) {
+                    values.add(value.trim());
+                }
+            } else {
+                values.add(filter.getFieldValue());
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Creates the predicate comparing a path with the given values.
+     *
+     * @param criteriaBuilder the criteria builder.
+     * @param path the path of the field.
+     * @param dataType the data type of the field.
+     * @param operator the operator to apply.
+     * @param values the values to compare with.
+     * @param ignoreCase true to compare text case-insensitively.
+     * @return the predicate.
+     * @throws DateTimeParseException if a date value cannot be parsed.
+     */
+    @SuppressWarnings({"unchecked", "rawtypes"})
+    private static Predicate createPredicate(CriteriaBuilder criteriaBuilder, Path<?> path, String dataType, String operator, List<String> values, boolean ignoreCase) {
+        if (OPERATOR_IS_NULL.equals(operator)) {
+            boolean isNull = values.isEmpty() || !"false".equalsIgnoreCase(values.get(0));
+            return isNull ? criteriaBuilder.isNull(path) : criteriaBuilder.isNotNull(path);
+        }
+
+        boolean lowerCase = ignoreCase && DATA_TYPE_STRING.equals(dataType);
+        Expression<Comparable> expression = lowerCase
+            ? (Expression) criteriaBuilder.lower((Path<String>) path)
+            : (Expression<Comparable>) path;
+
+        List<Comparable> parsedValues = new ArrayList<>();
+        for (String value : values) {
+            if (lowerCase) {
+                parsedValues.add(value.toLowerCase());
+            } else if (DATA_TYPE_ENUM.equals(dataType)) {
+                parsedValues.add(parseEnum(path.getJavaType(), value));
+            } else {
+                parsedValues.add(parseValue(dataType, value));
+            }
+        }
+        Comparable value = parsedValues.get(0);
+
+        switch (operator) {
+            case OPERATOR_EQ:
+                return criteriaBuilder.equal(expression, value);
+            case OPERATOR_NEQ:
+                return criteriaBuilder.notEqual(expression, value);
+            case OPERATOR_GT:
+                return criteriaBuilder.greaterThan(expression, value);
+            case OPERATOR_GTE:
+                return criteriaBuilder.greaterThanOrEqualTo(expression, value);
+            case OPERATOR_LT:
+                return criteriaBuilder.lessThan(expression, value);
+            case OPERATOR_LTE:
+                return criteriaBuilder.lessThanOrEqualTo(expression, value);
+            case OPERATOR_BETWEEN:
+                if (parsedValues.size() < 2) {
+                    logger.warn("Operator between requires two values");
+                    return criteriaBuilder.disjunction();
+                }
+                return criteriaBuilder.between(expression, value, parsedValues.get(1));
+            case OPERATOR_IN:
+                return expression.in(parsedValues);
+            case OPERATOR_NOT_IN:
+                return criteriaBuilder.not(expression.in(parsedValues));
+            case OPERATOR_STARTS_WITH:
+                return criteriaBuilder.like((Expression<String>) (Expression) expression, escapeLike(String.valueOf(value)) + "%", '\\\\');
+            case OPERATOR_CONTAINS:
+                return criteriaBuilder.like((Expression<String>) (Expression) expression, "%" + escapeLike(String.valueOf(value)) + "%", '\\\\');
+            default:
+                logger.warn("Unsupported operator: {}", operator);
+                return criteriaBuilder.disjunction();
+        }
+    }
+
+    /**
+     * Converts a filter value to the Java type of the field.
+     * Dates and times use the ISO-8601 formats, e.g. {@code 2024-01-31}, {@code 2024-01-31T10:15:30}
+     * and {@code 2024-01-31T10:15:30+07:00}.
+     *
+     * @param dataType the data type of the field.
+     * @param value the value as sent by the client.
+     * @return the converted value.
+     * @throws DateTimeParseException if a date value cannot be parsed.
+     */
+    @SuppressWarnings("rawtypes")
+    public static Comparable parseValue(String dataType, String value) {
+        switch (dataType) {
+            case DATA_TYPE_LONG:
+                return Long.parseLong(value);
+            case DATA_TYPE_INTEGER:
+                return Integer.parseInt(value);
+            case DATA_TYPE_DOUBLE:
+            case DATA_TYPE_FLOAT:
+                return Double.parseDouble(value);
+            case DATA_TYPE_BIG_DECIMAL:
+                return new BigDecimal(value);
+            case DATA_TYPE_BOOLEAN:
+                return Boolean.parseBoolean(value);
+            case DATA_TYPE_DATE:
+                return LocalDate.parse(value);
+            case DATA_TYPE_DATETIME:
+                return LocalDateTime.parse(value);
+            case DATA_TYPE_OFFSET_DATETIME:
+                return OffsetDateTime.parse(value);
+            case DATA_TYPE_UUID:
+                return UUID.fromString(value);
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Converts a filter value to a constant of the enum type of the field.
+     * The value is the constant name as used in the GraphQL schema, compared case-insensitively.
+     *
+     * @param enumType the enum type of the field.
+     * @param value the constant name as sent by the client.
+     * @return the enum constant.
+     * @throws IllegalArgumentException if the type is not an enum or has no such constant.
+     */
+    @SuppressWarnings("rawtypes")
+    public static Enum parseEnum(Class<?> enumType, String value) {
+        if (enumType.isEnum()) {
+            for (Object constant : enumType.getEnumConstants()) {
+                if (((Enum) constant).name().equalsIgnoreCase(value)) {
+                    return (Enum) constant;
+                }
+            }
+        }
+        throw new IllegalArgumentException("Invalid value " + value + " for " + enumType.getSimpleName());
+    }
+
+    /**
+     * Escapes the LIKE wildcards of a value, using backslash as escape character.
+     *
+     * @param value the value to escape.
+     * @return the escaped value.
+     */
+    private static String escapeLike(String value) {
+        return value.replace("\\\\", "\\\\\\\\").replace("%", "\\\\%").replace("_", "\\\\_");
+    }
+
+    /**
+     * Retrieves a {@link LocalDate} value from the map using the specified key.
      * Parsed with {@code yyyy-MM-dd}.
      */
-    public static Date getDate(Map<String, Object> map, String key) throws ParseException {
+    public static LocalDate getDate(Map<String, Object> map, String key) {
         String valueStr = getString(map, key);
         if (valueStr == null) return null;
-        return new SimpleDateFormat(DATE_FORMAT).parse(valueStr);
+        return LocalDate.parse(valueStr);
     }
 
     /**
-     * Retrieves a {@link Date} value with time from the map using the specified key.
-     * Parsed with {@code yyyy-MM-dd HH:mm:ss}.
+     * Retrieves a {@link LocalDateTime} value from the map using the specified key.
+     * Parsed with {@code yyyy-MM-dd'T'HH:mm:ss}.
      */
-    public static Date getDateTime(Map<String, Object> map, String key) throws ParseException {
+    public static LocalDateTime getDateTime(Map<String, Object> map, String key) {
         String valueStr = getString(map, key);
         if (valueStr == null) return null;
-        return new SimpleDateFormat(DATETIME_FORMAT).parse(valueStr);
+        return LocalDateTime.parse(valueStr);
     }
 
     /**
@@ -967,27 +2551,40 @@ public class SpecificationUtil {
     /**
      * Helper method to resolve a nested path by performing joins.
      * This method handles both direct attributes and nested attributes with multiple dots.
+     * Relations are joined with a LEFT join, and an existing join on the same relation is reused,
+     * so several filters on the same relation share one join.
      *
      * @param root The root of the query.
      * @param fieldName The dot-separated field name (e.g., "album.artist.name").
      * @return The final Path object to the attribute.
      */
-    private static Path<?> resolvePath(Root<?> root, String fieldName) {
-        String[] parts = fieldName.split("\\\\\\\\.");
-        Path<?> path = root;
+    public static Path<?> resolvePath(Root<?> root, String fieldName) {
+        String[] parts = fieldName.split("\\\\.");
+        From<?, ?> from = root;
 
-        // Iterate through all parts of the path
+        // Join every relation of the path except the last part, which is the attribute
         for (int i = 0; i < parts.length - 1; i++) {
-            // Cast to Join is needed to continue the path, but only if the current path is not the root
-            if (path instanceof Root) {
-                 path = ((Root<?>) path).join(parts[i]);
-            } else {
-                 path = ((Join<?, ?>) path).join(parts[i]);
-            }
+            from = getOrCreateJoin(from, parts[i]);
         }
         
         // Return the final Path to the attribute
-        return path.get(parts[parts.length - 1]);
+        return from.get(parts[parts.length - 1]);
+    }
+
+    /**
+     * Returns the LEFT join of a relation, creating it if the query does not have it yet.
+     *
+     * @param from The root or join to start from.
+     * @param attributeName The name of the relation attribute.
+     * @return The join of the relation.
+     */
+    private static Join<?, ?> getOrCreateJoin(From<?, ?> from, String attributeName) {
+        for (Join<?, ?> join : from.getJoins()) {
+            if (join.getAttribute().getName().equals(attributeName) && join.getJoinType() == JoinType.LEFT) {
+                return join;
+            }
+        }
+        return from.join(attributeName, JoinType.LEFT);
     }
 }
 `;
@@ -1001,14 +2598,29 @@ public class SpecificationUtil {
     {
         const content = `package ${this.packageName}.utils;
 
+import java.util.List;
+
 import lombok.Getter;
 import lombok.Setter;
 
+/**
+ * A filter condition sent by the client.
+ * <p>
+ * The simple form only uses {@code fieldName} and {@code fieldValue} and applies the filter
+ * operation configured for the field. {@code operator} selects one of the operators of
+ * {@link SpecificationUtil}. {@code and} and {@code or} hold nested groups of filters.
+ * </p>
+ */
 @Setter
 @Getter
 public class DataFilter {
 	String fieldName;
 	String fieldValue;
+	List<String> fieldValues;
+	String operator;
+	Boolean ignoreCase;
+	List<DataFilter> and;
+	List<DataFilter> or;
 }
 `;
         return [{ 
@@ -1037,6 +2649,36 @@ public class DataOrder {
         }];
     }
 
+    /**
+     * Recursively collects the columns of the ManyToOne relations of an entity as dotted
+     * property paths (e.g. "customer.name") up to a certain depth, so they can be registered
+     * for filtering and sorting.
+     * @param {Array<Object>} entities - All entities in the model.
+     * @param {Object} entity - The entity to start from.
+     * @param {string} prefix - The path of the entity.
+     * @param {number} depth - The number of relations that may still be followed.
+     * @returns {Array} Array of {path, column, nullable}. A path is nullable when its column
+     * or one of the foreign keys on the way is nullable.
+     */
+    getRelationColumnPaths(entities, entity, prefix = "", depth = 1) {
+        if (depth <= 0) return [];
+
+        let index = this.getRelationIndex(entities);
+        let paths = this.getCachedRelationPaths(index.columnPaths, entity, depth, () => {
+            let result = [];
+            (index.columnRelations.get(entity) || []).forEach(({ column: foreignKey, relation }) => {
+                relation.entity.columns.forEach(column => {
+                    result.push({ path: `${relation.name}.${this.stringUtil.camelize(column.name)}`, column: column, nullable: foreignKey.nullable || (column.nullable && !column.primaryKey) });
+                });
+                this.getRelationColumnPaths(entities, relation.entity, relation.name, depth - 1).forEach(item => {
+                    result.push({ path: item.path, column: item.column, nullable: foreignKey.nullable || item.nullable });
+                });
+            });
+            return result;
+        });
+        return prefix ? paths.map(item => ({ path: `${prefix}.${item.path}`, column: item.column, nullable: item.nullable })) : paths;
+    }
+
     /**
      * Recursively find nested ManyToOne relations up to a certain depth,
      * including those from composite primary keys.
@@ -1044,39 +2686,38 @@ public class DataOrder {
     getNestedRelations(entities, entity, prefix = "", depth = 2) {
         if (depth <= 0) return [];
 
-        let relations = [];
-        let isCompositeKey = this.getPrimaryKeys(entity).length > 1;
-        
-        // Periksa kolom di entitas utama
-        entity.columns.forEach(col => {
-            if (this.isForeignKey(entities, entity, col) && !isCompositeKey) {
-                let relationName = stringUtil.camelize(col.name.replace(/_id$/i, ""));
-                let fullPath = prefix ? `${prefix}.${relationName}` : relationName;
-                relations.push(fullPath);
-
-                let targetEntity = entities.find(e => e.name.toLowerCase() === relationName.toLowerCase());
-                if (targetEntity) {
-                    relations.push(...this.getNestedRelations(entities, targetEntity, fullPath, depth - 1));
-                }
-            }
-        });
-
-        
-        entity.columns.forEach(col => {
-            if (isCompositeKey) {
-                let relationName = stringUtil.camelize(col.name.replace(/_id$/i, ""));
-                let fullPath = prefix ? `${prefix}.${relationName}` : relationName;
-                relations.push(fullPath);
-
-                let targetEntity = entities.find(e => e.name.toLowerCase() === relationName.toLowerCase());
-                if (targetEntity) {
-                    relations.push(...this.getNestedRelations(entities, targetEntity, fullPath, depth - 1));
-                }
-            }
+        let index = this.getRelationIndex(entities);
+        let relations = this.getCachedRelationPaths(index.nestedRelations, entity, depth, () => {
+            let result = [];
+            let isCompositeKey = this.getPrimaryKeys(entity).length > 1;
+            // An entity with a composite key fetches the relations of its key columns only
+            (index.columnRelations.get(entity) || []).filter(({ column }) => !isCompositeKey || column.primaryKey).forEach(({ relation }) => {
+                result.push(relation.name);
+                result.push(...this.getNestedRelations(entities, relation.entity, relation.name, depth - 1));
+            });
+            return result;
         });
+        return prefix ? relations.map(path => `${prefix}.${path}`) : relations;
+    }
 
-
-        return relations;
+    /**
+     * Returns the relation paths of an entity for a depth from a cache of the relation index,
+     * computing them on first use. The paths are relative to the entity.
+     * @param {Map<Object, Map<number, Array>>} cache - The paths by entity and depth.
+     * @param {Object} entity - The entity to start from.
+     * @param {number} depth - The number of relations that may still be followed.
+     * @param {Function} compute - Computes the paths when they are not cached.
+     * @returns {Array} The cached paths.
+     */
+    getCachedRelationPaths(cache, entity, depth, compute) {
+        if (!cache.has(entity)) {
+            cache.set(entity, new Map());
+        }
+        let byDepth = cache.get(entity);
+        if (!byDepth.has(depth)) {
+            byDepth.set(depth, compute());
+        }
+        return byDepth.get(depth);
     }
 
     /**
@@ -1085,17 +2726,18 @@ public class DataOrder {
      * Creates normal repository and Input repository.
      */
     generateConnectionFiles() {
-        let entities = this.model.entities;
+        let entities = this.getEntities();
         let file = [];
+        let pageType = this.paginationMode === "slice" ? "Slice" : "Page";
         entities.forEach(entity => {
-            let entityNameCamel = stringUtil.camelize(entity.name);
-            let upperCamelEntityName = stringUtil.upperCamel(entityNameCamel);
+            let entityNameCamel = this.stringUtil.camelize(entity.name);
+            let upperCamelEntityName = this.stringUtil.upperCamel(entityNameCamel);
 
 
                 // === 1. Main repository ===
                 let repositoryContent = `package ${this.packageName}.output;
 
-import org.springframework.data.domain.Page;
+import org.springframework.data.domain.${pageType};
 
 import ${this.packageName}.entity.${upperCamelEntityName};
 import ${this.packageName}.utils.PageInfo;
@@ -1112,26 +2754,25 @@ import ${this.packageName}.utils.PageInfo;
 public class ${upperCamelEntityName}Connection
 {
     /**
-     * Pagination metadata, including total records, total pages,
-     * current page number, and page size.
+     * Pagination metadata, including ${pageType === "Slice" ? "current page number and page size" : "total records, total pages,\n     * current page number, and page size"}.
      */
     private PageInfo pageInfo;
 
     /**
      * The underlying paginated data of {@link ${upperCamelEntityName}} entities.
      */
-    private Page<${upperCamelEntityName}> data;
+    private ${pageType}<${upperCamelEntityName}> data;
 
     /**
-     * Constructs a new {@code ${upperCamelEntityName}Connection} from a Spring Data {@link Page}.
+     * Constructs a new {@code ${upperCamelEntityName}Connection} from a Spring Data {@link ${pageType}}.
      * <p>
-     * The {@link PageInfo} is initialized from the provided {@link Page}
+     * The {@link PageInfo} is initialized from the provided {@link ${pageType}}
      * to represent pagination details.
      * </p>
      *
-     * @param page the {@link Page} of {@link ${upperCamelEntityName}} entities to wrap.
+     * @param page the {@link ${pageType}} of {@link ${upperCamelEntityName}} entities to wrap.
      */
-    public ${upperCamelEntityName}Connection(Page<${upperCamelEntityName}> page)
+    public ${upperCamelEntityName}Connection(${pageType}<${upperCamelEntityName}> page)
     {
         this.data = page;
         this.pageInfo = new PageInfo(page);
@@ -1139,6 +2780,10 @@ public class ${upperCamelEntityName}Connection
 }
 
 `;
+            if (this.paginationMode === "cursor") {
+                file.push(...this.generateCursorConnectionFiles(upperCamelEntityName));
+                return;
+            }
             file.push({
                 name: this.createSourceDirectoryFromArtefact(this.packageName) + `output/${upperCamelEntityName}Connection.java`,
                 content: repositoryContent
@@ -1147,55 +2792,162 @@ public class ${upperCamelEntityName}Connection
         return file;
     }
 
+    /**
+     * Generates the Relay connection and edge classes of an entity for cursor-based pagination.
+     * @param {string} upperCamelEntityName - The entity class name.
+     * @returns {Array} Array with the connection and edge file objects.
+     */
+    generateCursorConnectionFiles(upperCamelEntityName) {
+        let connectionContent = `package ${this.packageName}.output;
+
+import java.util.ArrayList;
+import java.util.List;
+
+import ${this.packageName}.entity.${upperCamelEntityName};
+import ${this.packageName}.utils.CursorUtil;
+import ${this.packageName}.utils.PageInfo;
+
+import lombok.Getter;
+
+/**
+ * A Relay connection for cursor-paginated {@link ${upperCamelEntityName}} results.
+ * <p>
+ * Each record is wrapped in an {@link ${upperCamelEntityName}Edge} holding its cursor.
+ * The {@link PageInfo} holds the first and last cursor of the page.
+ * </p>
+ */
+@Getter
+public class ${upperCamelEntityName}Connection
+{
+    /**
+     * The records of the page with their cursors.
+     */
+    private List<${upperCamelEntityName}Edge> edges;
+
+    /**
+     * Pagination metadata, including the start and end cursor.
+     */
+    private PageInfo pageInfo;
+
+    /**
+     * Constructs a new {@code ${upperCamelEntityName}Connection} from a page fetched by {@link CursorUtil}.
+     *
+     * @param page the page of {@link ${upperCamelEntityName}} entities with their cursors.
+     */
+    public ${upperCamelEntityName}Connection(CursorUtil.CursorPage<${upperCamelEntityName}> page)
+    {
+        this.edges = new ArrayList<>();
+        for (int i = 0; i < page.getNodes().size(); i++) {
+            this.edges.add(new ${upperCamelEntityName}Edge(page.getNodes().get(i), page.getCursors().get(i)));
+        }
+        this.pageInfo = new PageInfo(page);
+    }
+}
+
+`;
+        let edgeContent = `package ${this.packageName}.output;
+
+import ${this.packageName}.entity.${upperCamelEntityName};
+
+import lombok.AllArgsConstructor;
+import lombok.Getter;
+
+/**
+ * A Relay edge holding a {@link ${upperCamelEntityName}} record and its opaque cursor.
+ */
+@Getter
+@AllArgsConstructor
+public class ${upperCamelEntityName}Edge
+{
+    private ${upperCamelEntityName} node;
+    private String cursor;
+}
+
+`;
+        return [{
+            name: this.createSourceDirectoryFromArtefact(this.packageName) + `output/${upperCamelEntityName}Connection.java`,
+            content: connectionContent
+        }, {
+            name: this.createSourceDirectoryFromArtefact(this.packageName) + `output/${upperCamelEntityName}Edge.java`,
+            content: edgeContent
+        }];
+    }
+
     /**
      * Generates repository files for all entities in the model.
      * Adds @EntityGraph for fetching ManyToOne relationships (nested).
      * Creates normal repository and Input repository.
      */
     generateRepositoryFiles() {
-        let entities = this.model.entities;
+        let entities = this.getEntities();
         let file = [];
         let _this = this;
 
         entities.forEach(entity => {
-            let entityNameCamel = stringUtil.camelize(entity.name);
-            let upperCamelEntityName = stringUtil.upperCamel(entityNameCamel);
+            let entityNameCamel = this.stringUtil.camelize(entity.name);
+            let upperCamelEntityName = this.stringUtil.upperCamel(entityNameCamel);
             let primaryKeys = this.getPrimaryKeys(entity);
 
             if (primaryKeys.length > 0) {
                 let pkType = primaryKeys.length > 1
                     ? `${upperCamelEntityName}Id`
-                    : this.getJavaType(primaryKeys[0].type);
+                    : this.getKeyJavaType(primaryKeys[0]);
 
-                let methodNameSuffix = primaryKeys.map(pk => stringUtil.upperCamel(stringUtil.camelize(pk.name))).join('And');
-                let paramList = primaryKeys.map(pk => `${this.getJavaType(pk.type)} ${stringUtil.camelize(pk.name)}`).join(', ');
+                let methodNameSuffix = primaryKeys.map(pk => this.stringUtil.upperCamel(this.stringUtil.camelize(pk.name))).join('And');
+                let paramList = primaryKeys.map(pk => `${this.getKeyJavaType(pk)} ${this.stringUtil.camelize(pk.name)}`).join(', ');
 
-                let javaLangTypes = ["String", "Long", "Integer", "Double", "Float", "Boolean", "Character", "Byte", "Short"];
-                let pkTypeImport = "";
-                if (!javaLangTypes.includes(pkType) && !pkType.includes(".")) {
-                    pkTypeImport = `import ${this.packageName}.entity.${pkType};\n`;
-                }
+                let pkTypeImport = primaryKeys.length > 1 ? `import ${this.packageName}.entity.${pkType};\n` : '';
+                let keyImports = this.createKeyTypeImports(entities, entity);
+                let pkImports = this.typeMapping.createJavaImports(primaryKeys);
 
                 // Get nested relations for EntityGraph annotation
                 // Adjusted to use 3 as the depth limit
                 // to prevent excessive recursion and large queries
                 // This will include relations from composite primary keys as well
-                let relations = this.getNestedRelations(entities, entity, "", _this.maxRelationDepth || 3);
+                let relations = this.getNestedRelations(entities, entity, "", _this.maxRelationDepth);
 
                 let entityGraphAnnotation = "";
                 if (relations.length > 0 || (primaryKeys.length > 1)) {
                     entityGraphAnnotation = `    @EntityGraph(attributePaths = { ${relations.map(r => `"${r}"`).join(', ')} })\n`; // NOSONAR
                 }
 
+                // Native link queries for the join tables owned by this entity
+                let linkQueries = "";
+                this.getManyToManyRelations(entity).filter(relation => relation.owner).forEach(relation => {
+                    let joinTable = relation.joinTable;
+                    let linkName = this.stringUtil.upperCamel(this.stringUtil.camelize(joinTable.name));
+                    let linkParams = joinTable.columns.map(col => `@Param("${this.stringUtil.camelize(col.name)}") ${this.getKeyJavaType(col)} ${this.stringUtil.camelize(col.name)}`).join(', ');
+                    let linkCondition = joinTable.columns.map(col => `${this.getSqlName(col)} = :${this.stringUtil.camelize(col.name)}`).join(' AND ');
+                    linkQueries += `
+    @Query(value = "SELECT COUNT(*) FROM ${this.getSqlName(joinTable)} WHERE ${linkCondition}", nativeQuery = true)
+    long count${linkName}(${linkParams});
+
+    @Modifying
+    @Query(value = "INSERT INTO ${this.getSqlName(joinTable)} (${joinTable.columns.map(col => this.getSqlName(col)).join(', ')}) VALUES (${joinTable.columns.map(col => ':' + this.stringUtil.camelize(col.name)).join(', ')})", nativeQuery = true)
+    int add${linkName}(${linkParams});
+
+    @Modifying
+    @Query(value = "DELETE FROM ${this.getSqlName(joinTable)} WHERE ${linkCondition}", nativeQuery = true)
+    int remove${linkName}(${linkParams});
+`;
+                });
+                let linkImports = linkQueries === "" ? "" : `import org.springframework.data.jpa.repository.Modifying;
+import org.springframework.data.jpa.repository.Query;
+import org.springframework.data.repository.query.Param;
+`;
+
                 // === 1. Main repository ===
+                // With the slice repository, pages are only fetched as slices, which skip the COUNT query
+                let sliceMode = _this.usesSliceRepository();
+                let pageQuery = sliceMode ? `${entityGraphAnnotation}    Slice<${upperCamelEntityName}> findSlice(Specification<${upperCamelEntityName}> specification, Pageable pageable);
+` : `${entityGraphAnnotation}    Page<${upperCamelEntityName}> findAll(Specification<${upperCamelEntityName}> specification, Pageable pageable);
+`;
                 let repositoryContent = `package ${this.packageName}.repository;
 
-import org.springframework.data.domain.Page;
-import org.springframework.data.domain.Pageable;
-import org.springframework.data.jpa.domain.Specification;
-import org.springframework.data.jpa.repository.JpaRepository;
-import org.springframework.stereotype.Repository;
-${relations.length > 0 ? 'import org.springframework.data.jpa.repository.EntityGraph;\n' : ''}
+${keyImports ? `${keyImports}\n` : ''}${sliceMode ? '' : 'import org.springframework.data.domain.Page;\n'}import org.springframework.data.domain.Pageable;
+${sliceMode ? 'import org.springframework.data.domain.Slice;\n' : ''}import org.springframework.data.jpa.domain.Specification;
+${sliceMode ? '' : 'import org.springframework.data.jpa.repository.JpaRepository;\n'}import org.springframework.stereotype.Repository;
+${relations.length > 0 ? 'import org.springframework.data.jpa.repository.EntityGraph;\n' : ''}${linkImports}
 import ${this.packageName}.entity.${upperCamelEntityName};
 ${pkTypeImport}
 /**
@@ -1203,12 +2955,11 @@ ${pkTypeImport}
  * <p>Provides basic CRUD operations and custom queries.</p>
  */
 @Repository
-public interface ${upperCamelEntityName}Repository extends JpaRepository<${upperCamelEntityName}, ${pkType}> {
+public interface ${upperCamelEntityName}Repository extends ${sliceMode ? 'SliceRepository' : 'JpaRepository'}<${upperCamelEntityName}, ${pkType}> {
 
 ${entityGraphAnnotation}    ${upperCamelEntityName} findOneBy${methodNameSuffix}(${paramList});
 
-${entityGraphAnnotation}    Page<${upperCamelEntityName}> findAll(Specification<${upperCamelEntityName}> specification, Pageable pageable);
-}
+${pageQuery}${linkQueries}}
 `;
             file.push({
                 name: this.createSourceDirectoryFromArtefact(this.packageName) + `repository/${upperCamelEntityName}Repository.java`,
@@ -1218,7 +2969,7 @@ ${entityGraphAnnotation}    Page<${upperCamelEntityName}> findAll(Specification<
             // === 2. Input repository ===
             let inputRepositoryContent = `package ${this.packageName}.repository;
 
-import org.springframework.data.jpa.repository.JpaRepository;
+${pkImports ? `${pkImports}\n` : ''}import org.springframework.data.jpa.repository.JpaRepository;
 import org.springframework.stereotype.Repository;
 import ${this.packageName}.entity.${upperCamelEntityName}Input;
 ${pkTypeImport}
@@ -1250,23 +3001,29 @@ public interface ${upperCamelEntityName}InputRepository extends JpaRepository<${
 
     generateEntityFiles() {
         let _this = this;
-        let entities = this.model.entities;
+        let entities = this.getEntities();
         let file = [];
 
         entities.forEach(entity => {
             let entityName = entity.name;
-            let upperCamelEntityName = stringUtil.upperCamel(stringUtil.camelize(entityName));
-            let entityNameSnake = stringUtil.snakeize(entityName);
+            let upperCamelEntityName = this.stringUtil.upperCamel(this.stringUtil.camelize(entityName));
+            let entityNameSnake = this.stringUtil.snakeize(entityName);
             let primaryKeys = this.getPrimaryKeys(entity);
+            let enumImports = this.createEnumImports(entity, true);
+            let typeImports = this.typeMapping.createJavaImports(entity.columns);
+            let hibernateImports = entity.columns.some(column => this.typeMapping.isJson(column))
+                ? `import org.hibernate.annotations.JdbcTypeCode;\nimport org.hibernate.type.SqlTypes;\n` : '';
+            if (entity.columns.some(column => column.isEnum() && column.enumType)) {
+                hibernateImports = `import org.hibernate.annotations.ColumnTransformer;\n` + hibernateImports;
+            }
 
             // === 1. Main entity ===
             let entityContent = `package ${this.packageName}.entity;
 
-import java.util.Date;
-import java.util.UUID;
-import java.math.BigDecimal;
+${typeImports}import java.util.List;
 import jakarta.persistence.CascadeType;
 import jakarta.persistence.Column;
+import jakarta.persistence.Convert;
 import jakarta.persistence.Entity;
 import jakarta.persistence.FetchType;
 import jakarta.persistence.GeneratedValue;
@@ -1274,13 +3031,16 @@ import jakarta.persistence.GenerationType;
 import jakarta.persistence.Id;
 import jakarta.persistence.IdClass;
 import jakarta.persistence.JoinColumn;
+import jakarta.persistence.JoinTable;
+import jakarta.persistence.ManyToMany;
 import jakarta.persistence.ManyToOne;
+import jakarta.persistence.OneToMany;
 import jakarta.persistence.PostLoad;
 import jakarta.persistence.Table;
-
+${hibernateImports}
 import lombok.Setter;
 import lombok.Getter;
-
+${enumImports ? `\n${enumImports}` : ''}
 /**
  * Entity class representing the ${upperCamelEntityName} table in the database.
  * 
@@ -1288,7 +3048,7 @@ import lombok.Getter;
  * <p>Contains fields for each column in the table, with appropriate annotations for JPA.</p>
  */
 @Entity
-@Table(name = "${entityNameSnake}")
+@Table(name = "${this.getSqlName(entity, entityNameSnake)}")
 @Setter
 @Getter
 `;
@@ -1302,40 +3062,47 @@ import lombok.Getter;
 `;
 
         let relationProps = []; // save the property of the relation
+        let usesOnDelete = false;
 
         entity.columns.forEach(column => {
             let columnName = column.name;
-            let columnCamelName = stringUtil.camelize(columnName);
-            let columnType = column.type;
-            let columnJavaType = this.getJavaType(columnType);
-            let objectName = columnCamelName.substring(0, columnCamelName.length - 2);
-            let objectType = stringUtil.upperCamel(objectName);
+            let columnCamelName = this.stringUtil.camelize(columnName);
+            let columnJavaType = this.getColumnJavaType(entity, column);
+            let converter = this.getColumnTypeAnnotation(column, columnJavaType);
 
             if (column.primaryKey) {
                 entityContent += `    @Id
 `;
                 if (column.autoIncrement) {
-                    entityContent += `    @GeneratedValue(strategy = GenerationType.IDENTITY)
+                    entityContent += `    @GeneratedValue(strategy = GenerationType.${this.getGenerationType(column)})
 `;
                 }
             }
 
-            if (_this.isForeignKey(_this.model.entities, entity, column)) {
+            if (_this.isForeignKey(entities, entity, column)) {
+                let relation = _this.getRelation(entities, entity, column);
                 
-                entityContent += `    @Column(name = "${columnName}")
+                entityContent += `${converter}    @Column(name = "${this.getSqlName(column)}")
     private ${columnJavaType} ${columnCamelName};
 
 `;
                 
                 let fk = `@ManyToOne(fetch = FetchType.LAZY)
-    @JoinColumn(name = "${column.name}", referencedColumnName = "${column.name}", insertable=false, updatable=false)
-    private ${objectType} ${objectName}`;
+    @JoinColumn(name = "${this.getSqlName(column)}", referencedColumnName = "${this.getColumnSqlName(relation.entity, relation.referencedColumnName)}", insertable=false, updatable=false)
+`;
+                let onDeleteAction = _this.getOnDeleteAction(relation.foreignKey);
+                if (onDeleteAction) {
+                    fk += `    @OnDelete(action = OnDeleteAction.${onDeleteAction})
+`;
+                    usesOnDelete = true;
+                }
+                fk += `    private ${relation.type} ${relation.name}`;
                 entityContent += `    ${fk};
 
 `;
-                relationProps.push({ name: objectName, type: objectType });
+                relationProps.push({ name: relation.name, type: relation.type });
             } else {
-                entityContent += `    @Column(name = "${columnName}")
+                entityContent += `${converter}    @Column(name = "${this.getSqlName(column)}")
     private ${columnJavaType} ${columnCamelName};
 
 `;
@@ -1345,20 +3112,51 @@ import lombok.Getter;
             if(primaryKeys.length > 1)
             {
 
-                if (column.primaryKey && !column.autoIncrement) {
+                let relation = column.primaryKey && !column.autoIncrement
+                    ? _this.getCompositeKeyRelation(entities, entity, column) : null;
+                if (relation) {
                     entityContent += `    @ManyToOne
-    @JoinColumn(name = "${columnName}", referencedColumnName = "${columnName}", insertable = false, updatable = false)
-    private ${objectType} ${objectName};
+    @JoinColumn(name = "${this.getSqlName(column)}", referencedColumnName = "${this.getColumnSqlName(relation.entity, relation.referencedColumnName)}", insertable = false, updatable = false)
+    private ${relation.type} ${relation.name};
 
 `;
-                    
-                
-               
                 }
             }
             
         });
 
+        // Inverse side of the ManyToOne relations declared by other entities
+        _this.getChildRelations(entities, entity).forEach(child => {
+            if (child.mappedBy) {
+                let childType = this.stringUtil.upperCamel(this.stringUtil.camelize(child.entity.name));
+                entityContent += `    @OneToMany(mappedBy = "${child.mappedBy}", fetch = FetchType.LAZY)
+    private List<${childType}> ${child.fieldName};
+
+`;
+            }
+        });
+
+        // Many-to-many relations through join tables
+        _this.getManyToManyRelations(entity).forEach(relation => {
+            let relationType = this.stringUtil.upperCamel(this.stringUtil.camelize(relation.entity.name));
+            if (relation.owner) {
+                entityContent += `    @ManyToMany(fetch = FetchType.LAZY)
+    @JoinTable(
+        name = "${this.getSqlName(relation.joinTable)}",
+        joinColumns = @JoinColumn(name = "${this.getSqlName(relation.column)}", referencedColumnName = "${this.getSqlName(relation.referencedColumn)}"),
+        inverseJoinColumns = @JoinColumn(name = "${this.getSqlName(relation.inverseColumn)}", referencedColumnName = "${this.getSqlName(relation.inverseReferencedColumn)}")
+    )
+    private List<${relationType}> ${relation.fieldName};
+
+`;
+            } else {
+                entityContent += `    @ManyToMany(mappedBy = "${relation.inverseFieldName}", fetch = FetchType.LAZY)
+    private List<${relationType}> ${relation.fieldName};
+
+`;
+            }
+        });
+
         if (relationProps.length > 0) {
             entityContent += `
     @PostLoad
@@ -1376,28 +3174,36 @@ import lombok.Getter;
 
         entityContent += `}
 `;
+        if (usesOnDelete) {
+            entityContent = entityContent.replace(`import jakarta.persistence.Table;
+`, `import jakarta.persistence.Table;
+import org.hibernate.annotations.OnDelete;
+import org.hibernate.annotations.OnDeleteAction;
+`);
+        }
         file.push({
             name: this.createSourceDirectoryFromArtefact(this.packageName) + `entity/${upperCamelEntityName}.java`,
             content: entityContent
         });
 
         // === 2. Input entity === (without relation)
+        // Columns with a database default may be left out on create. Null fields are then
+        // omitted from the INSERT, so that the database fills in the default.
+        let dynamicInsert = entity.columns.some(column => !column.autoIncrement && column.hasDefault());
         let entityInputContent = `package ${this.packageName}.entity;
 
-import java.util.Date;
-import java.util.UUID;
-import java.math.BigDecimal;
-import jakarta.persistence.Column;
+${typeImports}import jakarta.persistence.Column;
+import jakarta.persistence.Convert;
 import jakarta.persistence.Entity;
 import jakarta.persistence.GeneratedValue;
 import jakarta.persistence.GenerationType;
 import jakarta.persistence.Id;
 import jakarta.persistence.IdClass;
 import jakarta.persistence.Table;
-
+${dynamicInsert ? 'import org.hibernate.annotations.DynamicInsert;\n' : ''}${hibernateImports}
 import lombok.Setter;
 import lombok.Getter;
-
+${enumImports ? `\n${enumImports}` : ''}
 /**
  * Entity class representing the ${upperCamelEntityName} table in the database.
  * 
@@ -1405,7 +3211,7 @@ import lombok.Getter;
  * <p>Contains fields for each column in the table, with appropriate annotations for JPA.</p>
  */
 @Entity
-@Table(name = "${entityNameSnake}")
+@Table(name = "${this.getSqlName(entity, entityNameSnake)}")
 @Setter
 @Getter
 `;
@@ -1414,27 +3220,32 @@ import lombok.Getter;
 `;
         }
 
+        if (dynamicInsert) {
+            entityInputContent += `@DynamicInsert
+`;
+        }
+
         entityInputContent += `public class ${upperCamelEntityName}Input {
 
 `;
 
         entity.columns.forEach(column => {
             let columnName = column.name;
-            let columnCamelName = stringUtil.camelize(columnName);
-            let columnType = column.type;
-            let columnJavaType = this.getJavaType(columnType);
+            let columnCamelName = this.stringUtil.camelize(columnName);
+            let columnJavaType = this.getColumnJavaType(entity, column);
+            let converter = this.getColumnTypeAnnotation(column, columnJavaType);
 
             if (column.primaryKey) {
                 entityInputContent += `    @Id
 `;
                 if (column.autoIncrement) {
-                    entityInputContent += `    @GeneratedValue(strategy = GenerationType.IDENTITY)
+                    entityInputContent += `    @GeneratedValue(strategy = GenerationType.${this.getGenerationType(column)})
 `;
                 }
             }
 
             // Semua kolom di Input versi column biasa
-            entityInputContent += `    @Column(name = "${columnName}")
+            entityInputContent += `${converter}    @Column(name = "${this.getSqlName(column)}")
     private ${columnJavaType} ${columnCamelName};
 
 `;
@@ -1452,19 +3263,31 @@ import lombok.Getter;
 
 
         // === 3. DTO for
-        let entityCreateContent = `package ${this.packageName}.dto;
+        let compositeKey = entity.columns.filter(column => column.primaryKey).length > 1;
+        let createConstraints = new Set();
+        let createFields = '';
+        entity.columns.forEach(column => {
+            let columnName = column.name;
+            let columnCamelName = this.stringUtil.camelize(columnName);
+            let columnJavaType = this.getColumnJavaType(entity, column);
 
-import java.util.Date;
-import java.util.UUID;
-import java.math.BigDecimal;
+            if (!column.autoIncrement) {
+                let required = !column.hasDefault() && (column.primaryKey ? compositeKey : !column.nullable);
+                createFields += this.getValidationAnnotations(column, required, createConstraints);
+                createFields += `    private ${columnJavaType} ${columnCamelName};
+`;
+            }
+        });
 
-import lombok.Setter;
+        let entityCreateContent = `package ${this.packageName}.dto;
+
+${typeImports ? `${typeImports}\n` : ''}import lombok.Setter;
 import lombok.Getter;
 
 import org.springframework.beans.BeanUtils;
-
+${this.createConstraintImports(createConstraints)}
 import ${this.packageName}.entity.${upperCamelEntityName}Input;
-
+${this.createEnumImports(entity, false)}
 /**
  * Data Transfer Object (DTO) for creating a new ${upperCamelEntityName} entity.
  *
@@ -1479,19 +3302,7 @@ import ${this.packageName}.entity.${upperCamelEntityName}Input;
 `;
         entityCreateContent += `public class ${upperCamelEntityName}Create {
 
-`;
-
-        entity.columns.forEach(column => {
-            let columnName = column.name;
-            let columnCamelName = stringUtil.camelize(columnName);
-            let columnType = column.type;
-            let columnJavaType = this.getJavaType(columnType);
-
-            if (!column.autoIncrement) {
-                entityCreateContent += `    private ${columnJavaType} ${columnCamelName};
-`;
-            }
-        });
+${createFields}`;
 
         entityCreateContent += `\r\n    /**
      * Converts this DTO into a new {@link ${upperCamelEntityName}Input} entity.
@@ -1515,19 +3326,27 @@ import ${this.packageName}.entity.${upperCamelEntityName}Input;
             });
 
 
-        let entityUpdateContent = `package ${this.packageName}.dto;
+        let updateConstraints = new Set();
+        let updateFields = '';
+        entity.columns.forEach(column => {
+            let columnName = column.name;
+            let columnCamelName = this.stringUtil.camelize(columnName);
+            let columnJavaType = this.getColumnJavaType(entity, column);
 
-import java.util.Date;
-import java.util.UUID;
-import java.math.BigDecimal;
+            updateFields += this.getValidationAnnotations(column, column.primaryKey || !column.nullable, updateConstraints);
+            updateFields += `    private ${columnJavaType} ${columnCamelName};
+`;
+        });
 
-import lombok.Setter;
+        let entityUpdateContent = `package ${this.packageName}.dto;
+
+${typeImports ? `${typeImports}\n` : ''}import lombok.Setter;
 import lombok.Getter;
 
 import org.springframework.beans.BeanUtils;
-
+${this.createConstraintImports(updateConstraints)}
 import ${this.packageName}.entity.${upperCamelEntityName}Input;
-
+${this.createEnumImports(entity, false)}
 /**
  * Data Transfer Object (DTO) for updating an existing ${upperCamelEntityName} entity.
  *
@@ -1542,17 +3361,7 @@ import ${this.packageName}.entity.${upperCamelEntityName}Input;
 `;
         entityUpdateContent += `public class ${upperCamelEntityName}Update {
 
-`;
-
-        entity.columns.forEach(column => {
-            let columnName = column.name;
-            let columnCamelName = stringUtil.camelize(columnName);
-            let columnType = column.type;
-            let columnJavaType = this.getJavaType(columnType);
-
-            entityUpdateContent += `    private ${columnJavaType} ${columnCamelName};
-`;
-        });
+${updateFields}`;
 
 
         entityUpdateContent += `\r\n    /**
@@ -1623,9 +3432,58 @@ public class QueryPredicateMapping {
 	 * @param fieldName The actual name of the field in the entity.
 	 * @param dataType The data type of the field (e.g., "String", "Long").
 	 * @param filterOperation The type of filter operation (e.g., "exact", "partial").
+	 * @param operators The operators allowed for the field. Defaults to the operators supported by the data type.
+	 */
+	public void add(String key, String fieldName, String dataType, String filterOperation, String... operators) {
+		if (operators == null || operators.length == 0) {
+			operators = getDefaultOperators(dataType);
+		}
+		this.filter.put(key, this.createFilterType(fieldName, dataType, filterOperation, operators));
+	}
+${this.paginationMode === "cursor" ? `
+	/**
+	 * Marks a field that may be null. Cursor pagination does not sort by such a field,
+	 * as the keyset condition cannot select the records holding NULL.
+	 *
+	 * @param key The key of a field added before.
+	 */
+	public void markNullable(String key) {
+		Map<String, String> field = this.filter.get(key);
+		if (field != null) {
+			field.put("nullable", "true");
+		}
+	}
+` : ''}
+	/**
+	 * Returns the operators supported by a data type.
+	 *
+	 * @param dataType The data type of the field.
+	 * @return The operator names.
 	 */
-	public void add(String key, String fieldName, String dataType, String filterOperation) {
-		this.filter.put(key, this.createFilterType(fieldName, dataType, filterOperation));
+	public static String[] getDefaultOperators(String dataType) {
+		if (SpecificationUtil.DATA_TYPE_BOOLEAN.equals(dataType)) {
+			return new String[] {
+				SpecificationUtil.OPERATOR_EQ, SpecificationUtil.OPERATOR_NEQ, SpecificationUtil.OPERATOR_IS_NULL
+			};
+		}
+		if (SpecificationUtil.DATA_TYPE_ENUM.equals(dataType)) {
+			return new String[] {
+				SpecificationUtil.OPERATOR_EQ, SpecificationUtil.OPERATOR_NEQ,
+				SpecificationUtil.OPERATOR_IN, SpecificationUtil.OPERATOR_NOT_IN, SpecificationUtil.OPERATOR_IS_NULL
+			};
+		}
+		List<String> operators = new ArrayList<>(List.of(
+			SpecificationUtil.OPERATOR_EQ, SpecificationUtil.OPERATOR_NEQ,
+			SpecificationUtil.OPERATOR_GT, SpecificationUtil.OPERATOR_GTE,
+			SpecificationUtil.OPERATOR_LT, SpecificationUtil.OPERATOR_LTE,
+			SpecificationUtil.OPERATOR_BETWEEN, SpecificationUtil.OPERATOR_IN,
+			SpecificationUtil.OPERATOR_NOT_IN, SpecificationUtil.OPERATOR_IS_NULL
+		));
+		if (SpecificationUtil.DATA_TYPE_STRING.equals(dataType)) {
+			operators.add(SpecificationUtil.OPERATOR_STARTS_WITH);
+			operators.add(SpecificationUtil.OPERATOR_CONTAINS);
+		}
+		return operators.toArray(new String[0]);
 	}
 
 	/**
@@ -1634,14 +3492,16 @@ public class QueryPredicateMapping {
 	 * @param fieldName The name of the field.
 	 * @param dataType The data type of the field.
 	 * @param filterOperation The filter operation type.
+	 * @param operators The operators allowed for the field.
 	 * @return A map containing the filter properties.
 	 */
-	private Map<String, String> createFilterType(String fieldName, String dataType, String filterOperation) {
+	private Map<String, String> createFilterType(String fieldName, String dataType, String filterOperation, String[] operators) {
 		Map<String, String> field = new HashMap<>();
 		
 		field.put("fieldName", fieldName);
 		field.put("dataType", dataType);
 		field.put("filterOperation", filterOperation);
+		field.put("operators", String.join(",", operators));
 		
 		return field;
 	}
@@ -1708,94 +3568,425 @@ import java.util.List;
 import java.util.Map;
 import java.util.ArrayList;
 
-public class PageUtil {
-    
-    private PageUtil()
-    {
-        // Hide public constructor
+public class PageUtil {
+    
+    private PageUtil()
+    {
+        // Hide public constructor
+    }
+
+    /**
+     * Creates a Pageable object for paginated and sorted queries.
+     *
+     * @param pageNumber The 1-based page number. Defaults to 1 if null or less than 1.
+     * @param pageSize The number of items per page. Defaults to 20, min is 1.
+     * @param sortFields A list of DataOrder objects to sort by.
+     * @param map A map to resolve the actual field names from the given keys.
+     * @param defaultSortOrder An array of Sort objects to use as the default sort order.
+     * @return A Pageable object configured with pagination and sorting.
+     */
+    public static Pageable pageRequest(Integer pageNumber, Integer pageSize, List<DataOrder> sortFields, Map<String, Map<String, String>> map, Sort... defaultSortOrder) {
+        // Handle page number: convert to 0-based and ensure it's not negative.
+        int currentPage = (pageNumber != null && pageNumber > 0) ? pageNumber - 1 : 0;
+        
+        // Handle page size: ensure it's at least 1.
+        int rowPerPage = (pageSize != null && pageSize > 0) ? pageSize : 20;
+        
+        Sort sort = createSortFromList(sortFields, map);
+
+        if (sort.isUnsorted() && defaultSortOrder != null && defaultSortOrder.length > 0) {
+            // Correct way to combine multiple Sort objects
+            Sort defaultSort = defaultSortOrder[0];
+            for (int i = 1; i < defaultSortOrder.length; i++) {
+                defaultSort = defaultSort.and(defaultSortOrder[i]);
+            }
+            sort = defaultSort;
+        }
+        
+        return PageRequest.of(currentPage, rowPerPage, sort);
+    }
+    
+    /**
+     * Creates a {@link Sort} object from a list of {@link DataOrder} objects.
+     * Only keys registered in the map are used. A dotted field name (e.g. "customer.createdAt")
+     * sorts by an attribute of a related entity. Spring Data joins the relation, reusing the
+     * LEFT join created by {@link SpecificationUtil} when the same relation is filtered.
+     *
+     * @param sortFields A list of DataOrder objects, with each object containing "fieldName" and "sortType".
+     * @param map A map to resolve the actual field names from the given keys.
+     * @return a Sort object representing the combined sorting criteria.
+     */
+    public static Sort createSortFromList(List<DataOrder> sortFields, Map<String, Map<String, String>> map) {
+        if (sortFields == null || sortFields.isEmpty()) {
+            return Sort.unsorted();
+        }
+
+        List<Order> orders = new ArrayList<>();
+        for (DataOrder field : sortFields) {
+            String key = field.getFieldName();
+            String orderType = field.getOrderType();
+            
+            // Default to "asc" if no order type is provided
+            if (orderType == null) {
+                orderType = "asc";
+            }
+
+            if (key != null) {
+                Map<String, String> orderInfo = map.get(key);
+                if (orderInfo != null) {
+                    String fieldName = orderInfo.get("fieldName");
+                    Direction direction = "desc".equalsIgnoreCase(orderType) ? Direction.DESC : Direction.ASC;
+                    orders.add(new Order(direction, fieldName));
+                }
+            }
+        }
+        
+        if (orders.isEmpty()) {
+            return Sort.unsorted();
+        }
+
+        return Sort.by(orders);
+    }
+}
+`;
+        return [{ 
+            name: this.createSourceDirectoryFromArtefact(this.packageName) + `utils/PageUtil.java`,
+            content: content 
+        }];
+    }
+
+
+    /**
+     * Generates the RelationUtil class used to limit the nesting of one-to-many relation fields
+     * to maxRelationDepth.
+     * @returns {Array} Array with the RelationUtil file object.
+     */
+    generateRelationUtilFile()
+    {
+        const content = `package ${this.packageName}.utils;
+
+import graphql.execution.ExecutionStepInfo;
+import graphql.schema.DataFetchingEnvironment;
+
+/**
+ * Utility class for limiting how deep one-to-many relation fields can be nested in a query.
+ */
+public class RelationUtil {
+
+    public static final int MAX_RELATION_DEPTH = ${this.maxRelationDepth};
+
+    private RelationUtil()
+    {
+        // Hide public constructor
+    }
+
+    /**
+     * Counts the one-to-many relation fields on the path of the field being resolved,
+     * including the field itself. Root query fields are not counted.
+     *
+     * @param env The data fetching environment of the field being resolved.
+     * @return The number of nested relation list fields.
+     */
+    public static int getCollectionDepth(DataFetchingEnvironment env) {
+        int depth = 0;
+        ExecutionStepInfo step = env.getExecutionStepInfo();
+        while (step != null && step.getParent() != null && step.getParent().getParent() != null) {
+            // Relation list fields are the only nested fields accepting pagination arguments
+            if (!step.getPath().isListSegment() && step.getFieldDefinition().getArgument("pageNumber") != null) {
+                depth++;
+            }
+            step = step.getParent();
+        }
+        return depth;
+    }
+
+    /**
+     * Checks whether the field being resolved is nested deeper than {@link #MAX_RELATION_DEPTH}.
+     *
+     * @param env The data fetching environment of the field being resolved.
+     * @return true if the relation must not be fetched.
+     */
+    public static boolean isDepthExceeded(DataFetchingEnvironment env) {
+        return getCollectionDepth(env) > MAX_RELATION_DEPTH;
+    }
+}
+`;
+        return [{ 
+            name: this.createSourceDirectoryFromArtefact(this.packageName) + `utils/RelationUtil.java`,
+            content: content 
+        }];
+    }
+
+    /**
+     * Generates the CursorUtil class implementing opaque cursors and keyset queries
+     * for cursor-based pagination.
+     * @returns {Array} Array with the CursorUtil file object.
+     */
+    generateCursorUtilFile()
+    {
+        const content = `package ${this.packageName}.utils;
+
+import java.nio.charset.StandardCharsets;
+import java.time.format.DateTimeParseException;
+import java.util.ArrayList;
+import java.util.Base64;
+import java.util.Collections;
+import java.util.List;
+import java.util.Map;
+import java.util.function.BiFunction;
+
+import org.springframework.beans.BeansException;
+import org.springframework.beans.BeanWrapperImpl;
+import org.springframework.data.domain.PageRequest;
+import org.springframework.data.domain.Pageable;
+import org.springframework.data.domain.Slice;
+import org.springframework.data.domain.Sort;
+import org.springframework.data.domain.Sort.Direction;
+import org.springframework.data.domain.Sort.Order;
+import org.springframework.data.jpa.domain.Specification;
+
+import jakarta.persistence.criteria.Expression;
+import jakarta.persistence.criteria.Predicate;
+
+import lombok.Getter;
+
+/**
+ * Utility class for cursor-based (keyset) pagination.
+ * <p>
+ * A cursor is an opaque, URL-safe Base64 string holding the values of the sort fields of a record.
+ * The records after or before a cursor are selected with a keyset condition on the sort fields,
+ * with the primary key as tie-breaker, instead of an offset.
+ * Fields that may be null cannot be sorted by, as the keyset condition would skip the records
+ * holding NULL; see {@link QueryPredicateMapping#markNullable(String)}.
+ * </p>
+ */
+public class CursorUtil {
+
+    private static final String SEPARATOR = "\\u001F";
+    private static final String NULL_VALUE = "\\u0000";
+    private static final int DEFAULT_PAGE_SIZE = 20;
+
+    private CursorUtil()
+    {
+        // Hide public constructor
+    }
+
+    /**
+     * A page of records with their cursors.
+     *
+     * @param <T> The entity type.
+     */
+    @Getter
+    public static class CursorPage<T> {
+        private final List<T> nodes;
+        private final List<String> cursors;
+        private final boolean hasNextPage;
+        private final boolean hasPreviousPage;
+
+        public CursorPage(List<T> nodes, List<String> cursors, boolean hasNextPage, boolean hasPreviousPage) {
+            this.nodes = nodes;
+            this.cursors = cursors;
+            this.hasNextPage = hasNextPage;
+            this.hasPreviousPage = hasPreviousPage;
+        }
+
+        /**
+         * Returns a page without records.
+         *
+         * @param <T> The entity type.
+         * @return The empty page.
+         */
+        public static <T> CursorPage<T> empty() {
+            return new CursorPage<>(List.of(), List.of(), false, false);
+        }
+    }
+
+    /**
+     * Fetches a page of records using the Relay arguments.
+     * <p>
+     * {@code first}/{@code after} page forward, {@code last}/{@code before} page backward.
+     * When neither {@code first} nor {@code last} is given, the first 20 records are returned.
+     * </p>
+     *
+     * @param finder The repository method executing the query without a COUNT query, e.g. {@code repository::findSlice}.
+     * @param specification The filter specification, may be null.
+     * @param first The number of records after the {@code after} cursor.
+     * @param after The cursor to start after.
+     * @param last The number of records before the {@code before} cursor.
+     * @param before The cursor to end before.
+     * @param dataOrder The requested sort order, may be null.
+     * @param map The field configuration used to whitelist and type the sort fields.
+     * @param primaryKeys The primary key fields, used as tie-breaker.
+     * @param <T> The entity type.
+     * @return The page of records with their cursors.
+     * @throws IllegalArgumentException if a cursor is invalid or a sort field may be null.
+     */
+    public static <T> CursorPage<T> findPage(BiFunction<Specification<T>, Pageable, Slice<T>> finder, Specification<T> specification,
+            Integer first, String after, Integer last, String before,
+            List<DataOrder> dataOrder, Map<String, Map<String, String>> map, String... primaryKeys) {
+        boolean backward = (first == null || first <= 0) && last != null && last > 0;
+        int limit = backward ? last : (first != null && first > 0 ? first : DEFAULT_PAGE_SIZE);
+        String cursor = backward ? before : after;
+        boolean hasCursor = cursor != null && !cursor.isEmpty();
+        List<Order> orders = getOrders(dataOrder, map, primaryKeys);
+
+        Specification<T> spec = specification;
+        if (hasCursor) {
+            Specification<T> keyset = createKeysetSpecification(orders, decode(cursor, orders, map), backward);
+            spec = spec == null ? keyset : spec.and(keyset);
+        }
+
+        List<Order> queryOrders = new ArrayList<>();
+        for (Order order : orders) {
+            queryOrders.add(backward ? order.with(order.isAscending() ? Direction.DESC : Direction.ASC) : order);
+        }
+
+        // The slice tells whether there is another page without counting the records
+        Slice<T> slice = finder.apply(spec, PageRequest.of(0, limit, Sort.by(queryOrders)));
+        List<T> nodes = new ArrayList<>(slice.getContent());
+        boolean hasMore = slice.hasNext();
+        if (backward) {
+            Collections.reverse(nodes);
+        }
+
+        List<String> cursors = new ArrayList<>();
+        for (T node : nodes) {
+            cursors.add(encode(node, orders));
+        }
+        return new CursorPage<>(nodes, cursors, backward ? hasCursor : hasMore, backward ? hasMore : hasCursor);
     }
 
     /**
-     * Creates a Pageable object for paginated and sorted queries.
+     * Returns the sort orders of the query: the requested order followed by the primary key.
      *
-     * @param pageNumber The 1-based page number. Defaults to 1 if null or less than 1.
-     * @param pageSize The number of items per page. Defaults to 20, min is 1.
-     * @param sortFields A list of DataOrder objects to sort by.
-     * @param map A map to resolve the actual field names from the given keys.
-     * @param defaultSortOrder An array of Sort objects to use as the default sort order.
-     * @return A Pageable object configured with pagination and sorting.
+     * @throws IllegalArgumentException if a requested sort field may be null.
      */
-    public static Pageable pageRequest(Integer pageNumber, Integer pageSize, List<DataOrder> sortFields, Map<String, Map<String, String>> map, Sort... defaultSortOrder) {
-        // Handle page number: convert to 0-based and ensure it's not negative.
-        int currentPage = (pageNumber != null && pageNumber > 0) ? pageNumber - 1 : 0;
-        
-        // Handle page size: ensure it's at least 1.
-        int rowPerPage = (pageSize != null && pageSize > 0) ? pageSize : 20;
-        
-        Sort sort = createSortFromList(sortFields, map);
-
-        if (sort.isUnsorted() && defaultSortOrder != null && defaultSortOrder.length > 0) {
-            // Correct way to combine multiple Sort objects
-            Sort defaultSort = defaultSortOrder[0];
-            for (int i = 1; i < defaultSortOrder.length; i++) {
-                defaultSort = defaultSort.and(defaultSortOrder[i]);
+    private static List<Order> getOrders(List<DataOrder> dataOrder, Map<String, Map<String, String>> map, String... primaryKeys) {
+        List<Order> orders = new ArrayList<>(PageUtil.createSortFromList(dataOrder, map).toList());
+        for (Order order : orders) {
+            if ("true".equals(getFieldInfo(map, order.getProperty()).get("nullable"))) {
+                throw new IllegalArgumentException("Field " + order.getProperty() + " may be null and cannot be used to sort with cursor pagination");
             }
-            sort = defaultSort;
         }
-        
-        return PageRequest.of(currentPage, rowPerPage, sort);
+        for (String primaryKey : primaryKeys) {
+            if (orders.stream().noneMatch(order -> order.getProperty().equals(primaryKey))) {
+                orders.add(Order.asc(primaryKey));
+            }
+        }
+        return orders;
     }
-    
+
     /**
-     * Creates a {@link Sort} object from a list of {@link DataOrder} objects.
-     *
-     * @param sortFields A list of DataOrder objects, with each object containing "fieldName" and "sortType".
-     * @param map A map to resolve the actual field names from the given keys.
-     * @return a Sort object representing the combined sorting criteria.
+     * Creates the keyset condition selecting the records after (or before) the cursor values.
      */
-    public static Sort createSortFromList(List<DataOrder> sortFields, Map<String, Map<String, String>> map) {
-        if (sortFields == null || sortFields.isEmpty()) {
-            return Sort.unsorted();
-        }
+    @SuppressWarnings({"unchecked", "rawtypes"})
+    private static <T> Specification<T> createKeysetSpecification(List<Order> orders, List<Object> values, boolean backward) {
+        return (root, query, criteriaBuilder) -> {
+            List<Predicate> disjunction = new ArrayList<>();
+            List<Predicate> equalities = new ArrayList<>();
+            for (int i = 0; i < orders.size(); i++) {
+                Order order = orders.get(i);
+                Expression<Comparable> path = (Expression<Comparable>) SpecificationUtil.resolvePath(root, order.getProperty());
+                Comparable value = (Comparable) values.get(i);
+                if (value instanceof String text && path.getJavaType().isEnum()) {
+                    value = SpecificationUtil.parseEnum(path.getJavaType(), text);
+                }
+                if (value == null) {
+                    equalities.add(criteriaBuilder.isNull(path));
+                    continue;
+                }
+                List<Predicate> conjunction = new ArrayList<>(equalities);
+                conjunction.add(order.isAscending() != backward
+                    ? criteriaBuilder.greaterThan(path, value)
+                    : criteriaBuilder.lessThan(path, value));
+                disjunction.add(criteriaBuilder.and(conjunction.toArray(new Predicate[0])));
+                equalities.add(criteriaBuilder.equal(path, value));
+            }
+            return criteriaBuilder.or(disjunction.toArray(new Predicate[0]));
+        };
+    }
 
-        List<Order> orders = new ArrayList<>();
-        for (DataOrder field : sortFields) {
-            String key = field.getFieldName();
-            String orderType = field.getOrderType();
-            
-            // Default to "asc" if no order type is provided
-            if (orderType == null) {
-                orderType = "asc";
+    /**
+     * Encodes the sort field values of a record into a cursor.
+     */
+    private static String encode(Object node, List<Order> orders) {
+        BeanWrapperImpl wrapper = new BeanWrapperImpl(node);
+        List<String> parts = new ArrayList<>();
+        for (Order order : orders) {
+            Object value;
+            try {
+                value = wrapper.getPropertyValue(order.getProperty());
+            } catch (BeansException e) {
+                value = null;
+            }
+            if (value == null) {
+                parts.add(NULL_VALUE);
+            } else if (value instanceof Enum<?> constant) {
+                parts.add(constant.name());
+            } else {
+                parts.add(String.valueOf(value));
             }
+        }
+        return Base64.getUrlEncoder().withoutPadding().encodeToString(String.join(SEPARATOR, parts).getBytes(StandardCharsets.UTF_8));
+    }
 
-            if (key != null) {
-                Map<String, String> orderInfo = map.get(key);
-                if (orderInfo != null) {
-                    String fieldName = orderInfo.get("fieldName");
-                    Direction direction = "desc".equalsIgnoreCase(orderType) ? Direction.DESC : Direction.ASC;
-                    orders.add(new Order(direction, fieldName));
-                }
+    /**
+     * Decodes a cursor into the sort field values, converted to the data type of each field.
+     */
+    private static List<Object> decode(String cursor, List<Order> orders, Map<String, Map<String, String>> map) {
+        try {
+            String[] parts = new String(Base64.getUrlDecoder().decode(cursor), StandardCharsets.UTF_8).split(SEPARATOR, -1);
+            if (parts.length != orders.size()) {
+                throw new IllegalArgumentException("Invalid cursor");
+            }
+            List<Object> values = new ArrayList<>();
+            for (int i = 0; i < parts.length; i++) {
+                values.add(NULL_VALUE.equals(parts[i]) ? null : parseValue(getDataType(map, orders.get(i).getProperty()), parts[i]));
             }
+            return values;
+        } catch (IllegalArgumentException | DateTimeParseException e) {
+            // NumberFormatException is an IllegalArgumentException as well
+            throw new IllegalArgumentException("Invalid cursor", e);
         }
-        
-        if (orders.isEmpty()) {
-            return Sort.unsorted();
+    }
+
+    /**
+     * Returns the data type configured for a field name.
+     */
+    private static String getDataType(Map<String, Map<String, String>> map, String fieldName) {
+        return getFieldInfo(map, fieldName).getOrDefault("dataType", SpecificationUtil.DATA_TYPE_STRING);
+    }
+
+    /**
+     * Returns the configuration of a field name, or an empty map when the field is not configured.
+     */
+    private static Map<String, String> getFieldInfo(Map<String, Map<String, String>> map, String fieldName) {
+        for (Map<String, String> fieldInfo : map.values()) {
+            if (fieldName.equals(fieldInfo.get("fieldName"))) {
+                return fieldInfo;
+            }
         }
+        return Map.of();
+    }
 
-        return Sort.by(orders);
+    /**
+     * Converts a cursor value to the Java type of the field. Cursors hold the ISO-8601 form
+     * of dates and times, as written by their {@code toString()}.
+     */
+    private static Object parseValue(String dataType, String value) {
+        return SpecificationUtil.parseValue(dataType, value);
     }
 }
 `;
         return [{ 
-            name: this.createSourceDirectoryFromArtefact(this.packageName) + `utils/PageUtil.java`,
+            name: this.createSourceDirectoryFromArtefact(this.packageName) + `utils/CursorUtil.java`,
             content: content 
         }];
     }
-
     
     /**
-     * Memeriksa apakah sebuah kolom adalah kunci asing dengan mencari kunci primer yang cocok
-     * di entitas lain.
+     * Memeriksa apakah sebuah kolom adalah kunci asing. Foreign key yang dideklarasikan
+     * diperiksa lebih dulu, kemudian kunci primer yang cocok di entitas lain.
      * @param {Array<Object>} modelEntities - Daftar semua entitas dalam model.
      * @param {Object} entityToCheck - Entitas tempat kolom berada.
      * @param {Object} columnToCheck - Kolom yang akan diperiksa.
@@ -1806,7 +3997,31 @@ public class PageUtil {
         if (columnToCheck.primaryKey) {
             return false;
         }
-        
+        return this.getRelation(modelEntities, entityToCheck, columnToCheck) != null;
+    }
+
+    /**
+     * Resolves the ManyToOne relation represented by a column.
+     * A declared foreign key is used first. Otherwise the column is matched against the
+     * primary key names of the other entities.
+     * @param {Array<Object>} modelEntities - All entities in the model.
+     * @param {Object} entityToCheck - The entity owning the column.
+     * @param {Object} columnToCheck - The column to resolve.
+     * @returns {Object|null} Relation info (name, type, entity, referencedColumnName, foreignKey) or null.
+     */
+    getRelation(modelEntities, entityToCheck, columnToCheck) {
+        if (entityToCheck.getForeignKey && entityToCheck.getForeignKey(columnToCheck.name)) {
+            let reference = entityToCheck.getReferencedEntity(columnToCheck, modelEntities);
+            if (reference) {
+                return {
+                    name: this.stringUtil.camelize(entityToCheck.getRelationName(columnToCheck.name)),
+                    type: this.stringUtil.upperCamel(this.stringUtil.camelize(reference.entity.name)),
+                    entity: reference.entity,
+                    referencedColumnName: reference.columnName,
+                    foreignKey: reference.foreignKey
+                };
+            }
+        }
 
         // Iterasi melalui setiap entitas dalam model.
         for (const entity of modelEntities) {
@@ -1814,7 +4029,6 @@ public class PageUtil {
             if (entity.name === entityToCheck.name) {
                 continue;
             }
-            
 
             // Dapatkan semua primary key dari entitas lain.
             const primaryKeys = this.getPrimaryKeys(entity);
@@ -1823,12 +4037,154 @@ public class PageUtil {
             // di entitas lain.
             for (const pk of primaryKeys) {
                 if (pk.name === columnToCheck.name) {
-                    return true;
+                    let columnCamelName = this.stringUtil.camelize(columnToCheck.name);
+                    return {
+                        name: columnCamelName.substring(0, columnCamelName.length - 2),
+                        type: this.stringUtil.upperCamel(this.stringUtil.camelize(entity.name)),
+                        entity: entity,
+                        referencedColumnName: pk.name,
+                        foreignKey: null
+                    };
                 }
             }
         }
-        
-        return false;
+        return null;
+    }
+
+    /**
+     * Resolves the ManyToOne relation of a composite primary key column.
+     * A declared foreign key is used first, otherwise the column is assumed to reference
+     * the column with the same name in the entity named after it.
+     * @param {Array<Object>} modelEntities - All entities in the model.
+     * @param {Object} entity - The entity with the composite primary key.
+     * @param {Object} column - The primary key column.
+     * @returns {Object|null} Relation info or null if the target entity cannot be found.
+     */
+    getCompositeKeyRelation(modelEntities, entity, column) {
+        let relation = this.getRelation(modelEntities, entity, column);
+        if (relation && relation.foreignKey) {
+            return relation;
+        }
+        let columnCamelName = this.stringUtil.camelize(column.name);
+        let objectName = columnCamelName.substring(0, columnCamelName.length - 2);
+        let targetEntity = modelEntities.find(e => e.name.toLowerCase() === objectName.toLowerCase()
+            || this.stringUtil.camelize(e.name).toLowerCase() === objectName.toLowerCase());
+        if (!targetEntity) {
+            return null;
+        }
+        return {
+            name: objectName,
+            type: this.stringUtil.upperCamel(objectName),
+            entity: targetEntity,
+            referencedColumnName: column.name,
+            foreignKey: null
+        };
+    }
+
+    /**
+     * Resolves the ManyToOne relation mapped for a column in the generated entity class,
+     * either as a foreign key or as part of a composite primary key.
+     * @param {Array<Object>} modelEntities - All entities in the model.
+     * @param {Object} entity - The entity owning the column.
+     * @param {Object} column - The column to resolve.
+     * @returns {Object|null} Relation info or null if the column is not mapped as a relation.
+     */
+    getEntityRelation(modelEntities, entity, column) {
+        if (this.isForeignKey(modelEntities, entity, column)) {
+            return this.getRelation(modelEntities, entity, column);
+        }
+        if (this.getPrimaryKeys(entity).length > 1 && column.primaryKey && !column.autoIncrement) {
+            return this.getCompositeKeyRelation(modelEntities, entity, column);
+        }
+        return null;
+    }
+
+    /**
+     * Returns the inverse one-to-many relations of an entity, matching the list fields
+     * of the GraphQL schema.
+     * @param {Array<Object>} modelEntities - All entities in the model.
+     * @param {Object} entity - The referenced (parent) entity.
+     * @returns {Array} Child relation info (entity, column, fieldName, parentColumnName, mappedBy).
+     */
+    getChildRelations(modelEntities, entity) {
+        return this.getRelationIndex(modelEntities).children.get(entity) || [];
+    }
+
+    /**
+     * Returns the inverse one-to-many relations in which the given entity is the child.
+     * @param {Array<Object>} modelEntities - All entities in the model.
+     * @param {Object} entity - The child entity.
+     * @returns {Array} Child relation info, extended with the parent entity.
+     */
+    getParentRelations(modelEntities, entity) {
+        return this.getRelationIndex(modelEntities).parents.get(entity) || [];
+    }
+
+    /**
+     * Returns the relations of a list of entities, resolved once per generation: the ManyToOne relation
+     * of each column mapped as one (see getEntityRelation), the child and parent relations of each entity,
+     * the join tables, and the relation paths by entity and depth, filled on first use.
+     * Without it, following relations a few levels deep resolves the same columns over and over.
+     * @param {Array<Object>} modelEntities - All entities in the model.
+     * @returns {Object} The index, with maps keyed by entity.
+     */
+    getRelationIndex(modelEntities) {
+        let index = this.relationIndexes.get(modelEntities);
+        if (index) {
+            return index;
+        }
+        index = {
+            columnRelations: new Map(),
+            children: new Map(),
+            parents: new Map(modelEntities.map(entity => [entity, []])),
+            joinTables: this.schemaUtils.getJoinTables(modelEntities),
+            columnPaths: new Map(),
+            nestedRelations: new Map()
+        };
+        modelEntities.forEach(entity => {
+            index.columnRelations.set(entity, entity.columns
+                .map(column => ({ column: column, relation: this.getEntityRelation(modelEntities, entity, column) }))
+                .filter(item => item.relation));
+        });
+        this.schemaUtils.getChildReferenceMap(modelEntities).forEach((children, entity) => {
+            index.children.set(entity, children.map(child => {
+                let reference = child.entity.getReferencedEntity(child.column, modelEntities);
+                let parentColumn = entity.columns.find(col => col.name === reference.columnName)
+                    || this.getPrimaryKeys(entity)[0];
+                let relation = this.getEntityRelation(modelEntities, child.entity, child.column);
+                return {
+                    entity: child.entity,
+                    column: child.column,
+                    fieldName: child.fieldName,
+                    parentColumnName: parentColumn ? parentColumn.name : child.column.name,
+                    mappedBy: relation && relation.entity === entity ? relation.name : null
+                };
+            }));
+        });
+        // Parents in model order, as each child lists its parents in that order
+        modelEntities.forEach(parent => {
+            index.children.get(parent).forEach(child => index.parents.get(child.entity).push({ ...child, parent: parent }));
+        });
+        this.relationIndexes.set(modelEntities, index);
+        return index;
+    }
+
+    /**
+     * Returns the Hibernate OnDeleteAction for a declared ON DELETE rule.
+     * RESTRICT and NO ACTION are the database default and need no annotation.
+     * @param {Object|null} foreignKey - The declared foreign key.
+     * @returns {string|null} OnDeleteAction constant name or null.
+     */
+    getOnDeleteAction(foreignKey) {
+        if (!foreignKey || !foreignKey.onDelete) {
+            return null;
+        }
+        const actions = {
+            'CASCADE': 'CASCADE',
+            'SET NULL': 'SET_NULL',
+            'SET DEFAULT': 'SET_DEFAULT'
+        };
+        return actions[foreignKey.onDelete] || null;
     }
 
     /**
@@ -1840,13 +4196,13 @@ public class PageUtil {
         
         
         
-        this.model.entities.forEach(entity => {
+        this.getEntities().forEach(entity => {
             let primaryKeys = this.getPrimaryKeys(entity);
             if (primaryKeys.length > 1) {
-                let idClassName = `${stringUtil.upperCamel(stringUtil.camelize(entity.name))}Id`;
+                let idClassName = `${this.stringUtil.upperCamel(this.stringUtil.camelize(entity.name))}Id`;
                 let content = `package ${this.packageName}.entity;
 
-import java.io.Serializable;
+${this.typeMapping.createJavaImports(primaryKeys)}import java.io.Serializable;
 import java.util.Objects;
 import jakarta.persistence.Embeddable;
 import jakarta.persistence.GeneratedValue;
@@ -1862,14 +4218,14 @@ public class ${idClassName} implements Serializable {
 
 `;
                 primaryKeys.forEach(pk => {
-                    let pkNameCamel = stringUtil.camelize(pk.name);
-                    let pkJavaType = this.getJavaType(pk.type);
+                    let pkNameCamel = this.stringUtil.camelize(pk.name);
+                    let pkJavaType = this.getKeyJavaType(pk);
                     
                     
                     if (pk.primaryKey) {
                         content += ``;
                         if (pk.autoIncrement) {
-                            content += `    @GeneratedValue(strategy = GenerationType.IDENTITY)
+                            content += `    @GeneratedValue(strategy = GenerationType.${this.getGenerationType(pk)})
 `;
                         }
                     }
@@ -1886,12 +4242,12 @@ public class ${idClassName} implements Serializable {
         if (this == o) return true;
         if (o == null || getClass() != o.getClass()) return false;
         ${idClassName} that = (${idClassName}) o;
-        return ${primaryKeys.map(pk => `Objects.equals(${stringUtil.camelize(pk.name)}, that.${stringUtil.camelize(pk.name)})`).join(' && ')};
+        return ${primaryKeys.map(pk => `Objects.equals(${this.stringUtil.camelize(pk.name)}, that.${this.stringUtil.camelize(pk.name)})`).join(' && ')};
     }
 
     @Override
     public int hashCode() {
-        return Objects.hash(${primaryKeys.map(pk => stringUtil.camelize(pk.name)).join(', ')});
+        return Objects.hash(${primaryKeys.map(pk => this.stringUtil.camelize(pk.name)).join(', ')});
     }
 
 `;
@@ -1910,12 +4266,18 @@ public class ${idClassName} implements Serializable {
      * @returns {Array} Array containing the GraphQL schema file object.
      */
     generateGraphQlSchema() {
-        let content = util.buildGraphQLSchema(this.model.entities, false);
+        let content = this.schemaUtils.buildGraphQLSchema(this.model.entities, false, this.paginationMode, this.joinTableMode === "manyToMany");
         return [{ name: "src/main/resources/graphql/schema.graphqls", content: content }];
     }
 
     generatePageInfoFile()
     {
+        if (this.paginationMode === "cursor") {
+            return this.generateCursorPageInfoFile();
+        }
+        if (this.paginationMode === "slice") {
+            return this.generateSlicePageInfoFile();
+        }
         const content = `package ${this.packageName}.utils;
 
 import lombok.Getter;
@@ -1926,7 +4288,7 @@ import org.springframework.data.domain.Page;
 @Setter
 @Getter
 public class PageInfo {
-	Integer totalCount;
+	Long totalCount;
     Integer totalPages;
     Integer currentPage;
     Integer pageSize;
@@ -1935,7 +4297,7 @@ public class PageInfo {
 
 	public PageInfo(Page<?> page)
 	{
-		this.totalCount = page.getNumberOfElements();
+		this.totalCount = page.getTotalElements();
 		this.totalPages = page.getTotalPages();
 		this.currentPage = page.getNumber() + 1;
 		this.pageSize = page.getSize();
@@ -1946,6 +4308,78 @@ public class PageInfo {
 
 
 
+`;      return [{ 
+            name: this.createSourceDirectoryFromArtefact(this.packageName) + `utils/PageInfo.java`,
+            content: content 
+        }];
+    }
+
+    /**
+     * Generates the PageInfo class for slice pagination.
+     * A Slice is fetched without a COUNT query, so the total count and total pages are not available.
+     * @returns {Array} Array containing the PageInfo file object.
+     */
+    generateSlicePageInfoFile()
+    {
+        const content = `package ${this.packageName}.utils;
+
+import lombok.Getter;
+import lombok.Setter;
+
+import org.springframework.data.domain.Slice;
+
+@Setter
+@Getter
+public class PageInfo {
+    Integer currentPage;
+    Integer pageSize;
+    Boolean hasNextPage;
+    Boolean hasPreviousPage;
+
+    public PageInfo(Slice<?> page)
+    {
+        this.currentPage = page.getNumber() + 1;
+        this.pageSize = page.getSize();
+        this.hasNextPage = page.hasNext();
+        this.hasPreviousPage = page.hasPrevious();
+    }
+}
+`;      return [{ 
+            name: this.createSourceDirectoryFromArtefact(this.packageName) + `utils/PageInfo.java`,
+            content: content 
+        }];
+    }
+
+    /**
+     * Generates the PageInfo class for cursor-based pagination.
+     * @returns {Array} Array containing the PageInfo file object.
+     */
+    generateCursorPageInfoFile()
+    {
+        const content = `package ${this.packageName}.utils;
+
+import java.util.List;
+
+import lombok.Getter;
+import lombok.Setter;
+
+@Setter
+@Getter
+public class PageInfo {
+    Boolean hasNextPage;
+    Boolean hasPreviousPage;
+    String startCursor;
+    String endCursor;
+
+    public PageInfo(CursorUtil.CursorPage<?> page)
+    {
+        List<String> cursors = page.getCursors();
+        this.hasNextPage = page.isHasNextPage();
+        this.hasPreviousPage = page.isHasPreviousPage();
+        this.startCursor = cursors.isEmpty() ? null : cursors.get(0);
+        this.endCursor = cursors.isEmpty() ? null : cursors.get(cursors.size() - 1);
+    }
+}
 `;      return [{ 
             name: this.createSourceDirectoryFromArtefact(this.packageName) + `utils/PageInfo.java`,
             content: content 
@@ -1998,57 +4432,7 @@ xsi:schemaLocation="http://maven.apache.org/POM/4.0.0 https://maven.apache.org/x
     <java.version>${config.javaVersion}</java.version>
 </properties>
 <dependencies>
-    <dependency>
-        <groupId>org.springframework.boot</groupId>
-        <artifactId>spring-boot-starter-web</artifactId>
-    </dependency>
-    <dependency>
-        <groupId>org.springframework.boot</groupId>
-        <artifactId>spring-boot-starter-data-jpa</artifactId>
-    </dependency>
-    <dependency>
-        <groupId>org.springframework.boot</groupId>
-        <artifactId>spring-boot-starter-graphql</artifactId>
-    </dependency>
-    <dependency>
-        <groupId>org.springframework.boot</groupId>
-        <artifactId>spring-boot-starter-webflux</artifactId>
-    </dependency>
-
-    <dependency>
-        <groupId>com.mysql</groupId>
-        <artifactId>mysql-connector-j</artifactId>
-        <scope>runtime</scope>
-    </dependency>
-
-    <dependency>
-        <groupId>org.mariadb.jdbc</groupId>
-        <artifactId>mariadb-java-client</artifactId>
-        <version>3.5.1</version>
-    </dependency>
-
-    <dependency>
-        <groupId>org.postgresql</groupId>
-        <artifactId>postgresql</artifactId>
-        <version>42.7.4</version>
-    </dependency>
-    
-    <dependency>
-        <groupId>org.projectlombok</groupId>
-        <artifactId>lombok</artifactId>
-        <optional>true</optional>
-    </dependency>
-    <dependency>
-        <groupId>org.springframework.boot</groupId>
-        <artifactId>spring-boot-starter-test</artifactId>
-        <scope>test</scope>
-    </dependency>
-    <dependency>
-        <groupId>io.projectreactor</groupId>
-        <artifactId>reactor-test</artifactId>
-        <scope>test</scope>
-    </dependency>
-</dependencies>
+${this.createPomDependencies()}</dependencies>
 
 <build>
     <plugins>
@@ -2122,6 +4506,178 @@ xsi:schemaLocation="http://maven.apache.org/POM/4.0.0 https://maven.apache.org/x
 `;
         return [{ name: "pom.xml", content: pomXmlContent }];
     }
+
+    /**
+     * Lists the dependencies of the generated project: {@link BUILD_DEPENDENCIES} with the driver
+     * of the database selected by the driver class name or the JDBC URL.
+     * An unknown driver class name adds no driver dependency.
+     * @returns {Array<Object>} The dependencies; an entry with only a comment is written as a comment.
+     */
+    getBuildDependencies() {
+        const database = this.jdbcDriverCatalog.resolve(this.databaseConfig.url, this.databaseConfig.driver);
+        return BUILD_DEPENDENCIES.flatMap(dependency => {
+            if (!dependency.jdbcDriver) {
+                return [dependency];
+            }
+            return database ? database.dependencies : [];
+        });
+    }
+
+    /**
+     * Creates the dependency elements of pom.xml from {@link GraphQLSpringGenerator#getBuildDependencies}.
+     * @returns {string} The dependency elements, indented for the dependencies element.
+     */
+    createPomDependencies() {
+        return this.getBuildDependencies().map(dependency => {
+            if (dependency.comment) {
+                return `    <!-- ${dependency.comment} -->\n`;
+            }
+            let xml = `    <dependency>
+        <groupId>${dependency.groupId}</groupId>
+        <artifactId>${dependency.artifactId}</artifactId>
+`;
+            if (dependency.version) {
+                xml += `        <version>${dependency.version}</version>\n`;
+            }
+            if (dependency.scope) {
+                xml += `        <scope>${dependency.scope}</scope>\n`;
+            }
+            if (dependency.optional) {
+                xml += `        <optional>true</optional>\n`;
+            }
+            return xml + `    </dependency>\n`;
+        }).join("");
+    }
+
+    /**
+     * Generates the build files of the selected build tool: pom.xml for Maven,
+     * or the Gradle build and settings files.
+     * @returns {Array} Array of build file objects.
+     */
+    generateBuildFiles() {
+        if (this.buildTool === "maven") {
+            return this.generatePomFile();
+        }
+        return [...this.generateGradleBuildFile(), ...this.generateGradleSettingsFile()];
+    }
+
+    /**
+     * Generates the wrapper scripts and properties of the selected build tool.
+     * @returns {Array} Array of wrapper file objects.
+     */
+    generateBuildWrapperFiles() {
+        if (this.buildTool === "maven") {
+            return [
+                ...this.maven.generateMavenFile(),
+                ...this.maven.generateMavenCmdFile(),
+                ...this.maven.generateMavenWrapperFiles()
+            ];
+        }
+        return [
+            ...this.gradle.generateGradleFile(),
+            ...this.gradle.generateGradleCmdFile(),
+            ...this.gradle.generateGradleWrapperFiles()
+        ];
+    }
+
+    /**
+     * Generates the Gradle build file, `build.gradle.kts` for the Kotlin DSL or `build.gradle` for Groovy.
+     * It declares the same dependencies as pom.xml and runs the DGS code generator,
+     * the Gradle counterpart of graphqlcodegen-maven-plugin, on the GraphQL schema.
+     * @returns {Array} Array containing the build file object.
+     */
+    generateGradleBuildFile() {
+        const kotlin = this.buildTool === "gradle-kotlin";
+        const quote = value => kotlin
+            ? '"' + String(value).replace(/[\\"$]/g, "\\$&") + '"'
+            : "'" + String(value).replace(/[\\']/g, "\\$&") + "'";
+        const call = (configuration, notation) => kotlin ? `${configuration}("${notation}")` : `${configuration} '${notation}'`;
+        const lines = [];
+        this.getBuildDependencies().forEach(dependency => {
+            if (dependency.comment) {
+                lines.push(`// ${dependency.comment}`);
+                return;
+            }
+            const notation = `${dependency.groupId}:${dependency.artifactId}` + (dependency.version ? `:${dependency.version}` : "");
+            if (dependency.annotationProcessor) {
+                lines.push(call("compileOnly", notation), call("annotationProcessor", notation));
+            } else if (dependency.scope === "runtime") {
+                lines.push(call("runtimeOnly", notation));
+            } else if (dependency.scope === "test") {
+                lines.push(call("testImplementation", notation));
+            } else {
+                lines.push(call("implementation", notation));
+            }
+        });
+        lines.push(call("testRuntimeOnly", "org.junit.platform:junit-platform-launcher"));
+        const dependencies = lines.map(line => `    ${line}\n`).join("");
+
+        let content;
+        if (kotlin) {
+            content = `plugins {
+    java
+    id("org.springframework.boot") version "3.5.4"
+    id("io.spring.dependency-management") version "1.1.7"
+    id("com.netflix.dgs.codegen") version "7.0.3"
+}
+`;
+        } else {
+            content = `plugins {
+    id 'java'
+    id 'org.springframework.boot' version '3.5.4'
+    id 'io.spring.dependency-management' version '1.1.7'
+    id 'com.netflix.dgs.codegen' version '7.0.3'
+}
+`;
+        }
+        content += `
+group = ${quote(this.groupId)}
+version = ${quote(this.version)}
+description = ${quote(this.serviceDescription)}
+
+java {
+    toolchain {
+        languageVersion = JavaLanguageVersion.of(${this.javaVersion})
+    }
+}
+
+configurations {
+    ${kotlin ? "compileOnly {\n        extendsFrom(configurations.annotationProcessor.get())" : "compileOnly {\n        extendsFrom annotationProcessor"}
+    }
+}
+
+repositories {
+    mavenCentral()
+}
+
+dependencies {
+${dependencies}}
+
+tasks.generateJava {
+    schemaPaths = ${kotlin ? "mutableListOf<Any>(" : "["}"\${projectDir}/src/main/resources/graphql"${kotlin ? ")" : "]"}
+    packageName = ${quote(this.packageName + ".codegen")}
+    addGeneratedAnnotation = true
+    disableDatesInGeneratedAnnotation = true
+}
+
+tasks.withType${kotlin ? "<Test>" : "(Test)"} {
+    useJUnitPlatform()
+}
+`;
+        return [{ name: kotlin ? "build.gradle.kts" : "build.gradle", content: content }];
+    }
+
+    /**
+     * Generates the Gradle settings file, which names the root project after the artifact ID.
+     * @returns {Array} Array containing the settings file object.
+     */
+    generateGradleSettingsFile() {
+        const kotlin = this.buildTool === "gradle-kotlin";
+        return [{
+            name: kotlin ? "settings.gradle.kts" : "settings.gradle",
+            content: kotlin ? `rootProject.name = "${this.artifactId}"\n` : `rootProject.name = '${this.artifactId}'\n`
+        }];
+    }
     
     
     
@@ -2130,46 +4686,16 @@ xsi:schemaLocation="http://maven.apache.org/POM/4.0.0 https://maven.apache.org/x
     
     
     /**
-     * Converts a given SQL data type string to its equivalent Java data type string.
-     * This method handles common MySQL data types.
+     * Converts a given SQL data type string to the data type used by the generated filters.
      *
      * @param sqlType The SQL data type as a string (e.g., "VARCHAR", "INT", "DATETIME").
-     * @return The corresponding Java data type as a string (e.g., "String", "Integer", "Date").
-     */
-    getDataType(sqlType) {
-        if (sqlType == null) {
-            return "String"; // Default to String for null input
-        }
-
-        switch (sqlType.toUpperCase()) {
-            case "CHAR":
-            case "VARCHAR":
-            case "TEXT":
-            case "LONGTEXT":
-            case "MEDIUMTEXT":
-                return "String";
-            case "TINYINT":
-            case "SMALLINT":
-            case "MEDIUMINT":
-            case "INT":
-                return "Integer";
-            case "BIGINT":
-                return "Long";
-            case "FLOAT":
-                return "Float";
-            case "DOUBLE":
-            case "DECIMAL":
-                return "Double";
-            case "BOOLEAN":
-                return "Boolean";
-            case "DATE":
-                return "Date";
-            case "DATETIME":
-            case "TIMESTAMP":
-                return "DateTime";
-            default:
-                return "String"; // Default to String for any unknown types
-        }
+     * @param length The column length, e.g. to map TINYINT(1) to Boolean.
+     * @param columnName The column name, matched by the column patterns of the type mapping overrides.
+     * @return The corresponding data type as a string (e.g., "String", "Integer", "Date"),
+     * or null if the type cannot be filtered.
+     */
+    getDataType(sqlType, length = '', columnName = '') {
+        return this.typeMapping.getDataType(sqlType, length, columnName);
     }
     /**
      * Determines the appropriate default filter type based on a given Java data type.
@@ -2191,4 +4717,8 @@ xsi:schemaLocation="http://maven.apache.org/POM/4.0.0 https://maven.apache.org/x
                 return "exact";
         }
     }
-}
\ No newline at end of file
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GraphQLSpringGenerator, BUILD_DEPENDENCIES, BUILD_TOOLS, DEFAULT_EMAIL_COLUMN_PATTERN, DEFAULT_PAST_COLUMN_PATTERN };
+}
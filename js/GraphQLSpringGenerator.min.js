@@ -1,1281 +1 @@
-class GraphQLSpringGenerator{constructor(){this.packageName=null,this.groupId=null,this.artifactId=null,this.serviceName=null,this.serviceDescription=null,this.javaVersion=null,this.version=null,this.maxRelationDepth=3,this.model=null}moveEntityUp(e,t){if(e<this.model.entities.length-1){let a=this.model.entities[e];this.model.entities[e]=this.model.entities[e+1],this.model.entities[e+1]=a,this.updateEntityIndex()}t()}moveEntityDown(e,t){if(e>0){let a=this.model.entities[e];this.model.entities[e]=this.model.entities[e-1],this.model.entities[e-1]=a,this.updateEntityIndex()}t()}updateEntityIndex(){this.model.entities.forEach((e,t)=>{e.index=t})}setModel(e){this.model=e}getModel(){return this.model}generateVirtualFiles(){let e={port:parseInt(document.querySelector("#appPort").value.trim(),10)},t={url:document.querySelector("#dbUrl").value.trim(),username:document.querySelector("#dbUsername").value.trim(),password:document.querySelector("#dbPassword").value,driver:document.querySelector("#dbDriver").value.trim(),showSql:"true"===document.querySelector("#dbShowSql").value,dialect:document.querySelector("#dbDialect").value.trim()},a=[];return a.push(...this.generateIdClassFiles()),a.push(...this.generateEntityFiles()),a.push(...this.generateRepositoryFiles()),a.push(...this.generateConnectionFiles()),a.push(...this.generateServiceFiles()),a.push(...this.generateControllerFiles()),a.push(...this.generateGraphQlSchema()),a.push(...this.generatePageInfoFile()),a.push(...this.generatePomFile()),a.push(...this.generateApplicationFile()),a.push(...this.generateCorsConfigFile()),a.push(...this.generateRequestInterceptorFile()),a.push(...this.generateDataFilterFile()),a.push(...this.generateDataOrderFile()),a.push(...this.generateFetchPropertiesFile()),a.push(...this.generateSpecificationUtilFile()),a.push(...this.generatePageUtilFile()),a.push(...this.generateApplicationPropertiesFile(e,t)),a.push(...Maven.generateMavenFile()),a.push(...Maven.generateMavenCmdFile()),a.push(...Maven.generateMavenWrapperFiles()),a}async createZipFile(e,t={},a="servicegen.zip"){this.packageName=t.packageName||"com.example.servicegen",this.groupId=t.groupId||"com.example",this.artifactId=t.artifactId||"servicegen",this.serviceName=t.serviceName||"Service Generator",this.serviceDescription=t.serviceDescription||"A service generator for Spring GraphQL",this.javaVersion=t.javaVersion||"21",this.version=t.version||"1.0.0",this.maxRelationDepth=3,e&&(this.model=e);let r=document.getElementById("loading");r.style.display="block";let i=this.generateVirtualFiles();if(0===i.length){alert("Tidak ada file untuk dikompresi."),r.style.display="none";return}let n=new JSZip;for(let o of i)n.file(o.name,o.content);try{let p=await n.generateAsync({type:"blob"});saveAs(p,a)}catch(s){console.error("Gagal membuat file ZIP:",s)}finally{r.style.display="none"}}getPrimaryKeys(e){return e.columns.filter(e=>e.primaryKey)}getPrimatyKey(e){let t=e.columns.find(e=>e.primaryKey);return t?{primaryKeyName:t.name,primaryKeyCamel:stringUtil.camelize(t.name),primaryKeyType:t.type,primaryKeyJavaType:this.getJavaType(t.type)}:null}getJavaType(e){let t=e.toLowerCase();if(-1!==t.indexOf("int")||-1!==t.indexOf("integer")||-1!==t.indexOf("tinyint")||-1!==t.indexOf("long")||-1!==t.indexOf("bigint"))return"Long";if(-1!==t.indexOf("string")||-1!==t.indexOf("varchar")||-1!==t.indexOf("text"))return"String";if(-1!==t.indexOf("boolean"))return"Boolean";if(-1!==t.indexOf("date")||-1!==t.indexOf("timestamp"))return"Date";else if(-1!==t.indexOf("double")||-1!==t.indexOf("float"))return"Double";else if(-1!==t.indexOf("uuid"))return"UUID";else if(-1!==t.indexOf("bigdecimal"))return"BigDecimal";else if(-1!==t.indexOf("number")||-1!==t.indexOf("real")||-1!==t.indexOf("decimal")||-1!==t.indexOf("numeric"))return"Double";return"Object"}createSourceDirectoryFromArtefact(e){return"src/main/java/"+e.split(".").join("/")+"/"}generateApplicationFile(){let e=`package ${this.packageName};
-
-import org.springframework.boot.SpringApplication;
-import org.springframework.boot.autoconfigure.SpringBootApplication;
-
-@SpringBootApplication
-public class Application {
-    public static void main(String[] args) {
-        SpringApplication.run(Application.class, args);
-    }
-}
-`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"Application.java",content:e}]}generateApplicationPropertiesFile(e,t){let a=`# Spring Boot application properties
-# Server port
-server.port=${e.port||8080}
-# Database configuration
-spring.datasource.url=${t.url||"jdbc:mysql://localhost:3306/mydb"}
-spring.datasource.username=${t.username||"root"}
-spring.datasource.password=${t.password||""}
-spring.datasource.driver-class-name=${t.driver||"com.mysql.cj.jdbc.Driver"}
-# JPA/Hibernate configuration
-spring.jpa.show-sql=${t.showSql||"true"}
-spring.jpa.properties.hibernate.dialect=${t.dialect}
-# GraphQL configuration
-spring.graphql.schema-location=classpath:graphql/schema.graphqls
-# Logging configuration
-logging.level.org.springframework=INFO
-logging.level.org.hibernate.SQL=DEBUG
-logging.level.org.hibernate.type.descriptor.sql.BasicBinder=TRACE
-# Application name and description
-spring.application.name=${this.serviceName}
-spring.application.description=${this.serviceDescription}
-# Java version
-spring.java.version=${this.javaVersion}
-# Package name
-spring.package.name=${this.packageName}
-# Version
-spring.application.version=${this.version}
-`;return[{name:"src/main/resources/application.properties",content:a}]}generateRequestInterceptorFile(){let e=`package ${this.packageName}.config;
-
-import java.net.InetAddress;
-import java.util.HashMap;
-import java.util.Map;
-import java.util.Optional;
-
-import org.springframework.graphql.server.WebGraphQlInterceptor;
-import org.springframework.graphql.server.WebGraphQlRequest;
-import org.springframework.graphql.server.WebGraphQlResponse;
-import org.springframework.stereotype.Component;
-import org.springframework.util.MultiValueMap;
-import org.springframework.util.MultiValueMapAdapter;
-
-import reactor.core.publisher.Mono;
-
-/**
- * The GraphQLRequestInterceptor is a Spring component that intercepts every GraphQL request.
- * It is responsible for capturing and storing important request metadata such as the client's
- * IP address, HTTP headers, and the raw GraphQL query into the GraphQLContext.
- *
- * By storing this data in the GraphQLContext, it can be accessed by any DataFetcher or
- * resolver during query execution. This enables functionalities like logging, auditing,
- * or context-based validation.
- */
-@Component
-public class GraphQLRequestInterceptor implements WebGraphQlInterceptor {
-    /**
-     * Intercepts an incoming GraphQL request and adds metadata to its GraphQLContext.
-     *
-     * @param request The incoming GraphQL request.
-     * @param chain   The interceptor chain used to pass the request along.
-     * @return A Mono<WebGraphQlResponse> representing the response after execution.
-     */
-    @Override
-    public Mono<WebGraphQlResponse> intercept(WebGraphQlRequest request, Chain chain) {
-        Map<String, String> headers = request.getHeaders().toSingleValueMap();
-        String clientIp = Optional.ofNullable(request.getRemoteAddress())
-                .map(addr -> addr.getAddress())
-                .map(InetAddress::getHostAddress)
-                .orElse("UNKNOWN");
-        String path = request.getUri().getPath();
-        MultiValueMap<String, String> queryParams = request.getUri().getQueryParams();
-        
-        Map<String, String> queryParamsFlat = Optional.ofNullable(queryParams).orElse(new MultiValueMapAdapter<>(new HashMap<>())).toSingleValueMap();
-        
-        String graphqlQuery = Optional.ofNullable(request.getDocument()).orElse("");
-
-        Map<String, Object> contextMap = new HashMap<>();
-        contextMap.put("clientIp", clientIp);
-        contextMap.put("headers", headers);
-        contextMap.put("path", path);
-        contextMap.put("queryParams", queryParamsFlat);
-        contextMap.put("graphqlQuery", graphqlQuery);
-
-        request.configureExecutionInput((executionInput, builder) ->
-                builder.graphQLContext(contextMap).build()
-        );
-
-        return chain.next(request);
-    }
-}
-`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"config/GraphQLRequestInterceptor.java",content:e}]}generateCorsConfigFile(){let e=`package ${this.packageName}.config;
-
-import org.springframework.context.annotation.Configuration;
-import org.springframework.web.servlet.config.annotation.CorsRegistry;
-import org.springframework.web.servlet.config.annotation.WebMvcConfigurer;
-
-@Configuration
-public class CorsConfig implements WebMvcConfigurer {
-
-    @Override
-    public void addCorsMappings(CorsRegistry registry) {
-        registry.addMapping("/graphql/**") 
-                .allowedOrigins("*") 
-                .allowedMethods("GET", "POST", "PUT", "DELETE")
-                .allowedHeaders("*");
-    }
-}`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"config/CorsConfig.java",content:e}]}generateControllerFiles(){let e=this.model.entities,t=[];return e.forEach(e=>{let a=e.name,r=stringUtil.camelize(a),i=stringUtil.upperCamel(r),n=this.getPrimaryKeys(e);if(n.length>0){let o=n.map(e=>`@Argument ${this.getJavaType(e.type)} ${stringUtil.camelize(e.name)}`).join(", "),p=n.map(e=>stringUtil.camelize(e.name)).join(", "),s=`package ${this.packageName}.controller;
-
-import java.util.List;
-
-import org.springframework.graphql.data.method.annotation.Argument;
-import org.springframework.graphql.data.method.annotation.QueryMapping;
-import org.springframework.graphql.data.method.annotation.MutationMapping;
-import org.springframework.stereotype.Controller;
-
-import ${this.packageName}.output.${i}Connection;
-import ${this.packageName}.utils.DataFilter;
-import ${this.packageName}.utils.DataOrder;
-import ${this.packageName}.dto.${i}Create;
-import ${this.packageName}.dto.${i}Update;
-import ${this.packageName}.entity.${i};
-import ${this.packageName}.service.${i}Service;
-
-import graphql.schema.DataFetchingEnvironment;
-
-import lombok.RequiredArgsConstructor;
-
-@Controller
-@RequiredArgsConstructor
-public class ${i}Controller {
-
-    private final ${i}Service ${r}Service;
-
-    @QueryMapping
-    public ${i}Connection get${i}s(@Argument(name = "pageNumber") Integer pageNumber, @Argument(name = "pageSize") Integer pageSize, @Argument(name = "dataFilter") List<DataFilter> dataFilter, @Argument(name = "dataOrder") List<DataOrder> dataOrder, DataFetchingEnvironment env) {
-        return ${r}Service.get${i}s(pageNumber, pageSize, dataFilter, dataOrder);
-    }
-
-    @QueryMapping
-    public ${i} get${i}(${o}, DataFetchingEnvironment env) {
-        return ${r}Service.get${i}(${p});
-    }
-
-    @MutationMapping
-    public ${i} create${i}(@Argument ${i}Create input, DataFetchingEnvironment env) {
-        return ${r}Service.create${i}(input);
-    }
-
-    @MutationMapping
-    public ${i} update${i}(@Argument ${i}Update input, DataFetchingEnvironment env) {
-        return ${r}Service.update${i}(input);
-    }
-
-    @MutationMapping
-    public Boolean delete${i}(${o}, DataFetchingEnvironment env) {
-        ${r}Service.delete${i}(${p});
-        return true;
-    }
-}
-`;t.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`controller/${i}Controller.java`,content:s})}}),t}getDataTypeConstant(e){switch(e){case"Long":return"SpecificationUtil.DATA_TYPE_LONG";case"Integer":return"SpecificationUtil.DATA_TYPE_INTEGER";case"Double":return"SpecificationUtil.DATA_TYPE_DOUBLE";case"Float":return"SpecificationUtil.DATA_TYPE_FLOAT";case"Boolean":return"SpecificationUtil.DATA_TYPE_BOOLEAN";case"Date":return"SpecificationUtil.DATA_TYPE_DATE";case"DateTime":return"SpecificationUtil.DATA_TYPE_DATETIME";case"String":return"SpecificationUtil.DATA_TYPE_STRING";default:return""}}getFilterOperationConstant(e){return"partial"===e?"SpecificationUtil.FILTER_OPERATION_PARTIAL":"SpecificationUtil.FILTER_OPERATION_EXACT"}generateServiceFiles(){let e=this,t=this.model.entities,a=[];return t.forEach(t=>{let r=t.name,i=stringUtil.camelize(r),n=stringUtil.upperCamel(i),o=this.getPrimaryKeys(t),p="";if(t.columns.forEach(t=>{let a=e.getDataType(t.type),r=e.getDataTypeConstant(a),i=e.getFilterOperationConstant(e.getFilterType(a)),n=stringUtil.camelize(t.name);p+=`		this.queryPredicateMapping.add("${n}", "${n}", ${r}, ${i});\r
-`}),o.length>0){let s=o.map(e=>`${this.getJavaType(e.type)} ${stringUtil.camelize(e.name)}`).join(", "),l=o.map(e=>stringUtil.camelize(e.name)).join(", "),c='"'+o.map(e=>stringUtil.camelize(e.name)).join('", "')+'"',u=o.map(e=>stringUtil.upperCamel(stringUtil.camelize(e.name))).join("And"),g=[];o.forEach(e=>{let t=stringUtil.upperCamel(stringUtil.camelize(e.name));g.push(`input.get${t}() == null`)});let m=`package ${this.packageName}.service;
-
-import java.util.List;
-
-import org.springframework.data.domain.Page;
-import org.springframework.data.domain.Pageable;
-import org.springframework.data.domain.Sort;
-import org.springframework.data.jpa.domain.Specification;
-import org.springframework.stereotype.Service;
-import lombok.RequiredArgsConstructor;
-
-import ${this.packageName}.dto.${n}Create;
-import ${this.packageName}.dto.${n}Update;
-import ${this.packageName}.entity.${n};
-import ${this.packageName}.entity.${n}Input;
-import ${this.packageName}.output.${n}Connection;
-import ${this.packageName}.repository.${n}Repository;
-import ${this.packageName}.repository.${n}InputRepository;
-import ${this.packageName}.utils.DataFilter;
-import ${this.packageName}.utils.DataOrder;
-import ${this.packageName}.utils.QueryPredicateMapping;
-import ${this.packageName}.utils.PageUtil;
-import ${this.packageName}.utils.SpecificationUtil;
-
-import jakarta.annotation.PostConstruct;
-import jakarta.transaction.Transactional;
-
-/**
- * Service class for handling business logic and CRUD operations 
- * for the {@link ${n}} entity.
- *
- * <p>This service provides methods to query, create, update, and delete 
- * records from the database using the associated repository.</p>
- *
- * <p>Generated automatically by GraphQL Generator.</p>
- */
-@Service
-@RequiredArgsConstructor
-public class ${n}Service {
-
-    private final ${n}Repository ${i}Repository;
-    private final ${n}InputRepository ${i}InputRepository;
-
-    private QueryPredicateMapping queryPredicateMapping;
-    
-    @PostConstruct
-    public void init()
-    {
-    	queryPredicateMapping = new QueryPredicateMapping();
-    	
-${p}
-    }
-    
-    /**
-     * Retrieves a paginated and optionally filtered list of {@link ${n}} records from the database.
-     * This method supports dynamic filtering and sorting based on the provided criteria,
-     * and wraps the result in an {@link ${n}Connection} for pagination support.
-     *
-     * @param pageNumber the 1-based page number for pagination (required).
-     * @param pageSize the number of records to retrieve per page (required).
-     * @param dataFilter an optional list of filters to be applied to the query (may be {@code null} or empty).
-     * @param dataOrder an optional list of fields and their sort order to be applied to the query (may be {@code null} or empty).
-     * @return {@link ${n}Connection} object containing the paginated {@link ${n}} records
-     *         that match the given filtering and sorting criteria.
-     */
-    public ${n}Connection get${n}s(Integer pageNumber, Integer pageSize, List<DataFilter> dataFilter, List<DataOrder> dataOrder) {
-        
-        Specification<${n}> specification = SpecificationUtil.createSpecificationFromFilter(dataFilter, this.queryPredicateMapping.getFilter());
-        
-        Pageable pageable = PageUtil.pageRequest(pageNumber, pageSize, dataOrder, this.queryPredicateMapping.getFilter(), Sort.by(Sort.Direction.ASC, ${c}));
-        
-        Page<${n}> page = ${i}Repository.findAll(
-        	specification, 
-        	pageable
-        );
-        return new ${n}Connection(page);
-    }
-
-    /**
-     * Retrieves ${n} record matching the given primary key.
-     *
-     * @param ${o.map(e=>stringUtil.camelize(e.name)).join(", ")} the primary key value(s) used for filtering.
-     * @return a list of matching ${n} entities.
-     */
-    public ${n} get${n}(${s}) {
-        return ${i}Repository.findOneBy${u}(${l});
-    }
-
-    /**
-     * Creates a new record for {@link ${n}} in the database.
-     *
-     * @param input the ${n} entity to be created.
-     * @return the saved ${n} entity.
-     */
-    public ${n} create${n}(${n}Create input) {
-        ${n}Input saved = ${i}InputRepository.save(${n}Create.createEntity(input));
-        return ${i}Repository.findOneBy${u}(
-            ${o.map(e=>`saved.get${stringUtil.upperCamel(stringUtil.camelize(e.name))}()`).join(", ")}
-        );
-    }
-
-    /**
-     * Updates an existing {@link ${n}} record in the database.
-     *
-     * @param input the ${n} entity containing updated values.
-     * @return the updated ${n} entity.
-     */
-    public ${n} update${n}(${n}Update input) {
-        if(${g.join(" || ")})
-    	{
-    		return null;
-    	}
-        ${n}Input saved = ${i}InputRepository.save(${n}Update.createEntity(input));
-        return ${i}Repository.findOneBy${u}(
-            ${o.map(e=>`saved.get${stringUtil.upperCamel(stringUtil.camelize(e.name))}()`).join(", ")}
-        );
-    }
-
-    /**
-     * Deletes the {@link ${n}} record that matches the given primary key(s).
-     *
-     * @param ${o.map(e=>stringUtil.camelize(e.name)).join(", ")} the primary key value(s) of the record to delete.
-     */
-    @Transactional
-    public void delete${n}(${s}) {
-        ${i}InputRepository.deleteBy${u}(${l});
-    }
-}
-`;a.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`service/${n}Service.java`,content:m})}}),a}gereratePageUtilFile(){let e=`package ${this.packageName}.utils;
-
-import org.springframework.data.domain.PageRequest;
-import org.springframework.data.domain.Pageable;
-import org.springframework.data.domain.Sort;
-import org.springframework.data.domain.Sort.Direction;
-
-public class PageUtil {
-
-    /**
-     * Creates a Pageable object for paginated and sorted queries.
-     *
-     * @param pageNumber The 1-based page number. Defaults to 1 if null or less than 1.
-     * @param pageSize The number of items per page. Defaults to 20, min is 1.
-     * @param orderByFields An array of field names to sort by. Defaults to ascending.
-     * @return A Pageable object configured with pagination and sorting.
-     */
-    public static Pageable pageRequest(Integer pageNumber, Integer pageSize, String... orderByFields) {
-        // Handle page number: convert to 0-based and ensure it's not negative.
-        int currentPage = (pageNumber != null && pageNumber > 0) ? pageNumber - 1 : 0;
-        
-        // Handle page size: ensure it's at least 1.
-        int rowPerPage = (pageSize != null && pageSize > 0) ? pageSize : 20;
-
-        // Create Sort object if orderByFields are provided
-        Sort sort = Sort.unsorted();
-        if (orderByFields != null && orderByFields.length > 0) {
-            sort = Sort.by(Direction.ASC, orderByFields);
-        }
-        
-        return PageRequest.of(currentPage, rowPerPage, sort);
-    }
-}
-`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"utils/PageUtil.java",content:e}]}generateSpecificationUtilFile(){let e=`package ${this.packageName}.utils;
-
-import jakarta.persistence.criteria.Path;
-import jakarta.persistence.criteria.Join;
-import jakarta.persistence.criteria.Root;
-
-import java.text.SimpleDateFormat;
-import java.util.Date;
-import java.util.List;
-import java.util.Map;
-import java.util.Optional;
-import java.text.ParseException;
-import java.util.HashMap;
-
-import org.springframework.data.jpa.domain.Specification;
-import org.slf4j.Logger;
-import org.slf4j.LoggerFactory;
-
-/**
- * Utility class for creating dynamic JPA Specifications from DataFilters.
- * This class provides a generic method that can be used for any entity type.
- */
-public class SpecificationUtil {
-
-    private SpecificationUtil() {
-        // Hide public constructor
-    }
-
-    public static final String DATA_TYPE_LONG = "Long";
-    public static final String DATA_TYPE_INTEGER = "Integer";
-    public static final String DATA_TYPE_DOUBLE = "Double";
-    public static final String DATA_TYPE_FLOAT = "Float";
-    public static final String DATA_TYPE_BOOLEAN = "Boolean";
-    public static final String DATA_TYPE_DATE = "Date";
-    public static final String DATA_TYPE_DATETIME = "DateTime";
-    public static final String DATA_TYPE_STRING = "String";
-
-    public static final String FILTER_OPERATION_EXACT = "exact";
-    public static final String FILTER_OPERATION_PARTIAL = "partial";
-
-    public static final String DATE_FORMAT = "yyyy-MM-dd";
-    public static final String DATETIME_FORMAT = "yyyy-MM-dd'T'HH:mm:ss";
-
-    public static final String REGEX_INTEGER = "^-?\\\\d+$";
-    public static final String REGEX_FLOAT   = "^-?\\\\d+(\\\\.\\\\d+)?$";
-    public static final String REGEX_BOOLEAN = "^(?i:true|false)$";
-
-    private static final Logger logger = LoggerFactory.getLogger(SpecificationUtil.class);
-
-    /**
-     * Converts a list of {@link DataFilter} objects into a {@link Map}.
-     * <p>
-     * Each entry in the resulting map uses the filter's field name as the key
-     * and the filter's field value as the value. Filters with a {@code null}
-     * field name are ignored.
-     * </p>
-     *
-     * @param dataFilter the list of filters; may be {@code null} or empty
-     * @return a non-null {@link Map} where keys are field names and values are the
-     *         corresponding field values; may be empty if no valid filters are provided
-     */
-    public static Map<String, Object> getFilterFromRequest(List<DataFilter> dataFilter) {
-        Map<String, Object> result = new HashMap<>();
-        if (dataFilter == null || dataFilter.isEmpty()) {
-            return result;
-        }
-        for (DataFilter filter : dataFilter) {
-            String key = filter.getFieldName();
-            Object fieldValue = filter.getFieldValue();
-            if (key != null) {
-                result.put(key, fieldValue);
-            }
-        }
-        return result;
-    }
-
-    /**
-     * Creates a generic {@link Specification} from a list of {@link DataFilter} to build dynamic queries.
-     * This method supports various filtering types based on the provided filterOperation map.
-     *
-     * @param dataFilter list of filters to apply.
-     * @param filters a map defining the data type and filter type for each field.
-     * @param <T> The entity type to be filtered.
-     * @return a Specification object representing the combined filters.
-     */
-    public static <T> Specification<T> createSpecificationFromFilter(List<DataFilter> dataFilter, Map<String, Map<String, String>> filters) {
-        if (dataFilter == null || dataFilter.isEmpty() || filters == null) {
-            return null;
-        }
-
-        Optional<Specification<T>> spec = Optional.empty();
-
-        for (DataFilter filter : dataFilter) {
-            String key = filter.getFieldName();
-            Object fieldValue = filter.getFieldValue();
-            String valueStr = String.valueOf(fieldValue);
-
-            if (key != null && fieldValue != null) {
-                Map<String, String> fieldInfo = filters.get(key);
-
-                if (fieldInfo != null) {
-                    String fieldName = fieldInfo.get("fieldName");
-                    String dataType = fieldInfo.get("dataType");
-                    String filterOperation = fieldInfo.get("filterOperation");
-
-                    Specification<T> currentSpec = (root, query, criteriaBuilder) -> {
-                        try {
-                            Path<?> path = resolvePath(root, fieldName);
-                            
-                            switch (dataType) {
-                                case DATA_TYPE_LONG:
-                                    return criteriaBuilder.equal(path, Long.parseLong(valueStr));
-                                case DATA_TYPE_INTEGER:
-                                    return criteriaBuilder.equal(path, Integer.parseInt(valueStr));
-                                case DATA_TYPE_DOUBLE:
-                                case DATA_TYPE_FLOAT:
-                                    return criteriaBuilder.equal(path, Double.parseDouble(valueStr));
-                                case DATA_TYPE_BOOLEAN:
-                                    return criteriaBuilder.equal(path, Boolean.parseBoolean(valueStr));
-                                case DATA_TYPE_DATE:
-                                    Date date = new SimpleDateFormat(DATE_FORMAT).parse(valueStr);
-                                    return criteriaBuilder.equal(path, date);
-                                case DATA_TYPE_DATETIME:
-                                    Date dateTime = new SimpleDateFormat(DATETIME_FORMAT).parse(valueStr);
-                                    return criteriaBuilder.equal(path, dateTime);
-                                case DATA_TYPE_STRING:
-                                    if (FILTER_OPERATION_EXACT.equals(filterOperation)) {
-                                        return criteriaBuilder.equal(path, fieldValue);
-                                    } else if (FILTER_OPERATION_PARTIAL.equals(filterOperation)) {
-                                        return criteriaBuilder.like(criteriaBuilder.lower((Path<String>) path), "%" + valueStr.toLowerCase() + "%");
-                                    }
-                                    break;
-                                default:
-                                    logger.warn("Unsupported data type: {}", dataType);
-                                    return null;
-                            }
-                        } catch (ParseException e) {
-                            logger.error("Error parsing date/datetime for field {}: {}", fieldName, e.getMessage());
-                        } catch (Exception e) {
-                            logger.error("Error creating predicate for field {}: {}", fieldName, e.getMessage());
-                        }
-                        return criteriaBuilder.disjunction(); // Return a false predicate on error
-                    };
-
-                    spec = Optional.of(spec.map(s -> s.and(currentSpec)).orElse(currentSpec));
-                }
-            }
-        }
-        return spec.orElse(null);
-    }
-
-    /**
-     * Retrieves a {@link Date} value from the map using the specified key.
-     * Parsed with {@code yyyy-MM-dd}.
-     */
-    public static Date getDate(Map<String, Object> map, String key) throws ParseException {
-        String valueStr = getString(map, key);
-        if (valueStr == null) return null;
-        return new SimpleDateFormat(DATE_FORMAT).parse(valueStr);
-    }
-
-    /**
-     * Retrieves a {@link Date} value with time from the map using the specified key.
-     * Parsed with {@code yyyy-MM-dd HH:mm:ss}.
-     */
-    public static Date getDateTime(Map<String, Object> map, String key) throws ParseException {
-        String valueStr = getString(map, key);
-        if (valueStr == null) return null;
-        return new SimpleDateFormat(DATETIME_FORMAT).parse(valueStr);
-    }
-
-    /**
-     * Retrieves a {@link Long} value.
-     */
-    @SuppressWarnings("UnnecessaryTemporaryOnConversionFromString")
-    public static Long getLong(Map<String, Object> map, String key) {
-        String valueStr = getString(map, key);
-        if (valueStr == null || !valueStr.matches(REGEX_INTEGER)) return null;
-        return Long.parseLong(valueStr);
-    }
-
-    /**
-     * Retrieves an {@link Integer} value.
-     */
-    @SuppressWarnings("UnnecessaryTemporaryOnConversionFromString")
-    public static Integer getInteger(Map<String, Object> map, String key) {
-        String valueStr = getString(map, key);
-        if (valueStr == null || !valueStr.matches(REGEX_INTEGER)) return null;
-        return Integer.parseInt(valueStr);
-    }
-
-    /**
-     * Retrieves a {@link Double} value.
-     */
-    @SuppressWarnings("UnnecessaryTemporaryOnConversionFromString")
-    public static Double getDouble(Map<String, Object> map, String key) {
-        String valueStr = getString(map, key);
-        if (valueStr == null || !valueStr.matches(REGEX_FLOAT)) return null;
-        return Double.parseDouble(valueStr);
-    }
-
-    /**
-     * Retrieves a {@link Float} value.
-     */
-    @SuppressWarnings("UnnecessaryTemporaryOnConversionFromString")
-    public static Float getFloat(Map<String, Object> map, String key) {
-        String valueStr = getString(map, key);
-        if (valueStr == null || !valueStr.matches(REGEX_FLOAT)) return null;
-        return Float.parseFloat(valueStr);
-    }
-
-    /**
-     * Retrieves a {@link Boolean} value.
-     * Only accepts "true" or "false" (case-insensitive).
-     */
-    @SuppressWarnings({
-        "UnnecessaryTemporaryOnConversionFromString",
-        "DataFlowIssue"
-    })
-    public static Boolean getBoolean(Map<String, Object> map, String key) {
-        String valueStr = getString(map, key);
-        if (valueStr == null || !valueStr.matches(REGEX_BOOLEAN)) return null;
-        return Boolean.parseBoolean(valueStr);
-    }
-
-    /**
-     * Safely retrieves a trimmed String value from map.
-     * Returns null if value is missing, blank, or equals "null".
-     */
-    private static String getString(Map<String, Object> map, String key) {
-        if (map == null || key == null || !map.containsKey(key)) {
-            return null;
-        }
-        Object value = map.get(key);
-        if (value == null) return null;
-        String valueStr = String.valueOf(value).trim();
-        return valueStr.isEmpty() || "null".equalsIgnoreCase(valueStr) ? null : valueStr;
-    }
-
-    /**
-     * Helper method to resolve a nested path by performing joins.
-     * This method handles both direct attributes and nested attributes with multiple dots.
-     *
-     * @param root The root of the query.
-     * @param fieldName The dot-separated field name (e.g., "album.artist.name").
-     * @return The final Path object to the attribute.
-     */
-    private static Path<?> resolvePath(Root<?> root, String fieldName) {
-        String[] parts = fieldName.split("\\\\\\\\.");
-        Path<?> path = root;
-
-        // Iterate through all parts of the path
-        for (int i = 0; i < parts.length - 1; i++) {
-            // Cast to Join is needed to continue the path, but only if the current path is not the root
-            if (path instanceof Root) {
-                 path = ((Root<?>) path).join(parts[i]);
-            } else {
-                 path = ((Join<?, ?>) path).join(parts[i]);
-            }
-        }
-        
-        // Return the final Path to the attribute
-        return path.get(parts[parts.length - 1]);
-    }
-}
-`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"utils/SpecificationUtil.java",content:e}]}generateDataFilterFile(){let e=`package ${this.packageName}.utils;
-
-import lombok.Getter;
-import lombok.Setter;
-
-@Setter
-@Getter
-public class DataFilter {
-	String fieldName;
-	String fieldValue;
-}
-`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"utils/DataFilter.java",content:e}]}generateDataOrderFile(){let e=`package ${this.packageName}.utils;
-
-import lombok.Getter;
-import lombok.Setter;
-
-@Setter
-@Getter
-public class DataOrder {
-	String fieldName;
-	String orderType;
-}
-`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"utils/DataOrder.java",content:e}]}getNestedRelations(e,t,a="",r=2){if(r<=0)return[];let i=[],n=this.getPrimaryKeys(t).length>1;return t.columns.forEach(o=>{if(this.isForeignKey(e,t,o)&&!n){let p=stringUtil.camelize(o.name.replace(/_id$/i,"")),s=a?`${a}.${p}`:p;i.push(s);let l=e.find(e=>e.name.toLowerCase()===p.toLowerCase());l&&i.push(...this.getNestedRelations(e,l,s,r-1))}}),t.columns.forEach(t=>{if(n){let o=stringUtil.camelize(t.name.replace(/_id$/i,"")),p=a?`${a}.${o}`:o;i.push(p);let s=e.find(e=>e.name.toLowerCase()===o.toLowerCase());s&&i.push(...this.getNestedRelations(e,s,p,r-1))}}),i}generateConnectionFiles(){let e=this.model.entities,t=[];return e.forEach(e=>{let a=stringUtil.camelize(e.name),r=stringUtil.upperCamel(a),i=`package ${this.packageName}.output;
-
-import org.springframework.data.domain.Page;
-
-import ${this.packageName}.entity.${r};
-import ${this.packageName}.utils.PageInfo;
-
-/**
- * A connection wrapper for paginated {@link ${r}} results.
- * <p>
- * This class encapsulates both the paginated list of {@link ${r}} entities
- * and pagination metadata via {@link PageInfo}.
- * It is commonly used as a GraphQL-compatible representation of
- * paginated query results.
- * </p>
- */
-public class ${r}Connection
-{
-    /**
-     * Pagination metadata, including total records, total pages,
-     * current page number, and page size.
-     */
-    private PageInfo pageInfo;
-
-    /**
-     * The underlying paginated data of {@link ${r}} entities.
-     */
-    private Page<${r}> data;
-
-    /**
-     * Constructs a new {@code ${r}Connection} from a Spring Data {@link Page}.
-     * <p>
-     * The {@link PageInfo} is initialized from the provided {@link Page}
-     * to represent pagination details.
-     * </p>
-     *
-     * @param page the {@link Page} of {@link ${r}} entities to wrap.
-     */
-    public ${r}Connection(Page<${r}> page)
-    {
-        this.data = page;
-        this.pageInfo = new PageInfo(page);
-    }
-}
-
-`;t.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`output/${r}Connection.java`,content:i})}),t}generateRepositoryFiles(){let e=this.model.entities,t=[],a=this;return e.forEach(r=>{let i=stringUtil.camelize(r.name),n=stringUtil.upperCamel(i),o=this.getPrimaryKeys(r);if(o.length>0){let p=o.length>1?`${n}Id`:this.getJavaType(o[0].type),s=o.map(e=>stringUtil.upperCamel(stringUtil.camelize(e.name))).join("And"),l=o.map(e=>`${this.getJavaType(e.type)} ${stringUtil.camelize(e.name)}`).join(", "),c="";["String","Long","Integer","Double","Float","Boolean","Character","Byte","Short"].includes(p)||p.includes(".")||(c=`import ${this.packageName}.entity.${p};
-`);let u=this.getNestedRelations(e,r,"",a.maxRelationDepth||3),g="";(u.length>0||o.length>1)&&(g=`    @EntityGraph(attributePaths = { ${u.map(e=>`"${e}"`).join(", ")} })
-`);let m=`package ${this.packageName}.repository;
-
-import org.springframework.data.domain.Page;
-import org.springframework.data.domain.Pageable;
-import org.springframework.data.jpa.domain.Specification;
-import org.springframework.data.jpa.repository.JpaRepository;
-import org.springframework.stereotype.Repository;
-${u.length>0?"import org.springframework.data.jpa.repository.EntityGraph;\n":""}
-import ${this.packageName}.entity.${n};
-${c}
-/**
- * Repository interface for {@link ${n}} entity.
- * <p>Provides basic CRUD operations and custom queries.</p>
- */
-@Repository
-public interface ${n}Repository extends JpaRepository<${n}, ${p}> {
-
-${g}    ${n} findOneBy${s}(${l});
-
-${g}    Page<${n}> findAll(Specification<${n}> specification, Pageable pageable);
-}
-`;t.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`repository/${n}Repository.java`,content:m});let d=`package ${this.packageName}.repository;
-
-import org.springframework.data.jpa.repository.JpaRepository;
-import org.springframework.stereotype.Repository;
-import ${this.packageName}.entity.${n}Input;
-${c}
-/**
- * Repository interface for {@link ${n}Input} entity.
- * <p>Provides basic CRUD operations and custom queries for input version.</p>
- */
-@Repository
-public interface ${n}InputRepository extends JpaRepository<${n}Input, ${p}> {
-
-    ${n}Input findOneBy${s}(${l});
-
-    void deleteBy${s}(${l});
-}
-`;t.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`repository/${n}InputRepository.java`,content:d})}}),t}generateEntityFiles(){let e=this,t=this.model.entities,a=[];return t.forEach(t=>{let r=t.name,i=stringUtil.upperCamel(stringUtil.camelize(r)),n=stringUtil.snakeize(r),o=this.getPrimaryKeys(t),p=`package ${this.packageName}.entity;
-
-import java.util.Date;
-import java.util.UUID;
-import java.math.BigDecimal;
-import jakarta.persistence.CascadeType;
-import jakarta.persistence.Column;
-import jakarta.persistence.Entity;
-import jakarta.persistence.FetchType;
-import jakarta.persistence.GeneratedValue;
-import jakarta.persistence.GenerationType;
-import jakarta.persistence.Id;
-import jakarta.persistence.IdClass;
-import jakarta.persistence.JoinColumn;
-import jakarta.persistence.ManyToOne;
-import jakarta.persistence.PostLoad;
-import jakarta.persistence.Table;
-
-import lombok.Setter;
-import lombok.Getter;
-
-/**
- * Entity class representing the ${i} table in the database.
- * 
- * <p>This class is automatically generated by GraphQL Generator.</p>
- * <p>Contains fields for each column in the table, with appropriate annotations for JPA.</p>
- */
-@Entity
-@Table(name = "${n}")
-@Setter
-@Getter
-`;o.length>1&&(p+=`@IdClass(${i}Id.class)
-`),p+=`public class ${i} {
-
-`;let s=[];t.columns.forEach(a=>{let r=a.name,i=stringUtil.camelize(r),n=a.type,l=this.getJavaType(n),c=i.substring(0,i.length-2),u=stringUtil.upperCamel(c);if(a.primaryKey&&(p+=`    @Id
-`,a.autoIncrement&&(p+=`    @GeneratedValue(strategy = GenerationType.IDENTITY)
-`)),e.isForeignKey(e.model.entities,t,a)){p+=`    @Column(name = "${r}")
-    private ${l} ${i};
-
-`;p+=`    @ManyToOne(fetch = FetchType.LAZY)
-    @JoinColumn(name = "${a.name}", referencedColumnName = "${a.name}", insertable=false, updatable=false)
-    private ${u} ${c};
-
-`,s.push({name:c,type:u})}else p+=`    @Column(name = "${r}")
-    private ${l} ${i};
-
-`;o.length>1&&a.primaryKey&&!a.autoIncrement&&(p+=`    @ManyToOne
-    @JoinColumn(name = "${r}", referencedColumnName = "${r}", insertable = false, updatable = false)
-    private ${u} ${c};
-
-`)}),s.length>0&&(p+=`
-    @PostLoad
-    public void initRelationsIfNull() {
-`,s.forEach(e=>{p+=`        if (this.${e.name} == null) {
-            this.${e.name} = new ${e.type}();
-        }
-`}),p+=`    }
-`),p+=`}
-`,a.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`entity/${i}.java`,content:p});let l=`package ${this.packageName}.entity;
-
-import java.util.Date;
-import java.util.UUID;
-import java.math.BigDecimal;
-import jakarta.persistence.Column;
-import jakarta.persistence.Entity;
-import jakarta.persistence.GeneratedValue;
-import jakarta.persistence.GenerationType;
-import jakarta.persistence.Id;
-import jakarta.persistence.IdClass;
-import jakarta.persistence.Table;
-
-import lombok.Setter;
-import lombok.Getter;
-
-/**
- * Entity class representing the ${i} table in the database.
- * 
- * <p>This class is automatically generated by GraphQL Generator.</p>
- * <p>Contains fields for each column in the table, with appropriate annotations for JPA.</p>
- */
-@Entity
-@Table(name = "${n}")
-@Setter
-@Getter
-`;o.length>1&&(l+=`@IdClass(${i}Id.class)
-`),l+=`public class ${i}Input {
-
-`,t.columns.forEach(e=>{let t=e.name,a=stringUtil.camelize(t),r=e.type,i=this.getJavaType(r);e.primaryKey&&(l+=`    @Id
-`,e.autoIncrement&&(l+=`    @GeneratedValue(strategy = GenerationType.IDENTITY)
-`)),l+=`    @Column(name = "${t}")
-    private ${i} ${a};
-
-`}),l+=`}
-`,a.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`entity/${i}Input.java`,content:l});let c=`package ${this.packageName}.dto;
-
-import java.util.Date;
-import java.util.UUID;
-import java.math.BigDecimal;
-
-import lombok.Setter;
-import lombok.Getter;
-
-import org.springframework.beans.BeanUtils;
-
-import ${this.packageName}.entity.${i}Input;
-
-/**
- * Data Transfer Object (DTO) for creating a new ${i} entity.
- *
- * <p>This class is automatically generated by GraphQL Generator.</p>
- *
- * <p>It represents the input fields required by the CREATE mutation of the
- * {@code ${n}} table. The DTO can be converted into an {@link ${i}Input}
- * entity using the {@link #createEntity(${i}Create)} factory method.</p>
- */
-@Setter
-@Getter
-`;c+=`public class ${i}Create {
-
-`,t.columns.forEach(e=>{let t=e.name,a=stringUtil.camelize(t),r=e.type,i=this.getJavaType(r);e.autoIncrement||(c+=`    private ${i} ${a};
-`)}),c+=`\r
-    /**
-     * Converts this DTO into a new {@link ${i}Input} entity.
-     *
-     * @param dto the {@code ${i}Create} DTO to convert
-     * @return a new {@code ${i}Input} entity populated with values from the DTO
-     */
-    public static ${i}Input createEntity(${i}Create dto) {
-        ${i}Input entity = new ${i}Input();
-        BeanUtils.copyProperties(dto, entity);
-        return entity;
-    }
-`,c+=`}
-`,a.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`dto/${i}Create.java`,content:c});let u=`package ${this.packageName}.dto;
-
-import java.util.Date;
-import java.util.UUID;
-import java.math.BigDecimal;
-
-import lombok.Setter;
-import lombok.Getter;
-
-import org.springframework.beans.BeanUtils;
-
-import ${this.packageName}.entity.${i}Input;
-
-/**
- * Data Transfer Object (DTO) for updating an existing ${i} entity.
- *
- * <p>This class is automatically generated by GraphQL Generator.</p>
- *
- * <p>It represents the input fields required by the UPDATE mutation of the
- * {@code ${n}} table. The DTO can be converted into an {@link ${i}Input}
- * entity using the {@link #createEntity(${i}Create)} factory method.</p>
- */
-@Setter
-@Getter
-`;u+=`public class ${i}Update {
-
-`,t.columns.forEach(e=>{let t=e.name,a=stringUtil.camelize(t),r;u+=`    private ${this.getJavaType(e.type)} ${a};
-`}),u+=`\r
-    /**
-     * Converts this DTO into a new {@link ${i}Input} entity.
-     *
-     * @param dto the {@code ${i}Update} DTO to convert
-     * @return a new {@code ${i}Input} entity populated with values from the DTO
-     */
-    public static ${i}Input createEntity(${i}Update dto) {
-        ${i}Input entity = new ${i}Input();
-        BeanUtils.copyProperties(dto, entity);
-        return entity;
-    }
-`,u+=`}
-`,a.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`dto/${i}Update.java`,content:u})}),a}generateFetchPropertiesFile(){let e=`package ${this.packageName}.utils;
-
-import java.util.ArrayList;
-import java.util.HashMap;
-import java.util.List;
-import java.util.Map;
-import java.util.Map.Entry;
-
-import lombok.Getter;
-import lombok.Setter;
-
-/**
- * A utility class to manage and filter properties for data fetching operations.
- * It stores configurations for filtering and ordering fields, and provides
- * methods to ensure that requested fields are valid and supported.
- */
-@Getter
-@Setter
-public class QueryPredicateMapping {
-	
-	private Map<String, Map<String, String>> filter;
-	private List<Map<String, String>> order;
-	
-	public QueryPredicateMapping()
-	{
-		this.filter = new HashMap<>();
-		this.order = new ArrayList<>();
-	}
-
-	/**
-	 * Adds a field to the filter configuration.
-	 *
-	 * @param key The unique key for the filter (e.g., a field name).
-	 * @param fieldName The actual name of the field in the entity.
-	 * @param dataType The data type of the field (e.g., "String", "Long").
-	 * @param filterOperation The type of filter operation (e.g., "exact", "partial").
-	 */
-	public void add(String key, String fieldName, String dataType, String filterOperation) {
-		this.filter.put(key, this.createFilterType(fieldName, dataType, filterOperation));
-	}
-
-	/**
-	 * Creates a map representing a single filter type configuration.
-	 *
-	 * @param fieldName The name of the field.
-	 * @param dataType The data type of the field.
-	 * @param filterOperation The filter operation type.
-	 * @return A map containing the filter properties.
-	 */
-	private Map<String, String> createFilterType(String fieldName, String dataType, String filterOperation) {
-		Map<String, String> field = new HashMap<>();
-		
-		field.put("fieldName", fieldName);
-		field.put("dataType", dataType);
-		field.put("filterOperation", filterOperation);
-		
-		return field;
-	}
-
-	/**
-	 * Filters a list of data orders to include only those fields that are
-	 * configured for filtering in this utility.
-	 *
-	 * @param dataOrder The list of data orders to filter.
-	 * @return A new list containing only the valid data orders.
-	 */
-	public List<DataOrder> filterFieldName(List<DataOrder> dataOrder) {
-		if(dataOrder == null)
-		{
-			return dataOrder;
-		}
-		List<DataOrder> result = new ArrayList<>();
-		for(DataOrder item : dataOrder)
-		{
-			if(this.inList(item))
-			{
-				result.add(item);
-			}
-		}
-		
-		return result;
-	}
-	
-	/**
-	 * Checks if a given data order field is present in the configured filter list.
-	 *
-	 * @param order The DataOrder object to check.
-	 * @return {@code true} if the field is in the filter list, {@code false} otherwise.
-	 */
-	public boolean inList(DataOrder order)
-	{
-		for(Entry<String, Map<String, String>> entry : this.filter.entrySet())
-		{
-			if(entry.getValue().getOrDefault("fieldName", "").equals(order.getFieldName()))
-			{
-				return true;
-			}
-		}
-		return false;
-	}
-}
-`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"utils/QueryPredicateMapping.java",content:e}]}generatePageUtilFile(){let e=`package ${this.packageName}.utils;
-
-import org.springframework.data.domain.PageRequest;
-import org.springframework.data.domain.Pageable;
-import org.springframework.data.domain.Sort;
-import org.springframework.data.domain.Sort.Direction;
-import org.springframework.data.domain.Sort.Order;
-import java.util.List;
-import java.util.Map;
-import java.util.ArrayList;
-
-public class PageUtil {
-    
-    private PageUtil()
-    {
-        // Hide public constructor
-    }
-
-    /**
-     * Creates a Pageable object for paginated and sorted queries.
-     *
-     * @param pageNumber The 1-based page number. Defaults to 1 if null or less than 1.
-     * @param pageSize The number of items per page. Defaults to 20, min is 1.
-     * @param sortFields A list of DataOrder objects to sort by.
-     * @param map A map to resolve the actual field names from the given keys.
-     * @param defaultSortOrder An array of Sort objects to use as the default sort order.
-     * @return A Pageable object configured with pagination and sorting.
-     */
-    public static Pageable pageRequest(Integer pageNumber, Integer pageSize, List<DataOrder> sortFields, Map<String, Map<String, String>> map, Sort... defaultSortOrder) {
-        // Handle page number: convert to 0-based and ensure it's not negative.
-        int currentPage = (pageNumber != null && pageNumber > 0) ? pageNumber - 1 : 0;
-        
-        // Handle page size: ensure it's at least 1.
-        int rowPerPage = (pageSize != null && pageSize > 0) ? pageSize : 20;
-        
-        Sort sort = createSortFromList(sortFields, map);
-
-        if (sort.isUnsorted() && defaultSortOrder != null && defaultSortOrder.length > 0) {
-            // Correct way to combine multiple Sort objects
-            Sort defaultSort = defaultSortOrder[0];
-            for (int i = 1; i < defaultSortOrder.length; i++) {
-                defaultSort = defaultSort.and(defaultSortOrder[i]);
-            }
-            sort = defaultSort;
-        }
-        
-        return PageRequest.of(currentPage, rowPerPage, sort);
-    }
-    
-    /**
-     * Creates a {@link Sort} object from a list of {@link DataOrder} objects.
-     *
-     * @param sortFields A list of DataOrder objects, with each object containing "fieldName" and "sortType".
-     * @param map A map to resolve the actual field names from the given keys.
-     * @return a Sort object representing the combined sorting criteria.
-     */
-    public static Sort createSortFromList(List<DataOrder> sortFields, Map<String, Map<String, String>> map) {
-        if (sortFields == null || sortFields.isEmpty()) {
-            return Sort.unsorted();
-        }
-
-        List<Order> orders = new ArrayList<>();
-        for (DataOrder field : sortFields) {
-            String key = field.getFieldName();
-            String orderType = field.getOrderType();
-            
-            // Default to "asc" if no order type is provided
-            if (orderType == null) {
-                orderType = "asc";
-            }
-
-            if (key != null) {
-                Map<String, String> orderInfo = map.get(key);
-                if (orderInfo != null) {
-                    String fieldName = orderInfo.get("fieldName");
-                    Direction direction = "desc".equalsIgnoreCase(orderType) ? Direction.DESC : Direction.ASC;
-                    orders.add(new Order(direction, fieldName));
-                }
-            }
-        }
-        
-        if (orders.isEmpty()) {
-            return Sort.unsorted();
-        }
-
-        return Sort.by(orders);
-    }
-}
-`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"utils/PageUtil.java",content:e}]}isForeignKey(e,t,a){if(a.primaryKey)return!1;for(let r of e){if(r.name===t.name)continue;let i=this.getPrimaryKeys(r);for(let n of i)if(n.name===a.name)return!0}return!1}generateIdClassFiles(){let e=[];return this.model.entities.forEach(t=>{let a=this.getPrimaryKeys(t);if(a.length>1){let r=`${stringUtil.upperCamel(stringUtil.camelize(t.name))}Id`,i=`package ${this.packageName}.entity;
-
-import java.io.Serializable;
-import java.util.Objects;
-import jakarta.persistence.Embeddable;
-import jakarta.persistence.GeneratedValue;
-import jakarta.persistence.GenerationType;
-
-import lombok.Setter;
-import lombok.Getter;
-
-@Embeddable
-@Setter
-@Getter
-public class ${r} implements Serializable {
-
-`;a.forEach(e=>{let t=stringUtil.camelize(e.name),a=this.getJavaType(e.type);e.primaryKey&&(i+="",e.autoIncrement&&(i+=`    @GeneratedValue(strategy = GenerationType.IDENTITY)
-`)),i+=`    private ${a} ${t};
-
-`}),i+=`    @Override
-    public boolean equals(Object o) {
-        if (this == o) return true;
-        if (o == null || getClass() != o.getClass()) return false;
-        ${r} that = (${r}) o;
-        return ${a.map(e=>`Objects.equals(${stringUtil.camelize(e.name)}, that.${stringUtil.camelize(e.name)})`).join(" && ")};
-    }
-
-    @Override
-    public int hashCode() {
-        return Objects.hash(${a.map(e=>stringUtil.camelize(e.name)).join(", ")});
-    }
-
-`,i+=`}
-`,e.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`entity/${r}.java`,content:i})}}),e}generateGraphQlSchema(){return[{name:"src/main/resources/graphql/schema.graphqls",content:util.buildGraphQLSchema(this.model.entities,!1)}]}generatePageInfoFile(){let e=`package ${this.packageName}.utils;
-
-import lombok.Getter;
-import lombok.Setter;
-
-import org.springframework.data.domain.Page;
-
-@Setter
-@Getter
-public class PageInfo {
-	Integer totalCount;
-    Integer totalPages;
-    Integer currentPage;
-    Integer pageSize;
-    Boolean hasNextPage; 
-    Boolean hasPreviousPage;
-
-	public PageInfo(Page<?> page)
-	{
-		this.totalCount = page.getNumberOfElements();
-		this.totalPages = page.getTotalPages();
-		this.currentPage = page.getNumber() + 1;
-		this.pageSize = page.getSize();
-		this.hasNextPage = page.hasNext();
-		this.hasPreviousPage = page.hasPrevious();
-	}
-}
-
-
-
-`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"utils/PageInfo.java",content:e}]}generatePomFile(){let e={groupId:this.groupId,artifactId:this.artifactId,version:this.version,name:this.serviceName,description:this.serviceDescription,javaVersion:this.javaVersion,packageName:this.packageName},t=`<?xml version="1.0" encoding="UTF-8"?>
-<project xmlns="http://maven.apache.org/POM/4.0.0" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-xsi:schemaLocation="http://maven.apache.org/POM/4.0.0 https://maven.apache.org/xsd/maven-4.0.0.xsd">
-<modelVersion>4.0.0</modelVersion>
-<parent>
-    <groupId>org.springframework.boot</groupId>
-    <artifactId>spring-boot-starter-parent</artifactId>
-    <version>3.5.4</version>
-    <relativePath/> <!-- lookup parent from repository -->
-</parent>
-<groupId>${e.groupId}</groupId>
-<artifactId>${e.artifactId}</artifactId>
-<version>${e.version}</version>
-<name>${e.name}</name>
-<description>${e.description}</description>
-<url/>
-<licenses>
-    <license/>
-</licenses>
-<developers>
-    <developer/>
-</developers>
-<scm>
-    <connection/>
-    <developerConnection/>
-    <tag/>
-    <url/>
-</scm>
-<properties>
-    <java.version>${e.javaVersion}</java.version>
-</properties>
-<dependencies>
-    <dependency>
-        <groupId>org.springframework.boot</groupId>
-        <artifactId>spring-boot-starter-web</artifactId>
-    </dependency>
-    <dependency>
-        <groupId>org.springframework.boot</groupId>
-        <artifactId>spring-boot-starter-data-jpa</artifactId>
-    </dependency>
-    <dependency>
-        <groupId>org.springframework.boot</groupId>
-        <artifactId>spring-boot-starter-graphql</artifactId>
-    </dependency>
-    <dependency>
-        <groupId>org.springframework.boot</groupId>
-        <artifactId>spring-boot-starter-webflux</artifactId>
-    </dependency>
-
-    <dependency>
-        <groupId>com.mysql</groupId>
-        <artifactId>mysql-connector-j</artifactId>
-        <scope>runtime</scope>
-    </dependency>
-
-    <dependency>
-        <groupId>org.mariadb.jdbc</groupId>
-        <artifactId>mariadb-java-client</artifactId>
-        <version>3.5.1</version>
-    </dependency>
-
-    <dependency>
-        <groupId>org.postgresql</groupId>
-        <artifactId>postgresql</artifactId>
-        <version>42.7.4</version>
-    </dependency>
-    
-    <dependency>
-        <groupId>org.projectlombok</groupId>
-        <artifactId>lombok</artifactId>
-        <optional>true</optional>
-    </dependency>
-    <dependency>
-        <groupId>org.springframework.boot</groupId>
-        <artifactId>spring-boot-starter-test</artifactId>
-        <scope>test</scope>
-    </dependency>
-    <dependency>
-        <groupId>io.projectreactor</groupId>
-        <artifactId>reactor-test</artifactId>
-        <scope>test</scope>
-    </dependency>
-</dependencies>
-
-<build>
-    <plugins>
-        <plugin>
-            <groupId>org.apache.maven.plugins</groupId>
-            <artifactId>maven-compiler-plugin</artifactId>
-            <configuration>
-                <annotationProcessorPaths>
-                    <path>
-                        <groupId>org.projectlombok</groupId>
-                        <artifactId>lombok</artifactId>
-                    </path>
-                </annotationProcessorPaths>
-            </configuration>
-        </plugin>
-        <plugin>
-            <groupId>io.github.deweyjose</groupId>
-            <artifactId>graphqlcodegen-maven-plugin</artifactId>
-            <version>1.61.5</version>
-            <executions>
-                <execution>
-                    <id>dgs-codegen</id>
-                    <goals>
-                        <goal>generate</goal>
-                    </goals>
-                    <configuration>
-                        <schemaPaths>
-                            <param>src/main/resources/graphql</param>
-                        </schemaPaths>
-                        <packageName>${e.packageName}.codegen</packageName>
-                        <addGeneratedAnnotation>true</addGeneratedAnnotation>
-                        <disableDatesInGeneratedAnnotation>true</disableDatesInGeneratedAnnotation>
-                    </configuration>
-                </execution>
-            </executions>
-        </plugin>
-        <plugin>
-            <groupId>org.codehaus.mojo</groupId>
-            <artifactId>build-helper-maven-plugin</artifactId>
-            <executions>
-                <execution>
-                    <id>add-dgs-source</id>
-                    <phase>generate-sources</phase>
-                    <goals>
-                        <goal>add-source</goal>
-                    </goals>
-                    <configuration>
-                        <sources>
-                            <source>\${project.build.directory}/generated-sources</source>
-                        </sources>
-                    </configuration>
-                </execution>
-            </executions>
-        </plugin>
-        <plugin>
-            <groupId>org.springframework.boot</groupId>
-            <artifactId>spring-boot-maven-plugin</artifactId>
-            <configuration>
-                <excludes>
-                    <exclude>
-                        <groupId>org.projectlombok</groupId>
-                        <artifactId>lombok</artifactId>
-                    </exclude>
-                </excludes>
-            </configuration>
-        </plugin>
-    </plugins>
-</build>
-
-</project>
-`;return[{name:"pom.xml",content:t}]}getDataType(e){if(null==e)return"String";switch(e.toUpperCase()){case"CHAR":case"VARCHAR":case"TEXT":case"LONGTEXT":case"MEDIUMTEXT":default:return"String";case"TINYINT":case"SMALLINT":case"MEDIUMINT":case"INT":return"Integer";case"BIGINT":return"Long";case"FLOAT":return"Float";case"DOUBLE":case"DECIMAL":return"Double";case"BOOLEAN":return"Boolean";case"DATE":return"Date";case"DATETIME":case"TIMESTAMP":return"DateTime"}}getFilterType(e){return null==e||"String"===e?"partial":"exact"}}
\ No newline at end of file
+const DEFAULT_EMAIL_COLUMN_PATTERN="(^|_)e_?mail(_address)?$",DEFAULT_PAST_COLUMN_PATTERN="(^|_)(birth|born|dob)(_|$)|birthday",BUILD_DEPENDENCIES=[{groupId:"org.springframework.boot",artifactId:"spring-boot-starter-web"},{groupId:"org.springframework.boot",artifactId:"spring-boot-starter-data-jpa"},{groupId:"org.springframework.boot",artifactId:"spring-boot-starter-graphql"},{groupId:"org.springframework.boot",artifactId:"spring-boot-starter-validation"},{groupId:"org.springframework.boot",artifactId:"spring-boot-starter-webflux"},{jdbcDriver:!0},{groupId:"org.projectlombok",artifactId:"lombok",optional:!0,annotationProcessor:!0},{groupId:"org.springframework.boot",artifactId:"spring-boot-starter-test",scope:"test"},{groupId:"io.projectreactor",artifactId:"reactor-test",scope:"test"}],SQL_RESERVED_WORDS=new Set(["all","alter","and","any","array","as","asc","between","both","by","case","cast","check","column","constraint","create","cross","current_date","current_time","current_timestamp","current_user","default","delete","desc","distinct","do","drop","else","end","except","exists","false","fetch","for","foreign","from","full","grant","group","having","in","index","inner","insert","intersect","into","is","join","key","leading","left","like","limit","natural","not","null","offset","on","only","or","order","outer","primary","range","references","right","row","rows","select","session_user","set","table","then","to","trailing","true","union","unique","update","user","using","values","when","where","window","with"]),BUILD_TOOLS=["maven","gradle-kotlin","gradle-groovy"];class GraphQLSpringGenerator{constructor(e={}){const t="undefined"==typeof TypeMapping?require("./TypeMapping.js").TypeMapping:TypeMapping,n="undefined"==typeof StringUtil?require("./StringUtil.js").StringUtil:StringUtil,a="undefined"==typeof GraphQLSchemaUtils?require("./GraphQLSchemaUtils.js").GraphQLSchemaUtils:GraphQLSchemaUtils;this.typeMapping=e.typeMapping||new t,this.stringUtil=e.stringUtil||new n,this.schemaUtils=e.schemaUtils||new a(this.typeMapping);const r="undefined"==typeof ProjectMerger?require("./ProjectMerger.js").ProjectMerger:ProjectMerger;this.maven="undefined"==typeof Maven?require("./Maven.js").Maven:Maven,this.gradle="undefined"==typeof Gradle?require("./Gradle.js").Gradle:Gradle,this.projectMerger=e.projectMerger||new r;const i="undefined"==typeof JdbcDriverCatalog?require("./JdbcDriverCatalog.js").JdbcDriverCatalog:JdbcDriverCatalog;this.jdbcDriverCatalog=e.jdbcDriverCatalog||new i;const o="undefined"==typeof HibernateDialects?require("./HibernateDialects.js").HibernateDialects:HibernateDialects;this.hibernateDialects=e.hibernateDialects||new o,this.packageName=null,this.groupId=null,this.artifactId=null,this.serviceName=null,this.serviceDescription=null,this.javaVersion=null,this.version=null,this.buildTool="maven",this.maxRelationDepth=3,this.joinTableMode="manyToMany",this.paginationMode="offset",this.emailColumnPattern="(^|_)e_?mail(_address)?$",this.pastColumnPattern=DEFAULT_PAST_COLUMN_PATTERN,this.appConfig={},this.databaseConfig={},this.model=null,this.relationIndexes=new WeakMap}moveEntityUp(e,t){if(e<this.model.entities.length-1){const t=this.model.entities[e];this.model.entities[e]=this.model.entities[e+1],this.model.entities[e+1]=t,this.updateEntityIndex()}t()}moveEntityDown(e,t){if(e>0){const t=this.model.entities[e];this.model.entities[e]=this.model.entities[e-1],this.model.entities[e-1]=t,this.updateEntityIndex()}t()}updateEntityIndex(){this.model.entities.forEach((e,t)=>{e.index=t})}setModel(e){this.model=e}getModel(){return this.model}generateVirtualFiles(){this.relationIndexes=new WeakMap;const e=[];return e.push(...this.generateIdClassFiles()),e.push(...this.generateEntityFiles()),e.push(...this.generateEnumFiles()),e.push(...this.generateRepositoryFiles()),e.push(...this.generateConnectionFiles()),e.push(...this.generateServiceFiles()),e.push(...this.generateControllerFiles()),e.push(...this.generateGraphQlSchema()),e.push(...this.generatePageInfoFile()),e.push(...this.generateBuildFiles()),e.push(...this.generateApplicationFile()),e.push(...this.generateCorsConfigFile()),e.push(...this.generateScalarConfigFile()),e.push(...this.generateRequestInterceptorFile()),e.push(...this.generateExceptionFiles()),e.push(...this.generateDataFilterFile()),e.push(...this.generateDataOrderFile()),e.push(...this.generateFetchPropertiesFile()),e.push(...this.generateSpecificationUtilFile()),e.push(...this.generatePageUtilFile()),e.push(...this.generateRelationUtilFile()),"cursor"===this.paginationMode&&e.push(...this.generateCursorUtilFile()),this.usesSliceRepository()&&e.push(...this.generateSliceRepositoryFiles()),e.push(...this.generateApplicationPropertiesFile(this.appConfig,this.databaseConfig)),e.push(...this.generateBuildWrapperFiles()),this.projectMerger.prepare(e)}configure(e={}){if(this.packageName=e.packageName||"com.example.servicegen",this.groupId=e.groupId||"com.example",this.artifactId=e.artifactId||"servicegen",this.serviceName=e.serviceName||"Service Generator",this.serviceDescription=e.serviceDescription||"A service generator for Spring GraphQL",this.javaVersion=e.javaVersion||"21",this.version=e.version||"1.0.0",this.buildTool=e.buildTool||"maven",!BUILD_TOOLS.includes(this.buildTool))throw new Error(`Unknown build tool "${this.buildTool}", expected one of ${BUILD_TOOLS.join(", ")}`);this.maxRelationDepth=this.parseRelationDepth(e.maxRelationDepth??3),this.joinTableMode=e.joinTableMode||"manyToMany",this.paginationMode=e.paginationMode||"offset",this.emailColumnPattern=this.parseColumnPattern(e.emailColumnPattern??"(^|_)e_?mail(_address)?$","email"),this.pastColumnPattern=this.parseColumnPattern(e.pastColumnPattern??DEFAULT_PAST_COLUMN_PATTERN,"past date"),this.typeMapping.setOverrides(e.typeMappingOverrides),this.appConfig={port:parseInt(String(e.appPort??"").trim(),10)},this.databaseConfig={url:String(e.dbUrl??"").trim(),username:String(e.dbUsername??"").trim(),password:e.dbPassword??"",driver:String(e.dbDriver??"").trim(),showSql:"true"===String(e.dbShowSql??"true"),dialect:String(e.dbDialect??"").trim()}}parseRelationDepth(e){const t="string"==typeof e&&""!==e.trim()?Number(e):e;if(!Number.isInteger(t)||t<0)throw new Error(`Invalid max relation depth "${e}", expected a non-negative integer`);return t}parseColumnPattern(e,t){if(e)try{new RegExp(e,"i")}catch(n){throw new Error(`Invalid ${t} column pattern "${e}": ${n.message}`)}return e}generate(e,t={}){if(e&&(this.model=e),!this.model||!Array.isArray(this.model.entities))throw new Error("No model to generate. Import a SQL file or a project file first.");return this.configure(t),this.generateVirtualFiles()}async generateZip(e,t={},n="uint8array"){return this.createZip(this.generate(e,t),n)}merge(e,t,n){return this.projectMerger.merge(n,this.generate(e,t))}async mergeZip(e,t,n,a="uint8array"){const r=await this.projectMerger.readZip(n),i=this.merge(e,t,r);return{content:await this.createZip(i.files,a),report:i.report}}async createZip(e,t){const n=new("undefined"==typeof JSZip?require("./jszip.min.js"):JSZip);for(const t of e)n.file(t.name,t.content);return n.generateAsync({type:t})}getEntities(){let e=this.model.entities;return"manyToMany"!==this.joinTableMode?e:e.filter(t=>null==t.getJoinTableReferences(e))}getSqlName(e,t=e.name){let n=e.physicalName||t;return e.physicalName||SQL_RESERVED_WORDS.has(n.toLowerCase())?`\\"${n.replace(/"/g,'\\"\\"')}\\"`:n}getColumnSqlName(e,t){let n=e.columns.find(e=>e.name===t);return n?this.getSqlName(n):t}getManyToManyRelations(e){if("manyToMany"!==this.joinTableMode)return[];let t=this.model.entities,n=this.getRelationIndex(t).joinTables;return this.schemaUtils.getManyToManyReferences(t,e,n).map(e=>{let a=this.schemaUtils.getManyToManyReferences(t,e.entity,n).find(t=>t.joinTable===e.joinTable);return{joinTable:e.joinTable,fieldName:e.fieldName,owner:e.owner,entity:e.entity,column:e.column,inverseColumn:e.inverseColumn,referencedColumn:this.getJoinColumnTarget(e.joinTable,e.column),inverseReferencedColumn:this.getJoinColumnTarget(e.joinTable,e.inverseColumn),inverseFieldName:a.fieldName}})}getJoinColumnTarget(e,t){let n=e.getReferencedEntity(t,this.model.entities);return n.entity.columns.find(e=>e.name===n.columnName)||this.getPrimaryKeys(n.entity)[0]}getPrimaryKeys(e){return e.columns.filter(e=>e.primaryKey)}getPrimatyKey(e){const t=e.columns.find(e=>e.primaryKey);return t?{primaryKeyName:t.name,primaryKeyCamel:this.stringUtil.camelize(t.name),primaryKeyType:t.type,primaryKeyJavaType:this.getKeyJavaType(t)}:null}getJavaType(e,t="",n=""){return this.typeMapping.getJavaType(e,t,n)}getKeyJavaType(e){return this.getJavaType(e.type,e.length,e.name)}getColumnJavaType(e,t){return t.isEnum()?e.getEnumTypeName(t,this.model.entities):this.getKeyJavaType(t)}getGenerationType(e){return"UUID"===this.getKeyJavaType(e)?"UUID":"IDENTITY"}getColumnTypeAnnotation(e,t){return e.isEnum()&&e.enumType?`    @Convert(converter = ${t}Converter.class)\n    @ColumnTransformer(read = "cast(${this.getSqlName(e)} as text)", write = "cast(? as \\"${e.enumType.replace(/"/g,'\\"\\"')}\\")")\n`:e.isEnum()?`    @Convert(converter = ${t}Converter.class)\n`:this.typeMapping.isJson(e)?"    @JdbcTypeCode(SqlTypes.JSON)\n":""}getColumnDataType(e){return e.isEnum()?"Enum":this.getDataType(e.type,e.length,e.name)}createEnumImports(e,t){let n="";return e.columns.filter(e=>e.isEnum()).forEach(a=>{let r=e.getEnumTypeName(a,this.model.entities);n+=`import ${this.packageName}.enums.${r};\n`,t&&(n+=`import ${this.packageName}.enums.${r}Converter;\n`)}),n}createKeyTypeImports(e,t){let n=t.columns.filter(n=>n.primaryKey||this.isForeignKey(e,t,n));return this.getManyToManyRelations(t).forEach(e=>n.push(...e.joinTable.columns)),this.typeMapping.createJavaImports(n)}getValidationAnnotations(e,t,n){let a=[],r=this.getKeyJavaType(e),i=e.type.toUpperCase(),o=e.values?e.values.split(",").map(e=>e.trim()).filter(e=>""!==e):[];t&&a.push("@NotNull"),"String"===r&&-1!==i.indexOf("CHAR")&&/^\d+$/.test(String(e.length))&&a.push(`@Size(max = ${e.length})`);let s="DECIMAL"===i||"NUMERIC"===i?/^\s*(\d+)\s*,\s*(\d+)\s*$/.exec(String(e.length)):null;if(s){let e=parseInt(s[1]),t=parseInt(s[2]);a.push(`@Digits(integer = ${e-t}, fraction = ${t})`)}if(("ENUM"===i&&!e.isEnum()||"SET"===i)&&o.length>0){let e="("+o.map(e=>this.escapeJavaString(e.replace(/[.*+?^${}()|[\]\\]/g,"\\$&"))).join("|")+")",t="ENUM"===i?`^${e}$`:`^(${e}(,${e})*)?$`;a.push(`@Pattern(regexp = "${t}")`)}return"String"===r&&this.matchesColumnPattern(this.emailColumnPattern,e.name)&&a.push("@Email"),["LocalDate","LocalDateTime","OffsetDateTime"].includes(r)&&this.matchesColumnPattern(this.pastColumnPattern,e.name)&&a.push("@Past"),a.forEach(e=>n.add(e.replace(/^@(\w+).*$/,"$1"))),a.map(e=>`    ${e}\n`).join("")}createConstraintImports(e){return 0===e.size?"":"\n"+[...e].sort().map(e=>`import jakarta.validation.constraints.${e};\n`).join("")}matchesColumnPattern(e,t){return!!e&&new RegExp(e,"i").test(t)}escapeJavaString(e){return e.replace(/\\/g,"\\\\").replace(/"/g,'\\"')}createSourceDirectoryFromArtefact(e){return"src/main/java/"+e.split(".").join("/")+"/"}generateApplicationFile(){let e=this.usesSliceRepository();const t=`package ${this.packageName};\n\nimport org.springframework.boot.SpringApplication;\nimport org.springframework.boot.autoconfigure.SpringBootApplication;\n${e?`import org.springframework.data.jpa.repository.config.EnableJpaRepositories;\n\nimport ${this.packageName}.repository.SliceRepositoryImpl;\n`:""}\n@SpringBootApplication\n${e?"@EnableJpaRepositories(repositoryBaseClass = SliceRepositoryImpl.class)\n":""}public class Application {\n    public static void main(String[] args) {\n        SpringApplication.run(Application.class, args);\n    }\n}\n`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"Application.java",content:t}]}usesSliceRepository(){return"slice"===this.paginationMode||"cursor"===this.paginationMode}generateSliceRepositoryFiles(){const e=`package ${this.packageName}.repository;\n\nimport org.springframework.data.domain.Pageable;\nimport org.springframework.data.domain.Slice;\nimport org.springframework.data.jpa.domain.Specification;\nimport org.springframework.data.jpa.repository.JpaRepository;\nimport org.springframework.data.repository.NoRepositoryBean;\n\n/**\n * Base repository adding {@link Slice} queries without a COUNT query.\n *\n * @param <T> The entity type.\n * @param <ID> The primary key type.\n */\n@NoRepositoryBean\npublic interface SliceRepository<T, ID> extends JpaRepository<T, ID> {\n\n    /**\n     * Finds a slice of records matching the specification.\n     *\n     * @param specification The filter specification, may be null.\n     * @param pageable The requested page and sort order.\n     * @return The records of the requested page and whether a next page exists.\n     */\n    Slice<T> findSlice(Specification<T> specification, Pageable pageable);\n}\n`,t=`package ${this.packageName}.repository;\n\nimport java.util.List;\n\nimport org.springframework.data.domain.Pageable;\nimport org.springframework.data.domain.Slice;\nimport org.springframework.data.domain.SliceImpl;\nimport org.springframework.data.jpa.domain.Specification;\nimport org.springframework.data.jpa.repository.support.JpaEntityInformation;\nimport org.springframework.data.jpa.repository.support.SimpleJpaRepository;\n\nimport jakarta.persistence.EntityManager;\nimport jakarta.persistence.TypedQuery;\n\n/**\n * Repository base class implementing {@link SliceRepository}.\n * <p>\n * One record more than the page size is fetched to find out whether a next page exists,\n * so the total number of records is never counted.\n * </p>\n *\n * @param <T> The entity type.\n * @param <ID> The primary key type.\n */\npublic class SliceRepositoryImpl<T, ID> extends SimpleJpaRepository<T, ID> implements SliceRepository<T, ID> {\n\n    public SliceRepositoryImpl(JpaEntityInformation<T, ?> entityInformation, EntityManager entityManager) {\n        super(entityInformation, entityManager);\n    }\n\n    @Override\n    public Slice<T> findSlice(Specification<T> specification, Pageable pageable) {\n        TypedQuery<T> query = getQuery(specification, pageable.getSort());\n        if (pageable.isUnpaged()) {\n            return new SliceImpl<>(query.getResultList());\n        }\n        query.setFirstResult((int) pageable.getOffset());\n        query.setMaxResults(pageable.getPageSize() + 1);\n        List<T> content = query.getResultList();\n        boolean hasNext = content.size() > pageable.getPageSize();\n        if (hasNext) {\n            content = content.subList(0, pageable.getPageSize());\n        }\n        return new SliceImpl<>(content, pageable, hasNext);\n    }\n}\n`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"repository/SliceRepository.java",content:e},{name:this.createSourceDirectoryFromArtefact(this.packageName)+"repository/SliceRepositoryImpl.java",content:t}]}checkDialect(){const e=this.jdbcDriverCatalog.resolve(this.databaseConfig.url,this.databaseConfig.driver);return this.hibernateDialects.check(this.databaseConfig.dialect,e?e.dialect:"")}generateApplicationPropertiesFile(e,t){const n=this.checkDialect().dialect,a=this.jdbcDriverCatalog.resolve(t.url,t.driver),r=t.driver||(a?a.driverClassNames[0]:"");return[{name:"src/main/resources/application.properties",content:`# Spring Boot application properties\n# Server port\nserver.port=${e.port||8080}\n# Database configuration\nspring.datasource.url=${t.url||"jdbc:mysql://localhost:3306/mydb"}\nspring.datasource.username=${t.username||"root"}\nspring.datasource.password=${t.password||""}\nspring.datasource.driver-class-name=${r}\n# JPA/Hibernate configuration\nspring.jpa.show-sql=${t.showSql||"true"}\n${n?"spring.jpa.properties.hibernate.dialect="+n:"# The Hibernate dialect is detected from the JDBC connection"}\n# GraphQL configuration\nspring.graphql.schema-location=classpath:graphql/schema.graphqls\n# Logging configuration\nlogging.level.org.springframework=INFO\nlogging.level.org.hibernate.SQL=DEBUG\nlogging.level.org.hibernate.type.descriptor.sql.BasicBinder=TRACE\n# Application name and description\nspring.application.name=${this.serviceName}\nspring.application.description=${this.serviceDescription}\n# Java version\nspring.java.version=${this.javaVersion}\n# Package name\nspring.package.name=${this.packageName}\n# Version\nspring.application.version=${this.version}\n`}]}generateRequestInterceptorFile(){const e=`package ${this.packageName}.config;\n\nimport java.net.InetAddress;\nimport java.util.HashMap;\nimport java.util.Map;\nimport java.util.Optional;\n\nimport org.springframework.graphql.server.WebGraphQlInterceptor;\nimport org.springframework.graphql.server.WebGraphQlRequest;\nimport org.springframework.graphql.server.WebGraphQlResponse;\nimport org.springframework.stereotype.Component;\nimport org.springframework.util.MultiValueMap;\nimport org.springframework.util.MultiValueMapAdapter;\n\nimport reactor.core.publisher.Mono;\n\n/**\n * The GraphQLRequestInterceptor is a Spring component that intercepts every GraphQL request.\n * It is responsible for capturing and storing important request metadata such as the client's\n * IP address, HTTP headers, and the raw GraphQL query into the GraphQLContext.\n *\n * By storing this data in the GraphQLContext, it can be accessed by any DataFetcher or\n * resolver during query execution. This enables functionalities like logging, auditing,\n * or context-based validation.\n */\n@Component\npublic class GraphQLRequestInterceptor implements WebGraphQlInterceptor {\n    /**\n     * Intercepts an incoming GraphQL request and adds metadata to its GraphQLContext.\n     *\n     * @param request The incoming GraphQL request.\n     * @param chain   The interceptor chain used to pass the request along.\n     * @return A Mono<WebGraphQlResponse> representing the response after execution.\n     */\n    @Override\n    public Mono<WebGraphQlResponse> intercept(WebGraphQlRequest request, Chain chain) {\n        Map<String, String> headers = request.getHeaders().toSingleValueMap();\n        String clientIp = Optional.ofNullable(request.getRemoteAddress())\n                .map(addr -> addr.getAddress())\n                .map(InetAddress::getHostAddress)\n                .orElse("UNKNOWN");\n        String path = request.getUri().getPath();\n        MultiValueMap<String, String> queryParams = request.getUri().getQueryParams();\n        \n        Map<String, String> queryParamsFlat = Optional.ofNullable(queryParams).orElse(new MultiValueMapAdapter<>(new HashMap<>())).toSingleValueMap();\n        \n        String graphqlQuery = Optional.ofNullable(request.getDocument()).orElse("");\n\n        Map<String, Object> contextMap = new HashMap<>();\n        contextMap.put("clientIp", clientIp);\n        contextMap.put("headers", headers);\n        contextMap.put("path", path);\n        contextMap.put("queryParams", queryParamsFlat);\n        contextMap.put("graphqlQuery", graphqlQuery);\n\n        request.configureExecutionInput((executionInput, builder) ->\n                builder.graphQLContext(contextMap).build()\n        );\n\n        return chain.next(request);\n    }\n}\n`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"config/GraphQLRequestInterceptor.java",content:e}]}generateEnumFiles(){let e=[];return this.getEntities().forEach(t=>{t.columns.filter(e=>e.isEnum()).forEach(n=>{let a=t.getEnumTypeName(n,this.model.entities),r=n.getEnumConstants().map(e=>`    ${e.name}("${this.escapeJavaString(e.value)}")`).join(",\n"),i=`package ${this.packageName}.enums;\n\n/**\n * Values of the {@code ${n.name}} column of the {@code ${t.name}} table.\n * <p>\n * The constant names are used in the GraphQL schema, the values are stored in the database.\n * </p>\n */\npublic enum ${a} {\n${r};\n\n    private final String value;\n\n    ${a}(String value) {\n        this.value = value;\n    }\n\n    /**\n     * Returns the literal stored in the database.\n     *\n     * @return The database value.\n     */\n    public String getValue() {\n        return value;\n    }\n\n    /**\n     * Finds the constant of a database literal.\n     *\n     * @param value The database value.\n     * @return The matching constant.\n     * @throws IllegalArgumentException if no constant matches the value.\n     */\n    public static ${a} fromValue(String value) {\n        for (${a} constant : values()) {\n            if (constant.value.equals(value)) {\n                return constant;\n            }\n        }\n        throw new IllegalArgumentException("Unknown ${n.name} value: " + value);\n    }\n}\n`,o=`package ${this.packageName}.enums;\n\nimport jakarta.persistence.AttributeConverter;\nimport jakarta.persistence.Converter;\n\n/**\n * Converts {@link ${a}} constants to the literals of the {@code ${n.name}} column and back.\n */\n@Converter\npublic class ${a}Converter implements AttributeConverter<${a}, String> {\n\n    @Override\n    public String convertToDatabaseColumn(${a} attribute) {\n        return attribute == null ? null : attribute.getValue();\n    }\n\n    @Override\n    public ${a} convertToEntityAttribute(String dbData) {\n        return dbData == null ? null : ${a}.fromValue(dbData);\n    }\n}\n`;e.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`enums/${a}.java`,content:i}),e.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`enums/${a}Converter.java`,content:o})})}),e}generateExceptionFiles(){const e=this.createSourceDirectoryFromArtefact(this.packageName)+"exception/";return[{name:e+"ServiceException.java",content:`package ${this.packageName}.exception;\n\nimport java.util.Collections;\nimport java.util.Map;\n\nimport graphql.ErrorClassification;\n\n/**\n * Base class of the exceptions reported to GraphQL clients as structured errors.\n * <p>\n * The classification is reported in {@code extensions.classification},\n * the code in {@code extensions.code}.\n * </p>\n */\npublic abstract class ServiceException extends RuntimeException {\n\n    private final String code;\n    private final transient ErrorClassification classification;\n\n    protected ServiceException(String message, String code, ErrorClassification classification) {\n        super(message);\n        this.code = code;\n        this.classification = classification;\n    }\n\n    protected ServiceException(String message, String code, ErrorClassification classification, Throwable cause) {\n        super(message, cause);\n        this.code = code;\n        this.classification = classification;\n    }\n\n    public String getCode() {\n        return code;\n    }\n\n    public ErrorClassification getClassification() {\n        return classification;\n    }\n\n    /**\n     * Returns additional error extensions.\n     *\n     * @return The extensions added next to the code, empty by default.\n     */\n    public Map<String, Object> getExtensions() {\n        return Collections.emptyMap();\n    }\n}\n`},{name:e+"NotFoundException.java",content:`package ${this.packageName}.exception;\n\nimport org.springframework.graphql.execution.ErrorType;\n\n/**\n * Thrown when the requested record does not exist.\n */\npublic class NotFoundException extends ServiceException {\n\n    public static final String CODE = "NOT_FOUND";\n\n    public NotFoundException(String message) {\n        super(message, CODE, ErrorType.NOT_FOUND);\n    }\n}\n`},{name:e+"ValidationFailedException.java",content:`package ${this.packageName}.exception;\n\nimport java.util.Collections;\nimport java.util.List;\nimport java.util.Map;\n\nimport org.springframework.graphql.execution.ErrorType;\n\n/**\n * Thrown when the input is invalid.\n * <p>\n * The violated fields are reported in {@code extensions.violations}.\n * </p>\n */\npublic class ValidationFailedException extends ServiceException {\n\n    public static final String CODE = "VALIDATION_FAILED";\n\n    private final transient List<Map<String, Object>> violations;\n\n    public ValidationFailedException(String message) {\n        this(message, Collections.emptyList());\n    }\n\n    public ValidationFailedException(String message, List<Map<String, Object>> violations) {\n        super(message, CODE, ErrorType.BAD_REQUEST);\n        this.violations = violations;\n    }\n\n    public List<Map<String, Object>> getViolations() {\n        return violations;\n    }\n\n    @Override\n    public Map<String, Object> getExtensions() {\n        if (violations.isEmpty()) {\n            return Collections.emptyMap();\n        }\n        return Map.of("violations", violations);\n    }\n}\n`},{name:e+"ConflictException.java",content:`package ${this.packageName}.exception;\n\nimport graphql.ErrorClassification;\n\n/**\n * Thrown when a change conflicts with existing data, for example a duplicate unique key\n * or a foreign key referencing a missing or still referenced record.\n */\npublic class ConflictException extends ServiceException {\n\n    public static final String CODE = "CONFLICT";\n\n    public static final ErrorClassification CLASSIFICATION = ErrorClassification.errorClassification(CODE);\n\n    public ConflictException(String message) {\n        super(message, CODE, CLASSIFICATION);\n    }\n\n    public ConflictException(String message, Throwable cause) {\n        super(message, CODE, CLASSIFICATION, cause);\n    }\n}\n`},{name:e+"GraphQLExceptionResolver.java",content:`package ${this.packageName}.exception;\n\nimport java.util.ArrayList;\nimport java.util.LinkedHashMap;\nimport java.util.List;\nimport java.util.Map;\n\nimport org.springframework.dao.DataIntegrityViolationException;\nimport org.springframework.graphql.execution.DataFetcherExceptionResolverAdapter;\nimport org.springframework.stereotype.Component;\n\nimport graphql.GraphQLError;\nimport graphql.GraphqlErrorBuilder;\nimport graphql.schema.DataFetchingEnvironment;\n\nimport jakarta.validation.ConstraintViolation;\nimport jakarta.validation.ConstraintViolationException;\nimport jakarta.validation.ElementKind;\nimport jakarta.validation.Path;\n\n/**\n * Translates exceptions thrown by data fetchers into structured GraphQL errors.\n * <p>\n * Constraint violations are reported as {@link ValidationFailedException},\n * unique and foreign key violations as {@link ConflictException}.\n * Other exceptions are left to the default handling.\n * </p>\n */\n@Component\npublic class GraphQLExceptionResolver extends DataFetcherExceptionResolverAdapter {\n\n    @Override\n    protected GraphQLError resolveToSingleError(Throwable ex, DataFetchingEnvironment env) {\n        ServiceException exception = translate(ex);\n        if (exception == null) {\n            return null;\n        }\n        Map<String, Object> extensions = new LinkedHashMap<>();\n        extensions.put("code", exception.getCode());\n        extensions.putAll(exception.getExtensions());\n        return GraphqlErrorBuilder.newError(env)\n                .errorType(exception.getClassification())\n                .message(exception.getMessage())\n                .extensions(extensions)\n                .build();\n    }\n\n    /**\n     * Converts an exception into a {@link ServiceException}.\n     *\n     * @param ex The exception thrown by the data fetcher.\n     * @return The service exception, or null if the exception is not handled.\n     */\n    private ServiceException translate(Throwable ex) {\n        if (ex instanceof ServiceException serviceException) {\n            return serviceException;\n        }\n        if (ex instanceof ConstraintViolationException violationException) {\n            return new ValidationFailedException("Validation failed", getViolations(violationException));\n        }\n        if (ex instanceof DataIntegrityViolationException) {\n            return new ConflictException("The change conflicts with existing data", ex);\n        }\n        return null;\n    }\n\n    /**\n     * Lists the violated fields with their messages.\n     *\n     * @param ex The constraint violation exception.\n     * @return One entry with {@code field} and {@code message} per violation.\n     */\n    private List<Map<String, Object>> getViolations(ConstraintViolationException ex) {\n        List<Map<String, Object>> violations = new ArrayList<>();\n        for (ConstraintViolation<?> violation : ex.getConstraintViolations()) {\n            Map<String, Object> item = new LinkedHashMap<>();\n            item.put("field", getFieldPath(violation.getPropertyPath()));\n            item.put("message", violation.getMessage());\n            violations.add(item);\n        }\n        return violations;\n    }\n\n    /**\n     * Builds the path of the violated field without the name of the controller method,\n     * for example {@code input.email}.\n     *\n     * @param propertyPath The property path of the violation.\n     * @return The dotted field path.\n     */\n    private String getFieldPath(Path propertyPath) {\n        List<String> names = new ArrayList<>();\n        for (Path.Node node : propertyPath) {\n            if (node.getKind() != ElementKind.METHOD && node.getName() != null) {\n                names.add(node.getName());\n            }\n        }\n        return String.join(".", names);\n    }\n}\n`}]}generateCorsConfigFile(){const e=`package ${this.packageName}.config;\n\nimport org.springframework.context.annotation.Configuration;\nimport org.springframework.web.servlet.config.annotation.CorsRegistry;\nimport org.springframework.web.servlet.config.annotation.WebMvcConfigurer;\n\n@Configuration\npublic class CorsConfig implements WebMvcConfigurer {\n\n    @Override\n    public void addCorsMappings(CorsRegistry registry) {\n        registry.addMapping("/graphql/**") \n                .allowedOrigins("*") \n                .allowedMethods("GET", "POST", "PUT", "DELETE")\n                .allowedHeaders("*");\n    }\n}`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"config/CorsConfig.java",content:e}]}generateScalarConfigFile(){const e=`package ${this.packageName}.config;\n\nimport java.math.BigDecimal;\nimport java.time.LocalDate;\nimport java.time.LocalDateTime;\nimport java.time.OffsetDateTime;\nimport java.time.format.DateTimeFormatter;\nimport java.time.temporal.TemporalAccessor;\nimport java.util.Base64;\nimport java.util.Locale;\nimport java.util.function.Function;\n\nimport org.springframework.context.annotation.Bean;\nimport org.springframework.context.annotation.Configuration;\nimport org.springframework.graphql.execution.RuntimeWiringConfigurer;\n\nimport graphql.GraphQLContext;\nimport graphql.execution.CoercedVariables;\nimport graphql.language.FloatValue;\nimport graphql.language.IntValue;\nimport graphql.language.StringValue;\nimport graphql.language.Value;\nimport graphql.schema.Coercing;\nimport graphql.schema.CoercingParseLiteralException;\nimport graphql.schema.CoercingParseValueException;\nimport graphql.schema.CoercingSerializeException;\nimport graphql.schema.GraphQLScalarType;\n\n/**\n * Registers the custom scalars declared by the GraphQL schema.\n * <ul>\n * <li>{@code Long}: 64-bit integer.</li>\n * <li>{@code BigDecimal}: exact decimal number.</li>\n * <li>{@code Date}: ISO-8601 date, e.g. {@code 2024-01-31}.</li>\n * <li>{@code DateTime}: ISO-8601 date and time, e.g. {@code 2024-01-31T10:15:30}.\n * A value with an offset, e.g. {@code 2024-01-31T10:15:30+07:00}, is parsed as {@link OffsetDateTime}.</li>\n * <li>{@code Base64}: binary content encoded in Base64.</li>\n * </ul>\n */\n@Configuration\npublic class ScalarConfig {\n\n    public static final GraphQLScalarType LONG = scalar("Long", "64-bit integer",\n        value -> ((Number) value).longValue(),\n        value -> new BigDecimal(value.toString()).longValueExact());\n\n    public static final GraphQLScalarType BIG_DECIMAL = scalar("BigDecimal", "Exact decimal number",\n        value -> new BigDecimal(value.toString()),\n        value -> new BigDecimal(value.toString()));\n\n    public static final GraphQLScalarType DATE = scalar("Date", "ISO-8601 date",\n        value -> DateTimeFormatter.ISO_LOCAL_DATE.format((TemporalAccessor) value),\n        value -> LocalDate.parse(value.toString()));\n\n    public static final GraphQLScalarType DATE_TIME = scalar("DateTime", "ISO-8601 date and time, with an optional offset",\n        value -> DateTimeFormatter.ISO_DATE_TIME.format((TemporalAccessor) value),\n        value -> DateTimeFormatter.ISO_DATE_TIME.parseBest(value.toString(), OffsetDateTime::from, LocalDateTime::from));\n\n    public static final GraphQLScalarType BASE64 = scalar("Base64", "Binary content encoded in Base64",\n        value -> Base64.getEncoder().encodeToString((byte[]) value),\n        value -> Base64.getDecoder().decode(value.toString()));\n\n    /**\n     * Adds the custom scalars to the runtime wiring of the schema.\n     *\n     * @return the runtime wiring configurer.\n     */\n    @Bean\n    public RuntimeWiringConfigurer scalarWiringConfigurer() {\n        return wiringBuilder -> wiringBuilder\n            .scalar(LONG)\n            .scalar(BIG_DECIMAL)\n            .scalar(DATE)\n            .scalar(DATE_TIME)\n            .scalar(BASE64);\n    }\n\n    /**\n     * Creates a scalar from a serializer and a parser. Literals are passed to the parser as\n     * {@link String}, {@link java.math.BigInteger} or {@link BigDecimal}.\n     *\n     * @param name the scalar name.\n     * @param description the scalar description.\n     * @param serializer converts a Java value to its output value.\n     * @param parser converts an input value to its Java value.\n     * @return the scalar type.\n     */\n    private static <T> GraphQLScalarType scalar(String name, String description, Function<Object, Object> serializer, Function<Object, T> parser) {\n        return GraphQLScalarType.newScalar()\n            .name(name)\n            .description(description)\n            .coercing(new Coercing<T, Object>() {\n\n                @Override\n                public Object serialize(Object dataFetcherResult, GraphQLContext context, Locale locale) {\n                    try {\n                        return serializer.apply(dataFetcherResult);\n                    } catch (RuntimeException e) {\n                        throw new CoercingSerializeException("Invalid " + name + " value: " + dataFetcherResult, e);\n                    }\n                }\n\n                @Override\n                public T parseValue(Object input, GraphQLContext context, Locale locale) {\n                    try {\n                        return parser.apply(input);\n                    } catch (RuntimeException e) {\n                        throw new CoercingParseValueException("Invalid " + name + " value: " + input, e);\n                    }\n                }\n\n                @Override\n                public T parseLiteral(Value<?> input, CoercedVariables variables, GraphQLContext context, Locale locale) {\n                    Object value;\n                    if (input instanceof StringValue stringValue) {\n                        value = stringValue.getValue();\n                    } else if (input instanceof IntValue intValue) {\n                        value = intValue.getValue();\n                    } else if (input instanceof FloatValue floatValue) {\n                        value = floatValue.getValue();\n                    } else {\n                        throw new CoercingParseLiteralException("Invalid " + name + " literal: " + input);\n                    }\n                    try {\n                        return parser.apply(value);\n                    } catch (RuntimeException e) {\n                        throw new CoercingParseLiteralException("Invalid " + name + " literal: " + input, e);\n                    }\n                }\n            })\n            .build();\n    }\n}\n`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"config/ScalarConfig.java",content:e}]}generateControllerFiles(){let e=this.getEntities(),t=[];return e.forEach(n=>{let a=n.name,r=this.stringUtil.camelize(a),i=this.stringUtil.upperCamel(r),o=this.getPrimaryKeys(n);if(o.length>0){let a=o.map(e=>`@Argument ${this.getKeyJavaType(e)} ${this.stringUtil.camelize(e.name)}`).join(", "),s=o.map(e=>this.stringUtil.camelize(e.name)).join(", "),l="",p="",c=[i],u="cursor"===this.paginationMode,g=u?`${i}Connection`:`List<${i}>`,m=u?`new ${i}Connection(CursorUtil.CursorPage.empty())`:"List.of()",d=u?'@Argument(name = "first") Integer first, @Argument(name = "after") String after, @Argument(name = "last") Integer last, @Argument(name = "before") String before':'@Argument(name = "pageNumber") Integer pageNumber, @Argument(name = "pageSize") Integer pageSize',h=u?"first, after, last, before":"pageNumber, pageSize";this.getParentRelations(e,n).forEach(e=>{let t=this.stringUtil.upperCamel(this.stringUtil.camelize(e.parent.name)),n=this.stringUtil.camelize(e.parent.name),a=this.stringUtil.upperCamel(this.stringUtil.camelize(e.column.name)),o=this.stringUtil.upperCamel(this.stringUtil.camelize(e.parentColumnName));c.includes(t)||(c.push(t),l+=`import ${this.packageName}.entity.${t};\n`),p+=`\n    @SchemaMapping(typeName = "${t}", field = "${e.fieldName}")\n    public ${g} ${n}${this.stringUtil.upperCamel(e.fieldName)}(${t} ${n}, ${d}, @Argument(name = "dataFilter") List<DataFilter> dataFilter, @Argument(name = "dataOrder") List<DataOrder> dataOrder, DataFetchingEnvironment env) {\n        if (RelationUtil.isDepthExceeded(env)) {\n            return ${m};\n        }\n        return ${r}Service.get${i}sBy${a}(${n}.get${o}(), ${h}, dataFilter, dataOrder);\n    }\n`}),this.getManyToManyRelations(n).forEach(e=>{let t=e.joinTable,n=this.stringUtil.upperCamel(this.stringUtil.camelize(t.name)),a=this.stringUtil.upperCamel(this.stringUtil.camelize(e.entity.name)),o=this.stringUtil.camelize(e.entity.name),s=this.stringUtil.upperCamel(this.stringUtil.camelize(e.inverseReferencedColumn.name));if(c.includes(a)||(c.push(a),l+=`import ${this.packageName}.entity.${a};\n`),p+=`\n    @SchemaMapping(typeName = "${a}", field = "${e.inverseFieldName}")\n    public ${g} ${o}${this.stringUtil.upperCamel(e.inverseFieldName)}(${a} ${o}, ${d}, @Argument(name = "dataFilter") List<DataFilter> dataFilter, @Argument(name = "dataOrder") List<DataOrder> dataOrder, DataFetchingEnvironment env) {\n        if (RelationUtil.isDepthExceeded(env)) {\n            return ${m};\n        }\n        return ${r}Service.get${i}sBy${n}(${o}.get${s}(), ${h}, dataFilter, dataOrder);\n    }\n`,e.owner){let e=t.columns.map(e=>`@Argument ${this.getKeyJavaType(e)} ${this.stringUtil.camelize(e.name)}`).join(", "),a=t.columns.map(e=>this.stringUtil.camelize(e.name)).join(", ");p+=`\n    @MutationMapping\n    public Boolean add${n}(${e}, DataFetchingEnvironment env) {\n        return ${r}Service.add${n}(${a});\n    }\n\n    @MutationMapping\n    public Boolean remove${n}(${e}, DataFetchingEnvironment env) {\n        return ${r}Service.remove${n}(${a});\n    }\n`}}),""!==p&&(l=`import org.springframework.graphql.data.method.annotation.SchemaMapping;\n${u?`import ${this.packageName}.utils.CursorUtil;\n`:""}import ${this.packageName}.utils.RelationUtil;\n`+l);let f="cursor"===this.paginationMode?`    @QueryMapping\n    public ${i}Connection get${i}s(@Argument(name = "first") Integer first, @Argument(name = "after") String after, @Argument(name = "last") Integer last, @Argument(name = "before") String before, @Argument(name = "dataFilter") List<DataFilter> dataFilter, @Argument(name = "dataOrder") List<DataOrder> dataOrder, DataFetchingEnvironment env) {\n        return ${r}Service.get${i}s(first, after, last, before, dataFilter, dataOrder);\n    }\n`:`    @QueryMapping\n    public ${i}Connection get${i}s(@Argument(name = "pageNumber") Integer pageNumber, @Argument(name = "pageSize") Integer pageSize, @Argument(name = "dataFilter") List<DataFilter> dataFilter, @Argument(name = "dataOrder") List<DataOrder> dataOrder, DataFetchingEnvironment env) {\n        return ${r}Service.get${i}s(pageNumber, pageSize, dataFilter, dataOrder);\n    }\n`,y=`package ${this.packageName}.controller;\n\n${this.createKeyTypeImports(e,n)}import java.util.List;\n\nimport org.springframework.graphql.data.method.annotation.Argument;\nimport org.springframework.graphql.data.method.annotation.QueryMapping;\nimport org.springframework.graphql.data.method.annotation.MutationMapping;\nimport org.springframework.stereotype.Controller;\nimport org.springframework.validation.annotation.Validated;\n\nimport ${this.packageName}.output.${i}Connection;\nimport ${this.packageName}.utils.DataFilter;\nimport ${this.packageName}.utils.DataOrder;\nimport ${this.packageName}.dto.${i}Create;\nimport ${this.packageName}.dto.${i}Update;\nimport ${this.packageName}.entity.${i};\nimport ${this.packageName}.service.${i}Service;\n${l}\nimport graphql.schema.DataFetchingEnvironment;\n\nimport jakarta.validation.Valid;\n\nimport lombok.RequiredArgsConstructor;\n\n@Controller\n@Validated\n@RequiredArgsConstructor\npublic class ${i}Controller {\n\n    private final ${i}Service ${r}Service;\n\n${f}\n    @QueryMapping\n    public ${i} get${i}(${a}, DataFetchingEnvironment env) {\n        return ${r}Service.get${i}(${s});\n    }\n\n    @MutationMapping\n    public ${i} create${i}(@Argument @Valid ${i}Create input, DataFetchingEnvironment env) {\n        return ${r}Service.create${i}(input);\n    }\n\n    @MutationMapping\n    public ${i} update${i}(@Argument @Valid ${i}Update input, DataFetchingEnvironment env) {\n        return ${r}Service.update${i}(input);\n    }\n\n    @MutationMapping\n    public Boolean delete${i}(${a}, DataFetchingEnvironment env) {\n        ${r}Service.delete${i}(${s});\n        return true;\n    }\n${p}}\n`;t.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`controller/${i}Controller.java`,content:y})}}),t}getDataTypeConstant(e){switch(e){case"Long":return"SpecificationUtil.DATA_TYPE_LONG";case"Integer":return"SpecificationUtil.DATA_TYPE_INTEGER";case"Double":return"SpecificationUtil.DATA_TYPE_DOUBLE";case"BigDecimal":return"SpecificationUtil.DATA_TYPE_BIG_DECIMAL";case"Float":return"SpecificationUtil.DATA_TYPE_FLOAT";case"Boolean":return"SpecificationUtil.DATA_TYPE_BOOLEAN";case"Date":return"SpecificationUtil.DATA_TYPE_DATE";case"DateTime":return"SpecificationUtil.DATA_TYPE_DATETIME";case"OffsetDateTime":return"SpecificationUtil.DATA_TYPE_OFFSET_DATETIME";case"UUID":return"SpecificationUtil.DATA_TYPE_UUID";case"String":return"SpecificationUtil.DATA_TYPE_STRING";case"Enum":return"SpecificationUtil.DATA_TYPE_ENUM";default:return""}}getFilterOperationConstant(e){return"partial"===e?"SpecificationUtil.FILTER_OPERATION_PARTIAL":"SpecificationUtil.FILTER_OPERATION_EXACT"}createServiceRelationMethod(e,t,n,a,r,i,o){if("cursor"===this.paginationMode)return`\n    /**\n     * Retrieves a page of optionally filtered {@link ${e}} records\n     * ${i}\n     * @param first the number of records to return after the {@code after} cursor.\n     * @param after the cursor of the record to start after (may be {@code null}).\n     * @param last the number of records to return before the {@code before} cursor.\n     * @param before the cursor of the record to end before (may be {@code null}).\n     * @param dataFilter an optional list of filters to be applied to the query (may be {@code null} or empty).\n     * @param dataOrder an optional list of fields and their sort order to be applied to the query (may be {@code null} or empty).\n     * @return {@link ${e}Connection} object containing the edges of the requested page\n     *         and the pagination metadata.\n     */\n    public ${e}Connection ${a}(${r}, Integer first, String after, Integer last, String before, List<DataFilter> dataFilter, List<DataOrder> dataOrder) {\n        \n        Specification<${e}> relationSpecification = (root, query, criteriaBuilder) -> ${o};\n        Specification<${e}> specification = SpecificationUtil.createSpecificationFromFilter(dataFilter, this.queryPredicateMapping.getFilter());\n        \n        CursorUtil.CursorPage<${e}> page = CursorUtil.findPage(\n        \t${t}Repository::findSlice, \n        \trelationSpecification.and(specification), \n        \tfirst, after, last, before, \n        \tdataOrder, this.queryPredicateMapping.getFilter(), ${n}\n        );\n        return new ${e}Connection(page);\n    }\n`;return`\n    /**\n     * Retrieves a paginated and optionally filtered list of {@link ${e}} records\n     * ${i}\n     * @param pageNumber the 1-based page number for pagination.\n     * @param pageSize the number of records to retrieve per page.\n     * @param dataFilter an optional list of filters to be applied to the query (may be {@code null} or empty).\n     * @param dataOrder an optional list of fields and their sort order to be applied to the query (may be {@code null} or empty).\n     * @return the matching ${e} records of the requested page.\n     */\n    public List<${e}> ${a}(${r}, Integer pageNumber, Integer pageSize, List<DataFilter> dataFilter, List<DataOrder> dataOrder) {\n        \n        Specification<${e}> relationSpecification = (root, query, criteriaBuilder) -> ${o};\n        Specification<${e}> specification = SpecificationUtil.createSpecificationFromFilter(dataFilter, this.queryPredicateMapping.getFilter());\n        \n        Pageable pageable = PageUtil.pageRequest(pageNumber, pageSize, dataOrder, this.queryPredicateMapping.getFilter(), Sort.by(Sort.Direction.ASC, ${n}));\n        \n        return ${t}Repository.${"slice"===this.paginationMode?"findSlice":"findAll"}(\n        \trelationSpecification.and(specification), \n        \tpageable\n        ).getContent();\n    }\n`}generateServiceFiles(){let e=this,t=this.getEntities(),n=[],a="slice"===this.paginationMode?"Slice":"Page",r="slice"===this.paginationMode?"findSlice":"findAll",i="cursor"===this.paginationMode;return t.forEach(o=>{let s=o.name,l=this.stringUtil.camelize(s),p=this.stringUtil.upperCamel(l),c=this.getPrimaryKeys(o),u="";if(o.columns.filter(t=>null!==e.getColumnDataType(t)).forEach(t=>{let n=e.getColumnDataType(t),a=e.getDataTypeConstant(n),r=e.getFilterOperationConstant(e.getFilterType(n)),o=this.stringUtil.camelize(t.name);u+=`\t\tthis.queryPredicateMapping.add("${o}", "${o}", ${a}, ${r});\r\n`,i&&t.nullable&&!t.primaryKey&&(u+=`\t\tthis.queryPredicateMapping.markNullable("${o}");\r\n`)}),e.getRelationColumnPaths(t,o,"",e.maxRelationDepth).filter(t=>null!==e.getColumnDataType(t.column)).forEach(t=>{let n=e.getColumnDataType(t.column),a=e.getDataTypeConstant(n),r=e.getFilterOperationConstant(e.getFilterType(n));u+=`\t\tthis.queryPredicateMapping.add("${t.path}", "${t.path}", ${a}, ${r});\r\n`,i&&t.nullable&&(u+=`\t\tthis.queryPredicateMapping.markNullable("${t.path}");\r\n`)}),c.length>0){let s=c.map(e=>`${this.getKeyJavaType(e)} ${this.stringUtil.camelize(e.name)}`).join(", "),g=c.map(e=>this.stringUtil.camelize(e.name)).join(", "),m='"'+c.map(e=>this.stringUtil.camelize(e.name)).join('", "')+'"',d=c.map(e=>this.stringUtil.upperCamel(this.stringUtil.camelize(e.name))).join("And"),h=[];c.forEach(e=>{let t=this.stringUtil.upperCamel(this.stringUtil.camelize(e.name));h.push(`input.get${t}() == null`)});let f=c.map(e=>`${this.stringUtil.camelize(e.name)} " + ${this.stringUtil.camelize(e.name)} + "`).join(", "),y=c.map(e=>`${this.stringUtil.camelize(e.name)} " + input.get${this.stringUtil.upperCamel(this.stringUtil.camelize(e.name))}() + "`).join(", "),S=c.map(e=>`input.get${this.stringUtil.upperCamel(this.stringUtil.camelize(e.name))}()`).join(", "),v=`if(${h.join(" || ")})\n    \t{\n    \t\tthrow new ValidationFailedException("The primary key of ${p} is required");\n    \t}\n        if (${l}InputRepository.findOneBy${d}(${S}) == null)\n        {\n            throw new NotFoundException("${p} with ${y} not found");\n        }\n        `,b="cursor"===e.paginationMode?`    /**\n     * Retrieves a page of optionally filtered {@link ${p}} records using cursor-based pagination.\n     * Records are selected with a keyset condition on the sort fields, so paging stays stable\n     * while records are added or removed.\n     *\n     * @param first the number of records to return after the {@code after} cursor.\n     * @param after the cursor of the record to start after (may be {@code null}).\n     * @param last the number of records to return before the {@code before} cursor.\n     * @param before the cursor of the record to end before (may be {@code null}).\n     * @param dataFilter an optional list of filters to be applied to the query (may be {@code null} or empty).\n     * @param dataOrder an optional list of fields and their sort order to be applied to the query (may be {@code null} or empty).\n     * @return {@link ${p}Connection} object containing the edges of the requested page\n     *         and the pagination metadata.\n     */\n    public ${p}Connection get${p}s(Integer first, String after, Integer last, String before, List<DataFilter> dataFilter, List<DataOrder> dataOrder) {\n        \n        Specification<${p}> specification = SpecificationUtil.createSpecificationFromFilter(dataFilter, this.queryPredicateMapping.getFilter());\n        \n        CursorUtil.CursorPage<${p}> page = CursorUtil.findPage(\n        \t${l}Repository::findSlice, \n        \tspecification, \n        \tfirst, after, last, before, \n        \tdataOrder, this.queryPredicateMapping.getFilter(), ${m}\n        );\n        return new ${p}Connection(page);\n    }\n\n`:`    /**\n     * Retrieves a paginated and optionally filtered list of {@link ${p}} records from the database.\n     * This method supports dynamic filtering and sorting based on the provided criteria,\n     * and wraps the result in an {@link ${p}Connection} for pagination support.\n     *\n     * @param pageNumber the 1-based page number for pagination (required).\n     * @param pageSize the number of records to retrieve per page (required).\n     * @param dataFilter an optional list of filters to be applied to the query (may be {@code null} or empty).\n     * @param dataOrder an optional list of fields and their sort order to be applied to the query (may be {@code null} or empty).\n     * @return {@link ${p}Connection} object containing the paginated {@link ${p}} records\n     *         that match the given filtering and sorting criteria.\n     */\n    public ${p}Connection get${p}s(Integer pageNumber, Integer pageSize, List<DataFilter> dataFilter, List<DataOrder> dataOrder) {\n        \n        Specification<${p}> specification = SpecificationUtil.createSpecificationFromFilter(dataFilter, this.queryPredicateMapping.getFilter());\n        \n        Pageable pageable = PageUtil.pageRequest(pageNumber, pageSize, dataOrder, this.queryPredicateMapping.getFilter(), Sort.by(Sort.Direction.ASC, ${m}));\n        \n        ${a}<${p}> page = ${l}Repository.${r}(\n        \tspecification, \n        \tpageable\n        );\n        return new ${p}Connection(page);\n    }\n\n`,T="";e.getParentRelations(t,o).forEach(t=>{let n=this.stringUtil.upperCamel(this.stringUtil.camelize(t.parent.name)),a=this.stringUtil.camelize(t.column.name);T+=e.createServiceRelationMethod(p,l,m,`get${p}sBy${this.stringUtil.upperCamel(a)}`,`${e.getKeyJavaType(t.column)} ${a}`,`referencing the given {@link ${n}} through {@code ${t.column.name}}.\n     *\n     * @param ${a} the referenced ${n} key.`,`criteriaBuilder.equal(root.get("${a}"), ${a})`)}),e.getManyToManyRelations(o).forEach(t=>{let n=t.joinTable,a=this.stringUtil.upperCamel(this.stringUtil.camelize(n.name)),r=this.stringUtil.upperCamel(this.stringUtil.camelize(t.entity.name)),i=this.stringUtil.camelize(t.inverseColumn.name);if(T+=e.createServiceRelationMethod(p,l,m,`get${p}sBy${a}`,`${e.getKeyJavaType(t.inverseReferencedColumn)} ${i}`,`linked to the given {@link ${r}} through {@code ${n.name}}.\n     *\n     * @param ${i} the linked ${r} key.`,`criteriaBuilder.equal(root.join("${t.fieldName}").get("${this.stringUtil.camelize(t.inverseReferencedColumn.name)}"), ${i})`),t.owner){let t=n.columns.map(t=>`${e.getKeyJavaType(t)} ${this.stringUtil.camelize(t.name)}`).join(", "),i=n.columns.map(e=>this.stringUtil.camelize(e.name)).join(", ");T+=`\n    /**\n     * Links a {@link ${p}} and a {@link ${r}} through {@code ${n.name}}.\n     * Existing links are left unchanged.\n     *\n${n.columns.map(e=>`     * @param ${this.stringUtil.camelize(e.name)} the ${e.name} of the link.`).join("\n")}\n     * @return true when the records are linked.\n     */\n    @Transactional\n    public Boolean add${a}(${t}) {\n        if (${l}Repository.count${a}(${i}) == 0) {\n            ${l}Repository.add${a}(${i});\n        }\n        return true;\n    }\n\n    /**\n     * Removes the link between a {@link ${p}} and a {@link ${r}} from {@code ${n.name}}.\n     *\n${n.columns.map(e=>`     * @param ${this.stringUtil.camelize(e.name)} the ${e.name} of the link.`).join("\n")}\n     * @return true if a link was removed.\n     */\n    @Transactional\n    public Boolean remove${a}(${t}) {\n        return ${l}Repository.remove${a}(${i}) > 0;\n    }\n`}});let $=`package ${this.packageName}.service;\n\n${this.createKeyTypeImports(t,o)}import java.util.List;\n\n${i?"":`import org.springframework.data.domain.${a};\nimport org.springframework.data.domain.Pageable;\nimport org.springframework.data.domain.Sort;\n`}import org.springframework.data.jpa.domain.Specification;\nimport org.springframework.stereotype.Service;\nimport lombok.RequiredArgsConstructor;\n\nimport ${this.packageName}.dto.${p}Create;\nimport ${this.packageName}.dto.${p}Update;\nimport ${this.packageName}.entity.${p};\nimport ${this.packageName}.entity.${p}Input;\nimport ${this.packageName}.exception.NotFoundException;\nimport ${this.packageName}.exception.ValidationFailedException;\nimport ${this.packageName}.output.${p}Connection;\nimport ${this.packageName}.repository.${p}Repository;\nimport ${this.packageName}.repository.${p}InputRepository;\nimport ${this.packageName}.utils.DataFilter;\nimport ${this.packageName}.utils.DataOrder;\nimport ${this.packageName}.utils.QueryPredicateMapping;\n${i?`import ${this.packageName}.utils.CursorUtil;\n`:`import ${this.packageName}.utils.PageUtil;\n`}import ${this.packageName}.utils.SpecificationUtil;\n\nimport jakarta.annotation.PostConstruct;\nimport jakarta.transaction.Transactional;\n\n/**\n * Service class for handling business logic and CRUD operations \n * for the {@link ${p}} entity.\n *\n * <p>This service provides methods to query, create, update, and delete \n * records from the database using the associated repository.</p>\n *\n * <p>Generated automatically by GraphQL Generator.</p>\n */\n@Service\n@RequiredArgsConstructor\npublic class ${p}Service {\n\n    private final ${p}Repository ${l}Repository;\n    private final ${p}InputRepository ${l}InputRepository;\n\n    private QueryPredicateMapping queryPredicateMapping;\n    \n    @PostConstruct\n    public void init()\n    {\n    \tqueryPredicateMapping = new QueryPredicateMapping();\n    \t\n${u}\n    }\n    \n${b}    /**\n     * Retrieves ${p} record matching the given primary key.\n     *\n${c.map(e=>`     * @param ${this.stringUtil.camelize(e.name)} the primary key value used for filtering.`).join("\n")}\n     * @return the matching ${p} entity.\n     * @throws NotFoundException if no record matches the primary key.\n     */\n    public ${p} get${p}(${s}) {\n        ${p} ${l} = ${l}Repository.findOneBy${d}(${g});\n        if (${l} == null)\n        {\n            throw new NotFoundException("${p} with ${f} not found");\n        }\n        return ${l};\n    }\n${T}\n    /**\n     * Creates a new record for {@link ${p}} in the database.\n     *\n     * @param input the ${p} entity to be created.\n     * @return the saved ${p} entity.\n     */\n    public ${p} create${p}(${p}Create input) {\n        ${p}Input saved = ${l}InputRepository.save(${p}Create.createEntity(input));\n        return ${l}Repository.findOneBy${d}(\n            ${c.map(e=>`saved.get${this.stringUtil.upperCamel(this.stringUtil.camelize(e.name))}()`).join(", ")}\n        );\n    }\n\n    /**\n     * Updates an existing {@link ${p}} record in the database.\n     *\n     * @param input the ${p} entity containing updated values.\n     * @return the updated ${p} entity.\n     * @throws ValidationFailedException if the primary key is missing.\n     * @throws NotFoundException if no record matches the primary key.\n     */\n    public ${p} update${p}(${p}Update input) {\n        ${v}${p}Input saved = ${l}InputRepository.save(${p}Update.createEntity(input));\n        return ${l}Repository.findOneBy${d}(\n            ${c.map(e=>`saved.get${this.stringUtil.upperCamel(this.stringUtil.camelize(e.name))}()`).join(", ")}\n        );\n    }\n\n    /**\n     * Deletes the {@link ${p}} record that matches the given primary key(s).\n     *\n${c.map(e=>`     * @param ${this.stringUtil.camelize(e.name)} the primary key value of the record to delete.`).join("\n")}\n     * @throws NotFoundException if no record matches the primary key.\n     */\n    @Transactional\n    public void delete${p}(${s}) {\n        if (${l}InputRepository.findOneBy${d}(${g}) == null)\n        {\n            throw new NotFoundException("${p} with ${f} not found");\n        }\n        ${l}InputRepository.deleteBy${d}(${g});\n    }\n}\n`;n.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`service/${p}Service.java`,content:$})}}),n}gereratePageUtilFile(){const e=`package ${this.packageName}.utils;\n\nimport org.springframework.data.domain.PageRequest;\nimport org.springframework.data.domain.Pageable;\nimport org.springframework.data.domain.Sort;\nimport org.springframework.data.domain.Sort.Direction;\n\npublic class PageUtil {\n\n    /**\n     * Creates a Pageable object for paginated and sorted queries.\n     *\n     * @param pageNumber The 1-based page number. Defaults to 1 if null or less than 1.\n     * @param pageSize The number of items per page. Defaults to 20, min is 1.\n     * @param orderByFields An array of field names to sort by. Defaults to ascending.\n     * @return A Pageable object configured with pagination and sorting.\n     */\n    public static Pageable pageRequest(Integer pageNumber, Integer pageSize, String... orderByFields) {\n        // Handle page number: convert to 0-based and ensure it's not negative.\n        int currentPage = (pageNumber != null && pageNumber > 0) ? pageNumber - 1 : 0;\n        \n        // Handle page size: ensure it's at least 1.\n        int rowPerPage = (pageSize != null && pageSize > 0) ? pageSize : 20;\n\n        // Create Sort object if orderByFields are provided\n        Sort sort = Sort.unsorted();\n        if (orderByFields != null && orderByFields.length > 0) {\n            sort = Sort.by(Direction.ASC, orderByFields);\n        }\n        \n        return PageRequest.of(currentPage, rowPerPage, sort);\n    }\n}\n`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"utils/PageUtil.java",content:e}]}generateSpecificationUtilFile(){const e=`package ${this.packageName}.utils;\n\nimport jakarta.persistence.criteria.CriteriaBuilder;\nimport jakarta.persistence.criteria.Expression;\nimport jakarta.persistence.criteria.From;\nimport jakarta.persistence.criteria.Path;\nimport jakarta.persistence.criteria.Join;\nimport jakarta.persistence.criteria.JoinType;\nimport jakarta.persistence.criteria.Predicate;\nimport jakarta.persistence.criteria.Root;\n\nimport java.math.BigDecimal;\nimport java.time.LocalDate;\nimport java.time.LocalDateTime;\nimport java.time.OffsetDateTime;\nimport java.time.format.DateTimeParseException;\nimport java.util.ArrayList;\nimport java.util.Arrays;\nimport java.util.List;\nimport java.util.Map;\nimport java.util.Optional;\nimport java.util.HashMap;\nimport java.util.UUID;\n\nimport org.springframework.data.jpa.domain.Specification;\nimport org.slf4j.Logger;\nimport org.slf4j.LoggerFactory;\n\n/**\n * Utility class for creating dynamic JPA Specifications from DataFilters.\n * This class provides a generic method that can be used for any entity type.\n */\npublic class SpecificationUtil {\n\n    private SpecificationUtil() {\n        // Hide public constructor\n    }\n\n    public static final String DATA_TYPE_LONG = "Long";\n    public static final String DATA_TYPE_INTEGER = "Integer";\n    public static final String DATA_TYPE_DOUBLE = "Double";\n    public static final String DATA_TYPE_FLOAT = "Float";\n    public static final String DATA_TYPE_BIG_DECIMAL = "BigDecimal";\n    public static final String DATA_TYPE_BOOLEAN = "Boolean";\n    public static final String DATA_TYPE_DATE = "Date";\n    public static final String DATA_TYPE_DATETIME = "DateTime";\n    public static final String DATA_TYPE_OFFSET_DATETIME = "OffsetDateTime";\n    public static final String DATA_TYPE_UUID = "UUID";\n    public static final String DATA_TYPE_STRING = "String";\n    public static final String DATA_TYPE_ENUM = "Enum";\n\n    public static final String FILTER_OPERATION_EXACT = "exact";\n    public static final String FILTER_OPERATION_PARTIAL = "partial";\n\n    public static final String OPERATOR_EQ = "eq";\n    public static final String OPERATOR_NEQ = "neq";\n    public static final String OPERATOR_GT = "gt";\n    public static final String OPERATOR_GTE = "gte";\n    public static final String OPERATOR_LT = "lt";\n    public static final String OPERATOR_LTE = "lte";\n    public static final String OPERATOR_BETWEEN = "between";\n    public static final String OPERATOR_IN = "in";\n    public static final String OPERATOR_NOT_IN = "notIn";\n    public static final String OPERATOR_IS_NULL = "isNull";\n    public static final String OPERATOR_STARTS_WITH = "startsWith";\n    public static final String OPERATOR_CONTAINS = "contains";\n\n    public static final String REGEX_INTEGER = "^-?\\\\d+$";\n    public static final String REGEX_FLOAT   = "^-?\\\\d+(\\\\.\\\\d+)?$";\n    public static final String REGEX_BOOLEAN = "^(?i:true|false)$";\n\n    private static final Logger logger = LoggerFactory.getLogger(SpecificationUtil.class);\n\n    /**\n     * Converts a list of {@link DataFilter} objects into a {@link Map}.\n     * <p>\n     * Each entry in the resulting map uses the filter's field name as the key\n     * and the filter's field value as the value. Filters with a {@code null}\n     * field name are ignored.\n     * </p>\n     *\n     * @param dataFilter the list of filters; may be {@code null} or empty\n     * @return a non-null {@link Map} where keys are field names and values are the\n     *         corresponding field values; may be empty if no valid filters are provided\n     */\n    public static Map<String, Object> getFilterFromRequest(List<DataFilter> dataFilter) {\n        Map<String, Object> result = new HashMap<>();\n        if (dataFilter == null || dataFilter.isEmpty()) {\n            return result;\n        }\n        for (DataFilter filter : dataFilter) {\n            String key = filter.getFieldName();\n            Object fieldValue = filter.getFieldValue();\n            if (key != null) {\n                result.put(key, fieldValue);\n            }\n        }\n        return result;\n    }\n\n    /**\n     * Creates a generic {@link Specification} from a list of {@link DataFilter} to build dynamic queries.\n     * The filters of the list are combined with AND. Each filter may contain nested {@code and}\n     * and {@code or} groups.\n     * <p>\n     * When no operator is given, the filter operation configured for the field is used\n     * ("exact" or "partial"), so the two-field form {@code fieldName}/{@code fieldValue} keeps working.\n     * </p>\n     *\n     * @param dataFilter list of filters to apply.\n     * @param filters a map defining the data type, filter type and allowed operators for each field.\n     * @param <T> The entity type to be filtered.\n     * @return a Specification object representing the combined filters.\n     */\n    public static <T> Specification<T> createSpecificationFromFilter(List<DataFilter> dataFilter, Map<String, Map<String, String>> filters) {\n        if (dataFilter == null || dataFilter.isEmpty() || filters == null) {\n            return null;\n        }\n        return combineSpecifications(dataFilter, filters, false);\n    }\n\n    /**\n     * Combines the specifications of a list of filters.\n     *\n     * @param dataFilter list of filters to combine.\n     * @param filters a map defining the data type, filter type and allowed operators for each field.\n     * @param disjunction true to combine with OR, false to combine with AND.\n     * @param <T> The entity type to be filtered.\n     * @return the combined Specification, or null if no filter applies.\n     */\n    private static <T> Specification<T> combineSpecifications(List<DataFilter> dataFilter, Map<String, Map<String, String>> filters, boolean disjunction) {\n        Optional<Specification<T>> spec = Optional.empty();\n        for (DataFilter filter : dataFilter) {\n            Specification<T> currentSpec = createSpecification(filter, filters);\n            if (currentSpec != null) {\n                spec = Optional.of(spec.map(s -> disjunction ? s.or(currentSpec) : s.and(currentSpec)).orElse(currentSpec));\n            }\n        }\n        return spec.orElse(null);\n    }\n\n    /**\n     * Creates the specification of a single filter, including its nested {@code and} and {@code or} groups.\n     *\n     * @param filter the filter.\n     * @param filters a map defining the data type, filter type and allowed operators for each field.\n     * @param <T> The entity type to be filtered.\n     * @return the Specification, or null if the filter does not apply.\n     */\n    private static <T> Specification<T> createSpecification(DataFilter filter, Map<String, Map<String, String>> filters) {\n        if (filter == null) {\n            return null;\n        }\n        Optional<Specification<T>> spec = Optional.ofNullable(createFieldSpecification(filter, filters));\n\n        if (filter.getAnd() != null && !filter.getAnd().isEmpty()) {\n            Specification<T> andSpec = combineSpecifications(filter.getAnd(), filters, false);\n            if (andSpec != null) {\n                spec = Optional.of(spec.map(s -> s.and(andSpec)).orElse(andSpec));\n            }\n        }\n        if (filter.getOr() != null && !filter.getOr().isEmpty()) {\n            Specification<T> orSpec = combineSpecifications(filter.getOr(), filters, true);\n            if (orSpec != null) {\n                spec = Optional.of(spec.map(s -> s.and(orSpec)).orElse(orSpec));\n            }\n        }\n        return spec.orElse(null);\n    }\n\n    /**\n     * Creates the specification comparing a single field.\n     *\n     * @param filter the filter.\n     * @param filters a map defining the data type, filter type and allowed operators for each field.\n     * @param <T> The entity type to be filtered.\n     * @return the Specification, or null if the field is unknown, the operator is not allowed or no value is given.\n     */\n    private static <T> Specification<T> createFieldSpecification(DataFilter filter, Map<String, Map<String, String>> filters) {\n        String key = filter.getFieldName();\n        if (key == null) {\n            return null;\n        }\n        Map<String, String> fieldInfo = filters.get(key);\n        if (fieldInfo == null) {\n            return null;\n        }\n\n        String fieldName = fieldInfo.get("fieldName");\n        String dataType = fieldInfo.get("dataType");\n        String filterOperation = fieldInfo.get("filterOperation");\n        String operator = resolveOperator(filter.getOperator(), filterOperation);\n        boolean ignoreCase = filter.getIgnoreCase() != null\n            ? filter.getIgnoreCase()\n            : filter.getOperator() == null && FILTER_OPERATION_PARTIAL.equals(filterOperation);\n\n        if (!isOperatorAllowed(fieldInfo, operator)) {\n            logger.warn("Unsupported operator {} for field {}", operator, key);\n            return null;\n        }\n\n        List<String> values = getValues(filter, operator);\n        if (values.isEmpty() && !OPERATOR_IS_NULL.equals(operator)) {\n            return null;\n        }\n\n        return (root, query, criteriaBuilder) -> {\n            try {\n                Path<?> path = resolvePath(root, fieldName);\n                return createPredicate(criteriaBuilder, path, dataType, operator, values, ignoreCase);\n            } catch (DateTimeParseException e) {\n                logger.error("Error parsing date/datetime for field {}: {}", fieldName, e.getMessage());\n            } catch (Exception e) {\n                logger.error("Error creating predicate for field {}: {}", fieldName, e.getMessage());\n            }\n            return criteriaBuilder.disjunction(); // Return a false predicate on error\n        };\n    }\n\n    /**\n     * Resolves the operator of a filter. Without an operator, the filter operation of the field\n     * is used: "partial" means {@link #OPERATOR_CONTAINS}, anything else {@link #OPERATOR_EQ}.\n     *\n     * @param operator the operator requested by the client, may be null.\n     * @param filterOperation the filter operation configured for the field.\n     * @return the operator to apply.\n     */\n    private static String resolveOperator(String operator, String filterOperation) {\n        if (operator == null || operator.isEmpty()) {\n            operator = filterOperation;\n        }\n        if (FILTER_OPERATION_PARTIAL.equals(operator)) {\n            return OPERATOR_CONTAINS;\n        }\n        if (operator == null || FILTER_OPERATION_EXACT.equals(operator)) {\n            return OPERATOR_EQ;\n        }\n        return operator;\n    }\n\n    /**\n     * Checks whether an operator is allowed for a field.\n     *\n     * @param fieldInfo the field configuration.\n     * @param operator the operator to check.\n     * @return true if the operator is listed in the field configuration.\n     */\n    private static boolean isOperatorAllowed(Map<String, String> fieldInfo, String operator) {\n        String operators = fieldInfo.get("operators");\n        if (operators == null) {\n            return true;\n        }\n        return Arrays.asList(operators.split(",")).contains(operator);\n    }\n\n    /**\n     * Returns the values of a filter. {@code fieldValues} takes precedence over {@code fieldValue}.\n     * For {@code between}, {@code in} and {@code notIn}, a comma separated {@code fieldValue} is accepted as well.\n     *\n     * @param filter the filter.\n     * @param operator the resolved operator.\n     * @return the list of values, empty if none is given.\n     */\n    private static List<String> getValues(DataFilter filter, String operator) {\n        List<String> values = new ArrayList<>();\n        if (filter.getFieldValues() != null && !filter.getFieldValues().isEmpty()) {\n            for (String value : filter.getFieldValues()) {\n                if (value != null) {\n                    values.add(value);\n                }\n            }\n        } else if (filter.getFieldValue() != null) {\n            if (OPERATOR_BETWEEN.equals(operator) || OPERATOR_IN.equals(operator) || OPERATOR_NOT_IN.equals(operator)) {\n                for (String value : filter.getFieldValue().split(",")) {\n                    values.add(value.trim());\n                }\n            } else {\n                values.add(filter.getFieldValue());\n            }\n        }\n        return values;\n    }\n\n    /**\n     * Creates the predicate comparing a path with the given values.\n     *\n     * @param criteriaBuilder the criteria builder.\n     * @param path the path of the field.\n     * @param dataType the data type of the field.\n     * @param operator the operator to apply.\n     * @param values the values to compare with.\n     * @param ignoreCase true to compare text case-insensitively.\n     * @return the predicate.\n     * @throws DateTimeParseException if a date value cannot be parsed.\n     */\n    @SuppressWarnings({"unchecked", "rawtypes"})\n    private static Predicate createPredicate(CriteriaBuilder criteriaBuilder, Path<?> path, String dataType, String operator, List<String> values, boolean ignoreCase) {\n        if (OPERATOR_IS_NULL.equals(operator)) {\n            boolean isNull = values.isEmpty() || !"false".equalsIgnoreCase(values.get(0));\n            return isNull ? criteriaBuilder.isNull(path) : criteriaBuilder.isNotNull(path);\n        }\n\n        boolean lowerCase = ignoreCase && DATA_TYPE_STRING.equals(dataType);\n        Expression<Comparable> expression = lowerCase\n            ? (Expression) criteriaBuilder.lower((Path<String>) path)\n            : (Expression<Comparable>) path;\n\n        List<Comparable> parsedValues = new ArrayList<>();\n        for (String value : values) {\n            if (lowerCase) {\n                parsedValues.add(value.toLowerCase());\n            } else if (DATA_TYPE_ENUM.equals(dataType)) {\n                parsedValues.add(parseEnum(path.getJavaType(), value));\n            } else {\n                parsedValues.add(parseValue(dataType, value));\n            }\n        }\n        Comparable value = parsedValues.get(0);\n\n        switch (operator) {\n            case OPERATOR_EQ:\n                return criteriaBuilder.equal(expression, value);\n            case OPERATOR_NEQ:\n                return criteriaBuilder.notEqual(expression, value);\n            case OPERATOR_GT:\n                return criteriaBuilder.greaterThan(expression, value);\n            case OPERATOR_GTE:\n                return criteriaBuilder.greaterThanOrEqualTo(expression, value);\n            case OPERATOR_LT:\n                return criteriaBuilder.lessThan(expression, value);\n            case OPERATOR_LTE:\n                return criteriaBuilder.lessThanOrEqualTo(expression, value);\n            case OPERATOR_BETWEEN:\n                if (parsedValues.size() < 2) {\n                    logger.warn("Operator between requires two values");\n                    return criteriaBuilder.disjunction();\n                }\n                return criteriaBuilder.between(expression, value, parsedValues.get(1));\n            case OPERATOR_IN:\n                return expression.in(parsedValues);\n            case OPERATOR_NOT_IN:\n                return criteriaBuilder.not(expression.in(parsedValues));\n            case OPERATOR_STARTS_WITH:\n                return criteriaBuilder.like((Expression<String>) (Expression) expression, escapeLike(String.valueOf(value)) + "%", '\\\\');\n            case OPERATOR_CONTAINS:\n                return criteriaBuilder.like((Expression<String>) (Expression) expression, "%" + escapeLike(String.valueOf(value)) + "%", '\\\\');\n            default:\n                logger.warn("Unsupported operator: {}", operator);\n                return criteriaBuilder.disjunction();\n        }\n    }\n\n    /**\n     * Converts a filter value to the Java type of the field.\n     * Dates and times use the ISO-8601 formats, e.g. {@code 2024-01-31}, {@code 2024-01-31T10:15:30}\n     * and {@code 2024-01-31T10:15:30+07:00}.\n     *\n     * @param dataType the data type of the field.\n     * @param value the value as sent by the client.\n     * @return the converted value.\n     * @throws DateTimeParseException if a date value cannot be parsed.\n     */\n    @SuppressWarnings("rawtypes")\n    public static Comparable parseValue(String dataType, String value) {\n        switch (dataType) {\n            case DATA_TYPE_LONG:\n                return Long.parseLong(value);\n            case DATA_TYPE_INTEGER:\n                return Integer.parseInt(value);\n            case DATA_TYPE_DOUBLE:\n            case DATA_TYPE_FLOAT:\n                return Double.parseDouble(value);\n            case DATA_TYPE_BIG_DECIMAL:\n                return new BigDecimal(value);\n            case DATA_TYPE_BOOLEAN:\n                return Boolean.parseBoolean(value);\n            case DATA_TYPE_DATE:\n                return LocalDate.parse(value);\n            case DATA_TYPE_DATETIME:\n                return LocalDateTime.parse(value);\n            case DATA_TYPE_OFFSET_DATETIME:\n                return OffsetDateTime.parse(value);\n            case DATA_TYPE_UUID:\n                return UUID.fromString(value);\n            default:\n                return value;\n        }\n    }\n\n    /**\n     * Converts a filter value to a constant of the enum type of the field.\n     * The value is the constant name as used in the GraphQL schema, compared case-insensitively.\n     *\n     * @param enumType the enum type of the field.\n     * @param value the constant name as sent by the client.\n     * @return the enum constant.\n     * @throws IllegalArgumentException if the type is not an enum or has no such constant.\n     */\n    @SuppressWarnings("rawtypes")\n    public static Enum parseEnum(Class<?> enumType, String value) {\n        if (enumType.isEnum()) {\n            for (Object constant : enumType.getEnumConstants()) {\n                if (((Enum) constant).name().equalsIgnoreCase(value)) {\n                    return (Enum) constant;\n                }\n            }\n        }\n        throw new IllegalArgumentException("Invalid value " + value + " for " + enumType.getSimpleName());\n    }\n\n    /**\n     * Escapes the LIKE wildcards of a value, using backslash as escape character.\n     *\n     * @param value the value to escape.\n     * @return the escaped value.\n     */\n    private static String escapeLike(String value) {\n        return value.replace("\\\\", "\\\\\\\\").replace("%", "\\\\%").replace("_", "\\\\_");\n    }\n\n    /**\n     * Retrieves a {@link LocalDate} value from the map using the specified key.\n     * Parsed with {@code yyyy-MM-dd}.\n     */\n    public static LocalDate getDate(Map<String, Object> map, String key) {\n        String valueStr = getString(map, key);\n        if (valueStr == null) return null;\n        return LocalDate.parse(valueStr);\n    }\n\n    /**\n     * Retrieves a {@link LocalDateTime} value from the map using the specified key.\n     * Parsed with {@code yyyy-MM-dd'T'HH:mm:ss}.\n     */\n    public static LocalDateTime getDateTime(Map<String, Object> map, String key) {\n        String valueStr = getString(map, key);\n        if (valueStr == null) return null;\n        return LocalDateTime.parse(valueStr);\n    }\n\n    /**\n     * Retrieves a {@link Long} value.\n     */\n    @SuppressWarnings("UnnecessaryTemporaryOnConversionFromString")\n    public static Long getLong(Map<String, Object> map, String key) {\n        String valueStr = getString(map, key);\n        if (valueStr == null || !valueStr.matches(REGEX_INTEGER)) return null;\n        return Long.parseLong(valueStr);\n    }\n\n    /**\n     * Retrieves an {@link Integer} value.\n     */\n    @SuppressWarnings("UnnecessaryTemporaryOnConversionFromString")\n    public static Integer getInteger(Map<String, Object> map, String key) {\n        String valueStr = getString(map, key);\n        if (valueStr == null || !valueStr.matches(REGEX_INTEGER)) return null;\n        return Integer.parseInt(valueStr);\n    }\n\n    /**\n     * Retrieves a {@link Double} value.\n     */\n    @SuppressWarnings("UnnecessaryTemporaryOnConversionFromString")\n    public static Double getDouble(Map<String, Object> map, String key) {\n        String valueStr = getString(map, key);\n        if (valueStr == null || !valueStr.matches(REGEX_FLOAT)) return null;\n        return Double.parseDouble(valueStr);\n    }\n\n    /**\n     * Retrieves a {@link Float} value.\n     */\n    @SuppressWarnings("UnnecessaryTemporaryOnConversionFromString")\n    public static Float getFloat(Map<String, Object> map, String key) {\n        String valueStr = getString(map, key);\n        if (valueStr == null || !valueStr.matches(REGEX_FLOAT)) return null;\n        return Float.parseFloat(valueStr);\n    }\n\n    /**\n     * Retrieves a {@link Boolean} value.\n     * Only accepts "true" or "false" (case-insensitive).\n     */\n    @SuppressWarnings({\n        "UnnecessaryTemporaryOnConversionFromString",\n        "DataFlowIssue"\n    })\n    public static Boolean getBoolean(Map<String, Object> map, String key) {\n        String valueStr = getString(map, key);\n        if (valueStr == null || !valueStr.matches(REGEX_BOOLEAN)) return null;\n        return Boolean.parseBoolean(valueStr);\n    }\n\n    /**\n     * Safely retrieves a trimmed String value from map.\n     * Returns null if value is missing, blank, or equals "null".\n     */\n    private static String getString(Map<String, Object> map, String key) {\n        if (map == null || key == null || !map.containsKey(key)) {\n            return null;\n        }\n        Object value = map.get(key);\n        if (value == null) return null;\n        String valueStr = String.valueOf(value).trim();\n        return valueStr.isEmpty() || "null".equalsIgnoreCase(valueStr) ? null : valueStr;\n    }\n\n    /**\n     * Helper method to resolve a nested path by performing joins.\n     * This method handles both direct attributes and nested attributes with multiple dots.\n     * Relations are joined with a LEFT join, and an existing join on the same relation is reused,\n     * so several filters on the same relation share one join.\n     *\n     * @param root The root of the query.\n     * @param fieldName The dot-separated field name (e.g., "album.artist.name").\n     * @return The final Path object to the attribute.\n     */\n    public static Path<?> resolvePath(Root<?> root, String fieldName) {\n        String[] parts = fieldName.split("\\\\.");\n        From<?, ?> from = root;\n\n        // Join every relation of the path except the last part, which is the attribute\n        for (int i = 0; i < parts.length - 1; i++) {\n            from = getOrCreateJoin(from, parts[i]);\n        }\n        \n        // Return the final Path to the attribute\n        return from.get(parts[parts.length - 1]);\n    }\n\n    /**\n     * Returns the LEFT join of a relation, creating it if the query does not have it yet.\n     *\n     * @param from The root or join to start from.\n     * @param attributeName The name of the relation attribute.\n     * @return The join of the relation.\n     */\n    private static Join<?, ?> getOrCreateJoin(From<?, ?> from, String attributeName) {\n        for (Join<?, ?> join : from.getJoins()) {\n            if (join.getAttribute().getName().equals(attributeName) && join.getJoinType() == JoinType.LEFT) {\n                return join;\n            }\n        }\n        return from.join(attributeName, JoinType.LEFT);\n    }\n}\n`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"utils/SpecificationUtil.java",content:e}]}generateDataFilterFile(){const e=`package ${this.packageName}.utils;\n\nimport java.util.List;\n\nimport lombok.Getter;\nimport lombok.Setter;\n\n/**\n * A filter condition sent by the client.\n * <p>\n * The simple form only uses {@code fieldName} and {@code fieldValue} and applies the filter\n * operation configured for the field. {@code operator} selects one of the operators of\n * {@link SpecificationUtil}. {@code and} and {@code or} hold nested groups of filters.\n * </p>\n */\n@Setter\n@Getter\npublic class DataFilter {\n\tString fieldName;\n\tString fieldValue;\n\tList<String> fieldValues;\n\tString operator;\n\tBoolean ignoreCase;\n\tList<DataFilter> and;\n\tList<DataFilter> or;\n}\n`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"utils/DataFilter.java",content:e}]}generateDataOrderFile(){const e=`package ${this.packageName}.utils;\n\nimport lombok.Getter;\nimport lombok.Setter;\n\n@Setter\n@Getter\npublic class DataOrder {\n\tString fieldName;\n\tString orderType;\n}\n`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"utils/DataOrder.java",content:e}]}getRelationColumnPaths(e,t,n="",a=1){if(a<=0)return[];let r=this.getRelationIndex(e),i=this.getCachedRelationPaths(r.columnPaths,t,a,()=>{let n=[];return(r.columnRelations.get(t)||[]).forEach(({column:t,relation:r})=>{r.entity.columns.forEach(e=>{n.push({path:`${r.name}.${this.stringUtil.camelize(e.name)}`,column:e,nullable:t.nullable||e.nullable&&!e.primaryKey})}),this.getRelationColumnPaths(e,r.entity,r.name,a-1).forEach(e=>{n.push({path:e.path,column:e.column,nullable:t.nullable||e.nullable})})}),n});return n?i.map(e=>({path:`${n}.${e.path}`,column:e.column,nullable:e.nullable})):i}getNestedRelations(e,t,n="",a=2){if(a<=0)return[];let r=this.getRelationIndex(e),i=this.getCachedRelationPaths(r.nestedRelations,t,a,()=>{let n=[],i=this.getPrimaryKeys(t).length>1;return(r.columnRelations.get(t)||[]).filter(({column:e})=>!i||e.primaryKey).forEach(({relation:t})=>{n.push(t.name),n.push(...this.getNestedRelations(e,t.entity,t.name,a-1))}),n});return n?i.map(e=>`${n}.${e}`):i}getCachedRelationPaths(e,t,n,a){e.has(t)||e.set(t,new Map);let r=e.get(t);return r.has(n)||r.set(n,a()),r.get(n)}generateConnectionFiles(){let e=this.getEntities(),t=[],n="slice"===this.paginationMode?"Slice":"Page";return e.forEach(e=>{let a=this.stringUtil.camelize(e.name),r=this.stringUtil.upperCamel(a),i=`package ${this.packageName}.output;\n\nimport org.springframework.data.domain.${n};\n\nimport ${this.packageName}.entity.${r};\nimport ${this.packageName}.utils.PageInfo;\n\n/**\n * A connection wrapper for paginated {@link ${r}} results.\n * <p>\n * This class encapsulates both the paginated list of {@link ${r}} entities\n * and pagination metadata via {@link PageInfo}.\n * It is commonly used as a GraphQL-compatible representation of\n * paginated query results.\n * </p>\n */\npublic class ${r}Connection\n{\n    /**\n     * Pagination metadata, including ${"Slice"===n?"current page number and page size":"total records, total pages,\n     * current page number, and page size"}.\n     */\n    private PageInfo pageInfo;\n\n    /**\n     * The underlying paginated data of {@link ${r}} entities.\n     */\n    private ${n}<${r}> data;\n\n    /**\n     * Constructs a new {@code ${r}Connection} from a Spring Data {@link ${n}}.\n     * <p>\n     * The {@link PageInfo} is initialized from the provided {@link ${n}}\n     * to represent pagination details.\n     * </p>\n     *\n     * @param page the {@link ${n}} of {@link ${r}} entities to wrap.\n     */\n    public ${r}Connection(${n}<${r}> page)\n    {\n        this.data = page;\n        this.pageInfo = new PageInfo(page);\n    }\n}\n\n`;"cursor"!==this.paginationMode?t.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`output/${r}Connection.java`,content:i}):t.push(...this.generateCursorConnectionFiles(r))}),t}generateCursorConnectionFiles(e){let t=`package ${this.packageName}.output;\n\nimport java.util.ArrayList;\nimport java.util.List;\n\nimport ${this.packageName}.entity.${e};\nimport ${this.packageName}.utils.CursorUtil;\nimport ${this.packageName}.utils.PageInfo;\n\nimport lombok.Getter;\n\n/**\n * A Relay connection for cursor-paginated {@link ${e}} results.\n * <p>\n * Each record is wrapped in an {@link ${e}Edge} holding its cursor.\n * The {@link PageInfo} holds the first and last cursor of the page.\n * </p>\n */\n@Getter\npublic class ${e}Connection\n{\n    /**\n     * The records of the page with their cursors.\n     */\n    private List<${e}Edge> edges;\n\n    /**\n     * Pagination metadata, including the start and end cursor.\n     */\n    private PageInfo pageInfo;\n\n    /**\n     * Constructs a new {@code ${e}Connection} from a page fetched by {@link CursorUtil}.\n     *\n     * @param page the page of {@link ${e}} entities with their cursors.\n     */\n    public ${e}Connection(CursorUtil.CursorPage<${e}> page)\n    {\n        this.edges = new ArrayList<>();\n        for (int i = 0; i < page.getNodes().size(); i++) {\n            this.edges.add(new ${e}Edge(page.getNodes().get(i), page.getCursors().get(i)));\n        }\n        this.pageInfo = new PageInfo(page);\n    }\n}\n\n`,n=`package ${this.packageName}.output;\n\nimport ${this.packageName}.entity.${e};\n\nimport lombok.AllArgsConstructor;\nimport lombok.Getter;\n\n/**\n * A Relay edge holding a {@link ${e}} record and its opaque cursor.\n */\n@Getter\n@AllArgsConstructor\npublic class ${e}Edge\n{\n    private ${e} node;\n    private String cursor;\n}\n\n`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+`output/${e}Connection.java`,content:t},{name:this.createSourceDirectoryFromArtefact(this.packageName)+`output/${e}Edge.java`,content:n}]}generateRepositoryFiles(){let e=this.getEntities(),t=[],n=this;return e.forEach(a=>{let r=this.stringUtil.camelize(a.name),i=this.stringUtil.upperCamel(r),o=this.getPrimaryKeys(a);if(o.length>0){let r=o.length>1?`${i}Id`:this.getKeyJavaType(o[0]),s=o.map(e=>this.stringUtil.upperCamel(this.stringUtil.camelize(e.name))).join("And"),l=o.map(e=>`${this.getKeyJavaType(e)} ${this.stringUtil.camelize(e.name)}`).join(", "),p=o.length>1?`import ${this.packageName}.entity.${r};\n`:"",c=this.createKeyTypeImports(e,a),u=this.typeMapping.createJavaImports(o),g=this.getNestedRelations(e,a,"",n.maxRelationDepth),m="";(g.length>0||o.length>1)&&(m=`    @EntityGraph(attributePaths = { ${g.map(e=>`"${e}"`).join(", ")} })\n`);let d="";this.getManyToManyRelations(a).filter(e=>e.owner).forEach(e=>{let t=e.joinTable,n=this.stringUtil.upperCamel(this.stringUtil.camelize(t.name)),a=t.columns.map(e=>`@Param("${this.stringUtil.camelize(e.name)}") ${this.getKeyJavaType(e)} ${this.stringUtil.camelize(e.name)}`).join(", "),r=t.columns.map(e=>`${this.getSqlName(e)} = :${this.stringUtil.camelize(e.name)}`).join(" AND ");d+=`\n    @Query(value = "SELECT COUNT(*) FROM ${this.getSqlName(t)} WHERE ${r}", nativeQuery = true)\n    long count${n}(${a});\n\n    @Modifying\n    @Query(value = "INSERT INTO ${this.getSqlName(t)} (${t.columns.map(e=>this.getSqlName(e)).join(", ")}) VALUES (${t.columns.map(e=>":"+this.stringUtil.camelize(e.name)).join(", ")})", nativeQuery = true)\n    int add${n}(${a});\n\n    @Modifying\n    @Query(value = "DELETE FROM ${this.getSqlName(t)} WHERE ${r}", nativeQuery = true)\n    int remove${n}(${a});\n`});let h=""===d?"":"import org.springframework.data.jpa.repository.Modifying;\nimport org.springframework.data.jpa.repository.Query;\nimport org.springframework.data.repository.query.Param;\n",f=n.usesSliceRepository(),y=f?`${m}    Slice<${i}> findSlice(Specification<${i}> specification, Pageable pageable);\n`:`${m}    Page<${i}> findAll(Specification<${i}> specification, Pageable pageable);\n`,S=`package ${this.packageName}.repository;\n\n${c?`${c}\n`:""}${f?"":"import org.springframework.data.domain.Page;\n"}import org.springframework.data.domain.Pageable;\n${f?"import org.springframework.data.domain.Slice;\n":""}import org.springframework.data.jpa.domain.Specification;\n${f?"":"import org.springframework.data.jpa.repository.JpaRepository;\n"}import org.springframework.stereotype.Repository;\n${g.length>0?"import org.springframework.data.jpa.repository.EntityGraph;\n":""}${h}\nimport ${this.packageName}.entity.${i};\n${p}\n/**\n * Repository interface for {@link ${i}} entity.\n * <p>Provides basic CRUD operations and custom queries.</p>\n */\n@Repository\npublic interface ${i}Repository extends ${f?"SliceRepository":"JpaRepository"}<${i}, ${r}> {\n\n${m}    ${i} findOneBy${s}(${l});\n\n${y}${d}}\n`;t.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`repository/${i}Repository.java`,content:S});let v=`package ${this.packageName}.repository;\n\n${u?`${u}\n`:""}import org.springframework.data.jpa.repository.JpaRepository;\nimport org.springframework.stereotype.Repository;\nimport ${this.packageName}.entity.${i}Input;\n${p}\n/**\n * Repository interface for {@link ${i}Input} entity.\n * <p>Provides basic CRUD operations and custom queries for input version.</p>\n */\n@Repository\npublic interface ${i}InputRepository extends JpaRepository<${i}Input, ${r}> {\n\n    ${i}Input findOneBy${s}(${l});\n\n    void deleteBy${s}(${l});\n}\n`;t.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`repository/${i}InputRepository.java`,content:v})}}),t}generateEntityFiles(){let e=this,t=this.getEntities(),n=[];return t.forEach(a=>{let r=a.name,i=this.stringUtil.upperCamel(this.stringUtil.camelize(r)),o=this.stringUtil.snakeize(r),s=this.getPrimaryKeys(a),l=this.createEnumImports(a,!0),p=this.typeMapping.createJavaImports(a.columns),c=a.columns.some(e=>this.typeMapping.isJson(e))?"import org.hibernate.annotations.JdbcTypeCode;\nimport org.hibernate.type.SqlTypes;\n":"";a.columns.some(e=>e.isEnum()&&e.enumType)&&(c="import org.hibernate.annotations.ColumnTransformer;\n"+c);let u=`package ${this.packageName}.entity;\n\n${p}import java.util.List;\nimport jakarta.persistence.CascadeType;\nimport jakarta.persistence.Column;\nimport jakarta.persistence.Convert;\nimport jakarta.persistence.Entity;\nimport jakarta.persistence.FetchType;\nimport jakarta.persistence.GeneratedValue;\nimport jakarta.persistence.GenerationType;\nimport jakarta.persistence.Id;\nimport jakarta.persistence.IdClass;\nimport jakarta.persistence.JoinColumn;\nimport jakarta.persistence.JoinTable;\nimport jakarta.persistence.ManyToMany;\nimport jakarta.persistence.ManyToOne;\nimport jakarta.persistence.OneToMany;\nimport jakarta.persistence.PostLoad;\nimport jakarta.persistence.Table;\n${c}\nimport lombok.Setter;\nimport lombok.Getter;\n${l?`\n${l}`:""}\n/**\n * Entity class representing the ${i} table in the database.\n * \n * <p>This class is automatically generated by GraphQL Generator.</p>\n * <p>Contains fields for each column in the table, with appropriate annotations for JPA.</p>\n */\n@Entity\n@Table(name = "${this.getSqlName(a,o)}")\n@Setter\n@Getter\n`;s.length>1&&(u+=`@IdClass(${i}Id.class)\n`),u+=`public class ${i} {\n\n`;let g=[],m=!1;a.columns.forEach(n=>{let r=n.name,i=this.stringUtil.camelize(r),o=this.getColumnJavaType(a,n),l=this.getColumnTypeAnnotation(n,o);if(n.primaryKey&&(u+="    @Id\n",n.autoIncrement&&(u+=`    @GeneratedValue(strategy = GenerationType.${this.getGenerationType(n)})\n`)),e.isForeignKey(t,a,n)){let r=e.getRelation(t,a,n);u+=`${l}    @Column(name = "${this.getSqlName(n)}")\n    private ${o} ${i};\n\n`;let s=`@ManyToOne(fetch = FetchType.LAZY)\n    @JoinColumn(name = "${this.getSqlName(n)}", referencedColumnName = "${this.getColumnSqlName(r.entity,r.referencedColumnName)}", insertable=false, updatable=false)\n`,p=e.getOnDeleteAction(r.foreignKey);p&&(s+=`    @OnDelete(action = OnDeleteAction.${p})\n`,m=!0),s+=`    private ${r.type} ${r.name}`,u+=`    ${s};\n\n`,g.push({name:r.name,type:r.type})}else u+=`${l}    @Column(name = "${this.getSqlName(n)}")\n    private ${o} ${i};\n\n`;if(s.length>1){let r=n.primaryKey&&!n.autoIncrement?e.getCompositeKeyRelation(t,a,n):null;r&&(u+=`    @ManyToOne\n    @JoinColumn(name = "${this.getSqlName(n)}", referencedColumnName = "${this.getColumnSqlName(r.entity,r.referencedColumnName)}", insertable = false, updatable = false)\n    private ${r.type} ${r.name};\n\n`)}}),e.getChildRelations(t,a).forEach(e=>{if(e.mappedBy){let t=this.stringUtil.upperCamel(this.stringUtil.camelize(e.entity.name));u+=`    @OneToMany(mappedBy = "${e.mappedBy}", fetch = FetchType.LAZY)\n    private List<${t}> ${e.fieldName};\n\n`}}),e.getManyToManyRelations(a).forEach(e=>{let t=this.stringUtil.upperCamel(this.stringUtil.camelize(e.entity.name));e.owner?u+=`    @ManyToMany(fetch = FetchType.LAZY)\n    @JoinTable(\n        name = "${this.getSqlName(e.joinTable)}",\n        joinColumns = @JoinColumn(name = "${this.getSqlName(e.column)}", referencedColumnName = "${this.getSqlName(e.referencedColumn)}"),\n        inverseJoinColumns = @JoinColumn(name = "${this.getSqlName(e.inverseColumn)}", referencedColumnName = "${this.getSqlName(e.inverseReferencedColumn)}")\n    )\n    private List<${t}> ${e.fieldName};\n\n`:u+=`    @ManyToMany(mappedBy = "${e.inverseFieldName}", fetch = FetchType.LAZY)\n    private List<${t}> ${e.fieldName};\n\n`}),g.length>0&&(u+="\n    @PostLoad\n    public void initRelationsIfNull() {\n",g.forEach(e=>{u+=`        if (this.${e.name} == null) {\n            this.${e.name} = new ${e.type}();\n        }\n`}),u+="    }\n"),u+="}\n",m&&(u=u.replace("import jakarta.persistence.Table;\n","import jakarta.persistence.Table;\nimport org.hibernate.annotations.OnDelete;\nimport org.hibernate.annotations.OnDeleteAction;\n")),n.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`entity/${i}.java`,content:u});let d=a.columns.some(e=>!e.autoIncrement&&e.hasDefault()),h=`package ${this.packageName}.entity;\n\n${p}import jakarta.persistence.Column;\nimport jakarta.persistence.Convert;\nimport jakarta.persistence.Entity;\nimport jakarta.persistence.GeneratedValue;\nimport jakarta.persistence.GenerationType;\nimport jakarta.persistence.Id;\nimport jakarta.persistence.IdClass;\nimport jakarta.persistence.Table;\n${d?"import org.hibernate.annotations.DynamicInsert;\n":""}${c}\nimport lombok.Setter;\nimport lombok.Getter;\n${l?`\n${l}`:""}\n/**\n * Entity class representing the ${i} table in the database.\n * \n * <p>This class is automatically generated by GraphQL Generator.</p>\n * <p>Contains fields for each column in the table, with appropriate annotations for JPA.</p>\n */\n@Entity\n@Table(name = "${this.getSqlName(a,o)}")\n@Setter\n@Getter\n`;s.length>1&&(h+=`@IdClass(${i}Id.class)\n`),d&&(h+="@DynamicInsert\n"),h+=`public class ${i}Input {\n\n`,a.columns.forEach(e=>{let t=e.name,n=this.stringUtil.camelize(t),r=this.getColumnJavaType(a,e),i=this.getColumnTypeAnnotation(e,r);e.primaryKey&&(h+="    @Id\n",e.autoIncrement&&(h+=`    @GeneratedValue(strategy = GenerationType.${this.getGenerationType(e)})\n`)),h+=`${i}    @Column(name = "${this.getSqlName(e)}")\n    private ${r} ${n};\n\n`}),h+="}\n",n.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`entity/${i}Input.java`,content:h});let f=a.columns.filter(e=>e.primaryKey).length>1,y=new Set,S="";a.columns.forEach(e=>{let t=e.name,n=this.stringUtil.camelize(t),r=this.getColumnJavaType(a,e);if(!e.autoIncrement){let t=!e.hasDefault()&&(e.primaryKey?f:!e.nullable);S+=this.getValidationAnnotations(e,t,y),S+=`    private ${r} ${n};\n`}});let v=`package ${this.packageName}.dto;\n\n${p?`${p}\n`:""}import lombok.Setter;\nimport lombok.Getter;\n\nimport org.springframework.beans.BeanUtils;\n${this.createConstraintImports(y)}\nimport ${this.packageName}.entity.${i}Input;\n${this.createEnumImports(a,!1)}\n/**\n * Data Transfer Object (DTO) for creating a new ${i} entity.\n *\n * <p>This class is automatically generated by GraphQL Generator.</p>\n *\n * <p>It represents the input fields required by the CREATE mutation of the\n * {@code ${o}} table. The DTO can be converted into an {@link ${i}Input}\n * entity using the {@link #createEntity(${i}Create)} factory method.</p>\n */\n@Setter\n@Getter\n`;v+=`public class ${i}Create {\n\n${S}`,v+=`\r\n    /**\n     * Converts this DTO into a new {@link ${i}Input} entity.\n     *\n     * @param dto the {@code ${i}Create} DTO to convert\n     * @return a new {@code ${i}Input} entity populated with values from the DTO\n     */\n    public static ${i}Input createEntity(${i}Create dto) {\n        ${i}Input entity = new ${i}Input();\n        BeanUtils.copyProperties(dto, entity);\n        return entity;\n    }\n`,v+="}\n",n.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`dto/${i}Create.java`,content:v});let b=new Set,T="";a.columns.forEach(e=>{let t=e.name,n=this.stringUtil.camelize(t),r=this.getColumnJavaType(a,e);T+=this.getValidationAnnotations(e,e.primaryKey||!e.nullable,b),T+=`    private ${r} ${n};\n`});let $=`package ${this.packageName}.dto;\n\n${p?`${p}\n`:""}import lombok.Setter;\nimport lombok.Getter;\n\nimport org.springframework.beans.BeanUtils;\n${this.createConstraintImports(b)}\nimport ${this.packageName}.entity.${i}Input;\n${this.createEnumImports(a,!1)}\n/**\n * Data Transfer Object (DTO) for updating an existing ${i} entity.\n *\n * <p>This class is automatically generated by GraphQL Generator.</p>\n *\n * <p>It represents the input fields required by the UPDATE mutation of the\n * {@code ${o}} table. The DTO can be converted into an {@link ${i}Input}\n * entity using the {@link #createEntity(${i}Create)} factory method.</p>\n */\n@Setter\n@Getter\n`;$+=`public class ${i}Update {\n\n${T}`,$+=`\r\n    /**\n     * Converts this DTO into a new {@link ${i}Input} entity.\n     *\n     * @param dto the {@code ${i}Update} DTO to convert\n     * @return a new {@code ${i}Input} entity populated with values from the DTO\n     */\n    public static ${i}Input createEntity(${i}Update dto) {\n        ${i}Input entity = new ${i}Input();\n        BeanUtils.copyProperties(dto, entity);\n        return entity;\n    }\n`,$+="}\n",n.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`dto/${i}Update.java`,content:$})}),n}generateFetchPropertiesFile(){const e=`package ${this.packageName}.utils;\n\nimport java.util.ArrayList;\nimport java.util.HashMap;\nimport java.util.List;\nimport java.util.Map;\nimport java.util.Map.Entry;\n\nimport lombok.Getter;\nimport lombok.Setter;\n\n/**\n * A utility class to manage and filter properties for data fetching operations.\n * It stores configurations for filtering and ordering fields, and provides\n * methods to ensure that requested fields are valid and supported.\n */\n@Getter\n@Setter\npublic class QueryPredicateMapping {\n\t\n\tprivate Map<String, Map<String, String>> filter;\n\tprivate List<Map<String, String>> order;\n\t\n\tpublic QueryPredicateMapping()\n\t{\n\t\tthis.filter = new HashMap<>();\n\t\tthis.order = new ArrayList<>();\n\t}\n\n\t/**\n\t * Adds a field to the filter configuration.\n\t *\n\t * @param key The unique key for the filter (e.g., a field name).\n\t * @param fieldName The actual name of the field in the entity.\n\t * @param dataType The data type of the field (e.g., "String", "Long").\n\t * @param filterOperation The type of filter operation (e.g., "exact", "partial").\n\t * @param operators The operators allowed for the field. Defaults to the operators supported by the data type.\n\t */\n\tpublic void add(String key, String fieldName, String dataType, String filterOperation, String... operators) {\n\t\tif (operators == null || operators.length == 0) {\n\t\t\toperators = getDefaultOperators(dataType);\n\t\t}\n\t\tthis.filter.put(key, this.createFilterType(fieldName, dataType, filterOperation, operators));\n\t}\n${"cursor"===this.paginationMode?'\n\t/**\n\t * Marks a field that may be null. Cursor pagination does not sort by such a field,\n\t * as the keyset condition cannot select the records holding NULL.\n\t *\n\t * @param key The key of a field added before.\n\t */\n\tpublic void markNullable(String key) {\n\t\tMap<String, String> field = this.filter.get(key);\n\t\tif (field != null) {\n\t\t\tfield.put("nullable", "true");\n\t\t}\n\t}\n':""}\n\t/**\n\t * Returns the operators supported by a data type.\n\t *\n\t * @param dataType The data type of the field.\n\t * @return The operator names.\n\t */\n\tpublic static String[] getDefaultOperators(String dataType) {\n\t\tif (SpecificationUtil.DATA_TYPE_BOOLEAN.equals(dataType)) {\n\t\t\treturn new String[] {\n\t\t\t\tSpecificationUtil.OPERATOR_EQ, SpecificationUtil.OPERATOR_NEQ, SpecificationUtil.OPERATOR_IS_NULL\n\t\t\t};\n\t\t}\n\t\tif (SpecificationUtil.DATA_TYPE_ENUM.equals(dataType)) {\n\t\t\treturn new String[] {\n\t\t\t\tSpecificationUtil.OPERATOR_EQ, SpecificationUtil.OPERATOR_NEQ,\n\t\t\t\tSpecificationUtil.OPERATOR_IN, SpecificationUtil.OPERATOR_NOT_IN, SpecificationUtil.OPERATOR_IS_NULL\n\t\t\t};\n\t\t}\n\t\tList<String> operators = new ArrayList<>(List.of(\n\t\t\tSpecificationUtil.OPERATOR_EQ, SpecificationUtil.OPERATOR_NEQ,\n\t\t\tSpecificationUtil.OPERATOR_GT, SpecificationUtil.OPERATOR_GTE,\n\t\t\tSpecificationUtil.OPERATOR_LT, SpecificationUtil.OPERATOR_LTE,\n\t\t\tSpecificationUtil.OPERATOR_BETWEEN, SpecificationUtil.OPERATOR_IN,\n\t\t\tSpecificationUtil.OPERATOR_NOT_IN, SpecificationUtil.OPERATOR_IS_NULL\n\t\t));\n\t\tif (SpecificationUtil.DATA_TYPE_STRING.equals(dataType)) {\n\t\t\toperators.add(SpecificationUtil.OPERATOR_STARTS_WITH);\n\t\t\toperators.add(SpecificationUtil.OPERATOR_CONTAINS);\n\t\t}\n\t\treturn operators.toArray(new String[0]);\n\t}\n\n\t/**\n\t * Creates a map representing a single filter type configuration.\n\t *\n\t * @param fieldName The name of the field.\n\t * @param dataType The data type of the field.\n\t * @param filterOperation The filter operation type.\n\t * @param operators The operators allowed for the field.\n\t * @return A map containing the filter properties.\n\t */\n\tprivate Map<String, String> createFilterType(String fieldName, String dataType, String filterOperation, String[] operators) {\n\t\tMap<String, String> field = new HashMap<>();\n\t\t\n\t\tfield.put("fieldName", fieldName);\n\t\tfield.put("dataType", dataType);\n\t\tfield.put("filterOperation", filterOperation);\n\t\tfield.put("operators", String.join(",", operators));\n\t\t\n\t\treturn field;\n\t}\n\n\t/**\n\t * Filters a list of data orders to include only those fields that are\n\t * configured for filtering in this utility.\n\t *\n\t * @param dataOrder The list of data orders to filter.\n\t * @return A new list containing only the valid data orders.\n\t */\n\tpublic List<DataOrder> filterFieldName(List<DataOrder> dataOrder) {\n\t\tif(dataOrder == null)\n\t\t{\n\t\t\treturn dataOrder;\n\t\t}\n\t\tList<DataOrder> result = new ArrayList<>();\n\t\tfor(DataOrder item : dataOrder)\n\t\t{\n\t\t\tif(this.inList(item))\n\t\t\t{\n\t\t\t\tresult.add(item);\n\t\t\t}\n\t\t}\n\t\t\n\t\treturn result;\n\t}\n\t\n\t/**\n\t * Checks if a given data order field is present in the configured filter list.\n\t *\n\t * @param order The DataOrder object to check.\n\t * @return {@code true} if the field is in the filter list, {@code false} otherwise.\n\t */\n\tpublic boolean inList(DataOrder order)\n\t{\n\t\tfor(Entry<String, Map<String, String>> entry : this.filter.entrySet())\n\t\t{\n\t\t\tif(entry.getValue().getOrDefault("fieldName", "").equals(order.getFieldName()))\n\t\t\t{\n\t\t\t\treturn true;\n\t\t\t}\n\t\t}\n\t\treturn false;\n\t}\n}\n`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"utils/QueryPredicateMapping.java",content:e}]}generatePageUtilFile(){const e=`package ${this.packageName}.utils;\n\nimport org.springframework.data.domain.PageRequest;\nimport org.springframework.data.domain.Pageable;\nimport org.springframework.data.domain.Sort;\nimport org.springframework.data.domain.Sort.Direction;\nimport org.springframework.data.domain.Sort.Order;\nimport java.util.List;\nimport java.util.Map;\nimport java.util.ArrayList;\n\npublic class PageUtil {\n    \n    private PageUtil()\n    {\n        // Hide public constructor\n    }\n\n    /**\n     * Creates a Pageable object for paginated and sorted queries.\n     *\n     * @param pageNumber The 1-based page number. Defaults to 1 if null or less than 1.\n     * @param pageSize The number of items per page. Defaults to 20, min is 1.\n     * @param sortFields A list of DataOrder objects to sort by.\n     * @param map A map to resolve the actual field names from the given keys.\n     * @param defaultSortOrder An array of Sort objects to use as the default sort order.\n     * @return A Pageable object configured with pagination and sorting.\n     */\n    public static Pageable pageRequest(Integer pageNumber, Integer pageSize, List<DataOrder> sortFields, Map<String, Map<String, String>> map, Sort... defaultSortOrder) {\n        // Handle page number: convert to 0-based and ensure it's not negative.\n        int currentPage = (pageNumber != null && pageNumber > 0) ? pageNumber - 1 : 0;\n        \n        // Handle page size: ensure it's at least 1.\n        int rowPerPage = (pageSize != null && pageSize > 0) ? pageSize : 20;\n        \n        Sort sort = createSortFromList(sortFields, map);\n\n        if (sort.isUnsorted() && defaultSortOrder != null && defaultSortOrder.length > 0) {\n            // Correct way to combine multiple Sort objects\n            Sort defaultSort = defaultSortOrder[0];\n            for (int i = 1; i < defaultSortOrder.length; i++) {\n                defaultSort = defaultSort.and(defaultSortOrder[i]);\n            }\n            sort = defaultSort;\n        }\n        \n        return PageRequest.of(currentPage, rowPerPage, sort);\n    }\n    \n    /**\n     * Creates a {@link Sort} object from a list of {@link DataOrder} objects.\n     * Only keys registered in the map are used. A dotted field name (e.g. "customer.createdAt")\n     * sorts by an attribute of a related entity. Spring Data joins the relation, reusing the\n     * LEFT join created by {@link SpecificationUtil} when the same relation is filtered.\n     *\n     * @param sortFields A list of DataOrder objects, with each object containing "fieldName" and "sortType".\n     * @param map A map to resolve the actual field names from the given keys.\n     * @return a Sort object representing the combined sorting criteria.\n     */\n    public static Sort createSortFromList(List<DataOrder> sortFields, Map<String, Map<String, String>> map) {\n        if (sortFields == null || sortFields.isEmpty()) {\n            return Sort.unsorted();\n        }\n\n        List<Order> orders = new ArrayList<>();\n        for (DataOrder field : sortFields) {\n            String key = field.getFieldName();\n            String orderType = field.getOrderType();\n            \n            // Default to "asc" if no order type is provided\n            if (orderType == null) {\n                orderType = "asc";\n            }\n\n            if (key != null) {\n                Map<String, String> orderInfo = map.get(key);\n                if (orderInfo != null) {\n                    String fieldName = orderInfo.get("fieldName");\n                    Direction direction = "desc".equalsIgnoreCase(orderType) ? Direction.DESC : Direction.ASC;\n                    orders.add(new Order(direction, fieldName));\n                }\n            }\n        }\n        \n        if (orders.isEmpty()) {\n            return Sort.unsorted();\n        }\n\n        return Sort.by(orders);\n    }\n}\n`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"utils/PageUtil.java",content:e}]}generateRelationUtilFile(){const e=`package ${this.packageName}.utils;\n\nimport graphql.execution.ExecutionStepInfo;\nimport graphql.schema.DataFetchingEnvironment;\n\n/**\n * Utility class for limiting how deep one-to-many relation fields can be nested in a query.\n */\npublic class RelationUtil {\n\n    public static final int MAX_RELATION_DEPTH = ${this.maxRelationDepth};\n\n    private RelationUtil()\n    {\n        // Hide public constructor\n    }\n\n    /**\n     * Counts the one-to-many relation fields on the path of the field being resolved,\n     * including the field itself. Root query fields are not counted.\n     *\n     * @param env The data fetching environment of the field being resolved.\n     * @return The number of nested relation list fields.\n     */\n    public static int getCollectionDepth(DataFetchingEnvironment env) {\n        int depth = 0;\n        ExecutionStepInfo step = env.getExecutionStepInfo();\n        while (step != null && step.getParent() != null && step.getParent().getParent() != null) {\n            // Relation list fields are the only nested fields accepting pagination arguments\n            if (!step.getPath().isListSegment() && step.getFieldDefinition().getArgument("pageNumber") != null) {\n                depth++;\n            }\n            step = step.getParent();\n        }\n        return depth;\n    }\n\n    /**\n     * Checks whether the field being resolved is nested deeper than {@link #MAX_RELATION_DEPTH}.\n     *\n     * @param env The data fetching environment of the field being resolved.\n     * @return true if the relation must not be fetched.\n     */\n    public static boolean isDepthExceeded(DataFetchingEnvironment env) {\n        return getCollectionDepth(env) > MAX_RELATION_DEPTH;\n    }\n}\n`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"utils/RelationUtil.java",content:e}]}generateCursorUtilFile(){const e=`package ${this.packageName}.utils;\n\nimport java.nio.charset.StandardCharsets;\nimport java.time.format.DateTimeParseException;\nimport java.util.ArrayList;\nimport java.util.Base64;\nimport java.util.Collections;\nimport java.util.List;\nimport java.util.Map;\nimport java.util.function.BiFunction;\n\nimport org.springframework.beans.BeansException;\nimport org.springframework.beans.BeanWrapperImpl;\nimport org.springframework.data.domain.PageRequest;\nimport org.springframework.data.domain.Pageable;\nimport org.springframework.data.domain.Slice;\nimport org.springframework.data.domain.Sort;\nimport org.springframework.data.domain.Sort.Direction;\nimport org.springframework.data.domain.Sort.Order;\nimport org.springframework.data.jpa.domain.Specification;\n\nimport jakarta.persistence.criteria.Expression;\nimport jakarta.persistence.criteria.Predicate;\n\nimport lombok.Getter;\n\n/**\n * Utility class for cursor-based (keyset) pagination.\n * <p>\n * A cursor is an opaque, URL-safe Base64 string holding the values of the sort fields of a record.\n * The records after or before a cursor are selected with a keyset condition on the sort fields,\n * with the primary key as tie-breaker, instead of an offset.\n * Fields that may be null cannot be sorted by, as the keyset condition would skip the records\n * holding NULL; see {@link QueryPredicateMapping#markNullable(String)}.\n * </p>\n */\npublic class CursorUtil {\n\n    private static final String SEPARATOR = "\\u001F";\n    private static final String NULL_VALUE = "\\u0000";\n    private static final int DEFAULT_PAGE_SIZE = 20;\n\n    private CursorUtil()\n    {\n        // Hide public constructor\n    }\n\n    /**\n     * A page of records with their cursors.\n     *\n     * @param <T> The entity type.\n     */\n    @Getter\n    public static class CursorPage<T> {\n        private final List<T> nodes;\n        private final List<String> cursors;\n        private final boolean hasNextPage;\n        private final boolean hasPreviousPage;\n\n        public CursorPage(List<T> nodes, List<String> cursors, boolean hasNextPage, boolean hasPreviousPage) {\n            this.nodes = nodes;\n            this.cursors = cursors;\n            this.hasNextPage = hasNextPage;\n            this.hasPreviousPage = hasPreviousPage;\n        }\n\n        /**\n         * Returns a page without records.\n         *\n         * @param <T> The entity type.\n         * @return The empty page.\n         */\n        public static <T> CursorPage<T> empty() {\n            return new CursorPage<>(List.of(), List.of(), false, false);\n        }\n    }\n\n    /**\n     * Fetches a page of records using the Relay arguments.\n     * <p>\n     * {@code first}/{@code after} page forward, {@code last}/{@code before} page backward.\n     * When neither {@code first} nor {@code last} is given, the first 20 records are returned.\n     * </p>\n     *\n     * @param finder The repository method executing the query without a COUNT query, e.g. {@code repository::findSlice}.\n     * @param specification The filter specification, may be null.\n     * @param first The number of records after the {@code after} cursor.\n     * @param after The cursor to start after.\n     * @param last The number of records before the {@code before} cursor.\n     * @param before The cursor to end before.\n     * @param dataOrder The requested sort order, may be null.\n     * @param map The field configuration used to whitelist and type the sort fields.\n     * @param primaryKeys The primary key fields, used as tie-breaker.\n     * @param <T> The entity type.\n     * @return The page of records with their cursors.\n     * @throws IllegalArgumentException if a cursor is invalid or a sort field may be null.\n     */\n    public static <T> CursorPage<T> findPage(BiFunction<Specification<T>, Pageable, Slice<T>> finder, Specification<T> specification,\n            Integer first, String after, Integer last, String before,\n            List<DataOrder> dataOrder, Map<String, Map<String, String>> map, String... primaryKeys) {\n        boolean backward = (first == null || first <= 0) && last != null && last > 0;\n        int limit = backward ? last : (first != null && first > 0 ? first : DEFAULT_PAGE_SIZE);\n        String cursor = backward ? before : after;\n        boolean hasCursor = cursor != null && !cursor.isEmpty();\n        List<Order> orders = getOrders(dataOrder, map, primaryKeys);\n\n        Specification<T> spec = specification;\n        if (hasCursor) {\n            Specification<T> keyset = createKeysetSpecification(orders, decode(cursor, orders, map), backward);\n            spec = spec == null ? keyset : spec.and(keyset);\n        }\n\n        List<Order> queryOrders = new ArrayList<>();\n        for (Order order : orders) {\n            queryOrders.add(backward ? order.with(order.isAscending() ? Direction.DESC : Direction.ASC) : order);\n        }\n\n        // The slice tells whether there is another page without counting the records\n        Slice<T> slice = finder.apply(spec, PageRequest.of(0, limit, Sort.by(queryOrders)));\n        List<T> nodes = new ArrayList<>(slice.getContent());\n        boolean hasMore = slice.hasNext();\n        if (backward) {\n            Collections.reverse(nodes);\n        }\n\n        List<String> cursors = new ArrayList<>();\n        for (T node : nodes) {\n            cursors.add(encode(node, orders));\n        }\n        return new CursorPage<>(nodes, cursors, backward ? hasCursor : hasMore, backward ? hasMore : hasCursor);\n    }\n\n    /**\n     * Returns the sort orders of the query: the requested order followed by the primary key.\n     *\n     * @throws IllegalArgumentException if a requested sort field may be null.\n     */\n    private static List<Order> getOrders(List<DataOrder> dataOrder, Map<String, Map<String, String>> map, String... primaryKeys) {\n        List<Order> orders = new ArrayList<>(PageUtil.createSortFromList(dataOrder, map).toList());\n        for (Order order : orders) {\n            if ("true".equals(getFieldInfo(map, order.getProperty()).get("nullable"))) {\n                throw new IllegalArgumentException("Field " + order.getProperty() + " may be null and cannot be used to sort with cursor pagination");\n            }\n        }\n        for (String primaryKey : primaryKeys) {\n            if (orders.stream().noneMatch(order -> order.getProperty().equals(primaryKey))) {\n                orders.add(Order.asc(primaryKey));\n            }\n        }\n        return orders;\n    }\n\n    /**\n     * Creates the keyset condition selecting the records after (or before) the cursor values.\n     */\n    @SuppressWarnings({"unchecked", "rawtypes"})\n    private static <T> Specification<T> createKeysetSpecification(List<Order> orders, List<Object> values, boolean backward) {\n        return (root, query, criteriaBuilder) -> {\n            List<Predicate> disjunction = new ArrayList<>();\n            List<Predicate> equalities = new ArrayList<>();\n            for (int i = 0; i < orders.size(); i++) {\n                Order order = orders.get(i);\n                Expression<Comparable> path = (Expression<Comparable>) SpecificationUtil.resolvePath(root, order.getProperty());\n                Comparable value = (Comparable) values.get(i);\n                if (value instanceof String text && path.getJavaType().isEnum()) {\n                    value = SpecificationUtil.parseEnum(path.getJavaType(), text);\n                }\n                if (value == null) {\n                    equalities.add(criteriaBuilder.isNull(path));\n                    continue;\n                }\n                List<Predicate> conjunction = new ArrayList<>(equalities);\n                conjunction.add(order.isAscending() != backward\n                    ? criteriaBuilder.greaterThan(path, value)\n                    : criteriaBuilder.lessThan(path, value));\n                disjunction.add(criteriaBuilder.and(conjunction.toArray(new Predicate[0])));\n                equalities.add(criteriaBuilder.equal(path, value));\n            }\n            return criteriaBuilder.or(disjunction.toArray(new Predicate[0]));\n        };\n    }\n\n    /**\n     * Encodes the sort field values of a record into a cursor.\n     */\n    private static String encode(Object node, List<Order> orders) {\n        BeanWrapperImpl wrapper = new BeanWrapperImpl(node);\n        List<String> parts = new ArrayList<>();\n        for (Order order : orders) {\n            Object value;\n            try {\n                value = wrapper.getPropertyValue(order.getProperty());\n            } catch (BeansException e) {\n                value = null;\n            }\n            if (value == null) {\n                parts.add(NULL_VALUE);\n            } else if (value instanceof Enum<?> constant) {\n                parts.add(constant.name());\n            } else {\n                parts.add(String.valueOf(value));\n            }\n        }\n        return Base64.getUrlEncoder().withoutPadding().encodeToString(String.join(SEPARATOR, parts).getBytes(StandardCharsets.UTF_8));\n    }\n\n    /**\n     * Decodes a cursor into the sort field values, converted to the data type of each field.\n     */\n    private static List<Object> decode(String cursor, List<Order> orders, Map<String, Map<String, String>> map) {\n        try {\n            String[] parts = new String(Base64.getUrlDecoder().decode(cursor), StandardCharsets.UTF_8).split(SEPARATOR, -1);\n            if (parts.length != orders.size()) {\n                throw new IllegalArgumentException("Invalid cursor");\n            }\n            List<Object> values = new ArrayList<>();\n            for (int i = 0; i < parts.length; i++) {\n                values.add(NULL_VALUE.equals(parts[i]) ? null : parseValue(getDataType(map, orders.get(i).getProperty()), parts[i]));\n            }\n            return values;\n        } catch (IllegalArgumentException | DateTimeParseException e) {\n            // NumberFormatException is an IllegalArgumentException as well\n            throw new IllegalArgumentException("Invalid cursor", e);\n        }\n    }\n\n    /**\n     * Returns the data type configured for a field name.\n     */\n    private static String getDataType(Map<String, Map<String, String>> map, String fieldName) {\n        return getFieldInfo(map, fieldName).getOrDefault("dataType", SpecificationUtil.DATA_TYPE_STRING);\n    }\n\n    /**\n     * Returns the configuration of a field name, or an empty map when the field is not configured.\n     */\n    private static Map<String, String> getFieldInfo(Map<String, Map<String, String>> map, String fieldName) {\n        for (Map<String, String> fieldInfo : map.values()) {\n            if (fieldName.equals(fieldInfo.get("fieldName"))) {\n                return fieldInfo;\n            }\n        }\n        return Map.of();\n    }\n\n    /**\n     * Converts a cursor value to the Java type of the field. Cursors hold the ISO-8601 form\n     * of dates and times, as written by their {@code toString()}.\n     */\n    private static Object parseValue(String dataType, String value) {\n        return SpecificationUtil.parseValue(dataType, value);\n    }\n}\n`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"utils/CursorUtil.java",content:e}]}isForeignKey(e,t,n){return!n.primaryKey&&null!=this.getRelation(e,t,n)}getRelation(e,t,n){if(t.getForeignKey&&t.getForeignKey(n.name)){let a=t.getReferencedEntity(n,e);if(a)return{name:this.stringUtil.camelize(t.getRelationName(n.name)),type:this.stringUtil.upperCamel(this.stringUtil.camelize(a.entity.name)),entity:a.entity,referencedColumnName:a.columnName,foreignKey:a.foreignKey}}for(const a of e){if(a.name===t.name)continue;const e=this.getPrimaryKeys(a);for(const t of e)if(t.name===n.name){let e=this.stringUtil.camelize(n.name);return{name:e.substring(0,e.length-2),type:this.stringUtil.upperCamel(this.stringUtil.camelize(a.name)),entity:a,referencedColumnName:t.name,foreignKey:null}}}return null}getCompositeKeyRelation(e,t,n){let a=this.getRelation(e,t,n);if(a&&a.foreignKey)return a;let r=this.stringUtil.camelize(n.name),i=r.substring(0,r.length-2),o=e.find(e=>e.name.toLowerCase()===i.toLowerCase()||this.stringUtil.camelize(e.name).toLowerCase()===i.toLowerCase());return o?{name:i,type:this.stringUtil.upperCamel(i),entity:o,referencedColumnName:n.name,foreignKey:null}:null}getEntityRelation(e,t,n){return this.isForeignKey(e,t,n)?this.getRelation(e,t,n):this.getPrimaryKeys(t).length>1&&n.primaryKey&&!n.autoIncrement?this.getCompositeKeyRelation(e,t,n):null}getChildRelations(e,t){return this.getRelationIndex(e).children.get(t)||[]}getParentRelations(e,t){return this.getRelationIndex(e).parents.get(t)||[]}getRelationIndex(e){let t=this.relationIndexes.get(e);return t||(t={columnRelations:new Map,children:new Map,parents:new Map(e.map(e=>[e,[]])),joinTables:this.schemaUtils.getJoinTables(e),columnPaths:new Map,nestedRelations:new Map},e.forEach(n=>{t.columnRelations.set(n,n.columns.map(t=>({column:t,relation:this.getEntityRelation(e,n,t)})).filter(e=>e.relation))}),this.schemaUtils.getChildReferenceMap(e).forEach((n,a)=>{t.children.set(a,n.map(t=>{let n=t.entity.getReferencedEntity(t.column,e),r=a.columns.find(e=>e.name===n.columnName)||this.getPrimaryKeys(a)[0],i=this.getEntityRelation(e,t.entity,t.column);return{entity:t.entity,column:t.column,fieldName:t.fieldName,parentColumnName:r?r.name:t.column.name,mappedBy:i&&i.entity===a?i.name:null}}))}),e.forEach(e=>{t.children.get(e).forEach(n=>t.parents.get(n.entity).push({...n,parent:e}))}),this.relationIndexes.set(e,t),t)}getOnDeleteAction(e){if(!e||!e.onDelete)return null;return{CASCADE:"CASCADE","SET NULL":"SET_NULL","SET DEFAULT":"SET_DEFAULT"}[e.onDelete]||null}generateIdClassFiles(){let e=[];return this.getEntities().forEach(t=>{let n=this.getPrimaryKeys(t);if(n.length>1){let a=`${this.stringUtil.upperCamel(this.stringUtil.camelize(t.name))}Id`,r=`package ${this.packageName}.entity;\n\n${this.typeMapping.createJavaImports(n)}import java.io.Serializable;\nimport java.util.Objects;\nimport jakarta.persistence.Embeddable;\nimport jakarta.persistence.GeneratedValue;\nimport jakarta.persistence.GenerationType;\n\nimport lombok.Setter;\nimport lombok.Getter;\n\n@Embeddable\n@Setter\n@Getter\npublic class ${a} implements Serializable {\n\n`;n.forEach(e=>{let t=this.stringUtil.camelize(e.name),n=this.getKeyJavaType(e);e.primaryKey&&(r+="",e.autoIncrement&&(r+=`    @GeneratedValue(strategy = GenerationType.${this.getGenerationType(e)})\n`)),r+=`    private ${n} ${t};\n\n`}),r+=`    @Override\n    public boolean equals(Object o) {\n        if (this == o) return true;\n        if (o == null || getClass() != o.getClass()) return false;\n        ${a} that = (${a}) o;\n        return ${n.map(e=>`Objects.equals(${this.stringUtil.camelize(e.name)}, that.${this.stringUtil.camelize(e.name)})`).join(" && ")};\n    }\n\n    @Override\n    public int hashCode() {\n        return Objects.hash(${n.map(e=>this.stringUtil.camelize(e.name)).join(", ")});\n    }\n\n`,r+="}\n",e.push({name:this.createSourceDirectoryFromArtefact(this.packageName)+`entity/${a}.java`,content:r})}}),e}generateGraphQlSchema(){return[{name:"src/main/resources/graphql/schema.graphqls",content:this.schemaUtils.buildGraphQLSchema(this.model.entities,!1,this.paginationMode,"manyToMany"===this.joinTableMode)}]}generatePageInfoFile(){if("cursor"===this.paginationMode)return this.generateCursorPageInfoFile();if("slice"===this.paginationMode)return this.generateSlicePageInfoFile();const e=`package ${this.packageName}.utils;\n\nimport lombok.Getter;\nimport lombok.Setter;\n\nimport org.springframework.data.domain.Page;\n\n@Setter\n@Getter\npublic class PageInfo {\n\tLong totalCount;\n    Integer totalPages;\n    Integer currentPage;\n    Integer pageSize;\n    Boolean hasNextPage; \n    Boolean hasPreviousPage;\n\n\tpublic PageInfo(Page<?> page)\n\t{\n\t\tthis.totalCount = page.getTotalElements();\n\t\tthis.totalPages = page.getTotalPages();\n\t\tthis.currentPage = page.getNumber() + 1;\n\t\tthis.pageSize = page.getSize();\n\t\tthis.hasNextPage = page.hasNext();\n\t\tthis.hasPreviousPage = page.hasPrevious();\n\t}\n}\n\n\n\n`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"utils/PageInfo.java",content:e}]}generateSlicePageInfoFile(){const e=`package ${this.packageName}.utils;\n\nimport lombok.Getter;\nimport lombok.Setter;\n\nimport org.springframework.data.domain.Slice;\n\n@Setter\n@Getter\npublic class PageInfo {\n    Integer currentPage;\n    Integer pageSize;\n    Boolean hasNextPage;\n    Boolean hasPreviousPage;\n\n    public PageInfo(Slice<?> page)\n    {\n        this.currentPage = page.getNumber() + 1;\n        this.pageSize = page.getSize();\n        this.hasNextPage = page.hasNext();\n        this.hasPreviousPage = page.hasPrevious();\n    }\n}\n`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"utils/PageInfo.java",content:e}]}generateCursorPageInfoFile(){const e=`package ${this.packageName}.utils;\n\nimport java.util.List;\n\nimport lombok.Getter;\nimport lombok.Setter;\n\n@Setter\n@Getter\npublic class PageInfo {\n    Boolean hasNextPage;\n    Boolean hasPreviousPage;\n    String startCursor;\n    String endCursor;\n\n    public PageInfo(CursorUtil.CursorPage<?> page)\n    {\n        List<String> cursors = page.getCursors();\n        this.hasNextPage = page.isHasNextPage();\n        this.hasPreviousPage = page.isHasPreviousPage();\n        this.startCursor = cursors.isEmpty() ? null : cursors.get(0);\n        this.endCursor = cursors.isEmpty() ? null : cursors.get(cursors.size() - 1);\n    }\n}\n`;return[{name:this.createSourceDirectoryFromArtefact(this.packageName)+"utils/PageInfo.java",content:e}]}generatePomFile(){const e=this.groupId,t=this.artifactId,n=this.version,a=this.serviceName,r=this.serviceDescription,i=this.javaVersion,o=this.packageName;return[{name:"pom.xml",content:`<?xml version="1.0" encoding="UTF-8"?>\n<project xmlns="http://maven.apache.org/POM/4.0.0" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"\nxsi:schemaLocation="http://maven.apache.org/POM/4.0.0 https://maven.apache.org/xsd/maven-4.0.0.xsd">\n<modelVersion>4.0.0</modelVersion>\n<parent>\n    <groupId>org.springframework.boot</groupId>\n    <artifactId>spring-boot-starter-parent</artifactId>\n    <version>3.5.4</version>\n    <relativePath/> \x3c!-- lookup parent from repository --\x3e\n</parent>\n<groupId>${e}</groupId>\n<artifactId>${t}</artifactId>\n<version>${n}</version>\n<name>${a}</name>\n<description>${r}</description>\n<url/>\n<licenses>\n    <license/>\n</licenses>\n<developers>\n    <developer/>\n</developers>\n<scm>\n    <connection/>\n    <developerConnection/>\n    <tag/>\n    <url/>\n</scm>\n<properties>\n    <java.version>${i}</java.version>\n</properties>\n<dependencies>\n${this.createPomDependencies()}</dependencies>\n\n<build>\n    <plugins>\n        <plugin>\n            <groupId>org.apache.maven.plugins</groupId>\n            <artifactId>maven-compiler-plugin</artifactId>\n            <configuration>\n                <annotationProcessorPaths>\n                    <path>\n                        <groupId>org.projectlombok</groupId>\n                        <artifactId>lombok</artifactId>\n                    </path>\n                </annotationProcessorPaths>\n            </configuration>\n        </plugin>\n        <plugin>\n            <groupId>io.github.deweyjose</groupId>\n            <artifactId>graphqlcodegen-maven-plugin</artifactId>\n            <version>1.61.5</version>\n            <executions>\n                <execution>\n                    <id>dgs-codegen</id>\n                    <goals>\n                        <goal>generate</goal>\n                    </goals>\n                    <configuration>\n                        <schemaPaths>\n                            <param>src/main/resources/graphql</param>\n                        </schemaPaths>\n                        <packageName>${o}.codegen</packageName>\n                        <addGeneratedAnnotation>true</addGeneratedAnnotation>\n                        <disableDatesInGeneratedAnnotation>true</disableDatesInGeneratedAnnotation>\n                    </configuration>\n                </execution>\n            </executions>\n        </plugin>\n        <plugin>\n            <groupId>org.codehaus.mojo</groupId>\n            <artifactId>build-helper-maven-plugin</artifactId>\n            <executions>\n                <execution>\n                    <id>add-dgs-source</id>\n                    <phase>generate-sources</phase>\n                    <goals>\n                        <goal>add-source</goal>\n                    </goals>\n                    <configuration>\n                        <sources>\n                            <source>\${project.build.directory}/generated-sources</source>\n                        </sources>\n                    </configuration>\n                </execution>\n            </executions>\n        </plugin>\n        <plugin>\n            <groupId>org.springframework.boot</groupId>\n            <artifactId>spring-boot-maven-plugin</artifactId>\n            <configuration>\n                <excludes>\n                    <exclude>\n                        <groupId>org.projectlombok</groupId>\n                        <artifactId>lombok</artifactId>\n                    </exclude>\n                </excludes>\n            </configuration>\n        </plugin>\n    </plugins>\n</build>\n\n</project>\n`}]}getBuildDependencies(){const e=this.jdbcDriverCatalog.resolve(this.databaseConfig.url,this.databaseConfig.driver);return BUILD_DEPENDENCIES.flatMap(t=>t.jdbcDriver?e?e.dependencies:[]:[t])}createPomDependencies(){return this.getBuildDependencies().map(e=>{if(e.comment)return`    \x3c!-- ${e.comment} --\x3e\n`;let t=`    <dependency>\n        <groupId>${e.groupId}</groupId>\n        <artifactId>${e.artifactId}</artifactId>\n`;return e.version&&(t+=`        <version>${e.version}</version>\n`),e.scope&&(t+=`        <scope>${e.scope}</scope>\n`),e.optional&&(t+="        <optional>true</optional>\n"),t+"    </dependency>\n"}).join("")}generateBuildFiles(){return"maven"===this.buildTool?this.generatePomFile():[...this.generateGradleBuildFile(),...this.generateGradleSettingsFile()]}generateBuildWrapperFiles(){return"maven"===this.buildTool?[...this.maven.generateMavenFile(),...this.maven.generateMavenCmdFile(),...this.maven.generateMavenWrapperFiles()]:[...this.gradle.generateGradleFile(),...this.gradle.generateGradleCmdFile(),...this.gradle.generateGradleWrapperFiles()]}generateGradleBuildFile(){const e="gradle-kotlin"===this.buildTool,t=t=>e?'"'+String(t).replace(/[\\"$]/g,"\\$&")+'"':"'"+String(t).replace(/[\\']/g,"\\$&")+"'",n=(t,n)=>e?`${t}("${n}")`:`${t} '${n}'`,a=[];this.getBuildDependencies().forEach(e=>{if(e.comment)return void a.push(`// ${e.comment}`);const t=`${e.groupId}:${e.artifactId}`+(e.version?`:${e.version}`:"");e.annotationProcessor?a.push(n("compileOnly",t),n("annotationProcessor",t)):"runtime"===e.scope?a.push(n("runtimeOnly",t)):"test"===e.scope?a.push(n("testImplementation",t)):a.push(n("implementation",t))}),a.push(n("testRuntimeOnly","org.junit.platform:junit-platform-launcher"));const r=a.map(e=>`    ${e}\n`).join("");let i;return i=e?'plugins {\n    java\n    id("org.springframework.boot") version "3.5.4"\n    id("io.spring.dependency-management") version "1.1.7"\n    id("com.netflix.dgs.codegen") version "7.0.3"\n}\n':"plugins {\n    id 'java'\n    id 'org.springframework.boot' version '3.5.4'\n    id 'io.spring.dependency-management' version '1.1.7'\n    id 'com.netflix.dgs.codegen' version '7.0.3'\n}\n",i+=`\ngroup = ${t(this.groupId)}\nversion = ${t(this.version)}\ndescription = ${t(this.serviceDescription)}\n\njava {\n    toolchain {\n        languageVersion = JavaLanguageVersion.of(${this.javaVersion})\n    }\n}\n\nconfigurations {\n    ${e?"compileOnly {\n        extendsFrom(configurations.annotationProcessor.get())":"compileOnly {\n        extendsFrom annotationProcessor"}\n    }\n}\n\nrepositories {\n    mavenCentral()\n}\n\ndependencies {\n${r}}\n\ntasks.generateJava {\n    schemaPaths = ${e?"mutableListOf<Any>(":"["}"\${projectDir}/src/main/resources/graphql"${e?")":"]"}\n    packageName = ${t(this.packageName+".codegen")}\n    addGeneratedAnnotation = true\n    disableDatesInGeneratedAnnotation = true\n}\n\ntasks.withType${e?"<Test>":"(Test)"} {\n    useJUnitPlatform()\n}\n`,[{name:e?"build.gradle.kts":"build.gradle",content:i}]}generateGradleSettingsFile(){const e="gradle-kotlin"===this.buildTool;return[{name:e?"settings.gradle.kts":"settings.gradle",content:e?`rootProject.name = "${this.artifactId}"\n`:`rootProject.name = '${this.artifactId}'\n`}]}getDataType(e,t="",n=""){return this.typeMapping.getDataType(e,t,n)}getFilterType(e){return null==e||"String"===e?"partial":"exact"}}"undefined"!=typeof module&&module.exports&&(module.exports={GraphQLSpringGenerator:GraphQLSpringGenerator,BUILD_DEPENDENCIES:BUILD_DEPENDENCIES,BUILD_TOOLS:BUILD_TOOLS,DEFAULT_EMAIL_COLUMN_PATTERN:"(^|_)e_?mail(_address)?$",DEFAULT_PAST_COLUMN_PATTERN:DEFAULT_PAST_COLUMN_PATTERN});
\ No newline at end of file
@@ -0,0 +1,156 @@
+/**
+ * Hibernate version managed by the Spring Boot parent of the generated project.
+ */
+const HIBERNATE_VERSION = "6.6";
+
+/**
+ * Dialects of Hibernate ORM 6.6 core. Hibernate also detects them from the JDBC connection.
+ */
+const HIBERNATE_CORE_DIALECTS = [
+    "org.hibernate.dialect.CockroachDialect",
+    "org.hibernate.dialect.DB2Dialect",
+    "org.hibernate.dialect.DB2iDialect",
+    "org.hibernate.dialect.DB2zDialect",
+    "org.hibernate.dialect.H2Dialect",
+    "org.hibernate.dialect.HANADialect",
+    "org.hibernate.dialect.HSQLDialect",
+    "org.hibernate.dialect.MariaDBDialect",
+    "org.hibernate.dialect.MySQLDialect",
+    "org.hibernate.dialect.OracleDialect",
+    "org.hibernate.dialect.PostgreSQLDialect",
+    "org.hibernate.dialect.PostgresPlusDialect",
+    "org.hibernate.dialect.SpannerDialect",
+    "org.hibernate.dialect.SQLServerDialect",
+    "org.hibernate.dialect.SybaseASEDialect",
+    "org.hibernate.dialect.TiDBDialect"
+];
+
+/**
+ * Package of the dialects in the hibernate-community-dialects artifact. They are not detected
+ * automatically and have to be set explicitly.
+ */
+const HIBERNATE_COMMUNITY_DIALECT_PACKAGE = "org.hibernate.community.dialect.";
+
+/**
+ * Dialects of Hibernate 5 and earlier, with their Hibernate 6 replacement.
+ * The versioned dialects were folded into one dialect per database, which reads the server version from the connection.
+ */
+const HIBERNATE_LEGACY_DIALECTS = {
+    "org.hibernate.dialect.MySQL5Dialect": "org.hibernate.dialect.MySQLDialect",
+    "org.hibernate.dialect.MySQL55Dialect": "org.hibernate.dialect.MySQLDialect",
+    "org.hibernate.dialect.MySQL57Dialect": "org.hibernate.dialect.MySQLDialect",
+    "org.hibernate.dialect.MySQL8Dialect": "org.hibernate.dialect.MySQLDialect",
+    "org.hibernate.dialect.MySQL5InnoDBDialect": "org.hibernate.dialect.MySQLDialect",
+    "org.hibernate.dialect.MySQL55InnoDBDialect": "org.hibernate.dialect.MySQLDialect",
+    "org.hibernate.dialect.MySQL57InnoDBDialect": "org.hibernate.dialect.MySQLDialect",
+    "org.hibernate.dialect.MySQLInnoDBDialect": "org.hibernate.dialect.MySQLDialect",
+    "org.hibernate.dialect.MySQLMyISAMDialect": "org.hibernate.dialect.MySQLDialect",
+    "org.hibernate.dialect.MariaDB53Dialect": "org.hibernate.dialect.MariaDBDialect",
+    "org.hibernate.dialect.MariaDB10Dialect": "org.hibernate.dialect.MariaDBDialect",
+    "org.hibernate.dialect.MariaDB102Dialect": "org.hibernate.dialect.MariaDBDialect",
+    "org.hibernate.dialect.MariaDB103Dialect": "org.hibernate.dialect.MariaDBDialect",
+    "org.hibernate.dialect.MariaDB106Dialect": "org.hibernate.dialect.MariaDBDialect",
+    "org.hibernate.dialect.PostgreSQL81Dialect": "org.hibernate.dialect.PostgreSQLDialect",
+    "org.hibernate.dialect.PostgreSQL82Dialect": "org.hibernate.dialect.PostgreSQLDialect",
+    "org.hibernate.dialect.PostgreSQL9Dialect": "org.hibernate.dialect.PostgreSQLDialect",
+    "org.hibernate.dialect.PostgreSQL91Dialect": "org.hibernate.dialect.PostgreSQLDialect",
+    "org.hibernate.dialect.PostgreSQL92Dialect": "org.hibernate.dialect.PostgreSQLDialect",
+    "org.hibernate.dialect.PostgreSQL93Dialect": "org.hibernate.dialect.PostgreSQLDialect",
+    "org.hibernate.dialect.PostgreSQL94Dialect": "org.hibernate.dialect.PostgreSQLDialect",
+    "org.hibernate.dialect.PostgreSQL95Dialect": "org.hibernate.dialect.PostgreSQLDialect",
+    "org.hibernate.dialect.PostgreSQL10Dialect": "org.hibernate.dialect.PostgreSQLDialect",
+    "org.hibernate.dialect.Oracle8iDialect": "org.hibernate.dialect.OracleDialect",
+    "org.hibernate.dialect.Oracle9iDialect": "org.hibernate.dialect.OracleDialect",
+    "org.hibernate.dialect.Oracle10gDialect": "org.hibernate.dialect.OracleDialect",
+    "org.hibernate.dialect.Oracle12cDialect": "org.hibernate.dialect.OracleDialect",
+    "org.hibernate.dialect.SQLServer2005Dialect": "org.hibernate.dialect.SQLServerDialect",
+    "org.hibernate.dialect.SQLServer2008Dialect": "org.hibernate.dialect.SQLServerDialect",
+    "org.hibernate.dialect.SQLServer2012Dialect": "org.hibernate.dialect.SQLServerDialect",
+    "org.hibernate.dialect.SQLServer2016Dialect": "org.hibernate.dialect.SQLServerDialect",
+    "org.hibernate.dialect.DB297Dialect": "org.hibernate.dialect.DB2Dialect",
+    "org.hibernate.dialect.DB2105Dialect": "org.hibernate.dialect.DB2Dialect",
+    "org.hibernate.dialect.DB2400Dialect": "org.hibernate.dialect.DB2iDialect",
+    "org.hibernate.dialect.DB2390Dialect": "org.hibernate.dialect.DB2zDialect",
+    "org.hibernate.dialect.SybaseDialect": "org.hibernate.dialect.SybaseASEDialect",
+    "org.hibernate.dialect.Sybase11Dialect": "org.hibernate.dialect.SybaseASEDialect",
+    "org.hibernate.dialect.SybaseASE15Dialect": "org.hibernate.dialect.SybaseASEDialect",
+    "org.hibernate.dialect.SybaseASE157Dialect": "org.hibernate.dialect.SybaseASEDialect",
+    "org.hibernate.dialect.DerbyDialect": "org.hibernate.community.dialect.DerbyDialect",
+    "org.hibernate.dialect.DerbyTenFiveDialect": "org.hibernate.community.dialect.DerbyDialect",
+    "org.hibernate.dialect.DerbyTenSixDialect": "org.hibernate.community.dialect.DerbyDialect",
+    "org.hibernate.dialect.DerbyTenSevenDialect": "org.hibernate.community.dialect.DerbyDialect",
+    "org.hibernate.dialect.FirebirdDialect": "org.hibernate.community.dialect.FirebirdDialect",
+    "org.hibernate.dialect.SQLiteDialect": "org.hibernate.community.dialect.SQLiteDialect"
+};
+
+/**
+ * Checks Hibernate dialect class names against the Hibernate version of the generated project.
+ *
+ * @class
+ */
+class HibernateDialects {
+    /**
+     * Checks a dialect and decides what the generated application.properties sets.
+     *
+     * - Core and community dialects are kept.
+     * - Legacy dialects replaced by a core dialect are left out, Hibernate detects the dialect
+     *   and the server version from the connection. Those replaced by a community dialect,
+     *   which cannot be detected, are replaced.
+     * - Unknown dialects in the `org.hibernate.dialect` package are left out with a warning,
+     *   since the class does not exist. Dialects of other packages are kept as custom dialects.
+     *
+     * @param {string} dialect - The dialect class name, empty for none.
+     * @param {string} [fallback] - The dialect of the selected database, used when the dialect is empty.
+     * @returns {{dialect: string, status: string, warning: ?string}} The dialect to set, empty to leave
+     *          the property out; the status ("empty", "current", "community", "legacy", "unknown" or "custom");
+     *          and a warning for legacy and unknown dialects.
+     */
+    check(dialect, fallback = '') {
+        const value = String(dialect ?? '').trim();
+        if (value === '') {
+            // Only community dialects have to be set, the others are detected
+            const detected = String(fallback ?? '').trim();
+            return { dialect: this.isCommunity(detected) ? detected : '', status: 'empty', warning: null };
+        }
+        if (HIBERNATE_CORE_DIALECTS.includes(value)) {
+            return { dialect: value, status: 'current', warning: null };
+        }
+        if (this.isCommunity(value)) {
+            return { dialect: value, status: 'community', warning: null };
+        }
+        const replacement = HIBERNATE_LEGACY_DIALECTS[value];
+        if (replacement) {
+            const community = this.isCommunity(replacement);
+            return {
+                dialect: community ? replacement : '',
+                status: 'legacy',
+                warning: `${value} is deprecated or removed in Hibernate ${HIBERNATE_VERSION}. `
+                    + (community
+                        ? `The generated project uses ${replacement} from hibernate-community-dialects.`
+                        : `Hibernate detects ${replacement} from the connection, so the generated project does not set the dialect.`)
+            };
+        }
+        if (value.startsWith('org.hibernate.dialect.')) {
+            return {
+                dialect: '',
+                status: 'unknown',
+                warning: `${value} is not a Hibernate ${HIBERNATE_VERSION} dialect. The generated project does not set the dialect and lets Hibernate detect it.`
+            };
+        }
+        return { dialect: value, status: 'custom', warning: null };
+    }
+
+    /**
+     * Tells whether a dialect belongs to hibernate-community-dialects.
+     *
+     * @param {string} dialect - The dialect class name.
+     * @returns {boolean} True for a community dialect.
+     */
+    isCommunity(dialect) {
+        return dialect.startsWith(HIBERNATE_COMMUNITY_DIALECT_PACKAGE);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HibernateDialects, HIBERNATE_VERSION, HIBERNATE_CORE_DIALECTS, HIBERNATE_LEGACY_DIALECTS };
+}
@@ -0,0 +1 @@
+const HIBERNATE_VERSION="6.6",HIBERNATE_CORE_DIALECTS=["org.hibernate.dialect.CockroachDialect","org.hibernate.dialect.DB2Dialect","org.hibernate.dialect.DB2iDialect","org.hibernate.dialect.DB2zDialect","org.hibernate.dialect.H2Dialect","org.hibernate.dialect.HANADialect","org.hibernate.dialect.HSQLDialect","org.hibernate.dialect.MariaDBDialect","org.hibernate.dialect.MySQLDialect","org.hibernate.dialect.OracleDialect","org.hibernate.dialect.PostgreSQLDialect","org.hibernate.dialect.PostgresPlusDialect","org.hibernate.dialect.SpannerDialect","org.hibernate.dialect.SQLServerDialect","org.hibernate.dialect.SybaseASEDialect","org.hibernate.dialect.TiDBDialect"],HIBERNATE_COMMUNITY_DIALECT_PACKAGE="org.hibernate.community.dialect.",HIBERNATE_LEGACY_DIALECTS={"org.hibernate.dialect.MySQL5Dialect":"org.hibernate.dialect.MySQLDialect","org.hibernate.dialect.MySQL55Dialect":"org.hibernate.dialect.MySQLDialect","org.hibernate.dialect.MySQL57Dialect":"org.hibernate.dialect.MySQLDialect","org.hibernate.dialect.MySQL8Dialect":"org.hibernate.dialect.MySQLDialect","org.hibernate.dialect.MySQL5InnoDBDialect":"org.hibernate.dialect.MySQLDialect","org.hibernate.dialect.MySQL55InnoDBDialect":"org.hibernate.dialect.MySQLDialect","org.hibernate.dialect.MySQL57InnoDBDialect":"org.hibernate.dialect.MySQLDialect","org.hibernate.dialect.MySQLInnoDBDialect":"org.hibernate.dialect.MySQLDialect","org.hibernate.dialect.MySQLMyISAMDialect":"org.hibernate.dialect.MySQLDialect","org.hibernate.dialect.MariaDB53Dialect":"org.hibernate.dialect.MariaDBDialect","org.hibernate.dialect.MariaDB10Dialect":"org.hibernate.dialect.MariaDBDialect","org.hibernate.dialect.MariaDB102Dialect":"org.hibernate.dialect.MariaDBDialect","org.hibernate.dialect.MariaDB103Dialect":"org.hibernate.dialect.MariaDBDialect","org.hibernate.dialect.MariaDB106Dialect":"org.hibernate.dialect.MariaDBDialect","org.hibernate.dialect.PostgreSQL81Dialect":"org.hibernate.dialect.PostgreSQLDialect","org.hibernate.dialect.PostgreSQL82Dialect":"org.hibernate.dialect.PostgreSQLDialect","org.hibernate.dialect.PostgreSQL9Dialect":"org.hibernate.dialect.PostgreSQLDialect","org.hibernate.dialect.PostgreSQL91Dialect":"org.hibernate.dialect.PostgreSQLDialect","org.hibernate.dialect.PostgreSQL92Dialect":"org.hibernate.dialect.PostgreSQLDialect","org.hibernate.dialect.PostgreSQL93Dialect":"org.hibernate.dialect.PostgreSQLDialect","org.hibernate.dialect.PostgreSQL94Dialect":"org.hibernate.dialect.PostgreSQLDialect","org.hibernate.dialect.PostgreSQL95Dialect":"org.hibernate.dialect.PostgreSQLDialect","org.hibernate.dialect.PostgreSQL10Dialect":"org.hibernate.dialect.PostgreSQLDialect","org.hibernate.dialect.Oracle8iDialect":"org.hibernate.dialect.OracleDialect","org.hibernate.dialect.Oracle9iDialect":"org.hibernate.dialect.OracleDialect","org.hibernate.dialect.Oracle10gDialect":"org.hibernate.dialect.OracleDialect","org.hibernate.dialect.Oracle12cDialect":"org.hibernate.dialect.OracleDialect","org.hibernate.dialect.SQLServer2005Dialect":"org.hibernate.dialect.SQLServerDialect","org.hibernate.dialect.SQLServer2008Dialect":"org.hibernate.dialect.SQLServerDialect","org.hibernate.dialect.SQLServer2012Dialect":"org.hibernate.dialect.SQLServerDialect","org.hibernate.dialect.SQLServer2016Dialect":"org.hibernate.dialect.SQLServerDialect","org.hibernate.dialect.DB297Dialect":"org.hibernate.dialect.DB2Dialect","org.hibernate.dialect.DB2105Dialect":"org.hibernate.dialect.DB2Dialect","org.hibernate.dialect.DB2400Dialect":"org.hibernate.dialect.DB2iDialect","org.hibernate.dialect.DB2390Dialect":"org.hibernate.dialect.DB2zDialect","org.hibernate.dialect.SybaseDialect":"org.hibernate.dialect.SybaseASEDialect","org.hibernate.dialect.Sybase11Dialect":"org.hibernate.dialect.SybaseASEDialect","org.hibernate.dialect.SybaseASE15Dialect":"org.hibernate.dialect.SybaseASEDialect","org.hibernate.dialect.SybaseASE157Dialect":"org.hibernate.dialect.SybaseASEDialect","org.hibernate.dialect.DerbyDialect":"org.hibernate.community.dialect.DerbyDialect","org.hibernate.dialect.DerbyTenFiveDialect":"org.hibernate.community.dialect.DerbyDialect","org.hibernate.dialect.DerbyTenSixDialect":"org.hibernate.community.dialect.DerbyDialect","org.hibernate.dialect.DerbyTenSevenDialect":"org.hibernate.community.dialect.DerbyDialect","org.hibernate.dialect.FirebirdDialect":"org.hibernate.community.dialect.FirebirdDialect","org.hibernate.dialect.SQLiteDialect":"org.hibernate.community.dialect.SQLiteDialect"};class HibernateDialects{check(e,t=""){const i=String(e??"").trim();if(""===i){const e=String(t??"").trim();return{dialect:this.isCommunity(e)?e:"",status:"empty",warning:null}}if(HIBERNATE_CORE_DIALECTS.includes(i))return{dialect:i,status:"current",warning:null};if(this.isCommunity(i))return{dialect:i,status:"community",warning:null};const a=HIBERNATE_LEGACY_DIALECTS[i];if(a){const e=this.isCommunity(a);return{dialect:e?a:"",status:"legacy",warning:`${i} is deprecated or removed in Hibernate 6.6. `+(e?`The generated project uses ${a} from hibernate-community-dialects.`:`Hibernate detects ${a} from the connection, so the generated project does not set the dialect.`)}}return i.startsWith("org.hibernate.dialect.")?{dialect:"",status:"unknown",warning:`${i} is not a Hibernate 6.6 dialect. The generated project does not set the dialect and lets Hibernate detect it.`}:{dialect:i,status:"custom",warning:null}}isCommunity(e){return e.startsWith("org.hibernate.community.dialect.")}}"undefined"!=typeof module&&module.exports&&(module.exports={HibernateDialects:HibernateDialects,HIBERNATE_VERSION:"6.6",HIBERNATE_CORE_DIALECTS:HIBERNATE_CORE_DIALECTS,HIBERNATE_LEGACY_DIALECTS:HIBERNATE_LEGACY_DIALECTS});
\ No newline at end of file
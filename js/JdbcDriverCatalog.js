@@ -0,0 +1,206 @@
+/**
+ * Databases supported by the generated project, with their JDBC URL pattern, driver class names,
+ * Hibernate 6 dialect and the dependencies that provide the driver.
+ *
+ * The first driver class name is the one filled in for a matching URL. Dependencies without a
+ * version are managed by the Spring Boot parent. The order matters: the first matching URL pattern wins.
+ */
+const JDBC_DRIVERS = [
+    {
+        id: "mysql",
+        name: "MySQL",
+        urlPattern: /^jdbc:mysql:/,
+        driverClassNames: ["com.mysql.cj.jdbc.Driver", "com.mysql.jdbc.Driver"],
+        dialect: "org.hibernate.dialect.MySQLDialect",
+        dependencies: [
+            { groupId: "com.mysql", artifactId: "mysql-connector-j", scope: "runtime" }
+        ]
+    },
+    {
+        id: "mariadb",
+        name: "MariaDB",
+        urlPattern: /^jdbc:mariadb:/,
+        driverClassNames: ["org.mariadb.jdbc.Driver"],
+        dialect: "org.hibernate.dialect.MariaDBDialect",
+        dependencies: [
+            { groupId: "org.mariadb.jdbc", artifactId: "mariadb-java-client", scope: "runtime" }
+        ]
+    },
+    {
+        id: "postgresql",
+        name: "PostgreSQL",
+        urlPattern: /^jdbc:postgresql:/,
+        driverClassNames: ["org.postgresql.Driver"],
+        dialect: "org.hibernate.dialect.PostgreSQLDialect",
+        dependencies: [
+            { groupId: "org.postgresql", artifactId: "postgresql", scope: "runtime" }
+        ]
+    },
+    {
+        id: "sqlite",
+        name: "SQLite",
+        urlPattern: /^jdbc:sqlite:/,
+        driverClassNames: ["org.sqlite.JDBC"],
+        // Hibernate has no SQLite dialect of its own, the community dialects provide it
+        dialect: "org.hibernate.community.dialect.SQLiteDialect",
+        dependencies: [
+            { groupId: "org.xerial", artifactId: "sqlite-jdbc", scope: "runtime" },
+            { groupId: "org.hibernate.orm", artifactId: "hibernate-community-dialects" }
+        ]
+    },
+    {
+        id: "oracle",
+        name: "Oracle",
+        urlPattern: /^jdbc:oracle:/,
+        driverClassNames: ["oracle.jdbc.OracleDriver"],
+        dialect: "org.hibernate.dialect.OracleDialect",
+        dependencies: [
+            { groupId: "com.oracle.database.jdbc", artifactId: "ojdbc11", scope: "runtime" }
+        ]
+    },
+    {
+        id: "sqlserver",
+        name: "SQL Server",
+        urlPattern: /^jdbc:sqlserver:/,
+        driverClassNames: ["com.microsoft.sqlserver.jdbc.SQLServerDriver"],
+        dialect: "org.hibernate.dialect.SQLServerDialect",
+        dependencies: [
+            { groupId: "com.microsoft.sqlserver", artifactId: "mssql-jdbc", scope: "runtime" }
+        ]
+    },
+    {
+        id: "h2",
+        name: "H2 Database",
+        urlPattern: /^jdbc:h2:/,
+        driverClassNames: ["org.h2.Driver"],
+        dialect: "org.hibernate.dialect.H2Dialect",
+        dependencies: [
+            { groupId: "com.h2database", artifactId: "h2", scope: "runtime" }
+        ]
+    },
+    {
+        id: "derby-client",
+        name: "Apache Derby (Client)",
+        urlPattern: /^jdbc:derby:\/\//,
+        driverClassNames: ["org.apache.derby.jdbc.ClientDriver"],
+        // Hibernate 6 moved the Derby dialect to the community dialects
+        dialect: "org.hibernate.community.dialect.DerbyDialect",
+        dependencies: [
+            { groupId: "org.apache.derby", artifactId: "derbyclient", scope: "runtime" },
+            { groupId: "org.apache.derby", artifactId: "derbytools", scope: "runtime" },
+            { groupId: "org.hibernate.orm", artifactId: "hibernate-community-dialects" }
+        ]
+    },
+    {
+        id: "derby",
+        name: "Apache Derby (Embedded)",
+        urlPattern: /^jdbc:derby:/,
+        driverClassNames: ["org.apache.derby.jdbc.EmbeddedDriver"],
+        dialect: "org.hibernate.community.dialect.DerbyDialect",
+        dependencies: [
+            { groupId: "org.apache.derby", artifactId: "derby", scope: "runtime" },
+            { groupId: "org.apache.derby", artifactId: "derbytools", scope: "runtime" },
+            { groupId: "org.hibernate.orm", artifactId: "hibernate-community-dialects" }
+        ]
+    },
+    {
+        id: "db2",
+        name: "IBM DB2",
+        urlPattern: /^jdbc:db2:/,
+        driverClassNames: ["com.ibm.db2.jcc.DB2Driver"],
+        dialect: "org.hibernate.dialect.DB2Dialect",
+        dependencies: [
+            { groupId: "com.ibm.db2", artifactId: "jcc", scope: "runtime" }
+        ]
+    },
+    {
+        id: "firebird",
+        name: "Firebird",
+        urlPattern: /^jdbc:firebird(sql)?:/,
+        driverClassNames: ["org.firebirdsql.jdbc.FBDriver"],
+        // Like SQLite, the Firebird dialect is one of the community dialects
+        dialect: "org.hibernate.community.dialect.FirebirdDialect",
+        dependencies: [
+            { groupId: "org.firebirdsql.jdbc", artifactId: "jaybird", scope: "runtime" },
+            { groupId: "org.hibernate.orm", artifactId: "hibernate-community-dialects" }
+        ]
+    },
+    {
+        id: "sybase",
+        name: "Sybase (SAP ASE)",
+        urlPattern: /^jdbc:sybase:/,
+        driverClassNames: ["com.sybase.jdbc4.jdbc.SybDriver"],
+        dialect: "org.hibernate.dialect.SybaseASEDialect",
+        // jConnect is not published to Maven Central
+        dependencies: [
+            { comment: "Sybase jConnect (com.sybase.jdbc4.jdbc.SybDriver) is not in Maven Central, add it in the custom region" }
+        ]
+    }
+];
+
+/**
+ * Id of the database used when neither the driver class nor the JDBC URL is given,
+ * matching the driver class the generated application.properties falls back to.
+ */
+const JDBC_DEFAULT_DRIVER_ID = "mysql";
+
+/**
+ * Looks up the database of a JDBC URL or driver class name in {@link JDBC_DRIVERS}.
+ *
+ * @class
+ */
+class JdbcDriverCatalog {
+    /**
+     * Finds the database of a JDBC URL.
+     *
+     * @param {string} url - The JDBC URL, e.g. "jdbc:mysql://localhost:3306/db".
+     * @returns {?Object} The catalog entry, or null when no database matches.
+     */
+    findByUrl(url) {
+        const value = String(url ?? '').trim();
+        return JDBC_DRIVERS.find(entry => entry.urlPattern.test(value)) || null;
+    }
+
+    /**
+     * Finds the database of a JDBC driver class name.
+     *
+     * @param {string} driverClassName - The fully qualified driver class name.
+     * @returns {?Object} The catalog entry, or null when the driver is unknown.
+     */
+    findByDriverClassName(driverClassName) {
+        const value = String(driverClassName ?? '').trim();
+        return JDBC_DRIVERS.find(entry => entry.driverClassNames.includes(value)) || null;
+    }
+
+    /**
+     * Resolves the database of a datasource config. The driver class name wins over the URL;
+     * without both, the default database is used.
+     *
+     * @param {string} url - The JDBC URL.
+     * @param {string} driverClassName - The driver class name.
+     * @returns {?Object} The catalog entry, or null when the driver class name is given but unknown.
+     */
+    resolve(url, driverClassName) {
+        if (String(driverClassName ?? '').trim() !== '') {
+            return this.findByDriverClassName(driverClassName);
+        }
+        if (String(url ?? '').trim() !== '') {
+            return this.findByUrl(url) || this.findById(JDBC_DEFAULT_DRIVER_ID);
+        }
+        return this.findById(JDBC_DEFAULT_DRIVER_ID);
+    }
+
+    /**
+     * Finds a database by its id.
+     *
+     * @param {string} id - The id, e.g. "postgresql".
+     * @returns {?Object} The catalog entry, or null when the id is unknown.
+     */
+    findById(id) {
+        return JDBC_DRIVERS.find(entry => entry.id === id) || null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { JdbcDriverCatalog, JDBC_DRIVERS, JDBC_DEFAULT_DRIVER_ID };
+}
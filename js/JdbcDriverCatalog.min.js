@@ -0,0 +1 @@
+const JDBC_DRIVERS=[{id:"mysql",name:"MySQL",urlPattern:/^jdbc:mysql:/,driverClassNames:["com.mysql.cj.jdbc.Driver","com.mysql.jdbc.Driver"],dialect:"org.hibernate.dialect.MySQLDialect",dependencies:[{groupId:"com.mysql",artifactId:"mysql-connector-j",scope:"runtime"}]},{id:"mariadb",name:"MariaDB",urlPattern:/^jdbc:mariadb:/,driverClassNames:["org.mariadb.jdbc.Driver"],dialect:"org.hibernate.dialect.MariaDBDialect",dependencies:[{groupId:"org.mariadb.jdbc",artifactId:"mariadb-java-client",scope:"runtime"}]},{id:"postgresql",name:"PostgreSQL",urlPattern:/^jdbc:postgresql:/,driverClassNames:["org.postgresql.Driver"],dialect:"org.hibernate.dialect.PostgreSQLDialect",dependencies:[{groupId:"org.postgresql",artifactId:"postgresql",scope:"runtime"}]},{id:"sqlite",name:"SQLite",urlPattern:/^jdbc:sqlite:/,driverClassNames:["org.sqlite.JDBC"],dialect:"org.hibernate.community.dialect.SQLiteDialect",dependencies:[{groupId:"org.xerial",artifactId:"sqlite-jdbc",scope:"runtime"},{groupId:"org.hibernate.orm",artifactId:"hibernate-community-dialects"}]},{id:"oracle",name:"Oracle",urlPattern:/^jdbc:oracle:/,driverClassNames:["oracle.jdbc.OracleDriver"],dialect:"org.hibernate.dialect.OracleDialect",dependencies:[{groupId:"com.oracle.database.jdbc",artifactId:"ojdbc11",scope:"runtime"}]},{id:"sqlserver",name:"SQL Server",urlPattern:/^jdbc:sqlserver:/,driverClassNames:["com.microsoft.sqlserver.jdbc.SQLServerDriver"],dialect:"org.hibernate.dialect.SQLServerDialect",dependencies:[{groupId:"com.microsoft.sqlserver",artifactId:"mssql-jdbc",scope:"runtime"}]},{id:"h2",name:"H2 Database",urlPattern:/^jdbc:h2:/,driverClassNames:["org.h2.Driver"],dialect:"org.hibernate.dialect.H2Dialect",dependencies:[{groupId:"com.h2database",artifactId:"h2",scope:"runtime"}]},{id:"derby-client",name:"Apache Derby (Client)",urlPattern:/^jdbc:derby:\/\//,driverClassNames:["org.apache.derby.jdbc.ClientDriver"],dialect:"org.hibernate.community.dialect.DerbyDialect",dependencies:[{groupId:"org.apache.derby",artifactId:"derbyclient",scope:"runtime"},{groupId:"org.apache.derby",artifactId:"derbytools",scope:"runtime"},{groupId:"org.hibernate.orm",artifactId:"hibernate-community-dialects"}]},{id:"derby",name:"Apache Derby (Embedded)",urlPattern:/^jdbc:derby:/,driverClassNames:["org.apache.derby.jdbc.EmbeddedDriver"],dialect:"org.hibernate.community.dialect.DerbyDialect",dependencies:[{groupId:"org.apache.derby",artifactId:"derby",scope:"runtime"},{groupId:"org.apache.derby",artifactId:"derbytools",scope:"runtime"},{groupId:"org.hibernate.orm",artifactId:"hibernate-community-dialects"}]},{id:"db2",name:"IBM DB2",urlPattern:/^jdbc:db2:/,driverClassNames:["com.ibm.db2.jcc.DB2Driver"],dialect:"org.hibernate.dialect.DB2Dialect",dependencies:[{groupId:"com.ibm.db2",artifactId:"jcc",scope:"runtime"}]},{id:"firebird",name:"Firebird",urlPattern:/^jdbc:firebird(sql)?:/,driverClassNames:["org.firebirdsql.jdbc.FBDriver"],dialect:"org.hibernate.community.dialect.FirebirdDialect",dependencies:[{groupId:"org.firebirdsql.jdbc",artifactId:"jaybird",scope:"runtime"},{groupId:"org.hibernate.orm",artifactId:"hibernate-community-dialects"}]},{id:"sybase",name:"Sybase (SAP ASE)",urlPattern:/^jdbc:sybase:/,driverClassNames:["com.sybase.jdbc4.jdbc.SybDriver"],dialect:"org.hibernate.dialect.SybaseASEDialect",dependencies:[{comment:"Sybase jConnect (com.sybase.jdbc4.jdbc.SybDriver) is not in Maven Central, add it in the custom region"}]}],JDBC_DEFAULT_DRIVER_ID="mysql";class JdbcDriverCatalog{findByUrl(e){const r=String(e??"").trim();return JDBC_DRIVERS.find(e=>e.urlPattern.test(r))||null}findByDriverClassName(e){const r=String(e??"").trim();return JDBC_DRIVERS.find(e=>e.driverClassNames.includes(r))||null}resolve(e,r){return""!==String(r??"").trim()?this.findByDriverClassName(r):""!==String(e??"").trim()&&this.findByUrl(e)||this.findById("mysql")}findById(e){return JDBC_DRIVERS.find(r=>r.id===e)||null}}"undefined"!=typeof module&&module.exports&&(module.exports={JdbcDriverCatalog:JdbcDriverCatalog,JDBC_DRIVERS:JDBC_DRIVERS,JDBC_DEFAULT_DRIVER_ID:"mysql"});
\ No newline at end of file
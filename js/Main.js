@@ -1,14 +1,21 @@
+let typeMapping = new TypeMapping();
 let stringUtil = new StringUtil();
-let generator = new GraphQLSpringGenerator();
-let sqlParser = new SQLParser();
-let util = new GraphQLSchemaUtils();
+let util = new GraphQLSchemaUtils(typeMapping);
+let jdbcDriverCatalog = new JdbcDriverCatalog();
+let hibernateDialects = new HibernateDialects();
+let generator = new GraphQLSpringGenerator({ typeMapping: typeMapping, stringUtil: stringUtil, schemaUtils: util, jdbcDriverCatalog: jdbcDriverCatalog, hibernateDialects: hibernateDialects });
+let sqlParser = new SQLParser({ stringUtil: stringUtil, typeMapping: typeMapping });
+let projectFile = new ProjectFile();
 let entityRenderer;
+let filePreview;
+let diagnosticsPanel;
+let loadedProjectText = null;
 let updatedWidth = 600;
 let drawRelationship = true;
 
 /**
  * Autopopulates the JDBC driver class name and Hibernate dialect
- * based on the provided JDBC URL.
+ * based on the provided JDBC URL, using the databases of the {@link JdbcDriverCatalog}.
  *
  * Supported databases:
  * - MySQL, MariaDB, PostgreSQL, SQLite, Oracle, SQL Server,
@@ -20,43 +27,28 @@ let drawRelationship = true;
 function autopopulateDriverAndDialect(url) {
     const dbDriverInput = document.getElementById("dbDriver");
     const dbDialectInput = document.getElementById("dbDialect");
+    const database = jdbcDriverCatalog.findByUrl(url);
 
-    if (url.startsWith("jdbc:mysql:")) {
-        dbDriverInput.value = "com.mysql.cj.jdbc.Driver";
-        dbDialectInput.value = "org.hibernate.dialect.MySQL8Dialect";
-    } else if (url.startsWith("jdbc:mariadb:")) {
-        dbDriverInput.value = "org.mariadb.jdbc.Driver";
-        dbDialectInput.value = "org.hibernate.dialect.MariaDBDialect";
-    } else if (url.startsWith("jdbc:postgresql:")) {
-        dbDriverInput.value = "org.postgresql.Driver";
-        dbDialectInput.value = "org.hibernate.dialect.PostgreSQLDialect";
-    } else if (url.startsWith("jdbc:sqlite:")) {
-        dbDriverInput.value = "org.sqlite.JDBC";
-        dbDialectInput.value = "org.hibernate.dialect.SQLiteDialect"; // custom
-    } else if (url.startsWith("jdbc:oracle:")) {
-        dbDriverInput.value = "oracle.jdbc.OracleDriver";
-        dbDialectInput.value = "org.hibernate.dialect.Oracle12cDialect";
-    } else if (url.startsWith("jdbc:sqlserver:")) {
-        dbDriverInput.value = "com.microsoft.sqlserver.jdbc.SQLServerDriver";
-        dbDialectInput.value = "org.hibernate.dialect.SQLServer2012Dialect";
-    } else if (url.startsWith("jdbc:h2:")) {
-        dbDriverInput.value = "org.h2.Driver";
-        dbDialectInput.value = "org.hibernate.dialect.H2Dialect";
-    } else if (url.startsWith("jdbc:derby:")) {
-        dbDriverInput.value = "org.apache.derby.jdbc.EmbeddedDriver";
-        dbDialectInput.value = "org.hibernate.dialect.DerbyDialect";
-    } else if (url.startsWith("jdbc:db2:")) {
-        dbDriverInput.value = "com.ibm.db2.jcc.DB2Driver";
-        dbDialectInput.value = "org.hibernate.dialect.DB2Dialect";
-    } else if (url.startsWith("jdbc:firebird:")) {
-        dbDriverInput.value = "org.firebirdsql.jdbc.FBDriver";
-        dbDialectInput.value = "org.hibernate.dialect.FirebirdDialect"; // custom
-    } else if (url.startsWith("jdbc:sybase:")) {
-        dbDriverInput.value = "com.sybase.jdbc4.jdbc.SybDriver";
-        dbDialectInput.value = "org.hibernate.dialect.SybaseDialect";
+    if (database) {
+        dbDriverInput.value = database.driverClassNames[0];
+        dbDialectInput.value = database.dialect;
     }
 }
 
+/**
+ * Shows a warning below the Hibernate dialect field when the dialect is deprecated,
+ * removed or unknown in the Hibernate version of the generated project.
+ *
+ * @param {string} dialect - The Hibernate dialect class name.
+ * @returns {void}
+ */
+function showDialectWarning(dialect) {
+    const warningElement = document.getElementById("dbDialectWarning");
+    const warning = hibernateDialects.check(dialect).warning;
+    warningElement.textContent = warning || '';
+    warningElement.style.display = warning ? 'block' : 'none';
+}
+
 /**
  * Autopopulates groupId, artifactId, and serviceName
  * based on the given Java package name.
@@ -117,6 +109,184 @@ function applyModel(model) {
     generator.setModel(model);
 }
 
+/**
+ * Shows the problems of an imported SQL or SQLite file and, when tables were found, uses its model.
+ *
+ * @param {Object} model - The imported model.
+ * @param {Object[]} model.entities - The imported entities, empty when the import failed.
+ * @param {Object[]} [model.diagnostics] - The problems found while importing.
+ * @returns {void}
+ */
+function applyImportedModel(model) {
+    diagnosticsPanel.render(model.diagnostics);
+    if (model.entities.length > 0) {
+        applyModel(model);
+        renderModel(model);
+    }
+}
+
+/**
+ * Reads the generator config from the form.
+ *
+ * @param {HTMLFormElement} form - The config form.
+ * @returns {Object} The config, keyed by form field name.
+ */
+function readConfig(form) {
+    const formData = new FormData(form);
+    return {
+        packageName: formData.get('packageName'),
+        groupId: formData.get('groupId'),
+        artifactId: formData.get('artifactId'),
+        serviceName: formData.get('serviceName'),
+        serviceDescription: formData.get('serviceDescription'),
+        javaVersion: formData.get('javaVersion'),
+        buildTool: formData.get('buildTool'),
+        version: formData.get('version'),
+        maxRelationDepth: formData.get('maxRelationDepth').trim() || undefined,
+        joinTableMode: formData.get('joinTableMode'),
+        paginationMode: formData.get('paginationMode'),
+        emailColumnPattern: formData.get('emailColumnPattern'),
+        pastColumnPattern: formData.get('pastColumnPattern'),
+        typeMappingOverrides: formData.get('typeMappingOverrides'),
+        appPort: formData.get('appPort'),
+        dbUrl: formData.get('dbUrl'),
+        dbUsername: formData.get('dbUsername'),
+        dbPassword: formData.get('dbPassword'),
+        dbDriver: formData.get('dbDriver'),
+        dbShowSql: formData.get('dbShowSql'),
+        dbDialect: formData.get('dbDialect'),
+    };
+}
+
+/**
+ * Writes a config into the form. Keys without a matching form field are ignored.
+ *
+ * @param {HTMLFormElement} form - The config form.
+ * @param {Object} config - The config, keyed by form field name.
+ * @returns {void}
+ */
+function applyConfig(form, config) {
+    Object.keys(config).forEach(key => {
+        const field = form.elements.namedItem(key);
+        if (field && field.type !== 'file' && config[key] != null) {
+            field.value = config[key];
+        }
+    });
+}
+
+/**
+ * Renders the ERD and the entity description of a model.
+ *
+ * @param {Object} model - The model containing entities
+ * @returns {void}
+ */
+function renderModel(model) {
+    if(updatedWidth < 480)
+    {
+        updatedWidth = 480;
+    }
+    entityRenderer.createERD(model, updatedWidth, drawRelationship);
+    entityRenderer.createDescription(model, '#erd-description');
+}
+
+/**
+ * Generates the project for the current model and downloads it as a ZIP file.
+ * When a previous project is given, the new files are merged into it and the conflicts are shown.
+ * Shows the loading message while the archive is being built.
+ *
+ * @param {Object} config - The generator config.
+ * @param {string} outputFileName - The name of the downloaded file.
+ * @param {File} [previousProject] - The ZIP of the previously generated project.
+ * @returns {Promise<void>}
+ */
+async function downloadProject(config, outputFileName, previousProject) {
+    const loadingMessage = document.getElementById('loading');
+    loadingMessage.style.display = 'block';
+    try {
+        if (previousProject) {
+            const result = await generator.mergeZip(null, config, previousProject, "blob");
+            saveAs(result.content, outputFileName);
+            if (result.report.conflicts.length > 0) {
+                alert(`${result.report.conflicts.length} conflicts, see .servicegen/merge-report.md:\n`
+                    + result.report.conflicts.map(conflict => conflict.name).join('\n'));
+            }
+        } else {
+            const content = await generator.generateZip(null, config, "blob");
+            saveAs(content, outputFileName);
+        }
+    } catch (error) {
+        console.error('Gagal membuat file ZIP:', error);
+        alert(error.message);
+    } finally {
+        loadingMessage.style.display = 'none';
+    }
+}
+
+/**
+ * Checks the parts of the config that can be invalid, and alerts the first error.
+ * The project is not generated while the imported SQL has errors.
+ *
+ * @param {Object} config - The generator config.
+ * @returns {boolean} True when the config can be used.
+ */
+function validateConfig(config) {
+    if (diagnosticsPanel.hasErrors()) {
+        alert(diagnosticsPanel.getSummary());
+        return false;
+    }
+    try {
+        typeMapping.parseOverrides(config.typeMappingOverrides);
+    } catch (error) {
+        alert(error.message);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Generates the files of a project file, as the previous version of the project.
+ * The database password is not stored in project files, so the current one is used.
+ *
+ * @param {string} text - The project file JSON.
+ * @param {Object} config - The current generator config.
+ * @returns {Array<{name: string, content: string}>} The generated files.
+ */
+function generateProjectFiles(text, config) {
+    const project = projectFile.parse(text);
+    return new GraphQLSpringGenerator().generate(project.model, { ...project.config, dbPassword: config.dbPassword });
+}
+
+/**
+ * Shows the files that Generate would download in the Files tab.
+ *
+ * They are compared with, in this order: the ZIP or project file chosen in the Files tab,
+ * the previous project to merge into, or the project file loaded in the form.
+ *
+ * @param {Object} config - The generator config.
+ * @param {File} [previousProject] - The ZIP of the previously generated project to merge into.
+ * @param {File} [compareProject] - The ZIP or project file to compare with.
+ * @returns {Promise<void>}
+ */
+async function previewProject(config, previousProject, compareProject) {
+    try {
+        const mergeFiles = previousProject ? await generator.projectMerger.readZip(previousProject) : null;
+        const files = mergeFiles ? generator.merge(null, config, mergeFiles).files : generator.generate(null, config);
+        let previousFiles = null;
+        if (compareProject && compareProject.name.toLowerCase().endsWith('.json')) {
+            previousFiles = generateProjectFiles(await compareProject.text(), config);
+        } else if (compareProject) {
+            previousFiles = await generator.projectMerger.readZip(compareProject);
+        } else if (mergeFiles) {
+            previousFiles = mergeFiles;
+        } else if (loadedProjectText) {
+            previousFiles = generateProjectFiles(loadedProjectText, config);
+        }
+        filePreview.render(files, previousFiles);
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
 let resizeTimeout;
 
 window.addEventListener('resize', () => {
@@ -143,10 +313,18 @@ document.addEventListener('DOMContentLoaded', () => {
     const form = document.getElementById('configForm');
     const packageNameInput = document.getElementById("packageName");
     const dbUrlInput = document.getElementById("dbUrl");
+    const dbDialectInput = document.getElementById("dbDialect");
     const sqlFileInput = document.getElementById('sqlFile');
+    const typeMappingFileInput = document.getElementById('typeMappingFile');
+    const projectFileInput = document.getElementById('projectFile');
+    const saveProjectButton = document.getElementById('saveProject');
+    const previewFilesButton = document.getElementById('previewFiles');
+    const changedFilesOnlyInput = document.getElementById('changedFilesOnly');
     
     entityRenderer = new EntityRenderer(".erd-svg");
     entityRenderer.initIconEvent(generator);
+    filePreview = new FilePreview('#file-tree', '#file-viewer', '#file-summary');
+    diagnosticsPanel = new DiagnosticsPanel('#importDiagnostics');
     const wrapper = document.querySelector('.erd-wrapper');
     if (wrapper) {
         updatedWidth = wrapper.clientWidth;
@@ -161,54 +339,82 @@ document.addEventListener('DOMContentLoaded', () => {
 
     dbUrlInput.addEventListener('change', function (e) {
         autopopulateDriverAndDialect(e.target.value);
+        showDialectWarning(dbDialectInput.value);
     });
     dbUrlInput.addEventListener('keyup', function (e) {
         autopopulateDriverAndDialect(e.target.value);
+        showDialectWarning(dbDialectInput.value);
     });
 
-    sqlFileInput.addEventListener('change', function (e) {
-        const formData = new FormData(form);
-        const sqlFile = formData.get('sqlFile');
-        if (sqlFile) {
-            sqlParser.importSQLFile(sqlFile, (model) => {
-                applyModel(model);
-                if(updatedWidth < 480)
-                {
-                    updatedWidth = 480;
+    dbDialectInput.addEventListener('change', function (e) {
+        showDialectWarning(e.target.value);
+    });
+    dbDialectInput.addEventListener('keyup', function (e) {
+        showDialectWarning(e.target.value);
+    });
+
+    typeMappingFileInput.addEventListener('change', function (e) {
+        const file = e.target.files[0];
+        if (file) {
+            file.text().then(text => {
+                document.getElementById('typeMappingOverrides').value = text;
+            });
+        }
+    });
+
+    projectFileInput.addEventListener('change', function (e) {
+        const file = e.target.files[0];
+        if (file) {
+            file.text().then(text => {
+                let project;
+                try {
+                    project = projectFile.parse(text);
+                } catch (error) {
+                    alert(error.message);
+                    return;
                 }
-                entityRenderer.createERD(model, updatedWidth, drawRelationship);
-                entityRenderer.createDescription(model, '#erd-description');
+                loadedProjectText = text;
+                // The model of the project file replaces the imported one, with its problems
+                diagnosticsPanel.render([]);
+                applyModel(project.model);
+                // The saved config wins over the relation depth computed from the model
+                applyConfig(form, project.config);
+                showDialectWarning(dbDialectInput.value);
+                renderModel(project.model);
             });
         }
     });
 
-    const formDataInit = new FormData(form);
-    const sqlFileInit = formDataInit.get('sqlFile');
-    if (sqlFileInit) {
-        sqlParser.importSQLFile(sqlFileInit, (model) => {
-            applyModel(model);
-            if(updatedWidth < 480)
-            {
-                updatedWidth = 480;
-            }
-            entityRenderer.createERD(model, updatedWidth, drawRelationship);
-            entityRenderer.createDescription(model, '#erd-description');
-        });
-    }
+    previewFilesButton.addEventListener('click', function () {
+        const config = readConfig(form);
+        if (validateConfig(config)) {
+            previewProject(config, document.getElementById('previousProject').files[0], document.getElementById('compareProject').files[0]);
+        }
+    });
+
+    changedFilesOnlyInput.addEventListener('change', function (e) {
+        filePreview.setChangedOnly(e.target.checked);
+    });
+
+    saveProjectButton.addEventListener('click', function () {
+        const config = readConfig(form);
+        const json = projectFile.stringify(generator.getModel(), config);
+        saveAs(new Blob([json], { type: 'application/json' }), (config.artifactId || 'servicegen') + '.servicegen.json');
+    });
+
+    sqlFileInput.addEventListener('change', function (e) {
+        sqlParser.importFiles(Array.from(e.target.files), applyImportedModel);
+    });
+
+    // Files kept by the browser after a reload
+    sqlParser.importFiles(Array.from(sqlFileInput.files), applyImportedModel);
 
     form.addEventListener('submit', (event) => {
         event.preventDefault();
-        const formData = new FormData(form);
-        const config = {
-            packageName: formData.get('packageName'),
-            groupId: formData.get('groupId'),
-            artifactId: formData.get('artifactId'),
-            serviceName: formData.get('serviceName'),
-            serviceDescription: formData.get('serviceDescription'),
-            javaVersion: formData.get('javaVersion'),
-            version: formData.get('version'),
-            maxRelationDepth: parseInt(formData.get('maxRelationDepth')) || 3,
-        };
-        generator.createZipFile(null, config, document.querySelector('#artifactId').value + ".zip");
+        const config = readConfig(form);
+        if (!validateConfig(config)) {
+            return;
+        }
+        downloadProject(config, (config.artifactId || 'servicegen') + ".zip", document.getElementById('previousProject').files[0]);
     });
 });
\ No newline at end of file
@@ -1 +1 @@
-let stringUtil=new StringUtil,generator=new GraphQLSpringGenerator,sqlParser=new SQLParser,util=new GraphQLSchemaUtils,entityRenderer,updatedWidth=600,drawRelationship=!0;function autopopulateDriverAndDialect(e){let t=document.getElementById("dbDriver"),r=document.getElementById("dbDialect");e.startsWith("jdbc:mysql:")?(t.value="com.mysql.cj.jdbc.Driver",r.value="org.hibernate.dialect.MySQL8Dialect"):e.startsWith("jdbc:mariadb:")?(t.value="org.mariadb.jdbc.Driver",r.value="org.hibernate.dialect.MariaDBDialect"):e.startsWith("jdbc:postgresql:")?(t.value="org.postgresql.Driver",r.value="org.hibernate.dialect.PostgreSQLDialect"):e.startsWith("jdbc:sqlite:")?(t.value="org.sqlite.JDBC",r.value="org.hibernate.dialect.SQLiteDialect"):e.startsWith("jdbc:oracle:")?(t.value="oracle.jdbc.OracleDriver",r.value="org.hibernate.dialect.Oracle12cDialect"):e.startsWith("jdbc:sqlserver:")?(t.value="com.microsoft.sqlserver.jdbc.SQLServerDriver",r.value="org.hibernate.dialect.SQLServer2012Dialect"):e.startsWith("jdbc:h2:")?(t.value="org.h2.Driver",r.value="org.hibernate.dialect.H2Dialect"):e.startsWith("jdbc:derby:")?(t.value="org.apache.derby.jdbc.EmbeddedDriver",r.value="org.hibernate.dialect.DerbyDialect"):e.startsWith("jdbc:db2:")?(t.value="com.ibm.db2.jcc.DB2Driver",r.value="org.hibernate.dialect.DB2Dialect"):e.startsWith("jdbc:firebird:")?(t.value="org.firebirdsql.jdbc.FBDriver",r.value="org.hibernate.dialect.FirebirdDialect"):e.startsWith("jdbc:sybase:")&&(t.value="com.sybase.jdbc4.jdbc.SybDriver",r.value="org.hibernate.dialect.SybaseDialect")}function autopopulatePackage(e){let t=document.getElementById("groupId"),r=document.getElementById("artifactId"),a=document.getElementById("serviceName"),i=e.trim();if(!i){t.value="",r.value="",a.value="";return}t.value=i;let l=i.split("."),d=l[l.length-1];r.value=d,a.value=d.split(/[-_]/).map(e=>e.charAt(0).toUpperCase()+e.slice(1)).join(" ")}function applyModel(e){let t=document.getElementById("maxRelationDepth"),r=Math.max(...e.entities.map(e=>e.depth))-1;t.value=r,generator.setModel(e)}let resizeTimeout;window.addEventListener("resize",()=>{clearTimeout(resizeTimeout),resizeTimeout=setTimeout(()=>{let e=document.querySelector(".erd-wrapper");if(e){let t=e.clientWidth;t<480&&(t=480),entityRenderer.createERD(generator.getModel(),t,drawRelationship),entityRenderer.createDescription(generator.getModel(),"#erd-description")}},30)}),document.addEventListener("DOMContentLoaded",()=>{let e=document.getElementById("configForm"),t=document.getElementById("packageName"),r=document.getElementById("dbUrl"),a=document.getElementById("sqlFile");(entityRenderer=new EntityRenderer(".erd-svg")).initIconEvent(generator);let i=document.querySelector(".erd-wrapper");i&&(updatedWidth=i.clientWidth),t.addEventListener("change",function(e){autopopulatePackage(e.target.value)}),t.addEventListener("keyup",function(e){autopopulatePackage(e.target.value)}),r.addEventListener("change",function(e){autopopulateDriverAndDialect(e.target.value)}),r.addEventListener("keyup",function(e){autopopulateDriverAndDialect(e.target.value)}),a.addEventListener("change",function(t){let r=new FormData(e),a=r.get("sqlFile");a&&sqlParser.importSQLFile(a,e=>{applyModel(e),updatedWidth<480&&(updatedWidth=480),entityRenderer.createERD(e,updatedWidth,drawRelationship),entityRenderer.createDescription(e,"#erd-description")})});let l=new FormData(e),d=l.get("sqlFile");d&&sqlParser.importSQLFile(d,e=>{applyModel(e),updatedWidth<480&&(updatedWidth=480),entityRenderer.createERD(e,updatedWidth,drawRelationship),entityRenderer.createDescription(e,"#erd-description")}),e.addEventListener("submit",t=>{t.preventDefault();let r=new FormData(e),a={packageName:r.get("packageName"),groupId:r.get("groupId"),artifactId:r.get("artifactId"),serviceName:r.get("serviceName"),serviceDescription:r.get("serviceDescription"),javaVersion:r.get("javaVersion"),version:r.get("version"),maxRelationDepth:parseInt(r.get("maxRelationDepth"))||3};generator.createZipFile(null,a,document.querySelector("#artifactId").value+".zip")})});
\ No newline at end of file
+let entityRenderer,filePreview,diagnosticsPanel,resizeTimeout,typeMapping=new TypeMapping,stringUtil=new StringUtil,util=new GraphQLSchemaUtils(typeMapping),jdbcDriverCatalog=new JdbcDriverCatalog,hibernateDialects=new HibernateDialects,generator=new GraphQLSpringGenerator({typeMapping:typeMapping,stringUtil:stringUtil,schemaUtils:util,jdbcDriverCatalog:jdbcDriverCatalog,hibernateDialects:hibernateDialects}),sqlParser=new SQLParser({stringUtil:stringUtil,typeMapping:typeMapping}),projectFile=new ProjectFile,loadedProjectText=null,updatedWidth=600,drawRelationship=!0;function autopopulateDriverAndDialect(e){const t=document.getElementById("dbDriver"),n=document.getElementById("dbDialect"),a=jdbcDriverCatalog.findByUrl(e);a&&(t.value=a.driverClassNames[0],n.value=a.dialect)}function showDialectWarning(e){const t=document.getElementById("dbDialectWarning"),n=hibernateDialects.check(e).warning;t.textContent=n||"",t.style.display=n?"block":"none"}function autopopulatePackage(e){const t=document.getElementById("groupId"),n=document.getElementById("artifactId"),a=document.getElementById("serviceName"),r=e.trim();if(!r)return t.value="",n.value="",void(a.value="");t.value=r;const i=r.split("."),o=i[i.length-1];n.value=o,a.value=o.split(/[-_]/).map(e=>e.charAt(0).toUpperCase()+e.slice(1)).join(" ")}function applyModel(e){const t=document.getElementById("maxRelationDepth");let n=Math.max(...e.entities.map(e=>e.depth))-1;t.value=n,generator.setModel(e)}function applyImportedModel(e){diagnosticsPanel.render(e.diagnostics),e.entities.length>0&&(applyModel(e),renderModel(e))}function readConfig(e){const t=new FormData(e);return{packageName:t.get("packageName"),groupId:t.get("groupId"),artifactId:t.get("artifactId"),serviceName:t.get("serviceName"),serviceDescription:t.get("serviceDescription"),javaVersion:t.get("javaVersion"),buildTool:t.get("buildTool"),version:t.get("version"),maxRelationDepth:t.get("maxRelationDepth").trim()||void 0,joinTableMode:t.get("joinTableMode"),paginationMode:t.get("paginationMode"),emailColumnPattern:t.get("emailColumnPattern"),pastColumnPattern:t.get("pastColumnPattern"),typeMappingOverrides:t.get("typeMappingOverrides"),appPort:t.get("appPort"),dbUrl:t.get("dbUrl"),dbUsername:t.get("dbUsername"),dbPassword:t.get("dbPassword"),dbDriver:t.get("dbDriver"),dbShowSql:t.get("dbShowSql"),dbDialect:t.get("dbDialect")}}function applyConfig(e,t){Object.keys(t).forEach(n=>{const a=e.elements.namedItem(n);a&&"file"!==a.type&&null!=t[n]&&(a.value=t[n])})}function renderModel(e){updatedWidth<480&&(updatedWidth=480),entityRenderer.createERD(e,updatedWidth,drawRelationship),entityRenderer.createDescription(e,"#erd-description")}async function downloadProject(e,t,n){const a=document.getElementById("loading");a.style.display="block";try{if(n){const a=await generator.mergeZip(null,e,n,"blob");saveAs(a.content,t),a.report.conflicts.length>0&&alert(`${a.report.conflicts.length} conflicts, see .servicegen/merge-report.md:\n`+a.report.conflicts.map(e=>e.name).join("\n"))}else{const n=await generator.generateZip(null,e,"blob");saveAs(n,t)}}catch(e){console.error("Gagal membuat file ZIP:",e),alert(e.message)}finally{a.style.display="none"}}function validateConfig(e){if(diagnosticsPanel.hasErrors())return alert(diagnosticsPanel.getSummary()),!1;try{typeMapping.parseOverrides(e.typeMappingOverrides)}catch(e){return alert(e.message),!1}return!0}function generateProjectFiles(e,t){const n=projectFile.parse(e);return(new GraphQLSpringGenerator).generate(n.model,{...n.config,dbPassword:t.dbPassword})}async function previewProject(e,t,n){try{const a=t?await generator.projectMerger.readZip(t):null,r=a?generator.merge(null,e,a).files:generator.generate(null,e);let i=null;n&&n.name.toLowerCase().endsWith(".json")?i=generateProjectFiles(await n.text(),e):n?i=await generator.projectMerger.readZip(n):a?i=a:loadedProjectText&&(i=generateProjectFiles(loadedProjectText,e)),filePreview.render(r,i)}catch(e){alert(e.message)}}window.addEventListener("resize",()=>{clearTimeout(resizeTimeout),resizeTimeout=setTimeout(()=>{const e=document.querySelector(".erd-wrapper");if(e){let t=e.clientWidth;t<480&&(t=480),entityRenderer.createERD(generator.getModel(),t,drawRelationship),entityRenderer.createDescription(generator.getModel(),"#erd-description")}},30)}),document.addEventListener("DOMContentLoaded",()=>{const e=document.getElementById("configForm"),t=document.getElementById("packageName"),n=document.getElementById("dbUrl"),a=document.getElementById("dbDialect"),r=document.getElementById("sqlFile"),i=document.getElementById("typeMappingFile"),o=document.getElementById("projectFile"),l=document.getElementById("saveProject"),d=document.getElementById("previewFiles"),c=document.getElementById("changedFilesOnly");entityRenderer=new EntityRenderer(".erd-svg"),entityRenderer.initIconEvent(generator),filePreview=new FilePreview("#file-tree","#file-viewer","#file-summary"),diagnosticsPanel=new DiagnosticsPanel("#importDiagnostics");const s=document.querySelector(".erd-wrapper");s&&(updatedWidth=s.clientWidth),t.addEventListener("change",function(e){autopopulatePackage(e.target.value)}),t.addEventListener("keyup",function(e){autopopulatePackage(e.target.value)}),n.addEventListener("change",function(e){autopopulateDriverAndDialect(e.target.value),showDialectWarning(a.value)}),n.addEventListener("keyup",function(e){autopopulateDriverAndDialect(e.target.value),showDialectWarning(a.value)}),a.addEventListener("change",function(e){showDialectWarning(e.target.value)}),a.addEventListener("keyup",function(e){showDialectWarning(e.target.value)}),i.addEventListener("change",function(e){const t=e.target.files[0];t&&t.text().then(e=>{document.getElementById("typeMappingOverrides").value=e})}),o.addEventListener("change",function(t){const n=t.target.files[0];n&&n.text().then(t=>{let n;try{n=projectFile.parse(t)}catch(e){return void alert(e.message)}loadedProjectText=t,diagnosticsPanel.render([]),applyModel(n.model),applyConfig(e,n.config),showDialectWarning(a.value),renderModel(n.model)})}),d.addEventListener("click",function(){const t=readConfig(e);validateConfig(t)&&previewProject(t,document.getElementById("previousProject").files[0],document.getElementById("compareProject").files[0])}),c.addEventListener("change",function(e){filePreview.setChangedOnly(e.target.checked)}),l.addEventListener("click",function(){const t=readConfig(e),n=projectFile.stringify(generator.getModel(),t);saveAs(new Blob([n],{type:"application/json"}),(t.artifactId||"servicegen")+".servicegen.json")}),r.addEventListener("change",function(e){sqlParser.importFiles(Array.from(e.target.files),applyImportedModel)}),sqlParser.importFiles(Array.from(r.files),applyImportedModel),e.addEventListener("submit",t=>{t.preventDefault();const n=readConfig(e);validateConfig(n)&&downloadProject(n,(n.artifactId||"servicegen")+".zip",document.getElementById("previousProject").files[0])})});
\ No newline at end of file
@@ -478,4 +478,8 @@ distributionUrl=https://repo.maven.apache.org/maven2/org/apache/maven/apache-mav
 `
         }];
     }
-}
\ No newline at end of file
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Maven };
+}
@@ -0,0 +1,533 @@
+/**
+ * Matches a Flyway SQL migration file name: the prefix (V versioned, U undo, B baseline, R repeatable),
+ * the version, whose parts are separated by dots or underscores, and the description.
+ */
+const MIGRATION_FLYWAY_PATTERN = /^([VUBR])(\d+(?:[._]\d+)*)?__(.+)\.sql$/i;
+
+/**
+ * Matches the `--changeset author:id` line starting a changeset of a Liquibase formatted SQL changelog.
+ */
+const MIGRATION_CHANGESET_PATTERN = /^[ \t]*--[ \t]*changeset[ \t]+([^:\s]+):(\S+).*$/gim;
+
+/**
+ * Orders the files of a migrations folder into the SQL scripts that build the schema, so that they can be
+ * parsed one after the other into one model (see {@link SQLParser#parseMigrations}).
+ *
+ * - Liquibase: when a changelog is found (XML, JSON or formatted SQL), it is followed from the master
+ *   changelog through its `include` and `includeAll` entries. Each changeset with `sql` or `sqlFile`
+ *   changes is a script, named `changelog::id::author` like in the DATABASECHANGELOG table.
+ *   Other change types (createTable, addColumn, ...) are reported and skipped.
+ * - Flyway: the `V<version>__<description>.sql` files are applied by version, the latest
+ *   `B<version>__` baseline replacing the versions up to its own, followed by the repeatable `R__` files
+ *   by description. Undo migrations are skipped.
+ * - Otherwise, the SQL files are applied in the order of their paths.
+ *
+ * @class
+ */
+class MigrationLoader {
+    /**
+     * Orders the migration files into SQL scripts.
+     *
+     * @param {Array<{path: string, content: string}>} files - The files of the folder or ZIP, with their path
+     *        in it. Files other than SQL files and changelogs are ignored.
+     * @returns {{scripts: Array<{name: string, file: string, sql: string}>, diagnostics: Array<{severity: string, message: string}>}}
+     *          The scripts in the order they are applied, each with the migration `name` and the `file`
+     *          its SQL is read from, and the problems found.
+     */
+    load(files) {
+        this.files = files
+            .map(file => ({ path: this.normalizePath(file.path), content: String(file.content ?? '') }))
+            .filter(file => !file.path.split('/').some(part => part.startsWith('.') || part === '__MACOSX'))
+            .sort((a, b) => this.comparePaths(a.path, b.path));
+        this.scripts = [];
+        this.diagnostics = [];
+        const changelogs = this.files.filter(file => this.getChangelogType(file) !== null);
+        if (changelogs.length > 0) {
+            this.loadLiquibase(changelogs);
+        } else {
+            this.loadFlyway();
+        }
+        return { scripts: this.scripts, diagnostics: this.diagnostics };
+    }
+
+    /**
+     * Orders the Flyway migrations by version.
+     *
+     * @returns {void}
+     */
+    loadFlyway() {
+        const sqlFiles = this.files.filter(file => /\.sql$/i.test(file.path));
+        const migrations = [];
+        sqlFiles.forEach(file => {
+            const match = MIGRATION_FLYWAY_PATTERN.exec(this.getFileName(file.path));
+            if (!match || (match[1].toUpperCase() !== 'R') !== (match[2] !== undefined)) {
+                return;
+            }
+            migrations.push({
+                file: file,
+                prefix: match[1].toUpperCase(),
+                version: match[2] === undefined ? null : match[2].split(/[._]/).map(Number),
+                description: match[3]
+            });
+        });
+        if (migrations.length === 0) {
+            if (sqlFiles.length > 1) {
+                this.addDiagnostic('warning', 'No Flyway migrations (V<version>__<description>.sql) or Liquibase changelog found; the SQL files are applied in the order of their names');
+            }
+            sqlFiles.forEach(file => this.addScript(file.path, file.path, file.content));
+            return;
+        }
+        sqlFiles.filter(file => !migrations.some(migration => migration.file === file)).forEach(file => {
+            this.addDiagnostic('warning', `${file.path} is not named like a Flyway migration (V<version>__<description>.sql) and is skipped`);
+        });
+
+        const byVersion = (a, b) => this.compareVersions(a.version, b.version);
+        const baseline = migrations.filter(migration => migration.prefix === 'B').sort(byVersion).pop();
+        const versioned = migrations
+            .filter(migration => migration.prefix === 'V' && (!baseline || this.compareVersions(migration.version, baseline.version) > 0))
+            .sort(byVersion);
+        if (baseline) {
+            versioned.unshift(baseline);
+        }
+        versioned.forEach((migration, i) => {
+            if (i > 0 && byVersion(versioned[i - 1], migration) === 0) {
+                this.addDiagnostic('error', `Found more than one migration with version ${migration.version.join('.')}: ${versioned[i - 1].file.path} and ${migration.file.path}`);
+            }
+        });
+        const repeatable = migrations
+            .filter(migration => migration.prefix === 'R')
+            .sort((a, b) => a.description.localeCompare(b.description));
+        versioned.concat(repeatable).forEach(migration => {
+            this.addScript(this.getFileName(migration.file.path), migration.file.path, migration.file.content);
+        });
+    }
+
+    /**
+     * Follows the Liquibase changelogs from the master changelogs, the ones no other changelog includes.
+     *
+     * @param {Array<{path: string, content: string}>} changelogs - The changelog files.
+     * @returns {void}
+     */
+    loadLiquibase(changelogs) {
+        const entries = new Map(changelogs.map(file => [file, this.readChangelog(file)]));
+        const included = new Set();
+        entries.forEach((list, file) => list.forEach(entry => {
+            if (entry.include) {
+                included.add(this.findFile(file, entry.include, entry.relative));
+            } else if (entry.includeAll) {
+                this.findDirectory(file, entry.includeAll, entry.relative).forEach(child => included.add(child));
+            }
+        }));
+        this.visited = new Set();
+        changelogs.filter(file => !included.has(file)).forEach(file => this.applyChangelog(file, entries));
+    }
+
+    /**
+     * Adds the scripts of a changelog and of the changelogs it includes, in changelog order.
+     *
+     * @param {{path: string, content: string}} file - The changelog.
+     * @param {Map<Object, Array<Object>>} entries - The entries of each changelog file.
+     * @returns {void}
+     */
+    applyChangelog(file, entries) {
+        if (this.visited.has(file)) {
+            return;
+        }
+        this.visited.add(file);
+        if (!entries.has(file)) {
+            // An included SQL file without --liquibase formatted sql is one changeset
+            entries.set(file, this.getChangelogType(file) === null && /\.sql$/i.test(file.path)
+                ? [{ changeSet: { id: this.getFileName(file.path), author: null, changes: [{ file: file.path, sql: file.content }] } }]
+                : this.readChangelog(file));
+        }
+        entries.get(file).forEach(entry => {
+            if (entry.include) {
+                const target = this.findFile(file, entry.include, entry.relative);
+                if (target) {
+                    this.applyChangelog(target, entries);
+                } else {
+                    this.addDiagnostic('error', `${file.path} includes ${entry.include}, which is not in the migrations`);
+                }
+            } else if (entry.includeAll) {
+                this.findDirectory(file, entry.includeAll, entry.relative)
+                    .filter(child => /\.(xml|json|sql)$/i.test(child.path))
+                    .forEach(child => this.applyChangelog(child, entries));
+            } else if (entry.changeSet) {
+                this.applyChangeSet(file, entry.changeSet);
+            }
+        });
+    }
+
+    /**
+     * Adds the SQL of a changeset as a script.
+     *
+     * @param {{path: string}} file - The changelog of the changeset.
+     * @param {{id: string, author: ?string, changes: Array<Object>}} changeSet - The changeset.
+     * @returns {void}
+     */
+    applyChangeSet(file, changeSet) {
+        const name = changeSet.author === null ? file.path : `${file.path}::${changeSet.id}::${changeSet.author}`;
+        changeSet.changes.forEach(change => {
+            if (change.unsupported) {
+                this.addDiagnostic('warning', `Change ${change.unsupported} of changeset ${name} is not SQL and is skipped`);
+            } else if (change.sqlFile) {
+                const target = this.findFile(file, change.sqlFile, change.relative);
+                if (target) {
+                    this.addScript(name, target.path, target.content);
+                } else {
+                    this.addDiagnostic('error', `Changeset ${name} uses ${change.sqlFile}, which is not in the migrations`);
+                }
+            } else {
+                this.addScript(name, change.file, change.sql);
+            }
+        });
+    }
+
+    /**
+     * Reads the entries of a Liquibase changelog: includes and changesets, in order.
+     *
+     * @param {{path: string, content: string}} file - The changelog.
+     * @returns {Array<Object>} The entries: `{include, relative}`, `{includeAll, relative}` or `{changeSet}`.
+     */
+    readChangelog(file) {
+        const type = this.getChangelogType(file);
+        if (type === 'xml') {
+            return this.readXmlChangelog(file);
+        }
+        if (type === 'json') {
+            return this.readJsonChangelog(file);
+        }
+        if (type === 'sql') {
+            return this.readSqlChangelog(file);
+        }
+        if (type === 'yaml') {
+            this.addDiagnostic('warning', `${file.path}: YAML changelogs are not supported; use an XML, JSON or formatted SQL changelog`);
+        } else {
+            this.addDiagnostic('warning', `${file.path} is not a Liquibase changelog and is skipped`);
+        }
+        return [];
+    }
+
+    /**
+     * Reads a Liquibase XML changelog. Only the `include`, `includeAll` and `changeSet` elements and the
+     * `sql` and `sqlFile` changes are read; the SQL keeps its line and column in the file.
+     *
+     * @param {{path: string, content: string}} file - The changelog.
+     * @returns {Array<Object>} The entries.
+     */
+    readXmlChangelog(file) {
+        const text = file.content.replace(/<!--[\s\S]*?-->/g, comment => comment.replace(/[^\n]/g, ' '));
+        const attribute = (tag, name) => {
+            const match = new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`).exec(tag);
+            return match ? this.decodeXml(match[2] ?? match[3]) : null;
+        };
+        const entries = [];
+        const pattern = /<(include|includeAll)\b[^>]*>|<changeSet\b([^>]*)>([\s\S]*?)<\/changeSet\s*>/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[1]) {
+                const key = match[1] === 'include' ? 'include' : 'includeAll';
+                entries.push({ [key]: attribute(match[0], key === 'include' ? 'file' : 'path'), relative: attribute(match[0], 'relativeToChangelogFile') === 'true' });
+                continue;
+            }
+            const changeSet = { id: attribute(match[0], 'id'), author: attribute(match[0], 'author') || '', changes: [] };
+            const bodyStart = match.index + match[0].indexOf('>') + 1;
+            const changePattern = /<(sql|sqlFile)\b([^>]*?)(\/>|>([\s\S]*?)<\/\1\s*>)|<([A-Za-z]+)\b[^>]*>/g;
+            const body = match[3];
+            let change;
+            while ((change = changePattern.exec(body)) !== null) {
+                if (change[1] === 'sqlFile') {
+                    changeSet.changes.push({ sqlFile: attribute(change[0], 'path'), relative: attribute(change[0], 'relativeToChangelogFile') === 'true' });
+                } else if (change[1] === 'sql') {
+                    const content = change[4] || '';
+                    const cdata = /^([\s\S]*?)<!\[CDATA\[([\s\S]*?)\]\]>/.exec(content);
+                    const offset = bodyStart + change.index + change[0].indexOf('>') + 1 + (cdata ? cdata[1].length + 9 : 0);
+                    changeSet.changes.push({ file: file.path, sql: this.pad(text, offset) + (cdata ? cdata[2] : this.decodeXml(content)) });
+                } else {
+                    if (!['comment', 'rollback', 'preConditions', 'validCheckSum', 'tagDatabase', 'output'].includes(change[5])) {
+                        changeSet.changes.push({ unsupported: `<${change[5]}>` });
+                    }
+                    // The content of other elements, e.g. the SQL of a rollback, is no change
+                    const end = change[0].endsWith('/>') ? -1 : body.indexOf(`</${change[5]}`, changePattern.lastIndex);
+                    if (end >= 0) {
+                        changePattern.lastIndex = end;
+                    }
+                }
+            }
+            entries.push({ changeSet: changeSet });
+        }
+        return entries;
+    }
+
+    /**
+     * Reads a Liquibase JSON changelog. Only includes and the `sql` and `sqlFile` changes are read.
+     *
+     * @param {{path: string, content: string}} file - The changelog.
+     * @returns {Array<Object>} The entries.
+     */
+    readJsonChangelog(file) {
+        let json;
+        try {
+            json = JSON.parse(file.content);
+        } catch (e) {
+            this.addDiagnostic('error', `${file.path} is not valid JSON: ${e.message}`);
+            return [];
+        }
+        const relative = item => item.relativeToChangelogFile === true || item.relativeToChangelogFile === 'true';
+        return (json.databaseChangeLog || []).map(item => {
+            if (item.include) {
+                return { include: item.include.file, relative: relative(item.include) };
+            }
+            if (item.includeAll) {
+                return { includeAll: item.includeAll.path, relative: relative(item.includeAll) };
+            }
+            if (item.changeSet) {
+                const changes = (item.changeSet.changes || []).map(change => {
+                    if (change.sql) {
+                        return { file: file.path, sql: typeof change.sql === 'string' ? change.sql : change.sql.sql || '' };
+                    }
+                    if (change.sqlFile) {
+                        return { sqlFile: change.sqlFile.path, relative: relative(change.sqlFile) };
+                    }
+                    return { unsupported: Object.keys(change)[0] };
+                });
+                return { changeSet: { id: String(item.changeSet.id), author: item.changeSet.author || '', changes: changes } };
+            }
+            return null;
+        }).filter(entry => entry !== null);
+    }
+
+    /**
+     * Reads a Liquibase formatted SQL changelog: the text after each `--changeset author:id` line is a changeset.
+     * The SQL keeps its line numbers in the file.
+     *
+     * @param {{path: string, content: string}} file - The changelog.
+     * @returns {Array<Object>} The entries.
+     */
+    readSqlChangelog(file) {
+        const text = file.content;
+        const starts = [];
+        let match;
+        MIGRATION_CHANGESET_PATTERN.lastIndex = 0;
+        while ((match = MIGRATION_CHANGESET_PATTERN.exec(text)) !== null) {
+            starts.push({ author: match[1], id: match[2], line: match.index, start: match.index + match[0].length });
+        }
+        return starts.map((changeSet, i) => {
+            const end = i + 1 < starts.length ? starts[i + 1].line : text.length;
+            const sql = this.pad(text, changeSet.start) + text.substring(changeSet.start, end);
+            return { changeSet: { id: changeSet.id, author: changeSet.author, changes: [{ file: file.path, sql: sql }] } };
+        });
+    }
+
+    /**
+     * Tells whether a file is a Liquibase changelog.
+     *
+     * @param {{path: string, content: string}} file - The file.
+     * @returns {?string} "xml", "json", "yaml" or "sql", or null if the file is no changelog.
+     */
+    getChangelogType(file) {
+        if (/\.xml$/i.test(file.path) && /<databaseChangeLog\b/.test(file.content)) {
+            return 'xml';
+        }
+        if (/\.json$/i.test(file.path) && /"databaseChangeLog"/.test(file.content)) {
+            return 'json';
+        }
+        if (/\.ya?ml$/i.test(file.path) && /^databaseChangeLog\s*:/m.test(file.content)) {
+            return 'yaml';
+        }
+        if (/\.sql$/i.test(file.path) && /^\s*--\s*liquibase\s+formatted\s+sql/i.test(file.content)) {
+            return 'sql';
+        }
+        return null;
+    }
+
+    /**
+     * Finds the file named by an include or sqlFile path. Paths that are not relative to the changelog
+     * are classpath paths, matched against the end of the file paths.
+     *
+     * @param {{path: string}} changelog - The changelog naming the file.
+     * @param {?string} target - The named path.
+     * @param {boolean} relative - Whether the path is relative to the changelog.
+     * @returns {?{path: string, content: string}} The file, or null.
+     */
+    findFile(changelog, target, relative) {
+        const wanted = this.resolvePath(changelog, target, relative);
+        if (wanted === null) {
+            return null;
+        }
+        return this.files.find(file => file.path === wanted)
+            || this.files.find(file => file.path.endsWith(`/${wanted}`))
+            || null;
+    }
+
+    /**
+     * Finds the files of the directory named by an includeAll path, in the order of their names.
+     *
+     * @param {{path: string}} changelog - The changelog naming the directory.
+     * @param {?string} target - The named path.
+     * @param {boolean} relative - Whether the path is relative to the changelog.
+     * @returns {Array<{path: string, content: string}>} The files of the directory, without its subdirectories.
+     */
+    findDirectory(changelog, target, relative) {
+        const wanted = this.resolvePath(changelog, target, relative);
+        if (wanted === null) {
+            return [];
+        }
+        const inDirectory = (file, directory) => this.getDirectory(file.path) === directory || this.getDirectory(file.path).endsWith(`/${directory}`);
+        return this.files.filter(file => file !== changelog && inDirectory(file, wanted.replace(/\/$/, '')));
+    }
+
+    /**
+     * Resolves an include path.
+     *
+     * @param {{path: string}} changelog - The changelog naming the path.
+     * @param {?string} target - The named path.
+     * @param {boolean} relative - Whether the path is relative to the changelog.
+     * @returns {?string} The normalized path, or null when there is none.
+     */
+    resolvePath(changelog, target, relative) {
+        if (!target) {
+            return null;
+        }
+        const path = target.replace(/^classpath\*?:/, '');
+        const directory = this.getDirectory(changelog.path);
+        return this.normalizePath(relative && directory ? `${directory}/${path}` : path);
+    }
+
+    /**
+     * Normalizes a path: forward slashes, without `.` and `..` parts and leading slashes.
+     *
+     * @param {string} path - The path.
+     * @returns {string} The normalized path.
+     */
+    normalizePath(path) {
+        const parts = [];
+        String(path).replace(/\\/g, '/').split('/').forEach(part => {
+            if (part === '..') {
+                parts.pop();
+            } else if (part !== '' && part !== '.') {
+                parts.push(part);
+            }
+        });
+        return parts.join('/');
+    }
+
+    /**
+     * Returns the directory of a path.
+     *
+     * @param {string} path - The normalized path.
+     * @returns {string} The directory, or an empty string for a file at the top.
+     */
+    getDirectory(path) {
+        return path.includes('/') ? path.substring(0, path.lastIndexOf('/')) : '';
+    }
+
+    /**
+     * Returns the file name of a path.
+     *
+     * @param {string} path - The normalized path.
+     * @returns {string} The file name.
+     */
+    getFileName(path) {
+        return path.substring(path.lastIndexOf('/') + 1);
+    }
+
+    /**
+     * Compares two paths the way `includeAll` orders files: by their names, character by character.
+     *
+     * @param {string} a - The first path.
+     * @param {string} b - The second path.
+     * @returns {number} A negative number, zero or a positive number.
+     */
+    comparePaths(a, b) {
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    /**
+     * Compares two Flyway versions part by part. Missing parts are zero, so 1 and 1.0 are the same version.
+     *
+     * @param {number[]} a - The parts of the first version.
+     * @param {number[]} b - The parts of the second version.
+     * @returns {number} A negative number, zero or a positive number.
+     */
+    compareVersions(a, b) {
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+            const difference = (a[i] || 0) - (b[i] || 0);
+            if (difference !== 0) {
+                return difference;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Replaces the text before an offset by as many line breaks and spaces, so that SQL taken from
+     * the middle of a file keeps its line and column in the diagnostics.
+     *
+     * @param {string} text - The file content.
+     * @param {number} offset - The offset of the SQL in the file.
+     * @returns {string} The padding.
+     */
+    pad(text, offset) {
+        const before = text.substring(0, offset);
+        const lineStart = before.lastIndexOf('\n') + 1;
+        return '\n'.repeat(before.split('\n').length - 1) + ' '.repeat(offset - lineStart);
+    }
+
+    /**
+     * Replaces the XML entities of a text.
+     *
+     * @param {string} text - The XML text.
+     * @returns {string} The text.
+     */
+    decodeXml(text) {
+        const entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+        return text.replace(/&(lt|gt|amp|quot|apos|#(\d+)|#x([0-9a-f]+));/gi, (match, name, decimal, hex) =>
+            decimal ? String.fromCharCode(Number(decimal)) : hex ? String.fromCharCode(parseInt(hex, 16)) : entities[name]);
+    }
+
+    /**
+     * Adds a script, unless it is empty.
+     *
+     * @param {string} name - The migration name.
+     * @param {string} file - The path of the file the SQL is read from.
+     * @param {string} sql - The SQL.
+     * @returns {void}
+     */
+    addScript(name, file, sql) {
+        if (sql.trim() !== '') {
+            this.scripts.push({ name: name, file: file, sql: sql });
+        }
+    }
+
+    /**
+     * Records a problem with the migration files.
+     *
+     * @param {string} severity - "error" or "warning".
+     * @param {string} message - The description of the problem.
+     * @returns {void}
+     */
+    addDiagnostic(severity, message) {
+        this.diagnostics.push({ severity: severity, message: message });
+    }
+
+    /**
+     * Reads the files of a ZIP archive of migrations.
+     *
+     * @param {(Uint8Array|ArrayBuffer|Blob)} data - The ZIP archive.
+     * @returns {Promise<Array<{path: string, content: string}>>} The files, decoded as UTF-8.
+     */
+    async readZip(data) {
+        const JSZipClass = typeof JSZip === 'undefined' ? require('./jszip.min.js') : JSZip;
+        const zip = await JSZipClass.loadAsync(data);
+        const files = [];
+        for (const entry of Object.values(zip.files).filter(entry => !entry.dir)) {
+            files.push({ path: entry.name, content: await entry.async('string') });
+        }
+        return files;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MigrationLoader };
+}
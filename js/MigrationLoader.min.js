@@ -0,0 +1 @@
+const MIGRATION_FLYWAY_PATTERN=/^([VUBR])(\d+(?:[._]\d+)*)?__(.+)\.sql$/i,MIGRATION_CHANGESET_PATTERN=/^[ \t]*--[ \t]*changeset[ \t]+([^:\s]+):(\S+).*$/gim;class MigrationLoader{load(e){this.files=e.map(e=>({path:this.normalizePath(e.path),content:String(e.content??"")})).filter(e=>!e.path.split("/").some(e=>e.startsWith(".")||"__MACOSX"===e)).sort((e,t)=>this.comparePaths(e.path,t.path)),this.scripts=[],this.diagnostics=[];const t=this.files.filter(e=>null!==this.getChangelogType(e));return t.length>0?this.loadLiquibase(t):this.loadFlyway(),{scripts:this.scripts,diagnostics:this.diagnostics}}loadFlyway(){const e=this.files.filter(e=>/\.sql$/i.test(e.path)),t=[];if(e.forEach(e=>{const i=MIGRATION_FLYWAY_PATTERN.exec(this.getFileName(e.path));i&&"R"!==i[1].toUpperCase()==(void 0!==i[2])&&t.push({file:e,prefix:i[1].toUpperCase(),version:void 0===i[2]?null:i[2].split(/[._]/).map(Number),description:i[3]})}),0===t.length)return e.length>1&&this.addDiagnostic("warning","No Flyway migrations (V<version>__<description>.sql) or Liquibase changelog found; the SQL files are applied in the order of their names"),void e.forEach(e=>this.addScript(e.path,e.path,e.content));e.filter(e=>!t.some(t=>t.file===e)).forEach(e=>{this.addDiagnostic("warning",`${e.path} is not named like a Flyway migration (V<version>__<description>.sql) and is skipped`)});const i=(e,t)=>this.compareVersions(e.version,t.version),s=t.filter(e=>"B"===e.prefix).sort(i).pop(),n=t.filter(e=>"V"===e.prefix&&(!s||this.compareVersions(e.version,s.version)>0)).sort(i);s&&n.unshift(s),n.forEach((e,t)=>{t>0&&0===i(n[t-1],e)&&this.addDiagnostic("error",`Found more than one migration with version ${e.version.join(".")}: ${n[t-1].file.path} and ${e.file.path}`)});const a=t.filter(e=>"R"===e.prefix).sort((e,t)=>e.description.localeCompare(t.description));n.concat(a).forEach(e=>{this.addScript(this.getFileName(e.file.path),e.file.path,e.file.content)})}loadLiquibase(e){const t=new Map(e.map(e=>[e,this.readChangelog(e)])),i=new Set;t.forEach((e,t)=>e.forEach(e=>{e.include?i.add(this.findFile(t,e.include,e.relative)):e.includeAll&&this.findDirectory(t,e.includeAll,e.relative).forEach(e=>i.add(e))})),this.visited=new Set,e.filter(e=>!i.has(e)).forEach(e=>this.applyChangelog(e,t))}applyChangelog(e,t){this.visited.has(e)||(this.visited.add(e),t.has(e)||t.set(e,null===this.getChangelogType(e)&&/\.sql$/i.test(e.path)?[{changeSet:{id:this.getFileName(e.path),author:null,changes:[{file:e.path,sql:e.content}]}}]:this.readChangelog(e)),t.get(e).forEach(i=>{if(i.include){const s=this.findFile(e,i.include,i.relative);s?this.applyChangelog(s,t):this.addDiagnostic("error",`${e.path} includes ${i.include}, which is not in the migrations`)}else i.includeAll?this.findDirectory(e,i.includeAll,i.relative).filter(e=>/\.(xml|json|sql)$/i.test(e.path)).forEach(e=>this.applyChangelog(e,t)):i.changeSet&&this.applyChangeSet(e,i.changeSet)}))}applyChangeSet(e,t){const i=null===t.author?e.path:`${e.path}::${t.id}::${t.author}`;t.changes.forEach(t=>{if(t.unsupported)this.addDiagnostic("warning",`Change ${t.unsupported} of changeset ${i} is not SQL and is skipped`);else if(t.sqlFile){const s=this.findFile(e,t.sqlFile,t.relative);s?this.addScript(i,s.path,s.content):this.addDiagnostic("error",`Changeset ${i} uses ${t.sqlFile}, which is not in the migrations`)}else this.addScript(i,t.file,t.sql)})}readChangelog(e){const t=this.getChangelogType(e);return"xml"===t?this.readXmlChangelog(e):"json"===t?this.readJsonChangelog(e):"sql"===t?this.readSqlChangelog(e):("yaml"===t?this.addDiagnostic("warning",`${e.path}: YAML changelogs are not supported; use an XML, JSON or formatted SQL changelog`):this.addDiagnostic("warning",`${e.path} is not a Liquibase changelog and is skipped`),[])}readXmlChangelog(e){const t=e.content.replace(/<!--[\s\S]*?-->/g,e=>e.replace(/[^\n]/g," ")),i=(e,t)=>{const i=new RegExp(`\\s${t}\\s*=\\s*("([^"]*)"|'([^']*)')`).exec(e);return i?this.decodeXml(i[2]??i[3]):null},s=[],n=/<(include|includeAll)\b[^>]*>|<changeSet\b([^>]*)>([\s\S]*?)<\/changeSet\s*>/g;let a;for(;null!==(a=n.exec(t));){if(a[1]){const e="include"===a[1]?"include":"includeAll";s.push({[e]:i(a[0],"include"===e?"file":"path"),relative:"true"===i(a[0],"relativeToChangelogFile")});continue}const n={id:i(a[0],"id"),author:i(a[0],"author")||"",changes:[]},l=a.index+a[0].indexOf(">")+1,r=/<(sql|sqlFile)\b([^>]*?)(\/>|>([\s\S]*?)<\/\1\s*>)|<([A-Za-z]+)\b[^>]*>/g,o=a[3];let h;for(;null!==(h=r.exec(o));)if("sqlFile"===h[1])n.changes.push({sqlFile:i(h[0],"path"),relative:"true"===i(h[0],"relativeToChangelogFile")});else if("sql"===h[1]){const i=h[4]||"",s=/^([\s\S]*?)<!\[CDATA\[([\s\S]*?)\]\]>/.exec(i),a=l+h.index+h[0].indexOf(">")+1+(s?s[1].length+9:0);n.changes.push({file:e.path,sql:this.pad(t,a)+(s?s[2]:this.decodeXml(i))})}else{["comment","rollback","preConditions","validCheckSum","tagDatabase","output"].includes(h[5])||n.changes.push({unsupported:`<${h[5]}>`});const e=h[0].endsWith("/>")?-1:o.indexOf(`</${h[5]}`,r.lastIndex);e>=0&&(r.lastIndex=e)}s.push({changeSet:n})}return s}readJsonChangelog(e){let t;try{t=JSON.parse(e.content)}catch(t){return this.addDiagnostic("error",`${e.path} is not valid JSON: ${t.message}`),[]}const i=e=>!0===e.relativeToChangelogFile||"true"===e.relativeToChangelogFile;return(t.databaseChangeLog||[]).map(t=>{if(t.include)return{include:t.include.file,relative:i(t.include)};if(t.includeAll)return{includeAll:t.includeAll.path,relative:i(t.includeAll)};if(t.changeSet){const s=(t.changeSet.changes||[]).map(t=>t.sql?{file:e.path,sql:"string"==typeof t.sql?t.sql:t.sql.sql||""}:t.sqlFile?{sqlFile:t.sqlFile.path,relative:i(t.sqlFile)}:{unsupported:Object.keys(t)[0]});return{changeSet:{id:String(t.changeSet.id),author:t.changeSet.author||"",changes:s}}}return null}).filter(e=>null!==e)}readSqlChangelog(e){const t=e.content,i=[];let s;for(MIGRATION_CHANGESET_PATTERN.lastIndex=0;null!==(s=MIGRATION_CHANGESET_PATTERN.exec(t));)i.push({author:s[1],id:s[2],line:s.index,start:s.index+s[0].length});return i.map((s,n)=>{const a=n+1<i.length?i[n+1].line:t.length,l=this.pad(t,s.start)+t.substring(s.start,a);return{changeSet:{id:s.id,author:s.author,changes:[{file:e.path,sql:l}]}}})}getChangelogType(e){return/\.xml$/i.test(e.path)&&/<databaseChangeLog\b/.test(e.content)?"xml":/\.json$/i.test(e.path)&&/"databaseChangeLog"/.test(e.content)?"json":/\.ya?ml$/i.test(e.path)&&/^databaseChangeLog\s*:/m.test(e.content)?"yaml":/\.sql$/i.test(e.path)&&/^\s*--\s*liquibase\s+formatted\s+sql/i.test(e.content)?"sql":null}findFile(e,t,i){const s=this.resolvePath(e,t,i);return null===s?null:this.files.find(e=>e.path===s)||this.files.find(e=>e.path.endsWith(`/${s}`))||null}findDirectory(e,t,i){const s=this.resolvePath(e,t,i);if(null===s)return[];const n=(e,t)=>this.getDirectory(e.path)===t||this.getDirectory(e.path).endsWith(`/${t}`);return this.files.filter(t=>t!==e&&n(t,s.replace(/\/$/,"")))}resolvePath(e,t,i){if(!t)return null;const s=t.replace(/^classpath\*?:/,""),n=this.getDirectory(e.path);return this.normalizePath(i&&n?`${n}/${s}`:s)}normalizePath(e){const t=[];return String(e).replace(/\\/g,"/").split("/").forEach(e=>{".."===e?t.pop():""!==e&&"."!==e&&t.push(e)}),t.join("/")}getDirectory(e){return e.includes("/")?e.substring(0,e.lastIndexOf("/")):""}getFileName(e){return e.substring(e.lastIndexOf("/")+1)}comparePaths(e,t){return e<t?-1:e>t?1:0}compareVersions(e,t){for(let i=0;i<Math.max(e.length,t.length);i++){const s=(e[i]||0)-(t[i]||0);if(0!==s)return s}return 0}pad(e,t){const i=e.substring(0,t),s=i.lastIndexOf("\n")+1;return"\n".repeat(i.split("\n").length-1)+" ".repeat(t-s)}decodeXml(e){const t={lt:"<",gt:">",amp:"&",quot:'"',apos:"'"};return e.replace(/&(lt|gt|amp|quot|apos|#(\d+)|#x([0-9a-f]+));/gi,(e,i,s,n)=>s?String.fromCharCode(Number(s)):n?String.fromCharCode(parseInt(n,16)):t[i])}addScript(e,t,i){""!==i.trim()&&this.scripts.push({name:e,file:t,sql:i})}addDiagnostic(e,t){this.diagnostics.push({severity:e,message:t})}async readZip(e){const t="undefined"==typeof JSZip?require("./jszip.min.js"):JSZip,i=await t.loadAsync(e),s=[];for(const e of Object.values(i.files).filter(e=>!e.dir))s.push({path:e.name,content:await e.async("string")});return s}}"undefined"!=typeof module&&module.exports&&(module.exports={MigrationLoader:MigrationLoader});
\ No newline at end of file
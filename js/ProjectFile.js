@@ -0,0 +1,161 @@
+/**
+ * Format name written to every project file.
+ */
+const PROJECT_FILE_FORMAT = "servicegen-project";
+
+/**
+ * Version of the project file layout. Files with a newer version are rejected.
+ */
+const PROJECT_FILE_VERSION = 1;
+
+/**
+ * Config keys that are never written to a project file, so it can be committed to git.
+ */
+const PROJECT_FILE_SECRET_KEYS = ['dbPassword'];
+
+/**
+ * Properties of an entity stored in a project file. The creation and modification stamps
+ * are left out, as they change on every import and would only add noise to diffs.
+ */
+const PROJECT_FILE_ENTITY_KEYS = ['index', 'name', 'physicalName', 'depth', 'description', 'migration'];
+
+/**
+ * Properties of a column stored in a project file.
+ */
+const PROJECT_FILE_COLUMN_KEYS = ['name', 'physicalName', 'type', 'length', 'nullable', 'default', 'primaryKey', 'autoIncrement', 'values', 'enumValues', 'enumType', 'description'];
+
+/**
+ * Saves and loads generator projects as a single JSON file.
+ *
+ * A project file contains the generator config and the parsed model, with the entities in
+ * their current order, so that a project can be regenerated and reviewed in git.
+ * Sample rows of the entities and secrets such as the database password are not stored.
+ *
+ * @class
+ */
+class ProjectFile {
+    /**
+     * Serializes a model and its config into the project file structure.
+     *
+     * @param {Object} model - The model containing the entities, in generation order.
+     * @param {Object} config - The generator config, as read from the form.
+     * @returns {Object} The project file structure.
+     */
+    create(model, config) {
+        let savedConfig = {};
+        Object.keys(config || {}).sort().forEach(key => {
+            if (!PROJECT_FILE_SECRET_KEYS.includes(key)) {
+                savedConfig[key] = config[key];
+            }
+        });
+        let entities = model && model.entities ? model.entities : [];
+        return {
+            format: PROJECT_FILE_FORMAT,
+            version: PROJECT_FILE_VERSION,
+            config: savedConfig,
+            model: {
+                entities: entities.map(entity => this.serializeEntity(entity))
+            }
+        };
+    }
+
+    /**
+     * Serializes a model and its config into project file JSON.
+     *
+     * @param {Object} model - The model containing the entities.
+     * @param {Object} config - The generator config.
+     * @returns {string} The JSON text, indented for readable diffs.
+     */
+    stringify(model, config) {
+        return JSON.stringify(this.create(model, config), null, 2) + "\n";
+    }
+
+    /**
+     * Parses project file JSON.
+     *
+     * @param {string} text - The JSON text.
+     * @returns {{model: {entities: Entity[]}, config: Object}} The model, with Entity and Column instances, and the config.
+     * @throws {Error} If the text is not a valid project file.
+     */
+    parse(text) {
+        let project;
+        try {
+            project = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`Invalid project file: ${e.message}`);
+        }
+        if (project == null || project.format !== PROJECT_FILE_FORMAT) {
+            throw new Error('Invalid project file: missing "format": "' + PROJECT_FILE_FORMAT + '"');
+        }
+        if (typeof project.version !== 'number' || project.version > PROJECT_FILE_VERSION) {
+            throw new Error(`Unsupported project file version ${project.version}`);
+        }
+        let entities = project.model && Array.isArray(project.model.entities) ? project.model.entities : [];
+        return {
+            model: {
+                entities: entities.map((entity, index) => this.deserializeEntity(entity, index))
+            },
+            config: project.config || {}
+        };
+    }
+
+    /**
+     * Converts an entity to a plain object.
+     *
+     * @param {Entity} entity - The entity.
+     * @returns {Object} The entity properties, columns and foreign keys.
+     */
+    serializeEntity(entity) {
+        let data = this.pick(entity, PROJECT_FILE_ENTITY_KEYS);
+        data.columns = entity.columns.map(column => this.pick(column, PROJECT_FILE_COLUMN_KEYS));
+        data.foreignKeys = (entity.foreignKeys || []).map(foreignKey => ({ ...foreignKey }));
+        return data;
+    }
+
+    /**
+     * Restores an entity from a plain object.
+     *
+     * @param {Object} data - The entity properties.
+     * @param {number} position - The position of the entity in the file, used when it has no index.
+     * @returns {Entity} The entity.
+     * @throws {Error} If the entity has no name.
+     */
+    deserializeEntity(data, position) {
+        if (!data || !data.name) {
+            throw new Error(`Invalid project file: entity ${position + 1} has no name`);
+        }
+        const EntityClass = typeof Entity === 'undefined' ? require('./Entity.js').Entity : Entity;
+        const ColumnClass = typeof Column === 'undefined' ? require('./Column.js').Column : Column;
+        let entity = new EntityClass(data.name, data.index ?? position);
+        Object.assign(entity, this.pick(data, PROJECT_FILE_ENTITY_KEYS));
+        (data.columns || []).forEach(columnData => {
+            let column = new ColumnClass(columnData.name);
+            // Assigned after construction, which would otherwise change an empty length
+            Object.assign(column, this.pick(columnData, PROJECT_FILE_COLUMN_KEYS));
+            entity.addColumn(column);
+        });
+        (data.foreignKeys || []).forEach(foreignKey => entity.addForeignKey({ ...foreignKey }));
+        return entity;
+    }
+
+    /**
+     * Copies the given properties of an object, skipping undefined values.
+     *
+     * @param {Object} source - The source object.
+     * @param {string[]} keys - The property names.
+     * @returns {Object} The copied properties.
+     */
+    pick(source, keys) {
+        let result = {};
+        keys.forEach(key => {
+            if (source[key] !== undefined) {
+                result[key] = source[key];
+            }
+        });
+        return result;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProjectFile, PROJECT_FILE_FORMAT, PROJECT_FILE_VERSION };
+}
@@ -0,0 +1 @@
+const PROJECT_FILE_FORMAT="servicegen-project",PROJECT_FILE_VERSION=1,PROJECT_FILE_SECRET_KEYS=["dbPassword"],PROJECT_FILE_ENTITY_KEYS=["index","name","physicalName","depth","description","migration"],PROJECT_FILE_COLUMN_KEYS=["name","physicalName","type","length","nullable","default","primaryKey","autoIncrement","values","enumValues","enumType","description"];class ProjectFile{create(e,i){let t={};Object.keys(i||{}).sort().forEach(e=>{PROJECT_FILE_SECRET_KEYS.includes(e)||(t[e]=i[e])});let n=e&&e.entities?e.entities:[];return{format:PROJECT_FILE_FORMAT,version:1,config:t,model:{entities:n.map(e=>this.serializeEntity(e))}}}stringify(e,i){return JSON.stringify(this.create(e,i),null,2)+"\n"}parse(e){let i;try{i=JSON.parse(e)}catch(e){throw new Error(`Invalid project file: ${e.message}`)}if(null==i||i.format!==PROJECT_FILE_FORMAT)throw new Error('Invalid project file: missing "format": "servicegen-project"');if("number"!=typeof i.version||i.version>1)throw new Error(`Unsupported project file version ${i.version}`);return{model:{entities:(i.model&&Array.isArray(i.model.entities)?i.model.entities:[]).map((e,i)=>this.deserializeEntity(e,i))},config:i.config||{}}}serializeEntity(e){let i=this.pick(e,PROJECT_FILE_ENTITY_KEYS);return i.columns=e.columns.map(e=>this.pick(e,PROJECT_FILE_COLUMN_KEYS)),i.foreignKeys=(e.foreignKeys||[]).map(e=>({...e})),i}deserializeEntity(e,i){if(!e||!e.name)throw new Error(`Invalid project file: entity ${i+1} has no name`);const t="undefined"==typeof Entity?require("./Entity.js").Entity:Entity,n="undefined"==typeof Column?require("./Column.js").Column:Column;let r=new t(e.name,e.index??i);return Object.assign(r,this.pick(e,PROJECT_FILE_ENTITY_KEYS)),(e.columns||[]).forEach(e=>{let i=new n(e.name);Object.assign(i,this.pick(e,PROJECT_FILE_COLUMN_KEYS)),r.addColumn(i)}),(e.foreignKeys||[]).forEach(e=>r.addForeignKey({...e})),r}pick(e,i){let t={};return i.forEach(i=>{void 0!==e[i]&&(t[i]=e[i])}),t}}"undefined"!=typeof module&&module.exports&&(module.exports={ProjectFile:ProjectFile,PROJECT_FILE_FORMAT:PROJECT_FILE_FORMAT,PROJECT_FILE_VERSION:1});
\ No newline at end of file
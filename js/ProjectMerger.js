@@ -0,0 +1,403 @@
+/**
+ * Path of the manifest written to every generated project. It holds a hash of each generated
+ * file, taken without the content of the custom regions.
+ */
+const PROJECT_MANIFEST_FILE = ".servicegen/manifest.json";
+
+/**
+ * Path of the report written by a merge.
+ */
+const PROJECT_MERGE_REPORT_FILE = ".servicegen/merge-report.md";
+
+/**
+ * Directory receiving the new version of the files that could not be merged.
+ */
+const PROJECT_CONFLICT_DIR = ".servicegen/conflicts/";
+
+/**
+ * Format name of the manifest.
+ */
+const PROJECT_MANIFEST_FORMAT = "servicegen-manifest";
+
+/**
+ * Matches the begin and end markers of a custom region, in any of the supported comment styles.
+ */
+const CUSTOM_REGION_MARKER = /^[ \t]*(?:\/\/|#|<!--)[ \t]*servicegen:custom-(begin|end)[ \t]+([\w.-]+)/;
+
+/**
+ * Merges a regenerated project into a previously generated one, keeping hand-written code.
+ *
+ * Generated files contain custom regions, delimited by `servicegen:custom-begin <id>` and
+ * `servicegen:custom-end <id>` comments, and the project contains a manifest with a hash of each
+ * generated file. On regeneration:
+ *
+ * - Files changed only inside custom regions are updated, and the regions are carried over.
+ * - Files changed outside custom regions are kept as they are when the generator output did not
+ *   change; otherwise they are kept and reported as conflicts, with the new version written
+ *   below `.servicegen/conflicts/`.
+ * - Files that are no longer generated are removed, unless they were changed.
+ * - Files that were never generated are kept.
+ *
+ * @class
+ */
+class ProjectMerger {
+    /**
+     * Adds the custom regions to the generated files and appends the manifest.
+     *
+     * @param {Array<{name: string, content: string}>} files - The generated files.
+     * @returns {Array<{name: string, content: string}>} The files with custom regions, followed by the manifest.
+     */
+    prepare(files) {
+        const prepared = files.map(file => ({ name: file.name, content: this.addRegions(file.name, file.content) }));
+        prepared.push(this.createManifest(prepared));
+        return prepared;
+    }
+
+    /**
+     * Adds empty custom regions to a generated file, depending on its type.
+     * Java classes get one after the imports and one at the end of the class body,
+     * the GraphQL schema and the properties files one at the end, and `pom.xml` and the Gradle build file
+     * one in the dependencies.
+     *
+     * @param {string} name - The path of the file.
+     * @param {string} content - The generated content.
+     * @returns {string} The content with custom regions.
+     */
+    addRegions(name, content) {
+        if (name.endsWith('.java')) {
+            let lines = content.split('\n');
+            let close = lines.length - 1;
+            while (close >= 0 && lines[close].trim() !== '}') {
+                close--;
+            }
+            if (close < 0) {
+                return content;
+            }
+            const members = this.createRegion('members', '//', '    ');
+            if (close > 0 && lines[close - 1].trim() !== '') {
+                members.unshift('');
+            }
+            lines.splice(close, 0, ...members);
+            let anchor = -1;
+            lines.forEach((line, index) => {
+                if (index < close && (line.startsWith('import ') || (anchor < 0 && line.startsWith('package ')))) {
+                    anchor = index;
+                }
+            });
+            if (anchor >= 0) {
+                lines.splice(anchor + 1, 0, ...this.createRegion('imports', '//', ''));
+            }
+            return lines.join('\n');
+        }
+        if (name.endsWith('.graphqls') || name.endsWith('.properties')) {
+            const id = name.endsWith('.graphqls') ? 'schema' : 'properties';
+            return content.replace(/\n*$/, '\n\n') + this.createRegion(id, '#', '').join('\n') + '\n';
+        }
+        if (name === 'pom.xml') {
+            return content.replace(/^([ \t]*)<\/dependencies>/m, (match, indent) =>
+                this.createRegion('dependencies', '<!--', indent + '    ').map(line => line + ' -->').join('\n') + '\n' + match);
+        }
+        if (name === 'build.gradle' || name === 'build.gradle.kts') {
+            return content.replace(/^(dependencies \{\n(?:.*\n)*?)\}/m, (match, block) =>
+                block + this.createRegion('dependencies', '//', '    ').join('\n') + '\n}');
+        }
+        return content;
+    }
+
+    /**
+     * Creates the marker lines of an empty custom region.
+     *
+     * @param {string} id - The region id, unique within the file.
+     * @param {string} comment - The comment prefix.
+     * @param {string} indent - The indentation of the markers.
+     * @returns {string[]} The begin and end markers.
+     */
+    createRegion(id, comment, indent) {
+        return [
+            `${indent}${comment} servicegen:custom-begin ${id}`,
+            `${indent}${comment} servicegen:custom-end ${id}`
+        ];
+    }
+
+    /**
+     * Creates the manifest of the generated files.
+     *
+     * @param {Array<{name: string, content: string}>} files - The generated files, with custom regions.
+     * @returns {{name: string, content: string}} The manifest file.
+     */
+    createManifest(files) {
+        const hashes = {};
+        files.forEach(file => {
+            hashes[file.name] = this.hash(this.stripRegions(file.content));
+        });
+        return {
+            name: PROJECT_MANIFEST_FILE,
+            content: JSON.stringify({ format: PROJECT_MANIFEST_FORMAT, version: 1, files: hashes }, null, 2) + "\n"
+        };
+    }
+
+    /**
+     * Merges the generated files into the files of the previous project.
+     *
+     * @param {Array<{name: string, content: (string|Uint8Array)}>} previousFiles - The files of the previous project.
+     * @param {Array<{name: string, content: string}>} generatedFiles - The generated files, as returned by {@link ProjectMerger#prepare}.
+     * @returns {{files: Array<{name: string, content: (string|Uint8Array)}>, report: Object}} The merged files,
+     * including the merge report, and the report with the `added`, `updated`, `unchanged`, `kept`,
+     * `removed` and `conflicts` files.
+     */
+    merge(previousFiles, generatedFiles) {
+        const previous = new Map();
+        previousFiles.forEach(file => previous.set(file.name, file.content));
+        const manifest = this.readManifest(previous.get(PROJECT_MANIFEST_FILE));
+        const baselines = manifest ? manifest.files : {};
+        const report = { manifest: manifest != null, added: [], updated: [], unchanged: [], kept: [], removed: [], conflicts: [] };
+        const files = [];
+        const conflictFiles = [];
+        const generatedNames = new Set();
+
+        generatedFiles.forEach(file => {
+            generatedNames.add(file.name);
+            if (file.name === PROJECT_MANIFEST_FILE) {
+                files.push(file);
+                return;
+            }
+            if (!previous.has(file.name)) {
+                report.added.push(file.name);
+                files.push(file);
+                return;
+            }
+            const existing = this.normalize(this.toText(previous.get(file.name)));
+            const generated = this.normalize(file.content);
+            const regions = this.extractRegions(existing);
+            const filled = this.fillRegions(generated, regions);
+            if (existing === filled.content && filled.orphans.length === 0) {
+                report.unchanged.push(file.name);
+                files.push({ name: file.name, content: filled.content });
+                return;
+            }
+            const baseline = baselines[file.name];
+            if (baseline && this.hash(this.stripRegions(existing)) === baseline) {
+                // Only the custom regions were changed
+                files.push({ name: file.name, content: filled.content });
+                if (filled.orphans.length > 0) {
+                    report.conflicts.push({ name: file.name, reason: `custom regions ${filled.orphans.join(', ')} no longer exist` });
+                    conflictFiles.push({ name: PROJECT_CONFLICT_DIR + file.name, content: existing });
+                } else {
+                    report.updated.push(file.name);
+                }
+            } else if (baseline && this.hash(this.stripRegions(generated)) === baseline) {
+                // Changed outside the custom regions, but the generator output is the same as before
+                report.kept.push(file.name);
+                files.push({ name: file.name, content: previous.get(file.name) });
+            } else {
+                report.conflicts.push({
+                    name: file.name,
+                    reason: baseline ? 'changed outside the custom regions' : 'not generated by a version that writes a manifest'
+                });
+                files.push({ name: file.name, content: previous.get(file.name) });
+                conflictFiles.push({ name: PROJECT_CONFLICT_DIR + file.name, content: filled.content });
+            }
+        });
+
+        previous.forEach((content, name) => {
+            if (generatedNames.has(name) || name.startsWith('.servicegen/')) {
+                return;
+            }
+            const baseline = baselines[name];
+            if (!baseline) {
+                files.push({ name: name, content: content });
+                return;
+            }
+            const text = this.normalize(this.toText(content));
+            if (this.hash(this.stripRegions(text)) === baseline && this.extractRegions(text).size === 0) {
+                report.removed.push(name);
+            } else {
+                report.conflicts.push({ name: name, reason: 'no longer generated, kept because it was changed' });
+                files.push({ name: name, content: content });
+            }
+        });
+
+        files.push(...conflictFiles);
+        files.push({ name: PROJECT_MERGE_REPORT_FILE, content: this.createReport(report) });
+        return { files: files, report: report };
+    }
+
+    /**
+     * Parses the manifest of the previous project.
+     *
+     * @param {(string|Uint8Array|undefined)} content - The manifest content.
+     * @returns {?Object} The manifest, or null when the project has none or it is invalid.
+     */
+    readManifest(content) {
+        if (content == null) {
+            return null;
+        }
+        try {
+            const manifest = JSON.parse(this.toText(content));
+            return manifest && manifest.format === PROJECT_MANIFEST_FORMAT && manifest.files ? manifest : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Collects the content of the non-empty custom regions of a file.
+     *
+     * @param {string} content - The file content.
+     * @returns {Map<string, string[]>} The lines between the markers, by region id.
+     */
+    extractRegions(content) {
+        const regions = new Map();
+        let current = null;
+        let lines = [];
+        content.split('\n').forEach(line => {
+            const marker = CUSTOM_REGION_MARKER.exec(line);
+            if (marker && marker[1] === 'begin') {
+                current = marker[2];
+                lines = [];
+            } else if (marker && current === marker[2]) {
+                if (lines.length > 0) {
+                    regions.set(current, lines);
+                }
+                current = null;
+            } else if (current !== null) {
+                lines.push(line);
+            }
+        });
+        return regions;
+    }
+
+    /**
+     * Inserts the content of custom regions into a generated file.
+     *
+     * @param {string} content - The generated content, with empty custom regions.
+     * @param {Map<string, string[]>} regions - The region content by id.
+     * @returns {{content: string, orphans: string[]}} The content, and the ids of the regions the file does not have.
+     */
+    fillRegions(content, regions) {
+        const used = new Set();
+        const result = [];
+        content.split('\n').forEach(line => {
+            result.push(line);
+            const marker = CUSTOM_REGION_MARKER.exec(line);
+            if (marker && marker[1] === 'begin' && regions.has(marker[2])) {
+                result.push(...regions.get(marker[2]));
+                used.add(marker[2]);
+            }
+        });
+        const orphans = [...regions.keys()].filter(id => !used.has(id));
+        return { content: result.join('\n'), orphans: orphans };
+    }
+
+    /**
+     * Removes the content of the custom regions, keeping the markers.
+     *
+     * @param {string} content - The file content.
+     * @returns {string} The content without hand-written code in the regions.
+     */
+    stripRegions(content) {
+        let inside = false;
+        return this.normalize(content).split('\n').filter(line => {
+            const marker = CUSTOM_REGION_MARKER.exec(line);
+            if (marker) {
+                inside = marker[1] === 'begin';
+                return true;
+            }
+            return !inside;
+        }).join('\n');
+    }
+
+    /**
+     * Writes the merge report as Markdown.
+     *
+     * @param {Object} report - The report returned by {@link ProjectMerger#merge}.
+     * @returns {string} The report.
+     */
+    createReport(report) {
+        const section = (title, names, description) => names.length === 0 ? '' :
+            `## ${title}\n\n${description}\n\n` + names.map(name => `- \`${name}\``).join('\n') + '\n\n';
+        let text = `# Merge Report\n\n`;
+        if (!report.manifest) {
+            text += `The previous project has no \`${PROJECT_MANIFEST_FILE}\`, so every changed file is reported as a conflict.\n\n`;
+        }
+        text += `${report.conflicts.length} conflicts, ${report.updated.length} updated, ${report.added.length} added, `
+            + `${report.removed.length} removed, ${report.kept.length} kept, ${report.unchanged.length} unchanged.\n\n`;
+        if (report.conflicts.length > 0) {
+            text += `## Conflicts\n\nThese files were kept as they were. Where a new version was generated, it is in \`${PROJECT_CONFLICT_DIR}\`.\n\n`;
+            text += report.conflicts.map(conflict => `- \`${conflict.name}\`: ${conflict.reason}`).join('\n') + '\n\n';
+        }
+        text += section('Updated', report.updated, 'Regenerated, with the custom regions carried over.');
+        text += section('Added', report.added, 'New generated files.');
+        text += section('Removed', report.removed, 'No longer generated and not changed.');
+        text += section('Kept', report.kept, 'Changed outside the custom regions; the generated code did not change.');
+        return text.replace(/\n+$/, '\n');
+    }
+
+    /**
+     * Reads the files of a ZIP archive. When all files are in one top-level directory
+     * containing the manifest, that directory is removed from the paths.
+     *
+     * @param {(Uint8Array|ArrayBuffer|Blob)} data - The ZIP archive.
+     * @returns {Promise<Array<{name: string, content: Uint8Array}>>} The files.
+     */
+    async readZip(data) {
+        const JSZipClass = typeof JSZip === 'undefined' ? require('./jszip.min.js') : JSZip;
+        const zip = await JSZipClass.loadAsync(data);
+        const entries = Object.values(zip.files).filter(entry => !entry.dir);
+        const files = [];
+        for (const entry of entries) {
+            files.push({ name: entry.name, content: await entry.async('uint8array') });
+        }
+        const manifest = files.find(file => file.name.endsWith(PROJECT_MANIFEST_FILE));
+        const prefix = manifest ? manifest.name.substring(0, manifest.name.length - PROJECT_MANIFEST_FILE.length) : '';
+        if (prefix && files.every(file => file.name.startsWith(prefix))) {
+            files.forEach(file => {
+                file.name = file.name.substring(prefix.length);
+            });
+        }
+        return files;
+    }
+
+    /**
+     * Decodes file content as UTF-8 text.
+     *
+     * @param {(string|Uint8Array)} content - The content.
+     * @returns {string} The text.
+     */
+    toText(content) {
+        return typeof content === 'string' ? content : new TextDecoder().decode(content);
+    }
+
+    /**
+     * Converts Windows line endings, which a checkout may add, to the generated ones.
+     *
+     * @param {string} text - The text.
+     * @returns {string} The text with `\n` line endings.
+     */
+    normalize(text) {
+        return text.replace(/\r\n/g, '\n');
+    }
+
+    /**
+     * Computes a 53-bit hash of a text (cyrb53), as a hexadecimal string.
+     *
+     * @param {string} text - The text.
+     * @returns {string} The hash.
+     */
+    hash(text) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProjectMerger, PROJECT_MANIFEST_FILE, PROJECT_MERGE_REPORT_FILE, PROJECT_CONFLICT_DIR };
+}
@@ -0,0 +1 @@
+const PROJECT_MANIFEST_FILE=".servicegen/manifest.json",PROJECT_MERGE_REPORT_FILE=".servicegen/merge-report.md",PROJECT_CONFLICT_DIR=".servicegen/conflicts/",PROJECT_MANIFEST_FORMAT="servicegen-manifest",CUSTOM_REGION_MARKER=/^[ \t]*(?:\/\/|#|<!--)[ \t]*servicegen:custom-(begin|end)[ \t]+([\w.-]+)/;class ProjectMerger{prepare(e){const n=e.map(e=>({name:e.name,content:this.addRegions(e.name,e.content)}));return n.push(this.createManifest(n)),n}addRegions(e,n){if(e.endsWith(".java")){let e=n.split("\n"),t=e.length-1;for(;t>=0&&"}"!==e[t].trim();)t--;if(t<0)return n;const s=this.createRegion("members","//","    ");t>0&&""!==e[t-1].trim()&&s.unshift(""),e.splice(t,0,...s);let r=-1;return e.forEach((e,n)=>{n<t&&(e.startsWith("import ")||r<0&&e.startsWith("package "))&&(r=n)}),r>=0&&e.splice(r+1,0,...this.createRegion("imports","//","")),e.join("\n")}if(e.endsWith(".graphqls")||e.endsWith(".properties")){const t=e.endsWith(".graphqls")?"schema":"properties";return n.replace(/\n*$/,"\n\n")+this.createRegion(t,"#","").join("\n")+"\n"}return"pom.xml"===e?n.replace(/^([ \t]*)<\/dependencies>/m,(e,n)=>this.createRegion("dependencies","\x3c!--",n+"    ").map(e=>e+" --\x3e").join("\n")+"\n"+e):"build.gradle"===e||"build.gradle.kts"===e?n.replace(/^(dependencies \{\n(?:.*\n)*?)\}/m,(e,n)=>n+this.createRegion("dependencies","//","    ").join("\n")+"\n}"):n}createRegion(e,n,t){return[`${t}${n} servicegen:custom-begin ${e}`,`${t}${n} servicegen:custom-end ${e}`]}createManifest(e){const n={};return e.forEach(e=>{n[e.name]=this.hash(this.stripRegions(e.content))}),{name:PROJECT_MANIFEST_FILE,content:JSON.stringify({format:"servicegen-manifest",version:1,files:n},null,2)+"\n"}}merge(e,n){const t=new Map;e.forEach(e=>t.set(e.name,e.content));const s=this.readManifest(t.get(PROJECT_MANIFEST_FILE)),r=s?s.files:{},i={manifest:null!=s,added:[],updated:[],unchanged:[],kept:[],removed:[],conflicts:[]},a=[],o=[],c=new Set;return n.forEach(e=>{if(c.add(e.name),e.name===PROJECT_MANIFEST_FILE)return void a.push(e);if(!t.has(e.name))return i.added.push(e.name),void a.push(e);const n=this.normalize(this.toText(t.get(e.name))),s=this.normalize(e.content),h=this.extractRegions(n),d=this.fillRegions(s,h);if(n===d.content&&0===d.orphans.length)return i.unchanged.push(e.name),void a.push({name:e.name,content:d.content});const l=r[e.name];l&&this.hash(this.stripRegions(n))===l?(a.push({name:e.name,content:d.content}),d.orphans.length>0?(i.conflicts.push({name:e.name,reason:`custom regions ${d.orphans.join(", ")} no longer exist`}),o.push({name:PROJECT_CONFLICT_DIR+e.name,content:n})):i.updated.push(e.name)):l&&this.hash(this.stripRegions(s))===l?(i.kept.push(e.name),a.push({name:e.name,content:t.get(e.name)})):(i.conflicts.push({name:e.name,reason:l?"changed outside the custom regions":"not generated by a version that writes a manifest"}),a.push({name:e.name,content:t.get(e.name)}),o.push({name:PROJECT_CONFLICT_DIR+e.name,content:d.content}))}),t.forEach((e,n)=>{if(c.has(n)||n.startsWith(".servicegen/"))return;const t=r[n];if(!t)return void a.push({name:n,content:e});const s=this.normalize(this.toText(e));this.hash(this.stripRegions(s))===t&&0===this.extractRegions(s).size?i.removed.push(n):(i.conflicts.push({name:n,reason:"no longer generated, kept because it was changed"}),a.push({name:n,content:e}))}),a.push(...o),a.push({name:PROJECT_MERGE_REPORT_FILE,content:this.createReport(i)}),{files:a,report:i}}readManifest(e){if(null==e)return null;try{const n=JSON.parse(this.toText(e));return n&&"servicegen-manifest"===n.format&&n.files?n:null}catch(e){return null}}extractRegions(e){const n=new Map;let t=null,s=[];return e.split("\n").forEach(e=>{const r=CUSTOM_REGION_MARKER.exec(e);r&&"begin"===r[1]?(t=r[2],s=[]):r&&t===r[2]?(s.length>0&&n.set(t,s),t=null):null!==t&&s.push(e)}),n}fillRegions(e,n){const t=new Set,s=[];e.split("\n").forEach(e=>{s.push(e);const r=CUSTOM_REGION_MARKER.exec(e);r&&"begin"===r[1]&&n.has(r[2])&&(s.push(...n.get(r[2])),t.add(r[2]))});const r=[...n.keys()].filter(e=>!t.has(e));return{content:s.join("\n"),orphans:r}}stripRegions(e){let n=!1;return this.normalize(e).split("\n").filter(e=>{const t=CUSTOM_REGION_MARKER.exec(e);return t?(n="begin"===t[1],!0):!n}).join("\n")}createReport(e){const n=(e,n,t)=>0===n.length?"":`## ${e}\n\n${t}\n\n`+n.map(e=>`- \`${e}\``).join("\n")+"\n\n";let t="# Merge Report\n\n";return e.manifest||(t+=`The previous project has no \`${PROJECT_MANIFEST_FILE}\`, so every changed file is reported as a conflict.\n\n`),t+=`${e.conflicts.length} conflicts, ${e.updated.length} updated, ${e.added.length} added, ${e.removed.length} removed, ${e.kept.length} kept, ${e.unchanged.length} unchanged.\n\n`,e.conflicts.length>0&&(t+=`## Conflicts\n\nThese files were kept as they were. Where a new version was generated, it is in \`${PROJECT_CONFLICT_DIR}\`.\n\n`,t+=e.conflicts.map(e=>`- \`${e.name}\`: ${e.reason}`).join("\n")+"\n\n"),t+=n("Updated",e.updated,"Regenerated, with the custom regions carried over."),t+=n("Added",e.added,"New generated files."),t+=n("Removed",e.removed,"No longer generated and not changed."),t+=n("Kept",e.kept,"Changed outside the custom regions; the generated code did not change."),t.replace(/\n+$/,"\n")}async readZip(e){const n="undefined"==typeof JSZip?require("./jszip.min.js"):JSZip,t=await n.loadAsync(e),s=Object.values(t.files).filter(e=>!e.dir),r=[];for(const e of s)r.push({name:e.name,content:await e.async("uint8array")});const i=r.find(e=>e.name.endsWith(PROJECT_MANIFEST_FILE)),a=i?i.name.substring(0,i.name.length-25):"";return a&&r.every(e=>e.name.startsWith(a))&&r.forEach(e=>{e.name=e.name.substring(a.length)}),r}toText(e){return"string"==typeof e?e:(new TextDecoder).decode(e)}normalize(e){return e.replace(/\r\n/g,"\n")}hash(e){let n=3735928559,t=1103547991;for(let s=0;s<e.length;s++){const r=e.charCodeAt(s);n=Math.imul(n^r,2654435761),t=Math.imul(t^r,1597334677)}return n=Math.imul(n^n>>>16,2246822507)^Math.imul(t^t>>>13,3266489909),t=Math.imul(t^t>>>16,2246822507)^Math.imul(n^n>>>13,3266489909),(4294967296*(2097151&t)+(n>>>0)).toString(16)}}"undefined"!=typeof module&&module.exports&&(module.exports={ProjectMerger:ProjectMerger,PROJECT_MANIFEST_FILE:PROJECT_MANIFEST_FILE,PROJECT_MERGE_REPORT_FILE:PROJECT_MERGE_REPORT_FILE,PROJECT_CONFLICT_DIR:PROJECT_CONFLICT_DIR});
\ No newline at end of file
@@ -85,7 +85,18 @@ class SQLConverter {
             "json": "JSON",
             "enum": "ENUM",
             "set": "SET",
-            "char": "CHAR"
+            "char": "CHAR",
+            "time": "TIME",
+            "year": "YEAR",
+            "jsonb": "JSON",
+            "uuid": "UUID",
+            "tinyblob": "TINYBLOB",
+            "mediumblob": "MEDIUMBLOB",
+            "longblob": "LONGBLOB",
+            "blob": "BLOB",
+            "bytea": "LONGBLOB",
+            "varbinary": "VARBINARY",
+            "binary": "BINARY"
         };
         
         this.dbToPostgreSQL = {
@@ -151,14 +162,14 @@ class SQLConverter {
             dropTables.push("-- DROP TABLE IF EXISTS "+tableInfo[i].table+";");
         }
 
-        value = this.replaceAll(value, '`', '');
         value = this.replaceAll(value, ' timestamp with time zone', ' timestamptz');
         value = this.replaceAll(value, ' timestamp without time zone', ' timestamp');
         value = this.replaceAll(value, ' character varying', ' varchar');
         value = this.replaceAll(value, ' COLLATE pg_catalog."default"', '');
         value = this.replaceAll(value, ' TINYINT(1)', ' boolean');
         
-        let tableParser = new TableParser();
+        const TableParserClass = typeof TableParser === 'undefined' ? require('./TableParser.js').TableParser : TableParser;
+        let tableParser = new TableParserClass();
         tableParser.parseAll(value);
         let tables = tableParser.getResult();
         let lines = [];
@@ -203,6 +214,7 @@ class SQLConverter {
         let sqliteTable = {
             tableName: table.tableName,
             primaryKey: table.primaryKey,
+            foreignKeys: table.foreignKeys,
             columns: table.columns.map(column => {
                 let columnCopy = { ...column }; // Using object spread instead of Object.assign
                 columnCopy.Type = this.toSqliteType(columnCopy.Type, columnCopy.Length);
@@ -222,6 +234,7 @@ class SQLConverter {
         let mysqlTable = {
             tableName: table.tableName,
             primaryKey: table.primaryKey,
+            foreignKeys: table.foreignKeys,
             columns: table.columns.map(column => {
                 let columnCopy = { ...column, Field: column.Field }; // Spread and copy Field directly
                 columnCopy.Type = this.toMySQLType(columnCopy.Type, columnCopy.Length, columnCopy.EnumValues);
@@ -241,6 +254,7 @@ class SQLConverter {
         let pgTable = {
             tableName: table.tableName,
             primaryKey: table.primaryKey,
+            foreignKeys: table.foreignKeys,
             columns: table.columns.map(column => {
                 let columnCopy = { ...column }; // Create a shallow copy of the column
                 columnCopy.Type = this.toPostgreSQLType(columnCopy.Type, columnCopy.Length);
@@ -536,6 +550,11 @@ class SQLConverter {
 
             linesCol.push(colDef);
         }
+        if (table.foreignKeys) {
+            table.foreignKeys.forEach(foreignKey => {
+                linesCol.push('\t' + this.toForeignKeyDefinition(foreignKey, targetType));
+            });
+        }
         lines.push(linesCol.join(',\r\n'));
         lines.push(');');
         let createTable = lines.join('\r\n');
@@ -549,6 +568,31 @@ class SQLConverter {
         return createTable;
     }
 
+    /**
+     * Builds a table-level FOREIGN KEY constraint definition.
+     *
+     * @param {Object} foreignKey The foreign key definition (see {@link DDLParser#parseReferences}).
+     * @param {string} targetType The target database type.
+     * @returns {string} The constraint definition, e.g. "FOREIGN KEY (a) REFERENCES b (c) ON DELETE CASCADE".
+     */
+    toForeignKeyDefinition(foreignKey, targetType) {
+        let columns = foreignKey.columns.map(column => this.fixColumnName(column, targetType)).join(', ');
+        let definition = `FOREIGN KEY (${columns}) REFERENCES ${this.fixTableName(foreignKey.referencedTable, targetType)}`;
+        if (foreignKey.referencedColumns.length > 0) {
+            definition += ` (${foreignKey.referencedColumns.map(column => this.fixColumnName(column, targetType)).join(', ')})`;
+        }
+        if (foreignKey.onDelete) {
+            definition += ` ON DELETE ${foreignKey.onDelete}`;
+        }
+        if (foreignKey.onUpdate) {
+            definition += ` ON UPDATE ${foreignKey.onUpdate}`;
+        }
+        if (foreignKey.name) {
+            definition = `CONSTRAINT ${foreignKey.name} ${definition}`;
+        }
+        return definition;
+    }
+
     /**
      * Escapes single quotes in a string by replacing them with two single quotes.
      * This is commonly used for SQL-style escaping to prevent errors or SQL injection.
@@ -835,4 +879,8 @@ class SQLConverter {
         return input.replace(/[^a-zA-Z0-9_]/g, ''); // NOSONAR
     }
 
-}
\ No newline at end of file
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SQLConverter };
+}
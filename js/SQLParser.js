@@ -1,7 +1,26 @@
 class SQLParser {
 
-    constructor()
+    /**
+     * Creates a new SQLParser.
+     *
+     * In the browser the model classes are the page globals, in Node they are loaded from the sibling modules.
+     *
+     * @param {Object} [options] - The helpers used by the parser.
+     * @param {StringUtil} [options.stringUtil] - The naming helpers.
+     * @param {TypeMapping} [options.typeMapping] - The type mapping, used to report the column types it does not know.
+     */
+    constructor(options = {})
     {
+        const StringUtilClass = typeof StringUtil === 'undefined' ? require('./StringUtil.js').StringUtil : StringUtil;
+        const TypeMappingClass = typeof TypeMapping === 'undefined' ? require('./TypeMapping.js').TypeMapping : TypeMapping;
+        this.stringUtil = options.stringUtil || new StringUtilClass();
+        this.typeMapping = options.typeMapping || new TypeMappingClass();
+        this.classes = {
+            Entity: typeof Entity === 'undefined' ? require('./Entity.js').Entity : Entity,
+            Column: typeof Column === 'undefined' ? require('./Column.js').Column : Column,
+            DDLParser: typeof DDLParser === 'undefined' ? require('./DDLParser.js').DDLParser : DDLParser,
+            MigrationLoader: typeof MigrationLoader === 'undefined' ? require('./MigrationLoader.js').MigrationLoader : MigrationLoader
+        };
         this.entities = [];
     }
 
@@ -39,120 +58,226 @@ class SQLParser {
         const reader = new FileReader(); // Create a FileReader object
         reader.onload = function (event) {
             const arrayBuffer = event.target.result; // Get file data as an ArrayBuffer
-            const uint8Array = new Uint8Array(arrayBuffer); // Convert ArrayBuffer to Uint8Array
-
-            // Initialize SQL.js and load the database
-            initSqlJs({ locateFile: file => `wasm/sql-wasm.wasm` }).then(SQL => {
-                _this.db = new SQL.Database(uint8Array); // Create a new database instance
-
-                // Get the names of all tables in the database
-                let res1 = _this.db.exec("SELECT name FROM sqlite_master WHERE type='table';");
-                let importedEntities = [];
-                res1[0].values.forEach((row, index) => {
-                    const tableName = row[0]; // Extract table name
-                    let entity = new Entity(stringUtil.snakeize(tableName), index);
-
-                    // --- Start: Add data import capability ---
-                    let tableData = _this.db.exec(`SELECT * FROM ${tableName};`);
-                    if (tableData.length > 0) {
-                        // Assuming tableData[0].columns contains column names and tableData[0].values contains rows
-                        const columns = tableData[0].columns;
-                        const values = tableData[0].values;
-
-                        entity.creationDate = (new Date()).getTime();
-                        entity.modificationDate = entity.creationDate;
-                        entity.creator = '{{userName}}'; // Replace with actual user name if available
-                        entity.modifier = '{{userName}}'; // Replace with actual user name if available
-
-                        // Map array of values to array of objects for easier access
-                        entity.data = values.map(rowValues => /*NOSONAR*/ {
-                            const rowObject = {};
-                            columns.forEach((colName, colIndex) => {
-                                const snakeKey = stringUtil.snakeize(colName);
-                                rowObject[snakeKey] = rowValues[colIndex];
-                            });
-                            return rowObject;
-                        });
-                    } else {
-                        entity.setData(null); // If no data, initialize as null
-                    }
-                    // --- End: Add data import capability ---
-
-                    let tableInfo = _this.db.exec(`PRAGMA table_info(${tableName});`); // Get table info           
-
-                    if (tableInfo.length > 0) {
-                        let hasAutoIncrement = false;
-                        const hasCompositePrimaryKey = tableInfo[0].values.filter(columnInfo => /*NOSONAR*/ columnInfo[5]).length > 1;
-
-                        tableInfo[0].values.forEach(columnInfo => /*NOSONAR*/{
-                            
-                            let isAutoIncrement = columnInfo[2].toUpperCase() == 'INTEGER' && columnInfo[5];
-                            if(hasAutoIncrement || hasCompositePrimaryKey)
-                            {
-                                isAutoIncrement = false;
-                            }
-                            let columnName = stringUtil.snakeize(columnInfo[1]);
-                            let columnType = _this.toMySqlType(columnInfo[2]);
-                            let columnSize = _this.getColumnSize(columnInfo[2]);
-                            let isNull = columnInfo[3] === 1;
-                            let defaultValue = columnInfo[4];
-                            let isPrimaryKey = columnInfo[5];
-
-                            if((columnSize == null || columnSize == 0) && columnType == 'BIGINT')
-                            {
-                                columnSize = '20';
-                            }
-
-                            const column = new Column(
-                                columnName, // The name of the column.
-                                columnType, // The SQL data type of the column (e.g., "VARCHAR", "INT", "ENUM").
-                                columnSize, // The length or precision of the column (e.g., "255" for VARCHAR, or "10,2" for DECIMAL). Optional.
-                                isNull, // Indicates whether the column allows NULL values.
-                                defaultValue, // The default value assigned to the column. Optional.
-                                isPrimaryKey, // Specifies whether the column is a primary key.
-                                isAutoIncrement, // Indicates if the column value auto-increments (typically used for numeric primary keys).
-                                null, // Valid values for ENUM/SET types, or value range for numeric types (comma-separated). Optional.
-                            );
-                            // Add the column to the entity
-                            entity.addColumn(column);
-
-                            if(hasAutoIncrement)
-                            {
-                                hasAutoIncrement = false;
-                            }
-                        });
-                        importedEntities.push(entity); // Add the entity to the imported entities
-                    }
-                });
+            _this.importSQLiteBuffer(new Uint8Array(arrayBuffer), callback).catch(err => {
+                _this.reportImportFailure(`Cannot read the SQLite database ${file.name}: ${err.message}`, callback);
+            });
+        };
+        reader.onerror = () => {
+            _this.reportImportFailure(`Cannot read ${file.name}: ${reader.error ? reader.error.message : 'unknown error'}`, callback);
+        };
+        reader.readAsArrayBuffer(file); // Read the selected file
+    }
 
-                if (_this.clearBeforeImport) {
-                    _this.entities = importedEntities;
-                } else {
-                    let existing = [];
-                    _this.entities.forEach((entity) => {
-                        existing.push(entity.name);
+    /**
+     * Loads SQL.js. The browser uses the page global and the WASM file next to `index.html`,
+     * Node loads the bundled `sql-wasm.js` with the WASM file from the `wasm` directory.
+     *
+     * @returns {Promise<Object>} The SQL.js module.
+     */
+    loadSqlJs() {
+        if (typeof initSqlJs !== 'undefined') {
+            return initSqlJs({ locateFile: file => `wasm/sql-wasm.wasm` });
+        }
+        const fs = require('fs');
+        const path = require('path');
+        // Passed as a binary, as the bundled loader would try to fetch the file path
+        return require('./sql-wasm.js')({ wasmBinary: fs.readFileSync(path.join(__dirname, '..', 'wasm', 'sql-wasm.wasm')) });
+    }
+
+    /**
+     * Imports the content of a SQLite database file.
+     *
+     * @param {Uint8Array} uint8Array - The content of the database file.
+     * @param {Function} [callback] - Optional callback function to invoke after import is complete.
+     * @returns {Promise<{entities: Entity[], diagnostics: Array<Object>}>} The imported model, with the problems
+     *          found by {@link SQLParser#checkModel}.
+     */
+    importSQLiteBuffer(uint8Array, callback) {
+        let _this = this;
+        // Initialize SQL.js and load the database
+        return this.loadSqlJs().then(SQL => {
+            _this.db = new SQL.Database(uint8Array); // Create a new database instance
+
+            // Get the names of all tables in the database
+            let res1 = _this.db.exec("SELECT name FROM sqlite_master WHERE type='table';");
+            let importedEntities = [];
+            res1[0].values.forEach((row, index) => {
+                const tableName = row[0]; // Extract table name
+                let entity = new _this.classes.Entity(_this.normalizeName(tableName), index);
+                entity.physicalName = _this.getPhysicalName(entity.name, tableName);
+
+                // --- Start: Add data import capability ---
+                let tableData = _this.db.exec(`SELECT * FROM ${_this.quoteSQLiteName(tableName)};`);
+                if (tableData.length > 0) {
+                    // Assuming tableData[0].columns contains column names and tableData[0].values contains rows
+                    const columns = tableData[0].columns;
+                    const values = tableData[0].values;
+
+                    entity.creationDate = (new Date()).getTime();
+                    entity.modificationDate = entity.creationDate;
+                    entity.creator = '{{userName}}'; // Replace with actual user name if available
+                    entity.modifier = '{{userName}}'; // Replace with actual user name if available
+
+                    // Map array of values to array of objects for easier access
+                    entity.data = values.map(rowValues => /*NOSONAR*/ {
+                        const rowObject = {};
+                        columns.forEach((colName, colIndex) => {
+                            const snakeKey = _this.stringUtil.snakeize(colName);
+                            rowObject[snakeKey] = rowValues[colIndex];
+                        });
+                        return rowObject;
                     });
-                    importedEntities.forEach((entity) => {
-                        if (!existing.includes(entity.name)) {
-                            entity.index = _this.entities.length;
-                            _this.entities.push(entity);
+                } else {
+                    entity.setData(null); // If no data, initialize as null
+                }
+                // --- End: Add data import capability ---
+
+                let tableInfo = _this.db.exec(`PRAGMA table_info(${_this.quoteSQLiteName(tableName)});`); // Get table info           
+
+                if (tableInfo.length > 0) {
+                    let hasAutoIncrement = false;
+                    const hasCompositePrimaryKey = tableInfo[0].values.filter(columnInfo => /*NOSONAR*/ columnInfo[5]).length > 1;
+
+                    tableInfo[0].values.forEach(columnInfo => /*NOSONAR*/{
+                        
+                        let isAutoIncrement = columnInfo[2].toUpperCase() == 'INTEGER' && columnInfo[5];
+                        if(hasAutoIncrement || hasCompositePrimaryKey)
+                        {
+                            isAutoIncrement = false;
+                        }
+                        let columnName = _this.normalizeName(columnInfo[1]);
+                        let columnType = _this.toMySqlType(columnInfo[2]);
+                        let columnSize = _this.getColumnSize(columnInfo[2]);
+                        let isNull = columnInfo[3] === 1;
+                        let defaultValue = columnInfo[4];
+                        let isPrimaryKey = columnInfo[5];
+
+                        if((columnSize == null || columnSize == 0) && columnType == 'BIGINT')
+                        {
+                            columnSize = '20';
+                        }
+
+                        const column = new _this.classes.Column(
+                            columnName, // The name of the column.
+                            columnType, // The SQL data type of the column (e.g., "VARCHAR", "INT", "ENUM").
+                            columnSize, // The length or precision of the column (e.g., "255" for VARCHAR, or "10,2" for DECIMAL). Optional.
+                            isNull, // Indicates whether the column allows NULL values.
+                            defaultValue, // The default value assigned to the column. Optional.
+                            isPrimaryKey, // Specifies whether the column is a primary key.
+                            isAutoIncrement, // Indicates if the column value auto-increments (typically used for numeric primary keys).
+                            null, // Valid values for ENUM/SET types, or value range for numeric types (comma-separated). Optional.
+                        );
+                        column.physicalName = _this.getPhysicalName(columnName, columnInfo[1]);
+                        // Add the column to the entity
+                        entity.addColumn(column);
+
+                        if(hasAutoIncrement)
+                        {
+                            hasAutoIncrement = false;
                         }
                     });
+                    _this.getSQLiteForeignKeys(tableName).forEach(foreignKey => entity.addForeignKey(foreignKey));
+                    importedEntities.push(entity); // Add the entity to the imported entities
                 }
+            });
 
-                if (typeof callback === 'function') {
-                    importedEntities = _this.calculateEntityDepth(importedEntities);
-                    callback({entities: importedEntities}); // Execute callback with the updated entities
-                }
+            if (_this.clearBeforeImport) {
+                _this.entities = importedEntities;
+            } else {
+                let existing = [];
+                _this.entities.forEach((entity) => {
+                    existing.push(entity.name);
+                });
+                importedEntities.forEach((entity) => {
+                    if (!existing.includes(entity.name)) {
+                        entity.index = _this.entities.length;
+                        _this.entities.push(entity);
+                    }
+                });
+            }
 
-            });
-        };
-        reader.readAsArrayBuffer(file); // Read the selected file
+            const entities = _this.calculateEntityDepth(importedEntities);
+            const model = {entities: entities, diagnostics: _this.checkModel(entities)};
+            if (typeof callback === 'function') {
+                callback(model); // Execute callback with the updated entities
+            }
+            return model;
+        });
+    }
+
+    /**
+     * Imports the content of a SQL or SQLite file. The format is detected from the SQLite file header,
+     * like {@link SQLParser#importSQLFile} does for files picked in the browser.
+     *
+     * @param {Uint8Array} buffer - The content of the file.
+     * @param {Function} [callback] - Optional callback function to invoke after import is complete.
+     * @returns {Promise<{entities: Entity[], diagnostics: Array<Object>}>} The imported model and the problems found.
+     */
+    importSQLBuffer(buffer, callback) {
+        if (this.looksLikeSQLite(buffer)) {
+            return this.importSQLiteBuffer(buffer, callback);
+        }
+        try {
+            const model = this.parseSQL(new TextDecoder().decode(buffer));
+            if (typeof callback === 'function') {
+                callback(model);
+            }
+            return Promise.resolve(model);
+        } catch (err) {
+            return Promise.reject(err);
+        }
     }
     
     /**
-     * Imports an SQL file, translates its content to MySQL-compatible syntax, parses the table structures and data,
-     * and updates the entity editor with the parsed entities and rows.
+     * Quotes a SQLite table name, which may contain spaces or quotes or be a keyword.
+     *
+     * @param {string} tableName - The name of the table in the loaded SQLite database.
+     * @returns {string} The quoted name.
+     */
+    quoteSQLiteName(tableName) {
+        return `"${tableName.replace(/"/g, '""')}"`;
+    }
+
+    /**
+     * Reads the foreign key constraints of a SQLite table using `PRAGMA foreign_key_list`.
+     * Multi-column constraints are grouped by their constraint id and ordered by sequence.
+     *
+     * @param {string} tableName - The name of the table in the loaded SQLite database.
+     * @returns {Array<Object>} The foreign keys of the table, each with `name`, `columns`,
+     * `referencedTable`, `referencedColumns`, `onDelete` and `onUpdate`.
+     */
+    getSQLiteForeignKeys(tableName) {
+        const result = this.db.exec(`PRAGMA foreign_key_list(${this.quoteSQLiteName(tableName)});`);
+        const foreignKeys = {};
+        if (result.length > 0) {
+            // Columns: id, seq, table, from, to, on_update, on_delete, match
+            result[0].values.forEach(row => {
+                const [id, , table, from, to, onUpdate, onDelete] = row;
+                if (!foreignKeys[id]) {
+                    foreignKeys[id] = {
+                        name: null,
+                        columns: [],
+                        referencedTable: this.stringUtil.snakeize(table),
+                        referencedColumns: [],
+                        onDelete: onDelete && onDelete !== 'NO ACTION' ? onDelete : null,
+                        onUpdate: onUpdate && onUpdate !== 'NO ACTION' ? onUpdate : null
+                    };
+                }
+                foreignKeys[id].columns.push(this.stringUtil.snakeize(from));
+                if (to != null) {
+                    foreignKeys[id].referencedColumns.push(this.stringUtil.snakeize(to));
+                }
+            });
+        }
+        return Object.values(foreignKeys);
+    }
+
+    /**
+     * Imports an SQL file, parses the table structures with {@link SQLParser#parseSQL},
+     * and updates the entity editor with the parsed entities.
+     *
+     * The callback also receives a model when the file cannot be read or parsed: it has no entities
+     * and an error diagnostic explaining why.
      *
      * @param {File} file - The SQL file to be imported.
      * @param {Function} [callback] - Optional callback to execute after the import process is completed.
@@ -164,33 +289,187 @@ class SQLParser {
 
         reader.onload = function (e) {
             let contents = e.target.result; // Extract text content from the file
-
+            let model;
             try {
-                const translator = new SQLConverter(); // Create an instance to handle SQL dialect conversion
-                const translatedContents = translator.translate(contents, 'mysql').replace(/`/g, ''); // Translate and clean backticks
-
-                const tableParser = new TableParser(translatedContents); // Parse translated SQL structure (CREATE TABLE)
-                tableParser.parseData(contents); // Parse original SQL content (INSERT INTO) to extract row data
-
-                let importedEntities = _this.createEntitiesFromSQL(tableParser.tableInfo); // Convert table structures into editor entities
-
-                if (typeof callback === 'function') {
-                    importedEntities = _this.calculateEntityDepth(importedEntities);
-                    callback({entities: importedEntities}); // Invoke callback with updated entity list
-                }
-
+                model = _this.parseSQL(contents);
             } catch (err) {
-                console.log("Error parsing SQL: " + err.message); // Log error if parsing fails
+                _this.reportImportFailure(`Error parsing SQL: ${err.message}`, callback);
+                return;
+            }
+            if (typeof callback === 'function') {
+                callback(model); // Invoke callback with updated entity list
             }
         };
 
         reader.onerror = () => {
-            
+            _this.reportImportFailure(`Cannot read ${file.name}: ${reader.error ? reader.error.message : 'unknown error'}`, callback);
         };
 
         reader.readAsText(file); // Begin reading the file as plain text
     }
-    
+
+    /**
+     * Passes a model without entities to the import callback when a file cannot be imported.
+     *
+     * @param {string} message - Why the import failed.
+     * @param {Function} [callback] - The import callback.
+     * @returns {void}
+     */
+    reportImportFailure(message, callback) {
+        if (typeof callback === 'function') {
+            callback({entities: [], diagnostics: [{severity: 'error', message: message}]});
+        }
+    }
+
+    /**
+     * Parses SQL DDL text into a model without using any browser API.
+     *
+     * The CREATE TABLE, ALTER TABLE and CREATE INDEX statements are parsed by {@link DDLParser}
+     * in the dialect of the script, keeping its native types. Statements that cannot be parsed are skipped.
+     * The problems of the script and those found by {@link SQLParser#checkModel} are returned as diagnostics,
+     * with the SQL line they were found on.
+     *
+     * @param {string} contents - The SQL text.
+     * @param {string} [dialect] - The SQL dialect: "mysql", "postgresql", "sqlite" or "sqlserver".
+     *        Detected from the text when omitted.
+     * @returns {{entities: Entity[], diagnostics: Array<Object>}} The model, with the depth of each entity
+     *          calculated, and the problems found (see {@link DDLParser#createDiagnostic}).
+     */
+    parseSQL(contents, dialect = this.detectDialect(contents)) {
+        return this.parseScripts([{ name: null, sql: contents }], dialect);
+    }
+
+    /**
+     * Parses several SQL scripts, applied one after the other, into one model, like {@link SQLParser#parseSQL}.
+     * Each entity gets the name of the last script that created or altered its table as `migration`,
+     * and the problems found in a named script have its `file`.
+     *
+     * @param {Array<{name: ?string, file?: string, sql: string}>} scripts - The scripts, in the order they are applied.
+     * @param {string} [dialect] - The SQL dialect. Detected from all scripts when omitted.
+     * @returns {{entities: Entity[], diagnostics: Array<Object>}} The model and the problems found.
+     */
+    parseScripts(scripts, dialect = this.detectDialect(scripts.map(script => script.sql).join('\n'))) {
+        const ddlParser = new this.classes.DDLParser({ dialect: dialect });
+        const importedEntities = this.createEntitiesFromSQL(ddlParser.parseScripts(scripts)); // Convert table structures into editor entities
+        const diagnostics = this.checkModel(importedEntities).map(diagnostic => {
+            // Point to the definition of the table or column in the script, which has the declared names
+            const entity = importedEntities.find(item => item.name === diagnostic.tableName);
+            const column = entity && diagnostic.columnName ? entity.columns.find(item => item.name === diagnostic.columnName) : null;
+            const position = entity ? ddlParser.locate(entity.physicalName || entity.name, column ? column.physicalName || column.name : null) : null;
+            return position ? { ...ddlParser.createDiagnostic(diagnostic.severity, diagnostic.message, position), ...diagnostic } : diagnostic;
+        });
+        return {entities: this.calculateEntityDepth(importedEntities), diagnostics: ddlParser.diagnostics.concat(diagnostics)};
+    }
+
+    /**
+     * Parses the files of a Flyway or Liquibase migrations folder into one model. The files are ordered
+     * into scripts by {@link MigrationLoader} and parsed with {@link SQLParser#parseScripts}.
+     *
+     * @param {Array<{path: string, content: string}>} files - The files of the folder, with their path in it.
+     * @param {string} [dialect] - The SQL dialect. Detected from the migrations when omitted.
+     * @returns {{entities: Entity[], diagnostics: Array<Object>}} The model and the problems found,
+     *          those of the migration files first.
+     */
+    parseMigrations(files, dialect) {
+        const migrations = new this.classes.MigrationLoader().load(files);
+        const model = this.parseScripts(migrations.scripts, dialect);
+        model.diagnostics = migrations.diagnostics.concat(model.diagnostics);
+        return model;
+    }
+
+    /**
+     * Imports the files picked in the SQL file input: a single SQL or SQLite file is imported with
+     * {@link SQLParser#importSQLFile}, several files or a ZIP archive as migrations with {@link SQLParser#importMigrations}.
+     *
+     * @param {File[]} files - The picked files.
+     * @param {Function} [callback] - Optional callback invoked with the model and its diagnostics.
+     * @returns {void}
+     */
+    importFiles(files, callback) {
+        if (files.length === 1 && !/\.zip$/i.test(files[0].name)) {
+            this.importSQLFile(files[0], callback);
+        } else if (files.length > 0) {
+            this.importMigrations(files, callback);
+        }
+    }
+
+    /**
+     * Imports Flyway or Liquibase migrations from files picked in the browser. ZIP archives are unpacked;
+     * the files of a picked folder keep their path in it.
+     *
+     * @param {File[]} files - The migration files and ZIP archives.
+     * @param {Function} [callback] - Optional callback invoked with the model and its diagnostics, also when the import fails.
+     * @returns {Promise<void>} Resolved after the callback is invoked.
+     */
+    importMigrations(files, callback) {
+        const loader = new this.classes.MigrationLoader();
+        return Promise.all(files.map(file => /\.zip$/i.test(file.name)
+            ? file.arrayBuffer().then(buffer => loader.readZip(buffer))
+            : file.text().then(text => [{ path: file.webkitRelativePath || file.name, content: text }])))
+            .then(lists => {
+                const model = this.parseMigrations([].concat(...lists));
+                if (typeof callback === 'function') {
+                    callback(model);
+                }
+            })
+            .catch(err => this.reportImportFailure(`Cannot import the migrations: ${err.message}`, callback));
+    }
+
+    /**
+     * Checks an imported model for what the generator cannot use as expected:
+     * - no tables at all (an error, nothing can be generated)
+     * - tables without a primary key, which get no repository
+     * - column types the type mapping does not know, which are mapped to String
+     * - foreign keys referencing a table or column that is not in the model, which become plain columns
+     *
+     * @param {Entity[]} entities - The imported entities.
+     * @returns {Array<{severity: string, message: string, tableName: ?string, columnName: ?string}>} The problems found.
+     */
+    checkModel(entities) {
+        const diagnostics = [];
+        const add = (severity, message, tableName = null, columnName = null) => {
+            diagnostics.push({ severity: severity, message: message, tableName: tableName, columnName: columnName });
+        };
+        if (entities.length === 0) {
+            add('error', 'No tables found');
+        }
+        entities.forEach(entity => {
+            if (!entity.columns.some(column => column.primaryKey)) {
+                add('warning', `Table ${entity.name} has no primary key; no repository is generated for it`, entity.name);
+            }
+            entity.columns.forEach(column => {
+                if (!this.typeMapping.isKnownType(column.type, column.length, column.name)) {
+                    add('warning', `Unknown type ${column.type} of column ${entity.name}.${column.name} is mapped to String`, entity.name, column.name);
+                }
+            });
+            entity.foreignKeys.forEach(foreignKey => {
+                const columns = foreignKey.columns.join(', ');
+                const target = entities.find(other => other.name.toLowerCase() === foreignKey.referencedTable.toLowerCase());
+                if (!target) {
+                    add('warning', `Foreign key ${entity.name} (${columns}) references table ${foreignKey.referencedTable}, which is not in the model; no relation is generated`,
+                        entity.name, foreignKey.columns[0]);
+                    return;
+                }
+                foreignKey.referencedColumns
+                    .filter(name => !target.columns.some(column => column.name.toLowerCase() === name.toLowerCase()))
+                    .forEach(name => add('warning', `Foreign key ${entity.name} (${columns}) references column ${name}, which table ${target.name} does not have`,
+                        entity.name, foreignKey.columns[0]));
+            });
+        });
+        return diagnostics;
+    }
+
+    /**
+     * Detects the SQL dialect of a DDL script from the syntax only one dialect has.
+     *
+     * @param {string} contents - The SQL text.
+     * @returns {string} "postgresql", "sqlserver", "sqlite", or "mysql" for any other SQL.
+     * @see DDLParser#detectDialect
+     */
+    detectDialect(contents) {
+        return new this.classes.DDLParser().detectDialect(contents);
+    }
+
     /**
      * Creates an array of Entity instances from the given SQL table data.
      * 
@@ -208,13 +487,14 @@ class SQLParser {
         // Iterate over each entity in the JSON data
         tables.forEach((table, index) => {
             // Create a new Entity instance
-            let entity = new Entity(table.tableName, index);
+            let entity = new this.classes.Entity(this.normalizeName(table.tableName), index);
+            entity.physicalName = this.getPhysicalName(entity.name, table.tableName);
             
             // Iterate over each column in the entity's columns array
             table.columns.forEach(columnData => {
                 // Create a new Column instance
-                const column = new Column(
-                    columnData.Field,
+                const column = new this.classes.Column(
+                    this.normalizeName(columnData.Field),
                     columnData.Type.toUpperCase(),
                     columnData.Length,
                     columnData.Nullable,
@@ -224,11 +504,26 @@ class SQLParser {
                     (columnData.EnumValues != null && typeof columnData.EnumValues == 'object') ? columnData.EnumValues.join(', ') : null,
                     null
                 );
+                column.physicalName = this.getPhysicalName(column.name, columnData.Field);
+                if (Array.isArray(columnData.EnumValues)) {
+                    column.enumValues = columnData.EnumValues.slice();
+                }
+                column.enumType = columnData.EnumType || null;
                 
                 // Add the column to the entity
                 entity.addColumn(column);
             });
 
+            if (table.foreignKeys) {
+                table.foreignKeys.forEach(foreignKey => entity.addForeignKey({
+                    ...foreignKey,
+                    columns: foreignKey.columns.map(name => this.normalizeName(name)),
+                    referencedTable: this.normalizeName(foreignKey.referencedTable),
+                    referencedColumns: foreignKey.referencedColumns.map(name => this.normalizeName(name))
+                }));
+            }
+            entity.migration = table.migration || null;
+
             entity.creationDate = (new Date()).getTime();
             entity.modificationDate = entity.creationDate;
             entity.creator = '{{userName}}'; // Replace with actual user name if available
@@ -241,12 +536,34 @@ class SQLParser {
         return entities;
     };
 
+    /**
+     * Normalizes a table or column name of an imported model to snake_case, so that the GraphQL schema
+     * and the Java classes derive the same names from it. Names without any letter or digit are kept.
+     *
+     * @param {string} name - The name as declared in the database.
+     * @returns {string} The normalized name.
+     */
+    normalizeName(name) {
+        return this.stringUtil.snakeize(name) || name;
+    }
+
+    /**
+     * Returns the name declared in the database when the normalized name differs from it.
+     *
+     * @param {string} name - The normalized name.
+     * @param {string} declaredName - The name as declared in the database.
+     * @returns {?string} The declared name, or null when it equals the normalized name.
+     */
+    getPhysicalName(name, declaredName) {
+        return name === declaredName ? null : declaredName;
+    }
+
     /**
      * Imports an SQL file and processes its content.
      * 
      * This function accepts an SQL file, reads its contents as text using a FileReader, then parses it 
-     * using a `TableParser` and updates the editor's entities with the parsed data. After the import, 
-     * a callback function is invoked with the updated entities, if provided.
+     * with {@link SQLParser#parseSQL} and updates the editor's entities with the parsed data. After the import,
+     * a callback function is invoked with the model and its diagnostics, if provided, also when the import fails.
      * 
      * @param {File} file - The SQL file object to be imported.
      * @param {Function} [callback] - Optional callback function to be executed after the entities are updated. 
@@ -268,7 +585,9 @@ class SQLParser {
             }
         };
 
-        reader.onerror = () => {};
+        reader.onerror = () => {
+            _this.reportImportFailure(`Cannot read ${file.name}: ${reader.error ? reader.error.message : 'unknown error'}`, callback);
+        };
         reader.readAsArrayBuffer(blob);
     }
     
@@ -348,7 +667,8 @@ class SQLParser {
     }
 
     /**
-     * Calculates the module creation order based on dependencies (fields ending with `_id`).
+     * Calculates the module creation order based on dependencies (declared foreign keys,
+     * or fields ending with `_id` when no constraint is declared).
      *
      * This function traverses the entities to build a dependency graph. It then uses a
      * Depth-First Search (DFS) algorithm to determine the "depth" of each module,
@@ -370,14 +690,15 @@ class SQLParser {
         const nameToEntity = Object.fromEntries(entities.map(e => [e.name, e]));
 
         // Build the dependency graph: node -> parent dependencies.
-        // A 'parent' is an entity that the current entity depends on (via an `_id` field).
+        // A 'parent' is an entity that the current entity depends on (via a foreign key or an `_id` field).
         const graph = {};
         for (const entity of entities) {
-            // Identify references by filtering columns ending with '_id' and removing the suffix.
+            // Resolve references through declared foreign keys first, then the `_id` convention.
             // Ensure the reference is not to itself and exists in the provided entities.
             const references = entity.columns
-            .filter(col => col.name.endsWith('_id'))
-            .map(col => col.name.replace(/_id$/, ''))
+            .map(col => entity.getReferencedEntity(col, entities))
+            .filter(ref => ref != null)
+            .map(ref => ref.entity.name)
             .filter(ref => ref !== entity.name && nameToEntity[ref]);
             graph[entity.name] = references;
         }
@@ -474,4 +795,8 @@ class SQLParser {
         // to avoid modifying the original array, and then sorts it based on the `depth` property.
         return [...entities].sort((a, b) => a.depth - b.depth);
     }
-}
\ No newline at end of file
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SQLParser };
+}
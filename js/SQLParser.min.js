@@ -1 +1 @@
-class SQLParser{constructor(){this.entities=[]}looksLikeSQLite(e){return[83,81,76,105,116,101,32,102,111,114,109,97,116,32,51,0].every((t,r)=>e[r]===t)}importSQLite(e,t){if(!e)return;let r=this,a=new FileReader;a.onload=function(e){let a=e.target.result,l=new Uint8Array(a);initSqlJs({locateFile:e=>"wasm/sql-wasm.wasm"}).then(e=>{r.db=new e.Database(l);let a=r.db.exec("SELECT name FROM sqlite_master WHERE type='table';"),n=[];if(a[0].values.forEach((e,t)=>{let a=e[0],l=new Entity(stringUtil.snakeize(a),t),i=r.db.exec(`SELECT * FROM ${a};`);if(i.length>0){let o=i[0].columns,s=i[0].values;l.creationDate=new Date().getTime(),l.modificationDate=l.creationDate,l.creator="{{userName}}",l.modifier="{{userName}}",l.data=s.map(e=>{let t={};return o.forEach((r,a)=>{let l=stringUtil.snakeize(r);t[l]=e[a]}),t})}else l.setData(null);let u=r.db.exec(`PRAGMA table_info(${a});`);if(u.length>0){let m=!1,f=u[0].values.filter(e=>e[5]).length>1;u[0].values.forEach(e=>{let t="INTEGER"==e[2].toUpperCase()&&e[5];(m||f)&&(t=!1);let a=stringUtil.snakeize(e[1]),n=r.toMySqlType(e[2]),i=r.getColumnSize(e[2]),o=1===e[3],s=e[4],u=e[5];(null==i||0==i)&&"BIGINT"==n&&(i="20");let c=new Column(a,n,i,o,s,u,t,null);l.addColumn(c),m&&(m=!1)}),n.push(l)}}),r.clearBeforeImport)r.entities=n;else{let i=[];r.entities.forEach(e=>{i.push(e.name)}),n.forEach(e=>{i.includes(e.name)||(e.index=r.entities.length,r.entities.push(e))})}"function"==typeof t&&t({entities:n=r.calculateEntityDepth(n)})})},a.readAsArrayBuffer(e)}importSQLQuery(e,t){let r=this,a=new FileReader;a.onload=function(e){let a=e.target.result;try{let l=new SQLConverter,n=l.translate(a,"mysql").replace(/`/g,""),i=new TableParser(n);i.parseData(a);let o=r.createEntitiesFromSQL(i.tableInfo);"function"==typeof t&&(o=r.calculateEntityDepth(o),t({entities:o}))}catch(s){console.log("Error parsing SQL: "+s.message)}},a.onerror=()=>{},a.readAsText(e)}createEntitiesFromSQL(e){let t=[];return e.forEach((e,r)=>{let a=new Entity(e.tableName,r);e.columns.forEach(e=>{let t=new Column(e.Field,e.Type.toUpperCase(),e.Length,e.Nullable,e.Default,e.Key,e.AutoIncrement,null!=e.EnumValues&&"object"==typeof e.EnumValues?e.EnumValues.join(", "):null,null);a.addColumn(t)}),a.creationDate=new Date().getTime(),a.modificationDate=a.creationDate,a.creator="{{userName}}",a.modifier="{{userName}}",t.push(a)}),t}importSQLFile(e,t){let r=this,a=new FileReader,l=e.slice(0,512);a.onload=function(a){let l=new Uint8Array(a.target.result);r.looksLikeSQLite(l)?r.importSQLite(e,t):r.importSQLQuery(e,t)},a.onerror=()=>{},a.readAsArrayBuffer(l)}toMySqlType(e){if(!e)return"TEXT";let t=e.trim().toUpperCase();for(let[r,a]of[[/NVARCHAR/,"VARCHAR"],[/INT/,"BIGINT"],[/(CHAR|CLOB|TEXT)/,"TEXT"],[/BLOB/,"BLOB"],[/(REAL|FLOA|DOUB)/,"DOUBLE"],[/(NUMERIC|DECIMAL)/,"DECIMAL"],[/BOOLEAN/,"TINYINT"],[/TIMESTAMP/,"TIMESTAMP"],[/(DATE|TIME)/,"DATETIME"]])if(r.test(t))return a;return e}getColumnSize(e){if(!e)return null;if(-1!==e.toUpperCase().indexOf("BOOL"))return 1;let t=e.match(/\((\d+)\)/);return t&&t[1]?parseInt(t[1]):null}toValidTableName(e){return e.replace(/\.[^/.]+$/,"").replace(/[^a-zA-Z0-9]+/g,"_").toLowerCase().replace(/^_+|_+$/g,"")}calculateEntityDepth(e,t=!1){let r=Object.fromEntries(e.map(e=>[e.name,e])),a={};for(let l of e){let n=l.columns.filter(e=>e.name.endsWith("_id")).map(e=>e.name.replace(/_id$/,"")).filter(e=>e!==l.name&&r[e]);a[l.name]=n}let i=new Map;function o(e,t=new Set){if(i.has(e))return i.get(e);if(t.has(e))return 0;t.add(e);let r=a[e]||[],l=r.length>0?Math.max(...r.map(e=>o(e,new Set(t)))):0,n=l+1;return i.set(e,n),n}for(let s of e)s.depth=o(s.name);if(t){let u=Math.max(...e.map(e=>e.depth));for(let m of e)m.depth=u-m.depth}return e}sortEntitiesByDepth(e,t=!1){if(t){let r=Math.max(...e.map(e=>e.depth));for(let a of e)a.depth=r-a.depth}return[...e].sort((e,t)=>e.depth-t.depth)}}
\ No newline at end of file
+class SQLParser{constructor(e={}){const t="undefined"==typeof StringUtil?require("./StringUtil.js").StringUtil:StringUtil,n="undefined"==typeof TypeMapping?require("./TypeMapping.js").TypeMapping:TypeMapping;this.stringUtil=e.stringUtil||new t,this.typeMapping=e.typeMapping||new n,this.classes={Entity:"undefined"==typeof Entity?require("./Entity.js").Entity:Entity,Column:"undefined"==typeof Column?require("./Column.js").Column:Column,DDLParser:"undefined"==typeof DDLParser?require("./DDLParser.js").DDLParser:DDLParser,MigrationLoader:"undefined"==typeof MigrationLoader?require("./MigrationLoader.js").MigrationLoader:MigrationLoader},this.entities=[]}looksLikeSQLite(e){return[83,81,76,105,116,101,32,102,111,114,109,97,116,32,51,0].every((t,n)=>e[n]===t)}importSQLite(e,t){if(!e)return;let n=this;const r=new FileReader;r.onload=function(r){const a=r.target.result;n.importSQLiteBuffer(new Uint8Array(a),t).catch(r=>{n.reportImportFailure(`Cannot read the SQLite database ${e.name}: ${r.message}`,t)})},r.onerror=()=>{n.reportImportFailure(`Cannot read ${e.name}: ${r.error?r.error.message:"unknown error"}`,t)},r.readAsArrayBuffer(e)}loadSqlJs(){if("undefined"!=typeof initSqlJs)return initSqlJs({locateFile:e=>"wasm/sql-wasm.wasm"});const e=require("fs"),t=require("path");return require("./sql-wasm.js")({wasmBinary:e.readFileSync(t.join(__dirname,"..","wasm","sql-wasm.wasm"))})}importSQLiteBuffer(e,t){let n=this;return this.loadSqlJs().then(r=>{n.db=new r.Database(e);let a=n.db.exec("SELECT name FROM sqlite_master WHERE type='table';"),i=[];if(a[0].values.forEach((e,t)=>{const r=e[0];let a=new n.classes.Entity(n.normalizeName(r),t);a.physicalName=n.getPhysicalName(a.name,r);let s=n.db.exec(`SELECT * FROM ${n.quoteSQLiteName(r)};`);if(s.length>0){const e=s[0].columns,t=s[0].values;a.creationDate=(new Date).getTime(),a.modificationDate=a.creationDate,a.creator="{{userName}}",a.modifier="{{userName}}",a.data=t.map(t=>{const r={};return e.forEach((e,a)=>{const i=n.stringUtil.snakeize(e);r[i]=t[a]}),r})}else a.setData(null);let o=n.db.exec(`PRAGMA table_info(${n.quoteSQLiteName(r)});`);if(o.length>0){let e=!1;const t=o[0].values.filter(e=>e[5]).length>1;o[0].values.forEach(r=>{let i="INTEGER"==r[2].toUpperCase()&&r[5];(e||t)&&(i=!1);let s=n.normalizeName(r[1]),o=n.toMySqlType(r[2]),l=n.getColumnSize(r[2]),m=1===r[3],c=r[4],u=r[5];null!=l&&0!=l||"BIGINT"!=o||(l="20");const p=new n.classes.Column(s,o,l,m,c,u,i,null);p.physicalName=n.getPhysicalName(s,r[1]),a.addColumn(p),e&&(e=!1)}),n.getSQLiteForeignKeys(r).forEach(e=>a.addForeignKey(e)),i.push(a)}}),n.clearBeforeImport)n.entities=i;else{let e=[];n.entities.forEach(t=>{e.push(t.name)}),i.forEach(t=>{e.includes(t.name)||(t.index=n.entities.length,n.entities.push(t))})}const s=n.calculateEntityDepth(i),o={entities:s,diagnostics:n.checkModel(s)};return"function"==typeof t&&t(o),o})}importSQLBuffer(e,t){if(this.looksLikeSQLite(e))return this.importSQLiteBuffer(e,t);try{const n=this.parseSQL((new TextDecoder).decode(e));return"function"==typeof t&&t(n),Promise.resolve(n)}catch(e){return Promise.reject(e)}}quoteSQLiteName(e){return`"${e.replace(/"/g,'""')}"`}getSQLiteForeignKeys(e){const t=this.db.exec(`PRAGMA foreign_key_list(${this.quoteSQLiteName(e)});`),n={};return t.length>0&&t[0].values.forEach(e=>{const[t,,r,a,i,s,o]=e;n[t]||(n[t]={name:null,columns:[],referencedTable:this.stringUtil.snakeize(r),referencedColumns:[],onDelete:o&&"NO ACTION"!==o?o:null,onUpdate:s&&"NO ACTION"!==s?s:null}),n[t].columns.push(this.stringUtil.snakeize(a)),null!=i&&n[t].referencedColumns.push(this.stringUtil.snakeize(i))}),Object.values(n)}importSQLQuery(e,t){let n=this;const r=new FileReader;r.onload=function(e){let r,a=e.target.result;try{r=n.parseSQL(a)}catch(e){return void n.reportImportFailure(`Error parsing SQL: ${e.message}`,t)}"function"==typeof t&&t(r)},r.onerror=()=>{n.reportImportFailure(`Cannot read ${e.name}: ${r.error?r.error.message:"unknown error"}`,t)},r.readAsText(e)}reportImportFailure(e,t){"function"==typeof t&&t({entities:[],diagnostics:[{severity:"error",message:e}]})}parseSQL(e,t=this.detectDialect(e)){return this.parseScripts([{name:null,sql:e}],t)}parseScripts(e,t=this.detectDialect(e.map(e=>e.sql).join("\n"))){const n=new this.classes.DDLParser({dialect:t}),r=this.createEntitiesFromSQL(n.parseScripts(e)),a=this.checkModel(r).map(e=>{const t=r.find(t=>t.name===e.tableName),a=t&&e.columnName?t.columns.find(t=>t.name===e.columnName):null,i=t?n.locate(t.physicalName||t.name,a?a.physicalName||a.name:null):null;return i?{...n.createDiagnostic(e.severity,e.message,i),...e}:e});return{entities:this.calculateEntityDepth(r),diagnostics:n.diagnostics.concat(a)}}parseMigrations(e,t){const n=(new this.classes.MigrationLoader).load(e),r=this.parseScripts(n.scripts,t);return r.diagnostics=n.diagnostics.concat(r.diagnostics),r}importFiles(e,t){1!==e.length||/\.zip$/i.test(e[0].name)?e.length>0&&this.importMigrations(e,t):this.importSQLFile(e[0],t)}importMigrations(e,t){const n=new this.classes.MigrationLoader;return Promise.all(e.map(e=>/\.zip$/i.test(e.name)?e.arrayBuffer().then(e=>n.readZip(e)):e.text().then(t=>[{path:e.webkitRelativePath||e.name,content:t}]))).then(e=>{const n=this.parseMigrations([].concat(...e));"function"==typeof t&&t(n)}).catch(e=>this.reportImportFailure(`Cannot import the migrations: ${e.message}`,t))}checkModel(e){const t=[],n=(e,n,r=null,a=null)=>{t.push({severity:e,message:n,tableName:r,columnName:a})};return 0===e.length&&n("error","No tables found"),e.forEach(t=>{t.columns.some(e=>e.primaryKey)||n("warning",`Table ${t.name} has no primary key; no repository is generated for it`,t.name),t.columns.forEach(e=>{this.typeMapping.isKnownType(e.type,e.length,e.name)||n("warning",`Unknown type ${e.type} of column ${t.name}.${e.name} is mapped to String`,t.name,e.name)}),t.foreignKeys.forEach(r=>{const a=r.columns.join(", "),i=e.find(e=>e.name.toLowerCase()===r.referencedTable.toLowerCase());i?r.referencedColumns.filter(e=>!i.columns.some(t=>t.name.toLowerCase()===e.toLowerCase())).forEach(e=>n("warning",`Foreign key ${t.name} (${a}) references column ${e}, which table ${i.name} does not have`,t.name,r.columns[0])):n("warning",`Foreign key ${t.name} (${a}) references table ${r.referencedTable}, which is not in the model; no relation is generated`,t.name,r.columns[0])})}),t}detectDialect(e){return(new this.classes.DDLParser).detectDialect(e)}createEntitiesFromSQL(e){const t=[];return e.forEach((e,n)=>{let r=new this.classes.Entity(this.normalizeName(e.tableName),n);r.physicalName=this.getPhysicalName(r.name,e.tableName),e.columns.forEach(e=>{const t=new this.classes.Column(this.normalizeName(e.Field),e.Type.toUpperCase(),e.Length,e.Nullable,e.Default,e.Key,e.AutoIncrement,null!=e.EnumValues&&"object"==typeof e.EnumValues?e.EnumValues.join(", "):null,null);t.physicalName=this.getPhysicalName(t.name,e.Field),Array.isArray(e.EnumValues)&&(t.enumValues=e.EnumValues.slice()),t.enumType=e.EnumType||null,r.addColumn(t)}),e.foreignKeys&&e.foreignKeys.forEach(e=>r.addForeignKey({...e,columns:e.columns.map(e=>this.normalizeName(e)),referencedTable:this.normalizeName(e.referencedTable),referencedColumns:e.referencedColumns.map(e=>this.normalizeName(e))})),r.migration=e.migration||null,r.creationDate=(new Date).getTime(),r.modificationDate=r.creationDate,r.creator="{{userName}}",r.modifier="{{userName}}",t.push(r)}),t}normalizeName(e){return this.stringUtil.snakeize(e)||e}getPhysicalName(e,t){return e===t?null:t}importSQLFile(e,t){const n=this,r=new FileReader,a=e.slice(0,512);r.onload=function(r){const a=new Uint8Array(r.target.result);n.looksLikeSQLite(a)?n.importSQLite(e,t):n.importSQLQuery(e,t)},r.onerror=()=>{n.reportImportFailure(`Cannot read ${e.name}: ${r.error?r.error.message:"unknown error"}`,t)},r.readAsArrayBuffer(a)}toMySqlType(e){if(!e)return"TEXT";const t=e.trim().toUpperCase(),n=[[/NVARCHAR/,"VARCHAR"],[/INT/,"BIGINT"],[/(CHAR|CLOB|TEXT)/,"TEXT"],[/BLOB/,"BLOB"],[/(REAL|FLOA|DOUB)/,"DOUBLE"],[/(NUMERIC|DECIMAL)/,"DECIMAL"],[/BOOLEAN/,"TINYINT"],[/TIMESTAMP/,"TIMESTAMP"],[/(DATE|TIME)/,"DATETIME"]];for(const[e,r]of n)if(e.test(t))return r;return e}getColumnSize(e){if(!e)return null;if(-1!==e.toUpperCase().indexOf("BOOL"))return 1;const t=e.match(/\((\d+)\)/);return t&&t[1]?parseInt(t[1]):null}toValidTableName(e){return e.replace(/\.[^/.]+$/,"").replace(/[^a-zA-Z0-9]+/g,"_").toLowerCase().replace(/^_+|_+$/g,"")}calculateEntityDepth(e,t=!1){const n=Object.fromEntries(e.map(e=>[e.name,e])),r={};for(const t of e){const a=t.columns.map(n=>t.getReferencedEntity(n,e)).filter(e=>null!=e).map(e=>e.entity.name).filter(e=>e!==t.name&&n[e]);r[t.name]=a}const a=new Map;function i(e,t=new Set){if(a.has(e))return a.get(e);if(t.has(e))return 0;t.add(e);const n=r[e]||[],s=(n.length>0?Math.max(...n.map(e=>i(e,new Set(t)))):0)+1;return a.set(e,s),s}for(const t of e)t.depth=i(t.name);if(t){const t=Math.max(...e.map(e=>e.depth));for(const n of e)n.depth=t-n.depth}return e}sortEntitiesByDepth(e,t=!1){if(t){const t=Math.max(...e.map(e=>e.depth));for(const n of e)n.depth=t-n.depth}return[...e].sort((e,t)=>e.depth-t.depth)}}"undefined"!=typeof module&&module.exports&&(module.exports={SQLParser:SQLParser});
\ No newline at end of file
@@ -0,0 +1,240 @@
+/**
+ * Error in SQL text, with the position where it was found.
+ *
+ * @class
+ */
+class SQLSyntaxError extends Error {
+    /**
+     * Creates a syntax error.
+     *
+     * @param {string} reason - What is wrong, without the position.
+     * @param {number} line - The 1-based line.
+     * @param {number} column - The 1-based column.
+     * @param {number} offset - The offset in the SQL text.
+     */
+    constructor(reason, line, column, offset) {
+        super(`${reason} at line ${line}, column ${column}`);
+        this.name = 'SQLSyntaxError';
+        this.reason = reason;
+        this.line = line;
+        this.column = column;
+        this.offset = offset;
+    }
+}
+
+/**
+ * Splits SQL text into tokens with their line and column, and groups the tokens into statements.
+ *
+ * Token types:
+ * - `word`: keywords and unquoted identifiers
+ * - `identifier`: quoted identifiers ("name", `name` or [name]), without the quotes
+ * - `string`: string literals ('text', E'text', N'text' or $tag$text$tag$), without the quotes
+ * - `number`: numeric literals
+ * - `symbol`: punctuation and operators, e.g. `(`, `,`, `::`, `||`
+ * - `delimiter`: the end of a statement: `;`, the delimiter set by the MySQL `DELIMITER` command,
+ *   or a SQL Server `GO` line
+ *
+ * Comments and whitespace are skipped, and so is the data following a PostgreSQL `COPY ... FROM stdin` statement.
+ *
+ * @class
+ */
+class SQLTokenizer {
+    /**
+     * Creates a tokenizer.
+     *
+     * @param {Object} [options] - The tokenizer options.
+     * @param {string} [options.dialect="postgresql"] - The SQL dialect: "postgresql", "mysql", "sqlite" or "sqlserver".
+     *        It decides which quotes, comments and statement delimiters are recognized.
+     */
+    constructor(options = {}) {
+        this.dialect = options.dialect || 'postgresql';
+    }
+
+    /**
+     * Splits SQL text into tokens.
+     *
+     * @param {string} sql - The SQL text.
+     * @returns {Array<{type: string, value: string, line: number, column: number, start: number, end: number}>}
+     *          The tokens. `line` and `column` are 1-based; `start` and `end` are offsets in the text.
+     * @throws {SQLSyntaxError} If a string, quoted identifier or block comment is not closed.
+     */
+    tokenize(sql) {
+        const text = String(sql ?? '');
+        const tokens = [];
+        let pos = 0;
+        let line = 1;
+        let lineStart = 0;
+        let delimiter = ';';
+
+        // Moves to the given offset, counting the line breaks passed
+        const advance = to => {
+            for (let i = pos; i < to; i++) {
+                if (text[i] === '\n') {
+                    line++;
+                    lineStart = i + 1;
+                }
+            }
+            pos = to;
+        };
+        const fail = reason => {
+            throw new SQLSyntaxError(reason, line, pos - lineStart + 1, pos);
+        };
+        const push = (type, value, end) => {
+            tokens.push({ type: type, value: value, line: line, column: pos - lineStart + 1, start: pos, end: end });
+            advance(end);
+        };
+        // Matches a client command taking the whole line, like DELIMITER or GO
+        const command = pattern => text.substring(lineStart, pos).trim() === '' ? pattern.exec(text.substring(pos, text.indexOf('\n', pos) < 0 ? text.length : text.indexOf('\n', pos))) : null;
+
+        while (pos < text.length) {
+            const ch = text[pos];
+            const next = text[pos + 1];
+            let match;
+            if (/\s/.test(ch)) {
+                advance(pos + 1);
+            } else if (this.dialect === 'mysql' && (ch === 'D' || ch === 'd') && (match = command(/^DELIMITER[ \t]+(\S+)/i))) {
+                push('delimiter', delimiter, pos + match[0].length);
+                delimiter = match[1];
+            } else if (this.dialect === 'sqlserver' && (ch === 'G' || ch === 'g') && (match = command(/^GO(?:[ \t]+\d+)?[ \t]*\r?$/i))) {
+                push('delimiter', 'GO', pos + match[0].length);
+            } else if (text.startsWith(delimiter, pos)) {
+                const copyFromStdin = this.dialect === 'postgresql' && this.isCopyFromStdin(tokens);
+                push('delimiter', delimiter, pos + delimiter.length);
+                if (copyFromStdin) {
+                    // The rows end with a line holding only \.
+                    match = /^\\\.\r?$/m.exec(text.substring(pos));
+                    advance(match ? pos + match.index + match[0].length : text.length);
+                }
+            } else if ((ch === '-' && next === '-') || (ch === '#' && this.dialect === 'mysql')) {
+                const end = text.indexOf('\n', pos);
+                advance(end < 0 ? text.length : end);
+            } else if (ch === '/' && next === '*') {
+                const end = text.indexOf('*/', pos + 2);
+                if (end < 0) {
+                    fail('Unterminated comment');
+                }
+                advance(end + 2);
+            } else if (ch === "'" || ((ch === 'E' || ch === 'e' || ch === 'N' || ch === 'n') && next === "'")
+                || (ch === '"' && this.dialect === 'mysql')) {
+                const quote = /[EeNn]/.test(ch) ? pos + 1 : pos;
+                const backslash = this.dialect === 'mysql' || quote !== pos && (ch === 'E' || ch === 'e');
+                const end = this.findQuoteEnd(text, quote, text[quote], backslash);
+                if (end < 0) {
+                    fail('Unterminated string');
+                }
+                push('string', this.unquote(text.substring(quote + 1, end), text[quote], backslash), end + 1);
+            } else if (ch === '"' || (ch === '`' && this.dialect !== 'postgresql')) {
+                const end = this.findQuoteEnd(text, pos, ch, false);
+                if (end < 0) {
+                    fail('Unterminated quoted identifier');
+                }
+                push('identifier', this.unquote(text.substring(pos + 1, end), ch, false), end + 1);
+            } else if (ch === '[' && (this.dialect === 'sqlserver' || this.dialect === 'sqlite')) {
+                const end = text.indexOf(']', pos + 1);
+                if (end < 0) {
+                    fail('Unterminated quoted identifier');
+                }
+                push('identifier', text.substring(pos + 1, end), end + 1);
+            } else if (ch === '$' && this.dialect === 'postgresql' && (match = /^\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/.exec(text.substring(pos, pos + 66)))) {
+                const end = text.indexOf(match[0], pos + match[0].length);
+                if (end < 0) {
+                    fail('Unterminated dollar-quoted string');
+                }
+                push('string', text.substring(pos + match[0].length, end), end + match[0].length);
+            } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(next || ''))) {
+                match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(text.substring(pos, pos + 400));
+                push('number', match[0], pos + match[0].length);
+            } else if (/[\p{L}_]/u.test(ch)) {
+                match = /^[\p{L}\p{N}_$#@]*/u.exec(text.substring(pos, pos + 400));
+                push('word', match[0], pos + match[0].length);
+            } else {
+                match = /^(?:::|\|\||<=|>=|<>|!=|->>|->|[^\s])/.exec(text.substring(pos, pos + 3));
+                push('symbol', match[0], pos + match[0].length);
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * Finds the closing quote of a quoted string or identifier. A doubled quote is an escaped quote.
+     *
+     * @param {string} text - The SQL text.
+     * @param {number} start - The offset of the opening quote.
+     * @param {string} quote - The quote character.
+     * @param {boolean} backslash - Whether a backslash escapes the next character.
+     * @returns {number} The offset of the closing quote, or -1 when it is missing.
+     */
+    findQuoteEnd(text, start, quote, backslash) {
+        for (let i = start + 1; i < text.length; i++) {
+            if (backslash && text[i] === '\\') {
+                i++;
+            } else if (text[i] === quote) {
+                if (text[i + 1] !== quote) {
+                    return i;
+                }
+                i++;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Removes the escapes from the content of a quoted string or identifier.
+     *
+     * @param {string} content - The text between the quotes.
+     * @param {string} quote - The quote character.
+     * @param {boolean} backslash - Whether backslash escapes are used.
+     * @returns {string} The unescaped content.
+     */
+    unquote(content, quote, backslash) {
+        if (backslash) {
+            const escapes = { n: '\n', r: '\r', t: '\t', '0': '\0' };
+            return content.replace(/\\(.)|(['"])\2/gs, (match, ch, doubled) => doubled || (escapes[ch] ?? ch));
+        }
+        return content.split(quote + quote).join(quote);
+    }
+
+    /**
+     * Tells whether the statement being tokenized is a `COPY ... FROM stdin`, which is followed by its rows.
+     *
+     * @param {Array<Object>} tokens - The tokens read so far.
+     * @returns {boolean} True if the tokens since the last delimiter are a COPY from the standard input.
+     */
+    isCopyFromStdin(tokens) {
+        let start = tokens.length;
+        while (start > 0 && tokens[start - 1].type !== 'delimiter') {
+            start--;
+        }
+        const isWord = (token, word) => token.type === 'word' && token.value.toUpperCase() === word;
+        return start < tokens.length && isWord(tokens[start], 'COPY') && tokens.slice(start).some(token => isWord(token, 'STDIN'));
+    }
+
+    /**
+     * Groups tokens into statements at the delimiter tokens.
+     *
+     * @param {Array<Object>} tokens - The tokens of {@link SQLTokenizer#tokenize}.
+     * @returns {Array<Array<Object>>} The tokens of each non-empty statement, without the delimiter.
+     */
+    splitStatements(tokens) {
+        const statements = [];
+        let current = [];
+        tokens.forEach(token => {
+            if (token.type === 'delimiter') {
+                if (current.length > 0) {
+                    statements.push(current);
+                }
+                current = [];
+            } else {
+                current.push(token);
+            }
+        });
+        if (current.length > 0) {
+            statements.push(current);
+        }
+        return statements;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SQLTokenizer, SQLSyntaxError };
+}
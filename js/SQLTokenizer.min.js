@@ -0,0 +1 @@
+class SQLSyntaxError extends Error{constructor(e,t,n,s){super(`${e} at line ${t}, column ${n}`),this.name="SQLSyntaxError",this.reason=e,this.line=t,this.column=n,this.offset=s}}class SQLTokenizer{constructor(e={}){this.dialect=e.dialect||"postgresql"}tokenize(e){const t=String(e??""),n=[];let s=0,i=1,r=0,l=";";const o=e=>{for(let n=s;n<e;n++)"\n"===t[n]&&(i++,r=n+1);s=e},d=e=>{throw new SQLSyntaxError(e,i,s-r+1,s)},u=(e,t,l)=>{n.push({type:e,value:t,line:i,column:s-r+1,start:s,end:l}),o(l)},h=e=>""===t.substring(r,s).trim()?e.exec(t.substring(s,t.indexOf("\n",s)<0?t.length:t.indexOf("\n",s))):null;for(;s<t.length;){const e=t[s],i=t[s+1];let r;if(/\s/.test(e))o(s+1);else if("mysql"!==this.dialect||"D"!==e&&"d"!==e||!(r=h(/^DELIMITER[ \t]+(\S+)/i)))if("sqlserver"!==this.dialect||"G"!==e&&"g"!==e||!(r=h(/^GO(?:[ \t]+\d+)?[ \t]*\r?$/i)))if(t.startsWith(l,s)){const e="postgresql"===this.dialect&&this.isCopyFromStdin(n);u("delimiter",l,s+l.length),e&&(r=/^\\\.\r?$/m.exec(t.substring(s)),o(r?s+r.index+r[0].length:t.length))}else if("-"===e&&"-"===i||"#"===e&&"mysql"===this.dialect){const e=t.indexOf("\n",s);o(e<0?t.length:e)}else if("/"===e&&"*"===i){const e=t.indexOf("*/",s+2);e<0&&d("Unterminated comment"),o(e+2)}else if("'"===e||("E"===e||"e"===e||"N"===e||"n"===e)&&"'"===i||'"'===e&&"mysql"===this.dialect){const n=/[EeNn]/.test(e)?s+1:s,i="mysql"===this.dialect||n!==s&&("E"===e||"e"===e),r=this.findQuoteEnd(t,n,t[n],i);r<0&&d("Unterminated string"),u("string",this.unquote(t.substring(n+1,r),t[n],i),r+1)}else if('"'===e||"`"===e&&"postgresql"!==this.dialect){const n=this.findQuoteEnd(t,s,e,!1);n<0&&d("Unterminated quoted identifier"),u("identifier",this.unquote(t.substring(s+1,n),e,!1),n+1)}else if("["!==e||"sqlserver"!==this.dialect&&"sqlite"!==this.dialect)if("$"===e&&"postgresql"===this.dialect&&(r=/^\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/.exec(t.substring(s,s+66)))){const e=t.indexOf(r[0],s+r[0].length);e<0&&d("Unterminated dollar-quoted string"),u("string",t.substring(s+r[0].length,e),e+r[0].length)}else/[0-9]/.test(e)||"."===e&&/[0-9]/.test(i||"")?(r=/^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(t.substring(s,s+400)),u("number",r[0],s+r[0].length)):/[\p{L}_]/u.test(e)?(r=/^[\p{L}\p{N}_$#@]*/u.exec(t.substring(s,s+400)),u("word",r[0],s+r[0].length)):(r=/^(?:::|\|\||<=|>=|<>|!=|->>|->|[^\s])/.exec(t.substring(s,s+3)),u("symbol",r[0],s+r[0].length));else{const e=t.indexOf("]",s+1);e<0&&d("Unterminated quoted identifier"),u("identifier",t.substring(s+1,e),e+1)}else u("delimiter","GO",s+r[0].length);else u("delimiter",l,s+r[0].length),l=r[1]}return n}findQuoteEnd(e,t,n,s){for(let i=t+1;i<e.length;i++)if(s&&"\\"===e[i])i++;else if(e[i]===n){if(e[i+1]!==n)return i;i++}return-1}unquote(e,t,n){if(n){const t={n:"\n",r:"\r",t:"\t",0:"\0"};return e.replace(/\\(.)|(['"])\2/gs,(e,n,s)=>s||(t[n]??n))}return e.split(t+t).join(t)}isCopyFromStdin(e){let t=e.length;for(;t>0&&"delimiter"!==e[t-1].type;)t--;const n=(e,t)=>"word"===e.type&&e.value.toUpperCase()===t;return t<e.length&&n(e[t],"COPY")&&e.slice(t).some(e=>n(e,"STDIN"))}splitStatements(e){const t=[];let n=[];return e.forEach(e=>{"delimiter"===e.type?(n.length>0&&t.push(n),n=[]):n.push(e)}),n.length>0&&t.push(n),t}}"undefined"!=typeof module&&module.exports&&(module.exports={SQLTokenizer:SQLTokenizer,SQLSyntaxError:SQLSyntaxError});
\ No newline at end of file
@@ -43,4 +43,8 @@ class StringUtil
             .replace(/__+/g, "_");
         return name;
     }
-}
\ No newline at end of file
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StringUtil };
+}
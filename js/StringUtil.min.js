@@ -1 +1 @@
-class StringUtil{camelize(e){let a=e.replace(/[^a-zA-Z0-9 ]/g," ").toLowerCase();return a.split(" ").map((e,a)=>0===a?e:e.charAt(0).toUpperCase()+e.slice(1)).join("")}upperCamel(e){return e.replace(/([A-Z])/g,"$1").replace(/^./,e=>e.toUpperCase())}snakeize(e){return e.replace(/[_\-]+/g," ").replace(/([a-z])([A-Z])/g,"$1 $2").replace(/[^a-zA-Z0-9 ]+/g,"").toLowerCase().replace(/\b\w/g,e=>e.toUpperCase()).replace(/\s+/g,"_").toLowerCase().replace(/^_+|_+$/g,"").replace(/__+/g,"_")}}
\ No newline at end of file
+class StringUtil{camelize(e){return e.replace(/[^a-zA-Z0-9 ]/g," ").toLowerCase().split(" ").map((e,r)=>0===r?e:e.charAt(0).toUpperCase()+e.slice(1)).join("")}upperCamel(e){return e.replace(/([A-Z])/g,"$1").replace(/^./,e=>e.toUpperCase())}snakeize(e){return e.replace(/[_\-]+/g," ").replace(/([a-z])([A-Z])/g,"$1 $2").replace(/[^a-zA-Z0-9 ]+/g,"").toLowerCase().replace(/\b\w/g,e=>e.toUpperCase()).replace(/\s+/g,"_").toLowerCase().replace(/^_+|_+$/g,"").replace(/__+/g,"_")}}"undefined"!=typeof module&&module.exports&&(module.exports={StringUtil:StringUtil});
\ No newline at end of file
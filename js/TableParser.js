@@ -1,29 +1,23 @@
 /**
  * Class to parse SQL CREATE TABLE statements and extract information about tables and columns.
- * It handles various SQL types and constraints such as primary keys, data types, not null, default values, and more.
+ * The DDL is read by {@link DDLParser}; this class keeps the table information, the rows of
+ * INSERT statements and the normalization of default values.
  */
 class TableParser {
     /**
-     * Constructor initializes the type list and parses the given SQL if provided.
+     * Constructor parses the given SQL if provided.
      * @param {string} [sql] Optional SQL string to parse upon initialization.
+     * @param {string} [dialect] The SQL dialect, detected from the SQL when omitted.
      */
-    constructor(sql) {
+    constructor(sql, dialect) {
         this.tableInfo = [];
+        this.diagnostics = [];
         this.data = {};
-        this.init();
         if (sql != null) {
-            this.parseAll(sql);
+            this.parseAll(sql, dialect);
         }
     }
 
-    /**
-     * Initializes the type list for valid SQL column types.
-     */
-    init() {
-        const typeList = 'TIMESTAMPTZ,TIMESTAMP,SERIAL4,BIGSERIAL,INT2,INT4,INT8,TINYINT,BIGINT,LONGTEXT,MEDIUMTEXT,TEXT,NVARCHAR,VARCHAR,ENUM,SET,NUMERIC,DECIMAL,CHAR,REAL,FLOAT,INTEGER,INT,DATETIME2,DATETIME,DATE,DOUBLE,BOOLEAN,BOOL,TIME,UUID,MONEY,BLOB,BIT,JSON';
-        this.typeList = typeList.split(',');
-    }
-
     /**
      * Parses a single SQL INSERT query string.
      * Supports column names quoted with backticks (` `), square brackets (`[ ]`), or double quotes (`" "`).
@@ -266,242 +260,6 @@ class TableParser {
         return values;
     }
 
-    /**
-     * Helper function to check if an element exists in an array.
-     * @param {Array} haystack The array to search in.
-     * @param {string} needle The element to search for.
-     * @returns {boolean} Returns true if the element exists in the array, otherwise false.
-     */
-    inArray(haystack, needle) {
-        return haystack.includes(needle);
-    }
-
-    /**
-     * Checks if a field is a primary key.
-     * @param {string} field The field definition.
-     * @returns {boolean} True if the field is a primary key, otherwise false.
-     */
-    isPrimaryKey(field) {
-        const f = field.toUpperCase().replace(/\s+/g, ' ').trim();
-        return f.includes('PRIMARY KEY');
-    }
-
-    /**
-     * Checks if a field is auto-incremented.
-     * 
-     * @param {string} line The field definition.
-     * @returns {boolean} True if the field is auto-incremented, otherwise false.
-     */
-    isAutoIncrement(line) {
-        const f = line.toUpperCase().replace(/\s+/g, ' ').trim();
-        let ai = false;
-        // Check for MySQL/MariaDB's AUTO_INCREMENT
-        ai = f.includes('AUTO_INCREMENT');
-        
-        // Check for PostgreSQL's SERIAL, BIGSERIAL, or nextval() function
-        if(!ai)
-        {
-            ai = f.includes('SERIAL') || f.includes('BIGSERIAL') || f.includes('NEXTVAL');
-        }
-
-        return ai; 
-    }
-
-    /**
-     * Parses a CREATE TABLE SQL statement and extracts table and column information.
-     * @param {string} sql The SQL string representing a CREATE TABLE statement.
-     * @returns {Object} An object containing table name and columns, along with primary key information.
-     */
-    parseTable(sql) // NOSONAR
-    {
-        sql = sql.replace(/(\bnvarchar\s*)\(\s*max\s*\)/gi, 'TEXT');
-        sql = sql.replace(/(\bvarchar\s*)\(\s*max\s*\)/gi, 'TEXT');
-
-        let rg_tb = /(create\s+table\s+if\s+not\s+exists|create\s+table)\s(?<tb>.*)\s\(/gim;
-        let rg_fld = /(primary\s+key\s*\([^)]+\)|\w+\s+key.*|\w+\s+bigserial|\w+\s+serial4|\w+\s+serial8|\w+\s+tinyint.*|\w+\s+bigint.*|\w+\s+longtext.*|\w+\s+mediumtext.*|\w+\s+text.*|\w+\s+nvarchar.*|\w+\s+varchar.*|\w+\s+char.*|\w+\s+real.*|\w+\s+float.*|\w+\s+integer.*|\w+\s+int.*|\w+\s+datetime2.*|\w+\s+datetime.*|\w+\s+date.*|\w+\s+double.*|\w+\s+timestamp.*|\w+\s+timestamptz.*|\w+\s+boolean.*|\w+\s+bool.*|\w+\s+enum\s*\(([^)]+)\)|\w+\s+set\s*\(([^)]+)\)|\w+\s+numeric\s*\(([^)]+)\)|\w+\s+decimal\s*\(([^)]+)\)|\w+\s+float\s*\(([^)]+)\)|\w+\s+int2.*|\w+\s+int4.*|\w+\s+int8.*|\w+\s+time.*|\w+\s+uuid.*|\w+\s+money.*|\w+\s+blob.*|\w+\s+bit.*|\w+\s+json.*)/gim; // NOSONAR
-        let rg_fld2 = /(?<fname>\w+)\s+(?<ftype>\w+)(?<fattr>.*)/gi;
-        let rg_enum = /enum\s*\(([^)]+)\)/i;
-        let rg_set = /set\s*\(([^)]+)\)/i;
-        let rg_numeric = /numeric\s*\(([^)]+)\)/i;
-        let rg_decimal = /decimal\s*\(([^)]+)\)/i;
-        let rg_not_null = /not\s+null/i;
-        let rg_pk = /primary\s+key/i;
-        let rg_fld_def = /default\s+([^'"]+|'[^']*'|\"[^\"]*\")\s*(comment\s+'[^']*')?/i; // NOSONAR
-        let rg_fld_comment = /COMMENT\s*'([^']*)'/i; // NOSONAR
-        let rg_pk2 = /(PRIMARY|UNIQUE) KEY[a-zA-Z_0-9\s]+\(([a-zA-Z_0-9,\s]+)\)/gi; // NOSONAR
-        let rg_pk_composite = /primary\s+key\s*\(([^)]+)\)/i;
-    
-        let result = rg_tb.exec(sql);
-        let tableName = result.groups.tb;
-    
-        let fieldList = [];
-        let primaryKey = null;
-        let columnList = [];
-        let primaryKeyList = [];
-    
-        while ((result = rg_fld.exec(sql)) != null) {
-            let f = result[0];
-            let line = f;
-
-            line = line.replace(/[\r\n]+/g, ' ');
-    
-            // Reset regex for field parsing
-            rg_fld2.lastIndex = 0;
-            let fld_def = rg_fld2.exec(f);
-            
-            let dataType = fld_def[2]; // NOSONAR
-            let dataTypeOriginal = dataType;
-            let isPk = false;
-            let enumValues = null;
-            let enumArray = null;
-            let columnName = fld_def.groups.fname.trim();
-
-            if (rg_enum.test(line)) {
-                enumValues = rg_enum.exec(line)[1];
-                enumArray = enumValues.split(',').map(val => val.trim().replace(/['"]/g, ''));
-            }
-            
-            if (enumArray == null && rg_set.test(line)) {
-                enumValues = rg_set.exec(line)[1];
-                enumArray = enumValues.split(',').map(val => val.trim().replace(/['"]/g, ''));
-            }
-
-            if (enumArray == null && rg_numeric.test(line)) {
-                enumValues = rg_numeric.exec(line)[1];
-                enumArray = enumValues.split(',').map(val => val.trim().replace(/['"]/g, ''));
-            }
-
-            if (enumArray == null && rg_decimal.test(line)) {
-                enumValues = rg_decimal.exec(line)[1];
-                enumArray = enumValues.split(',').map(val => val.trim().replace(/['"]/g, ''));
-            }
-
-            if (this.isValidType(dataType.toString()) || this.isValidType(dataTypeOriginal.toString())) {
-                
-                let attr = fld_def.groups.fattr.replace(',', '').trim();
-                let nullable = !rg_not_null.test(attr);
-                let attr2 = attr.replace(rg_not_null, '');
-    
-                isPk = rg_pk.test(attr2) || this.isPrimaryKey(line);
-                let isAi = this.isAutoIncrement(line);
-    
-                let def = rg_fld_def.exec(attr2);
-                let defaultValue = def && def[1] ? def[1].trim() : null; // NOSONAR
-                let length = this.getLength(attr);
-
-                if(length == '' && enumArray != null)
-                {
-                    length = '\'' + (enumArray.join('\',\'')) + '\'';
-                }
-
-                defaultValue = this.fixDefaultValue(defaultValue, dataType, length);
-    
-                let cmn = rg_fld_comment.exec(attr2);
-                let comment = cmn && cmn[1] ? cmn[1].trim() : null; // NOSONAR
-
-                dataType = dataType.trim();
-                
-                if (isPk) 
-                {
-                    primaryKeyList.push(columnName);
-                }
-                if (!this.inArray(columnList, columnName)) {
-                    if(isPk)
-                    {
-                        nullable = false;
-                    }
-                    let column = {
-                        'Field': columnName,
-                        'Type': dataType,
-                        'Length': length,
-                        'Key': isPk,
-                        'Nullable': nullable,
-                        'Default': defaultValue, // Only include the default value (no COMMENT)
-                        'AutoIncrement': isAi,
-                        'EnumValues': enumArray,
-                        'Comment': comment // Store the comment separately
-                    };
-
-                    fieldList.push(column);
-                    columnList.push(columnName);
-                }
-            } else if (this.isPrimaryKey(line)) {
-                let text = result[1];
-                let re = /\((.*)\)/;
-                let matched = text.match(re); // NOSONAR
-                if (primaryKey == null) {
-                    primaryKey = matched ? matched[1] : null;
-                }
-            }
-    
-            if (primaryKey != null) {
-                primaryKey = primaryKey.split('(').join('').split(')').join('');
-                for (let i in fieldList) {
-                    if (fieldList[i]['Field'] == primaryKey) {
-                        fieldList[i]['Key'] = true;
-                    }
-                }
-            }
-    
-            if (rg_pk2.test(f) && rg_pk.test(f)) {
-                let x = f.replace(f.match(rg_pk)[0], ''); // NOSONAR
-                x = x.replace('(', '').replace(')', '');
-                let pkeys = x.split(',').map(pkey => pkey.trim());
-                for (let i in fieldList) {
-                    if (this.inArray(pkeys, fieldList[i]['Field'])) {
-                        fieldList[i]['Key'] = true;
-                    }
-                }
-            }
-            if (rg_pk_composite.test(line)) {
-                let m = rg_pk_composite.exec(line);
-                if (m && m[1]) {
-                    let pkeys = m[1].split(',').map(pk => pk.trim());
-                    primaryKeyList.push(...pkeys);
-                    for (let i in fieldList) {
-                        if (this.inArray(pkeys, fieldList[i]['Field'])) {
-                            fieldList[i]['Key'] = true;
-                        }
-                    }
-                }
-            }
-        }
-    
-        if (primaryKey == null && primaryKeyList.length > 0) {
-            primaryKey = primaryKeyList[0];
-        }
-
-        if(primaryKey != null)
-        {
-            fieldList = this.updatePrimaryKey(fieldList, primaryKey);
-        }
-
-    
-        return { tableName: tableName, columns: fieldList, primaryKey: primaryKey };
-    }
-
-    /**
-     * Updates the primary key flag for a specified field in a list of fields.
-     * 
-     * This function iterates over a list of field objects, compares the 'Field' property
-     * of each object to the given primaryKey, and sets the 'Key' property to true 
-     * for the matching field. If no match is found, the field remains unchanged.
-     * 
-     * @param {Array} fieldList - An array of field objects, each containing a 'Field' and 'Key' property.
-     * @param {string} primaryKey - The field name to be set as the primary key.
-     * @returns {Array} The updated fieldList with the 'Key' property set to true for the matched field.
-     */
-    updatePrimaryKey(fieldList, primaryKey)
-    {
-        fieldList.forEach(function(field, index){
-            if(primaryKey.trim() == field.Field.trim())
-            {
-                fieldList[index].Key = true;
-            }
-        });
-        return fieldList;
-    }
-
     /**
      * Fixes and normalizes default values in SQL statements to ensure they are in the correct format.
      * This function handles various cases, including NULL values, string literals, numbers, SQL functions,
@@ -535,7 +293,7 @@ class TableParser {
             }
             // Case 3: Handle numbers (integers or floats)
             else if (this.isNumber(defaultValue)) {
-                defaultValue = "'"+defaultValue.toString()+"'"; // Numeric values are valid as-is (no quotes needed)
+                defaultValue = defaultValue.toString(); // Numeric values are valid as-is (no quotes needed)
             }
             // Case 4: Handle SQL functions like CURRENT_TIMESTAMP or NOW()
             else if (/^(CURRENT_TIMESTAMP|NOW\(\))$/i.test(defaultValue)) {
@@ -677,49 +435,15 @@ class TableParser {
     }
 
     /**
-     * Extracts the length of a column type if specified (e.g., VARCHAR(255)).
-     * @param {string} text The attribute text containing the length (e.g., VARCHAR(255)).
-     * @returns {string} The length of the column type or an empty string if no length is found.
-     */
-    getLength(text) {
-        if (text.includes('(') && text.includes(')')) {
-            let re = /\((\d+)\)/;
-            let match = text.match(re); // NOSONAR
-            return match ? match[1] : '';
-        }
-        return '';
-    }
-
-    /**
-     * Checks if the given data type is valid according to the predefined type list.
-     * @param {string} dataType The data type to check (e.g., 'varchar', 'int').
-     * @returns {boolean} True if the data type is valid, otherwise false.
-     */
-    isValidType(dataType) {
-        return this.typeList.includes(dataType.toUpperCase());
-    }
-
-    /**
-     * Parses all CREATE TABLE statements from a SQL string and collects the information.
+     * Parses all CREATE TABLE, ALTER TABLE and CREATE INDEX statements from a SQL string and collects the information.
+     * Statements that cannot be parsed are skipped; the problems found are kept in `this.diagnostics`.
      * @param {string} sql The SQL string containing multiple CREATE TABLE statements.
+     * @param {string} [dialect] The SQL dialect, detected from the SQL when omitted.
      */
-    parseAll(sql) {
-        let inf = [];
-        const parsedResult = this.parseSQL(sql);
-        for(let i in parsedResult)
-        {
-            let sub = this.formatSQL(parsedResult[i].query);
-            try
-            {
-                let info = this.parseTable(sub);
-                inf.push(info);
-            }
-            catch(e)
-            {
-                // If parsing fails, log the error and continue.
-            }   
-        }
-        this.tableInfo = inf;
+    parseAll(sql, dialect) {
+        const ddlParser = new (typeof DDLParser === 'undefined' ? require('./DDLParser.js').DDLParser : DDLParser)({ dialect: dialect });
+        this.tableInfo = ddlParser.parse(sql);
+        this.diagnostics = ddlParser.diagnostics;
     }
 
     /**
@@ -752,46 +476,6 @@ class TableParser {
         }
     }
     
-    /**
-     * Formats an SQL string to ensure consistent indentation and spacing.
-     * Specifically, it ensures that:
-     * - Extra spaces are removed.
-     * - `CREATE TABLE` is properly formatted.
-     * - `IF NOT EXISTS` (if present) is preserved and properly formatted.
-     * - Parentheses are correctly placed.
-     * - Columns are separated by line breaks with appropriate indentation.
-     *
-     * @param {string} sql - The raw SQL string to format.
-     * @returns {string} - The formatted SQL string.
-     */
-    formatSQL(sql) {
-        // Remove excess whitespace throughout the entire string
-        sql = sql.replace(/\s+/g, ' ');
-
-        // Ensure "CREATE TABLE" is consistently formatted
-        sql = sql.replace(/\bCREATE\s+TABLE\s+/i, 'CREATE TABLE ');
-
-        // Handle and preserve "IF NOT EXISTS" if it exists, ensuring consistent formatting
-        sql = sql.replace(/\bIF\s+NOT\s+EXISTS\s+/i, 'IF NOT EXISTS ');
-
-        // Ensure parentheses are positioned correctly by removing any extra spaces before the opening parenthesis
-        sql = sql.replace(/\s*\(/, ' (');  // Remove spaces before opening parenthesis
-
-        // Ensure there are no extra spaces after the closing parenthesis and move the closing parenthesis to a new line
-        sql = sql.replace(/\s*\)\s*;/, "\r\n);");  // Remove spaces after closing parenthesis and ensure it moves to the next line
-
-        // Add a new line after the first opening parenthesis to separate the columns
-        sql = sql.replace(/\(\s*/, "(\n\t", sql);  // Add a new line after the first '(' to format columns
-
-        // Ensure that columns are separated by line breaks and indented properly
-        sql = sql.replace(/,\s*/g, ",\n\t");  // Add new lines and indentation after commas separating columns
-
-        // Add a new line before "CREATE TABLE" to ensure proper formatting
-        sql = sql.replace("CREATE TABLE", "\nCREATE TABLE", sql);  // Add a new line before CREATE TABLE to start fresh
-
-        return sql;
-    }
-
     /**
      * Parses a SQL script by splitting it into individual queries, handling comments, 
      * whitespace, and custom delimiters. It returns an array of query objects with 
@@ -899,3 +583,7 @@ class TableParser {
         return this.tableInfo;
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TableParser };
+}
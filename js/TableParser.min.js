@@ -1 +1 @@
-class TableParser{constructor(e){this.tableInfo=[],this.data={},this.init(),null!=e&&this.parseAll(e)}init(){this.typeList="TIMESTAMPTZ,TIMESTAMP,SERIAL4,BIGSERIAL,INT2,INT4,INT8,TINYINT,BIGINT,LONGTEXT,MEDIUMTEXT,TEXT,NVARCHAR,VARCHAR,ENUM,SET,NUMERIC,DECIMAL,CHAR,REAL,FLOAT,INTEGER,INT,DATETIME2,DATETIME,DATE,DOUBLE,BOOLEAN,BOOL,TIME,UUID,MONEY,BLOB,BIT,JSON".split(",")}parseInsertQuery(e){let t=e.trim(),s=t.match(/INSERT INTO\s+(`[^`]+`|\[[^\]]+\]|"[^"]+"|[\w.]+)\s*(?:\(([^)]*?)\))?\s*VALUES\s*(.*)/is);if(!s)return null;let r=s[1].replace(/^[`\["]|[`\]"]$/g,""),i=s[2]?s[2].match(/(`[^`]+`|\[[^\]]+\]|"[^"]+"|[^,]+)/g).map(e=>e.trim().replace(/^[`\["]|[`\]"]$/g,"")):[],l=s[3],a=this.extractRowStrings(l),n=a.map(e=>this.parseRow(e)),u=n.map(e=>{let t={};for(let s=0;s<i.length;s++)t[i[s]]=e[s];return t});return{tableName:r,columns:i,rows:u}}extractRowStrings(e){let t=[],s="",r=!1,i=!1,l=!1,a=0;for(let n=0;n<e.length;n++){let u=e[n],p=e[n+1];l?(s+=u,l=!1):"\\"===u?(s+=u,l=!0):"'"!==u||i?'"'!==u||r?"("!==u||r||i?")"!==u||r||i?s+=u:(s+=u,0==--a&&(s.startsWith("(")&&s.endsWith(")")?t.push(s.substring(1,s.length-1)):t.push(s),s="")):(0===a&&(s=""),s+=u,a++):(s+=u,i&&'"'===p?(s+=p,n++):i=!i):(s+=u,r&&"'"===p?(s+=p,n++):r=!r)}return t}customTrim(e){return e.trim()}parseRow(e){let t=[],s="",r=!1,i=!1,l=!1,a=()=>{let e=s,r=this.customTrim(e),i;i=r?/^null$/i.test(r)?null:!!/^true$/i.test(r)||!/^false$/i.test(r)&&(r.startsWith("'")&&r.endsWith("'")?r.slice(1,-1).replace(/''/g,"'").replace(/\\(["'\\])/g,"$1"):r.startsWith('"')&&r.endsWith('"')?r.slice(1,-1).replace(/''/g,"'").replace(/\\\\/g,"\\").replace(/\\"/g,'"'):isNaN(r)||""===r?r:Number(r)):"",t.push(i),s=""};for(let n=0;n<e.length;n++){let u=e[n],p=e[n+1];l?(s+=u,l=!1):"\\"===u?(s+=u,l=!0):"'"!==u||i?'"'!==u||r?","!==u||r||i?s+=u:a():(s+=u,i&&'"'===p?(s+=p,n++):i=!i):(s+=u,r&&"'"===p?(s+=p,n++):r=!r)}return a(),t}inArray(e,t){return e.includes(t)}isPrimaryKey(e){let t=e.toUpperCase().replace(/\s+/g," ").trim();return t.includes("PRIMARY KEY")}isAutoIncrement(e){let t=e.toUpperCase().replace(/\s+/g," ").trim(),s=!1;return(s=t.includes("AUTO_INCREMENT"))||(s=t.includes("SERIAL")||t.includes("BIGSERIAL")||t.includes("NEXTVAL")),s}parseTable(e){e=(e=e.replace(/(\bnvarchar\s*)\(\s*max\s*\)/gi,"TEXT")).replace(/(\bvarchar\s*)\(\s*max\s*\)/gi,"TEXT");let t=/(primary\s+key\s*\([^)]+\)|\w+\s+key.*|\w+\s+bigserial|\w+\s+serial4|\w+\s+serial8|\w+\s+tinyint.*|\w+\s+bigint.*|\w+\s+longtext.*|\w+\s+mediumtext.*|\w+\s+text.*|\w+\s+nvarchar.*|\w+\s+varchar.*|\w+\s+char.*|\w+\s+real.*|\w+\s+float.*|\w+\s+integer.*|\w+\s+int.*|\w+\s+datetime2.*|\w+\s+datetime.*|\w+\s+date.*|\w+\s+double.*|\w+\s+timestamp.*|\w+\s+timestamptz.*|\w+\s+boolean.*|\w+\s+bool.*|\w+\s+enum\s*\(([^)]+)\)|\w+\s+set\s*\(([^)]+)\)|\w+\s+numeric\s*\(([^)]+)\)|\w+\s+decimal\s*\(([^)]+)\)|\w+\s+float\s*\(([^)]+)\)|\w+\s+int2.*|\w+\s+int4.*|\w+\s+int8.*|\w+\s+time.*|\w+\s+uuid.*|\w+\s+money.*|\w+\s+blob.*|\w+\s+bit.*|\w+\s+json.*)/gim,s=/(?<fname>\w+)\s+(?<ftype>\w+)(?<fattr>.*)/gi,r=/enum\s*\(([^)]+)\)/i,i=/set\s*\(([^)]+)\)/i,l=/numeric\s*\(([^)]+)\)/i,a=/decimal\s*\(([^)]+)\)/i,n=/not\s+null/i,u=/primary\s+key/i,p=/default\s+([^'"]+|'[^']*'|\"[^\"]*\")\s*(comment\s+'[^']*')?/i,m=/COMMENT\s*'([^']*)'/i,c=/(PRIMARY|UNIQUE) KEY[a-zA-Z_0-9\s]+\(([a-zA-Z_0-9,\s]+)\)/gi,h=/primary\s+key\s*\(([^)]+)\)/i,o=/(create\s+table\s+if\s+not\s+exists|create\s+table)\s(?<tb>.*)\s\(/gim.exec(e),T=o.groups.tb,E=[],d=null,g=[],_=[];for(;null!=(o=t.exec(e));){let I=o[0],A=I;A=A.replace(/[\r\n]+/g," "),s.lastIndex=0;let w=s.exec(I),f=w[2],N=f,y=!1,R=null,L=null,b=w.groups.fname.trim();if(r.test(A)&&(L=(R=r.exec(A)[1]).split(",").map(e=>e.trim().replace(/['"]/g,""))),null==L&&i.test(A)&&(L=(R=i.exec(A)[1]).split(",").map(e=>e.trim().replace(/['"]/g,""))),null==L&&l.test(A)&&(L=(R=l.exec(A)[1]).split(",").map(e=>e.trim().replace(/['"]/g,""))),null==L&&a.test(A)&&(L=(R=a.exec(A)[1]).split(",").map(e=>e.trim().replace(/['"]/g,""))),this.isValidType(f.toString())||this.isValidType(N.toString())){let $=w.groups.fattr.replace(",","").trim(),S=!n.test($),U=$.replace(n,"");y=u.test(U)||this.isPrimaryKey(A);let C=this.isAutoIncrement(A),M=p.exec(U),x=M&&M[1]?M[1].trim():null,O=this.getLength($);""==O&&null!=L&&(O="'"+L.join("','")+"'"),x=this.fixDefaultValue(x,f,O);let B=m.exec(U),D=B&&B[1]?B[1].trim():null;if(f=f.trim(),y&&_.push(b),!this.inArray(g,b)){y&&(S=!1);let P={Field:b,Type:f,Length:O,Key:y,Nullable:S,Default:x,AutoIncrement:C,EnumValues:L,Comment:D};E.push(P),g.push(b)}}else if(this.isPrimaryKey(A)){let W=o[1],K=/\((.*)\)/,F=W.match(K);null==d&&(d=F?F[1]:null)}if(null!=d)for(let Q in d=d.split("(").join("").split(")").join(""),E)E[Q].Field==d&&(E[Q].Key=!0);if(c.test(I)&&u.test(I)){let V=I.replace(I.match(u)[0],""),X=(V=V.replace("(","").replace(")","")).split(",").map(e=>e.trim());for(let Y in E)this.inArray(X,E[Y].Field)&&(E[Y].Key=!0)}if(h.test(A)){let v=h.exec(A);if(v&&v[1]){let G=v[1].split(",").map(e=>e.trim());for(let j in _.push(...G),E)this.inArray(G,E[j].Field)&&(E[j].Key=!0)}}}return null==d&&_.length>0&&(d=_[0]),null!=d&&(E=this.updatePrimaryKey(E,d)),{tableName:T,columns:E,primaryKey:d}}updatePrimaryKey(e,t){return e.forEach(function(s,r){t.trim()==s.Field.trim()&&(e[r].Key=!0)}),e}fixDefaultValue(e,t,s){return e?this.isBoolean(t,s)?e=this.toBoolean(e):-1!=e.toUpperCase().indexOf("NULL")?e="NULL":this.isNumber(e)?e="'"+e.toString()+"'":/^(CURRENT_TIMESTAMP|NOW\(\))$/i.test(e)?e=e.toUpperCase():this.isDateTime(e)?e=this.createDate(e):/^TRUE/i.test(e)?e="TRUE":/^FALSE/i.test(e)?e="FALSE":/^CURRENT_TIMESTAMP\s+ON\s+UPDATE\s+CURRENT_TIMESTAMP$/i.test(e)?e=e.toUpperCase():/^CURRENT_TIMESTAMP\s+ON\s+INSERT\s+CURRENT_TIMESTAMP$/i.test(e)&&(e=e.toUpperCase()):e=null,e}toBoolean(e){return -1!=e.toUpperCase().indexOf("TRUE")||-1!=e.indexOf("1")?"TRUE":"FALSE"}createDate(e){return null==e?null:(e=e.trim(),this.isInQuotes(e)?e=e.slice(1,-1):e.startsWith("'")?e=e.substring(1):e.endsWith("'")&&(e=e.substring(0,e.length-3)),`'${e}'`)}isDateTime(e){return/\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2}:\d{2}\.\d{6}/.test(e)||/\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2}:\d{2}/.test(e)||/\d{4}-\d{2}-\d{2}/.test(e)||/\d{2}:\d{2}:\d{2}/.test(e)}isBoolean(e,t){return -1!=e.toUpperCase().indexOf("BOOL")||-1!=e.toUpperCase().indexOf("TINYINT")&&1==t}isInQuotes(e){return e.startsWith("'")&&e.endsWith("'")}isNumber(e){return!isNaN(e)&&""!==e}getLength(e){if(e.includes("(")&&e.includes(")")){let t=e.match(/\((\d+)\)/);return t?t[1]:""}return""}isValidType(e){return this.typeList.includes(e.toUpperCase())}parseAll(e){let t=[],s=this.parseSQL(e);for(let r in s){let i=this.formatSQL(s[r].query);try{let l=this.parseTable(i);t.push(l)}catch(a){}}this.tableInfo=t}parseData(e){this.data={};let t=this.parseSQL(e);for(let s in t){let r=this.parseInsertQuery(t[s].query);null!=r&&null!=r.tableName&&""!==r.tableName&&void 0!==r.rows&&Array.isArray(r.rows)&&r.rows.length>0&&(void 0===this.data[r.tableName]&&(this.data[r.tableName]=[]),this.data[r.tableName].push(...r.rows))}}formatSQL(e){return e=(e=(e=(e=(e=(e=(e=(e=e.replace(/\s+/g," ")).replace(/\bCREATE\s+TABLE\s+/i,"CREATE TABLE ")).replace(/\bIF\s+NOT\s+EXISTS\s+/i,"IF NOT EXISTS ")).replace(/\s*\(/," (")).replace(/\s*\)\s*;/,"\r\n);")).replace(/\(\s*/,"(\n	",e)).replace(/,\s*/g,",\n	")).replace("CREATE TABLE","\nCREATE TABLE",e)}parseSQL(e){let t=(e=(e=e.replace(/\n/g,"\r\n")).replace(/\r\r\n/g,"\r\n")).split("\r\n"),s=[];t.forEach(e=>{(e=e.trim()).startsWith("-- ")||"--"===e||""===e||s.push(e)});let r=0,i=0,l=1,a=-1,n=";",u=[],p=[];(t=s).forEach(e=>{""===e&&1===r&&(u[a]+="\r\n"),0===r&&(e.trim().startsWith("--")?(i=1,a++,l=1,r=0):i=0),0===i&&(1===l&&(u[++a]="",p[a]=n,l=0),u[a]+=e+"\r\n",p[a]=n,l=(e=e.trim()).length-n.length-1,e.substring(l).includes(n)||e===n?(a++,l=1,r=0):(l=0,r=1),p[a]=n,e.toLowerCase().startsWith("delimiter "))&&(n=(e=e.trim().replace(/\s+/g," ")).split(" ")[1],p[++a]=n,l=1,r=0)});let m=[];return u.forEach((e,t)=>{let s=p[t];e.toLowerCase().startsWith("delimiter ")||(e=(e=e.trim()).substring(0,e.length-s.length),m.push({query:e,delimiter:s}))}),m}getResult(){return this.tableInfo}}
\ No newline at end of file
+class TableParser{constructor(t,e){this.tableInfo=[],this.diagnostics=[],this.data={},null!=t&&this.parseAll(t,e)}parseInsertQuery(t){const e=t.trim().match(/INSERT INTO\s+(`[^`]+`|\[[^\]]+\]|"[^"]+"|[\w.]+)\s*(?:\(([^)]*?)\))?\s*VALUES\s*(.*)/is);if(!e)return null;const s=e[1].replace(/^[`\["]|[`\]"]$/g,""),r=e[2]?e[2].match(/(`[^`]+`|\[[^\]]+\]|"[^"]+"|[^,]+)/g).map(t=>t.trim().replace(/^[`\["]|[`\]"]$/g,"")):[],i=e[3],a=this.extractRowStrings(i).map(t=>this.parseRow(t)).map(t=>{const e={};for(let s=0;s<r.length;s++)e[r[s]]=t[s];return e});return{tableName:s,columns:r,rows:a}}extractRowStrings(t){const e=[];let s="",r=!1,i=!1,a=!1,n=0;for(let l=0;l<t.length;l++){const o=t[l],u=t[l+1];a?(s+=o,a=!1):"\\"===o?(s+=o,a=!0):"'"!==o||i?'"'!==o||r?"("!==o||r||i?")"!==o||r||i?s+=o:(s+=o,n--,0===n&&(s.startsWith("(")&&s.endsWith(")")?e.push(s.substring(1,s.length-1)):e.push(s),s="")):(0===n&&(s=""),s+=o,n++):(s+=o,i&&'"'===u?(s+=u,l++):i=!i):(s+=o,r&&"'"===u?(s+=u,l++):r=!r)}return e}customTrim(t){return t.trim()}parseRow(t){const e=[];let s="",r=!1,i=!1,a=!1;const n=()=>{const t=s,r=this.customTrim(t);let i;i=r?/^null$/i.test(r)?null:!!/^true$/i.test(r)||!/^false$/i.test(r)&&(r.startsWith("'")&&r.endsWith("'")?r.slice(1,-1).replace(/''/g,"'").replace(/\\(["'\\])/g,"$1"):r.startsWith('"')&&r.endsWith('"')?r.slice(1,-1).replace(/''/g,"'").replace(/\\\\/g,"\\").replace(/\\"/g,'"'):isNaN(r)||""===r?r:Number(r)):"",e.push(i),s=""};for(let e=0;e<t.length;e++){const l=t[e],o=t[e+1];a?(s+=l,a=!1):"\\"===l?(s+=l,a=!0):"'"!==l||i?'"'!==l||r?","!==l||r||i?s+=l:n():(s+=l,i&&'"'===o?(s+=o,e++):i=!i):(s+=l,r&&"'"===o?(s+=o,e++):r=!r)}return n(),e}fixDefaultValue(t,e,s){return t?this.isBoolean(e,s)?t=this.toBoolean(t):-1!=t.toUpperCase().indexOf("NULL")?t="NULL":this.isNumber(t)?t=t.toString():/^(CURRENT_TIMESTAMP|NOW\(\))$/i.test(t)?t=t.toUpperCase():this.isDateTime(t)?t=this.createDate(t):/^TRUE/i.test(t)?t="TRUE":/^FALSE/i.test(t)?t="FALSE":(/^CURRENT_TIMESTAMP\s+ON\s+UPDATE\s+CURRENT_TIMESTAMP$/i.test(t)||/^CURRENT_TIMESTAMP\s+ON\s+INSERT\s+CURRENT_TIMESTAMP$/i.test(t))&&(t=t.toUpperCase()):t=null,t}toBoolean(t){return-1!=t.toUpperCase().indexOf("TRUE")||-1!=t.indexOf("1")?"TRUE":"FALSE"}createDate(t){return null==t?null:(t=t.trim(),this.isInQuotes(t)?t=t.slice(1,-1):t.startsWith("'")?t=t.substring(1):t.endsWith("'")&&(t=t.substring(0,t.length-3)),`'${t}'`)}isDateTime(t){return/\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2}:\d{2}\.\d{6}/.test(t)||/\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2}:\d{2}/.test(t)||/\d{4}-\d{2}-\d{2}/.test(t)||/\d{2}:\d{2}:\d{2}/.test(t)}isBoolean(t,e){return-1!=t.toUpperCase().indexOf("BOOL")||-1!=t.toUpperCase().indexOf("TINYINT")&&1==e}isInQuotes(t){return t.startsWith("'")&&t.endsWith("'")}isNumber(t){return!isNaN(t)&&""!==t}parseAll(t,e){const s=new("undefined"==typeof DDLParser?require("./DDLParser.js").DDLParser:DDLParser)({dialect:e});this.tableInfo=s.parse(t),this.diagnostics=s.diagnostics}parseData(t){this.data={};const e=this.parseSQL(t);for(let t in e){let s=this.parseInsertQuery(e[t].query);null!=s&&null!=s.tableName&&""!==s.tableName&&void 0!==s.rows&&Array.isArray(s.rows)&&s.rows.length>0&&(void 0===this.data[s.tableName]&&(this.data[s.tableName]=[]),this.data[s.tableName].push(...s.rows))}}parseSQL(t){let e=(t=(t=t.replace(/\n/g,"\r\n")).replace(/\r\r\n/g,"\r\n")).split("\r\n"),s=[];e.forEach(t=>{(t=t.trim()).startsWith("-- ")||"--"===t||""===t||s.push(t)}),e=s;let r=0,i=0,a=1,n=-1,l=";",o=[],u=[];e.forEach(t=>{if(""===t&&1===r&&(o[n]+="\r\n"),0===r&&(t.trim().startsWith("--")?(i=1,n++,a=1,r=0):i=0),0===i&&(1===a&&(n++,o[n]="",u[n]=l,a=0),o[n]+=t+"\r\n",u[n]=l,t=t.trim(),a=t.length-l.length-1,t.substring(a).includes(l)||t===l?(n++,a=1,r=0):(a=0,r=1),u[n]=l,t.toLowerCase().startsWith("delimiter "))){let e=(t=t.trim().replace(/\s+/g," ")).split(" ");l=e[1],n++,u[n]=l,a=1,r=0}});let h=[];return o.forEach((t,e)=>{let s=u[e];t.toLowerCase().startsWith("delimiter ")||(t=(t=t.trim()).substring(0,t.length-s.length),h.push({query:t,delimiter:s}))}),h}getResult(){return this.tableInfo}}"undefined"!=typeof module&&module.exports&&(module.exports={TableParser:TableParser});
\ No newline at end of file
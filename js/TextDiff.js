@@ -0,0 +1,166 @@
+/**
+ * Largest number of cells of the line table compared by {@link TextDiff#diffLines}. Beyond it,
+ * the changed part of the files is shown as removed and added as a whole.
+ */
+const TEXT_DIFF_MAX_CELLS = 4000000;
+
+/**
+ * Line-based text diff producing unified diffs, used to compare generated files
+ * with a previous version of the project.
+ *
+ * @class
+ */
+class TextDiff {
+    /**
+     * Compares two texts line by line.
+     * The common head and tail are skipped, and the rest is aligned on its longest common subsequence.
+     *
+     * @param {string} oldText - The previous text.
+     * @param {string} newText - The new text.
+     * @returns {Array<{type: string, text: string}>} The lines, with type ' ' (unchanged), '-' (removed) or '+' (added).
+     */
+    diffLines(oldText, newText) {
+        const a = this.splitLines(oldText);
+        const b = this.splitLines(newText);
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            start++;
+        }
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const result = a.slice(0, start).map(text => ({ type: ' ', text: text }));
+        const n = endA - start;
+        const m = endB - start;
+        if (n * m > TEXT_DIFF_MAX_CELLS) {
+            a.slice(start, endA).forEach(text => result.push({ type: '-', text: text }));
+            b.slice(start, endB).forEach(text => result.push({ type: '+', text: text }));
+        } else {
+            // lengths[i * (m + 1) + j] is the length of the common subsequence of a[start + i..] and b[start + j..]
+            const lengths = new Uint32Array((n + 1) * (m + 1));
+            for (let i = n - 1; i >= 0; i--) {
+                for (let j = m - 1; j >= 0; j--) {
+                    lengths[i * (m + 1) + j] = a[start + i] === b[start + j]
+                        ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+                        : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+                }
+            }
+            let i = 0;
+            let j = 0;
+            while (i < n || j < m) {
+                if (i < n && j < m && a[start + i] === b[start + j]) {
+                    result.push({ type: ' ', text: a[start + i] });
+                    i++;
+                    j++;
+                } else if (i < n && (j === m || lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1])) {
+                    result.push({ type: '-', text: a[start + i] });
+                    i++;
+                } else {
+                    result.push({ type: '+', text: b[start + j] });
+                    j++;
+                }
+            }
+        }
+        a.slice(endA).forEach(text => result.push({ type: ' ', text: text }));
+        return result;
+    }
+
+    /**
+     * Groups the changed lines into hunks with surrounding context.
+     *
+     * @param {string} oldText - The previous text.
+     * @param {string} newText - The new text.
+     * @param {number} [context=3] - The number of unchanged lines shown around each change.
+     * @returns {Array<{header: string, lines: Array<{type: string, text: string}>}>} The hunks, empty when the texts are equal.
+     */
+    hunks(oldText, newText, context = 3) {
+        const lines = this.diffLines(oldText, newText);
+        // Line numbers in the old and new text before each diff line
+        const oldNumbers = [];
+        const newNumbers = [];
+        let oldLine = 1;
+        let newLine = 1;
+        lines.forEach(line => {
+            oldNumbers.push(oldLine);
+            newNumbers.push(newLine);
+            if (line.type !== '+') {
+                oldLine++;
+            }
+            if (line.type !== '-') {
+                newLine++;
+            }
+        });
+
+        // Ranges of diff lines, merged when their context would overlap
+        const ranges = [];
+        lines.forEach((line, index) => {
+            if (line.type === ' ') {
+                return;
+            }
+            const last = ranges[ranges.length - 1];
+            if (last && index - last.end <= 2 * context + 1) {
+                last.end = index;
+            } else {
+                ranges.push({ start: index, end: index });
+            }
+        });
+
+        return ranges.map(range => {
+            const from = Math.max(0, range.start - context);
+            const to = Math.min(lines.length - 1, range.end + context);
+            const hunkLines = lines.slice(from, to + 1);
+            const oldCount = hunkLines.filter(line => line.type !== '+').length;
+            const newCount = hunkLines.filter(line => line.type !== '-').length;
+            const oldStart = oldCount === 0 ? oldNumbers[from] - 1 : oldNumbers[from];
+            const newStart = newCount === 0 ? newNumbers[from] - 1 : newNumbers[from];
+            return { header: `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`, lines: hunkLines };
+        });
+    }
+
+    /**
+     * Creates a unified diff of two texts.
+     *
+     * @param {string} oldText - The previous text, or an empty string for an added file.
+     * @param {string} newText - The new text, or an empty string for a removed file.
+     * @param {string} oldName - The name shown in the `---` line.
+     * @param {string} newName - The name shown in the `+++` line.
+     * @param {number} [context=3] - The number of unchanged lines shown around each change.
+     * @returns {string} The unified diff, empty when the texts are equal.
+     */
+    unified(oldText, newText, oldName, newName, context = 3) {
+        const hunks = this.hunks(oldText, newText, context);
+        if (hunks.length === 0) {
+            return '';
+        }
+        let text = `--- ${oldName}\n+++ ${newName}\n`;
+        hunks.forEach(hunk => {
+            text += hunk.header + '\n' + hunk.lines.map(line => line.type + line.text).join('\n') + '\n';
+        });
+        return text;
+    }
+
+    /**
+     * Splits a text into lines, ignoring Windows line endings and the final line break.
+     *
+     * @param {string} text - The text.
+     * @returns {string[]} The lines.
+     */
+    splitLines(text) {
+        if (!text) {
+            return [];
+        }
+        const lines = text.replace(/\r\n/g, '\n').split('\n');
+        if (lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        return lines;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TextDiff };
+}
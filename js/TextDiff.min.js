@@ -0,0 +1 @@
+const TEXT_DIFF_MAX_CELLS=4e6;class TextDiff{diffLines(t,e){const n=this.splitLines(t),s=this.splitLines(e);let r=0;for(;r<n.length&&r<s.length&&n[r]===s[r];)r++;let i=n.length,h=s.length;for(;i>r&&h>r&&n[i-1]===s[h-1];)i--,h--;const l=n.slice(0,r).map(t=>({type:" ",text:t})),p=i-r,f=h-r;if(p*f>4e6)n.slice(r,i).forEach(t=>l.push({type:"-",text:t})),s.slice(r,h).forEach(t=>l.push({type:"+",text:t}));else{const t=new Uint32Array((p+1)*(f+1));for(let e=p-1;e>=0;e--)for(let i=f-1;i>=0;i--)t[e*(f+1)+i]=n[r+e]===s[r+i]?t[(e+1)*(f+1)+i+1]+1:Math.max(t[(e+1)*(f+1)+i],t[e*(f+1)+i+1]);let e=0,i=0;for(;e<p||i<f;)e<p&&i<f&&n[r+e]===s[r+i]?(l.push({type:" ",text:n[r+e]}),e++,i++):e<p&&(i===f||t[(e+1)*(f+1)+i]>=t[e*(f+1)+i+1])?(l.push({type:"-",text:n[r+e]}),e++):(l.push({type:"+",text:s[r+i]}),i++)}return n.slice(i).forEach(t=>l.push({type:" ",text:t})),l}hunks(t,e,n=3){const s=this.diffLines(t,e),r=[],i=[];let h=1,l=1;s.forEach(t=>{r.push(h),i.push(l),"+"!==t.type&&h++,"-"!==t.type&&l++});const p=[];return s.forEach((t,e)=>{if(" "===t.type)return;const s=p[p.length-1];s&&e-s.end<=2*n+1?s.end=e:p.push({start:e,end:e})}),p.map(t=>{const e=Math.max(0,t.start-n),h=Math.min(s.length-1,t.end+n),l=s.slice(e,h+1),p=l.filter(t=>"+"!==t.type).length,f=l.filter(t=>"-"!==t.type).length;return{header:`@@ -${0===p?r[e]-1:r[e]},${p} +${0===f?i[e]-1:i[e]},${f} @@`,lines:l}})}unified(t,e,n,s,r=3){const i=this.hunks(t,e,r);if(0===i.length)return"";let h=`--- ${n}\n+++ ${s}\n`;return i.forEach(t=>{h+=t.header+"\n"+t.lines.map(t=>t.type+t.text).join("\n")+"\n"}),h}splitLines(t){if(!t)return[];const e=t.replace(/\r\n/g,"\n").split("\n");return""===e[e.length-1]&&e.pop(),e}}"undefined"!=typeof module&&module.exports&&(module.exports={TextDiff:TextDiff});
\ No newline at end of file
@@ -0,0 +1,394 @@
+/**
+ * Target types a SQL column can be mapped to, by name.
+ *
+ * Each target defines the Java type of the entity field (with its import, if any),
+ * the data type used by the generated filters and the GraphQL type of the schema field.
+ * A `dataType` of null means that the field cannot be filtered.
+ * `graphqlTypes` lists the GraphQL types an override rule may choose for the target, the
+ * ones whose values are converted to and from the Java type.
+ */
+const TYPE_MAPPING_TARGETS = {
+    String: { javaType: 'String', javaImport: null, dataType: 'String', graphqlType: 'String', graphqlTypes: ['String', 'ID'] },
+    Boolean: { javaType: 'Boolean', javaImport: null, dataType: 'Boolean', graphqlType: 'Boolean', graphqlTypes: ['Boolean'] },
+    Integer: { javaType: 'Integer', javaImport: null, dataType: 'Integer', graphqlType: 'Int', graphqlTypes: ['Int'] },
+    Long: { javaType: 'Long', javaImport: null, dataType: 'Long', graphqlType: 'Long', graphqlTypes: ['Long', 'Int'] },
+    Double: { javaType: 'Double', javaImport: null, dataType: 'Double', graphqlType: 'Float', graphqlTypes: ['Float'] },
+    BigDecimal: { javaType: 'BigDecimal', javaImport: 'java.math.BigDecimal', dataType: 'BigDecimal', graphqlType: 'BigDecimal', graphqlTypes: ['BigDecimal'] },
+    LocalDate: { javaType: 'LocalDate', javaImport: 'java.time.LocalDate', dataType: 'Date', graphqlType: 'Date', graphqlTypes: ['Date'] },
+    LocalDateTime: { javaType: 'LocalDateTime', javaImport: 'java.time.LocalDateTime', dataType: 'DateTime', graphqlType: 'DateTime', graphqlTypes: ['DateTime'] },
+    OffsetDateTime: { javaType: 'OffsetDateTime', javaImport: 'java.time.OffsetDateTime', dataType: 'OffsetDateTime', graphqlType: 'DateTime', graphqlTypes: ['DateTime'] },
+    UUID: { javaType: 'UUID', javaImport: 'java.util.UUID', dataType: 'UUID', graphqlType: 'String', graphqlTypes: ['String', 'ID'] },
+    'byte[]': { javaType: 'byte[]', javaImport: null, dataType: null, graphqlType: 'Base64', graphqlTypes: ['Base64'] },
+    JSON: { javaType: 'String', javaImport: null, dataType: 'String', graphqlType: 'String', graphqlTypes: ['String'], json: true }
+};
+
+/**
+ * Default rules mapping SQL types to the targets above, checked in order.
+ * A rule applies when the base SQL type is one of `types` and, if given, the length matches.
+ * Types without a matching rule are unknown and mapped to String as well.
+ */
+const DEFAULT_TYPE_MAPPING_RULES = [
+    { types: ['TINYINT', 'BIT'], length: '1', target: 'Boolean' },
+    { types: ['BOOLEAN', 'BOOL'], target: 'Boolean' },
+    { types: ['TINYINT', 'SMALLINT', 'MEDIUMINT', 'INT', 'INTEGER', 'INT2', 'INT4', 'SMALLSERIAL', 'SERIAL', 'YEAR'], target: 'Integer' },
+    { types: ['BIGINT', 'INT8', 'BIGSERIAL'], target: 'Long' },
+    { types: ['DECIMAL', 'NUMERIC', 'NUMBER', 'MONEY', 'SMALLMONEY'], target: 'BigDecimal' },
+    { types: ['FLOAT', 'DOUBLE', 'DOUBLE PRECISION', 'REAL', 'FLOAT4', 'FLOAT8'], target: 'Double' },
+    { types: ['DATE'], target: 'LocalDate' },
+    { types: ['DATETIME', 'DATETIME2', 'SMALLDATETIME', 'TIMESTAMP', 'TIMESTAMP WITHOUT TIME ZONE'], target: 'LocalDateTime' },
+    { types: ['TIMESTAMPTZ', 'TIMESTAMP WITH TIME ZONE', 'DATETIMEOFFSET'], target: 'OffsetDateTime' },
+    { types: ['UUID', 'UNIQUEIDENTIFIER'], target: 'UUID' },
+    { types: ['BLOB', 'TINYBLOB', 'MEDIUMBLOB', 'LONGBLOB', 'BINARY', 'VARBINARY', 'BYTEA', 'IMAGE'], target: 'byte[]' },
+    { types: ['JSON', 'JSONB'], target: 'JSON' },
+    {
+        types: ['CHAR', 'CHARACTER', 'NCHAR', 'VARCHAR', 'NVARCHAR', 'VARCHAR2', 'NVARCHAR2', 'CHARACTER VARYING', 'CHAR VARYING',
+            'NCHAR VARYING', 'NATIONAL CHARACTER', 'NATIONAL CHAR', 'NATIONAL CHARACTER VARYING', 'NATIONAL CHAR VARYING',
+            'LONG VARCHAR', 'TEXT', 'TINYTEXT', 'MEDIUMTEXT', 'LONGTEXT', 'NTEXT', 'CLOB', 'NCLOB', 'CITEXT', 'ENUM', 'SET',
+            'TIME', 'TIME WITHOUT TIME ZONE', 'TIME WITH TIME ZONE', 'TIMETZ', 'INTERVAL', 'XML', 'INET', 'CIDR', 'MACADDR', 'SYSNAME'],
+        target: 'String'
+    }
+];
+
+/**
+ * Properties allowed in a type mapping override rule.
+ */
+const TYPE_MAPPING_RULE_KEYS = ['type', 'length', 'column', 'javaType', 'graphqlType'];
+
+/**
+ * Scalars built into GraphQL.
+ */
+const BUILT_IN_GRAPHQL_SCALARS = ['Int', 'Float', 'String', 'Boolean', 'ID'];
+
+/**
+ * Custom GraphQL scalars used by the targets, in the order they are declared in the schema.
+ */
+const CUSTOM_GRAPHQL_SCALARS = ['Long', 'BigDecimal', 'Date', 'DateTime', 'Base64'];
+
+/**
+ * Maps SQL column types to Java types, filter data types and GraphQL types.
+ *
+ * The code generator and the GraphQL schema builder both resolve column types here,
+ * so the entity fields, the filters and the schema always agree on a type.
+ *
+ * Projects can override the defaults with their own rules, written in JSON or YAML.
+ * Each rule matches on the SQL type, the length and/or a column name pattern, and maps
+ * to one of the target Java types. Override rules are checked before the defaults, in order.
+ *
+ * @class
+ * @example
+ * // YAML overrides
+ * rules:
+ *   - type: CHAR
+ *     length: 36
+ *     javaType: UUID
+ *   - column: "_at$"
+ *     javaType: OffsetDateTime
+ */
+class TypeMapping {
+    /**
+     * Creates a type mapping with the default rules.
+     */
+    constructor() {
+        this.rules = DEFAULT_TYPE_MAPPING_RULES;
+        this.overrides = [];
+    }
+
+    /**
+     * Replaces the override rules.
+     *
+     * @param {string|Object|Array<Object>|null} overrides - The rules as JSON or YAML text, as parsed
+     * object (`{rules: [...]}`) or as array. Empty values remove the overrides.
+     * @returns {void}
+     * @throws {Error} If the overrides are invalid.
+     */
+    setOverrides(overrides) {
+        this.overrides = this.parseOverrides(overrides);
+    }
+
+    /**
+     * Parses and validates type mapping override rules.
+     *
+     * @param {string|Object|Array<Object>|null} overrides - The rules as JSON or YAML text, as parsed
+     * object (`{rules: [...]}`) or as array.
+     * @returns {Array<Object>} The normalized rules.
+     * @throws {Error} If the text cannot be parsed or a rule is invalid.
+     */
+    parseOverrides(overrides) {
+        if (overrides == null || (typeof overrides === 'string' && overrides.trim() === '')) {
+            return [];
+        }
+        let data = overrides;
+        if (typeof overrides === 'string') {
+            let text = overrides.trim();
+            data = text.startsWith('{') || text.startsWith('[') ? JSON.parse(text) : this.parseYamlRules(text);
+        }
+        let rules = Array.isArray(data) ? data : data.rules;
+        if (!Array.isArray(rules)) {
+            throw new Error('Type mapping overrides must be a list of rules or an object with a "rules" list');
+        }
+        return rules.map((rule, index) => this.normalizeRule(rule, index + 1));
+    }
+
+    /**
+     * Validates an override rule and converts it to the form of the default rules.
+     *
+     * @param {Object} rule - The rule as written by the user.
+     * @param {number} number - The 1-based position of the rule, used in error messages.
+     * @returns {{types: string[]|undefined, length: string|undefined, column: RegExp|undefined, target: string, graphqlType: string|undefined}} The rule.
+     * @throws {Error} If the rule is invalid.
+     */
+    normalizeRule(rule, number) {
+        if (rule == null || typeof rule !== 'object' || Array.isArray(rule)) {
+            throw new Error(`Type mapping rule ${number} must be an object`);
+        }
+        let unknownKey = Object.keys(rule).find(key => !TYPE_MAPPING_RULE_KEYS.includes(key));
+        if (unknownKey) {
+            throw new Error(`Type mapping rule ${number} has an unknown property "${unknownKey}"`);
+        }
+        if (!TYPE_MAPPING_TARGETS[rule.javaType]) {
+            throw new Error(`Type mapping rule ${number} has an unknown javaType "${rule.javaType}". Use one of: ${Object.keys(TYPE_MAPPING_TARGETS).join(', ')}`);
+        }
+        let graphqlTypes = BUILT_IN_GRAPHQL_SCALARS.concat(this.getCustomScalars());
+        if (rule.graphqlType !== undefined && !graphqlTypes.includes(rule.graphqlType)) {
+            throw new Error(`Type mapping rule ${number} has an unknown graphqlType "${rule.graphqlType}". Use one of: ${graphqlTypes.join(', ')}`);
+        }
+        let compatibleTypes = TYPE_MAPPING_TARGETS[rule.javaType].graphqlTypes;
+        if (rule.graphqlType !== undefined && !compatibleTypes.includes(rule.graphqlType)) {
+            throw new Error(`Type mapping rule ${number} maps javaType "${rule.javaType}" to the incompatible graphqlType "${rule.graphqlType}". Use one of: ${compatibleTypes.join(', ')}`);
+        }
+        if (rule.type === undefined && rule.length === undefined && rule.column === undefined) {
+            throw new Error(`Type mapping rule ${number} needs a type, length or column to match`);
+        }
+        let column;
+        if (rule.column !== undefined) {
+            try {
+                column = new RegExp(String(rule.column), 'i');
+            } catch (e) {
+                throw new Error(`Type mapping rule ${number} has an invalid column pattern: ${e.message}`);
+            }
+        }
+        return {
+            types: rule.type === undefined ? undefined : [].concat(rule.type).map(type => this.normalizeType(type)),
+            length: rule.length === undefined ? undefined : String(rule.length).trim(),
+            column: column,
+            target: rule.javaType,
+            graphqlType: rule.graphqlType
+        };
+    }
+
+    /**
+     * Parses the YAML subset used by override files: a list of flat mappings, optionally
+     * under a `rules` key. Values may be quoted and lists may be written as `[a, b]`.
+     * Flow mappings (`{type: CHAR}`) and nested mappings are not part of the subset.
+     *
+     * @param {string} text - The YAML text.
+     * @returns {Array<Object>} The rules.
+     * @throws {Error} If a line cannot be parsed.
+     */
+    parseYamlRules(text) {
+        let rules = [];
+        let current = null;
+        text.split(/\r?\n/).forEach((line, index) => {
+            let content = line.replace(/\s+#.*$/, '').replace(/^#.*$/, '');
+            if (content.trim() === '' || /^rules\s*:\s*$/.test(content.trim())) {
+                return;
+            }
+            let fail = problem => {
+                throw new Error(`Invalid type mapping YAML at line ${index + 1}: ${problem}; only flat "key: value" mappings are supported: ${line.trim()}`);
+            };
+            if (/^\s*-\s*$/.test(content)) {
+                // The properties of the rule follow on the next lines
+                current = {};
+                rules.push(current);
+                return;
+            }
+            if (/^\s*(-\s*)?\{/.test(content)) {
+                fail('flow mappings are not supported');
+            }
+            let match = /^\s*(-\s+)?([A-Za-z]+)\s*:\s*(.*)$/.exec(content);
+            if (!match) {
+                fail('expected a "key: value" line');
+            }
+            let value = match[3].trim();
+            if (value === '') {
+                fail(`"${match[2]}" has no value, nested mappings are not supported`);
+            }
+            if (value.startsWith('{')) {
+                fail(`the value of "${match[2]}" is a flow mapping`);
+            }
+            if (match[1] || current === null) {
+                current = {};
+                rules.push(current);
+            }
+            current[match[2]] = this.parseYamlValue(value);
+        });
+        return rules;
+    }
+
+    /**
+     * Parses a scalar or flow list value of the YAML subset.
+     *
+     * @param {string} value - The raw value.
+     * @returns {string|string[]} The value without quotes.
+     */
+    parseYamlValue(value) {
+        let unquote = item => item.trim().replace(/^(['"])(.*)\1$/, '$2');
+        if (value.startsWith('[') && value.endsWith(']')) {
+            return value.slice(1, -1).split(',').map(unquote).filter(item => item !== '');
+        }
+        return unquote(value);
+    }
+
+    /**
+     * Checks whether a rule applies to a column.
+     *
+     * @param {Object} rule - The rule.
+     * @param {string} type - The normalized SQL type.
+     * @param {string} length - The column length.
+     * @param {string} columnName - The column name.
+     * @returns {boolean} True if every condition of the rule matches.
+     */
+    matchesRule(rule, type, length, columnName) {
+        return (rule.types === undefined || rule.types.includes(type))
+            && (rule.length === undefined || String(rule.length) === length)
+            && (rule.column === undefined || rule.column.test(columnName));
+    }
+
+    /**
+     * Normalizes a SQL type to its base name, e.g. "varchar(50)" to "VARCHAR"
+     * and "INT UNSIGNED" to "INT".
+     *
+     * @param {string} sqlType - The SQL type.
+     * @returns {string} The base type in upper case.
+     */
+    normalizeType(sqlType) {
+        return String(sqlType || '')
+            .toUpperCase()
+            .replace(/\(.*?\)/g, ' ')
+            .replace(/\b(UNSIGNED|SIGNED|ZEROFILL)\b/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Tells whether a SQL type is mapped by an override or a default rule. Unknown types are mapped to String.
+     *
+     * @param {string} sqlType - The SQL type.
+     * @param {string|number} [length=""] - The column length.
+     * @param {string} [columnName=""] - The column name, matched by the column patterns of the overrides.
+     * @returns {boolean} True if a rule maps the type.
+     */
+    isKnownType(sqlType, length = '', columnName = '') {
+        let type = this.normalizeType(sqlType);
+        let size = String(length ?? '').trim();
+        if (this.overrides.some(item => this.matchesRule(item, type, size, columnName || ''))) {
+            return true;
+        }
+        if (type.endsWith('[]')) {
+            return this.isKnownType(type.slice(0, -2), '', columnName);
+        }
+        return this.rules.some(item => this.matchesRule(item, type, size, ''));
+    }
+
+    /**
+     * Resolves the target of a SQL type. Override rules are checked first, then the defaults.
+     *
+     * @param {string} sqlType - The SQL type (e.g. "BIGINT", "DECIMAL", "TIMESTAMP WITH TIME ZONE", "TEXT[]").
+     * @param {string|number} [length=""] - The column length, used to map TINYINT(1) to Boolean.
+     * @param {string} [columnName=""] - The column name, matched by the column patterns of the overrides.
+     * @returns {{javaType: string, javaImport: string|null, dataType: string|null, graphqlType: string, json?: boolean}} The target.
+     */
+    resolve(sqlType, length = '', columnName = '') {
+        let type = this.normalizeType(sqlType);
+        let size = String(length ?? '').trim();
+        let override = this.overrides.find(item => this.matchesRule(item, type, size, columnName || ''));
+        if (override) {
+            let target = TYPE_MAPPING_TARGETS[override.target];
+            return override.graphqlType ? { ...target, graphqlType: override.graphqlType } : target;
+        }
+        if (type.endsWith('[]')) {
+            // PostgreSQL array: an array of the element type, which cannot be filtered
+            let element = this.resolve(type.slice(0, -2), '', columnName);
+            return { javaType: `${element.javaType}[]`, javaImport: element.javaImport, dataType: null, graphqlType: `[${element.graphqlType}]` };
+        }
+        let rule = this.rules.find(item => this.matchesRule(item, type, size, ''));
+        return TYPE_MAPPING_TARGETS[rule ? rule.target : 'String'];
+    }
+
+    /**
+     * Returns the Java type of a SQL type.
+     *
+     * @param {string} sqlType - The SQL type.
+     * @param {string|number} [length=""] - The column length.
+     * @param {string} [columnName=""] - The column name.
+     * @returns {string} The Java type (e.g. "Long", "BigDecimal", "LocalDate").
+     */
+    getJavaType(sqlType, length = '', columnName = '') {
+        return this.resolve(sqlType, length, columnName).javaType;
+    }
+
+    /**
+     * Returns the filter data type of a SQL type.
+     *
+     * @param {string} sqlType - The SQL type.
+     * @param {string|number} [length=""] - The column length.
+     * @param {string} [columnName=""] - The column name.
+     * @returns {string|null} The data type (e.g. "Long", "Date", "DateTime"), or null if the type cannot be filtered.
+     */
+    getDataType(sqlType, length = '', columnName = '') {
+        return this.resolve(sqlType, length, columnName).dataType;
+    }
+
+    /**
+     * Returns the GraphQL type of a SQL type.
+     *
+     * @param {string} sqlType - The SQL type.
+     * @param {string|number} [length=""] - The column length.
+     * @param {string} [columnName=""] - The column name.
+     * @returns {string} The GraphQL type (e.g. "Int", "Long", "DateTime").
+     */
+    getGraphQLType(sqlType, length = '', columnName = '') {
+        return this.resolve(sqlType, length, columnName).graphqlType;
+    }
+
+    /**
+     * Creates the import lines of the Java types used by a list of columns.
+     *
+     * @param {Array<Column>} columns - The columns.
+     * @returns {string} The sorted import lines, or an empty string.
+     */
+    createJavaImports(columns) {
+        let imports = new Set();
+        columns.forEach(column => {
+            let javaImport = this.resolve(column.type, column.length, column.name).javaImport;
+            if (javaImport) {
+                imports.add(javaImport);
+            }
+        });
+        return [...imports].sort().map(javaImport => `import ${javaImport};\n`).join('');
+    }
+
+    /**
+     * Checks whether a column stores JSON and needs a JSON JDBC type on its entity field.
+     *
+     * @param {Column} column - The column.
+     * @returns {boolean} True if the column is mapped to JSON.
+     */
+    isJson(column) {
+        return this.resolve(column.type, column.length, column.name).json === true;
+    }
+
+    /**
+     * Returns the custom GraphQL scalars of the targets. They are declared by the schema
+     * and registered by the generated scalar configuration.
+     *
+     * @returns {string[]} The scalar names, in declaration order.
+     */
+    getCustomScalars() {
+        return CUSTOM_GRAPHQL_SCALARS;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TypeMapping, TYPE_MAPPING_TARGETS, DEFAULT_TYPE_MAPPING_RULES };
+}
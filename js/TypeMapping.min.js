@@ -0,0 +1 @@
+const TYPE_MAPPING_TARGETS={String:{javaType:"String",javaImport:null,dataType:"String",graphqlType:"String",graphqlTypes:["String","ID"]},Boolean:{javaType:"Boolean",javaImport:null,dataType:"Boolean",graphqlType:"Boolean",graphqlTypes:["Boolean"]},Integer:{javaType:"Integer",javaImport:null,dataType:"Integer",graphqlType:"Int",graphqlTypes:["Int"]},Long:{javaType:"Long",javaImport:null,dataType:"Long",graphqlType:"Long",graphqlTypes:["Long","Int"]},Double:{javaType:"Double",javaImport:null,dataType:"Double",graphqlType:"Float",graphqlTypes:["Float"]},BigDecimal:{javaType:"BigDecimal",javaImport:"java.math.BigDecimal",dataType:"BigDecimal",graphqlType:"BigDecimal",graphqlTypes:["BigDecimal"]},LocalDate:{javaType:"LocalDate",javaImport:"java.time.LocalDate",dataType:"Date",graphqlType:"Date",graphqlTypes:["Date"]},LocalDateTime:{javaType:"LocalDateTime",javaImport:"java.time.LocalDateTime",dataType:"DateTime",graphqlType:"DateTime",graphqlTypes:["DateTime"]},OffsetDateTime:{javaType:"OffsetDateTime",javaImport:"java.time.OffsetDateTime",dataType:"OffsetDateTime",graphqlType:"DateTime",graphqlTypes:["DateTime"]},UUID:{javaType:"UUID",javaImport:"java.util.UUID",dataType:"UUID",graphqlType:"String",graphqlTypes:["String","ID"]},"byte[]":{javaType:"byte[]",javaImport:null,dataType:null,graphqlType:"Base64",graphqlTypes:["Base64"]},JSON:{javaType:"String",javaImport:null,dataType:"String",graphqlType:"String",graphqlTypes:["String"],json:!0}},DEFAULT_TYPE_MAPPING_RULES=[{types:["TINYINT","BIT"],length:"1",target:"Boolean"},{types:["BOOLEAN","BOOL"],target:"Boolean"},{types:["TINYINT","SMALLINT","MEDIUMINT","INT","INTEGER","INT2","INT4","SMALLSERIAL","SERIAL","YEAR"],target:"Integer"},{types:["BIGINT","INT8","BIGSERIAL"],target:"Long"},{types:["DECIMAL","NUMERIC","NUMBER","MONEY","SMALLMONEY"],target:"BigDecimal"},{types:["FLOAT","DOUBLE","DOUBLE PRECISION","REAL","FLOAT4","FLOAT8"],target:"Double"},{types:["DATE"],target:"LocalDate"},{types:["DATETIME","DATETIME2","SMALLDATETIME","TIMESTAMP","TIMESTAMP WITHOUT TIME ZONE"],target:"LocalDateTime"},{types:["TIMESTAMPTZ","TIMESTAMP WITH TIME ZONE","DATETIMEOFFSET"],target:"OffsetDateTime"},{types:["UUID","UNIQUEIDENTIFIER"],target:"UUID"},{types:["BLOB","TINYBLOB","MEDIUMBLOB","LONGBLOB","BINARY","VARBINARY","BYTEA","IMAGE"],target:"byte[]"},{types:["JSON","JSONB"],target:"JSON"},{types:["CHAR","CHARACTER","NCHAR","VARCHAR","NVARCHAR","VARCHAR2","NVARCHAR2","CHARACTER VARYING","CHAR VARYING","NCHAR VARYING","NATIONAL CHARACTER","NATIONAL CHAR","NATIONAL CHARACTER VARYING","NATIONAL CHAR VARYING","LONG VARCHAR","TEXT","TINYTEXT","MEDIUMTEXT","LONGTEXT","NTEXT","CLOB","NCLOB","CITEXT","ENUM","SET","TIME","TIME WITHOUT TIME ZONE","TIME WITH TIME ZONE","TIMETZ","INTERVAL","XML","INET","CIDR","MACADDR","SYSNAME"],target:"String"}],TYPE_MAPPING_RULE_KEYS=["type","length","column","javaType","graphqlType"],BUILT_IN_GRAPHQL_SCALARS=["Int","Float","String","Boolean","ID"],CUSTOM_GRAPHQL_SCALARS=["Long","BigDecimal","Date","DateTime","Base64"];class TypeMapping{constructor(){this.rules=DEFAULT_TYPE_MAPPING_RULES,this.overrides=[]}setOverrides(e){this.overrides=this.parseOverrides(e)}parseOverrides(e){if(null==e||"string"==typeof e&&""===e.trim())return[];let a=e;if("string"==typeof e){let t=e.trim();a=t.startsWith("{")||t.startsWith("[")?JSON.parse(t):this.parseYamlRules(t)}let t=Array.isArray(a)?a:a.rules;if(!Array.isArray(t))throw new Error('Type mapping overrides must be a list of rules or an object with a "rules" list');return t.map((e,a)=>this.normalizeRule(e,a+1))}normalizeRule(e,a){if(null==e||"object"!=typeof e||Array.isArray(e))throw new Error(`Type mapping rule ${a} must be an object`);let t=Object.keys(e).find(e=>!TYPE_MAPPING_RULE_KEYS.includes(e));if(t)throw new Error(`Type mapping rule ${a} has an unknown property "${t}"`);if(!TYPE_MAPPING_TARGETS[e.javaType])throw new Error(`Type mapping rule ${a} has an unknown javaType "${e.javaType}". Use one of: ${Object.keys(TYPE_MAPPING_TARGETS).join(", ")}`);let r=BUILT_IN_GRAPHQL_SCALARS.concat(this.getCustomScalars());if(void 0!==e.graphqlType&&!r.includes(e.graphqlType))throw new Error(`Type mapping rule ${a} has an unknown graphqlType "${e.graphqlType}". Use one of: ${r.join(", ")}`);let p,T=TYPE_MAPPING_TARGETS[e.javaType].graphqlTypes;if(void 0!==e.graphqlType&&!T.includes(e.graphqlType))throw new Error(`Type mapping rule ${a} maps javaType "${e.javaType}" to the incompatible graphqlType "${e.graphqlType}". Use one of: ${T.join(", ")}`);if(void 0===e.type&&void 0===e.length&&void 0===e.column)throw new Error(`Type mapping rule ${a} needs a type, length or column to match`);if(void 0!==e.column)try{p=new RegExp(String(e.column),"i")}catch(e){throw new Error(`Type mapping rule ${a} has an invalid column pattern: ${e.message}`)}return{types:void 0===e.type?void 0:[].concat(e.type).map(e=>this.normalizeType(e)),length:void 0===e.length?void 0:String(e.length).trim(),column:p,target:e.javaType,graphqlType:e.graphqlType}}parseYamlRules(e){let a=[],t=null;return e.split(/\r?\n/).forEach((e,r)=>{let p=e.replace(/\s+#.*$/,"").replace(/^#.*$/,"");if(""===p.trim()||/^rules\s*:\s*$/.test(p.trim()))return;let T=a=>{throw new Error(`Invalid type mapping YAML at line ${r+1}: ${a}; only flat "key: value" mappings are supported: ${e.trim()}`)};if(/^\s*-\s*$/.test(p))return t={},void a.push(t);/^\s*(-\s*)?\{/.test(p)&&T("flow mappings are not supported");let l=/^\s*(-\s+)?([A-Za-z]+)\s*:\s*(.*)$/.exec(p);l||T('expected a "key: value" line');let i=l[3].trim();""===i&&T(`"${l[2]}" has no value, nested mappings are not supported`),i.startsWith("{")&&T(`the value of "${l[2]}" is a flow mapping`),(l[1]||null===t)&&(t={},a.push(t)),t[l[2]]=this.parseYamlValue(i)}),a}parseYamlValue(e){let a=e=>e.trim().replace(/^(['"])(.*)\1$/,"$2");return e.startsWith("[")&&e.endsWith("]")?e.slice(1,-1).split(",").map(a).filter(e=>""!==e):a(e)}matchesRule(e,a,t,r){return(void 0===e.types||e.types.includes(a))&&(void 0===e.length||String(e.length)===t)&&(void 0===e.column||e.column.test(r))}normalizeType(e){return String(e||"").toUpperCase().replace(/\(.*?\)/g," ").replace(/\b(UNSIGNED|SIGNED|ZEROFILL)\b/g," ").replace(/\s+/g," ").trim()}isKnownType(e,a="",t=""){let r=this.normalizeType(e),p=String(a??"").trim();return!!this.overrides.some(e=>this.matchesRule(e,r,p,t||""))||(r.endsWith("[]")?this.isKnownType(r.slice(0,-2),"",t):this.rules.some(e=>this.matchesRule(e,r,p,"")))}resolve(e,a="",t=""){let r=this.normalizeType(e),p=String(a??"").trim(),T=this.overrides.find(e=>this.matchesRule(e,r,p,t||""));if(T){let e=TYPE_MAPPING_TARGETS[T.target];return T.graphqlType?{...e,graphqlType:T.graphqlType}:e}if(r.endsWith("[]")){let e=this.resolve(r.slice(0,-2),"",t);return{javaType:`${e.javaType}[]`,javaImport:e.javaImport,dataType:null,graphqlType:`[${e.graphqlType}]`}}let l=this.rules.find(e=>this.matchesRule(e,r,p,""));return TYPE_MAPPING_TARGETS[l?l.target:"String"]}getJavaType(e,a="",t=""){return this.resolve(e,a,t).javaType}getDataType(e,a="",t=""){return this.resolve(e,a,t).dataType}getGraphQLType(e,a="",t=""){return this.resolve(e,a,t).graphqlType}createJavaImports(e){let a=new Set;return e.forEach(e=>{let t=this.resolve(e.type,e.length,e.name).javaImport;t&&a.add(t)}),[...a].sort().map(e=>`import ${e};\n`).join("")}isJson(e){return!0===this.resolve(e.type,e.length,e.name).json}getCustomScalars(){return CUSTOM_GRAPHQL_SCALARS}}"undefined"!=typeof module&&module.exports&&(module.exports={TypeMapping:TypeMapping,TYPE_MAPPING_TARGETS:TYPE_MAPPING_TARGETS,DEFAULT_TYPE_MAPPING_RULES:DEFAULT_TYPE_MAPPING_RULES});
\ No newline at end of file